@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * GLB Extractor Tool - Command Line Interface
+ * Extracts textures, splits models into GLB parts and reports model information without a browser
+ *
+ * Usage: glb-extract textures|materials|info <file> [-o <dir>] [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSandbox, setLogHandler, processModel, writeTextures, writeParts } = require('../node/glb-extractor');
+
+const USAGE = `Usage: glb-extract <command> <file> [-o <dir>] [options]
+
+Commands:
+  textures    Write every image of the model and a textures.json usage record to <dir>
+  materials   Split the model into one GLB per part and write them to <dir>
+  info        Print validation results and statistics (with -o, also write them to <dir>)
+
+Options:
+  -o, --output <dir>   Output folder (default: <model>_textures or <model>_<parts>)
+  --split <mode>       Split by material, mesh, node or scene (default: material)
+  --mode <mode>        Part materials: colored or faithful (default: colored)
+  --json               Print info as JSON
+  -v, --verbose        Print the debug log to stderr
+  -h, --help           Show this help
+
+Exit codes: 0 on success, 1 when the model cannot be processed, 2 on usage errors`;
+
+const COMMANDS = ['textures', 'materials', 'info'];
+const SPLIT_MODES = { material: 'materials', mesh: 'meshes', node: 'nodes', scene: 'scenes' };
+const MATERIAL_MODES = ['colored', 'faithful'];
+
+/**
+ * Parse the command line arguments
+ * @param {Array} args - The arguments after the script name
+ * @returns {Object} - { command, file, output, splitMode, materialMode, json, verbose, help }
+ */
+function parseArguments(args) {
+    const options = { splitMode: 'material', materialMode: 'colored', json: false, verbose: false, help: false };
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const takeValue = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        
+        if (arg === '-o' || arg === '--output') {
+            options.output = takeValue();
+        } else if (arg === '--split') {
+            options.splitMode = takeValue();
+        } else if (arg === '--mode') {
+            options.materialMode = takeValue();
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '-v' || arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    
+    [options.command, options.file] = positional;
+    
+    if (options.help) return options;
+    if (positional.length !== 2) throw new Error('Expected a command and a file');
+    if (!COMMANDS.includes(options.command)) throw new Error(`Unknown command ${options.command}`);
+    if (!SPLIT_MODES[options.splitMode]) throw new Error(`Unknown split mode ${options.splitMode}`);
+    if (!MATERIAL_MODES.includes(options.materialMode)) throw new Error(`Unknown material mode ${options.materialMode}`);
+    
+    return options;
+}
+
+/**
+ * Print the validation results and statistics of a model
+ * @param {Object} result - The processModel result
+ */
+function printInfo(result) {
+    const { formatFileSize } = getSandbox().GlbExtractorUtils;
+    const { issues } = result.validationReport;
+    const { totals, bounds } = result.stats;
+    
+    console.log(`Validation: ${issues.numErrors} errors, ${issues.numWarnings} warnings, ${issues.numInfos} infos`);
+    issues.messages.forEach(message => {
+        console.log(`  ${message.severity} ${message.code}: ${message.message}${message.pointer ? ` (${message.pointer})` : ''}`);
+    });
+    
+    console.log(`Meshes: ${totals.meshes}, primitives: ${totals.primitives}, materials: ${totals.materials}, textures: ${totals.textures}`);
+    console.log(`Triangles: ${totals.triangles} (${totals.renderedTriangles} rendered), vertices: ${totals.vertices}, draw calls: ${totals.drawCalls}`);
+    console.log(`Texture memory: ${formatFileSize(totals.textureMemory)}, vertex memory: ${formatFileSize(totals.vertexMemory)}`);
+    console.log(`Bounding box: ${bounds ? bounds.size.map(value => parseFloat(value.toFixed(3))).join(' x ') : 'unknown'}`);
+}
+
+/**
+ * Run a command
+ * @param {Object} options - The parsed arguments
+ * @returns {Promise<number>} - The exit code
+ */
+async function run(options) {
+    if (!fs.existsSync(options.file)) {
+        console.error(`File not found: ${options.file}`);
+        return 1;
+    }
+    
+    if (options.verbose) {
+        setLogHandler((message, type) => console.error(`[${type.toUpperCase()}] ${message}`));
+    }
+    
+    const baseName = path.basename(options.file).replace(/\.[^/.]+$/, '');
+    const result = await processModel(options.file, {
+        parts: options.command === 'materials',
+        splitMode: options.splitMode,
+        materialMode: options.materialMode
+    });
+    
+    if (options.command === 'textures') {
+        const outputDirectory = options.output || `${baseName}_textures`;
+        const written = writeTextures(result.textures, outputDirectory);
+        console.log(`Wrote ${written.length} textures to ${outputDirectory}`);
+    } else if (options.command === 'materials') {
+        const outputDirectory = options.output || `${baseName}_${SPLIT_MODES[options.splitMode]}`;
+        const written = writeParts(result.parts, outputDirectory);
+        console.log(`Wrote ${written.length} GLB files to ${outputDirectory}`);
+    } else {
+        if (options.json) {
+            console.log(JSON.stringify({ validation: result.validationReport, stats: result.stats }, null, 2));
+        } else {
+            printInfo(result);
+        }
+        
+        // The same files the page exports from its validation and statistics sections
+        if (options.output) {
+            const { convertStatsToCSV } = getSandbox().ModelStats;
+            fs.mkdirSync(options.output, { recursive: true });
+            fs.writeFileSync(path.join(options.output, `${baseName}_validation.json`), JSON.stringify(result.validationReport, null, 2));
+            fs.writeFileSync(path.join(options.output, `${baseName}_stats.csv`), convertStatsToCSV(result.stats));
+        }
+    }
+    
+    return 0;
+}
+
+let options;
+try {
+    options = parseArguments(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+run(options).then(exitCode => {
+    process.exitCode = exitCode;
+}, error => {
+    console.error(`Error processing ${options.file}: ${error.message}`);
+    process.exitCode = 1;
+});
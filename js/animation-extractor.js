@@ -0,0 +1,232 @@
+/**
+ * GLB Extractor Tool - Animation Extractor
+ * Contains functions for listing animation clips and exporting each clip as its own GLB
+ */
+
+// Use utility functions from the main modules
+var { log, getUniqueFileName, downloadZip } = window.GlbExtractorUtils;
+var { createSubsetGLB, findTopLevelNodes } = window.SubsetExporter;
+
+/**
+ * Get the duration of an animation: the largest keyframe time of its samplers
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {Object} animation - The animation
+ * @returns {number} - The duration in seconds, or null if no sampler input has a max
+ */
+function getAnimationDuration(gltf, animation) {
+    let duration = null;
+    
+    (animation.samplers || []).forEach(sampler => {
+        const input = gltf.accessors && gltf.accessors[sampler.input];
+        if (input && input.max && typeof input.max[0] === 'number') {
+            duration = Math.max(duration || 0, input.max[0]);
+        }
+    });
+    
+    return duration;
+}
+
+/**
+ * Extract the animation clips of a GLTF structure
+ * @param {Object} gltf - The GLTF JSON structure
+ * @returns {Array} - An array of { name, index, duration, channelCount, targetNodes }
+ */
+function extractAnimationsFromGLTF(gltf) {
+    const animations = [];
+    
+    if (!gltf.animations || gltf.animations.length === 0) {
+        log('No animations defined in GLTF structure');
+        return animations;
+    }
+    
+    log(`Found ${gltf.animations.length} animations in GLTF structure`);
+    
+    gltf.animations.forEach((animation, animationIndex) => {
+        try {
+            const animationName = animation.name || `animation_${animationIndex}`;
+            const channels = animation.channels || [];
+            
+            // Names of the nodes the channels move, each listed once
+            const targetNodes = [...new Set(channels
+                .map(channel => channel.target && channel.target.node)
+                .filter(nodeIndex => nodeIndex !== undefined))]
+                .map(nodeIndex => (gltf.nodes && gltf.nodes[nodeIndex] && gltf.nodes[nodeIndex].name) || `node_${nodeIndex}`);
+            
+            const duration = getAnimationDuration(gltf, animation);
+            
+            animations.push({
+                name: animationName,
+                index: animationIndex,
+                duration: duration,
+                channelCount: channels.length,
+                targetNodes: targetNodes
+            });
+            
+            log(`Animation ${animationName}: ${duration !== null ? `${duration.toFixed(2)} s` : 'unknown duration'}, ${channels.length} channels on ${targetNodes.length} nodes`);
+        } catch (error) {
+            console.error(`Error processing animation ${animationIndex}:`, error);
+            log(`Error processing animation ${animationIndex}: ${error.message}`, 'error');
+        }
+    });
+    
+    return animations;
+}
+
+/**
+ * Create a GLB file holding the whole model (skeleton, skins, meshes and original materials)
+ * with a single animation clip
+ * @param {Object} gltfData - The original GLTF data
+ * @param {number} animationIndex - The index of the animation to keep
+ * @param {Object} options - Export options (see SubsetExporter.createSubsetGLB, the mode defaults to faithful)
+ * @returns {ArrayBuffer} - The GLB file for the clip, or null if it could not be created
+ */
+function createGLBForAnimation(gltfData, animationIndex, options = {}) {
+    const animations = gltfData.json.animations || [];
+    const name = (animations[animationIndex] && animations[animationIndex].name) || `animation_${animationIndex}`;
+    
+    return createSubsetGLB(gltfData, {
+        nodes: findTopLevelNodes(gltfData.json),
+        animations: [animationIndex]
+    }, { mode: 'faithful', ...options, name, colorIndex: animationIndex });
+}
+
+/**
+ * Build a download file name for an animation GLB
+ * @param {Object} animation - The extracted animation
+ * @returns {string} - The file name for the animation GLB
+ */
+function getAnimationFileName(animation) {
+    return `${animation.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.glb`;
+}
+
+/**
+ * Format an animation duration for display
+ * @param {number} duration - The duration in seconds (null if unknown)
+ * @returns {string} - The formatted duration
+ */
+function formatAnimationDuration(duration) {
+    return duration !== null ? `${duration.toFixed(2)} s` : '? s';
+}
+
+/**
+ * Display extracted animations in the UI
+ * @param {Array} animations - The extracted animations
+ * @param {Object} gltfData - The parsed glTF data the clip GLBs are created from
+ */
+function displayAnimations(animations, gltfData) {
+    const animationList = document.getElementById('animation-list');
+    const downloadAnimationsBtn = document.getElementById('download-animations-btn');
+    
+    if (!animationList || !downloadAnimationsBtn) return;
+    
+    animationList.innerHTML = '';
+    
+    animations.forEach(animation => {
+        const animationItem = document.createElement('div');
+        animationItem.className = 'item-card';
+        
+        // Show the duration, with the channel count as a badge
+        const preview = document.createElement('div');
+        preview.className = 'material-preview animation-preview';
+        preview.textContent = formatAnimationDuration(animation.duration);
+        preview.title = `Animation index ${animation.index}`;
+        
+        const count = document.createElement('span');
+        count.className = 'count';
+        count.textContent = animation.channelCount;
+        count.title = `${animation.channelCount} channels`;
+        preview.appendChild(count);
+        
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'item-name';
+        nameDiv.textContent = animation.name;
+        
+        // List the targeted nodes, the full list is in the tooltip
+        const targetsDiv = document.createElement('div');
+        const hiddenTargetCount = animation.targetNodes.length - 3;
+        targetsDiv.className = 'animation-targets';
+        targetsDiv.textContent = `Targets: ${animation.targetNodes.slice(0, 3).join(', ') || 'none'}${hiddenTargetCount > 0 ? ` +${hiddenTargetCount} more` : ''}`;
+        targetsDiv.title = animation.targetNodes.join(', ');
+        
+        animationItem.appendChild(preview);
+        animationItem.appendChild(nameDiv);
+        animationItem.appendChild(targetsDiv);
+        
+        // The clip GLB is only created when it is downloaded
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'item-download';
+        downloadBtn.textContent = 'Download GLB';
+        downloadBtn.addEventListener('click', () => {
+            downloadAnimation(gltfData, animation);
+        });
+        
+        animationItem.appendChild(downloadBtn);
+        animationList.appendChild(animationItem);
+    });
+    
+    downloadAnimationsBtn.disabled = animations.length === 0;
+}
+
+/**
+ * Create and download the GLB file of a single animation clip
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} animation - The animation to download
+ * @param {Object} options - Export options (see createGLBForAnimation)
+ * @returns {boolean} - Whether the clip could be exported
+ */
+function downloadAnimation(gltfData, animation, options = {}) {
+    const glbData = createGLBForAnimation(gltfData, animation.index, options);
+    if (!glbData) {
+        log(`No GLB data available for animation ${animation.name}`, 'error');
+        return false;
+    }
+    
+    const blob = new Blob([glbData], {
+        type: 'model/gltf-binary',
+        lastModified: new Date().getTime()
+    });
+    
+    saveAs(blob, getAnimationFileName(animation));
+    return true;
+}
+
+/**
+ * Download the GLB files of all animation clips as a ZIP file
+ * @param {string} zipFileName - The name of the ZIP file
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Array} animations - The animations to download
+ * @param {Object} options - Export options (see createGLBForAnimation)
+ * @returns {Promise<boolean>} - Whether the download was started
+ */
+async function downloadAllAnimations(zipFileName, gltfData, animations, options = {}) {
+    if (animations.length === 0) return false;
+    
+    const zip = new JSZip();
+    const usedFileNames = new Set();
+    let clipCount = 0;
+    
+    // Add each clip GLB to the ZIP file, keeping file names unique
+    animations.forEach(animation => {
+        const glbData = createGLBForAnimation(gltfData, animation.index, options);
+        if (!glbData) return;
+        
+        zip.file(getUniqueFileName(getAnimationFileName(animation), usedFileNames), glbData);
+        clipCount++;
+    });
+    
+    if (clipCount === 0) return false;
+    
+    log(`Packing ${clipCount} animation GLB files into ${zipFileName}`);
+    
+    return downloadZip(zip, zipFileName);
+}
+
+// Export animation functions
+window.AnimationExtractor = {
+    extractAnimationsFromGLTF,
+    getAnimationDuration,
+    createGLBForAnimation,
+    displayAnimations,
+    downloadAnimation,
+    downloadAllAnimations
+};
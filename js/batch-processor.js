@@ -0,0 +1,209 @@
+/**
+ * GLB Extractor Tool - Batch Processor
+ * Contains functions for processing many model files in a queue and packing all results into one ZIP
+ */
+
+// Use utility functions from the main modules
+var { log, getFilePath, getUniqueFileName, formatFileSize, downloadZip } = window.GlbExtractorUtils;
+var { getTextureUsageRecord, getTextureFileName } = window.TextureExtractor;
+var { getMaterialFileName } = window.MaterialExtractor;
+var { startExtractionJob } = window.ExtractionPipeline;
+
+/**
+ * Add the textures and split parts of one processed model file to its folder of the ZIP file
+ * @param {JSZip} folder - The ZIP folder of the model
+ * @param {Object} result - The result of the model's extraction job
+ * @param {Object} options - { textures, parts }
+ * @returns {Object} - { textureCount, partCount }
+ */
+function addBatchFileResult(folder, result, options) {
+    let textureCount = 0;
+    let partCount = 0;
+    
+    if (options.textures && result.textures.length > 0) {
+        const usedFileNames = new Set(['textures.json']);
+        
+        const fileNames = result.textures.map(texture => {
+            const fileName = getUniqueFileName(getTextureFileName(texture), usedFileNames);
+            folder.file(`textures/${fileName}`, texture.data);
+            return fileName;
+        });
+        folder.file('textures/textures.json', JSON.stringify(getTextureUsageRecord(result.textures, fileNames), null, 2));
+        
+        textureCount = result.textures.length;
+    }
+    
+    if (options.parts) {
+        const usedFileNames = new Set();
+        
+        result.parts.filter(part => part.glbData).forEach(part => {
+            folder.file(`materials/${getUniqueFileName(getMaterialFileName(part), usedFileNames)}`, part.glbData);
+            partCount++;
+        });
+    }
+    
+    return { textureCount, partCount };
+}
+
+/**
+ * Start processing model files one after another, each in its own extraction job, packing the
+ * results of each into its own ZIP folder (`<model>/textures/...` and `<model>/materials/...`)
+ * @param {Array} modelFiles - The .glb/.gltf files to process
+ * @param {Array} resourceFiles - Files the models may reference (.bin buffers, images)
+ * @param {Object} options - { textures, parts, splitMode, materialMode }
+ * @param {Function} onUpdate - Called with (fileIndex, { status, progress, message }) as the queue advances
+ * @returns {Object} - { promise, cancel }; the promise resolves with { zip, results }, or null if cancelled.
+ *                     results hold { file, folderName, status, textureCount, partCount, error } per file
+ */
+function startBatchJob(modelFiles, resourceFiles, options, onUpdate = () => {}) {
+    let cancelled = false;
+    let fileJob = null;
+    let fileJobIndex = -1;
+    
+    const processFiles = async () => {
+        const zip = new JSZip();
+        const usedFolderNames = new Set();
+        const results = [];
+        
+        log(`Starting batch of ${modelFiles.length} model files`);
+        
+        for (let fileIndex = 0; fileIndex < modelFiles.length; fileIndex++) {
+            // Let the page repaint between files, and the caller take the job before the first update
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (cancelled) return null;
+            
+            const file = modelFiles[fileIndex];
+            const baseName = file.name.replace(/\.[^/.]+$/, '').replace(/[^a-z0-9_\-]/gi, '_');
+            const folderName = getUniqueFileName(baseName, usedFolderNames);
+            const result = { file, folderName, status: 'processing', textureCount: 0, partCount: 0, error: null };
+            results.push(result);
+            
+            log(`Batch file ${fileIndex + 1} of ${modelFiles.length}: ${getFilePath(file)} (${formatFileSize(file.size)})`);
+            onUpdate(fileIndex, { status: 'processing', progress: 0, message: 'Processing...' });
+            
+            try {
+                fileJobIndex = fileIndex;
+                fileJob = startExtractionJob(file, resourceFiles, {
+                    parts: options.parts,
+                    splitMode: options.splitMode,
+                    materialMode: options.materialMode
+                }, update => {
+                    onUpdate(fileIndex, { status: 'processing', progress: update.progress, message: update.message });
+                });
+                const fileResult = await fileJob.promise;
+                fileJob = null;
+                
+                // A cancelled job resolves with null
+                if (!fileResult) return null;
+                
+                const counts = addBatchFileResult(zip.folder(folderName), fileResult, options);
+                
+                result.status = 'done';
+                result.textureCount = counts.textureCount;
+                result.partCount = counts.partCount;
+                
+                const summary = [];
+                if (options.textures) summary.push(`${counts.textureCount} textures`);
+                if (options.parts) summary.push(`${counts.partCount} parts`);
+                onUpdate(fileIndex, { status: 'done', progress: 100, message: summary.join(', ') || 'Done' });
+            } catch (error) {
+                fileJob = null;
+                console.error(`Error processing ${file.name}:`, error);
+                log(`Error processing ${file.name}: ${error.message}`, 'error');
+                
+                // Leave no half-filled folder behind for a failed model
+                zip.remove(folderName);
+                usedFolderNames.delete(folderName);
+                
+                result.status = 'error';
+                result.error = error.message;
+                onUpdate(fileIndex, { status: 'error', progress: 0, message: error.message });
+            }
+        }
+        
+        const failedCount = results.filter(result => result.status === 'error').length;
+        log(`Batch finished: ${results.length - failedCount} models processed, ${failedCount} failed`);
+        
+        return { zip, results };
+    };
+    
+    return {
+        promise: processFiles(),
+        cancel() {
+            cancelled = true;
+            if (fileJob) {
+                fileJob.cancel();
+                onUpdate(fileJobIndex, { status: 'cancelled', progress: 0, message: 'Cancelled' });
+            } else {
+                log('Processing cancelled', 'warning');
+            }
+        }
+    };
+}
+
+/**
+ * Display the batch queue in the UI, one row per model file
+ * @param {Array} modelFiles - The queued model files
+ */
+function displayBatchQueue(modelFiles) {
+    const batchList = document.getElementById('batch-list');
+    if (!batchList) return;
+    
+    batchList.innerHTML = '';
+    
+    modelFiles.forEach((file, fileIndex) => {
+        const row = document.createElement('tr');
+        row.id = `batch-item-${fileIndex}`;
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = getFilePath(file);
+        nameCell.title = formatFileSize(file.size);
+        
+        const progressCell = document.createElement('td');
+        const progress = document.createElement('progress');
+        progress.max = 100;
+        progress.value = 0;
+        progressCell.appendChild(progress);
+        
+        const statusCell = document.createElement('td');
+        statusCell.className = 'batch-status';
+        statusCell.textContent = 'Queued';
+        
+        row.appendChild(nameCell);
+        row.appendChild(progressCell);
+        row.appendChild(statusCell);
+        batchList.appendChild(row);
+    });
+}
+
+/**
+ * Update the row of a queued model file
+ * @param {number} fileIndex - The index of the file in the queue
+ * @param {Object} update - { status, progress, message }
+ */
+function updateBatchItem(fileIndex, update) {
+    const row = document.getElementById(`batch-item-${fileIndex}`);
+    if (!row) return;
+    
+    row.className = `batch-${update.status}`;
+    row.querySelector('progress').value = update.progress;
+    row.querySelector('.batch-status').textContent = update.message;
+}
+
+/**
+ * Download the combined batch ZIP file
+ * @param {JSZip} zip - The ZIP file filled by startBatchJob
+ * @param {string} zipFileName - The name of the ZIP file
+ * @returns {Promise<boolean>} - Whether the download was started
+ */
+function downloadBatchZip(zip, zipFileName) {
+    return downloadZip(zip, zipFileName);
+}
+
+// Export batch functions
+window.BatchProcessor = {
+    startBatchJob,
+    displayBatchQueue,
+    updateBatchItem,
+    downloadBatchZip
+};
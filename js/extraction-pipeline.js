@@ -0,0 +1,228 @@
+/**
+ * GLB Extractor Tool - Extraction Pipeline
+ * Contains the heavy processing steps of a model file (parsing, validation, decompression,
+ * texture extraction and splitting) and runs them in a Web Worker with progress and cancellation
+ */
+
+// Use utility functions from the main modules
+var { log, getFilePath, readFileAsArrayBuffer } = window.GlbExtractorUtils;
+var { parseGLTF } = window.GlbParser;
+var { validateGLTF } = window.GltfValidator;
+var { decompressGLTF } = window.MeshDecompressor;
+var { extractTexturesFromGLTF } = window.TextureExtractor;
+var { extractSplitParts, createGLBForPart } = window.SubsetExporter;
+var { computeModelStats } = window.ModelStats;
+var { convertGLTFToGLB } = window.FormatConverter;
+
+// Worker script, relative to the page
+const EXTRACTION_WORKER_URL = 'js/extraction-worker.js';
+
+/**
+ * Run every heavy processing step of a model file
+ * @param {File} file - The .glb/.gltf file
+ * @param {Array} resourceFiles - Files the model may reference (.bin buffers, images)
+ * @param {Object} options - { parts, splitMode, materialMode, viewer }
+ * @param {Function} onProgress - Called with { progress, message } after each step, image and part
+ * @returns {Promise<Object>} - { gltfData, validationReport, stats, textures, parts, viewerGlbData }
+ */
+async function runExtractionPipeline(file, resourceFiles, options, onProgress = () => {}) {
+    onProgress({ progress: 5, message: 'Reading file' });
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    
+    onProgress({ progress: 10, message: 'Parsing' });
+    const gltfData = await parseGLTF(file, arrayBuffer, resourceFiles);
+    
+    // Validate the file as uploaded, before anything is decompressed or rewritten
+    onProgress({ progress: 15, message: 'Validating' });
+    const validationReport = validateGLTF(gltfData, file.name);
+    
+    // Expand compressed data (meshopt, Draco) so every step below sees plain accessors
+    onProgress({ progress: 20, message: 'Decompressing' });
+    await decompressGLTF(gltfData);
+    
+    // Images are always extracted, the statistics need their dimensions
+    const textures = extractTexturesFromGLTF(gltfData.json, gltfData.buffers, gltfData.externalResources, (imageCount, totalCount) => {
+        onProgress({ progress: 25 + Math.round(30 * imageCount / totalCount), message: `Image ${imageCount} of ${totalCount}` });
+    });
+    
+    const stats = computeModelStats(gltfData, textures);
+    
+    // The viewer's loader has no decoders, so it is given the decompressed model as one GLB
+    let viewerGlbData = null;
+    if (options.viewer) {
+        onProgress({ progress: 58, message: 'Preparing the preview' });
+        viewerGlbData = convertGLTFToGLB(gltfData);
+    }
+    
+    let parts = [];
+    if (options.parts) {
+        parts = extractSplitParts(gltfData.json, options.splitMode);
+        
+        for (let i = 0; i < parts.length; i++) {
+            onProgress({ progress: 60 + Math.round(40 * i / parts.length), message: `Part ${i + 1} of ${parts.length}: ${parts[i].name}` });
+            
+            // Give a cancel request on the page a chance to run between parts
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            log(`Processing GLB for ${options.splitMode} ${i + 1} of ${parts.length}: ${parts[i].name}`);
+            parts[i].glbData = createGLBForPart(gltfData, parts[i], { mode: options.materialMode });
+            log(`Finished GLB for ${options.splitMode} ${i + 1}: ${parts[i].name}`);
+        }
+    }
+    
+    onProgress({ progress: 100, message: 'Done' });
+    
+    return { gltfData, validationReport, stats, textures, parts, viewerGlbData };
+}
+
+/**
+ * Collect the ArrayBuffers of a pipeline result, each once, so they can be transferred instead of copied
+ * @param {Object} result - The result of runExtractionPipeline
+ * @returns {Array} - The ArrayBuffers
+ */
+function getResultTransferables(result) {
+    const transferables = new Set();
+    const addBuffer = (data) => {
+        if (data instanceof ArrayBuffer) {
+            transferables.add(data);
+        } else if (data && ArrayBuffer.isView(data)) {
+            transferables.add(data.buffer);
+        }
+    };
+    
+    const { gltfData } = result;
+    (gltfData.buffers || []).forEach(addBuffer);
+    addBuffer(gltfData.binaryChunk);
+    addBuffer(gltfData.originalArrayBuffer);
+    Object.values(gltfData.externalResources || {}).forEach(addBuffer);
+    result.textures.forEach(texture => addBuffer(texture.data));
+    result.parts.forEach(part => addBuffer(part.glbData));
+    addBuffer(result.viewerGlbData);
+    
+    return Array.from(transferables);
+}
+
+/**
+ * Drop the selections of split parts, some hold filter functions that cannot be posted between threads
+ * @param {Object} result - The result of runExtractionPipeline
+ * @returns {Object} - The result, ready for postMessage
+ */
+function removePartSelections(result) {
+    return { ...result, parts: result.parts.map(({ selection, ...part }) => part) };
+}
+
+/**
+ * Give split parts that came from the worker their selections back
+ * @param {Object} result - The result posted by the worker
+ * @param {Object} options - The options the job ran with
+ */
+function restorePartSelections(result, options) {
+    if (!options.parts || result.parts.length === 0) return;
+    
+    // Splitting only reads the JSON, so the same parts come out in the same order
+    const parts = extractSplitParts(result.gltfData.json, options.splitMode);
+    result.parts.forEach((part, partIndex) => {
+        part.selection = parts[partIndex].selection;
+    });
+}
+
+/**
+ * Start processing a model file in a Web Worker. Pages that cannot start workers
+ * (e.g. opened from file://) run the same pipeline on the main thread.
+ * @param {File} file - The .glb/.gltf file
+ * @param {Array} resourceFiles - Files the model may reference (.bin buffers, images)
+ * @param {Object} options - { parts, splitMode, materialMode, viewer } (see runExtractionPipeline)
+ * @param {Function} onProgress - Called with { progress, message } as the job advances
+ * @returns {Object} - { promise, cancel }; the promise resolves with the pipeline result, or null if cancelled
+ */
+function startExtractionJob(file, resourceFiles, options, onProgress = () => {}) {
+    let cancelled = false;
+    let worker = null;
+    let settle = null;
+    
+    // Start on the next tick, so no progress is reported before the caller has the job
+    const runOnMainThread = () => Promise.resolve().then(() => {
+        log('Processing on the main thread');
+        return runExtractionPipeline(file, resourceFiles, options, update => {
+            // Abort at the next step once cancelled
+            if (cancelled) throw new Error('Processing cancelled');
+            onProgress(update);
+        });
+    }).catch(error => {
+        if (cancelled) return null;
+        throw error;
+    });
+    
+    const promise = new Promise((resolve, reject) => {
+        settle = resolve;
+        
+        try {
+            worker = new Worker(EXTRACTION_WORKER_URL);
+        } catch (error) {
+            log(`Could not start the extraction worker: ${error.message}`, 'warning');
+            runOnMainThread().then(resolve, reject);
+            return;
+        }
+        
+        let started = false;
+        
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
+            
+            if (message.type === 'log') {
+                log(message.message, message.level);
+            } else if (message.type === 'progress') {
+                onProgress(message.update);
+            } else if (message.type === 'result') {
+                worker.terminate();
+                restorePartSelections(message.result, options);
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.terminate();
+            
+            // A worker that fails before its first message could not be loaded at all
+            if (!started) {
+                log(`Could not load the extraction worker: ${event.message || 'unknown error'}`, 'warning');
+                runOnMainThread().then(resolve, reject);
+            } else {
+                reject(new Error(event.message || 'Extraction worker failed'));
+            }
+        };
+        
+        // Dropped files keep their folder path in an expando property, which does not survive postMessage
+        worker.postMessage({
+            file,
+            filePath: getFilePath(file),
+            resourceFiles: resourceFiles.map(resourceFile => ({ file: resourceFile, filePath: getFilePath(resourceFile) })),
+            options
+        });
+    });
+    
+    return {
+        promise,
+        cancel() {
+            cancelled = true;
+            if (worker) {
+                worker.terminate();
+            }
+            settle(null);
+            log('Processing cancelled', 'warning');
+        }
+    };
+}
+
+// Export pipeline functions
+window.ExtractionPipeline = {
+    runExtractionPipeline,
+    getResultTransferables,
+    removePartSelections,
+    startExtractionJob
+};
@@ -0,0 +1,51 @@
+/**
+ * GLB Extractor Tool - Extraction Worker
+ * Runs the extraction pipeline off the main thread and sends the result back with transferable ArrayBuffers
+ */
+
+// The modules register themselves on window, which is the worker's global scope here
+self.window = self;
+
+importScripts(
+    'lib/draco/draco_decoder.js',
+    'lib/meshopt/meshopt_decoder.js',
+    'utility-functions.js',
+    'glb-parser.js',
+    'gltf-validator.js',
+    'mesh-decompressor.js',
+    'texture-converter.js',
+    'texture-extractor.js',
+    'material-extractor.js',
+    'subset-exporter.js',
+    'geometry-exporter.js',
+    'model-stats.js',
+    'format-converter.js',
+    'extraction-pipeline.js'
+);
+
+// Forward log messages to the page's debug log
+setLogHandler((message, type) => {
+    self.postMessage({ type: 'log', message, level: type });
+});
+
+self.onmessage = async (event) => {
+    const { file, filePath, resourceFiles, options } = event.data;
+    
+    // Restore the folder paths external resources are resolved by
+    file.relativePath = filePath;
+    const files = resourceFiles.map(resource => {
+        resource.file.relativePath = resource.filePath;
+        return resource.file;
+    });
+    
+    try {
+        const result = await runExtractionPipeline(file, files, options, update => {
+            self.postMessage({ type: 'progress', update });
+        });
+        
+        self.postMessage({ type: 'result', result: removePartSelections(result) }, getResultTransferables(result));
+    } catch (error) {
+        console.error('Error in extraction worker:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,382 @@
+/**
+ * GLB Extractor Tool - Format Converter
+ * Contains functions for converting between .gltf (JSON + resources) and .glb
+ */
+
+// Use utility functions from the main modules
+var { log, packGLB, formatFileSize, decodeDataUri, getMimeTypeFromUri, getUniqueFileName, downloadZip } = window.GlbExtractorUtils;
+var { getBufferViewData } = window.GlbParser;
+var { findMeaningfulTextureName, getTextureFileName } = window.TextureExtractor;
+var { getSourceGLTFData } = window.MeshDecompressor;
+
+/**
+ * Concatenate chunks of binary data into one buffer, aligning each chunk to 4 bytes
+ * @param {Array} chunks - An array of ArrayBuffer / Uint8Array chunks
+ * @returns {Object} - { data: ArrayBuffer, offsets: Array } with the offset of every chunk
+ */
+function concatenateChunks(chunks) {
+    const offsets = [];
+    let totalLength = 0;
+    
+    chunks.forEach(chunk => {
+        // Keep every chunk 4-byte aligned so accessors stay aligned
+        totalLength += (4 - (totalLength % 4)) % 4;
+        offsets.push(totalLength);
+        totalLength += chunk.byteLength;
+    });
+    
+    const data = new ArrayBuffer(totalLength);
+    const bytes = new Uint8Array(data);
+    chunks.forEach((chunk, index) => {
+        bytes.set(new Uint8Array(chunk), offsets[index]);
+    });
+    
+    return { data, offsets };
+}
+
+/**
+ * Get the name of the meshopt compression extension of a bufferView
+ * @param {Object} bufferView - The glTF bufferView
+ * @returns {string|null} - EXT_meshopt_compression or KHR_meshopt_compression, or null if not compressed
+ */
+function getMeshoptExtensionName(bufferView) {
+    const extensions = bufferView.extensions || {};
+    return ['EXT_meshopt_compression', 'KHR_meshopt_compression'].find(name => extensions[name]) || null;
+}
+
+/**
+ * Lay out bufferViews one after another in a single new buffer 0, followed by extra chunks such
+ * as embedded images. Meshopt-compressed bufferViews keep their compressed bytes in buffer 0;
+ * those whose fallback buffer holds no data keep pointing at it, as a data-less buffer after buffer 0.
+ * @param {Object} gltf - The glTF JSON structure (not changed)
+ * @param {Array} buffers - The resolved buffers
+ * @param {Array} bufferViewIndices - The bufferViews to keep, in their new order
+ * @param {Array} extraChunks - ArrayBuffers appended after the bufferViews
+ * @returns {Object} - { bufferViews, fallbackBuffers, data, extraOffsets }
+ */
+function mergeBufferViews(gltf, buffers, bufferViewIndices, extraChunks = []) {
+    const chunks = [];
+    const fallbackBuffers = [];
+    const oldToNewFallbackBufferIndex = {};
+    
+    const layouts = bufferViewIndices.map(bufferViewIndex => {
+        const bufferView = gltf.bufferViews[bufferViewIndex];
+        const extensionName = getMeshoptExtensionName(bufferView);
+        const layout = { bufferView, extensionName, chunkIndex: -1, compressedChunkIndex: -1, fallbackBufferIndex: -1 };
+        
+        if (extensionName) {
+            const compression = bufferView.extensions[extensionName];
+            const source = buffers[compression.buffer];
+            if (!source) {
+                throw new Error(`Buffer ${compression.buffer} used by the compressed data of bufferView ${bufferViewIndex} is not available`);
+            }
+            
+            const start = compression.byteOffset || 0;
+            layout.compressedChunkIndex = chunks.length;
+            chunks.push(source.slice(start, start + compression.byteLength));
+            
+            // The decoder fills a fallback buffer without data, so there is nothing to copy
+            const bufferIndex = bufferView.buffer || 0;
+            if (!buffers[bufferIndex]) {
+                if (oldToNewFallbackBufferIndex[bufferIndex] === undefined) {
+                    const { uri, ...fallbackBuffer } = gltf.buffers[bufferIndex];
+                    oldToNewFallbackBufferIndex[bufferIndex] = 1 + fallbackBuffers.length;
+                    fallbackBuffers.push(fallbackBuffer);
+                }
+                layout.fallbackBufferIndex = oldToNewFallbackBufferIndex[bufferIndex];
+                return layout;
+            }
+        }
+        
+        layout.chunkIndex = chunks.length;
+        chunks.push(getBufferViewData(gltf, buffers, bufferViewIndex));
+        return layout;
+    });
+    
+    const extraChunkStart = chunks.length;
+    chunks.push(...extraChunks);
+    const merged = concatenateChunks(chunks);
+    
+    const bufferViews = layouts.map(({ bufferView, extensionName, chunkIndex, compressedChunkIndex, fallbackBufferIndex }) => {
+        const newBufferView = fallbackBufferIndex !== -1
+            ? { ...bufferView, buffer: fallbackBufferIndex }
+            : { ...bufferView, buffer: 0, byteOffset: merged.offsets[chunkIndex] };
+        
+        if (extensionName) {
+            newBufferView.extensions = {
+                ...bufferView.extensions,
+                [extensionName]: {
+                    ...bufferView.extensions[extensionName],
+                    buffer: 0,
+                    byteOffset: merged.offsets[compressedChunkIndex]
+                }
+            };
+        }
+        return newBufferView;
+    });
+    
+    return {
+        bufferViews,
+        fallbackBuffers,
+        data: merged.data,
+        extraOffsets: merged.offsets.slice(extraChunkStart)
+    };
+}
+
+/**
+ * Get the bytes of an image referenced by URI (data URI or uploaded external file)
+ * @param {Object} image - The glTF image
+ * @param {Object} externalResources - Map of external URI to ArrayBuffer
+ * @returns {Object|null} - { data, mimeType }, or null if the image is not available
+ */
+function getImageUriData(image, externalResources = {}) {
+    if (image.uri.startsWith('data:')) {
+        const decoded = decodeDataUri(image.uri);
+        return decoded ? { data: decoded.data, mimeType: image.mimeType || decoded.mimeType } : null;
+    }
+    
+    if (externalResources[image.uri]) {
+        return {
+            data: externalResources[image.uri],
+            mimeType: image.mimeType || getMimeTypeFromUri(image.uri)
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Convert a parsed glTF (JSON + buffers + images) into a single self-contained GLB
+ * @param {Object} gltfData - The parsed glTF data (see GlbParser.parseGLTF)
+ * @returns {ArrayBuffer} - The GLB file, or null if the conversion failed
+ */
+function convertGLTFToGLB(gltfData) {
+    try {
+        log('Converting glTF to a self-contained GLB');
+        
+        const newGltf = JSON.parse(JSON.stringify(gltfData.json));
+        const buffers = gltfData.buffers || [gltfData.binaryChunk];
+        
+        // Images referenced by URI become new bufferViews appended at the end
+        const embeddedImages = [];
+        (newGltf.images || []).forEach((image, imageIndex) => {
+            if (!image.uri) return;
+            
+            const imageData = getImageUriData(image, gltfData.externalResources);
+            if (!imageData) {
+                log(`Image ${imageIndex} (${image.uri}) is not available and stays an external reference`, 'warning');
+                return;
+            }
+            
+            log(`Embedding image ${imageIndex} (${image.uri.startsWith('data:') ? 'data URI' : image.uri}): ${formatFileSize(imageData.data.byteLength)}`);
+            embeddedImages.push({ image, mimeType: imageData.mimeType, data: imageData.data });
+        });
+        
+        // Every existing bufferView keeps its index, only its location changes
+        const merged = mergeBufferViews(newGltf, buffers, (newGltf.bufferViews || []).map((bufferView, index) => index),
+            embeddedImages.map(embeddedImage => embeddedImage.data));
+        newGltf.bufferViews = merged.bufferViews;
+        
+        // Swap image URIs for bufferView references
+        embeddedImages.forEach(({ image, mimeType, data }, index) => {
+            image.bufferView = newGltf.bufferViews.length;
+            image.mimeType = mimeType;
+            delete image.uri;
+            
+            newGltf.bufferViews.push({
+                buffer: 0,
+                byteOffset: merged.extraOffsets[index],
+                byteLength: data.byteLength
+            });
+        });
+        
+        if (newGltf.bufferViews.length === 0) {
+            delete newGltf.bufferViews;
+        }
+        
+        // A GLB has a single buffer without uri, stored in the BIN chunk; meshopt fallback buffers follow it
+        if (merged.data.byteLength > 0) {
+            newGltf.buffers = [{ byteLength: merged.data.byteLength }, ...merged.fallbackBuffers];
+        } else {
+            delete newGltf.buffers;
+        }
+        
+        log(`Merged ${buffers.length} buffers and ${embeddedImages.length} images into a ${formatFileSize(merged.data.byteLength)} BIN chunk`);
+        
+        // The given data is copied as-is: no sanitizing
+        return packGLB(newGltf, merged.data.byteLength > 0 ? merged.data : null, { sanitize: false });
+    } catch (error) {
+        log(`Error converting glTF to GLB: ${error.message}`, 'error');
+        console.error(error);
+        return null;
+    }
+}
+
+/**
+ * Convert a parsed glTF to GLB and download it
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {string} fileName - The name of the GLB file
+ * @returns {boolean} - Whether the conversion succeeded
+ */
+function downloadAsGLB(gltfData, fileName) {
+    // Converting must not change the compression, so the uploaded data is used
+    const glbData = convertGLTFToGLB(getSourceGLTFData(gltfData));
+    if (!glbData) return false;
+    
+    const blob = new Blob([glbData], {
+        type: 'model/gltf-binary',
+        lastModified: new Date().getTime()
+    });
+    
+    saveAs(blob, fileName);
+    return true;
+}
+
+/**
+ * Call a function for every bufferView reference in a glTF JSON object
+ * (accessors, sparse accessors, images and extensions such as Draco)
+ * @param {Object} obj - The object to walk
+ * @param {Function} callback - Called with (owner, bufferViewIndex)
+ */
+function forEachBufferViewReference(obj, callback) {
+    if (!obj || typeof obj !== 'object') return;
+    
+    for (const key in obj) {
+        if (key === 'bufferView' && typeof obj[key] === 'number') {
+            callback(obj, obj[key]);
+        } else if (key !== 'bufferViews') {
+            forEachBufferViewReference(obj[key], callback);
+        }
+    }
+}
+
+/**
+ * Unpack a parsed GLB into a .gltf JSON, a .bin buffer and loose image files
+ * @param {Object} gltfData - The parsed glTF data (see GlbParser.parseGLBBinary)
+ * @param {string} baseName - The base name of the .gltf and .bin files
+ * @returns {Object} - { gltf, bin, images: [{ path, data }] }, or null if unpacking failed
+ */
+function unpackGLBToGLTF(gltfData, baseName = 'model') {
+    try {
+        log('Unpacking GLB into .gltf, .bin and texture files');
+        
+        const newGltf = JSON.parse(JSON.stringify(gltfData.json));
+        const buffers = gltfData.buffers || [gltfData.binaryChunk];
+        const images = [];
+        const usedPaths = new Set();
+        const unpackedBufferViews = new Set();
+        
+        // Write every image out as a separate file with a relative URI
+        (newGltf.images || []).forEach((image, imageIndex) => {
+            let imageData = null;
+            let mimeType = image.mimeType;
+            
+            if (image.bufferView !== undefined) {
+                imageData = getBufferViewData(newGltf, buffers, image.bufferView);
+            } else if (image.uri) {
+                const uriData = getImageUriData(image, gltfData.externalResources);
+                if (uriData) {
+                    imageData = uriData.data;
+                    mimeType = uriData.mimeType;
+                }
+            }
+            
+            if (!imageData) {
+                log(`Image ${imageIndex} has no data available and is left unchanged`, 'warning');
+                return;
+            }
+            
+            // Name the file after the texture's role, keeping paths unique
+            const name = findMeaningfulTextureName(newGltf, imageIndex, image.name || `image_${imageIndex}`);
+            const path = getUniqueFileName(`textures/${getTextureFileName({ name, mimeType, data: imageData })}`, usedPaths);
+            
+            images.push({ path, data: imageData });
+            log(`Unpacked image ${imageIndex} to ${path} (${formatFileSize(imageData.byteLength)})`);
+            
+            if (image.bufferView !== undefined) {
+                unpackedBufferViews.add(image.bufferView);
+            }
+            
+            image.uri = encodeURI(path);
+            image.mimeType = mimeType;
+            delete image.bufferView;
+        });
+        
+        // Drop the bufferViews that only held unpacked images, keeping the original order
+        const stillReferenced = new Set();
+        forEachBufferViewReference(newGltf, (owner, bufferViewIndex) => stillReferenced.add(bufferViewIndex));
+        
+        const keptBufferViews = [];
+        const oldToNewBufferViewIndex = {};
+        (newGltf.bufferViews || []).forEach((bufferView, bufferViewIndex) => {
+            if (unpackedBufferViews.has(bufferViewIndex) && !stillReferenced.has(bufferViewIndex)) return;
+            
+            oldToNewBufferViewIndex[bufferViewIndex] = keptBufferViews.length;
+            keptBufferViews.push(bufferViewIndex);
+        });
+        
+        const merged = mergeBufferViews(newGltf, buffers, keptBufferViews);
+        newGltf.bufferViews = merged.bufferViews;
+        
+        forEachBufferViewReference(newGltf, (owner, bufferViewIndex) => {
+            owner.bufferView = oldToNewBufferViewIndex[bufferViewIndex];
+        });
+        
+        if (newGltf.bufferViews.length === 0) {
+            delete newGltf.bufferViews;
+        }
+        
+        // A single external buffer next to the .gltf file; meshopt fallback buffers follow it
+        if (merged.data.byteLength > 0) {
+            newGltf.buffers = [{ uri: encodeURI(`${baseName}.bin`), byteLength: merged.data.byteLength }, ...merged.fallbackBuffers];
+        } else {
+            delete newGltf.buffers;
+        }
+        
+        log(`Unpacked ${images.length} images and a ${formatFileSize(merged.data.byteLength)} buffer`);
+        
+        return {
+            gltf: newGltf,
+            bin: merged.data.byteLength > 0 ? merged.data : null,
+            images
+        };
+    } catch (error) {
+        log(`Error unpacking GLB: ${error.message}`, 'error');
+        console.error(error);
+        return null;
+    }
+}
+
+/**
+ * Unpack a parsed GLB and download it as a ZIP of .gltf, .bin and texture files
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {string} zipFileName - The name of the ZIP file
+ * @returns {Promise<boolean>} - Whether unpacking succeeded and the download was started
+ */
+async function downloadUnpackedZip(gltfData, zipFileName) {
+    const baseName = 'model';
+    // Unpacking must not change the compression, so the uploaded data is used
+    const unpacked = unpackGLBToGLTF(getSourceGLTFData(gltfData), baseName);
+    if (!unpacked) return false;
+    
+    const zip = new JSZip();
+    
+    // Pretty-printed so the JSON can be edited by hand
+    zip.file(`${baseName}.gltf`, JSON.stringify(unpacked.gltf, null, 2));
+    if (unpacked.bin) {
+        zip.file(`${baseName}.bin`, unpacked.bin);
+    }
+    unpacked.images.forEach(image => {
+        zip.file(image.path, image.data);
+    });
+    
+    return downloadZip(zip, zipFileName);
+}
+
+// Export converter functions
+window.FormatConverter = {
+    convertGLTFToGLB,
+    downloadAsGLB,
+    unpackGLBToGLTF,
+    downloadUnpackedZip
+};
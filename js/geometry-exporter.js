@@ -0,0 +1,485 @@
+/**
+ * GLB Extractor Tool - Geometry Exporter
+ * Contains functions for exporting the geometry of a model, or of a subset of it,
+ * to OBJ + MTL and binary STL with the node transforms baked in
+ */
+
+// Use utility functions from the main modules
+var { log, formatFileSize, downloadZip } = window.GlbExtractorUtils;
+var { readAccessor } = window.GlbParser;
+var { extractTexturesFromGLTF, getTextureFileName } = window.TextureExtractor;
+var { collectSubtreeNodes, findTopLevelNodes } = window.SubsetExporter;
+
+/**
+ * Build the local transform matrix of a node (column-major, as in glTF)
+ * @param {Object} node - The glTF node
+ * @returns {Array} - The 4x4 matrix as 16 numbers
+ */
+function getNodeMatrix(node) {
+    if (node.matrix && node.matrix.length === 16) {
+        return node.matrix.slice();
+    }
+    
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+    
+    return [
+        (1 - 2 * (qy * qy + qz * qz)) * sx, (2 * (qx * qy + qz * qw)) * sx, (2 * (qx * qz - qy * qw)) * sx, 0,
+        (2 * (qx * qy - qz * qw)) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, (2 * (qy * qz + qx * qw)) * sy, 0,
+        (2 * (qx * qz + qy * qw)) * sz, (2 * (qy * qz - qx * qw)) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+/**
+ * Multiply two column-major 4x4 matrices
+ * @param {Array} a - The left matrix
+ * @param {Array} b - The right matrix
+ * @returns {Array} - a * b
+ */
+function multiplyMatrices(a, b) {
+    const result = new Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            result[column * 4 + row] = sum;
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the matrix that transforms normals: the inverse transpose of the upper 3x3 of a matrix
+ * @param {Array} m - The column-major 4x4 matrix
+ * @returns {Object} - { matrix: 3x3 column-major normal matrix, determinant }
+ */
+function getNormalMatrix(m) {
+    const [a, b, c, d, e, f, g, h, i] = [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]];
+    const determinant = a * (e * i - f * h) - d * (b * i - c * h) + g * (b * f - c * e);
+    const inverse = determinant !== 0 ? 1 / determinant : 0;
+    
+    // The cofactor matrix equals the inverse transpose times the determinant
+    return {
+        matrix: [
+            (e * i - f * h) * inverse, (g * f - d * i) * inverse, (d * h - g * e) * inverse,
+            (h * c - b * i) * inverse, (a * i - g * c) * inverse, (g * b - a * h) * inverse,
+            (b * f - e * c) * inverse, (d * c - a * f) * inverse, (a * e - d * b) * inverse
+        ],
+        determinant
+    };
+}
+
+/**
+ * Turn the index list of a primitive into a triangle list (modes 4, 5 and 6)
+ * @param {number} mode - The primitive mode
+ * @param {Array} indices - The vertex indices of the primitive
+ * @returns {Array} - The vertex indices of the triangles, three per triangle, or null for points and lines
+ */
+function toTriangleList(mode, indices) {
+    if (mode === 4) {
+        return indices.slice(0, indices.length - indices.length % 3);
+    }
+    
+    const triangles = [];
+    if (mode === 5) {
+        // Triangle strip: every other triangle is flipped to keep the winding consistent
+        for (let i = 0; i + 2 < indices.length; i++) {
+            if (i % 2 === 0) {
+                triangles.push(indices[i], indices[i + 1], indices[i + 2]);
+            } else {
+                triangles.push(indices[i + 1], indices[i], indices[i + 2]);
+            }
+        }
+        return triangles;
+    }
+    if (mode === 6) {
+        for (let i = 1; i + 1 < indices.length; i++) {
+            triangles.push(indices[0], indices[i], indices[i + 1]);
+        }
+        return triangles;
+    }
+    
+    return null;
+}
+
+/**
+ * Collect the triangles of a model, or of a subset of it, in world space.
+ * The selection has the same shape as for SubsetExporter.createSubsetGLB; without one the
+ * default scene is exported.
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} selection - What to export (null for the whole model)
+ * @returns {Array} - One entry per exported primitive instance:
+ *                    { name, material, positions, normals, uvs, triangles }
+ */
+function collectWorldGeometry(gltfData, selection = null) {
+    const gltf = gltfData.json;
+    const nodes = gltf.nodes || [];
+    const meshes = gltf.meshes || [];
+    const geometries = [];
+    const skippedModes = new Set();
+    
+    // The nodes to walk from, and the nodes whose whole meshes are exported
+    let rootNodes;
+    if (selection && selection.scene !== undefined && gltf.scenes && gltf.scenes[selection.scene]) {
+        rootNodes = gltf.scenes[selection.scene].nodes || [];
+    } else if (!selection && gltf.scenes && gltf.scenes[gltf.scene || 0]) {
+        rootNodes = gltf.scenes[gltf.scene || 0].nodes || [];
+    } else {
+        rootNodes = findTopLevelNodes(gltf);
+    }
+    const selectedNodes = selection && selection.nodes ? collectSubtreeNodes(gltf, selection.nodes) : new Set();
+    
+    // Read every accessor once, even when meshes are instanced
+    const accessorCache = new Map();
+    const read = accessorIndex => {
+        if (!accessorCache.has(accessorIndex)) {
+            accessorCache.set(accessorIndex, readAccessor(gltfData, accessorIndex));
+        }
+        return accessorCache.get(accessorIndex);
+    };
+    
+    /**
+     * Add the selected primitives of a node and walk its children
+     * @param {number} nodeIndex - The node to visit
+     * @param {Array} parentMatrix - The world matrix of the parent
+     * @param {Set} visited - Nodes on the current path (guards against cycles)
+     */
+    function visitNode(nodeIndex, parentMatrix, visited) {
+        const node = nodes[nodeIndex];
+        if (!node || visited.has(nodeIndex)) return;
+        
+        const worldMatrix = multiplyMatrices(parentMatrix, getNodeMatrix(node));
+        const mesh = node.mesh !== undefined ? meshes[node.mesh] : null;
+        
+        if (mesh) {
+            const { matrix: normalMatrix, determinant } = getNormalMatrix(worldMatrix);
+            
+            (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+                const included = !selection || selectedNodes.has(nodeIndex) ||
+                    (selection.primitives && selection.primitives(primitive, node.mesh, primitiveIndex));
+                if (!included || !primitive.attributes || primitive.attributes.POSITION === undefined) return;
+                
+                const position = read(primitive.attributes.POSITION);
+                if (!position) return;
+                
+                const indices = primitive.indices !== undefined
+                    ? Array.from(read(primitive.indices).values)
+                    : Array.from({ length: position.count }, (_, i) => i);
+                const mode = primitive.mode !== undefined ? primitive.mode : 4;
+                const triangles = toTriangleList(mode, indices);
+                if (!triangles) {
+                    skippedModes.add(mode);
+                    return;
+                }
+                
+                // A mirroring transform turns the faces inside out, so flip the winding back
+                if (determinant < 0) {
+                    for (let i = 0; i < triangles.length; i += 3) {
+                        [triangles[i + 1], triangles[i + 2]] = [triangles[i + 2], triangles[i + 1]];
+                    }
+                }
+                
+                const m = worldMatrix;
+                const positions = new Float32Array(position.count * 3);
+                for (let i = 0; i < position.count; i++) {
+                    const [x, y, z] = position.values.subarray(i * 3, i * 3 + 3);
+                    positions[i * 3] = m[0] * x + m[4] * y + m[8] * z + m[12];
+                    positions[i * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+                    positions[i * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+                }
+                
+                let normals = null;
+                const normal = primitive.attributes.NORMAL !== undefined ? read(primitive.attributes.NORMAL) : null;
+                if (normal && normal.count === position.count) {
+                    const n = normalMatrix;
+                    normals = new Float32Array(position.count * 3);
+                    for (let i = 0; i < position.count; i++) {
+                        const [x, y, z] = normal.values.subarray(i * 3, i * 3 + 3);
+                        const nx = n[0] * x + n[3] * y + n[6] * z;
+                        const ny = n[1] * x + n[4] * y + n[7] * z;
+                        const nz = n[2] * x + n[5] * y + n[8] * z;
+                        const length = Math.hypot(nx, ny, nz) || 1;
+                        normals[i * 3] = nx / length;
+                        normals[i * 3 + 1] = ny / length;
+                        normals[i * 3 + 2] = nz / length;
+                    }
+                }
+                
+                const uv = primitive.attributes.TEXCOORD_0 !== undefined ? read(primitive.attributes.TEXCOORD_0) : null;
+                
+                geometries.push({
+                    name: `${node.name || `node_${nodeIndex}`}_${primitiveIndex}`,
+                    material: primitive.material,
+                    positions,
+                    normals,
+                    uvs: uv && uv.count === position.count ? uv.values : null,
+                    triangles
+                });
+            });
+        }
+        
+        const path = new Set(visited).add(nodeIndex);
+        (node.children || []).forEach(childIndex => visitNode(childIndex, worldMatrix, path));
+    }
+    
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    rootNodes.forEach(nodeIndex => visitNode(nodeIndex, identity, new Set()));
+    
+    if (skippedModes.size > 0) {
+        log(`Skipped primitives with point or line modes (${[...skippedModes].join(', ')}), OBJ and STL export only triangles`, 'warning');
+    }
+    
+    const triangleCount = geometries.reduce((sum, geometry) => sum + geometry.triangles.length / 3, 0);
+    log(`Collected ${geometries.length} primitives with ${triangleCount} triangles in world space`);
+    
+    return geometries;
+}
+
+/**
+ * Turn a material name into a name usable in OBJ and MTL files (no whitespace)
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} materialIndex - The index of the material (undefined for the default material)
+ * @returns {string} - The MTL material name
+ */
+function getMtlMaterialName(gltf, materialIndex) {
+    const material = gltf.materials && gltf.materials[materialIndex];
+    if (!material) return 'default';
+    
+    return (material.name || `material_${materialIndex}`).replace(/\s+/g, '_');
+}
+
+/**
+ * Format a number for OBJ output
+ * @param {number} value - The number
+ * @returns {string} - The number with at most 6 decimals and no trailing zeros
+ */
+function formatObjNumber(value) {
+    return String(parseFloat(value.toFixed(6)));
+}
+
+/**
+ * Convert a model, or a subset of it, to OBJ + MTL text with world transforms baked in
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} selection - What to export (see collectWorldGeometry, null for the whole model)
+ * @param {string} baseName - The base name of the OBJ and MTL files
+ * @returns {Object} - { obj, mtl, textures: Array of { fileName, data } }, or null if there is no geometry
+ */
+function convertToOBJ(gltfData, selection, baseName) {
+    const gltf = gltfData.json;
+    const geometries = collectWorldGeometry(gltfData, selection);
+    if (geometries.length === 0) {
+        log('No triangle geometry to export', 'warning');
+        return null;
+    }
+    
+    const lines = [
+        '# Exported by GLB Extractor Tool',
+        `mtllib ${baseName}.mtl`
+    ];
+    
+    // OBJ indices are 1-based and global across the whole file
+    let vertexOffset = 1;
+    let uvOffset = 1;
+    let normalOffset = 1;
+    
+    geometries.forEach(geometry => {
+        lines.push(`o ${geometry.name.replace(/\s+/g, '_')}`);
+        
+        const vertexCount = geometry.positions.length / 3;
+        for (let i = 0; i < vertexCount; i++) {
+            lines.push(`v ${formatObjNumber(geometry.positions[i * 3])} ${formatObjNumber(geometry.positions[i * 3 + 1])} ${formatObjNumber(geometry.positions[i * 3 + 2])}`);
+        }
+        if (geometry.uvs) {
+            // glTF UVs start at the top left, OBJ UVs at the bottom left
+            for (let i = 0; i < vertexCount; i++) {
+                lines.push(`vt ${formatObjNumber(geometry.uvs[i * 2])} ${formatObjNumber(1 - geometry.uvs[i * 2 + 1])}`);
+            }
+        }
+        if (geometry.normals) {
+            for (let i = 0; i < vertexCount; i++) {
+                lines.push(`vn ${formatObjNumber(geometry.normals[i * 3])} ${formatObjNumber(geometry.normals[i * 3 + 1])} ${formatObjNumber(geometry.normals[i * 3 + 2])}`);
+            }
+        }
+        
+        lines.push(`usemtl ${getMtlMaterialName(gltf, geometry.material)}`);
+        
+        const faceVertex = index => {
+            const v = vertexOffset + index;
+            if (geometry.uvs && geometry.normals) return `${v}/${uvOffset + index}/${normalOffset + index}`;
+            if (geometry.uvs) return `${v}/${uvOffset + index}`;
+            if (geometry.normals) return `${v}//${normalOffset + index}`;
+            return `${v}`;
+        };
+        
+        for (let i = 0; i < geometry.triangles.length; i += 3) {
+            lines.push(`f ${faceVertex(geometry.triangles[i])} ${faceVertex(geometry.triangles[i + 1])} ${faceVertex(geometry.triangles[i + 2])}`);
+        }
+        
+        vertexOffset += vertexCount;
+        if (geometry.uvs) uvOffset += vertexCount;
+        if (geometry.normals) normalOffset += vertexCount;
+    });
+    
+    // One MTL entry per used material, with its base color texture when the image is available
+    const usedMaterials = [...new Set(geometries.map(geometry => geometry.material))];
+    const needsTextures = usedMaterials.some(materialIndex => {
+        const material = gltf.materials && gltf.materials[materialIndex];
+        return material && material.pbrMetallicRoughness && material.pbrMetallicRoughness.baseColorTexture;
+    });
+    const images = needsTextures ? extractTexturesFromGLTF(gltf, gltfData.buffers || [gltfData.binaryChunk], gltfData.externalResources) : [];
+    const textures = [];
+    const mtlLines = ['# Exported by GLB Extractor Tool'];
+    
+    usedMaterials.forEach(materialIndex => {
+        const material = (gltf.materials && gltf.materials[materialIndex]) || {};
+        const pbr = material.pbrMetallicRoughness || {};
+        const [r, g, b, a] = pbr.baseColorFactor || [1, 1, 1, 1];
+        
+        mtlLines.push('', `newmtl ${getMtlMaterialName(gltf, materialIndex)}`);
+        mtlLines.push(`Kd ${formatObjNumber(r)} ${formatObjNumber(g)} ${formatObjNumber(b)}`);
+        mtlLines.push('Ka 0 0 0', 'Ks 0 0 0');
+        if (material.emissiveFactor) {
+            mtlLines.push(`Ke ${material.emissiveFactor.map(formatObjNumber).join(' ')}`);
+        }
+        mtlLines.push(`d ${formatObjNumber(a)}`, 'illum 1');
+        
+        const textureInfo = pbr.baseColorTexture;
+        const texture = textureInfo && gltf.textures && gltf.textures[textureInfo.index];
+        const image = texture && images.find(candidate => candidate.imageIndex === texture.source);
+        if (image) {
+            const fileName = getTextureFileName(image);
+            if (!textures.some(existing => existing.fileName === fileName)) {
+                textures.push({ fileName, data: image.data });
+            }
+            mtlLines.push(`map_Kd ${fileName}`);
+        }
+    });
+    
+    return {
+        obj: lines.join('\n') + '\n',
+        mtl: mtlLines.join('\n') + '\n',
+        textures
+    };
+}
+
+/**
+ * Convert a model, or a subset of it, to a binary STL file with world transforms baked in
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} selection - What to export (see collectWorldGeometry, null for the whole model)
+ * @returns {ArrayBuffer} - The STL file, or null if there is no geometry
+ */
+function convertToSTL(gltfData, selection) {
+    const geometries = collectWorldGeometry(gltfData, selection);
+    const triangleCount = geometries.reduce((sum, geometry) => sum + geometry.triangles.length / 3, 0);
+    if (triangleCount === 0) {
+        log('No triangle geometry to export', 'warning');
+        return null;
+    }
+    
+    // 80-byte header, triangle count, then 50 bytes per triangle
+    const stl = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(stl);
+    const header = 'Exported by GLB Extractor Tool';
+    for (let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(80, triangleCount, true);
+    
+    let offset = 84;
+    geometries.forEach(({ positions, triangles }) => {
+        for (let i = 0; i < triangles.length; i += 3) {
+            const corners = [triangles[i], triangles[i + 1], triangles[i + 2]].map(index => positions.subarray(index * 3, index * 3 + 3));
+            
+            // STL stores the face normal, computed from the winding
+            const ux = corners[1][0] - corners[0][0], uy = corners[1][1] - corners[0][1], uz = corners[1][2] - corners[0][2];
+            const vx = corners[2][0] - corners[0][0], vy = corners[2][1] - corners[0][1], vz = corners[2][2] - corners[0][2];
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            
+            [nx / length, ny / length, nz / length].forEach(value => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            });
+            corners.forEach(corner => {
+                for (let c = 0; c < 3; c++) {
+                    view.setFloat32(offset, corner[c], true);
+                    offset += 4;
+                }
+            });
+            
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+    });
+    
+    log(`Created STL with ${triangleCount} triangles: ${formatFileSize(stl.byteLength)}`);
+    return stl;
+}
+
+/**
+ * Export a model, or a subset of it, to OBJ + MTL (and base color textures) and download them as a ZIP
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} selection - What to export (null for the whole model)
+ * @param {string} baseName - The base name of the files
+ * @returns {Promise<boolean>} - Whether the export succeeded and the download was started
+ */
+async function downloadAsOBJ(gltfData, selection, baseName) {
+    try {
+        const result = convertToOBJ(gltfData, selection, baseName);
+        if (!result) return false;
+        
+        const zip = new JSZip();
+        zip.file(`${baseName}.obj`, result.obj);
+        zip.file(`${baseName}.mtl`, result.mtl);
+        result.textures.forEach(texture => zip.file(texture.fileName, texture.data));
+        
+        log(`Packing ${baseName}.obj, ${baseName}.mtl and ${result.textures.length} textures into ${baseName}_obj.zip`);
+        
+        return await downloadZip(zip, `${baseName}_obj.zip`);
+    } catch (error) {
+        log(`Error exporting OBJ: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
+}
+
+/**
+ * Export a model, or a subset of it, to binary STL and download it
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Object} selection - What to export (null for the whole model)
+ * @param {string} baseName - The base name of the file
+ * @returns {boolean} - Whether the export succeeded
+ */
+function downloadAsSTL(gltfData, selection, baseName) {
+    try {
+        const stl = convertToSTL(gltfData, selection);
+        if (!stl) return false;
+        
+        const blob = new Blob([stl], {
+            type: 'model/stl',
+            lastModified: new Date().getTime()
+        });
+        
+        saveAs(blob, `${baseName}.stl`);
+        return true;
+    } catch (error) {
+        log(`Error exporting STL: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
+}
+
+// Export geometry functions
+window.GeometryExporter = {
+    getNodeMatrix,
+    multiplyMatrices,
+    collectWorldGeometry,
+    convertToOBJ,
+    convertToSTL,
+    downloadAsOBJ,
+    downloadAsSTL
+};
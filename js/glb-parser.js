@@ -4,25 +4,51 @@
  */
 
 // Use utility functions from the main module
-const { log } = window.GlbExtractorUtils;
+var { log, getFilePath, readFileAsArrayBuffer, decodeDataUri } = window.GlbExtractorUtils;
+
+// Number of components per accessor type
+const ACCESSOR_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Typed array and divisor (for normalized values) per accessor componentType
+const ACCESSOR_COMPONENT_TYPES = {
+    5120: { arrayType: Int8Array, divisor: 127 },
+    5121: { arrayType: Uint8Array, divisor: 255 },
+    5122: { arrayType: Int16Array, divisor: 32767 },
+    5123: { arrayType: Uint16Array, divisor: 65535 },
+    5125: { arrayType: Uint32Array, divisor: 1 },
+    5126: { arrayType: Float32Array, divisor: 1 }
+};
 
 /**
  * Parse a GLB or GLTF file
  * @param {File} file - The file to parse
  * @param {ArrayBuffer} arrayBuffer - The file content as ArrayBuffer
+ * @param {Array} resourceFiles - Other uploaded files (.bin buffers, textures) referenced by URI
  * @returns {Promise<Object>} - A promise that resolves with the parsed glTF data
  */
-async function parseGLTF(file, arrayBuffer) {
+async function parseGLTF(file, arrayBuffer, resourceFiles = []) {
     try {
         // Check if it's a GLB file (binary glTF)
         const isGLB = file.name.toLowerCase().endsWith('.glb');
         
+        let gltfData;
         if (isGLB) {
-            return parseGLBBinary(arrayBuffer);
+            gltfData = parseGLBBinary(arrayBuffer);
         } else {
             // For GLTF (JSON)
-            return parseGLTFJSON(arrayBuffer);
+            gltfData = parseGLTFJSON(arrayBuffer);
         }
+        
+        // Load buffers and images stored next to the model file
+        gltfData.externalResources = await resolveExternalResources(gltfData.json, getFilePath(file), resourceFiles);
+        
+        // Resolve again now that external .bin files are available
+        gltfData.buffers = resolveBuffers(gltfData.json, isGLB ? gltfData.binaryChunk : null, gltfData.externalResources);
+        
+        // binaryChunk always mirrors the first buffer (a .gltf may keep it in an external .bin file)
+        gltfData.binaryChunk = gltfData.buffers[0] || null;
+        
+        return gltfData;
     } catch (error) {
         log(`Error parsing GLTF: ${error.message}`, 'error');
         throw error;
@@ -99,6 +125,7 @@ function parseGLBBinary(arrayBuffer) {
             return {
                 json: gltf,
                 binaryChunk: binaryChunk,
+                buffers: resolveBuffers(gltf, binaryChunk),
                 originalArrayBuffer: arrayBuffer
             };
         } catch (jsonError) {
@@ -128,9 +155,12 @@ function parseGLTFJSON(arrayBuffer) {
             const gltf = JSON.parse(jsonText);
             log(`GLTF JSON parsed: ${Object.keys(gltf).join(', ')}`);
             
+            const buffers = resolveBuffers(gltf, null);
+            
             return {
                 json: gltf,
-                binaryChunk: null,
+                binaryChunk: buffers[0] || null,
+                buffers: buffers,
                 originalArrayBuffer: arrayBuffer
             };
         } catch (jsonError) {
@@ -144,9 +174,254 @@ function parseGLTFJSON(arrayBuffer) {
     }
 }
 
+/**
+ * Find the uploaded file an external URI refers to
+ * @param {string} uri - The URI as written in the glTF JSON (relative to the model file)
+ * @param {string} modelPath - The relative path of the model file
+ * @param {Array} resourceFiles - The uploaded resource files
+ * @returns {File|null} - The matching file, or null if it was not uploaded
+ */
+function findResourceFile(uri, modelPath, resourceFiles) {
+    let decodedUri = uri.split(/[?#]/)[0];
+    try {
+        decodedUri = decodeURIComponent(decodedUri);
+    } catch (error) {
+        log(`Could not decode URI ${uri}, using it as-is`, 'warning');
+    }
+    
+    // Resolve the URI against the folder of the model file
+    const pathParts = modelPath.split('/').slice(0, -1);
+    decodedUri.split('/').forEach(part => {
+        if (part === '..') {
+            pathParts.pop();
+        } else if (part !== '.' && part !== '') {
+            pathParts.push(part);
+        }
+    });
+    const resolvedPath = pathParts.join('/');
+    
+    const exactMatch = resourceFiles.find(file => getFilePath(file) === resolvedPath);
+    if (exactMatch) {
+        return exactMatch;
+    }
+    
+    // Loose files picked without their folder structure: match on the file name
+    const fileName = pathParts[pathParts.length - 1];
+    return resourceFiles.find(file => file.name === fileName) || null;
+}
+
+/**
+ * Load the external (non data URI) buffers and images of a glTF
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {string} modelPath - The relative path of the model file
+ * @param {Array} resourceFiles - The uploaded resource files
+ * @returns {Promise<Object>} - A promise that resolves with a map of URI to ArrayBuffer
+ */
+async function resolveExternalResources(gltf, modelPath, resourceFiles) {
+    const externalResources = {};
+    
+    const uris = [...(gltf.buffers || []), ...(gltf.images || [])]
+        .map(item => item.uri)
+        .filter(uri => uri && !uri.startsWith('data:'));
+    
+    for (const uri of new Set(uris)) {
+        const file = findResourceFile(uri, modelPath, resourceFiles);
+        
+        if (!file) {
+            log(`External resource not found: ${uri} (add it to the upload)`, 'warning');
+            continue;
+        }
+        
+        externalResources[uri] = await readFileAsArrayBuffer(file);
+        log(`Loaded external resource ${uri} from ${getFilePath(file)} (${externalResources[uri].byteLength} bytes)`);
+    }
+    
+    return externalResources;
+}
+
+/**
+ * Resolve the data of every buffer in a glTF
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {ArrayBuffer} glbBinaryChunk - The BIN chunk of a GLB file (used by a buffer without uri)
+ * @param {Object} externalResources - Map of external URI to ArrayBuffer
+ * @returns {Array} - One ArrayBuffer (or null if unavailable) per entry in gltf.buffers
+ */
+function resolveBuffers(gltf, glbBinaryChunk, externalResources = {}) {
+    return (gltf.buffers || []).map((buffer, bufferIndex) => {
+        let data = null;
+        
+        if (!buffer.uri) {
+            // Only the first buffer of a GLB may omit its uri and use the BIN chunk
+            data = bufferIndex === 0 ? glbBinaryChunk : null;
+        } else if (buffer.uri.startsWith('data:')) {
+            const decoded = decodeDataUri(buffer.uri);
+            data = decoded ? decoded.data : null;
+        } else {
+            data = externalResources[buffer.uri] || null;
+        }
+        
+        if (!data) {
+            const extensions = buffer.extensions || {};
+            const meshopt = extensions.EXT_meshopt_compression || extensions.KHR_meshopt_compression;
+            
+            // External buffers are only available once the upload has been searched
+            if (meshopt && meshopt.fallback) {
+                log(`Buffer ${bufferIndex} is a meshopt fallback buffer without data`);
+            } else if (!buffer.uri || buffer.uri.startsWith('data:')) {
+                log(`Buffer ${bufferIndex} could not be resolved`, 'warning');
+            }
+        } else if (buffer.byteLength !== undefined && data.byteLength < buffer.byteLength) {
+            log(`Buffer ${bufferIndex} holds ${data.byteLength} bytes but declares ${buffer.byteLength}`, 'warning');
+        }
+        
+        return data;
+    });
+}
+
+/**
+ * Get the bytes of a bufferView from the buffer it references
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Array} buffers - The resolved buffers (see resolveBuffers)
+ * @param {number} bufferViewIndex - The index of the bufferView
+ * @returns {ArrayBuffer} - A copy of the bufferView's bytes
+ */
+function getBufferViewData(gltf, buffers, bufferViewIndex) {
+    const bufferView = gltf.bufferViews && gltf.bufferViews[bufferViewIndex];
+    if (!bufferView) {
+        throw new Error(`Missing bufferView ${bufferViewIndex}`);
+    }
+    
+    const buffer = buffers[bufferView.buffer || 0];
+    if (!buffer) {
+        throw new Error(`Buffer ${bufferView.buffer || 0} used by bufferView ${bufferViewIndex} is not available`);
+    }
+    
+    const start = bufferView.byteOffset || 0;
+    return buffer.slice(start, start + bufferView.byteLength);
+}
+
+/**
+ * Get the byte size of an accessor componentType
+ * @param {number} componentType - The componentType (e.g. 5126 for FLOAT)
+ * @returns {number|undefined} - The size in bytes, or undefined for an invalid componentType
+ */
+function getComponentTypeSize(componentType) {
+    const info = ACCESSOR_COMPONENT_TYPES[componentType];
+    return info ? info.arrayType.BYTES_PER_ELEMENT : undefined;
+}
+
+/**
+ * Get the number of components of an accessor type
+ * @param {string} type - The accessor type (e.g. "VEC3")
+ * @returns {number|undefined} - The component count, or undefined for an invalid type
+ */
+function getAccessorComponentCount(type) {
+    return ACCESSOR_TYPE_SIZES[type];
+}
+
+/**
+ * Get the declared min/max of an accessor as readAccessor returns its values: the bounds
+ * are stored as integers, so those of normalized accessors are scaled to [0, 1] or [-1, 1]
+ * @param {Object} accessor - The accessor
+ * @returns {Object|null} - { min, max }, or null if the accessor declares no bounds
+ */
+function getAccessorBounds(accessor) {
+    if (!accessor.min || !accessor.max) return null;
+    
+    const info = ACCESSOR_COMPONENT_TYPES[accessor.componentType];
+    const scale = accessor.normalized && info ? 1 / info.divisor : 1;
+    return {
+        min: accessor.min.map(value => value * scale),
+        max: accessor.max.map(value => value * scale)
+    };
+}
+
+/**
+ * Read an accessor into a flat typed array, following byteStride, normalization and sparse substitution
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {number} accessorIndex - The index of the accessor
+ * @param {Object} options - { normalize } (false keeps normalized integers as stored)
+ * @returns {Object} - { values, itemSize, count }, or null if the accessor cannot be read
+ */
+function readAccessor(gltfData, accessorIndex, options = {}) {
+    const gltf = gltfData.json;
+    const accessor = gltf.accessors && gltf.accessors[accessorIndex];
+    if (!accessor) return null;
+    
+    const itemSize = ACCESSOR_TYPE_SIZES[accessor.type];
+    const componentType = ACCESSOR_COMPONENT_TYPES[accessor.componentType];
+    if (!itemSize || !componentType) return null;
+    
+    const buffers = gltfData.buffers || [gltfData.binaryChunk];
+    const componentSize = componentType.arrayType.BYTES_PER_ELEMENT;
+    const normalize = accessor.normalized && options.normalize !== false;
+    const scale = normalize ? 1 / componentType.divisor : 1;
+    
+    // Integer data that is not normalized (indices, joints) keeps its exact values
+    const ValueArray = normalize ? Float32Array : componentType.arrayType;
+    const values = new ValueArray(accessor.count * itemSize);
+    
+    /**
+     * Copy count elements from a bufferView into the values, optionally to scattered element indices
+     * @param {number} bufferViewIndex - The bufferView to read from
+     * @param {number} byteOffset - Offset of the first element in the bufferView
+     * @param {number} count - The number of elements
+     * @param {Array} targetIndices - Element indices to write to (consecutive when omitted)
+     */
+    function copyElements(bufferViewIndex, byteOffset, count, targetIndices) {
+        const bufferView = gltf.bufferViews[bufferViewIndex];
+        const data = new DataView(getBufferViewData(gltf, buffers, bufferViewIndex));
+        const stride = bufferView.byteStride || componentSize * itemSize;
+        const read = {
+            5120: offset => data.getInt8(offset),
+            5121: offset => data.getUint8(offset),
+            5122: offset => data.getInt16(offset, true),
+            5123: offset => data.getUint16(offset, true),
+            5125: offset => data.getUint32(offset, true),
+            5126: offset => data.getFloat32(offset, true)
+        }[accessor.componentType];
+        
+        for (let i = 0; i < count; i++) {
+            const target = targetIndices ? targetIndices[i] : i;
+            for (let c = 0; c < itemSize; c++) {
+                values[target * itemSize + c] = read(byteOffset + i * stride + c * componentSize) * scale;
+            }
+        }
+    }
+    
+    // Without a bufferView, an accessor starts out as zeros
+    if (accessor.bufferView !== undefined) {
+        copyElements(accessor.bufferView, accessor.byteOffset || 0, accessor.count);
+    }
+    
+    if (accessor.sparse) {
+        const { indices, values: sparseValues, count } = accessor.sparse;
+        const indexData = new DataView(getBufferViewData(gltf, buffers, indices.bufferView));
+        const indexSize = ACCESSOR_COMPONENT_TYPES[indices.componentType].arrayType.BYTES_PER_ELEMENT;
+        const targetIndices = [];
+        
+        for (let i = 0; i < count; i++) {
+            const offset = (indices.byteOffset || 0) + i * indexSize;
+            targetIndices.push(indexSize === 1 ? indexData.getUint8(offset) : indexSize === 2 ? indexData.getUint16(offset, true) : indexData.getUint32(offset, true));
+        }
+        
+        copyElements(sparseValues.bufferView, sparseValues.byteOffset || 0, count, targetIndices);
+    }
+    
+    return { values, itemSize, count: accessor.count };
+}
+
 // Export parser functions
 window.GlbParser = {
     parseGLTF,
     parseGLBBinary,
-    parseGLTFJSON
+    parseGLTFJSON,
+    findResourceFile,
+    resolveExternalResources,
+    resolveBuffers,
+    getBufferViewData,
+    getComponentTypeSize,
+    getAccessorComponentCount,
+    getAccessorBounds,
+    readAccessor
 };
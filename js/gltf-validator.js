@@ -0,0 +1,672 @@
+/**
+ * GLB Extractor Tool - glTF Validator
+ * Contains functions for checking parsed glTF data against the glTF 2.0 rules
+ * and showing the issues as a filterable report
+ */
+
+// Use utility functions from the main modules
+var { log } = window.GlbExtractorUtils;
+var { getComponentTypeSize, getAccessorComponentCount, readAccessor } = window.GlbParser;
+
+// Extensions this tool knows how to read
+const SUPPORTED_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'EXT_meshopt_compression',
+    'KHR_meshopt_compression',
+    'KHR_mesh_quantization',
+    'KHR_texture_transform',
+    'KHR_texture_basisu',
+    'EXT_texture_webp',
+    'MSFT_texture_dds',
+    // Material extensions whose texture slots are analysed (see TextureExtractor)
+    'KHR_materials_clearcoat',
+    'KHR_materials_transmission',
+    'KHR_materials_diffuse_transmission',
+    'KHR_materials_volume',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_iridescence',
+    'KHR_materials_anisotropy',
+    'KHR_materials_pbrSpecularGlossiness',
+    // Material extensions without texture slots
+    'KHR_materials_unlit',
+    'KHR_materials_emissive_strength',
+    'KHR_materials_ior',
+    'KHR_materials_dispersion',
+    'KHR_materials_variants'
+];
+
+// Properties every object of a top-level array must define
+const REQUIRED_PROPERTIES = {
+    accessors: ['componentType', 'count', 'type'],
+    animations: ['channels', 'samplers'],
+    bufferViews: ['buffer', 'byteLength'],
+    buffers: ['byteLength'],
+    cameras: ['type'],
+    meshes: ['primitives'],
+    skins: ['joints']
+};
+
+// Index references: a path pattern ('*' matches every array item or object key) and the array it points into
+const INDEX_REFERENCES = [
+    ['scene', 'scenes'],
+    ['scenes/*/nodes/*', 'nodes'],
+    ['nodes/*/children/*', 'nodes'],
+    ['nodes/*/mesh', 'meshes'],
+    ['nodes/*/skin', 'skins'],
+    ['nodes/*/camera', 'cameras'],
+    ['meshes/*/primitives/*/attributes/*', 'accessors'],
+    ['meshes/*/primitives/*/indices', 'accessors'],
+    ['meshes/*/primitives/*/material', 'materials'],
+    ['meshes/*/primitives/*/targets/*/*', 'accessors'],
+    ['meshes/*/primitives/*/extensions/KHR_draco_mesh_compression/bufferView', 'bufferViews'],
+    ['accessors/*/bufferView', 'bufferViews'],
+    ['accessors/*/sparse/indices/bufferView', 'bufferViews'],
+    ['accessors/*/sparse/values/bufferView', 'bufferViews'],
+    ['bufferViews/*/buffer', 'buffers'],
+    ['bufferViews/*/extensions/EXT_meshopt_compression/buffer', 'buffers'],
+    ['bufferViews/*/extensions/KHR_meshopt_compression/buffer', 'buffers'],
+    ['images/*/bufferView', 'bufferViews'],
+    ['textures/*/source', 'images'],
+    ['textures/*/sampler', 'samplers'],
+    ['textures/*/extensions/KHR_texture_basisu/source', 'images'],
+    ['textures/*/extensions/EXT_texture_webp/source', 'images'],
+    ['textures/*/extensions/MSFT_texture_dds/source', 'images'],
+    ['skins/*/joints/*', 'nodes'],
+    ['skins/*/skeleton', 'nodes'],
+    ['skins/*/inverseBindMatrices', 'accessors'],
+    ['animations/*/channels/*/target/node', 'nodes'],
+    ['animations/*/samplers/*/input', 'accessors'],
+    ['animations/*/samplers/*/output', 'accessors']
+];
+
+/**
+ * Build a JSON pointer (RFC 6901) from path segments
+ * @param {Array} segments - The path segments, e.g. ['accessors', 0, 'count']
+ * @returns {string} - The JSON pointer, e.g. "/accessors/0/count"
+ */
+function toJsonPointer(segments) {
+    return segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Add an issue to a validation report
+ * @param {Object} report - The report being built
+ * @param {string} severity - error, warning or info
+ * @param {string} code - A short machine-readable code
+ * @param {string} message - A human-readable description
+ * @param {Array} path - The path segments of the offending value
+ */
+function addValidationIssue(report, severity, code, message, path) {
+    report.messages.push({ severity, code, message, pointer: toJsonPointer(path) });
+}
+
+/**
+ * Call a function for every value matching a path pattern
+ * @param {Object} obj - The object to walk
+ * @param {Array} pattern - The pattern segments ('*' matches every item or key)
+ * @param {Function} callback - Called with (value, pathSegments)
+ * @param {Array} path - The path walked so far
+ */
+function forEachPathMatch(obj, pattern, callback, path = []) {
+    if (pattern.length === 0) {
+        callback(obj, path);
+        return;
+    }
+    
+    if (!obj || typeof obj !== 'object') return;
+    
+    const [segment, ...rest] = pattern;
+    if (segment === '*') {
+        const keys = Array.isArray(obj) ? obj.map((item, index) => index) : Object.keys(obj);
+        keys.forEach(key => forEachPathMatch(obj[key], rest, callback, [...path, key]));
+    } else if (obj[segment] !== undefined) {
+        forEachPathMatch(obj[segment], rest, callback, [...path, segment]);
+    }
+}
+
+/**
+ * Check the asset object and the required properties of every top-level object
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Object} report - The report being built
+ */
+function validateRequiredProperties(gltf, report) {
+    if (!gltf.asset) {
+        addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', 'Property "asset" is required', ['asset']);
+    } else if (!gltf.asset.version) {
+        addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', 'Property "version" is required', ['asset', 'version']);
+    } else if (!/^2\.\d+$/.test(gltf.asset.version)) {
+        addValidationIssue(report, 'error', 'UNKNOWN_ASSET_MAJOR_VERSION', `Unsupported asset version "${gltf.asset.version}"`, ['asset', 'version']);
+    }
+    
+    for (const arrayName in REQUIRED_PROPERTIES) {
+        (gltf[arrayName] || []).forEach((item, index) => {
+            REQUIRED_PROPERTIES[arrayName].forEach(property => {
+                if (item[property] === undefined) {
+                    addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', `Property "${property}" is required`, [arrayName, index, property]);
+                }
+            });
+        });
+    }
+    
+    (gltf.meshes || []).forEach((mesh, meshIndex) => {
+        if (mesh.primitives && mesh.primitives.length === 0) {
+            addValidationIssue(report, 'error', 'EMPTY_ENTITY', 'A mesh must have at least one primitive', ['meshes', meshIndex, 'primitives']);
+        }
+        
+        (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+            if (!primitive.attributes) {
+                addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', 'Property "attributes" is required', ['meshes', meshIndex, 'primitives', primitiveIndex, 'attributes']);
+            }
+        });
+    });
+    
+    (gltf.images || []).forEach((image, imageIndex) => {
+        if (image.uri === undefined && image.bufferView === undefined) {
+            addValidationIssue(report, 'error', 'ONE_OF_MISSING', 'An image must define either "uri" or "bufferView"', ['images', imageIndex]);
+        } else if (image.bufferView !== undefined && !image.mimeType) {
+            addValidationIssue(report, 'error', 'UNSATISFIED_DEPENDENCY', 'An image stored in a bufferView requires "mimeType"', ['images', imageIndex, 'mimeType']);
+        }
+    });
+    
+    (gltf.animations || []).forEach((animation, animationIndex) => {
+        (animation.channels || []).forEach((channel, channelIndex) => {
+            const channelPath = ['animations', animationIndex, 'channels', channelIndex];
+            if (channel.sampler === undefined) {
+                addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', 'Property "sampler" is required', [...channelPath, 'sampler']);
+            } else if (!animation.samplers || !animation.samplers[channel.sampler]) {
+                addValidationIssue(report, 'error', 'UNRESOLVED_REFERENCE', `Unresolved reference: animation sampler ${channel.sampler}`, [...channelPath, 'sampler']);
+            }
+            
+            if (!channel.target || !channel.target.path) {
+                addValidationIssue(report, 'error', 'UNDEFINED_PROPERTY', 'Property "target.path" is required', [...channelPath, 'target']);
+            }
+        });
+    });
+}
+
+/**
+ * Check that every index reference points at an existing object
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Object} report - The report being built
+ */
+function validateIndexReferences(gltf, report) {
+    INDEX_REFERENCES.forEach(([pattern, arrayName]) => {
+        forEachPathMatch(gltf, pattern.split('/'), (value, path) => {
+            const targetArray = gltf[arrayName] || [];
+            if (!Number.isInteger(value) || value < 0 || value >= targetArray.length) {
+                addValidationIssue(report, 'error', 'UNRESOLVED_REFERENCE', `Unresolved reference: ${arrayName}[${value}] (${targetArray.length} defined)`, path);
+            }
+        });
+    });
+    
+    // Texture references in materials, including extension slots such as KHR_materials_*
+    (gltf.materials || []).forEach((material, materialIndex) => {
+        (function checkTextureInfos(obj, path) {
+            for (const key in obj) {
+                const value = obj[key];
+                if (!value || typeof value !== 'object') continue;
+                
+                if (/Texture$/.test(key) && value.index !== undefined) {
+                    const textureCount = (gltf.textures || []).length;
+                    if (!Number.isInteger(value.index) || value.index < 0 || value.index >= textureCount) {
+                        addValidationIssue(report, 'error', 'UNRESOLVED_REFERENCE', `Unresolved reference: textures[${value.index}] (${textureCount} defined)`, [...path, key, 'index']);
+                    }
+                } else {
+                    checkTextureInfos(value, [...path, key]);
+                }
+            }
+        })(material, ['materials', materialIndex]);
+    });
+}
+
+/**
+ * Find the index references of a glTF structure that point at nothing, e.g. to check a generated file
+ * @param {Object} gltf - The glTF JSON structure
+ * @returns {Array} - The UNRESOLVED_REFERENCE issues as { severity, code, message, pointer }
+ */
+function findUnresolvedReferences(gltf) {
+    const report = { messages: [] };
+    validateIndexReferences(gltf, report);
+    return report.messages;
+}
+
+/**
+ * Check that the nodes form a forest: every node has at most one parent, is not its own
+ * ancestor and is only listed by scenes when it is a root
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Object} report - The report being built
+ */
+function validateNodeHierarchy(gltf, report) {
+    const nodes = gltf.nodes || [];
+    const getChildren = node => (node && Array.isArray(node.children) ? node.children : []);
+    // Invalid indices are already reported as UNRESOLVED_REFERENCE
+    const isNodeIndex = index => Number.isInteger(index) && index >= 0 && index < nodes.length;
+    
+    const parents = new Map();
+    nodes.forEach((node, nodeIndex) => {
+        getChildren(node).forEach((childIndex, childPosition) => {
+            if (!isNodeIndex(childIndex)) return;
+            
+            if (!parents.has(childIndex)) {
+                parents.set(childIndex, nodeIndex);
+            } else {
+                addValidationIssue(report, 'error', 'NODE_PARENT_OVERRIDE', `Node ${childIndex} already has node ${parents.get(childIndex)} as parent`, ['nodes', nodeIndex, 'children', childPosition]);
+            }
+        });
+    });
+    
+    // A scene may only list root nodes
+    (gltf.scenes || []).forEach((scene, sceneIndex) => {
+        ((scene && scene.nodes) || []).forEach((nodeIndex, position) => {
+            if (parents.has(nodeIndex)) {
+                addValidationIssue(report, 'error', 'SCENE_NON_ROOT_NODE', `Node ${nodeIndex} is not a root node`, ['scenes', sceneIndex, 'nodes', position]);
+            }
+        });
+    });
+    
+    // Depth-first walk: a child that is still on the current path closes a loop
+    const path = [];
+    const done = new Set();
+    const reported = new Set();
+    const visit = (nodeIndex) => {
+        path.push(nodeIndex);
+        getChildren(nodes[nodeIndex]).filter(isNodeIndex).forEach(childIndex => {
+            const loopStart = path.indexOf(childIndex);
+            if (loopStart !== -1) {
+                path.slice(loopStart).filter(loopNode => !reported.has(loopNode)).forEach(loopNode => {
+                    reported.add(loopNode);
+                    addValidationIssue(report, 'error', 'NODE_LOOP', `Node ${loopNode} is part of a node loop`, ['nodes', loopNode]);
+                });
+            } else if (!done.has(childIndex)) {
+                visit(childIndex);
+            }
+        });
+        path.pop();
+        done.add(nodeIndex);
+    };
+    nodes.forEach((node, nodeIndex) => {
+        if (!done.has(nodeIndex)) visit(nodeIndex);
+    });
+}
+
+/**
+ * Check buffers and bufferViews against the binary data that was actually loaded
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Array} buffers - The resolved buffers
+ * @param {Object} report - The report being built
+ */
+function validateBufferViews(gltf, buffers, report) {
+    (gltf.buffers || []).forEach((buffer, bufferIndex) => {
+        const data = buffers[bufferIndex];
+        const extensions = buffer.extensions || {};
+        const isFallback = (extensions.EXT_meshopt_compression || extensions.KHR_meshopt_compression || {}).fallback;
+        
+        if (!data) {
+            if (!isFallback) {
+                addValidationIssue(report, 'info', 'BUFFER_NOT_LOADED', `Buffer data is not available${buffer.uri ? ` (${buffer.uri} was not uploaded)` : ''}, its contents are not checked`, ['buffers', bufferIndex]);
+            }
+        } else if (buffer.byteLength !== undefined && data.byteLength < buffer.byteLength) {
+            addValidationIssue(report, 'error', 'BUFFER_BYTE_LENGTH_MISMATCH', `Declared byteLength ${buffer.byteLength} but only ${data.byteLength} bytes are available`, ['buffers', bufferIndex, 'byteLength']);
+        }
+    });
+    
+    (gltf.bufferViews || []).forEach((bufferView, bufferViewIndex) => {
+        const buffer = gltf.buffers && gltf.buffers[bufferView.buffer];
+        const byteOffset = bufferView.byteOffset || 0;
+        
+        if (buffer && buffer.byteLength !== undefined && byteOffset + bufferView.byteLength > buffer.byteLength) {
+            addValidationIssue(report, 'error', 'BUFFER_VIEW_TOO_LONG', `BufferView ends at byte ${byteOffset + bufferView.byteLength}, past the end of buffer ${bufferView.buffer} (${buffer.byteLength} bytes)`, ['bufferViews', bufferViewIndex, 'byteLength']);
+        }
+        
+        if (bufferView.byteStride !== undefined) {
+            if (bufferView.byteStride < 4 || bufferView.byteStride > 252 || bufferView.byteStride % 4 !== 0) {
+                addValidationIssue(report, 'error', 'BUFFER_VIEW_INVALID_BYTE_STRIDE', `byteStride ${bufferView.byteStride} must be a multiple of 4 between 4 and 252`, ['bufferViews', bufferViewIndex, 'byteStride']);
+            }
+        }
+    });
+}
+
+/**
+ * Read the component values of an accessor as stored, when its data is available
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Array} buffers - The resolved buffers
+ * @param {number} accessorIndex - The index of the accessor to read
+ * @returns {ArrayLike|null} - The values (count * components), or null if they cannot be read
+ */
+function readAccessorValues(gltf, buffers, accessorIndex) {
+    try {
+        const result = readAccessor({ json: gltf, buffers }, accessorIndex, { normalize: false });
+        return result ? result.values : null;
+    } catch (error) {
+        // Missing buffers and out-of-bounds data are reported by the other checks
+        return null;
+    }
+}
+
+/**
+ * Check accessor types, alignment and bounds against their bufferViews
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Object} report - The report being built
+ */
+function validateAccessors(gltf, report) {
+    // Vertex attributes have stricter (4-byte) alignment rules
+    const attributeAccessors = new Set();
+    forEachPathMatch(gltf, ['meshes', '*', 'primitives', '*', 'attributes', '*'], value => attributeAccessors.add(value));
+    forEachPathMatch(gltf, ['meshes', '*', 'primitives', '*', 'targets', '*', '*'], value => attributeAccessors.add(value));
+    
+    (gltf.accessors || []).forEach((accessor, accessorIndex) => {
+        const path = ['accessors', accessorIndex];
+        const componentSize = getComponentTypeSize(accessor.componentType);
+        const componentCount = getAccessorComponentCount(accessor.type);
+        
+        if (accessor.componentType !== undefined && !componentSize) {
+            addValidationIssue(report, 'error', 'VALUE_NOT_IN_LIST', `Invalid componentType ${accessor.componentType}`, [...path, 'componentType']);
+        }
+        if (accessor.type !== undefined && !componentCount) {
+            addValidationIssue(report, 'error', 'VALUE_NOT_IN_LIST', `Invalid type "${accessor.type}"`, [...path, 'type']);
+        }
+        if (accessor.count !== undefined && accessor.count < 1) {
+            addValidationIssue(report, 'error', 'VALUE_NOT_IN_RANGE', `count must be at least 1, got ${accessor.count}`, [...path, 'count']);
+        }
+        
+        ['min', 'max'].forEach(bound => {
+            if (accessor[bound] && componentCount && accessor[bound].length !== componentCount) {
+                addValidationIssue(report, 'error', 'INVALID_ARRAY_LENGTH', `${bound} must have ${componentCount} values for type ${accessor.type}`, [...path, bound]);
+            }
+        });
+        
+        const bufferView = accessor.bufferView !== undefined && gltf.bufferViews && gltf.bufferViews[accessor.bufferView];
+        if (!bufferView || !componentSize || !componentCount) return;
+        
+        const elementSize = componentSize * componentCount;
+        const accessorOffset = accessor.byteOffset || 0;
+        const totalOffset = (bufferView.byteOffset || 0) + accessorOffset;
+        
+        if (accessorOffset % componentSize !== 0) {
+            addValidationIssue(report, 'error', 'ACCESSOR_OFFSET_ALIGNMENT', `byteOffset ${accessorOffset} is not a multiple of the component size (${componentSize})`, [...path, 'byteOffset']);
+        } else if (totalOffset % componentSize !== 0) {
+            addValidationIssue(report, 'error', 'ACCESSOR_TOTAL_OFFSET_ALIGNMENT', `Offset ${totalOffset} into the buffer is not a multiple of the component size (${componentSize})`, [...path, 'byteOffset']);
+        } else if (attributeAccessors.has(accessorIndex) && totalOffset % 4 !== 0) {
+            addValidationIssue(report, 'error', 'ACCESSOR_VERTEX_ATTRIBUTE_ALIGNMENT', `Vertex attribute data starts at offset ${totalOffset}, which is not 4-byte aligned`, [...path, 'byteOffset']);
+        }
+        
+        const stride = bufferView.byteStride || elementSize;
+        if (bufferView.byteStride && bufferView.byteStride < elementSize) {
+            addValidationIssue(report, 'error', 'ACCESSOR_SMALL_BYTESTRIDE', `bufferView ${accessor.bufferView} byteStride ${bufferView.byteStride} is smaller than the element size (${elementSize})`, [...path, 'bufferView']);
+        }
+        
+        const requiredLength = accessorOffset + stride * (accessor.count - 1) + elementSize;
+        if (accessor.count >= 1 && requiredLength > bufferView.byteLength) {
+            addValidationIssue(report, 'error', 'ACCESSOR_TOO_LONG', `Accessor needs ${requiredLength} bytes but bufferView ${accessor.bufferView} holds ${bufferView.byteLength}`, [...path, 'count']);
+        }
+    });
+}
+
+/**
+ * Check mesh primitives: POSITION bounds, attribute counts and index values
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Array} buffers - The resolved buffers
+ * @param {Object} report - The report being built
+ */
+function validateMeshPrimitives(gltf, buffers, report) {
+    const accessors = gltf.accessors || [];
+    const checkedAccessors = new Set();
+    
+    (gltf.meshes || []).forEach((mesh, meshIndex) => {
+        (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+            const path = ['meshes', meshIndex, 'primitives', primitiveIndex];
+            const attributes = primitive.attributes || {};
+            const position = accessors[attributes.POSITION];
+            
+            // Compressed primitives hold their data in the extension, not in the accessors
+            const isCompressed = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+            
+            if (position) {
+                if (!position.min || !position.max) {
+                    addValidationIssue(report, 'error', 'MESH_PRIMITIVE_POSITION_ACCESSOR_WITHOUT_BOUNDS', 'The POSITION accessor must define min and max', ['accessors', attributes.POSITION]);
+                } else if (!isCompressed && !checkedAccessors.has(attributes.POSITION)) {
+                    checkedAccessors.add(attributes.POSITION);
+                    validatePositionBounds(gltf, buffers, attributes.POSITION, report);
+                }
+            } else if (primitive.attributes && attributes.POSITION === undefined) {
+                addValidationIssue(report, 'info', 'MESH_PRIMITIVE_NO_POSITION', 'The primitive has no POSITION attribute', [...path, 'attributes']);
+            }
+            
+            // Every attribute of a primitive must have the same count
+            const vertexCount = position ? position.count : undefined;
+            for (const attributeName in attributes) {
+                const accessor = accessors[attributes[attributeName]];
+                if (accessor && vertexCount !== undefined && accessor.count !== vertexCount) {
+                    addValidationIssue(report, 'error', 'MESH_PRIMITIVE_UNEQUAL_ACCESSOR_COUNT', `${attributeName} has ${accessor.count} elements but POSITION has ${vertexCount}`, [...path, 'attributes', attributeName]);
+                }
+            }
+            
+            const indices = accessors[primitive.indices];
+            if (!indices) return;
+            
+            if (![5121, 5123, 5125].includes(indices.componentType) || indices.type !== 'SCALAR') {
+                addValidationIssue(report, 'error', 'MESH_PRIMITIVE_INVALID_INDICES', 'Indices must be SCALAR unsigned byte, short or int values', [...path, 'indices']);
+                return;
+            }
+            
+            if (isCompressed || vertexCount === undefined || checkedAccessors.has(primitive.indices)) return;
+            checkedAccessors.add(primitive.indices);
+            
+            const values = readAccessorValues(gltf, buffers, primitive.indices);
+            if (!values) return;
+            
+            // Counted in a loop: spreading a large array into Math.max overflows the stack
+            let outOfRangeCount = 0;
+            let maxIndex = 0;
+            for (let i = 0; i < values.length; i++) {
+                if (values[i] >= vertexCount) {
+                    outOfRangeCount++;
+                    maxIndex = Math.max(maxIndex, values[i]);
+                }
+            }
+            if (outOfRangeCount > 0) {
+                addValidationIssue(report, 'error', 'ACCESSOR_INDEX_OOB', `${outOfRangeCount} indices are out of range (max ${maxIndex}, vertex count ${vertexCount})`, ['accessors', primitive.indices]);
+            }
+        });
+    });
+}
+
+/**
+ * Compare the declared min/max of a POSITION accessor with its actual data
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Array} buffers - The resolved buffers
+ * @param {number} accessorIndex - The index of the POSITION accessor
+ * @param {Object} report - The report being built
+ */
+function validatePositionBounds(gltf, buffers, accessorIndex, report) {
+    const accessor = gltf.accessors[accessorIndex];
+    const values = readAccessorValues(gltf, buffers, accessorIndex);
+    if (!values) return;
+    
+    const componentCount = getAccessorComponentCount(accessor.type);
+    for (let c = 0; c < componentCount; c++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = c; i < values.length; i += componentCount) {
+            min = Math.min(min, values[i]);
+            max = Math.max(max, values[i]);
+        }
+        
+        // Declared bounds are usually written with limited precision
+        const tolerance = 1e-5 * Math.max(1, Math.abs(min), Math.abs(max));
+        if (Math.abs(accessor.min[c] - min) > tolerance) {
+            addValidationIssue(report, 'error', 'ACCESSOR_MIN_MISMATCH', `Declared minimum ${accessor.min[c]} does not match the actual minimum ${min}`, ['accessors', accessorIndex, 'min', c]);
+        }
+        if (Math.abs(accessor.max[c] - max) > tolerance) {
+            addValidationIssue(report, 'error', 'ACCESSOR_MAX_MISMATCH', `Declared maximum ${accessor.max[c]} does not match the actual maximum ${max}`, ['accessors', accessorIndex, 'max', c]);
+        }
+    }
+}
+
+/**
+ * Check extension declarations and whether this tool supports the required extensions
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {Object} report - The report being built
+ */
+function validateExtensions(gltf, report) {
+    const extensionsUsed = gltf.extensionsUsed || [];
+    
+    (gltf.extensionsRequired || []).forEach((extensionName, index) => {
+        if (!extensionsUsed.includes(extensionName)) {
+            addValidationIssue(report, 'error', 'NOT_IN_USED_EXTENSIONS', `${extensionName} is required but not listed in extensionsUsed`, ['extensionsRequired', index]);
+        }
+        if (!SUPPORTED_EXTENSIONS.includes(extensionName)) {
+            addValidationIssue(report, 'error', 'UNSUPPORTED_EXTENSION', `${extensionName} is required but not supported by this tool, results may be incomplete`, ['extensionsRequired', index]);
+        }
+    });
+    
+    extensionsUsed.forEach((extensionName, index) => {
+        if (!SUPPORTED_EXTENSIONS.includes(extensionName) && !(gltf.extensionsRequired || []).includes(extensionName)) {
+            addValidationIssue(report, 'info', 'UNSUPPORTED_EXTENSION', `${extensionName} is not interpreted by this tool and is copied as-is where possible`, ['extensionsUsed', index]);
+        }
+    });
+    
+    // Every extension object must be declared in extensionsUsed
+    const reported = new Set();
+    (function checkExtensionObjects(obj, path) {
+        if (!obj || typeof obj !== 'object') return;
+        
+        for (const key in obj) {
+            if (key === 'extensions' && obj[key] && typeof obj[key] === 'object') {
+                Object.keys(obj[key]).forEach(extensionName => {
+                    if (!extensionsUsed.includes(extensionName) && !reported.has(extensionName)) {
+                        reported.add(extensionName);
+                        addValidationIssue(report, 'warning', 'UNDECLARED_EXTENSION', `${extensionName} is used but not listed in extensionsUsed`, [...path, key, extensionName]);
+                    }
+                });
+            }
+            checkExtensionObjects(obj[key], [...path, key]);
+        }
+    })(gltf, []);
+}
+
+/**
+ * Validate parsed glTF data against the glTF 2.0 rules
+ * @param {Object} gltfData - The parsed glTF data (json and buffers)
+ * @param {string} fileName - The name of the validated file
+ * @returns {Object} - The report: { uri, validatedAt, issues: { numErrors, numWarnings, numInfos, messages } }
+ */
+function validateGLTF(gltfData, fileName) {
+    const gltf = gltfData.json;
+    const buffers = gltfData.buffers || [gltfData.binaryChunk];
+    const report = { messages: [] };
+    
+    try {
+        validateRequiredProperties(gltf, report);
+        validateIndexReferences(gltf, report);
+        validateNodeHierarchy(gltf, report);
+        validateExtensions(gltf, report);
+        validateBufferViews(gltf, buffers, report);
+        validateAccessors(gltf, report);
+        validateMeshPrimitives(gltf, buffers, report);
+    } catch (error) {
+        console.error('Error validating file:', error);
+        addValidationIssue(report, 'error', 'VALIDATION_FAILED', `Validation stopped early: ${error.message}`, []);
+    }
+    
+    const count = severity => report.messages.filter(message => message.severity === severity).length;
+    const result = {
+        uri: fileName,
+        validatedAt: new Date().toISOString(),
+        issues: {
+            numErrors: count('error'),
+            numWarnings: count('warning'),
+            numInfos: count('info'),
+            messages: report.messages
+        }
+    };
+    
+    log(`Validation: ${result.issues.numErrors} errors, ${result.issues.numWarnings} warnings, ${result.issues.numInfos} infos`,
+        result.issues.numErrors > 0 ? 'warning' : 'info');
+    return result;
+}
+
+/**
+ * Display a validation report in the UI
+ * @param {Object} report - The report returned by validateGLTF
+ */
+function displayValidationReport(report) {
+    const summary = document.getElementById('validation-summary');
+    const validationList = document.getElementById('validation-list');
+    const exportValidationBtn = document.getElementById('export-validation-btn');
+    
+    if (!summary || !validationList) return;
+    
+    const { numErrors, numWarnings, numInfos, messages } = report.issues;
+    summary.textContent = messages.length === 0
+        ? 'No issues found: the file follows the glTF 2.0 rules checked by this tool.'
+        : `${numErrors} errors, ${numWarnings} warnings, ${numInfos} infos`;
+    
+    validationList.innerHTML = '';
+    
+    messages.forEach(message => {
+        const row = document.createElement('tr');
+        row.className = `severity-${message.severity}`;
+        row.dataset.severity = message.severity;
+        
+        [message.severity, message.code, message.message, message.pointer || '/'].forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (column === 3) cell.className = 'validation-pointer';
+            row.appendChild(cell);
+        });
+        
+        validationList.appendChild(row);
+    });
+    
+    if (exportValidationBtn) {
+        exportValidationBtn.disabled = false;
+    }
+    
+    filterValidationReport();
+}
+
+/**
+ * Show only the report rows matching the severity checkboxes and the search text
+ */
+function filterValidationReport() {
+    const validationList = document.getElementById('validation-list');
+    const searchInput = document.getElementById('validation-search');
+    if (!validationList) return;
+    
+    const visibleSeverities = ['error', 'warning', 'info'].filter(severity => {
+        const checkbox = document.getElementById(`validation-show-${severity}`);
+        return !checkbox || checkbox.checked;
+    });
+    const searchText = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    
+    Array.from(validationList.children).forEach(row => {
+        const matchesSeverity = visibleSeverities.includes(row.dataset.severity);
+        const matchesSearch = !searchText || row.textContent.toLowerCase().includes(searchText);
+        row.style.display = matchesSeverity && matchesSearch ? '' : 'none';
+    });
+}
+
+/**
+ * Download a validation report as JSON
+ * @param {Object} report - The report returned by validateGLTF
+ * @param {string} fileName - The name of the JSON file
+ */
+function downloadValidationReport(report, fileName) {
+    const blob = new Blob([JSON.stringify(report, null, 2)], {
+        type: 'application/json',
+        lastModified: new Date().getTime()
+    });
+    
+    saveAs(blob, fileName);
+}
+
+// Export validator functions
+window.GltfValidator = {
+    validateGLTF,
+    findUnresolvedReferences,
+    displayValidationReport,
+    filterValidationReport,
+    downloadValidationReport
+};
@@ -0,0 +1,48 @@
+
+var DracoDecoderModule = (function() {
+  var _scriptDir = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : undefined;
+  if (typeof __filename !== 'undefined') _scriptDir = _scriptDir || __filename;
+  return (
+function(DracoDecoderModule) {
+  DracoDecoderModule = DracoDecoderModule || {};
+
+var Module=typeof DracoDecoderModule!=="undefined"?DracoDecoderModule:{};var isRuntimeInitialized=false;var isModuleParsed=false;Module["onRuntimeInitialized"]=function(){isRuntimeInitialized=true;if(isModuleParsed){if(typeof Module["onModuleLoaded"]==="function"){Module["onModuleLoaded"](Module)}}};Module["onModuleParsed"]=function(){isModuleParsed=true;if(isRuntimeInitialized){if(typeof Module["onModuleLoaded"]==="function"){Module["onModuleLoaded"](Module)}}};function isVersionSupported(versionString){if(typeof versionString!=="string")return false;const version=versionString.split(".");if(version.length<2||version.length>3)return false;if(version[0]==1&&version[1]>=0&&version[1]<=3)return true;if(version[0]!=0||version[1]>10)return false;return true}Module["isVersionSupported"]=isVersionSupported;var moduleOverrides={};var key;for(key in Module){if(Module.hasOwnProperty(key)){moduleOverrides[key]=Module[key]}}var arguments_=[];var thisProgram="./this.program";var quit_=function(status,toThrow){throw toThrow};var ENVIRONMENT_IS_WEB=false;var ENVIRONMENT_IS_WORKER=false;var ENVIRONMENT_IS_NODE=false;var ENVIRONMENT_HAS_NODE=false;var ENVIRONMENT_IS_SHELL=false;ENVIRONMENT_IS_WEB=typeof window==="object";ENVIRONMENT_IS_WORKER=typeof importScripts==="function";ENVIRONMENT_HAS_NODE=typeof process==="object"&&typeof process.versions==="object"&&typeof process.versions.node==="string";ENVIRONMENT_IS_NODE=ENVIRONMENT_HAS_NODE&&!ENVIRONMENT_IS_WEB&&!ENVIRONMENT_IS_WORKER;ENVIRONMENT_IS_SHELL=!ENVIRONMENT_IS_WEB&&!ENVIRONMENT_IS_NODE&&!ENVIRONMENT_IS_WORKER;var scriptDirectory="";function locateFile(path){if(Module["locateFile"]){return Module["locateFile"](path,scriptDirectory)}return scriptDirectory+path}var read_,readAsync,readBinary,setWindowTitle;var nodeFS;var nodePath;if(ENVIRONMENT_IS_NODE){scriptDirectory=__dirname+"/";read_=function shell_read(filename,binary){var ret=tryParseAsDataURI(filename);if(ret){return binary?ret:ret.toString()}if(!nodeFS)nodeFS=require("fs");if(!nodePath)nodePath=require("path");filename=nodePath["normalize"](filename);return nodeFS["readFileSync"](filename,binary?null:"utf8")};readBinary=function readBinary(filename){var ret=read_(filename,true);if(!ret.buffer){ret=new Uint8Array(ret)}assert(ret.buffer);return ret};if(process["argv"].length>1){thisProgram=process["argv"][1].replace(/\\/g,"/")}arguments_=process["argv"].slice(2);process["on"]("uncaughtException",function(ex){if(!(ex instanceof ExitStatus)){throw ex}});process["on"]("unhandledRejection",abort);quit_=function(status){process["exit"](status)};Module["inspect"]=function(){return"[Emscripten Module object]"}}else if(ENVIRONMENT_IS_SHELL){if(typeof read!="undefined"){read_=function shell_read(f){var data=tryParseAsDataURI(f);if(data){return intArrayToString(data)}return read(f)}}readBinary=function readBinary(f){var data;data=tryParseAsDataURI(f);if(data){return data}if(typeof readbuffer==="function"){return new Uint8Array(readbuffer(f))}data=read(f,"binary");assert(typeof data==="object");return data};if(typeof scriptArgs!="undefined"){arguments_=scriptArgs}else if(typeof arguments!="undefined"){arguments_=arguments}if(typeof quit==="function"){quit_=function(status){quit(status)}}if(typeof print!=="undefined"){if(typeof console==="undefined")console={};console.log=print;console.warn=console.error=typeof printErr!=="undefined"?printErr:print}}else if(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER){if(ENVIRONMENT_IS_WORKER){scriptDirectory=self.location.href}else if(document.currentScript){scriptDirectory=document.currentScript.src}if(_scriptDir){scriptDirectory=_scriptDir}if(scriptDirectory.indexOf("blob:")!==0){scriptDirectory=scriptDirectory.substr(0,scriptDirectory.lastIndexOf("/")+1)}else{scriptDirectory=""}{read_=function shell_read(url){try{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.send(null);return xhr.responseText}catch(err){var data=tryParseAsDataURI(url);if(data){return intArrayToString(data)}throw err}};if(ENVIRONMENT_IS_WORKER){readBinary=function readBinary(url){try{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.responseType="arraybuffer";xhr.send(null);return new Uint8Array(xhr.response)}catch(err){var data=tryParseAsDataURI(url);if(data){return data}throw err}}}readAsync=function readAsync(url,onload,onerror){var xhr=new XMLHttpRequest;xhr.open("GET",url,true);xhr.responseType="arraybuffer";xhr.onload=function xhr_onload(){if(xhr.status==200||xhr.status==0&&xhr.response){onload(xhr.response);return}var data=tryParseAsDataURI(url);if(data){onload(data.buffer);return}onerror()};xhr.onerror=onerror;xhr.send(null)}}setWindowTitle=function(title){document.title=title}}else{}var out=Module["print"]||console.log.bind(console);var err=Module["printErr"]||console.warn.bind(console);for(key in moduleOverrides){if(moduleOverrides.hasOwnProperty(key)){Module[key]=moduleOverrides[key]}}moduleOverrides=null;if(Module["arguments"])arguments_=Module["arguments"];if(Module["thisProgram"])thisProgram=Module["thisProgram"];if(Module["quit"])quit_=Module["quit"];var STACK_ALIGN=16;function dynamicAlloc(size){var ret=HEAP32[DYNAMICTOP_PTR>>2];var end=ret+size+15&-16;if(end>_emscripten_get_heap_size()){abort()}HEAP32[DYNAMICTOP_PTR>>2]=end;return ret}function getNativeTypeSize(type){switch(type){case"i1":case"i8":return 1;case"i16":return 2;case"i32":return 4;case"i64":return 8;case"float":return 4;case"double":return 8;default:{if(type[type.length-1]==="*"){return 4}else if(type[0]==="i"){var bits=parseInt(type.substr(1));assert(bits%8===0,"getNativeTypeSize invalid bits "+bits+", type "+type);return bits/8}else{return 0}}}}function warnOnce(text){if(!warnOnce.shown)warnOnce.shown={};if(!warnOnce.shown[text]){warnOnce.shown[text]=1;err(text)}}function convertJsFunctionToWasm(func,sig){return func}function addFunctionWasm(func,sig){var table=wasmTable;var ret=table.length;try{table.grow(1)}catch(err){if(!err instanceof RangeError){throw err}throw"Unable to grow wasm table. Use a higher value for RESERVED_FUNCTION_POINTERS or set ALLOW_TABLE_GROWTH."}try{table.set(ret,func)}catch(err){if(!err instanceof TypeError){throw err}assert(typeof sig!=="undefined","Missing signature argument to addFunction");var wrapped=convertJsFunctionToWasm(func,sig);table.set(ret,wrapped)}return ret}function removeFunctionWasm(index){}var funcWrappers={};function dynCall(sig,ptr,args){if(args&&args.length){return Module["dynCall_"+sig].apply(null,[ptr].concat(args))}else{return Module["dynCall_"+sig].call(null,ptr)}}var tempRet0=0;var setTempRet0=function(value){tempRet0=value};var getTempRet0=function(){return tempRet0};var wasmBinary;if(Module["wasmBinary"])wasmBinary=Module["wasmBinary"];var noExitRuntime;if(Module["noExitRuntime"])noExitRuntime=Module["noExitRuntime"];var WebAssembly={Memory:function(opts){return{buffer:new ArrayBuffer(opts["initial"]*65536),grow:function(amount){var ret=__growWasmMemory(amount);return ret}}},Table:function(opts){var ret=new Array(opts["initial"]);ret.grow=function(by){if(ret.length>=293+0){abort("Unable to grow wasm table. Use a higher value for RESERVED_FUNCTION_POINTERS or set ALLOW_TABLE_GROWTH.")}ret.push(null)};ret.set=function(i,func){ret[i]=func};ret.get=function(i){return ret[i]};return ret},Module:function(binary){return{}},Instance:function(module,info){var decodeBase64=typeof atob==="function"?atob:function(input){var keyStr="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=";var output="";var chr1,chr2,chr3;var enc1,enc2,enc3,enc4;var i=0;input=input.replace(/[^A-Za-z0-9\+\/\=]/g,"");do{enc1=keyStr.indexOf(input.charAt(i++));enc2=keyStr.indexOf(input.charAt(i++));enc3=keyStr.indexOf(input.charAt(i++));enc4=keyStr.indexOf(input.charAt(i++));chr1=enc1<<2|enc2>>4;chr2=(enc2&15)<<4|enc3>>2;chr3=(enc3&3)<<6|enc4;output=output+String.fromCharCode(chr1);if(enc3!==64){output=output+String.fromCharCode(chr2)}if(enc4!==64){output=output+String.fromCharCode(chr3)}}while(i<input.length);return output};function intArrayFromBase64(s){if(typeof ENVIRONMENT_IS_NODE==="boolean"&&ENVIRONMENT_IS_NODE){var buf;try{buf=Buffer.from(s,"base64")}catch(_){buf=new Buffer(s,"base64")}return new Uint8Array(buf.buffer,buf.byteOffset,buf.byteLength)}try{var decoded=decodeBase64(s);var bytes=new Uint8Array(decoded.length);for(var i=0;i<decoded.length;++i){bytes[i]=decoded.charCodeAt(i)}return bytes}catch(_){throw new Error("Converting base64 string to bytes failed.")}}var atob=decodeBase64;var exports=(
+// EMSCRIPTEN_START_ASM
+function a(/** @suppress {uselessCode} */asmLibraryArg,wasmMemory,wasmTable){var scratchBuffer=new ArrayBuffer(8);var b=new Int32Array(scratchBuffer);var c=new Float32Array(scratchBuffer);var d=new Float64Array(scratchBuffer);function e(index){return b[index]}function f(index,value){b[index]=value}function g(){return d[0]}function h(value){d[0]=value}function i(low,high){b[0]=low;b[1]=high}function j(global,env,buffer){var k=env.memory;var l=wasmTable;var m=new global.Int8Array(buffer);var n=new global.Int16Array(buffer);var o=new global.Int32Array(buffer);var p=new global.Uint8Array(buffer);var q=new global.Uint16Array(buffer);var r=new global.Uint32Array(buffer);var s=new global.Float32Array(buffer);var t=new global.Float64Array(buffer);var u=global.Math.imul;var v=global.Math.fround;var w=global.Math.abs;var x=global.Math.clz32;var y=global.Math.min;var z=global.Math.max;var A=global.Math.floor;var B=global.Math.ceil;var C=global.Math.sqrt;var D=env.abort;var E=global.NaN;var F=global.Infinity;var G=env.__cxa_allocate_exception;var H=env.__cxa_throw;var I=env.fd_write;var J=env.fd_close;var K=env.environ_sizes_get;var L=env.environ_get;var M=env.abort;var N=env.emscripten_resize_heap;var O=env.emscripten_memcpy_big;var P=env.setTempRet0;var Q=env.fd_seek;var R=5256544;var S=13656;var T=0;
+// EMSCRIPTEN_START_FUNCS
+function ca(){ok()}function da(a,b){var c=0,d=0,e=0,f=0;c=R-16|0;R=c;o[c+8>>2]=0;o[c>>2]=0;o[c+4>>2]=0;d=_j(b);if(d>>>0<4294967280){a:{b:{if(d>>>0>=11){f=d+16&-16;e=Hk(f);o[c+8>>2]=f|-2147483648;o[c>>2]=e;o[c+4>>2]=d;break b}m[c+11|0]=d;e=c;if(!d){break a}}wl(e,b,d)}m[d+e|0]=0;a=ea(a,c);if(m[c+11|0]<=-1){ul(o[c>>2])}R=c+16|0;return(a|0)!=0}Kk();D()}function ea(a,b){var g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;a=o[a+4>>2];if(a){h=p[b+11|0];i=h<<24>>24<0;h=i?o[b+4>>2]:h;l=i?o[b>>2]:b;while(1){b=a+16|0;g=p[a+27|0];i=g<<24>>24<0;j=i?o[a+20>>2]:g;m=j>>>0<h>>>0;a:{b:{c:{d:{e:{f:{g=m?j:h;if(g){k=i?o[b>>2]:b;n=Zj(l,k,g);if(n){break f}}if(h>>>0<j>>>0){break a}if(!g){break d}k=i?o[b>>2]:b;break e}if((n|0)<=-1){break a}}b=Zj(k,l,g);if(b){break c}}if(m){break b}return 1}if((b|0)<=-1){break b}return 1}a=a+4|0}a=o[a>>2];if(a){continue}break}}return 0}function fa(a,b){var p=0,q=0,r=0,s=0;p=R-16|0;R=p;o[p+12>>2]=0;o[p+8>>2]=0;o[p>>2]=0;o[p+4>>2]=0;q=_j(b);if(q>>>0<4294967280){a:{b:{if(q>>>0>=11){s=q+16&-16;r=Hk(s);o[p+8>>2]=s|-2147483648;o[p>>2]=r;o[p+4>>2]=q;break b}m[p+11|0]=q;r=p;if(!q){break a}}wl(r,b,q)}m[q+r|0]=0;jj(a,p,p+12|0);a=o[p+12>>2];if(m[p+11|0]<=-1){ul(o[p>>2])}R=p+16|0;return a}Kk();D()}function ga(a,b,t){var u=0,v=0,w=0,x=0;u=R-32|0;R=u;o[u+24>>2]=0;o[u+16>>2]=0;o[u+20>>2]=0;v=_j(b);if(v>>>0<4294967280){a:{b:{if(v>>>0>=11){x=v+16&-16;w=Hk(x);o[u+24>>2]=x|-2147483648;o[u+16>>2]=w;o[u+20>>2]=v;break b}m[u+27|0]=v;w=u+16|0;if(!v){break a}}wl(w,b,v)}m[v+w|0]=0;o[u+8>>2]=0;o[u>>2]=0;o[u+4>>2]=0;kj(a,u+16|0,u);a=o[t>>2];if(a){o[t+4>>2]=a;ul(a);o[t+8>>2]=0;o[t>>2]=0;o[t+4>>2]=0}o[t>>2]=o[u>>2];o[t+4>>2]=o[u+4>>2];o[t+8>>2]=o[u+8>>2];if(m[u+27|0]<=-1){ul(o[u+16>>2])}R=u+32|0;return}Kk();D()}function ha(a,b){var y=0,z=0,A=0,B=0,C=0;y=R-32|0;R=y;o[y+24>>2]=0;o[y+28>>2]=0;o[y+16>>2]=0;o[y+8>>2]=0;o[y+12>>2]=0;z=_j(b);if(z>>>0<4294967280){a:{b:{if(z>>>0>=11){B=z+16&-16;A=Hk(B);o[y+16>>2]=B|-2147483648;o[y+8>>2]=A;o[y+12>>2]=z;break b}m[y+19|0]=z;A=y+8|0;if(!z){break a}}wl(A,b,z)}m[z+A|0]=0;lj(a,y+8|0,y+24|0);C=t[y+24>>3];if(m[y+19|0]<=-1){ul(o[y+8>>2])}R=y+32|0;return C}Kk();D()}function ia(a,b,t){var E=0,F=0,G=0,H=0;E=R-16|0;R=E;o[E+8>>2]=0;o[E>>2]=0;o[E+4>>2]=0;F=_j(t);if(F>>>0<4294967280){a:{b:{if(F>>>0>=11){H=F+16&-16;G=Hk(H);o[E+8>>2]=H|-2147483648;o[E>>2]=G;o[E+4>>2]=F;break b}m[E+11|0]=F;G=E;if(!F){break a}}wl(G,t,F)}m[F+G|0]=0;a=a+16|0;t=0;c:{if(!mj(b,E,a)){break c}t=o[a>>2];if(m[a+11|0]<=-1){break c}t=a}if(m[E+11|0]<=-1){ul(o[E>>2])}R=E+16|0;return t}Kk();D()}function ja(a,b,t){var D=0,I=0,J=0,K=0;a:{if(o[a+12>>2]==(b|0)){break a}D=o[a>>2];J=a+4|0;I=o[J>>2];if((D|0)!=(I|0)){while(1){K=I+ -12|0;if(m[I+ -1|0]<=-1){ul(o[K>>2])}I=K;if((I|0)!=(D|0)){continue}break}}o[a+12>>2]=b;o[J>>2]=D;I=o[b>>2];J=b+4|0;if((I|0)==(J|0)){break a}K=a+8|0;while(1){b=I+16|0;b:{if(o[K>>2]!=(D|0)){Mk(D,b);b=a+4|0;o[b>>2]=o[b>>2]+12;break b}ka(a,b)}D=o[I+4>>2];c:{if(!D){b=o[I+8>>2];if(o[b>>2]==(I|0)){break c}I=I+8|0;while(1){D=o[I>>2];I=D+8|0;b=o[D+8>>2];if((D|0)!=o[b>>2]){continue}break}break c}while(1){b=D;D=o[D>>2];if(D){continue}break}}if((b|0)==(J|0)){break a}D=o[a+4>>2];I=b;continue}}D=0;d:{if((t|0)<0){break d}b=o[a+4>>2];a=o[a>>2];if((b-a|0)/12>>>0<=t>>>0){break d}D=a+u(t,12)|0;if(m[D+11|0]>-1){break d}D=o[D>>2]}return D}function ka(a,b){var t=0,L=0,M=0,N=0,O=0;a:{b:{c:{M=o[a>>2];O=(o[a+4>>2]-M|0)/12|0;t=O+1|0;if(t>>>0<357913942){M=(o[a+8>>2]-M|0)/12|0;N=M<<1;t=M>>>0<178956970?N>>>0<t>>>0?t:N:357913941;L=0;d:{if(!t){break d}if(t>>>0>=357913942){break c}L=Hk(u(t,12))}M=L+u(t,12)|0;b=Mk(L+u(O,12)|0,b);O=b+12|0;t=o[a+4>>2];L=o[a>>2];if((t|0)==(L|0)){break b}while(1){t=t+ -12|0;N=o[t+4>>2];b=b+ -12|0;o[b>>2]=o[t>>2];o[b+4>>2]=N;N=t+8|0;o[b+8>>2]=o[N>>2];o[t>>2]=0;o[t+4>>2]=0;o[N>>2]=0;if((t|0)!=(L|0)){continue}break}L=o[a+4>>2];t=o[a>>2];break a}Yk();D()}_a(1040);D()}t=L}o[a>>2]=b;o[a+8>>2]=M;o[a+4>>2]=O;if((t|0)!=(L|0)){while(1){a=L+ -12|0;if(m[L+ -1|0]<=-1){ul(o[a>>2])}L=a;if((a|0)!=(t|0)){continue}break}}if(t){ul(t)}}function la(a){var b=0;ui(a);b=a+16|0;o[b>>2]=0;o[b+4>>2]=0;o[a+24>>2]=0;o[a+28>>2]=0;o[a+12>>2]=b;o[a+32>>2]=0;o[a+36>>2]=0;return a}function ma(a){var P=0;P=R-32|0;R=P;Rf(P+8|0,a);a=o[P+24>>2];if(m[P+23|0]<=-1){ul(o[P+12>>2])}R=P+32|0;return a}function na(a){var Q=0;Q=R-16|0;R=Q;Tf(Q);o[a+24>>2]=o[Q>>2];Ok(a+28|0,Q|4);a=a+24|0;if(m[Q+15|0]<=-1){ul(o[Q+4>>2])}R=Q+16|0;return a}function oa(a,S,T){var U=0;U=R-16|0;R=U;Sf(U,a,S,T);o[a+24>>2]=o[U>>2];Ok(a+28|0,U|4);a=a+24|0;if(m[U+15|0]<=-1){ul(o[U+4>>2])}R=U+16|0;return a}function pa(a,S){var T=0,V=0,W=0,X=0;T=R-32|0;R=T;o[T+24>>2]=0;o[T+16>>2]=0;o[T+20>>2]=0;V=_j(S);if(V>>>0<4294967280){a:{b:{if(V>>>0>=11){X=V+16&-16;W=Hk(X);o[T+24>>2]=X|-2147483648;o[T+16>>2]=W;o[T+20>>2]=V;break b}m[T+27|0]=V;W=T+16|0;if(!V){break a}}wl(W,S,V)}m[V+W|0]=0;o[T+8>>2]=67108864;o[T>>2]=0;o[T+4>>2]=0;m[T+4|0]=0;o[T>>2]=1701667182;V=o[a+4>>2];S=-1;c:{if(!V){break c}V=dj(V,T,T+16|0);S=-1;if(!V){break c}S=uj(a,o[V+24>>2])}if(m[T+11|0]<=-1){ul(o[T>>2])}if(m[T+27|0]<=-1){ul(o[T+16>>2])}R=T+32|0;return S}Kk();D()}function qa(a,S,Y){var Z=0,_=0,$=0,aa=0;Z=R-32|0;R=Z;o[Z+24>>2]=0;o[Z+16>>2]=0;o[Z+20>>2]=0;a:{aa=_j(S);if(aa>>>0<4294967280){b:{c:{if(aa>>>0>=11){_=aa+16&-16;$=Hk(_);o[Z+24>>2]=_|-2147483648;o[Z+16>>2]=$;o[Z+20>>2]=aa;break c}m[Z+27|0]=aa;$=Z+16|0;if(!aa){break b}}wl($,S,aa)}m[$+aa|0]=0;o[Z+8>>2]=0;o[Z>>2]=0;o[Z+4>>2]=0;_=_j(Y);if(_>>>0>=4294967280){break a}d:{e:{if(_>>>0>=11){S=_+16&-16;$=Hk(S);o[Z+8>>2]=S|-2147483648;o[Z>>2]=$;o[Z+4>>2]=_;break e}m[Z+11|0]=_;$=Z;if(!_){break d}}wl($,Y,_)}m[_+$|0]=0;Y=o[a+4>>2];S=-1;f:{if(!Y){break f}Y=dj(Y,Z+16|0,Z);S=-1;if(!Y){break f}S=uj(a,o[Y+24>>2])}a=S;if(m[Z+11|0]<=-1){ul(o[Z>>2])}if(m[Z+27|0]<=-1){ul(o[Z+16>>2])}R=Z+32|0;return a}Kk();D()}Kk();D()}function ra(a,S,Y){var ba=0,ca=0,da=0;ba=R-16|0;R=ba;ca=o[a+96>>2];o[ba+8>>2]=0;o[ba>>2]=0;o[ba+4>>2]=0;a=Hk(12);o[ba>>2]=a;o[ba+4>>2]=a;da=a+12|0;o[ba+8>>2]=da;ca=wl(a,ca+u(S,12)|0,12)+12|0;o[ba+4>>2]=ca;S=o[Y>>2];if(S){o[Y+4>>2]=S;ul(S);o[Y+8>>2]=0;o[Y>>2]=0;o[Y+4>>2]=0}o[Y>>2]=a;o[Y+8>>2]=da;o[Y+4>>2]=ca;R=ba+16|0;return 1}function sa(a,S){var Y=0,ea=0;Y=R-96|0;R=Y;xl(Y+16|0,0,76);o[Y+92>>2]=-1;o[Y+8>>2]=0;o[Y>>2]=0;o[Y+4>>2]=0;a:{if(ta(Y+16|0,a,Y)){a=o[S>>2];if(a){o[S+4>>2]=a;ul(a);o[S+8>>2]=0;o[S>>2]=0;o[S+4>>2]=0}o[S>>2]=o[Y>>2];o[S+4>>2]=o[Y+4>>2];o[S+8>>2]=o[Y+8>>2];o[Y+8>>2]=0;o[Y>>2]=0;o[Y+4>>2]=0;ea=o[Y+84>>2];break a}a=o[Y>>2];if(!a){break a}o[Y+4>>2]=a;ul(a)}a=o[Y+72>>2];if(a){ul(a)}a=o[Y+48>>2];if(a){o[Y+52>>2]=a;ul(a)}a=o[Y+36>>2];if(a){o[Y+40>>2]=a;ul(a)}a=o[Y+24>>2];if(a){o[Y+28>>2]=a;ul(a)}a=o[Y+20>>2];o[Y+20>>2]=0;if(a){ua(Y+16|4,a)}R=Y+96|0;return ea}function ta(a,S,fa){var ga=0,ha=0,ia=0,ja=0,ka=0,la=0,ma=0,na=0,oa=0,pa=0,qa=0,ra=0,sa=0;ja=R-16|0;R=ja;a:{if(!va(a,S)){break a}ia=1;ha=o[S+96>>2];oa=S+100|0;ga=o[oa>>2];if((ha|0)==(ga|0)){break a}pa=a+12|0;qa=a+24|0;ra=a+36|0;na=fa+8|0;la=fa+4|0;while(1){if(!(o[o[a+56>>2]+(ma>>>3&536870908)>>2]>>>(ma&31)&1)){ia=u(ma,3);Zi(a,0,ia);sa=o[pa>>2];ka=o[a+8>>2];Zi(a,1,ia+1|0);ha=o[qa>>2];ga=o[a+20>>2];Zi(a,2,ia+2|0);ia=ha-ga>>2;ha=sa-ka|0;ga=ha>>2;ka=ia>>>0>ga>>>0;ka=o[ra>>2]-o[a+32>>2]>>2>>>0>(ka?ia:ga)>>>0?2:ka?1:ha?0:-1;b:{if(o[a+68>>2]<1){break b}ga=o[a+76>>2];o[ja+12>>2]=ga;ha=o[la>>2];c:{if(ha>>>0<r[na>>2]){o[ha>>2]=ga;o[la>>2]=ha+4;break c}wa(fa,ja+12|0)}ga=ja;ia=o[((ka<<2)+a|0)+44>>2];ha=-1;d:{if((ia|0)<0){break d}ha=(ia>>>0)/3|0;ha=o[(o[o[a>>2]+96>>2]+u(ha,12)|0)+(ia-u(ha,3)<<2)>>2]}o[ga+8>>2]=ha;ga=o[la>>2];e:{if(ga>>>0<r[na>>2]){o[ga>>2]=ha;o[la>>2]=ga+4;break e}wa(fa,ja+8|0)}ga=o[a+72>>2]+2|0;o[a+72>>2]=ga;if(!(ga&1)){break b}o[ja+4>>2]=ha;ga=o[la>>2];f:{if(ga>>>0<r[na>>2]){o[ga>>2]=ha;o[la>>2]=ga+4;break f}wa(fa,ja+4|0)}o[a+72>>2]=o[a+72>>2]+1}xa(a,ka,fa);ha=o[S+96>>2];ga=o[oa>>2]}ia=1;ma=ma+1|0;if(ma>>>0<(ga-ha|0)/12>>>0){continue}break}}R=ja+16|0;return ia}function ua(a,R){if(R){a=o[R+76>>2];if(a){o[R+80>>2]=a;ul(a)}a=o[R- -64>>2];if(a){o[R+68>>2]=a;ul(a)}a=o[R+48>>2];if(a){o[R+52>>2]=a;ul(a)}a=o[R+24>>2];if(a){o[R+28>>2]=a;ul(a)}a=o[R+12>>2];if(a){o[R+16>>2]=a;ul(a)}a=o[R>>2];if(a){o[R+4>>2]=a;ul(a)}ul(R)}}function va(a,S){var fa=0,ta=0,va=0;fa=R-16|0;R=fa;o[a+68>>2]=0;o[a+72>>2]=0;o[a>>2]=S;Yi(fa+8|0,S);ta=o[fa+8>>2];o[fa+8>>2]=0;va=o[a+4>>2];o[a+4>>2]=ta;a:{if(!va){o[fa+8>>2]=0;break a}ta=a+4|0;ua(ta,va);va=o[fa+8>>2];o[fa+8>>2]=0;if(va){ua(fa+8|0,va)}ta=o[ta>>2]}if(ta){ta=o[S+100>>2];S=o[S+96>>2];m[fa+7|0]=0;$a(a+56|0,(ta-S|0)/12|0,fa+7|0);a=1}else{a=0}R=fa+16|0;return a}function wa(a,R){var S=0,ua=0,wa=0,xa=0,ya=0,za=0;a:{wa=o[a>>2];ya=o[a+4>>2]-wa|0;S=ya>>2;ua=S+1|0;if(ua>>>0<1073741824){za=S<<2;S=o[a+8>>2]-wa|0;xa=S>>1;ua=S>>2>>>0<536870911?xa>>>0<ua>>>0?ua:xa:1073741823;S=0;b:{if(!ua){break b}if(ua>>>0>=1073741824){break a}S=Hk(ua<<2)}xa=za+S|0;o[xa>>2]=o[R>>2];R=S+(ua<<2)|0;ua=xa+4|0;if((ya|0)>=1){wl(S,wa,ya)}o[a>>2]=S;o[a+8>>2]=R;o[a+4>>2]=ua;if(wa){ul(wa)}return}Yk();D()}_a(1040);D()}function xa(a,Aa,Ba){var Ca=0,Da=0,Ea=0,Fa=0,Ga=0,Ha=0,Ia=0,Ja=0;Ea=R-16|0;R=Ea;o[a+68>>2]=o[a+68>>2]+1;Ca=u(Aa,12)+a|0;Ca=o[Ca+12>>2]-o[Ca+8>>2]|0;if((Ca|0)>=1){Ja=Ca>>2;Ca=o[((Aa<<2)+a|0)+44>>2];Ha=Ba+8|0;Fa=Ba+4|0;while(1){Aa=Ca;Ga=(Ca>>>0)/3|0;Ca=(Ca|0)==-1?-1:Ga;Da=o[a+56>>2]+(Ca>>>3&536870908)|0;o[Da>>2]=o[Da>>2]|1<<(Ca&31);o[a+72>>2]=o[a+72>>2]+1;a:{b:{if(!Ia){Ca=(Aa|0)<0?-1:o[(o[o[a>>2]+96>>2]+u(Ga,12)|0)+((Aa>>>0)%3<<2)>>2];o[Ea+12>>2]=Ca;Da=o[Fa>>2];c:{if(Da>>>0<r[Ha>>2]){o[Da>>2]=Ca;o[Fa>>2]=Da+4;break c}wa(Ba,Ea+12|0)}Ca=-1;d:{if((Aa|0)==-1){break d}Da=Aa+1|0;Da=(Da>>>0)%3|0?Da:Aa+ -2|0;if((Da|0)<0){break d}Ca=(Da>>>0)/3|0;Ca=o[(o[o[a>>2]+96>>2]+u(Ca,12)|0)+(Da-u(Ca,3)<<2)>>2]}o[Ea+12>>2]=Ca;Da=o[Fa>>2];e:{if(Da>>>0<r[Ha>>2]){o[Da>>2]=Ca;o[Fa>>2]=Da+4;break e}wa(Ba,Ea+12|0)}Da=a;Ca=-1;f:{if((Aa|0)==-1){break f}Ga=((Aa>>>0)%3|0?-1:2)+Aa|0;Ca=-1;if((Ga|0)<0){break f}Ca=(Ga>>>0)/3|0;Ca=o[(o[o[a>>2]+96>>2]+u(Ca,12)|0)+(Ga-u(Ca,3)<<2)>>2]}o[Da+76>>2]=Ca;o[Ea+12>>2]=Ca;Da=o[Fa>>2];if(Da>>>0<r[Ha>>2]){o[Da>>2]=Ca;o[Fa>>2]=Da+4;break b}wa(Ba,Ea+12|0);break b}Ca=(Aa|0)<0?-1:o[(o[o[a>>2]+96>>2]+u(Ga,12)|0)+((Aa>>>0)%3<<2)>>2];o[a+76>>2]=Ca;o[Ea+12>>2]=Ca;Da=o[Fa>>2];g:{if(Da>>>0<r[Ha>>2]){o[Da>>2]=Ca;o[Fa>>2]=Da+4;break g}wa(Ba,Ea+12|0)}if(Ia&1){Ca=-1;if((Aa|0)==-1){break a}if(Aa-u(Ga,3)){Aa=Aa+ -1|0;break b}Aa=Aa+2|0;break b}Ca=-1;if((Aa|0)==-1){break a}Ca=Aa+1|0;Aa=(Ca>>>0)%3|0?Ca:Aa+ -2|0}Ca=-1;if((Aa|0)==-1){break a}Ca=o[o[o[a+4>>2]+12>>2]+(Aa<<2)>>2]}Ia=Ia+1|0;if((Ia|0)<(Ja|0)){continue}break}}R=Ea+16|0}function ya(a,R,Aa){var Ba=0,Ka=0,La=0;a:{if(r[a+80>>2]>65535){break a}Ka=o[a+96>>2];a=o[a+100>>2]-Ka|0;La=(a|0)/12|0;if((u(La,6)|0)!=(R|0)){break a}if(!a){return 1}a=0;while(1){R=u(a,6)+Aa|0;Ba=u(a,12)+Ka|0;n[R>>1]=o[Ba>>2];n[R+2>>1]=o[Ba+4>>2];n[R+4>>1]=o[Ba+8>>2];Ba=1;a=a+1|0;if(a>>>0<La>>>0){continue}break}}return Ba}function za(a,R,Aa){var Ma=0,Na=0,Oa=0;Na=o[a+96>>2];a=o[a+100>>2]-Na|0;Oa=(a|0)/12|0;if((a|0)==(R|0)){if(!R){return 1}a=0;while(1){Ma=u(a,12);R=Ma+Aa|0;Ma=Ma+Na|0;o[R>>2]=o[Ma>>2];o[R+4>>2]=o[Ma+4>>2];o[R+8>>2]=o[Ma+8>>2];Ma=1;a=a+1|0;if(a>>>0<Oa>>>0){continue}break}}return Ma}function Aa(a,Aa,Pa){var Qa=0,Ra=0,Sa=0,Ta=0;Qa=R-32|0;R=Qa;Ra=m[a+24|0];Ta=o[259];o[Qa+24>>2]=o[258];o[Qa+28>>2]=Ta;Ta=o[257];o[Qa+16>>2]=o[256];o[Qa+20>>2]=Ta;a:{if(Ba(a,Aa,Ra,Qa+16|0)){a=0;o[Qa+8>>2]=0;o[Qa>>2]=0;o[Qa+4>>2]=0;Aa=0;if(Ra){if((Ra|0)<=-1){break a}Aa=Ra<<2;Sa=Hk(Aa);o[Qa>>2]=Sa;a=(Ra<<2)+Sa|0;o[Qa+8>>2]=a;wl(Sa,Qa+16|0,Aa);o[Qa+4>>2]=a;Aa=a}Ra=o[Pa>>2];if(Ra){o[Pa+4>>2]=Ra;ul(Ra);o[Pa+8>>2]=0;o[Pa>>2]=0;o[Pa+4>>2]=0;Aa=o[Qa+4>>2];Sa=o[Qa>>2];a=o[Qa+8>>2]}o[Pa>>2]=Sa;o[Pa+8>>2]=a;o[Pa+4>>2]=Aa;Sa=1}R=Qa+32|0;return Sa}Yk();D()}function Ba(a,R,Aa,Pa){var Ua=0,Va=0,Wa=v(0),Xa=0,Ya=0;a:{b:{if(!Pa){break b}Ua=o[a+28>>2]+ -1|0;if(Ua>>>0>10){break b}c:{switch(Ua-1|0){default:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(m[R|0]);s[(Va<<2)+Pa>>2]=Xa?v(Wa/v(127)):Wa;R=R+1|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 0:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(p[R|0]);s[(Va<<2)+Pa>>2]=Xa?v(Wa/v(255)):Wa;R=R+1|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 1:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(n[R>>1]);s[(Va<<2)+Pa>>2]=Xa?v(Wa/v(32767)):Wa;R=R+2|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 2:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(q[R>>1]);s[(Va<<2)+Pa>>2]=Xa?v(Wa/v(65535)):Wa;R=R+2|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 3:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(o[R>>2]);s[(Va<<2)+Pa>>2]=Xa?v(Wa*v(4.656612873077393e-10)):Wa;R=R+4|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 4:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(r[R>>2]);s[(Va<<2)+Pa>>2]=Xa?v(Wa*v(2.3283064365386963e-10)):Wa;R=R+4|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 5:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(+r[R>>2]+4294967296*+o[R+4>>2]);s[(Va<<2)+Pa>>2]=Xa?v(Wa*v(1.0842021724855044e-19)):Wa;R=R+8|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 6:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;Xa=p[a+32|0];while(1){Wa=v(+r[R>>2]+4294967296*+r[R+4>>2]);s[(Va<<2)+Pa>>2]=Xa?v(Wa*v(5.421010862427522e-20)):Wa;R=R+8|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 7:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;while(1){o[(Va<<2)+Pa>>2]=o[R>>2];R=R+4|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 8:Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;while(1){s[(Va<<2)+Pa>>2]=t[R>>3];R=R+8|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}break a;case 9:break c}}Ya=1;Ua=m[a+24|0];if(((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24>=1){Ua=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Ua+R|0;while(1){s[(Va<<2)+Pa>>2]=p[R|0]?v(1):v(0);R=R+1|0;Va=Va+1|0;Ua=m[a+24|0];if((Va|0)<((Ua|0)>(Aa|0)?Aa:Ua)<<24>>24){continue}break}}if((Ua|0)>=(Aa|0)){break b}xl((Ua<<2)+Pa|0,0,Aa-Ua<<2)}return Ya}xl((Ua<<2)+Pa|0,0,Aa-Ua<<2);return 1}function Ca(a,Aa,Pa){var Za=0,_a=0,$a=0,ab=0,bb=0,cb=0,db=0,eb=0;Za=R-16|0;R=Za;bb=o[a+80>>2];cb=m[Aa+24|0];a=o[259];o[Za+8>>2]=o[258];o[Za+12>>2]=a;a=o[257];o[Za>>2]=o[256];o[Za+4>>2]=a;a=u(bb,cb);$a=o[Pa>>2];_a=o[Pa+4>>2]-$a>>2;a:{if(a>>>0>_a>>>0){Da(Pa,a-_a|0);break a}if(a>>>0>=_a>>>0){break a}o[Pa+4>>2]=$a+(a<<2)}b:{if(!bb){a=1;break b}$a=0;db=Aa+68|0;eb=(cb|0)<1;while(1){a=ab;_a=Aa;if(!p[_a+84|0]){a=o[o[db>>2]+(ab<<2)>>2]}if(!Ba(_a,a,m[Aa+24|0],Za)){a=0;break b}if(!eb){_a=o[Pa>>2];a=0;while(1){o[_a+($a<<2)>>2]=o[(a<<2)+Za>>2];$a=$a+1|0;a=a+1|0;if((cb|0)!=(a|0)){continue}break}}a=1;ab=ab+1|0;if((bb|0)!=(ab|0)){continue}break}}R=Za+16|0;return a}function Da(a,R){var Aa=0,Pa=0,fb=0,gb=0,hb=0,ib=0,jb=0,kb=0,lb=0;Pa=o[a+8>>2];fb=a+4|0;Aa=o[fb>>2];if(Pa-Aa>>2>>>0>=R>>>0){a=R<<2;kb=fb,lb=xl(Aa,0,a)+a|0,o[kb>>2]=lb;return}a:{fb=o[a>>2];hb=Aa-fb|0;Aa=hb>>2;gb=Aa+R|0;if(gb>>>0<1073741824){jb=Aa<<2;Pa=Pa-fb|0;Aa=Pa>>1;Pa=Pa>>2>>>0<536870911?Aa>>>0<gb>>>0?gb:Aa:1073741823;Aa=0;b:{if(!Pa){break b}if(Pa>>>0>=1073741824){break a}ib=Hk(Pa<<2);Aa=ib}xl(jb+Aa|0,0,R<<2);R=Aa+(gb<<2)|0;gb=Aa+(Pa<<2)|0;if((hb|0)>=1){wl(ib,fb,hb)}o[a>>2]=Aa;o[a+8>>2]=gb;o[a+4>>2]=R;if(fb){ul(fb)}return}Yk();D()}_a(1040);D()}function Ea(a,mb,nb){var ob=0,pb=0,qb=0,rb=0,sb=0,tb=0,ub=0,vb=0;pb=R-16|0;R=pb;sb=o[a+80>>2];rb=m[mb+24|0];qb=u(sb,rb);a:{a=o[mb+28>>2];b:{if(!(!p[mb+84|0]|((a|0)!=2?(a|0)!=1:0))){rb=o[mb+48>>2];mb=o[o[mb>>2]>>2];o[pb+8>>2]=0;o[pb>>2]=0;o[pb+4>>2]=0;a=0;if(qb){if((qb|0)<=-1){break a}a=Hk(qb);o[pb>>2]=a;ob=a+qb|0;o[pb+8>>2]=ob;wl(a,mb+rb|0,qb);o[pb+4>>2]=ob}mb=o[nb>>2];if(mb){o[nb+4>>2]=mb;ul(mb);o[nb+8>>2]=0;o[nb>>2]=0;o[nb+4>>2]=0}o[nb>>2]=a;o[nb+8>>2]=ob;o[nb+4>>2]=ob;ob=1;break b}o[pb+8>>2]=0;o[pb>>2]=0;o[pb+4>>2]=0;if(rb){if((rb|0)<=-1){break a}ob=Hk(rb);o[pb>>2]=ob;o[pb+4>>2]=ob;o[pb+8>>2]=ob+rb;a=rb;while(1){m[ob|0]=0;ob=o[pb+4>>2]+1|0;o[pb+4>>2]=ob;a=a+ -1|0;if(a){continue}break}}ob=o[nb>>2];a=o[nb+4>>2]-ob|0;c:{if(qb>>>0>a>>>0){Fa(nb,qb-a|0);break c}if(qb>>>0>=a>>>0){break c}o[nb+4>>2]=ob+qb}d:{if(!sb){ob=1;break d}a=0;tb=mb+68|0;ub=(rb|0)<1;qb=0;while(1){ob=qb;vb=mb;if(!p[mb+84|0]){ob=o[o[tb>>2]+(qb<<2)>>2]}if(!Ga(vb,ob,m[mb+24|0],o[pb>>2])){ob=0;break d}ob=0;if(!ub){while(1){m[o[nb>>2]+a|0]=p[o[pb>>2]+ob|0];a=a+1|0;ob=ob+1|0;if((rb|0)!=(ob|0)){continue}break}}ob=1;qb=qb+1|0;if((sb|0)!=(qb|0)){continue}break}}a=o[pb>>2];if(!a){break b}o[pb+4>>2]=a;ul(a)}R=pb+16|0;return ob}Yk();D()}function Fa(a,R){var mb=0,nb=0,wb=0,xb=0,yb=0,zb=0;a:{nb=o[a+8>>2];wb=a+4|0;mb=o[wb>>2];b:{if(nb-mb>>>0>=R>>>0){while(1){m[mb|0]=0;mb=o[wb>>2]+1|0;o[wb>>2]=mb;R=R+ -1|0;if(R){continue}break b}}xb=o[a>>2];yb=mb-xb|0;mb=yb+R|0;if((mb|0)<=-1){break a}wb=0;nb=nb-xb|0;zb=nb<<1;nb=nb>>>0<1073741823?zb>>>0<mb>>>0?mb:zb:2147483647;if(nb){wb=Hk(nb)}mb=wb+yb|0;xl(mb,0,R);nb=nb+wb|0;while(1){mb=mb+1|0;R=R+ -1|0;if(R){continue}break}if((yb|0)>=1){wl(wb,xb,yb)}o[a>>2]=wb;o[a+8>>2]=nb;o[a+4>>2]=mb;if(!xb){break b}ul(xb)}return}Yk();D()}function Ga(a,R,Ab,Bb){var Cb=0,Db=0,Eb=0,Fb=0,Gb=v(0),Hb=0;a:{b:{if(!Bb){break b}Cb=o[a+28>>2]+ -1|0;if(Cb>>>0>10){break b}c:{d:{e:{switch(Cb-1|0){default:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=p[R|0];R=R+1|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 0:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=p[R|0];R=R+1|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 1:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=p[R|0];R=R+2|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 2:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=p[R|0];R=R+2|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 3:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=o[R>>2];R=R+4|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 4:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=o[R>>2];R=R+4|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 5:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=o[R>>2];R=R+8|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 6:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=o[R>>2];R=R+8|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}break a;case 7:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24<1){break c}Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){Cb=Bb+Db|0;Gb=s[R>>2];f:{if(v(w(Gb))<v(2147483648)){Fb=~~Gb;break f}Fb=-2147483648}m[Cb|0]=Fb;R=R+4|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}break c;case 8:Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24<1){break d}Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){Cb=Bb+Db|0;Hb=t[R>>3];g:{if(w(Hb)<2147483648){Fb=~~Hb;break g}Fb=-2147483648}m[Cb|0]=Fb;R=R+8|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}break d;case 9:break e}}Eb=1;Cb=m[a+24|0];if(((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24>=1){Cb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Cb+R|0;while(1){m[Bb+Db|0]=p[R|0];R=R+1|0;Db=Db+1|0;Cb=m[a+24|0];if((Db|0)<((Cb|0)>(Ab|0)?Ab:Cb)<<24>>24){continue}break}}if((Cb|0)>=(Ab|0)){break b}xl(Bb+Cb|0,0,Ab-Cb|0);break b}if((Cb|0)>=(Ab|0)){break b}break a}if((Cb|0)>=(Ab|0)){break b}break a}return Eb}xl(Bb+Cb|0,0,Ab-Cb|0);return 1}function Ha(a,Ab,Bb){var Ib=0,Jb=0,Kb=0,Lb=0,Mb=0,Nb=0,Ob=0,Pb=0;Jb=R-16|0;R=Jb;Mb=o[a+80>>2];Lb=m[Ab+24|0];Kb=u(Mb,Lb);a:{a=o[Ab+28>>2];b:{if(!(!p[Ab+84|0]|((a|0)!=2?(a|0)!=1:0))){Lb=o[Ab+48>>2];Ab=o[o[Ab>>2]>>2];o[Jb+8>>2]=0;o[Jb>>2]=0;o[Jb+4>>2]=0;a=0;if(Kb){if((Kb|0)<=-1){break a}a=Hk(Kb);o[Jb>>2]=a;Ib=a+Kb|0;o[Jb+8>>2]=Ib;wl(a,Ab+Lb|0,Kb);o[Jb+4>>2]=Ib}Ab=o[Bb>>2];if(Ab){o[Bb+4>>2]=Ab;ul(Ab);o[Bb+8>>2]=0;o[Bb>>2]=0;o[Bb+4>>2]=0}o[Bb>>2]=a;o[Bb+8>>2]=Ib;o[Bb+4>>2]=Ib;Ib=1;break b}o[Jb+8>>2]=0;o[Jb>>2]=0;o[Jb+4>>2]=0;if(Lb){if((Lb|0)<=-1){break a}Ib=Hk(Lb);o[Jb>>2]=Ib;o[Jb+4>>2]=Ib;o[Jb+8>>2]=Ib+Lb;a=Lb;while(1){m[Ib|0]=0;Ib=o[Jb+4>>2]+1|0;o[Jb+4>>2]=Ib;a=a+ -1|0;if(a){continue}break}}Ib=o[Bb>>2];a=o[Bb+4>>2]-Ib|0;c:{if(Kb>>>0>a>>>0){Fa(Bb,Kb-a|0);break c}if(Kb>>>0>=a>>>0){break c}o[Bb+4>>2]=Ib+Kb}d:{if(!Mb){Ib=1;break d}a=0;Nb=Ab+68|0;Ob=(Lb|0)<1;Kb=0;while(1){Ib=Kb;Pb=Ab;if(!p[Ab+84|0]){Ib=o[o[Nb>>2]+(Kb<<2)>>2]}if(!Ia(Pb,Ib,m[Ab+24|0],o[Jb>>2])){Ib=0;break d}Ib=0;if(!Ob){while(1){m[o[Bb>>2]+a|0]=p[o[Jb>>2]+Ib|0];a=a+1|0;Ib=Ib+1|0;if((Lb|0)!=(Ib|0)){continue}break}}Ib=1;Kb=Kb+1|0;if((Mb|0)!=(Kb|0)){continue}break}}a=o[Jb>>2];if(!a){break b}o[Jb+4>>2]=a;ul(a)}R=Jb+16|0;return Ib}Yk();D()}function Ia(a,R,Ab,Bb){var Qb=0,Rb=0,Sb=0,Tb=0,Ub=v(0),Vb=0;a:{b:{if(!Bb){break b}Qb=o[a+28>>2]+ -1|0;if(Qb>>>0>10){break b}c:{d:{e:{switch(Qb-1|0){default:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=p[R|0];R=R+1|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 0:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=p[R|0];R=R+1|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 1:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=p[R|0];R=R+2|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 2:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=p[R|0];R=R+2|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 3:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=o[R>>2];R=R+4|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 4:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=o[R>>2];R=R+4|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 5:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=o[R>>2];R=R+8|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 6:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=o[R>>2];R=R+8|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}break a;case 7:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24<1){break c}Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){Qb=Bb+Rb|0;Ub=s[R>>2];f:{if(Ub<v(4294967296)&Ub>=v(0)){Tb=~~Ub>>>0;break f}Tb=0}m[Qb|0]=Tb;R=R+4|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}break c;case 8:Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24<1){break d}Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){Qb=Bb+Rb|0;Vb=t[R>>3];g:{if(Vb<4294967296&Vb>=0){Tb=~~Vb>>>0;break g}Tb=0}m[Qb|0]=Tb;R=R+8|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}break d;case 9:break e}}Sb=1;Qb=m[a+24|0];if(((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24>=1){Qb=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qb+R|0;while(1){m[Bb+Rb|0]=p[R|0];R=R+1|0;Rb=Rb+1|0;Qb=m[a+24|0];if((Rb|0)<((Qb|0)>(Ab|0)?Ab:Qb)<<24>>24){continue}break}}if((Qb|0)>=(Ab|0)){break b}xl(Bb+Qb|0,0,Ab-Qb|0);break b}if((Qb|0)>=(Ab|0)){break b}break a}if((Qb|0)>=(Ab|0)){break b}break a}return Sb}xl(Bb+Qb|0,0,Ab-Qb|0);return 1}function Ja(a,Ab,Bb){var Wb=0,Xb=0,Yb=0,Zb=0,_b=0,$b=0,ac=0,bc=0,cc=0;Wb=R-16|0;R=Wb;ac=o[a+80>>2];_b=m[Ab+24|0];a=u(ac,_b);a:{Xb=o[Ab+28>>2];b:{if(!(!p[Ab+84|0]|((Xb|0)!=4?(Xb|0)!=3:0))){$b=o[Ab+48>>2];Xb=o[o[Ab>>2]>>2];o[Wb+8>>2]=0;o[Wb>>2]=0;o[Wb+4>>2]=0;Ab=0;a=a<<1;if(a){if((a|0)<=-1){break a}Yb=Hk(a);o[Wb>>2]=Yb;Zb=(a>>1<<1)+Yb|0;o[Wb+8>>2]=Zb;Ab=wl(Yb,Xb+$b|0,a)+a|0;o[Wb+4>>2]=Ab}a=o[Bb>>2];if(a){o[Bb+4>>2]=a;ul(a);o[Bb+8>>2]=0;o[Bb>>2]=0;o[Bb+4>>2]=0}o[Bb>>2]=Yb;o[Bb+8>>2]=Zb;o[Bb+4>>2]=Ab;a=1;break b}o[Wb+8>>2]=0;o[Wb>>2]=0;o[Wb+4>>2]=0;if(_b){if((_b|0)<=-1){break a}Xb=_b<<1;Yb=Hk(Xb);o[Wb>>2]=Yb;Zb=Xb+Yb|0;o[Wb+8>>2]=Zb;xl(Yb,0,Xb);o[Wb+4>>2]=Zb}Yb=o[Bb>>2];Xb=o[Bb+4>>2]-Yb>>1;c:{if(a>>>0>Xb>>>0){Ka(Bb,a-Xb|0);break c}if(a>>>0>=Xb>>>0){break c}o[Bb+4>>2]=Yb+(a<<1)}d:{if(!ac){a=1;break d}Yb=0;Zb=Ab+68|0;bc=(_b|0)<1;while(1){a=$b;Xb=Ab;if(!p[Ab+84|0]){a=o[o[Zb>>2]+($b<<2)>>2]}if(!La(Xb,a,m[Ab+24|0],o[Wb>>2])){a=0;break d}if(!bc){Xb=o[Bb>>2];a=0;cc=o[Wb>>2];while(1){n[Xb+(Yb<<1)>>1]=q[cc+(a<<1)>>1];Yb=Yb+1|0;a=a+1|0;if((_b|0)!=(a|0)){continue}break}}a=1;$b=$b+1|0;if((ac|0)!=($b|0)){continue}break}}Ab=o[Wb>>2];if(!Ab){break b}o[Wb+4>>2]=Ab;ul(Ab)}R=Wb+16|0;return a}Yk();D()}function Ka(a,R){var Ab=0,Bb=0,dc=0,ec=0,fc=0,gc=0,hc=0,ic=0,jc=0;Bb=o[a+8>>2];dc=a+4|0;Ab=o[dc>>2];if(Bb-Ab>>1>>>0>=R>>>0){a=R<<1;ic=dc,jc=xl(Ab,0,a)+a|0,o[ic>>2]=jc;return}a:{dc=o[a>>2];fc=Ab-dc|0;Ab=fc>>1;ec=Ab+R|0;if((ec|0)>-1){hc=Ab<<1;Bb=Bb-dc|0;Bb=Bb>>1>>>0<1073741823?Bb>>>0<ec>>>0?ec:Bb:2147483647;Ab=0;b:{if(!Bb){break b}if((Bb|0)<=-1){break a}gc=Hk(Bb<<1);Ab=gc}xl(hc+Ab|0,0,R<<1);R=Ab+(ec<<1)|0;ec=Ab+(Bb<<1)|0;if((fc|0)>=1){wl(gc,dc,fc)}o[a>>2]=Ab;o[a+8>>2]=ec;o[a+4>>2]=R;if(dc){ul(dc)}return}Yk();D()}_a(1040);D()}function La(a,R,kc,lc){var mc=0,nc=0,oc=0,pc=0,qc=v(0),rc=0;a:{b:{if(!lc){break b}mc=o[a+28>>2]+ -1|0;if(mc>>>0>10){break b}c:{d:{e:{switch(mc-1|0){default:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=m[R|0];R=R+1|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 0:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=p[R|0];R=R+1|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 1:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=q[R>>1];R=R+2|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 2:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=q[R>>1];R=R+2|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 3:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=o[R>>2];R=R+4|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 4:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=o[R>>2];R=R+4|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 5:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=o[R>>2];R=R+8|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 6:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=o[R>>2];R=R+8|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}break a;case 7:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24<1){break c}mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){mc=(nc<<1)+lc|0;qc=s[R>>2];f:{if(v(w(qc))<v(2147483648)){pc=~~qc;break f}pc=-2147483648}n[mc>>1]=pc;R=R+4|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}break c;case 8:oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24<1){break d}mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){mc=(nc<<1)+lc|0;rc=t[R>>3];g:{if(w(rc)<2147483648){pc=~~rc;break g}pc=-2147483648}n[mc>>1]=pc;R=R+8|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}break d;case 9:break e}}oc=1;mc=m[a+24|0];if(((mc|0)>(kc|0)?kc:mc)<<24>>24>=1){mc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=mc+R|0;while(1){n[(nc<<1)+lc>>1]=p[R|0];R=R+1|0;nc=nc+1|0;mc=m[a+24|0];if((nc|0)<((mc|0)>(kc|0)?kc:mc)<<24>>24){continue}break}}if((mc|0)>=(kc|0)){break b}xl((mc<<1)+lc|0,0,kc-mc<<1);break b}if((mc|0)>=(kc|0)){break b}break a}if((mc|0)>=(kc|0)){break b}break a}return oc}xl((mc<<1)+lc|0,0,kc-mc<<1);return 1}function Ma(a,kc,lc){var sc=0,tc=0,uc=0,vc=0,wc=0,xc=0,yc=0,zc=0,Ac=0;sc=R-16|0;R=sc;yc=o[a+80>>2];wc=m[kc+24|0];a=u(yc,wc);a:{tc=o[kc+28>>2];b:{if(!(!p[kc+84|0]|((tc|0)!=4?(tc|0)!=3:0))){xc=o[kc+48>>2];tc=o[o[kc>>2]>>2];o[sc+8>>2]=0;o[sc>>2]=0;o[sc+4>>2]=0;kc=0;a=a<<1;if(a){if((a|0)<=-1){break a}uc=Hk(a);o[sc>>2]=uc;vc=(a>>1<<1)+uc|0;o[sc+8>>2]=vc;kc=wl(uc,tc+xc|0,a)+a|0;o[sc+4>>2]=kc}a=o[lc>>2];if(a){o[lc+4>>2]=a;ul(a);o[lc+8>>2]=0;o[lc>>2]=0;o[lc+4>>2]=0}o[lc>>2]=uc;o[lc+8>>2]=vc;o[lc+4>>2]=kc;a=1;break b}o[sc+8>>2]=0;o[sc>>2]=0;o[sc+4>>2]=0;if(wc){if((wc|0)<=-1){break a}tc=wc<<1;uc=Hk(tc);o[sc>>2]=uc;vc=tc+uc|0;o[sc+8>>2]=vc;xl(uc,0,tc);o[sc+4>>2]=vc}uc=o[lc>>2];tc=o[lc+4>>2]-uc>>1;c:{if(a>>>0>tc>>>0){Ka(lc,a-tc|0);break c}if(a>>>0>=tc>>>0){break c}o[lc+4>>2]=uc+(a<<1)}d:{if(!yc){a=1;break d}uc=0;vc=kc+68|0;zc=(wc|0)<1;while(1){a=xc;tc=kc;if(!p[kc+84|0]){a=o[o[vc>>2]+(xc<<2)>>2]}if(!Na(tc,a,m[kc+24|0],o[sc>>2])){a=0;break d}if(!zc){tc=o[lc>>2];a=0;Ac=o[sc>>2];while(1){n[tc+(uc<<1)>>1]=q[Ac+(a<<1)>>1];uc=uc+1|0;a=a+1|0;if((wc|0)!=(a|0)){continue}break}}a=1;xc=xc+1|0;if((yc|0)!=(xc|0)){continue}break}}kc=o[sc>>2];if(!kc){break b}o[sc+4>>2]=kc;ul(kc)}R=sc+16|0;return a}Yk();D()}function Na(a,R,kc,lc){var Bc=0,Cc=0,Dc=0,Ec=0,Fc=v(0),Gc=0;a:{b:{if(!lc){break b}Bc=o[a+28>>2]+ -1|0;if(Bc>>>0>10){break b}c:{d:{e:{switch(Bc-1|0){default:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=m[R|0];R=R+1|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 0:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=p[R|0];R=R+1|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 1:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=q[R>>1];R=R+2|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 2:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=q[R>>1];R=R+2|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 3:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=o[R>>2];R=R+4|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 4:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=o[R>>2];R=R+4|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 5:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=o[R>>2];R=R+8|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 6:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=o[R>>2];R=R+8|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}break a;case 7:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24<1){break c}Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){Bc=(Cc<<1)+lc|0;Fc=s[R>>2];f:{if(Fc<v(4294967296)&Fc>=v(0)){Ec=~~Fc>>>0;break f}Ec=0}n[Bc>>1]=Ec;R=R+4|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}break c;case 8:Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24<1){break d}Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){Bc=(Cc<<1)+lc|0;Gc=t[R>>3];g:{if(Gc<4294967296&Gc>=0){Ec=~~Gc>>>0;break g}Ec=0}n[Bc>>1]=Ec;R=R+8|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}break d;case 9:break e}}Dc=1;Bc=m[a+24|0];if(((Bc|0)>(kc|0)?kc:Bc)<<24>>24>=1){Bc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Bc+R|0;while(1){n[(Cc<<1)+lc>>1]=p[R|0];R=R+1|0;Cc=Cc+1|0;Bc=m[a+24|0];if((Cc|0)<((Bc|0)>(kc|0)?kc:Bc)<<24>>24){continue}break}}if((Bc|0)>=(kc|0)){break b}xl((Bc<<1)+lc|0,0,kc-Bc<<1);break b}if((Bc|0)>=(kc|0)){break b}break a}if((Bc|0)>=(kc|0)){break b}break a}return Dc}xl((Bc<<1)+lc|0,0,kc-Bc<<1);return 1}function Oa(a,kc,lc){var Hc=0,Ic=0,Jc=0,Kc=0,Lc=0,Mc=0,Nc=0,Oc=0,Pc=0;Hc=R-16|0;R=Hc;Nc=o[a+80>>2];Kc=m[kc+24|0];Jc=u(Nc,Kc);a:{a=o[kc+28>>2];b:{if(!(!p[kc+84|0]|((a|0)!=6?(a|0)!=5:0))){Mc=o[kc+48>>2];Kc=o[o[kc>>2]>>2];o[Hc+8>>2]=0;o[Hc>>2]=0;o[Hc+4>>2]=0;a=0;kc=Jc<<2;c:{if(!kc){break c}a=kc>>2;if(a>>>0>=1073741824){break a}Ic=Hk(kc);o[Hc>>2]=Ic;o[Hc+4>>2]=Ic;Lc=(a<<2)+Ic|0;o[Hc+8>>2]=Lc;if((kc|0)<1){a=Ic;break c}a=wl(Ic,Kc+Mc|0,kc)+kc|0;o[Hc+4>>2]=a}kc=o[lc>>2];if(kc){o[lc+4>>2]=kc;ul(kc);o[lc+8>>2]=0;o[lc>>2]=0;o[lc+4>>2]=0}o[lc>>2]=Ic;o[lc+8>>2]=Lc;o[lc+4>>2]=a;a=1;break b}o[Hc+8>>2]=0;o[Hc>>2]=0;o[Hc+4>>2]=0;if(Kc){if((Kc|0)<=-1){break a}a=Kc<<2;Ic=Hk(a);o[Hc>>2]=Ic;Lc=a+Ic|0;o[Hc+8>>2]=Lc;xl(Ic,0,a);o[Hc+4>>2]=Lc}Ic=o[lc>>2];a=o[lc+4>>2]-Ic>>2;d:{if(Jc>>>0>a>>>0){Da(lc,Jc-a|0);break d}if(Jc>>>0>=a>>>0){break d}o[lc+4>>2]=Ic+(Jc<<2)}e:{if(!Nc){a=1;break e}Ic=0;Lc=kc+68|0;Oc=(Kc|0)<1;while(1){a=Mc;Jc=kc;if(!p[kc+84|0]){a=o[o[Lc>>2]+(Mc<<2)>>2]}if(!Pa(Jc,a,m[kc+24|0],o[Hc>>2])){a=0;break e}if(!Oc){Jc=o[lc>>2];a=0;Pc=o[Hc>>2];while(1){o[Jc+(Ic<<2)>>2]=o[Pc+(a<<2)>>2];Ic=Ic+1|0;a=a+1|0;if((Kc|0)!=(a|0)){continue}break}}a=1;Mc=Mc+1|0;if((Nc|0)!=(Mc|0)){continue}break}}kc=o[Hc>>2];if(!kc){break b}o[Hc+4>>2]=kc;ul(kc)}R=Hc+16|0;return a}Yk();D()}function Pa(a,R,kc,lc){var Qc=0,Rc=0,Sc=0,Tc=0,Uc=v(0),Vc=0;a:{b:{if(!lc){break b}Qc=o[a+28>>2]+ -1|0;if(Qc>>>0>10){break b}c:{d:{e:{switch(Qc-1|0){default:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=m[R|0];R=R+1|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 0:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=p[R|0];R=R+1|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 1:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=n[R>>1];R=R+2|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 2:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=q[R>>1];R=R+2|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 3:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=o[R>>2];R=R+4|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 4:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=o[R>>2];R=R+4|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 5:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=o[R>>2];R=R+8|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 6:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=o[R>>2];R=R+8|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}break a;case 7:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24<1){break c}Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){Qc=(Rc<<2)+lc|0;Uc=s[R>>2];f:{if(v(w(Uc))<v(2147483648)){Tc=~~Uc;break f}Tc=-2147483648}o[Qc>>2]=Tc;R=R+4|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}break c;case 8:Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24<1){break d}Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){Qc=(Rc<<2)+lc|0;Vc=t[R>>3];g:{if(w(Vc)<2147483648){Tc=~~Vc;break g}Tc=-2147483648}o[Qc>>2]=Tc;R=R+8|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}break d;case 9:break e}}Sc=1;Qc=m[a+24|0];if(((Qc|0)>(kc|0)?kc:Qc)<<24>>24>=1){Qc=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=Qc+R|0;while(1){o[(Rc<<2)+lc>>2]=p[R|0];R=R+1|0;Rc=Rc+1|0;Qc=m[a+24|0];if((Rc|0)<((Qc|0)>(kc|0)?kc:Qc)<<24>>24){continue}break}}if((Qc|0)>=(kc|0)){break b}xl((Qc<<2)+lc|0,0,kc-Qc<<2);break b}if((Qc|0)>=(kc|0)){break b}break a}if((Qc|0)>=(kc|0)){break b}break a}return Sc}xl((Qc<<2)+lc|0,0,kc-Qc<<2);return 1}function Qa(a,kc,lc){var Wc=0,Xc=0,Yc=0,Zc=0,_c=0,$c=0,ad=0,bd=0,cd=0;Wc=R-16|0;R=Wc;ad=o[a+80>>2];Zc=m[kc+24|0];Yc=u(ad,Zc);a:{a=o[kc+28>>2];b:{if(!(!p[kc+84|0]|((a|0)!=6?(a|0)!=5:0))){$c=o[kc+48>>2];Zc=o[o[kc>>2]>>2];o[Wc+8>>2]=0;o[Wc>>2]=0;o[Wc+4>>2]=0;a=0;kc=Yc<<2;c:{if(!kc){break c}a=kc>>2;if(a>>>0>=1073741824){break a}Xc=Hk(kc);o[Wc>>2]=Xc;o[Wc+4>>2]=Xc;_c=(a<<2)+Xc|0;o[Wc+8>>2]=_c;if((kc|0)<1){a=Xc;break c}a=wl(Xc,Zc+$c|0,kc)+kc|0;o[Wc+4>>2]=a}kc=o[lc>>2];if(kc){o[lc+4>>2]=kc;ul(kc);o[lc+8>>2]=0;o[lc>>2]=0;o[lc+4>>2]=0}o[lc>>2]=Xc;o[lc+8>>2]=_c;o[lc+4>>2]=a;a=1;break b}o[Wc+8>>2]=0;o[Wc>>2]=0;o[Wc+4>>2]=0;if(Zc){if((Zc|0)<=-1){break a}a=Zc<<2;Xc=Hk(a);o[Wc>>2]=Xc;_c=a+Xc|0;o[Wc+8>>2]=_c;xl(Xc,0,a);o[Wc+4>>2]=_c}Xc=o[lc>>2];a=o[lc+4>>2]-Xc>>2;d:{if(Yc>>>0>a>>>0){Da(lc,Yc-a|0);break d}if(Yc>>>0>=a>>>0){break d}o[lc+4>>2]=Xc+(Yc<<2)}e:{if(!ad){a=1;break e}Xc=0;_c=kc+68|0;bd=(Zc|0)<1;while(1){a=$c;Yc=kc;if(!p[kc+84|0]){a=o[o[_c>>2]+($c<<2)>>2]}if(!Ra(Yc,a,m[kc+24|0],o[Wc>>2])){a=0;break e}if(!bd){Yc=o[lc>>2];a=0;cd=o[Wc>>2];while(1){o[Yc+(Xc<<2)>>2]=o[cd+(a<<2)>>2];Xc=Xc+1|0;a=a+1|0;if((Zc|0)!=(a|0)){continue}break}}a=1;$c=$c+1|0;if((ad|0)!=($c|0)){continue}break}}kc=o[Wc>>2];if(!kc){break b}o[Wc+4>>2]=kc;ul(kc)}R=Wc+16|0;return a}Yk();D()}function Ra(a,R,kc,lc){var dd=0,ed=0,fd=0,gd=0,hd=v(0),id=0;a:{b:{if(!lc){break b}dd=o[a+28>>2]+ -1|0;if(dd>>>0>10){break b}c:{d:{e:{switch(dd-1|0){default:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=m[R|0];R=R+1|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 0:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=p[R|0];R=R+1|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 1:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=n[R>>1];R=R+2|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 2:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=q[R>>1];R=R+2|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 3:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=o[R>>2];R=R+4|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 4:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=o[R>>2];R=R+4|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 5:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=o[R>>2];R=R+8|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 6:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=o[R>>2];R=R+8|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}break a;case 7:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24<1){break c}dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){dd=(ed<<2)+lc|0;hd=s[R>>2];f:{if(hd<v(4294967296)&hd>=v(0)){gd=~~hd>>>0;break f}gd=0}o[dd>>2]=gd;R=R+4|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}break c;case 8:fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24<1){break d}dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){dd=(ed<<2)+lc|0;id=t[R>>3];g:{if(id<4294967296&id>=0){gd=~~id>>>0;break g}gd=0}o[dd>>2]=gd;R=R+8|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}break d;case 9:break e}}fd=1;dd=m[a+24|0];if(((dd|0)>(kc|0)?kc:dd)<<24>>24>=1){dd=o[o[a>>2]>>2];R=o[a+48>>2]+Vl(o[a+40>>2],o[a+44>>2],R,0)|0;R=dd+R|0;while(1){o[(ed<<2)+lc>>2]=p[R|0];R=R+1|0;ed=ed+1|0;dd=m[a+24|0];if((ed|0)<((dd|0)>(kc|0)?kc:dd)<<24>>24){continue}break}}if((dd|0)>=(kc|0)){break b}xl((dd<<2)+lc|0,0,kc-dd<<2);break b}if((dd|0)>=(kc|0)){break b}break a}if((dd|0)>=(kc|0)){break b}break a}return fd}xl((dd<<2)+lc|0,0,kc-dd<<2);return 1}function Sa(a,kc,lc,jd,kd){var ld=0,md=0,nd=0,od=0,pd=0,qd=0,rd=0;md=R-16|0;R=md;lc=lc+ -1|0;a:{if(lc>>>0>8){break a}b:{switch(lc-1|0){default:ld=Ta(a,kc,jd,kd);break a;case 1:ld=Ua(a,kc,jd,kd);break a;case 3:ld=Va(a,kc,jd,kd);break a;case 0:ld=Wa(a,kc,jd,kd);break a;case 2:ld=Xa(a,kc,jd,kd);break a;case 4:ld=Ya(a,kc,jd,kd);break a;case 5:case 6:break a;case 7:break b}}nd=o[a+80>>2];od=m[kc+24|0];pd=od<<2;if((u(nd,pd)|0)!=(jd|0)){break a}a=0;lc=o[259];o[md+8>>2]=o[258];o[md+12>>2]=lc;lc=o[257];o[md>>2]=o[256];o[md+4>>2]=lc;if(!nd){ld=1;break a}qd=kc+68|0;rd=(od|0)<1;lc=0;while(1){jd=lc;ld=kc;if(!p[kc+84|0]){jd=o[o[qd>>2]+(lc<<2)>>2]}if(!Ba(ld,jd,m[kc+24|0],md)){ld=0;break a}if(!rd){wl((a<<2)+kd|0,md,pd);a=a+od|0}ld=1;lc=lc+1|0;if((nd|0)!=(lc|0)){continue}break}}R=md+16|0;return ld}function Ta(a,kc,lc,jd){var kd=0,sd=0,td=0,ud=0,vd=0,wd=0,xd=0;sd=R-16|0;R=sd;a:{vd=o[a+80>>2];td=m[kc+24|0];b:{if((u(vd,td)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=1)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);kd=1;break b}o[sd+8>>2]=0;o[sd>>2]=0;o[sd+4>>2]=0;if(td){if((td|0)<=-1){break a}kd=Hk(td);o[sd>>2]=kd;o[sd+4>>2]=kd;o[sd+8>>2]=kd+td;lc=td;while(1){m[kd|0]=0;kd=o[sd+4>>2]+1|0;o[sd+4>>2]=kd;lc=lc+ -1|0;if(lc){continue}break}}c:{if(!vd){kd=1;break c}lc=0;wd=kc+68|0;xd=(td|0)<1;while(1){a=ud;kd=kc;if(!p[kd+84|0]){a=o[o[wd>>2]+(ud<<2)>>2]}if(!Ga(kd,a,m[kc+24|0],o[sd>>2])){kd=0;break c}if(!xd){kd=0;a=o[sd>>2];while(1){m[lc+jd|0]=p[a+kd|0];lc=lc+1|0;kd=kd+1|0;if((td|0)!=(kd|0)){continue}break}}kd=1;ud=ud+1|0;if((vd|0)!=(ud|0)){continue}break}}a=o[sd>>2];if(!a){break b}o[sd+4>>2]=a;ul(a)}R=sd+16|0;return kd}Yk();D()}function Ua(a,kc,lc,jd){var yd=0,zd=0,Ad=0,Bd=0,Cd=0,Dd=0,Ed=0,Fd=0,Gd=0;yd=R-16|0;R=yd;a:{Cd=o[a+80>>2];Ad=m[kc+24|0];a=Ad<<1;b:{if((u(Cd,a)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=3)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);zd=1;break b}lc=0;o[yd+8>>2]=0;o[yd>>2]=0;o[yd+4>>2]=0;if(Ad){if((Ad|0)<=-1){break a}lc=Hk(a);o[yd>>2]=lc;o[yd+8>>2]=(Ad<<1)+lc;Fd=yd,Gd=xl(lc,0,a)+a|0,o[Fd+4>>2]=Gd}c:{if(!Cd){zd=1;break c}lc=0;Dd=kc+68|0;Ed=(Ad|0)<1;while(1){a=Bd;zd=kc;if(!p[kc+84|0]){a=o[o[Dd>>2]+(Bd<<2)>>2]}d:{if(!La(zd,a,m[kc+24|0],o[yd>>2])){zd=0;break d}if(!Ed){zd=0;a=o[yd>>2];while(1){n[(lc<<1)+jd>>1]=q[a+(zd<<1)>>1];lc=lc+1|0;zd=zd+1|0;if((Ad|0)!=(zd|0)){continue}break}}zd=1;Bd=Bd+1|0;if((Cd|0)!=(Bd|0)){continue}}break}lc=o[yd>>2]}if(!lc){break b}o[yd+4>>2]=lc;ul(lc)}R=yd+16|0;return zd}Yk();D()}function Va(a,kc,lc,jd){var Hd=0,Id=0,Jd=0,Kd=0,Ld=0,Md=0,Nd=0,Od=0,Pd=0;Hd=R-16|0;R=Hd;a:{Ld=o[a+80>>2];Jd=m[kc+24|0];a=Jd<<2;b:{if((u(Ld,a)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=5)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);Id=1;break b}lc=0;o[Hd+8>>2]=0;o[Hd>>2]=0;o[Hd+4>>2]=0;if(Jd){if((Jd|0)<=-1){break a}lc=Hk(a);o[Hd>>2]=lc;o[Hd+8>>2]=(Jd<<2)+lc;Od=Hd,Pd=xl(lc,0,a)+a|0,o[Od+4>>2]=Pd}c:{if(!Ld){Id=1;break c}lc=0;Md=kc+68|0;Nd=(Jd|0)<1;while(1){a=Kd;Id=kc;if(!p[kc+84|0]){a=o[o[Md>>2]+(Kd<<2)>>2]}d:{if(!Pa(Id,a,m[kc+24|0],o[Hd>>2])){Id=0;break d}if(!Nd){Id=0;a=o[Hd>>2];while(1){o[(lc<<2)+jd>>2]=o[a+(Id<<2)>>2];lc=lc+1|0;Id=Id+1|0;if((Jd|0)!=(Id|0)){continue}break}}Id=1;Kd=Kd+1|0;if((Ld|0)!=(Kd|0)){continue}}break}lc=o[Hd>>2]}if(!lc){break b}o[Hd+4>>2]=lc;ul(lc)}R=Hd+16|0;return Id}Yk();D()}function Wa(a,kc,lc,jd){var Qd=0,Rd=0,Sd=0,Td=0,Ud=0,Vd=0,Wd=0;Rd=R-16|0;R=Rd;a:{Ud=o[a+80>>2];Sd=m[kc+24|0];b:{if((u(Ud,Sd)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=2)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);Qd=1;break b}o[Rd+8>>2]=0;o[Rd>>2]=0;o[Rd+4>>2]=0;if(Sd){if((Sd|0)<=-1){break a}Qd=Hk(Sd);o[Rd>>2]=Qd;o[Rd+4>>2]=Qd;o[Rd+8>>2]=Qd+Sd;lc=Sd;while(1){m[Qd|0]=0;Qd=o[Rd+4>>2]+1|0;o[Rd+4>>2]=Qd;lc=lc+ -1|0;if(lc){continue}break}}c:{if(!Ud){Qd=1;break c}lc=0;Vd=kc+68|0;Wd=(Sd|0)<1;while(1){a=Td;Qd=kc;if(!p[Qd+84|0]){a=o[o[Vd>>2]+(Td<<2)>>2]}if(!Ia(Qd,a,m[kc+24|0],o[Rd>>2])){Qd=0;break c}if(!Wd){Qd=0;a=o[Rd>>2];while(1){m[lc+jd|0]=p[a+Qd|0];lc=lc+1|0;Qd=Qd+1|0;if((Sd|0)!=(Qd|0)){continue}break}}Qd=1;Td=Td+1|0;if((Ud|0)!=(Td|0)){continue}break}}a=o[Rd>>2];if(!a){break b}o[Rd+4>>2]=a;ul(a)}R=Rd+16|0;return Qd}Yk();D()}function Xa(a,kc,lc,jd){var Xd=0,Yd=0,Zd=0,_d=0,$d=0,ae=0,be=0,ce=0,de=0;Xd=R-16|0;R=Xd;a:{$d=o[a+80>>2];Zd=m[kc+24|0];a=Zd<<1;b:{if((u($d,a)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=4)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);Yd=1;break b}lc=0;o[Xd+8>>2]=0;o[Xd>>2]=0;o[Xd+4>>2]=0;if(Zd){if((Zd|0)<=-1){break a}lc=Hk(a);o[Xd>>2]=lc;o[Xd+8>>2]=(Zd<<1)+lc;ce=Xd,de=xl(lc,0,a)+a|0,o[ce+4>>2]=de}c:{if(!$d){Yd=1;break c}lc=0;ae=kc+68|0;be=(Zd|0)<1;while(1){a=_d;Yd=kc;if(!p[kc+84|0]){a=o[o[ae>>2]+(_d<<2)>>2]}d:{if(!Na(Yd,a,m[kc+24|0],o[Xd>>2])){Yd=0;break d}if(!be){Yd=0;a=o[Xd>>2];while(1){n[(lc<<1)+jd>>1]=q[a+(Yd<<1)>>1];lc=lc+1|0;Yd=Yd+1|0;if((Zd|0)!=(Yd|0)){continue}break}}Yd=1;_d=_d+1|0;if(($d|0)!=(_d|0)){continue}}break}lc=o[Xd>>2]}if(!lc){break b}o[Xd+4>>2]=lc;ul(lc)}R=Xd+16|0;return Yd}Yk();D()}function Ya(a,kc,lc,jd){var ee=0,fe=0,ge=0,he=0,ie=0,je=0,ke=0,le=0,me=0;ee=R-16|0;R=ee;a:{ie=o[a+80>>2];ge=m[kc+24|0];a=ge<<2;b:{if((u(ie,a)|0)!=(lc|0)){break b}if(!(!p[kc+84|0]|o[kc+28>>2]!=6)){wl(jd,o[o[kc>>2]>>2]+o[kc+48>>2]|0,lc);fe=1;break b}lc=0;o[ee+8>>2]=0;o[ee>>2]=0;o[ee+4>>2]=0;if(ge){if((ge|0)<=-1){break a}lc=Hk(a);o[ee>>2]=lc;o[ee+8>>2]=(ge<<2)+lc;le=ee,me=xl(lc,0,a)+a|0,o[le+4>>2]=me}c:{if(!ie){fe=1;break c}lc=0;je=kc+68|0;ke=(ge|0)<1;while(1){a=he;fe=kc;if(!p[kc+84|0]){a=o[o[je>>2]+(he<<2)>>2]}d:{if(!Ra(fe,a,m[kc+24|0],o[ee>>2])){fe=0;break d}if(!ke){fe=0;a=o[ee>>2];while(1){o[(lc<<2)+jd>>2]=o[a+(fe<<2)>>2];lc=lc+1|0;fe=fe+1|0;if((ge|0)!=(fe|0)){continue}break}}fe=1;he=he+1|0;if((ie|0)!=(he|0)){continue}}break}lc=o[ee>>2]}if(!lc){break b}o[ee+4>>2]=lc;ul(lc)}R=ee+16|0;return fe}Yk();D()}function Za(a,R){var kc=0,lc=0;kc=o[a+4>>2];if(!kc){return 0}R=o[o[o[a+8>>2]+(R<<2)>>2]+60>>2];if((R|0)<0){return 0}a=o[kc+24>>2];kc=o[kc+28>>2];if((a|0)==(kc|0)){return 0}a:{while(1){lc=o[a>>2];if((R|0)==o[lc+24>>2]){break a}a=a+4|0;if((kc|0)!=(a|0)){continue}break}return 0}return lc}function _a(a){var R=0;R=G(8)|0;o[R>>2]=12288;o[R>>2]=12332;Ik(R+4|0,a);o[R>>2]=12380;H(R|0,12412,1);D()}function $a(a,jd,ne){var oe=0,pe=0,qe=0,re=0,se=0;pe=R-16|0;R=pe;o[a+4>>2]=0;a:{b:{if(!jd){break b}qe=o[a+8>>2];oe=qe<<5;c:{if(oe>>>0>=jd>>>0){o[a+4>>2]=jd;break c}o[pe+8>>2]=0;o[pe>>2]=0;o[pe+4>>2]=0;if((jd|0)<=-1){break a}se=pe;if(oe>>>0<=1073741822){re=jd+31&-32;oe=qe<<6;re=oe>>>0<re>>>0?re:oe}else{re=2147483647}ab(se,re);re=o[a>>2];o[a>>2]=o[pe>>2];o[pe>>2]=re;qe=o[a+4>>2];o[a+4>>2]=jd;o[pe+4>>2]=qe;oe=a+8|0;qe=o[oe>>2];o[oe>>2]=o[pe+8>>2];o[pe+8>>2]=qe;if(!re){break c}ul(re)}oe=jd>>>5;qe=oe<<2;a=o[a>>2];if(p[ne|0]){a=xl(a,255,qe);jd=jd&31;if(!jd){break b}a=a+(oe<<2)|0;o[a>>2]=o[a>>2]|-1>>>32-jd;break b}a=xl(a,0,qe);jd=jd&31;if(!jd){break b}a=a+(oe<<2)|0;o[a>>2]=o[a>>2]&(-1>>>32-jd^-1)}R=pe+16|0;return}Yk();D()}function ab(a,jd){var ne=0,te=0;ne=R-32|0;R=ne;a:{b:{if(o[a+8>>2]<<5>>>0>=jd>>>0){break b}o[ne+24>>2]=0;o[ne+16>>2]=0;o[ne+20>>2]=0;if((jd|0)<=-1){break a}jd=(jd+ -1>>>5)+1|0;te=Hk(jd<<2);o[ne+24>>2]=jd;o[ne+20>>2]=0;o[ne+16>>2]=te;jd=o[a>>2];o[ne+12>>2]=0;o[ne+8>>2]=jd;te=o[a+4>>2];o[ne+4>>2]=te&31;o[ne>>2]=jd+(te>>>3&536870908);bb(ne+16|0,ne+8|0,ne);jd=o[a>>2];o[a>>2]=o[ne+16>>2];o[ne+16>>2]=jd;te=o[a+4>>2];o[a+4>>2]=o[ne+20>>2];o[ne+20>>2]=te;a=a+8|0;te=o[a>>2];o[a>>2]=o[ne+24>>2];o[ne+24>>2]=te;if(!jd){break b}ul(jd)}R=ne+32|0;return}Yk();D()}function bb(a,jd,ue){var ve=0,we=0,xe=0,ye=0,ze=0,Ae=0;xe=R-32|0;R=xe;ze=o[ue+4>>2];ve=o[jd+4>>2];Ae=o[ue>>2];ye=o[jd>>2];jd=(ze-ve|0)+(Ae-ye<<3)|0;ue=o[a+4>>2];we=jd+ue|0;o[a+4>>2]=we;a:{if(!(!ue|(we+ -1^ue+ -1)>>>0>31)){a=o[a>>2];break a}a=o[a>>2];if(we>>>0<=32){o[a>>2]=0;break a}o[(we+ -1>>>3&536870908)+a>>2]=0}a=(ue>>>3&536870908)+a|0;ue=ue&31;b:{if((ue|0)==(ve|0)){c:{if((jd|0)<1){break c}d:{if(!ve){ue=0;break d}we=32-ve|0;ue=(jd|0)<(we|0)?jd:we;we=-1<<ve&-1>>>we-ue;o[a>>2]=o[a>>2]&(we^-1)|we&o[ye>>2];jd=jd-ue|0;ve=ue+ve|0;ue=ve&31;a=(ve>>>3&536870908)+a|0;ye=ye+4|0}ve=(jd|0)/32|0;we=ve<<2;a=yl(a,ye,we)+we|0;ve=jd-(ve<<5)|0;if((ve|0)<1){ve=ue;break c}jd=-1>>>32-ve;o[a>>2]=o[a>>2]&(jd^-1)|jd&o[we+ye>>2]}o[xe+4>>2]=ve;o[xe>>2]=a;break b}o[xe+28>>2]=ve;o[xe+24>>2]=ye;o[xe+20>>2]=ze;o[xe+16>>2]=Ae;o[xe+12>>2]=ue;o[xe+8>>2]=a;cb(xe,xe+24|0,xe+16|0,xe+8|0)}R=xe+32|0}function cb(a,jd,ue,Be){var Ce=0,De=0,Ee=0,Fe=0,Ge=0,He=0,Ie=0,Je=0;De=o[jd>>2];Ce=o[ue+4>>2]+(o[ue>>2]-De<<3)|0;ue=o[jd+4>>2];Ee=Ce-ue|0;a:{if((Ee|0)<=0){ue=o[Be+4>>2];break a}b:{if(!ue){ue=o[Be+4>>2];break b}Ce=o[Be+4>>2];He=32-Ce|0;Ie=32-ue|0;Fe=(Ee|0)<(Ie|0)?Ee:Ie;Ge=He>>>0<Fe>>>0?He:Fe;Je=o[Be>>2];De=o[De>>2]&(-1<<ue&-1>>>Ie-Fe);o[Je>>2]=o[Je>>2]&(-1<<Ce&-1>>>He-Ge^-1)|(Ce>>>0>ue>>>0?De<<Ce-ue:De>>>ue-Ce);Ce=Ce+Ge|0;ue=Ce&31;o[Be+4>>2]=ue;He=Je+(Ce>>>3&536870908)|0;o[Be>>2]=He;Ce=Fe-Ge|0;if((Ce|0)>=1){o[He>>2]=o[He>>2]&(-1>>>32-Ce^-1)|De>>>Ge+o[jd+4>>2];o[Be+4>>2]=Ce;ue=Ce}Ee=Ee-Fe|0;De=o[jd>>2]+4|0;o[jd>>2]=De}Ge=-1<<ue;Fe=32-ue|0;c:{if((Ee|0)<32){Ce=Ee;break c}He=Ge^-1;while(1){Ce=o[Be>>2];De=o[De>>2];o[Ce>>2]=He&o[Ce>>2]|De<<ue;o[Be>>2]=Ce+4;o[Ce+4>>2]=Ge&o[Ce+4>>2]|De>>>Fe;De=o[jd>>2]+4|0;o[jd>>2]=De;Ie=(Ee|0)>63;Ce=Ee+ -32|0;Ee=Ce;if(Ie){continue}break}}if((Ce|0)<1){break a}jd=o[Be>>2];Ee=(Fe|0)<(Ce|0)?Fe:Ce;Ge=o[jd>>2]&(Ge&-1>>>Fe-Ee^-1);Fe=o[De>>2]&-1>>>32-Ce;o[jd>>2]=Ge|Fe<<ue;De=ue+Ee|0;ue=De&31;o[Be+4>>2]=ue;De=jd+(De>>>3&536870908)|0;o[Be>>2]=De;jd=Ce-Ee|0;if((jd|0)<1){break a}o[De>>2]=o[De>>2]&(-1>>>32-jd^-1)|Fe>>>Ee;o[Be+4>>2]=jd;ue=jd}jd=o[Be>>2];o[a+4>>2]=ue;o[a>>2]=jd}function db(a){a=a|0;return o[a>>2]}function eb(a){a=a|0;return!o[a>>2]|0}function fb(a){a=a|0;var jd=0;jd=a+4|0;if(m[a+15|0]<=-1){jd=o[jd>>2]}return jd|0}function gb(a){a=a|0;if(a){if(m[a+15|0]<=-1){ul(o[a+4>>2])}ul(a)}}function hb(){var a=0;a=Hk(12);o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0;return a|0}function ib(ue,Be){ue=ue|0;Be=Be|0;return q[o[ue>>2]+(Be<<1)>>1]}function jb(ue){ue=ue|0;return o[ue+4>>2]-o[ue>>2]>>1}function kb(ue){ue=ue|0;var Be=0;if(ue){Be=o[ue>>2];if(Be){o[ue+4>>2]=Be;ul(Be)}ul(ue)}}function lb(){return qj(Hk(84))|0}function mb(ue){ue=ue|0;return o[ue+12>>2]-o[ue+8>>2]>>2}function nb(ue){ue=ue|0;return o[ue+80>>2]}function ob(ue){ue=ue|0;if(ue){l[o[o[ue>>2]+4>>2]](ue)}}function pb(ue,Ke){ue=ue|0;Ke=Ke|0;return p[o[ue>>2]+Ke|0]}function qb(ue){ue=ue|0;return o[ue+4>>2]-o[ue>>2]|0}function rb(ue,Ke){ue=ue|0;Ke=Ke|0;return o[o[ue>>2]+(Ke<<2)>>2]}function sb(ue){ue=ue|0;return o[ue+4>>2]-o[ue>>2]>>2}function tb(){var ue=0;ue=Hk(8);o[ue+4>>2]=-1;o[ue>>2]=1116;return ue|0}function ub(Ke,Le){Ke=Ke|0;Le=Le|0;return l[o[o[Ke>>2]+12>>2]](Ke,Le)|0}function vb(Ke){Ke=Ke|0;return o[Ke+4>>2]}function wb(){return pd(Hk(96))|0}function xb(Ke){Ke=Ke|0;return o[Ke+88>>2]}function yb(Ke){Ke=Ke|0;return o[Ke+56>>2]}function zb(Ke){Ke=Ke|0;return o[Ke+28>>2]}function Ab(o){o=o|0;return m[o+24|0]}function Bb(o){o=o|0;return p[o+32|0]}function Cb(Ke){Ke=Ke|0;return o[Ke+40>>2]}function Db(Ke){Ke=Ke|0;return o[Ke+48>>2]}function Eb(Ke){Ke=Ke|0;return o[Ke+60>>2]}function Fb(Ke){Ke=Ke|0;var Le=0,Me=0;if(Ke){Le=Ke+88|0;Me=o[Le>>2];o[Le>>2]=0;if(Me){Le=o[Me+8>>2];if(Le){o[Me+12>>2]=Le;ul(Le)}ul(Me)}Me=o[Ke+68>>2];if(Me){o[Ke+72>>2]=Me;ul(Me)}Le=Ke- -64|0;Me=o[Le>>2];o[Le>>2]=0;if(Me){Le=o[Me>>2];if(Le){o[Me+4>>2]=Le;ul(Le)}ul(Me)}ul(Ke)}}function Gb(){var Ke=0;Ke=Hk(40);o[Ke>>2]=-1;ki(Ke+8|0);return Ke|0}function Hb(Ne){Ne=Ne|0;var Oe=0;if(Ne){Oe=o[Ne+8>>2];if(Oe){o[Ne+12>>2]=Oe;ul(Oe)}ul(Ne)}}function Ib(){var Ne=0;Ne=Hk(24);o[Ne+4>>2]=-1;o[Ne>>2]=1232;o[Ne+8>>2]=0;o[Ne+12>>2]=0;o[Ne+16>>2]=0;o[Ne+20>>2]=0;return Ne|0}function Jb(Pe,Qe){Pe=Pe|0;Qe=Qe|0;return v(s[o[Pe+8>>2]+(Qe<<2)>>2])}function Kb(o){o=o|0;return v(s[o+20>>2])}function Lb(Pe,Qe){Pe=Pe|0;Qe=Qe|0;return m[o[Pe>>2]+Qe|0]}function Mb(){var Pe=0;Pe=Hk(28);o[Pe>>2]=0;o[Pe+4>>2]=0;o[Pe+24>>2]=0;o[Pe+16>>2]=0;o[Pe+20>>2]=0;o[Pe+8>>2]=0;o[Pe+12>>2]=0;return Pe|0}function Nb(o,Qe,Re){o=o|0;Qe=Qe|0;Re=Re|0;return da(Qe,Re)|0}function Ob(o,Qe,Re){o=o|0;Qe=Qe|0;Re=Re|0;return fa(Qe,Re)|0}function Pb(o,Qe,Re,Se){o=o|0;Qe=Qe|0;Re=Re|0;Se=Se|0;ga(Qe,Re,Se)}function Qb(o,Qe,Re){o=o|0;Qe=Qe|0;Re=Re|0;return+ha(Qe,Re)}function Rb(o,Qe,Re){o=o|0;Qe=Qe|0;Re=Re|0;return ia(o,Qe,Re)|0}function Sb(Qe,Re){Qe=Qe|0;Re=Re|0;return o[Re+8>>2]}function Tb(o,Qe,Re){o=o|0;Qe=Qe|0;Re=Re|0;return ja(o,Qe,Re)|0}function Ub(Qe){Qe=Qe|0;var Re=0,Se=0,Te=0,Ue=0,Ve=0;if(Qe){if(m[Qe+27|0]<=-1){ul(o[Qe+16>>2])}Se=o[Qe>>2];if(Se){Re=Se;Ve=Qe+4|0;Te=o[Ve>>2];Ue=Re;a:{if((Te|0)==(Re|0)){break a}while(1){Re=Te+ -12|0;if(m[Te+ -1|0]<=-1){ul(o[Re>>2])}Te=Re;if((Re|0)!=(Se|0)){continue}break}Ue=o[Qe>>2]}Re=Ue;o[Ve>>2]=Se;ul(Re)}ul(Qe)}}function Vb(Qe,We){Qe=Qe|0;We=We|0;return n[o[Qe>>2]+(We<<1)>>1]}function Wb(Qe,We){Qe=Qe|0;We=We|0;return v(s[o[Qe>>2]+(We<<2)>>2])}function Xb(){return ld(Hk(64))|0}function Yb(o){o=o|0;if(o){ul(o)}}function Zb(){return oi(Hk(40))|0}function _b(Qe,We,Xe){Qe=Qe|0;We=We|0;Xe=Xe|0;o[Qe+16>>2]=0;o[Qe+20>>2]=0;o[Qe>>2]=We;o[Qe+8>>2]=Xe;o[Qe+12>>2]=0}function $b(){return la(Hk(40))|0}function ac(o,Qe){o=o|0;Qe=Qe|0;return ma(Qe)|0}function bc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return na(o)|0}function cc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return oa(o,Qe,We)|0}function dc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return rj(Qe,We)|0}function ec(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return pa(Qe,We)|0}function fc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return qa(Qe,We,Xe)|0}function gc(Qe,We,Xe){Qe=Qe|0;We=We|0;Xe=Xe|0;return o[o[We+8>>2]+(Xe<<2)>>2]}function hc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return tj(Qe,We)|0}function ic(Qe,We){Qe=Qe|0;We=We|0;return o[We+4>>2]}function jc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return Za(Qe,We)|0}function kc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return ra(Qe,We,Xe)|0}function lc(o,Qe,We){o=o|0;Qe=Qe|0;We=We|0;return sa(Qe,We)|0}function mc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return ya(Qe,We,Xe)|0}function nc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return za(Qe,We,Xe)|0}function oc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Aa(Qe,We,Xe)|0}function pc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Ca(Qe,We,Xe)|0}function qc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Oa(Qe,We,Xe)|0}function rc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Ea(Qe,We,Xe)|0}function sc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Ha(Qe,We,Xe)|0}function tc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Ja(Qe,We,Xe)|0}function uc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Ma(Qe,We,Xe)|0}function vc(o,Qe,We,Xe){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;return Qa(Qe,We,Xe)|0}function wc(o,Qe,We,Xe,Ye,Ze){o=o|0;Qe=Qe|0;We=We|0;Xe=Xe|0;Ye=Ye|0;Ze=Ze|0;return Sa(Qe,We,Xe,Ye,Ze)|0}function xc(o,Qe){o=o|0;Qe=Qe|0;Uf(o,Qe)}function yc(Qe){Qe=Qe|0;if(Qe){if(m[Qe+39|0]<=-1){ul(o[Qe+28>>2])}zc(Qe+12|0,o[Qe+16>>2]);Ac(Qe,o[Qe+4>>2]);ul(Qe)}}function zc(Qe,We){if(We){zc(Qe,o[We>>2]);zc(Qe,o[We+4>>2]);Ac(We+20|0,o[We+24>>2]);ul(We)}}function Ac(Qe,We){if(We){Ac(Qe,o[We>>2]);Ac(Qe,o[We+4>>2]);if(m[We+39|0]<=-1){ul(o[We+28>>2])}if(m[We+27|0]<=-1){ul(o[We+16>>2])}ul(We)}}function Bc(){return Li(Hk(108))|0}function Cc(Qe){Qe=Qe|0;return(o[Qe+100>>2]-o[Qe+96>>2]|0)/12|0}function Dc(){var Qe=0,We=0,Xe=0;We=Hk(24);Xe=We+4|0;Qe=Xe;o[Qe>>2]=0;o[Qe+4>>2]=0;Qe=We+16|0;o[Qe>>2]=0;o[Qe+4>>2]=0;o[We>>2]=Xe;o[We+12>>2]=Qe;return We|0}function Ec(Ye){Ye=Ye|0;if(Ye){Fc(Ye+12|0,o[Ye+16>>2]);Gc(Ye,o[Ye+4>>2]);ul(Ye)}}function Fc(Ye,Ze){var _e=0;if(Ze){Fc(Ye,o[Ze>>2]);Fc(Ye,o[Ze+4>>2]);_e=Ze+28|0;Ye=o[_e>>2];o[_e>>2]=0;if(Ye){Fc(Ye+12|0,o[Ye+16>>2]);Gc(Ye,o[Ye+4>>2]);ul(Ye)}if(m[Ze+27|0]<=-1){ul(o[Ze+16>>2])}ul(Ze)}}function Gc(Ye,Ze){if(Ze){Gc(Ye,o[Ze>>2]);Gc(Ye,o[Ze+4>>2]);Ye=o[Ze+28>>2];if(Ye){o[Ze+32>>2]=Ye;ul(Ye)}if(m[Ze+27|0]<=-1){ul(o[Ze+16>>2])}ul(Ze)}}function Hc(){return 0}function Ic(){return-1}function Jc(){return-2}function Kc(){return-3}function Lc(){return-4}function Mc(){return-5}function Nc(){return 1}function Oc(){return 2}function Pc(){return 3}function Qc(){return 4}function Rc(){return 5}function Sc(){return 6}function Tc(){return 7}function Uc(){return 8}function Vc(){return 9}function Wc(){return 10}function Xc(){return 11}function Yc(){return 12}function Zc(Ye,Ze){Ye=Ye|0;Ze=Ze|0;var $e=0;Ze=o[Ze+88>>2];if(!(!Ze|o[Ze>>2]!=2)){$e=Ye;Ye=o[Ze+8>>2];o[$e+4>>2]=p[Ye|0]|p[Ye+1|0]<<8|(p[Ye+2|0]<<16|p[Ye+3|0]<<24);$e=1}return $e|0}function _c(Ye,Ze){Ye=Ye|0;Ze=Ze|0;var af=0,bf=0;o[Ze>>2]=2;af=o[Ze+8>>2];bf=o[Ze+12>>2]-af|0;if(bf>>>0<=4294967291){Ze=Ze+8|0;ni(Ze,bf+4|0);af=o[Ze>>2]}Ze=af+bf|0;Ye=p[Ye+4|0]|p[Ye+5|0]<<8|(p[Ye+6|0]<<16|p[Ye+7|0]<<24);m[Ze|0]=Ye;m[Ze+1|0]=Ye>>>8;m[Ze+2|0]=Ye>>>16;m[Ze+3|0]=Ye>>>24}function $c(o){o=o|0;return o|0}function ad(o){o=o|0;ul(o)}function bd(o){o=o|0;return 2}function cd(Ye,Ze){Ye=Ye|0;Ze=Ze|0;var cf=0,df=0,ef=0,ff=0,gf=0,hf=0;ef=o[Ze+88>>2];if(!(!ef|o[ef>>2]!=1)){ff=ef+8|0;ef=o[ff>>2];cf=ef;o[Ye+4>>2]=p[cf|0]|p[cf+1|0]<<8|(p[cf+2|0]<<16|p[cf+3|0]<<24);gf=Ye+8|0;hf=o[Ye+8>>2];df=o[Ye+12>>2]-hf>>2;cf=m[Ze+24|0];a:{if(df>>>0<cf>>>0){Da(gf,cf-df|0);ef=o[ff>>2];cf=p[Ze+24|0];break a}if(df>>>0<=cf>>>0){break a}o[Ye+12>>2]=hf+(cf<<2)}ff=1;Ze=ef;df=p[Ze+4|0]|p[Ze+5|0]<<8|(p[Ze+6|0]<<16|p[Ze+7|0]<<24);if(cf<<24>>24>=1){hf=cf&255;gf=o[gf>>2];Ze=0;cf=4;while(1){o[gf+(Ze<<2)>>2]=df;cf=cf+4|0;df=ef+cf|0;df=p[df|0]|p[df+1|0]<<8|(p[df+2|0]<<16|p[df+3|0]<<24);Ze=Ze+1|0;if(Ze>>>0<hf>>>0){continue}break}}o[Ye+20>>2]=df}return ff|0}function dd(Ye,Ze){Ye=Ye|0;Ze=Ze|0;var jf=0,kf=0,lf=0,mf=0,nf=0,of=0;o[Ze>>2]=1;mf=Ze+8|0;jf=o[Ze+8>>2];kf=o[Ze+12>>2]-jf|0;if(kf>>>0<=4294967291){ni(mf,kf+4|0);jf=o[mf>>2]}kf=jf+kf|0;jf=p[Ye+4|0]|p[Ye+5|0]<<8|(p[Ye+6|0]<<16|p[Ye+7|0]<<24);m[kf|0]=jf;m[kf+1|0]=jf>>>8;m[kf+2|0]=jf>>>16;m[kf+3|0]=jf>>>24;jf=o[Ye+8>>2];if((jf|0)!=o[Ye+12>>2]){of=Ze+12|0;while(1){kf=(nf<<2)+jf|0;jf=o[Ze+8>>2];lf=o[of>>2]-jf|0;if(lf>>>0<=4294967291){ni(mf,lf+4|0);jf=o[mf>>2]}lf=jf+lf|0;jf=p[kf|0]|p[kf+1|0]<<8|(p[kf+2|0]<<16|p[kf+3|0]<<24);m[lf|0]=jf;m[lf+1|0]=jf>>>8;m[lf+2|0]=jf>>>16;m[lf+3|0]=jf>>>24;nf=nf+1|0;jf=o[Ye+8>>2];if(nf>>>0<o[Ye+12>>2]-jf>>2>>>0){continue}break}}jf=o[Ze+12>>2];Ze=o[Ze+8>>2];jf=jf-Ze|0;if(jf>>>0<=4294967291){ni(mf,jf+4|0);Ze=o[mf>>2]}Ze=Ze+jf|0;Ye=p[Ye+20|0]|p[Ye+21|0]<<8|(p[Ye+22|0]<<16|p[Ye+23|0]<<24);m[Ze|0]=Ye;m[Ze+1|0]=Ye>>>8;m[Ze+2|0]=Ye>>>16;m[Ze+3|0]=Ye>>>24}function ed(Ye,Ze,pf,qf,rf){o[Ye+4>>2]=Ze;fd(Ye+8|0,pf,(qf<<2)+pf|0);s[Ye+20>>2]=rf}function fd(Ye,Ze,pf){var qf=0,rf=0,sf=0,tf=0,uf=0,vf=0,wf=0;a:{tf=pf-Ze|0;sf=tf>>2;qf=o[Ye+8>>2];rf=o[Ye>>2];b:{if(sf>>>0<=qf-rf>>2>>>0){qf=o[Ye+4>>2]-rf|0;tf=qf>>2;qf=sf>>>0>tf>>>0?Ze+qf|0:pf;uf=qf-Ze|0;if(uf){yl(rf,Ze,uf)}if(sf>>>0>tf>>>0){Ze=pf-qf|0;if((Ze|0)<1){break b}Ye=Ye+4|0;wl(o[Ye>>2],qf,Ze);o[Ye>>2]=Ze+o[Ye>>2];return}o[Ye+4>>2]=rf+(uf>>2<<2);return}if(rf){o[Ye+4>>2]=rf;ul(rf);o[Ye+8>>2]=0;o[Ye>>2]=0;o[Ye+4>>2]=0;qf=0}if(sf>>>0>=1073741824){break a}pf=qf>>1;pf=qf>>2>>>0<536870911?pf>>>0<sf>>>0?sf:pf:1073741823;if(pf>>>0>=1073741824){break a}rf=pf<<2;pf=Hk(rf);o[Ye>>2]=pf;sf=Ye+4|0;o[sf>>2]=pf;o[Ye+8>>2]=pf+rf;if((tf|0)<1){break b}vf=sf,wf=wl(pf,Ze,tf)+tf|0,o[vf>>2]=wf}return}Yk();D()}function gd(Ye){Ye=Ye|0;var Ze=0;o[Ye>>2]=1232;Ze=o[Ye+8>>2];if(Ze){o[Ye+12>>2]=Ze;ul(Ze)}return Ye|0}function hd(Ye){Ye=Ye|0;var pf=0;o[Ye>>2]=1232;pf=o[Ye+8>>2];if(pf){o[Ye+12>>2]=pf;ul(pf)}ul(Ye)}function id(o){o=o|0;return 1}function jd(Ye,xf){var yf=0;yf=Hk(40);o[yf>>2]=-1;ki(yf+8|0);l[o[o[Ye>>2]+16>>2]](Ye,yf);Ye=o[xf+88>>2];o[xf+88>>2]=yf;if(Ye){xf=o[Ye+8>>2];if(xf){o[Ye+12>>2]=xf;ul(xf)}ul(Ye)}return 1}function kd(Ye,xf,zf){var Af=0,Bf=0,Cf=0,Df=0,Ef=0,Ff=0;Cf=o[Ye+8>>2];Af=o[Ye+4>>2];if(Cf-Af>>2>>>0>=xf>>>0){while(1){o[Af>>2]=o[zf>>2];Af=Af+4|0;xf=xf+ -1|0;if(xf){continue}break}o[Ye+4>>2]=Af;return}a:{Df=o[Ye>>2];Ef=Af-Df|0;Ff=Ef>>2;Af=Ff+xf|0;if(Af>>>0<1073741824){Cf=Cf-Df|0;Bf=Cf>>1;Af=Cf>>2>>>0<536870911?Bf>>>0<Af>>>0?Af:Bf:1073741823;Bf=0;b:{if(!Af){break b}if(Af>>>0>=1073741824){break a}Bf=Hk(Af<<2)}Cf=Bf+(Af<<2)|0;Af=Bf+(Ff<<2)|0;while(1){o[Af>>2]=o[zf>>2];Af=Af+4|0;xf=xf+ -1|0;if(xf){continue}break}if((Ef|0)>=1){wl(Bf,Df,Ef)}o[Ye>>2]=Bf;o[Ye+8>>2]=Cf;o[Ye+4>>2]=Af;if(Df){ul(Df)}return}Yk();D()}_a(1308);D()}function ld(Ye){o[Ye+8>>2]=0;o[Ye+12>>2]=0;o[Ye>>2]=0;o[Ye+40>>2]=0;o[Ye+44>>2]=0;o[Ye+28>>2]=9;m[Ye+24|0]=1;o[Ye+56>>2]=-1;o[Ye+60>>2]=0;o[Ye+16>>2]=0;o[Ye+20>>2]=0;o[Ye+48>>2]=0;o[Ye+52>>2]=0;return Ye}function md(Ye,xf,zf,Gf,Hf,If,Jf){o[Ye>>2]=0;o[Ye+56>>2]=xf;o[Ye+48>>2]=0;o[Ye+52>>2]=0;o[Ye+40>>2]=If;o[Ye+44>>2]=Jf;m[Ye+32|0]=Hf;o[Ye+28>>2]=Gf;m[Ye+24|0]=zf}function nd(Ye,xf){var zf=0,Gf=0,Hf=0;Gf=o[Ye>>2];a:{if(!Gf){break a}zf=o[xf>>2];if(!zf){break a}Hf=Gf;Gf=o[zf>>2];li(Hf,Gf,o[zf+4>>2]-Gf|0,0);m[Ye+24|0]=p[xf+24|0];o[Ye+28>>2]=o[xf+28>>2];m[Ye+32|0]=p[xf+32|0];zf=o[xf+44>>2];o[Ye+40>>2]=o[xf+40>>2];o[Ye+44>>2]=zf;zf=o[xf+52>>2];o[Ye+48>>2]=o[xf+48>>2];o[Ye+52>>2]=zf;o[Ye+56>>2]=o[xf+56>>2];zf=o[xf+12>>2];o[Ye+8>>2]=o[xf+8>>2];o[Ye+12>>2]=zf;zf=o[xf+20>>2];o[Ye+16>>2]=o[xf+16>>2];o[Ye+20>>2]=zf;o[Ye+60>>2]=o[xf+60>>2];Hf=1}return Hf}function od(Ye,xf,If,Jf){var Kf=0;o[Ye>>2]=xf;Kf=o[xf+20>>2];o[Ye+8>>2]=o[xf+16>>2];o[Ye+12>>2]=Kf;Kf=o[xf+24>>2];xf=o[xf+28>>2];o[Ye+48>>2]=0;o[Ye+52>>2]=0;o[Ye+40>>2]=If;o[Ye+44>>2]=Jf;o[Ye+16>>2]=Kf;o[Ye+20>>2]=xf}function pd(Ye){ld(Ye);o[Ye+64>>2]=0;o[Ye+68>>2]=0;o[Ye+88>>2]=0;o[Ye+72>>2]=0;o[Ye+76>>2]=0;m[Ye+77|0]=0;m[Ye+78|0]=0;m[Ye+79|0]=0;m[Ye+80|0]=0;m[Ye+81|0]=0;m[Ye+82|0]=0;m[Ye+83|0]=0;m[Ye+84|0]=0;return Ye}function qd(Ye,xf){var If=0;If=o[xf+4>>2];o[Ye>>2]=o[xf>>2];o[Ye+4>>2]=If;If=o[xf+60>>2];o[Ye+56>>2]=o[xf+56>>2];o[Ye+60>>2]=If;If=o[xf+52>>2];o[Ye+48>>2]=o[xf+48>>2];o[Ye+52>>2]=If;If=o[xf+44>>2];o[Ye+40>>2]=o[xf+40>>2];o[Ye+44>>2]=If;If=o[xf+36>>2];o[Ye+32>>2]=o[xf+32>>2];o[Ye+36>>2]=If;If=o[xf+28>>2];o[Ye+24>>2]=o[xf+24>>2];o[Ye+28>>2]=If;If=o[xf+20>>2];o[Ye+16>>2]=o[xf+16>>2];o[Ye+20>>2]=If;If=o[xf+12>>2];o[Ye+8>>2]=o[xf+8>>2];o[Ye+12>>2]=If;o[Ye+88>>2]=0;o[Ye+64>>2]=0;o[Ye+68>>2]=0;o[Ye+72>>2]=0;o[Ye+76>>2]=0;m[Ye+77|0]=0;m[Ye+78|0]=0;m[Ye+79|0]=0;m[Ye+80|0]=0;m[Ye+81|0]=0;m[Ye+82|0]=0;m[Ye+83|0]=0;m[Ye+84|0]=0}function rd(Ye,xf){var Jf=0,Lf=0;a:{if(o[Ye+64>>2]){break a}Lf=Hk(32);ki(Lf);Jf=o[Ye+64>>2];o[Ye+64>>2]=Lf;if(!Jf){break a}Lf=o[Jf>>2];if(Lf){o[Jf+4>>2]=Lf;ul(Lf)}ul(Jf)}Jf=ti(o[Ye+28>>2]);Jf=u(Jf,m[Ye+24|0]);Lf=Jf;Jf=Jf>>31;if(li(o[Ye+64>>2],0,Vl(Lf,Jf,xf,0),T)){od(Ye,o[Ye+64>>2],Lf,Jf);o[Ye+80>>2]=xf;Ye=1}else{Ye=0}return Ye}function sd(Ye,xf){var Mf=0,Nf=0,Of=0,Pf=0,Qf=0,Rf=0,Sf=0;if(!o[Ye- -64>>2]){Mf=Hk(32);ki(Mf);Of=o[Ye+64>>2];o[Ye+64>>2]=Mf;Nf=Ye;if(Of){Mf=o[Of>>2];if(Mf){o[Of+4>>2]=Mf;ul(Mf)}ul(Of);Mf=o[Ye+64>>2]}od(Nf,Mf,0,0)}a:{b:{if(!nd(Ye,xf)){break b}m[Ye+84|0]=p[xf+84|0];o[Ye+80>>2]=o[xf+80>>2];if((Ye|0)!=(xf|0)){td(Ye+68|0,o[xf+68>>2],o[xf+72>>2])}Mf=o[xf+88>>2];if(Mf){xf=Hk(40);Nf=o[Mf>>2];o[xf+16>>2]=0;o[xf+8>>2]=0;o[xf+12>>2]=0;o[xf>>2]=Nf;Nf=o[Mf+12>>2]-o[Mf+8>>2]|0;c:{if(!Nf){break c}if((Nf|0)<=-1){break a}Of=Hk(Nf);o[xf+8>>2]=Of;Pf=xf+12|0;o[Pf>>2]=Of;o[xf+16>>2]=Nf+Of;Qf=o[Mf+8>>2];Nf=o[Mf+12>>2]-Qf|0;if((Nf|0)<1){break c}Rf=Pf,Sf=wl(Of,Qf,Nf)+Nf|0,o[Rf>>2]=Sf}Nf=o[Mf+36>>2];o[xf+32>>2]=o[Mf+32>>2];o[xf+36>>2]=Nf;Nf=o[Mf+28>>2];o[xf+24>>2]=o[Mf+24>>2];o[xf+28>>2]=Nf;Mf=o[Ye+88>>2];o[Ye+88>>2]=xf;if(!Mf){break b}Ye=o[Mf+8>>2];if(Ye){o[Mf+12>>2]=Ye;ul(Ye)}ul(Mf);return}xf=Ye+88|0;Ye=o[xf>>2];o[xf>>2]=0;if(!Ye){break b}xf=o[Ye+8>>2];if(xf){o[Ye+12>>2]=xf;ul(xf)}ul(Ye)}return}Yk();D()}function td(Ye,xf,Tf){var Uf=0,Vf=0,Wf=0,Xf=0,Yf=0,Zf=0,_f=0;a:{Uf=Tf-xf|0;Wf=Uf>>2;Xf=o[Ye+8>>2];Vf=o[Ye>>2];b:{if(Wf>>>0<=Xf-Vf>>2>>>0){Yf=o[Ye+4>>2];Uf=Yf-Vf|0;Xf=Uf>>2;Uf=Wf>>>0>Xf>>>0?xf+Uf|0:Tf;if((Uf|0)!=(xf|0)){while(1){o[Vf>>2]=o[xf>>2];Vf=Vf+4|0;xf=xf+4|0;if((Uf|0)!=(xf|0)){continue}break}}if(Wf>>>0>Xf>>>0){xf=Tf-Uf|0;if((xf|0)<1){break b}wl(Yf,Uf,xf);Ye=Ye+4|0;o[Ye>>2]=xf+o[Ye>>2];return}o[Ye+4>>2]=Vf;return}if(Vf){o[Ye+4>>2]=Vf;ul(Vf);o[Ye+8>>2]=0;o[Ye>>2]=0;o[Ye+4>>2]=0;Xf=0}if(Wf>>>0>=1073741824){break a}Tf=Xf>>1;Tf=Xf>>2>>>0<536870911?Tf>>>0<Wf>>>0?Wf:Tf:1073741823;if(Tf>>>0>=1073741824){break a}Vf=Tf<<2;Tf=Hk(Vf);o[Ye>>2]=Tf;Wf=Ye+4|0;o[Wf>>2]=Tf;o[Ye+8>>2]=Tf+Vf;if((Uf|0)<1){break b}Zf=Wf,_f=wl(Tf,xf,Uf)+Uf|0,o[Zf>>2]=_f}return}Yk();D()}function ud(Ye){o[Ye>>2]=1384;o[Ye+4>>2]=0;o[Ye+8>>2]=0;o[Ye+12>>2]=0;o[Ye+16>>2]=0;o[Ye+20>>2]=0;o[Ye+24>>2]=0;o[Ye+28>>2]=0;o[Ye+32>>2]=0}function vd(Ye,xf,Tf){Ye=Ye|0;xf=xf|0;Tf=Tf|0;o[Ye+32>>2]=Tf;o[Ye+28>>2]=xf;return 1}function wd(Ye,xf){Ye=Ye|0;xf=xf|0;var Tf=0,$f=0,ag=0,bg=0,cg=0,dg=0,eg=0,fg=0,gg=0,hg=0,ig=0,jg=0,kg=0,lg=0,mg=0,ng=0,og=0,pg=0;ag=R-96|0;R=ag;a:{if(!xd(1,ag+92|0,xf)){break a}fg=o[ag+92>>2];if(!fg){break a}Tf=o[Ye+4>>2];$f=o[Ye+8>>2]-Tf>>2;b:{if(fg>>>0>$f>>>0){Da(Ye+4|0,fg-$f|0);break b}if(fg>>>0>=$f>>>0){break b}o[Ye+8>>2]=Tf+(fg<<2)}lg=Ye+16|0;mg=o[Ye+32>>2];pg=mg+8|0;ng=Ye+20|0;while(1){hg=o[xf+8>>2];gg=o[xf+16>>2];bg=o[xf+12>>2];Tf=bg;$f=o[xf+20>>2];if((Tf|0)<($f|0)?1:(Tf|0)<=($f|0)?hg>>>0>gg>>>0?0:1:0){$f=0;break a}ig=o[xf>>2];og=p[ig+gg|0];Tf=$f;dg=gg+1|0;if(dg>>>0<1){Tf=Tf+1|0}cg=xf;o[xf+16>>2]=dg;o[xf+20>>2]=Tf;if((bg|0)<(Tf|0)?1:(bg|0)<=(Tf|0)?hg>>>0>dg>>>0?0:1:0){$f=0;break a}dg=p[dg+ig|0];Tf=$f;eg=gg+2|0;if(eg>>>0<2){Tf=Tf+1|0}o[xf+16>>2]=eg;o[cg+20>>2]=Tf;if((bg|0)<(Tf|0)?1:(bg|0)<=(Tf|0)?hg>>>0>eg>>>0?0:1:0){$f=0;break a}eg=p[eg+ig|0];Tf=$f;jg=gg+3|0;if(jg>>>0<3){Tf=Tf+1|0}o[xf+16>>2]=jg;o[cg+20>>2]=Tf;if((bg|0)<(Tf|0)?1:(bg|0)<=(Tf|0)?hg>>>0>jg>>>0?0:1:0){$f=0;break a}bg=p[jg+ig|0];Tf=$f;$f=gg+4|0;if($f>>>0<4){Tf=Tf+1|0}o[xf+16>>2]=$f;o[cg+20>>2]=Tf;if(og>>>0>4){$f=0;break a}if((dg+ -1&255)>>>0>10){$f=0;break a}$f=ld(ag+24|0);Tf=u(ti(dg),eg);md($f,og,eg<<24>>24,dg,(bg|0)!=0,Tf,Tf>>31);xd(1,ag+20|0,xf);cg=o[ag+20>>2];o[ag+84>>2]=cg;Tf=Hk(96);qd(Tf,$f);o[ag+16>>2]=Tf;$f=vj(mg,ag+16|0);Tf=o[ag+16>>2];o[ag+16>>2]=0;if(Tf){Fb(Tf)}bg=$f<<2;o[o[bg+o[pg>>2]>>2]+60>>2]=cg;o[o[Ye+4>>2]+(kg<<2)>>2]=$f;Tf=o[Ye+16>>2];cg=o[ng>>2]-Tf>>2;c:{if(($f|0)<(cg|0)){break c}o[ag+12>>2]=-1;$f=$f+1|0;if($f>>>0>cg>>>0){yd(lg,$f-cg|0,ag+12|0);Tf=o[lg>>2];break c}if($f>>>0>=cg>>>0){break c}o[ng>>2]=($f<<2)+Tf}o[Tf+bg>>2]=kg;$f=1;kg=kg+1|0;if((fg|0)!=(kg|0)){continue}break}}R=ag+96|0;return $f|0}function xd(Ye,xf,qg){var rg=0,sg=0,tg=0,ug=0;a:{if(Ye>>>0>5){break a}tg=o[qg+16>>2];rg=o[qg+12>>2];sg=o[qg+20>>2];if((rg|0)<(sg|0)?1:(rg|0)<=(sg|0)?r[qg+8>>2]>tg>>>0?0:1:0){break a}rg=p[tg+o[qg>>2]|0];tg=tg+1|0;if(tg>>>0<1){sg=sg+1|0}o[qg+16>>2]=tg;o[qg+20>>2]=sg;sg=xf;if(rg&128){if(!xd(Ye+1|0,xf,qg)){break a}Ye=o[xf>>2]<<7;o[xf>>2]=Ye;rg=Ye|rg&127}o[sg>>2]=rg;ug=1}return ug}function yd(Ye,xf,qg){var vg=0,wg=0,xg=0,yg=0,zg=0,Ag=0;xg=o[Ye+8>>2];vg=o[Ye+4>>2];if(xg-vg>>2>>>0>=xf>>>0){while(1){o[vg>>2]=o[qg>>2];vg=vg+4|0;xf=xf+ -1|0;if(xf){continue}break}o[Ye+4>>2]=vg;return}a:{yg=o[Ye>>2];zg=vg-yg|0;Ag=zg>>2;vg=Ag+xf|0;if(vg>>>0<1073741824){xg=xg-yg|0;wg=xg>>1;vg=xg>>2>>>0<536870911?wg>>>0<vg>>>0?vg:wg:1073741823;wg=0;b:{if(!vg){break b}if(vg>>>0>=1073741824){break a}wg=Hk(vg<<2)}xg=wg+(vg<<2)|0;vg=wg+(Ag<<2)|0;while(1){o[vg>>2]=o[qg>>2];vg=vg+4|0;xf=xf+ -1|0;if(xf){continue}break}if((zg|0)>=1){wl(wg,yg,zg)}o[Ye>>2]=wg;o[Ye+8>>2]=xg;o[Ye+4>>2]=vg;if(yg){ul(yg)}return}Yk();D()}_a(1520);D()}function zd(Ye){Ye=Ye|0;var xf=0;o[Ye>>2]=1384;xf=o[Ye+16>>2];if(xf){o[Ye+20>>2]=xf;ul(xf)}xf=o[Ye+4>>2];if(xf){o[Ye+8>>2]=xf;ul(xf)}return Ye|0}function Ad(o){o=o|0;D()}function Bd(Ye,qg){Ye=Ye|0;qg=qg|0;var Bg=0;a:{if(!l[o[o[Ye>>2]+36>>2]](Ye,qg)){break a}if(!l[o[o[Ye>>2]+40>>2]](Ye,qg)){break a}Bg=l[o[o[Ye>>2]+44>>2]](Ye)|0}return Bg|0}function Cd(Ye,qg){Ye=Ye|0;qg=qg|0;return o[o[Ye+4>>2]+(qg<<2)>>2]}function Dd(Ye){Ye=Ye|0;return o[Ye+8>>2]-o[Ye+4>>2]>>2}function Ed(o,Ye){o=o|0;Ye=Ye|0;return 0}function Fd(o,Ye){o=o|0;Ye=Ye|0;return 1}function Gd(Ye){o[Ye+12>>2]=-1;o[Ye+16>>2]=0;o[Ye+4>>2]=0;o[Ye+8>>2]=0;o[Ye>>2]=1596}function Hd(Ye,qg,Cg){Ye=Ye|0;qg=qg|0;Cg=Cg|0;o[Ye+4>>2]=qg;qg=o[o[o[qg+4>>2]+8>>2]+(Cg<<2)>>2];o[Ye+12>>2]=Cg;o[Ye+8>>2]=qg;return 1}function Id(Ye,qg){Ye=Ye|0;qg=qg|0;o[Ye+12>>2]=-1;o[Ye+8>>2]=qg;return 1}function Jd(Ye,qg,Cg){Ye=Ye|0;qg=qg|0;Cg=Cg|0;var Dg=0,Eg=0;Dg=o[Ye+8>>2];a:{if(m[Dg+24|0]<1){break a}if(!rd(Dg,o[qg+4>>2]-o[qg>>2]>>2)){break a}Eg=l[o[o[Ye>>2]+32>>2]](Ye,qg,Cg)|0}return Eg|0}function Kd(o,Ye,qg){o=o|0;Ye=Ye|0;qg=qg|0;return 1}function Ld(Ye){var qg=0,Cg=0,Fg=0,Gg=0,Hg=0,Ig=0,Jg=0,Kg=0;a:{Fg=o[Ye+8>>2];if(p[Fg+84|0]){break a}qg=o[Ye+16>>2];if(!qg|!p[qg+84|0]){break a}Cg=o[Fg+72>>2];Gg=o[Fg+68>>2];m[qg+84|0]=0;Cg=Cg-Gg>>2;Hg=o[qg+68>>2];Gg=o[qg+72>>2]-Hg>>2;b:{if(Cg>>>0>Gg>>>0){kd(qg+68|0,Cg-Gg|0,1680);Fg=o[Ye+8>>2];break b}if(Cg>>>0>=Gg>>>0){break b}o[qg+72>>2]=Hg+(Cg<<2)}qg=0;Gg=p[Fg+84|0];Ig=Fg+72|0;Jg=Ye+16|0;Kg=Fg+68|0;while(1){if(qg>>>0>=(Gg?0:o[Ig>>2]-o[Fg+68>>2]>>2)>>>0){break a}Cg=qg;Hg=o[o[Jg>>2]+68>>2]+(qg<<2)|0;if(!Gg){Cg=o[o[Kg>>2]+(qg<<2)>>2]}o[Hg>>2]=Cg;qg=qg+1|0;continue}}return o[Ye+16>>2]}function Md(Ye,Lg){Ye=Ye|0;Lg=Lg|0;var Mg=0,Ng=0,Og=0;Ng=1;a:{if((l[o[o[Lg>>2]+20>>2]](Lg)|0)<1){break a}Ng=0;while(1){Mg=rj(o[o[Ye+4>>2]+4>>2],l[o[o[Lg>>2]+24>>2]](Lg,Og)|0);if((Mg|0)==-1){break a}Mg=ii(o[Ye+4>>2],Mg);if(!Mg){break a}if(!l[o[o[Lg>>2]+28>>2]](Lg,Mg)){break a}Og=Og+1|0;if((Og|0)<(l[o[o[Lg>>2]+20>>2]](Lg)|0)){continue}break}Ng=1}return Ng|0}function Nd(Ye,Lg,Pg){Ye=Ye|0;Lg=Lg|0;Pg=Pg|0;var Qg=0,Rg=0,Sg=0,Tg=0,Ug=0,Vg=0,Wg=0,Xg=0,Yg=0,Zg=0,_g=0;Qg=o[Lg+4>>2];Rg=o[Lg>>2];Lg=o[o[Ye+8>>2]+40>>2];Sg=Lg;Tg=Hk((Lg|0)>-1?Lg:-1);Qg=Qg-Rg|0;if((Qg|0)>=1){Zg=Qg>>2;while(1){Vg=o[Pg+12>>2];Qg=_g+o[Pg+20>>2]|0;Wg=o[Pg+16>>2];Ug=Lg+Wg|0;if(Ug>>>0<Lg>>>0){Qg=Qg+1|0}Rg=Qg;if((Vg|0)<(Qg|0)?1:(Vg|0)<=(Qg|0)?r[Pg+8>>2]>=Ug>>>0?0:1:0){ul(Tg);return 0}Qg=wl(Tg,Wg+o[Pg>>2]|0,Sg);o[Pg+16>>2]=Ug;o[Pg+20>>2]=Rg;wl(o[o[o[Ye+8>>2]- -64>>2]>>2]+Xg|0,Qg,Sg);Xg=Sg+Xg|0;Yg=Yg+1|0;if((Yg|0)<(Zg|0)){continue}break}}ul(Tg);return 1}function Od(Ye){Ye=Ye|0;var Lg=0;o[Ye>>2]=1596;Lg=o[Ye+16>>2];o[Ye+16>>2]=0;if(Lg){Fb(Lg)}return Ye|0}function Pd(Ye){Ye=Ye|0;var Pg=0;o[Ye>>2]=1596;Pg=o[Ye+16>>2];o[Ye+16>>2]=0;if(Pg){Fb(Pg)}ul(Ye)}function Qd(Ye,$g){var ah=0;ud(Ye);o[Ye+36>>2]=0;o[Ye+40>>2]=0;o[Ye>>2]=1692;o[Ye+44>>2]=0;o[Ye+48>>2]=0;o[Ye+52>>2]=0;o[Ye+56>>2]=0;ah=o[$g>>2];o[$g>>2]=0;o[Ye+60>>2]=ah}function Rd(Ye,$g){Ye=Ye|0;$g=$g|0;var bh=0,ch=0,dh=0,eh=0,fh=0,gh=0,hh=0,ih=0,jh=0,kh=0,lh=0,mh=0,nh=0;fh=R-16|0;R=fh;a:{if(!wd(Ye,$g)){break a}jh=Ye+36|0;gh=l[o[o[Ye>>2]+24>>2]](Ye)|0;dh=o[Ye+40>>2];ch=o[Ye+36>>2];bh=dh-ch>>2;b:{if(gh>>>0>bh>>>0){Sd(jh,gh-bh|0);break b}if(gh>>>0>=bh>>>0){break b}ch=ch+(gh<<2)|0;if((ch|0)!=(dh|0)){while(1){dh=dh+ -4|0;bh=o[dh>>2];o[dh>>2]=0;if(bh){l[o[o[bh>>2]+4>>2]](bh)}if((dh|0)!=(ch|0)){continue}break}}o[Ye+40>>2]=ch}ih=1;if((gh|0)<1){break a}ih=0;dh=0;while(1){eh=o[$g+16>>2];ch=o[$g+12>>2];bh=o[$g+20>>2];if((ch|0)<(bh|0)?1:(ch|0)<=(bh|0)?r[$g+8>>2]>eh>>>0?0:1:0){break a}hh=p[eh+o[$g>>2]|0];eh=eh+1|0;if(eh>>>0<1){bh=bh+1|0}ch=$g;o[ch+16>>2]=eh;o[ch+20>>2]=bh;l[o[o[Ye>>2]+48>>2]](fh+8|0,Ye,hh);bh=o[Ye+36>>2];ch=o[fh+8>>2];o[fh+8>>2]=0;eh=dh<<2;hh=bh+eh|0;bh=o[hh>>2];o[hh>>2]=ch;if(bh){l[o[o[bh>>2]+4>>2]](bh)}bh=o[fh+8>>2];o[fh+8>>2]=0;if(bh){l[o[o[bh>>2]+4>>2]](bh)}bh=o[o[jh>>2]+eh>>2];if(!bh){break a}if(!(lh=bh,mh=l[o[o[Ye>>2]+28>>2]](Ye)|0,nh=l[o[o[Ye>>2]+20>>2]](Ye,dh)|0,kh=o[o[bh>>2]+8>>2],l[kh](lh|0,mh|0,nh|0)|0)){break a}dh=dh+1|0;if((gh|0)!=(dh|0)){continue}break}ih=1}R=fh+16|0;return ih|0}function Sd(Ye,$g){var oh=0,ph=0,qh=0,rh=0,sh=0,th=0,uh=0,vh=0,wh=0;ph=o[Ye+8>>2];qh=Ye+4|0;oh=o[qh>>2];if(ph-oh>>2>>>0>=$g>>>0){Ye=$g<<2;vh=qh,wh=xl(oh,0,Ye)+Ye|0,o[vh>>2]=wh;return}a:{qh=o[Ye>>2];rh=oh-qh>>2;sh=rh+$g|0;if(sh>>>0<1073741824){rh=rh<<2;ph=ph-qh|0;uh=ph>>1;ph=ph>>2>>>0<536870911?uh>>>0<sh>>>0?sh:uh:1073741823;if(ph){if(ph>>>0>=1073741824){break a}th=Hk(ph<<2)}rh=rh+th|0;xl(rh,0,$g<<2);$g=(sh<<2)+th|0;sh=(ph<<2)+th|0;if((oh|0)!=(qh|0)){while(1){oh=oh+ -4|0;ph=o[oh>>2];o[oh>>2]=0;rh=rh+ -4|0;o[rh>>2]=ph;if((oh|0)!=(qh|0)){continue}break}qh=o[Ye>>2];oh=o[Ye+4>>2]}o[Ye>>2]=rh;o[Ye+8>>2]=sh;o[Ye+4>>2]=$g;if((oh|0)!=(qh|0)){while(1){oh=oh+ -4|0;Ye=o[oh>>2];o[oh>>2]=0;if(Ye){l[o[o[Ye>>2]+4>>2]](Ye)}if((oh|0)!=(qh|0)){continue}break}}if(qh){ul(qh)}return}Yk();D()}_a(1832);D()}function Td(Ye,$g){Ye=Ye|0;$g=$g|0;var xh=0,yh=0,zh=0,Ah=0,Bh=0,Ch=0,Dh=0;xh=o[Ye+60>>2];a:{if(!xh){break a}o[xh+4>>2]=Ye+48;if(!l[o[o[xh>>2]+12>>2]](xh)){break a}b:{yh=l[o[o[Ye>>2]+24>>2]](Ye)|0;if((yh|0)<1){break b}Ah=Ye+60|0;xh=0;while(1){c:{Bh=o[(l[o[o[Ye>>2]+28>>2]](Ye)|0)+4>>2];Ch=l[o[o[Ye>>2]+20>>2]](Ye,xh)|0;zh=o[Ah>>2];if(!l[o[o[zh>>2]+8>>2]](zh,o[o[Bh+8>>2]+(Ch<<2)>>2])){break c}xh=xh+1|0;if((yh|0)!=(xh|0)){continue}break b}break}return 0}if(!l[o[o[Ye>>2]+36>>2]](Ye,$g)){break a}if(!l[o[o[Ye>>2]+40>>2]](Ye,$g)){break a}Dh=l[o[o[Ye>>2]+44>>2]](Ye)|0}return Dh|0}function Ud(Ye,$g){Ye=Ye|0;$g=$g|0;var Eh=0,Fh=0,Gh=0,Hh=0,Ih=0;Eh=1;Fh=l[o[o[Ye>>2]+24>>2]](Ye)|0;a:{if((Fh|0)<1){break a}Hh=Ye+48|0;Eh=0;Ih=Ye+36|0;Ye=0;while(1){Gh=o[o[Ih>>2]+(Ye<<2)>>2];if(!l[o[o[Gh>>2]+16>>2]](Gh,Hh,$g)){break a}Ye=Ye+1|0;if((Fh|0)!=(Ye|0)){continue}break}Eh=1}return Eh|0}function Vd(Ye,$g){Ye=Ye|0;$g=$g|0;var Jh=0,Kh=0,Lh=0,Mh=0,Nh=0;Jh=1;Kh=l[o[o[Ye>>2]+24>>2]](Ye)|0;a:{if((Kh|0)<1){break a}Mh=Ye+48|0;Jh=0;Nh=Ye+36|0;Ye=0;while(1){Lh=o[o[Nh>>2]+(Ye<<2)>>2];if(!l[o[o[Lh>>2]+20>>2]](Lh,Mh,$g)){break a}Ye=Ye+1|0;if((Kh|0)!=(Ye|0)){continue}break}Jh=1}return Jh|0}function Wd(Ye){Ye=Ye|0;var $g=0,Oh=0,Ph=0,Qh=0,Rh=0,Sh=0,Th=0,Uh=0,Vh=0,Wh=0,Xh=0,Yh=0,Zh=0;Qh=R-16|0;R=Qh;$g=1;Th=l[o[o[Ye>>2]+24>>2]](Ye)|0;a:{if((Th|0)<1){break a}Zh=Ye+48|0;Sh=Ye+36|0;while(1){b:{c:{if(!o[(l[o[o[Ye>>2]+28>>2]](Ye)|0)+40>>2]){break c}Uh=Rh<<2;$g=o[Uh+o[Sh>>2]>>2];Oh=o[$g+8>>2];Vh=Ld($g);if(!Vh){break c}$g=l[o[o[Ye>>2]+28>>2]](Ye)|0;Wh=o[Oh+56>>2];Xh=o[$g+40>>2];$g=Hk(32);o[Qh>>2]=$g;o[Qh+4>>2]=24;o[Qh+8>>2]=-2147483616;m[$g+24|0]=0;Oh=p[1764]|p[1765]<<8|(p[1766]<<16|p[1767]<<24);Ph=p[1760]|p[1761]<<8|(p[1762]<<16|p[1763]<<24);m[$g+16|0]=Ph;m[$g+17|0]=Ph>>>8;m[$g+18|0]=Ph>>>16;m[$g+19|0]=Ph>>>24;m[$g+20|0]=Oh;m[$g+21|0]=Oh>>>8;m[$g+22|0]=Oh>>>16;m[$g+23|0]=Oh>>>24;Oh=p[1756]|p[1757]<<8|(p[1758]<<16|p[1759]<<24);Ph=p[1752]|p[1753]<<8|(p[1754]<<16|p[1755]<<24);m[$g+8|0]=Ph;m[$g+9|0]=Ph>>>8;m[$g+10|0]=Ph>>>16;m[$g+11|0]=Ph>>>24;m[$g+12|0]=Oh;m[$g+13|0]=Oh>>>8;m[$g+14|0]=Oh>>>16;m[$g+15|0]=Oh>>>24;Oh=p[1748]|p[1749]<<8|(p[1750]<<16|p[1751]<<24);Ph=p[1744]|p[1745]<<8|(p[1746]<<16|p[1747]<<24);m[$g|0]=Ph;m[$g+1|0]=Ph>>>8;m[$g+2|0]=Ph>>>16;m[$g+3|0]=Ph>>>24;m[$g+4|0]=Oh;m[$g+5|0]=Oh>>>8;m[$g+6|0]=Oh>>>16;m[$g+7|0]=Oh>>>24;d:{e:{Ph=Xh+16|0;Oh=Ph;$g=o[Oh>>2];if(!$g){break e}while(1){Yh=o[$g+16>>2]<(Wh|0);Oh=Yh?Oh:$g;$g=o[(Yh<<2)+$g>>2];if($g){continue}break}if((Oh|0)==(Ph|0)|(Wh|0)<o[Oh+16>>2]){break e}$g=Oh+20|0;if(!ea($g,Qh)){break e}$g=yi($g,Qh);break d}$g=yi(Xh,Qh)}if(m[Qh+11|0]<=-1){ul(o[Qh>>2])}if(!$g){break c}sd(o[o[o[Sh>>2]+Uh>>2]+8>>2],Vh);break b}$g=o[o[Sh>>2]+(Rh<<2)>>2];if(l[o[o[$g>>2]+24>>2]]($g,Zh)){break b}$g=0;break a}$g=1;Rh=Rh+1|0;if((Th|0)!=(Rh|0)){continue}break}}R=Qh+16|0;return $g|0}function Xd(Ye,_h,$h){Ye=Ye|0;_h=_h|0;$h=$h|0;if($h>>>0>3){o[Ye>>2]=0;return}a:{b:{switch($h-1|0){default:_h=Hk(20);Gd(_h);break a;case 0:_h=Hk(24);$d(_h);break a;case 1:_h=Hk(36);$d(_h);o[_h+32>>2]=0;o[_h+24>>2]=-1;o[_h+28>>2]=0;o[_h>>2]=7664;break a;case 2:break b}}_h=Hk(28);$d(_h);o[_h+24>>2]=-1;o[_h>>2]=5528;o[Ye>>2]=_h;return}o[Ye>>2]=_h}function Yd(Ye){Ye=Ye|0;var _h=0,$h=0,ai=0,bi=0,ci=0;o[Ye>>2]=1692;_h=Ye+60|0;$h=o[_h>>2];o[_h>>2]=0;if($h){l[o[o[$h>>2]+4>>2]]($h)}_h=o[Ye+48>>2];if(_h){o[Ye+52>>2]=_h;ul(_h)}$h=o[Ye+36>>2];if($h){_h=$h;ci=Ye+40|0;ai=o[ci>>2];bi=_h;a:{if((_h|0)==(ai|0)){break a}while(1){ai=ai+ -4|0;_h=o[ai>>2];o[ai>>2]=0;if(_h){l[o[o[_h>>2]+4>>2]](_h)}if(($h|0)!=(ai|0)){continue}break}bi=o[Ye+36>>2]}_h=bi;o[ci>>2]=$h;ul(_h)}o[Ye>>2]=1384;_h=o[Ye+16>>2];if(_h){o[Ye+20>>2]=_h;ul(_h)}_h=o[Ye+4>>2];if(_h){o[Ye+8>>2]=_h;ul(_h)}return Ye|0}function Zd(Ye){Ye=Ye|0;var di=0,ei=0,fi=0,gi=0,hi=0;o[Ye>>2]=1692;di=Ye+60|0;ei=o[di>>2];o[di>>2]=0;if(ei){l[o[o[ei>>2]+4>>2]](ei)}di=o[Ye+48>>2];if(di){o[Ye+52>>2]=di;ul(di)}ei=o[Ye+36>>2];if(ei){di=ei;hi=Ye+40|0;fi=o[hi>>2];gi=di;a:{if((di|0)==(fi|0)){break a}while(1){fi=fi+ -4|0;di=o[fi>>2];o[fi>>2]=0;if(di){l[o[o[di>>2]+4>>2]](di)}if((ei|0)!=(fi|0)){continue}break}gi=o[Ye+36>>2]}di=gi;o[hi>>2]=ei;ul(di)}o[Ye>>2]=1384;di=o[Ye+16>>2];if(di){o[Ye+20>>2]=di;ul(di)}di=o[Ye+4>>2];if(di){o[Ye+8>>2]=di;ul(di)}ul(Ye)}function _d(Ye,ii){Ye=Ye|0;ii=ii|0;var ji=0,ki=0;ki=o[Ye+16>>2];ji=0;a:{if(o[Ye+20>>2]-ki>>2<=(ii|0)){break a}ii=o[(ii<<2)+ki>>2];ji=0;if((ii|0)<0){break a}ji=Ld(o[o[Ye+36>>2]+(ii<<2)>>2])}return ji|0}function $d(Ye){Gd(Ye);o[Ye+20>>2]=0;o[Ye>>2]=1908}function ae(o,Ye,ii){o=o|0;Ye=Ye|0;ii=ii|0;return Hd(o,Ye,ii)|0}function be(Ye,ii){Ye=Ye|0;ii=ii|0;return l[o[o[Ye>>2]+48>>2]](Ye,o[ii+4>>2]-o[ii>>2]>>2)|0}function ce(Ye,ii,li){Ye=Ye|0;ii=ii|0;li=li|0;var mi=0,ni=0,oi=0,pi=0,qi=0,ri=0,si=0,ti=0,ui=0,vi=0;oi=R-16|0;R=oi;si=o[li+8>>2];pi=o[li+16>>2];qi=o[li+12>>2];mi=qi;ni=o[li+20>>2];a:{if((mi|0)<(ni|0)?1:(mi|0)<=(ni|0)?si>>>0>pi>>>0?0:1:0){break a}ti=o[li>>2];ui=m[ti+pi|0];mi=ni;ri=pi+1|0;if(ri>>>0<1){mi=mi+1|0}o[li+16>>2]=ri;o[li+20>>2]=mi;b:{if((ui|0)==-2){break b}if((qi|0)<(mi|0)?1:(qi|0)<=(mi|0)?si>>>0>ri>>>0?0:1:0){break a}qi=m[ri+ti|0];pi=pi+2|0;if(pi>>>0<2){ni=ni+1|0}mi=li;o[mi+16>>2]=pi;o[mi+20>>2]=ni;l[o[o[Ye>>2]+40>>2]](oi+8|0,Ye,ui,qi);ni=o[oi+8>>2];o[oi+8>>2]=0;mi=o[Ye+20>>2];o[Ye+20>>2]=ni;if(!mi){o[oi+8>>2]=0;break b}l[o[o[mi>>2]+4>>2]](mi);mi=o[oi+8>>2];o[oi+8>>2]=0;if(!mi){break b}l[o[o[mi>>2]+4>>2]](mi)}mi=o[Ye+20>>2];if(mi){if(!l[o[o[Ye>>2]+28>>2]](Ye,mi)){break a}}vi=l[o[o[Ye>>2]+36>>2]](Ye,ii,li)|0}R=oi+16|0;return vi|0}function de(Ye,ii,li,wi){Ye=Ye|0;ii=ii|0;li=li|0;wi=wi|0;var xi=0,yi=0;xi=R-48|0;R=xi;a:{if((wi|0)!=1){o[Ye>>2]=0;break a}wi=o[ii+4>>2];ii=o[ii+12>>2];o[xi+40>>2]=0;yi=xi+32|0;o[yi>>2]=0;o[yi+4>>2]=0;o[xi+24>>2]=0;o[xi+28>>2]=0;o[xi+16>>2]=0;o[xi+20>>2]=0;o[xi+8>>2]=0;o[xi+12>>2]=0;ee(xi,li,ii,wi,xi+8|0);ii=o[yi>>2];if(ii){o[xi+36>>2]=ii;ul(ii)}o[Ye>>2]=o[xi>>2]}R=xi+48|0}function ee(Ye,ii,li,wi,zi){var Ai=0,Bi=0;a:{if((ii|0)!=-2){Bi=o[o[o[wi+4>>2]+8>>2]+(li<<2)>>2];if((l[o[o[wi>>2]+8>>2]](wi)|0)==1){Ai=ii;ii=q[wi+36>>1];le(Ye,wi,Ai,li,zi,(ii<<24|ii<<8&16711680)>>>16);if(o[Ye>>2]){break a}o[Ye>>2]=0}Ai=Hk(44);me(Ai,Bi,zi)}o[Ye>>2]=Ai}}function fe(Ye,ii,li){Ye=Ye|0;ii=ii|0;li=li|0;var wi=0,zi=0,Ci=0,Di=0,Ei=0,Fi=0,Gi=0,Hi=0,Ii=0,Ji=0,Ki=0,Li=0,Mi=0;a:{Ki=l[o[o[Ye>>2]+44>>2]](Ye)|0;if((Ki|0)<1){break a}Ei=o[ii+4>>2]-o[ii>>2]>>2;ge(Ye,Ei,Ki);wi=o[Ye+16>>2];if(!o[wi+80>>2]){break a}Ci=o[o[wi>>2]>>2];if(!Ci){break a}Gi=o[li+8>>2];Fi=o[li+16>>2];Di=o[li+12>>2];Hi=Di;zi=o[li+20>>2];if((Hi|0)<(zi|0)?1:(Hi|0)<=(zi|0)?Gi>>>0>Fi>>>0?0:1:0){break a}Hi=u(Ei,Ki);Ji=Ci+o[wi+48>>2]|0;Li=o[li>>2];Mi=p[Li+Fi|0];Ei=li;wi=zi;Ci=Fi+1|0;if(Ci>>>0<1){wi=wi+1|0}Ii=Ci;Ci=wi;o[Ei+16>>2]=Ii;o[Ei+20>>2]=wi;b:{c:{d:{if(Mi){if(_f(Hi,Ki,li,Ji)){break d}break a}if((Di|0)<(Ci|0)?1:(Di|0)<=(Ci|0)?Gi>>>0>Ii>>>0?0:1:0){break a}Ei=p[Ii+Li|0];wi=zi;zi=Fi+2|0;if(zi>>>0<2){wi=wi+1|0}o[li+16>>2]=zi;o[li+20>>2]=wi;wi=ti(5);zi=o[o[Ye+16>>2]- -64>>2];zi=o[zi+4>>2]-o[zi>>2]|0;e:{if((wi|0)==(Ei|0)){Ei=Hi<<2;if(zi>>>0<Ei>>>0){break a}Ci=o[li+12>>2];wi=o[li+20>>2];Fi=o[li+16>>2];zi=Ei;Di=Fi+zi|0;if(Di>>>0<zi>>>0){wi=wi+1|0}if((Ci|0)>(wi|0)?1:(Ci|0)>=(wi|0)?r[li+8>>2]<Di>>>0?0:1:0){break e}break a}if(zi>>>0<u(Ei,Hi)>>>0){break a}Fi=o[li+12>>2];wi=o[li+20>>2];Gi=o[li+8>>2];Ci=Gi;Ii=o[li+16>>2];Di=Ii;zi=Ei;Mi=Ci-Di>>>0>=Vl(zi,0,Hi,0)>>>0?0:1;Ci=Fi-(wi+(Ci>>>0<Di>>>0)|0)|0;Di=T;if((Ci|0)<(Di|0)?1:(Ci|0)<=(Di|0)?Mi:0){break a}Ci=0;if(!Hi){break c}Di=0;Ci=Gi;Gi=zi+Ii|0;if(Gi>>>0<zi>>>0){wi=wi+1|0}if((Fi|0)<(wi|0)?1:(Fi|0)<=(wi|0)?Ci>>>0>=Gi>>>0?0:1:0){break b}Gi=0;while(1){wl(Ji+(Gi<<2)|0,Ii+o[li>>2]|0,Ei);wi=o[li+20>>2];Ii=zi+o[li+16>>2]|0;if(Ii>>>0<zi>>>0){wi=wi+1|0}o[li+16>>2]=Ii;o[li+20>>2]=wi;Gi=Gi+1|0;if((Hi|0)==(Gi|0)){break d}Fi=o[li+12>>2];Li=zi+Ii|0;if(Li>>>0<zi>>>0){wi=wi+1|0}if((Fi|0)>(wi|0)?1:(Fi|0)>=(wi|0)?r[li+8>>2]<Li>>>0?0:1:0){continue}break}break b}wl(Ji,Fi+o[li>>2]|0,Ei);wi=o[li+20>>2];Ci=zi+o[li+16>>2]|0;if(Ci>>>0<zi>>>0){wi=wi+1|0}o[li+16>>2]=Ci;o[li+20>>2]=wi}Ci=0;if(!Hi){break c}zi=o[Ye+20>>2];if(zi){Ci=1;if(l[o[o[zi>>2]+32>>2]](zi)){break c}}ji(Ji,Hi,Ji);Ci=1}zi=o[Ye+20>>2];f:{if(!zi){break f}if(!l[o[o[zi>>2]+40>>2]](zi,li)){break a}if(!Ci){break f}Di=0;Ye=o[Ye+20>>2];if(!l[o[o[Ye>>2]+44>>2]](Ye,Ji,Ji,Hi,Ki,o[ii>>2])){break b}}Di=1}return Di|0}return 0}function ge(Ye,ii,li){var Ni=0,Oi=0,Pi=0,Qi=0;Ni=R-80|0;R=Ni;Oi=ld(Ni+16|0);Pi=o[o[Ye+8>>2]+56>>2];Qi=li<<24>>24;li=u(ti(5),li);md(Oi,Pi,Qi,5,0,li,li>>31);li=Hk(96);qd(li,Oi);o[Ni+8>>2]=li;m[li+84|0]=1;o[li+72>>2]=o[li+68>>2];rd(li,ii);o[Ni>>2]=0;ii=o[Ni+8>>2];o[Ni+8>>2]=0;li=Ye+16|0;Ye=o[li>>2];o[li>>2]=ii;a:{if(!Ye){o[Ni>>2]=0;break a}Fb(Ye);Ye=o[Ni>>2];o[Ni>>2]=0;if(!Ye){break a}Fb(Ye)}Ye=o[Ni+8>>2];o[Ni+8>>2]=0;if(Ye){Fb(Ye)}R=Ni+80|0}function he(Ye,ii){Ye=Ye|0;ii=ii|0;var li=0,Ri=0,Si=0,Ti=0,Ui=0,Vi=0,Wi=0,Xi=0,Yi=0;Ri=o[Ye+8>>2];li=o[Ri+28>>2]+ -1|0;if(li>>>0>5){return 0}a:{b:{switch(li-1|0){case 0:Ti=m[Ri+24|0];Ui=Hk((Ti|0)>-1?Ti:-1);li=o[Ye+16>>2];Ri=0;c:{if(!o[li+80>>2]){break c}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Vi=(Ti|0)<1;Xi=Ye+8|0;li=0;while(1){Ye=0;if(!Vi){while(1){m[Ye+Ui|0]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Ti|0)!=(Ye|0)){continue}break}}wl(o[o[o[Xi>>2]- -64>>2]>>2]+Wi|0,Ui,Ti);Wi=Ti+Wi|0;Si=Si+1|0;if((Si|0)!=(ii|0)){continue}break}break a;default:Ti=m[Ri+24|0];Ui=Hk((Ti|0)>-1?Ti:-1);li=o[Ye+16>>2];Ri=0;d:{if(!o[li+80>>2]){break d}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Vi=(Ti|0)<1;Xi=Ye+8|0;li=0;while(1){Ye=0;if(!Vi){while(1){m[Ye+Ui|0]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Ti|0)!=(Ye|0)){continue}break}}wl(o[o[o[Xi>>2]- -64>>2]>>2]+Wi|0,Ui,Ti);Wi=Ti+Wi|0;Si=Si+1|0;if((Si|0)!=(ii|0)){continue}break}break a;case 2:Si=m[Ri+24|0];Ri=Si+Si|0;Ui=Hk(Ri>>>0<Si>>>0?-1:Ri);li=o[Ye+16>>2];Ri=0;e:{if(!o[li+80>>2]){break e}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Vi=Si<<1;Xi=(Si|0)<1;Yi=Ye+8|0;li=0;while(1){Ye=0;if(!Xi){while(1){n[(Ye<<1)+Ui>>1]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Si|0)!=(Ye|0)){continue}break}}wl(o[o[o[Yi>>2]- -64>>2]>>2]+Wi|0,Ui,Vi);Wi=Wi+Vi|0;Ti=Ti+1|0;if((Ti|0)!=(ii|0)){continue}break}break a;case 1:Si=m[Ri+24|0];Ri=Si+Si|0;Ui=Hk(Ri>>>0<Si>>>0?-1:Ri);li=o[Ye+16>>2];Ri=0;f:{if(!o[li+80>>2]){break f}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Vi=Si<<1;Xi=(Si|0)<1;Yi=Ye+8|0;li=0;while(1){Ye=0;if(!Xi){while(1){n[(Ye<<1)+Ui>>1]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Si|0)!=(Ye|0)){continue}break}}wl(o[o[o[Yi>>2]- -64>>2]>>2]+Wi|0,Ui,Vi);Wi=Wi+Vi|0;Ti=Ti+1|0;if((Ti|0)!=(ii|0)){continue}break}break a;case 4:Si=m[Ri+24|0];Vi=Si<<2;Ui=Hk((Si|0)!=(Si&1073741823)?-1:Vi);li=o[Ye+16>>2];Ri=0;g:{if(!o[li+80>>2]){break g}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Xi=(Si|0)<1;Yi=Ye+8|0;li=0;while(1){Ye=0;if(!Xi){while(1){o[(Ye<<2)+Ui>>2]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Si|0)!=(Ye|0)){continue}break}}wl(o[o[o[Yi>>2]- -64>>2]>>2]+Wi|0,Ui,Vi);Wi=Wi+Vi|0;Ti=Ti+1|0;if((Ti|0)!=(ii|0)){continue}break}break a;case 3:break b}}Si=m[Ri+24|0];Vi=Si<<2;Ui=Hk((Si|0)!=(Si&1073741823)?-1:Vi);li=o[Ye+16>>2];Ri=0;h:{if(!o[li+80>>2]){break h}Ri=o[o[li>>2]>>2]+o[li+48>>2]|0}if(!ii){break a}Xi=(Si|0)<1;Yi=Ye+8|0;li=0;while(1){Ye=0;if(!Xi){while(1){o[(Ye<<2)+Ui>>2]=o[Ri+(li<<2)>>2];li=li+1|0;Ye=Ye+1|0;if((Si|0)!=(Ye|0)){continue}break}}wl(o[o[o[Yi>>2]- -64>>2]>>2]+Wi|0,Ui,Vi);Wi=Wi+Vi|0;Ti=Ti+1|0;if((Ti|0)!=(ii|0)){continue}break}}ul(Ui);return 1}function ie(Ye){Ye=Ye|0;var ii=0,Zi=0;o[Ye>>2]=1908;Zi=Ye+20|0;ii=o[Zi>>2];o[Zi>>2]=0;if(ii){l[o[o[ii>>2]+4>>2]](ii)}o[Ye>>2]=1596;Zi=Ye+16|0;ii=o[Zi>>2];o[Zi>>2]=0;if(ii){Fb(ii)}return Ye|0}function je(Ye){Ye=Ye|0;var _i=0,$i=0;o[Ye>>2]=1908;$i=Ye+20|0;_i=o[$i>>2];o[$i>>2]=0;if(_i){l[o[o[_i>>2]+4>>2]](_i)}o[Ye>>2]=1596;$i=Ye+16|0;_i=o[$i>>2];o[$i>>2]=0;if(_i){Fb(_i)}ul(Ye)}function ke(Ye){Ye=Ye|0;return m[o[Ye+8>>2]+24|0]}function le(Ye,aj,bj,cj,dj,ej){var fj=0,gj=0,hj=0;ej=R-32|0;R=ej;gj=o[o[o[aj+4>>2]+8>>2]+(cj<<2)>>2];a:{b:{if((l[o[o[aj>>2]+8>>2]](aj)|0)!=1|bj+ -1>>>0>5){break b}hj=l[o[o[aj>>2]+36>>2]](aj)|0;fj=l[o[o[aj>>2]+44>>2]](aj,cj)|0;if(!(fj?hj:0)){o[Ye>>2]=0;break a}cj=l[o[o[aj>>2]+40>>2]](aj,cj)|0;if(cj){aj=o[aj+44>>2];o[ej+12>>2]=cj;o[ej+8>>2]=aj;o[ej+20>>2]=fj;o[ej+16>>2]=fj+12;ne(Ye,bj,gj,dj,ej+8|0);if(o[Ye>>2]){break a}o[Ye>>2]=0;break b}aj=o[aj+44>>2];o[ej+12>>2]=hj;o[ej+8>>2]=aj;o[ej+20>>2]=fj;o[ej+16>>2]=fj+12;oe(Ye,bj,gj,dj,ej+8|0);if(o[Ye>>2]){break a}o[Ye>>2]=0}o[Ye>>2]=0}R=ej+32|0}function me(Ye,aj,bj){var cj=0,dj=0,ej=0,ij=0,jj=0,kj=0,lj=0,mj=0;o[Ye>>2]=2732;o[Ye+4>>2]=aj;aj=o[bj+8>>2];cj=o[bj+12>>2];dj=o[bj+16>>2];ij=o[bj+20>>2];jj=o[bj>>2];kj=o[bj+4>>2];o[Ye+40>>2]=0;ej=Ye+32|0;o[ej>>2]=0;o[ej+4>>2]=0;o[Ye+24>>2]=dj;o[Ye+28>>2]=ij;o[Ye+16>>2]=aj;o[Ye+20>>2]=cj;o[Ye+8>>2]=jj;o[Ye+12>>2]=kj;a:{aj=o[bj+28>>2]-o[bj+24>>2]|0;b:{if(!aj){break b}cj=aj>>2;if(cj>>>0>=1073741824){break a}aj=Hk(aj);o[Ye+32>>2]=aj;dj=Ye+36|0;o[dj>>2]=aj;o[Ye+40>>2]=aj+(cj<<2);cj=o[bj+24>>2];bj=o[bj+28>>2]-cj|0;if((bj|0)<1){break b}lj=dj,mj=wl(aj,cj,bj)+bj|0,o[lj>>2]=mj}o[Ye>>2]=5368;return}Yk();D()}function ne(Ye,aj,bj,nj,oj){var pj=0;a:{aj=aj+ -1|0;b:{if(aj>>>0>5){break b}c:{switch(aj-1|0){default:aj=Hk(60);pe(aj,bj,nj,oj);o[aj>>2]=2024;break a;case 2:aj=Hk(112);pe(aj,bj,nj,oj);o[aj>>2]=2788;o[aj+60>>2]=0;o[aj+64>>2]=0;o[aj+68>>2]=0;o[aj+72>>2]=0;o[aj+76>>2]=0;o[aj+80>>2]=0;o[aj+84>>2]=0;o[aj+88>>2]=0;o[aj+92>>2]=0;o[aj+96>>2]=0;o[aj+100>>2]=0;o[aj+104>>2]=0;o[aj+108>>2]=0;break a;case 3:aj=Hk(104);pe(aj,bj,nj,oj);o[aj+76>>2]=0;o[aj+80>>2]=0;o[aj+60>>2]=0;o[aj+64>>2]=0;o[aj>>2]=3036;o[aj+84>>2]=0;bj=o[oj+4>>2];o[aj+88>>2]=o[oj>>2];o[aj+92>>2]=bj;bj=o[oj+12>>2];o[aj+96>>2]=o[oj+8>>2];o[aj+100>>2]=bj;break a;case 0:case 1:break b;case 4:break c}}pj=Hk(124);pe(pj,bj,nj,oj);o[pj>>2]=3272;aj=pj- -64|0;o[aj>>2]=0;o[aj+4>>2]=0;aj=o[oj+4>>2];o[pj+72>>2]=o[oj>>2];o[pj+76>>2]=aj;aj=o[oj+12>>2];o[pj+80>>2]=o[oj+8>>2];o[pj+84>>2]=aj;o[pj+92>>2]=-1;o[pj+96>>2]=-1;o[pj+88>>2]=1;o[pj+60>>2]=3508;o[pj+100>>2]=-1;o[pj+104>>2]=-1;Mf(pj+108|0)}o[Ye>>2]=pj;return}o[Ye>>2]=aj}function oe(Ye,aj,bj,nj,oj){var qj=0;a:{aj=aj+ -1|0;b:{if(aj>>>0>5){break b}c:{switch(aj-1|0){default:aj=Hk(60);Xe(aj,bj,nj,oj);o[aj>>2]=3900;break a;case 2:aj=Hk(112);Xe(aj,bj,nj,oj);o[aj>>2]=4324;o[aj+60>>2]=0;o[aj+64>>2]=0;o[aj+68>>2]=0;o[aj+72>>2]=0;o[aj+76>>2]=0;o[aj+80>>2]=0;o[aj+84>>2]=0;o[aj+88>>2]=0;o[aj+92>>2]=0;o[aj+96>>2]=0;o[aj+100>>2]=0;o[aj+104>>2]=0;o[aj+108>>2]=0;break a;case 3:aj=Hk(104);Xe(aj,bj,nj,oj);o[aj+76>>2]=0;o[aj+80>>2]=0;o[aj+60>>2]=0;o[aj+64>>2]=0;o[aj>>2]=4560;o[aj+84>>2]=0;bj=o[oj+4>>2];o[aj+88>>2]=o[oj>>2];o[aj+92>>2]=bj;bj=o[oj+12>>2];o[aj+96>>2]=o[oj+8>>2];o[aj+100>>2]=bj;break a;case 0:case 1:break b;case 4:break c}}qj=Hk(124);Xe(qj,bj,nj,oj);o[qj>>2]=4784;aj=qj- -64|0;o[aj>>2]=0;o[aj+4>>2]=0;aj=o[oj+4>>2];o[qj+72>>2]=o[oj>>2];o[qj+76>>2]=aj;aj=o[oj+12>>2];o[qj+80>>2]=o[oj+8>>2];o[qj+84>>2]=aj;o[qj+92>>2]=-1;o[qj+96>>2]=-1;o[qj+88>>2]=1;o[qj+60>>2]=5004;o[qj+100>>2]=-1;o[qj+104>>2]=-1;Mf(qj+108|0)}o[Ye>>2]=qj;return}o[Ye>>2]=aj}function pe(Ye,aj,bj,nj){var oj=0,rj=0,sj=0,tj=0,uj=0,vj=0,wj=0,xj=0;o[Ye>>2]=2732;o[Ye+4>>2]=aj;aj=o[bj+8>>2];oj=o[bj+12>>2];rj=o[bj+16>>2];tj=o[bj+20>>2];uj=o[bj>>2];vj=o[bj+4>>2];o[Ye+40>>2]=0;sj=Ye+32|0;o[sj>>2]=0;o[sj+4>>2]=0;o[Ye+24>>2]=rj;o[Ye+28>>2]=tj;o[Ye+16>>2]=aj;o[Ye+20>>2]=oj;o[Ye+8>>2]=uj;o[Ye+12>>2]=vj;a:{aj=o[bj+28>>2]-o[bj+24>>2]|0;b:{if(!aj){break b}oj=aj>>2;if(oj>>>0>=1073741824){break a}aj=Hk(aj);o[Ye+32>>2]=aj;rj=Ye+36|0;o[rj>>2]=aj;o[Ye+40>>2]=aj+(oj<<2);oj=o[bj+24>>2];bj=o[bj+28>>2]-oj|0;if((bj|0)<1){break b}wj=rj,xj=wl(aj,oj,bj)+bj|0,o[wj>>2]=xj}o[Ye>>2]=2676;aj=o[nj+4>>2];o[Ye+44>>2]=o[nj>>2];o[Ye+48>>2]=aj;aj=o[nj+12>>2];o[Ye+52>>2]=o[nj+8>>2];o[Ye+56>>2]=aj;return}Yk();D()}function qe(Ye){Ye=Ye|0;var aj=0;o[Ye>>2]=2732;aj=o[Ye+32>>2];if(aj){o[Ye+36>>2]=aj;ul(aj)}return Ye|0}function re(Ye){Ye=Ye|0;var bj=0;o[Ye>>2]=2732;bj=o[Ye+32>>2];if(bj){o[Ye+36>>2]=bj;ul(bj)}ul(Ye)}function se(Ye){Ye=Ye|0;var nj=0;if(!(!o[Ye+52>>2]|(!o[Ye+44>>2]|!o[Ye+48>>2]))){nj=o[Ye+56>>2]!=0}return nj|0}function te(o){o=o|0;return 0}function ue(o,Ye){o=o|0;Ye=Ye|0;return-1}function ve(Ye,yj){Ye=Ye|0;yj=yj|0;var zj=0,Aj=0,Bj=0,Cj=0,Dj=0,Ej=0,Fj=0,Gj=0,Hj=0,Ij=0;Aj=o[yj+12>>2];Fj=Aj;zj=o[yj+20>>2];Cj=zj;Dj=o[yj+16>>2];Bj=Dj+4|0;if(Bj>>>0<4){zj=zj+1|0}Gj=o[yj+8>>2];Ej=Bj;Bj=zj;a:{if((Aj|0)<(zj|0)?1:(Aj|0)<=(zj|0)?Gj>>>0>=Ej>>>0?0:1:0){break a}Hj=o[yj>>2];zj=Hj+Dj|0;Aj=p[zj|0]|p[zj+1|0]<<8|(p[zj+2|0]<<16|p[zj+3|0]<<24);o[yj+16>>2]=Ej;o[yj+20>>2]=Bj;zj=Cj;Cj=Dj+8|0;if(Cj>>>0<8){zj=zj+1|0}Bj=Cj;Cj=zj;if((Fj|0)<(zj|0)?1:(Fj|0)<=(zj|0)?Gj>>>0>=Bj>>>0?0:1:0){break a}zj=Ej+Hj|0;zj=p[zj|0]|p[zj+1|0]<<8|(p[zj+2|0]<<16|p[zj+3|0]<<24);o[yj+16>>2]=Bj;o[yj+20>>2]=Cj;if((Aj|0)>(zj|0)){break a}o[Ye+16>>2]=zj;o[Ye+12>>2]=Aj;yj=Aj;Aj=(zj>>31)-((zj>>>0<yj>>>0)+(yj>>31)|0)|0;yj=zj-yj|0;if(!Aj&yj>>>0>2147483646|Aj>>>0>0){break a}Ij=1;yj=yj+1|0;o[Ye+20>>2]=yj;Aj=Ye+24|0;zj=(yj|0)/2|0;o[Aj>>2]=zj;o[Ye+28>>2]=0-zj;if(yj&1){break a}o[Aj>>2]=zj+ -1}return Ij|0}function we(Ye,yj,Jj,Kj,Lj,Mj){Ye=Ye|0;yj=yj|0;Jj=Jj|0;Kj=Kj|0;Lj=Lj|0;Mj=Mj|0;var Nj=0,Oj=0,Pj=0,Qj=0,Rj=0,Sj=0,Tj=0,Uj=0,Vj=0,Wj=0,Xj=0,Yj=0,Zj=0,_j=0,$j=0,ak=0;o[Ye+8>>2]=Lj;Mj=Ye+32|0;Nj=o[Mj>>2];Kj=o[Ye+36>>2]-Nj>>2;a:{if(Kj>>>0<Lj>>>0){Da(Mj,Lj-Kj|0);break a}if(Kj>>>0<=Lj>>>0){break a}o[Ye+36>>2]=Nj+(Lj<<2)}$j=o[Ye+52>>2];Yj=o[Ye+48>>2];Kj=0;Mj=(Lj&1073741823)!=(Lj|0)?-1:Lj<<2;Wj=xl(Hk(Mj),0,Mj);Sj=Ye+8|0;Mj=o[Sj>>2];b:{if((Mj|0)<1){break b}Tj=Ye+16|0;Nj=Ye+32|0;Uj=Ye+12|0;while(1){Mj=Kj<<2;Pj=o[Mj+Wj>>2];Rj=o[Tj>>2];c:{if((Pj|0)>(Rj|0)){Oj=o[Nj>>2];o[Mj+Oj>>2]=Rj;break c}Oj=o[Nj>>2];Mj=Mj+Oj|0;Rj=o[Uj>>2];if((Pj|0)<(Rj|0)){o[Mj>>2]=Rj;break c}o[Mj>>2]=Pj}Kj=Kj+1|0;Mj=o[Sj>>2];if((Kj|0)<(Mj|0)){continue}break}if((Mj|0)<1){break b}Nj=0;Sj=Ye+16|0;Pj=Ye+20|0;Tj=Ye+8|0;Uj=Ye+12|0;while(1){Mj=Nj<<2;Kj=Mj+Jj|0;Mj=o[yj+Mj>>2]+o[Mj+Oj>>2]|0;o[Kj>>2]=Mj;d:{if((Mj|0)>o[Sj>>2]){Mj=Mj-o[Pj>>2]|0}else{if((Mj|0)>=o[Uj>>2]){break d}Mj=Mj+o[Pj>>2]|0}o[Kj>>2]=Mj}Nj=Nj+1|0;Mj=o[Tj>>2];if((Nj|0)<(Mj|0)){continue}break}}Kj=o[Ye+56>>2];Zj=o[Kj>>2];Kj=o[Kj+4>>2]-Zj|0;if((Kj|0)>=5){_j=Kj>>2;Sj=Ye+16|0;Tj=Ye+32|0;Uj=Ye+8|0;Rj=Ye+20|0;Xj=Ye+12|0;ak=Yj+28|0;Pj=1;while(1){e:{f:{if(_j>>>0>Pj>>>0){Vj=u(Lj,Pj);Ye=o[(Pj<<2)+Zj>>2];if((Ye|0)==-1|o[o[Yj>>2]+(Ye>>>3&536870908)>>2]>>>(Ye&31)&1){break f}Ye=o[o[o[Yj+64>>2]+12>>2]+(Ye<<2)>>2];if((Ye|0)==-1){break f}Nj=o[$j>>2];Kj=o[ak>>2];Oj=o[Nj+(o[Kj+(Ye<<2)>>2]<<2)>>2];if((Oj|0)>=(Pj|0)){break f}Qj=Ye+1|0;Qj=o[Nj+(o[Kj+(((Qj>>>0)%3|0?Qj:Ye+ -2|0)<<2)>>2]<<2)>>2];if((Qj|0)>=(Pj|0)){break f}Ye=o[Nj+(o[Kj+(Ye+((Ye>>>0)%3|0?-1:2)<<2)>>2]<<2)>>2];if((Ye|0)>=(Pj|0)){break f}if((Lj|0)>=1){Ye=u(Ye,Lj);Nj=u(Lj,Qj);Oj=u(Lj,Oj);Kj=0;while(1){o[(Kj<<2)+Wj>>2]=(o[(Ye+Kj<<2)+Jj>>2]+o[(Kj+Nj<<2)+Jj>>2]|0)-o[(Kj+Oj<<2)+Jj>>2];Kj=Kj+1|0;if((Lj|0)!=(Kj|0)){continue}break}}if((Mj|0)<1){break e}Kj=0;while(1){Ye=Kj<<2;Mj=o[Ye+Wj>>2];Nj=o[Sj>>2];g:{if((Mj|0)>(Nj|0)){Oj=o[Tj>>2];o[Ye+Oj>>2]=Nj;break g}Oj=o[Tj>>2];Ye=Ye+Oj|0;Nj=o[Xj>>2];if((Mj|0)<(Nj|0)){o[Ye>>2]=Nj;break g}o[Ye>>2]=Mj}Kj=Kj+1|0;Mj=o[Uj>>2];if((Kj|0)<(Mj|0)){continue}break}Nj=0;if((Mj|0)<1){break e}Ye=Vj<<2;Vj=Ye+Jj|0;Qj=Ye+yj|0;while(1){Kj=Nj<<2;Ye=Kj+Vj|0;Kj=o[Kj+Qj>>2]+o[Kj+Oj>>2]|0;o[Ye>>2]=Kj;h:{if((Kj|0)>o[Sj>>2]){Kj=Kj-o[Rj>>2]|0}else{if((Kj|0)>=o[Xj>>2]){break h}Kj=Kj+o[Rj>>2]|0}o[Ye>>2]=Kj}Nj=Nj+1|0;Mj=o[Uj>>2];if((Nj|0)<(Mj|0)){continue}break}break e}Zk();D()}if((Mj|0)<1){break e}Nj=(u(Pj+ -1|0,Lj)<<2)+Jj|0;Kj=0;while(1){Ye=Kj<<2;Mj=o[Ye+Nj>>2];Qj=o[Sj>>2];i:{if((Mj|0)>(Qj|0)){Oj=o[Tj>>2];o[Ye+Oj>>2]=Qj;break i}Oj=o[Tj>>2];Ye=Ye+Oj|0;Qj=o[Xj>>2];if((Mj|0)<(Qj|0)){o[Ye>>2]=Qj;break i}o[Ye>>2]=Mj}Kj=Kj+1|0;Mj=o[Uj>>2];if((Kj|0)<(Mj|0)){continue}break}Nj=0;if((Mj|0)<1){break e}Ye=Vj<<2;Vj=Ye+Jj|0;Qj=Ye+yj|0;while(1){Kj=Nj<<2;Ye=Kj+Vj|0;Kj=o[Kj+Qj>>2]+o[Kj+Oj>>2]|0;o[Ye>>2]=Kj;j:{if((Kj|0)>o[Sj>>2]){Kj=Kj-o[Rj>>2]|0}else{if((Kj|0)>=o[Xj>>2]){break j}Kj=Kj+o[Rj>>2]|0}o[Ye>>2]=Kj}Nj=Nj+1|0;Mj=o[Uj>>2];if((Nj|0)<(Mj|0)){continue}break}}Pj=Pj+1|0;if((Pj|0)<(_j|0)){continue}break}}ul(Wj);return 1}function xe(Ye){Ye=Ye|0;var yj=0;o[Ye>>2]=2788;yj=o[Ye+96>>2];if(yj){ul(yj)}yj=o[Ye+84>>2];if(yj){ul(yj)}yj=o[Ye+72>>2];if(yj){ul(yj)}yj=o[Ye+60>>2];if(yj){ul(yj)}o[Ye>>2]=2732;yj=o[Ye+32>>2];if(yj){o[Ye+36>>2]=yj;ul(yj)}return Ye|0}function ye(Ye){Ye=Ye|0;var Jj=0;o[Ye>>2]=2788;Jj=o[Ye+96>>2];if(Jj){ul(Jj)}Jj=o[Ye+84>>2];if(Jj){ul(Jj)}Jj=o[Ye+72>>2];if(Jj){ul(Jj)}Jj=o[Ye+60>>2];if(Jj){ul(Jj)}o[Ye>>2]=2732;Jj=o[Ye+32>>2];if(Jj){o[Ye+36>>2]=Jj;ul(Jj)}ul(Ye)}function ze(o){o=o|0;return 4}function Ae(Ye,Kj){Ye=Ye|0;Kj=Kj|0;var Lj=0,Mj=0,bk=0,ck=0,dk=0,ek=0,fk=0,gk=0,hk=0,ik=0,jk=0;fk=R-32|0;R=fk;a:{b:{while(1){if(!Be(1,fk+28|0,Kj)){break b}Lj=o[fk+28>>2];if(Lj){ck=(u(Mj,12)+Ye|0)+60|0;Ce(ck,Lj);ek=Mf(fk+8|0);if(!Nf(ek,Kj)){break b}dk=0;while(1){gk=1<<(dk&31);hk=Pf(ek);bk=o[ck>>2]+(dk>>>3&536870908)|0;ik=bk;if(hk){bk=gk|o[bk>>2]}else{bk=o[bk>>2]&(gk^-1)}o[ik>>2]=bk;dk=dk+1|0;if((Lj|0)!=(dk|0)){continue}break}}Mj=Mj+1|0;if((Mj|0)!=4){continue}break}dk=0;Mj=o[Kj+12>>2];gk=Mj;Lj=o[Kj+20>>2];bk=Lj;ek=o[Kj+16>>2];ck=ek+4|0;if(ck>>>0<4){Lj=Lj+1|0}ik=o[Kj+8>>2];hk=ck;ck=Lj;if((Mj|0)<(Lj|0)?1:(Mj|0)<=(Lj|0)?ik>>>0>=hk>>>0?0:1:0){break a}jk=o[Kj>>2];Lj=jk+ek|0;Mj=p[Lj|0]|p[Lj+1|0]<<8|(p[Lj+2|0]<<16|p[Lj+3|0]<<24);o[Kj+16>>2]=hk;o[Kj+20>>2]=ck;Lj=bk;bk=ek+8|0;if(bk>>>0<8){Lj=Lj+1|0}ck=bk;bk=Lj;if((gk|0)<(Lj|0)?1:(gk|0)<=(Lj|0)?ik>>>0>=ck>>>0?0:1:0){break a}Lj=hk+jk|0;Lj=p[Lj|0]|p[Lj+1|0]<<8|(p[Lj+2|0]<<16|p[Lj+3|0]<<24);o[Kj+16>>2]=ck;o[Kj+20>>2]=bk;if((Mj|0)>(Lj|0)){break a}o[Ye+16>>2]=Lj;o[Ye+12>>2]=Mj;Kj=Mj;Mj=(Lj>>31)-((Lj>>>0<Kj>>>0)+(Kj>>31)|0)|0;Kj=Lj-Kj|0;if(!Mj&Kj>>>0>2147483646|Mj>>>0>0){break a}dk=1;Kj=Kj+1|0;o[Ye+20>>2]=Kj;Mj=Ye+24|0;Lj=(Kj|0)/2|0;o[Mj>>2]=Lj;o[Ye+28>>2]=0-Lj;if(Kj&1){break a}o[Mj>>2]=Lj+ -1;break a}dk=0}R=fk+32|0;return dk|0}function Be(Ye,Kj,kk){var lk=0,mk=0,nk=0,ok=0;a:{if(Ye>>>0>5){break a}nk=o[kk+16>>2];lk=o[kk+12>>2];mk=o[kk+20>>2];if((lk|0)<(mk|0)?1:(lk|0)<=(mk|0)?r[kk+8>>2]>nk>>>0?0:1:0){break a}lk=p[nk+o[kk>>2]|0];nk=nk+1|0;if(nk>>>0<1){mk=mk+1|0}o[kk+16>>2]=nk;o[kk+20>>2]=mk;mk=Kj;if(lk&128){if(!Be(Ye+1|0,Kj,kk)){break a}Ye=o[Kj>>2]<<7;o[Kj>>2]=Ye;lk=Ye|lk&127}o[mk>>2]=lk;ok=1}return ok}function Ce(Ye,Kj){var kk=0,pk=0,qk=0,rk=0,sk=0,tk=0;pk=R-32|0;R=pk;a:{kk=o[Ye+4>>2];b:{if(kk>>>0<Kj>>>0){sk=o[Ye+8>>2];qk=sk<<5;rk=Kj-kk|0;c:{if(!(qk>>>0<rk>>>0|kk>>>0>qk-rk>>>0)){o[Ye+4>>2]=Kj;Kj=kk&31;Ye=o[Ye>>2]+(kk>>>3&536870908)|0;break c}o[pk+24>>2]=0;o[pk+16>>2]=0;o[pk+20>>2]=0;if((Kj|0)<=-1){break a}kk=pk+16|0;if(qk>>>0<=1073741822){Kj=Kj+31&-32;qk=sk<<6;Kj=qk>>>0<Kj>>>0?Kj:qk}else{Kj=2147483647}ab(kk,Kj);kk=o[Ye+4>>2];o[pk+20>>2]=kk+rk;Kj=o[pk+16>>2];d:{if((kk|0)<1){kk=0;break d}sk=o[Ye>>2];qk=kk>>>5<<2;Kj=yl(Kj,sk,qk)+qk|0;kk=kk&31;if(!kk){kk=0;break d}tk=-1>>>32-kk;o[Kj>>2]=o[Kj>>2]&(tk^-1)|o[qk+sk>>2]&tk}o[pk+12>>2]=kk;o[pk+8>>2]=Kj;kk=o[pk+8>>2];Kj=o[pk+12>>2];qk=o[Ye>>2];o[Ye>>2]=o[pk+16>>2];o[pk+16>>2]=qk;sk=o[Ye+4>>2];o[Ye+4>>2]=o[pk+20>>2];o[pk+20>>2]=sk;Ye=Ye+8|0;sk=o[Ye>>2];o[Ye>>2]=o[pk+24>>2];o[pk+24>>2]=sk;if(qk){ul(qk)}Ye=kk}if(!rk){break b}if(Kj){kk=32-Kj|0;qk=kk>>>0>rk>>>0?rk:kk;o[Ye>>2]=o[Ye>>2]&(-1<<Kj&-1>>>kk-qk^-1);rk=rk-qk|0;Ye=Ye+4|0}Kj=Ye;Ye=rk>>>5<<2;Kj=xl(Kj,0,Ye);kk=rk&31;if(!kk){break b}Ye=Ye+Kj|0;o[Ye>>2]=o[Ye>>2]&(-1>>>32-kk^-1);break b}o[Ye+4>>2]=Kj}R=pk+32|0;return}Yk();D()}function De(Ye,Kj,uk,vk,wk,xk){Ye=Ye|0;Kj=Kj|0;uk=uk|0;vk=vk|0;wk=wk|0;xk=xk|0;var yk=0,zk=0,Ak=0,Bk=0,Ck=0,Dk=0,Ek=0,Fk=0,Gk=0,Ik=0,Jk=0,Kk=0,Lk=0,Mk=0,Nk=0,Ok=0,Pk=0,Qk=0,Rk=0,Sk=0,Tk=0,Uk=0,Vk=0,Wk=0,Xk=0,_k=0;Ak=R+ -64|0;R=Ak;o[Ye+8>>2]=wk;xk=Ye+32|0;Bk=o[xk>>2];vk=o[Ye+36>>2]-Bk>>2;a:{if(vk>>>0<wk>>>0){Da(xk,wk-vk|0);break a}if(vk>>>0<=wk>>>0){break a}o[Ye+36>>2]=Bk+(wk<<2)}o[Ak+56>>2]=0;o[Ak+60>>2]=0;o[Ak+48>>2]=0;o[Ak+52>>2]=0;o[Ak+40>>2]=0;o[Ak+44>>2]=0;xk=Ak+32|0;o[xk>>2]=0;o[xk+4>>2]=0;o[Ak+24>>2]=0;o[Ak+28>>2]=0;o[Ak+16>>2]=0;o[Ak+20>>2]=0;o[Ak>>2]=0;vk=0;if(wk){yd(Ak+16|0,wk,Ak);zk=o[Ak+28>>2];vk=o[xk>>2]}o[Ak>>2]=0;vk=vk-zk>>2;b:{if(vk>>>0>=wk>>>0){if(vk>>>0<=wk>>>0){break b}o[Ak+32>>2]=(wk<<2)+zk;break b}yd(Ak+16|12,wk-vk|0,Ak)}o[Ak>>2]=0;xk=o[Ak+40>>2];vk=o[Ak+44>>2]-xk>>2;c:{if(vk>>>0>=wk>>>0){if(vk>>>0<=wk>>>0){break c}o[Ak+44>>2]=xk+(wk<<2);break c}yd(Ak+40|0,wk-vk|0,Ak)}o[Ak>>2]=0;xk=o[Ak+52>>2];vk=o[Ak+56>>2]-xk>>2;d:{if(vk>>>0>=wk>>>0){if(vk>>>0<=wk>>>0){break d}o[Ak+56>>2]=xk+(wk<<2);break d}yd(Ak+52|0,wk-vk|0,Ak)}Dk=Ye+8|0;e:{if(o[Dk>>2]<=0){break e}Ek=o[Ak+16>>2];zk=0;Gk=Ye+16|0;vk=Ye+32|0;Ck=Ye+12|0;while(1){xk=zk<<2;yk=o[xk+Ek>>2];Ik=o[Gk>>2];f:{if((yk|0)>(Ik|0)){Bk=o[vk>>2];o[xk+Bk>>2]=Ik;break f}Bk=o[vk>>2];xk=xk+Bk|0;Ik=o[Ck>>2];if((yk|0)<(Ik|0)){o[xk>>2]=Ik;break f}o[xk>>2]=yk}zk=zk+1|0;xk=o[Dk>>2];if((zk|0)<(xk|0)){continue}break}if((xk|0)<1){break e}vk=0;Dk=Ye+16|0;zk=Ye+20|0;Ek=Ye+8|0;Gk=Ye+12|0;while(1){yk=vk<<2;xk=yk+uk|0;yk=o[Kj+yk>>2]+o[yk+Bk>>2]|0;o[xk>>2]=yk;g:{if((yk|0)>o[Dk>>2]){yk=yk-o[zk>>2]|0}else{if((yk|0)>=o[Gk>>2]){break g}yk=yk+o[zk>>2]|0}o[xk>>2]=yk}vk=vk+1|0;if((vk|0)<o[Ek>>2]){continue}break}}Wk=o[Ye+52>>2];Ek=o[Ye+48>>2];Qk=Hk(16);vk=Qk;o[vk>>2]=0;o[vk+4>>2]=0;o[vk+8>>2]=0;o[vk+12>>2]=0;o[Ak+8>>2]=0;o[Ak>>2]=0;o[Ak+4>>2]=0;h:{if(wk){if(wk>>>0>=1073741824){break h}vk=wk<<2;Mk=Hk(vk);o[Ak>>2]=Mk;xk=vk+Mk|0;o[Ak+8>>2]=xk;xl(Mk,0,vk);o[Ak+4>>2]=xk}vk=1;xk=o[Ye+56>>2];Uk=o[xk>>2];xk=o[xk+4>>2]-Uk|0;i:{if((xk|0)<5){break i}Vk=xk>>2;Xk=wk<<2;Gk=Ye+8|0;Ik=Ye+16|0;Nk=Ye+32|0;Ok=Ye+20|0;Pk=Ye+12|0;_k=Ek+28|0;Dk=1;while(1){j:{k:{l:{if(Vk>>>0>Dk>>>0){m:{n:{Bk=o[(Dk<<2)+Uk>>2];if((Bk|0)==-1){break n}Fk=Bk+((Bk>>>0)%3|0?-1:2)|0;Rk=Fk>>>5;Ck=1;Sk=1<<(Fk&31);Tk=o[Ek>>2];xk=0;vk=Bk;o:{while(1){p:{if(o[Tk+(vk>>>3&536870908)>>2]>>>(vk&31)&1){break p}yk=o[o[o[Ek+64>>2]+12>>2]+(vk<<2)>>2];if((yk|0)==-1){break p}Kk=o[Wk>>2];zk=o[_k>>2];Lk=o[Kk+(o[zk+(yk<<2)>>2]<<2)>>2];if((Lk|0)>=(Dk|0)){break p}Jk=yk+1|0;Jk=o[Kk+(o[zk+(((Jk>>>0)%3|0?Jk:yk+ -2|0)<<2)>>2]<<2)>>2];if((Jk|0)>=(Dk|0)){break p}yk=o[Kk+(o[zk+(yk+((yk>>>0)%3|0?-1:2)<<2)>>2]<<2)>>2];if((yk|0)>=(Dk|0)){break p}if((wk|0)>=1){Kk=o[(Ak+16|0)+u(xk,12)>>2];yk=u(wk,yk);Jk=u(wk,Jk);Lk=u(wk,Lk);zk=0;while(1){o[Kk+(zk<<2)>>2]=(o[(yk+zk<<2)+uk>>2]+o[(zk+Jk<<2)+uk>>2]|0)-o[(zk+Lk<<2)+uk>>2];zk=zk+1|0;if((zk|0)!=(wk|0)){continue}break}}yk=4;xk=xk+1|0;if((xk|0)==4){break o}}q:{if(Ck&1){zk=-1;yk=vk+1|0;vk=(yk>>>0)%3|0?yk:vk+ -2|0;if((vk|0)==-1|o[o[Ek>>2]+(vk>>>3&536870908)>>2]>>>(vk&31)&1){break q}vk=o[o[o[Ek+64>>2]+12>>2]+(vk<<2)>>2];if((vk|0)==-1){break q}yk=vk+1|0;zk=(yk>>>0)%3|0?yk:vk+ -2|0;break q}zk=-1;vk=((vk>>>0)%3|0?-1:2)+vk|0;if((vk|0)==-1|o[o[Ek>>2]+(vk>>>3&536870908)>>2]>>>(vk&31)&1){break q}vk=o[o[o[Ek+64>>2]+12>>2]+(vk<<2)>>2];if((vk|0)==-1){break q}if((vk>>>0)%3){zk=vk+ -1|0;break q}zk=vk+2|0}r:{if((zk|0)==(Bk|0)){break r}vk=zk;yk=(zk|0)!=-1;zk=(yk|Ck^-1)&1;vk=zk?vk:-1;Ck=yk&Ck;if(!((Fk|0)==-1|zk)){if(o[o[Ek>>2]+(Rk<<2)>>2]&Sk){break r}yk=o[o[o[Ek+64>>2]+12>>2]+(Fk<<2)>>2];if((yk|0)==-1){break r}Ck=0;if((yk>>>0)%3){vk=yk+ -1|0}else{vk=yk+2|0}}if((vk|0)!=-1){continue}}break}yk=xk;if((yk|0)<1){break n}}Fk=(wk|0)<1;if(!Fk){xl(Mk,0,Xk)}vk=yk+ -1|0;Ck=(vk<<2)+Qk|0;vk=u(vk,12)+Ye|0;Kk=vk+60|0;Rk=o[vk- -64>>2];vk=0;Sk=o[Ak>>2];Bk=0;xk=0;while(1){zk=o[Ck>>2];o[Ck>>2]=zk+1;if(Rk>>>0<=zk>>>0){break i}s:{if(o[o[Kk>>2]+(zk>>>3&536870908)>>2]>>>(zk&31)&1){break s}xk=xk+1|0;if(Fk){break s}Tk=o[(Ak+16|0)+u(Bk,12)>>2];zk=0;while(1){Lk=zk<<2;Jk=Lk+Sk|0;o[Jk>>2]=o[Jk>>2]+o[Lk+Tk>>2];zk=zk+1|0;if((zk|0)!=(wk|0)){continue}break}}Bk=Bk+1|0;if((yk|0)!=(Bk|0)){continue}break}Ck=u(wk,Dk);yk=Ck;if(!xk){break m}zk=0;if((wk|0)>0){break l}break k}yk=u(wk,Dk)}if(o[Gk>>2]<1){break j}Ck=(u(Dk+ -1|0,wk)<<2)+uk|0;zk=0;while(1){vk=zk<<2;xk=o[vk+Ck>>2];Fk=o[Ik>>2];t:{if((xk|0)>(Fk|0)){Bk=o[Nk>>2];o[vk+Bk>>2]=Fk;break t}Bk=o[Nk>>2];vk=vk+Bk|0;Fk=o[Pk>>2];if((xk|0)<(Fk|0)){o[vk>>2]=Fk;break t}o[vk>>2]=xk}zk=zk+1|0;xk=o[Gk>>2];if((zk|0)<(xk|0)){continue}break}vk=0;if((xk|0)<1){break j}xk=yk<<2;zk=xk+uk|0;Ck=Kj+xk|0;while(1){yk=vk<<2;xk=yk+zk|0;yk=o[yk+Ck>>2]+o[yk+Bk>>2]|0;o[xk>>2]=yk;u:{if((yk|0)>o[Ik>>2]){yk=yk-o[Ok>>2]|0}else{if((yk|0)>=o[Pk>>2]){break u}yk=yk+o[Ok>>2]|0}o[xk>>2]=yk}vk=vk+1|0;if((vk|0)<o[Gk>>2]){continue}break}break j}Zk();D()}while(1){vk=(zk<<2)+Mk|0;o[vk>>2]=o[vk>>2]/(xk|0);zk=zk+1|0;if((zk|0)!=(wk|0)){continue}break}}if(o[Gk>>2]<1){break j}zk=0;while(1){vk=zk<<2;xk=o[vk+Mk>>2];yk=o[Ik>>2];v:{if((xk|0)>(yk|0)){Bk=o[Nk>>2];o[vk+Bk>>2]=yk;break v}Bk=o[Nk>>2];vk=vk+Bk|0;yk=o[Pk>>2];if((xk|0)<(yk|0)){o[vk>>2]=yk;break v}o[vk>>2]=xk}zk=zk+1|0;xk=o[Gk>>2];if((zk|0)<(xk|0)){continue}break}vk=0;if((xk|0)<1){break j}xk=Ck<<2;zk=xk+uk|0;Ck=Kj+xk|0;while(1){yk=vk<<2;xk=yk+zk|0;yk=o[yk+Ck>>2]+o[yk+Bk>>2]|0;o[xk>>2]=yk;w:{if((yk|0)>o[Ik>>2]){yk=yk-o[Ok>>2]|0}else{if((yk|0)>=o[Pk>>2]){break w}yk=yk+o[Ok>>2]|0}o[xk>>2]=yk}vk=vk+1|0;if((vk|0)<o[Gk>>2]){continue}break}}vk=1;Dk=Dk+1|0;if((Dk|0)<(Vk|0)){continue}break}}Ye=o[Ak>>2];if(Ye){o[Ak+4>>2]=Ye;ul(Ye)}ul(Qk);Ye=o[Ak+52>>2];if(Ye){o[Ak+56>>2]=Ye;ul(Ye)}Ye=o[Ak+40>>2];if(Ye){o[Ak+44>>2]=Ye;ul(Ye)}Ye=o[Ak+28>>2];if(Ye){o[Ak+32>>2]=Ye;ul(Ye)}Ye=o[Ak+16>>2];if(Ye){o[Ak+20>>2]=Ye;ul(Ye)}R=Ak- -64|0;return vk|0}Yk();D()}function Ee(Ye){Ye=Ye|0;var Kj=0;o[Ye>>2]=3036;Kj=o[Ye+76>>2];if(Kj){ul(Kj)}o[Ye>>2]=2732;Kj=o[Ye+32>>2];if(Kj){o[Ye+36>>2]=Kj;ul(Kj)}return Ye|0}function Fe(Ye){Ye=Ye|0;var uk=0;o[Ye>>2]=3036;uk=o[Ye+76>>2];if(uk){ul(uk)}o[Ye>>2]=2732;uk=o[Ye+32>>2];if(uk){o[Ye+36>>2]=uk;ul(uk)}ul(Ye)}function Ge(o){o=o|0;return 5}function He(Ye){Ye=Ye|0;if(!(!o[Ye+60>>2]|!o[Ye+44>>2]|(!o[Ye+48>>2]|!o[Ye+52>>2]))){return o[Ye+56>>2]!=0|0}return 0}function Ie(Ye,vk){Ye=Ye|0;vk=vk|0;var wk=0;if(!(o[vk+56>>2]|!vk|p[vk+24|0]!=3)){o[Ye+60>>2]=vk;wk=1}return wk|0}function Je(Ye,vk){Ye=Ye|0;vk=vk|0;var xk=0,Hk=0,Yk=0,Zk=0,$k=0,al=0,bl=0,cl=0,dl=0,el=0,fl=0;cl=R-16|0;R=cl;Yk=o[vk+12>>2];xk=o[vk+20>>2];Zk=o[vk+16>>2];Hk=Zk+4|0;if(Hk>>>0<4){xk=xk+1|0}$k=Hk;Hk=xk;a:{if((Yk|0)<(xk|0)?1:(Yk|0)<=(xk|0)?r[vk+8>>2]>=$k>>>0?0:1:0){break a}xk=Zk+o[vk>>2]|0;xk=p[xk|0]|p[xk+1|0]<<8|(p[xk+2|0]<<16|p[xk+3|0]<<24);o[vk+16>>2]=$k;o[vk+20>>2]=Hk;if((xk|0)<0){break a}Ce(Ye+76|0,xk);$k=Mf(cl);b:{if(!Nf($k,vk)){break b}if((xk|0)>=1){Yk=1;while(1){Zk=1<<(bl&31);al=Pf($k);Hk=o[Ye+76>>2]+(bl>>>3&536870908)|0;Yk=Yk^al;al=o[Hk>>2]|Zk;c:{if(!(Yk&1)){break c}al=o[Hk>>2]&(Zk^-1)}Zk=al;Yk=Yk^1;o[Hk>>2]=Zk;bl=bl+1|0;if((xk|0)!=(bl|0)){continue}break}}Hk=o[vk+12>>2];bl=Hk;xk=o[vk+20>>2];Yk=xk;$k=o[vk+16>>2];Zk=$k+4|0;if(Zk>>>0<4){xk=xk+1|0}dl=o[vk+8>>2];al=Zk;Zk=xk;if((Hk|0)<(xk|0)?1:(Hk|0)<=(xk|0)?dl>>>0>=al>>>0?0:1:0){break b}el=o[vk>>2];xk=el+$k|0;Hk=p[xk|0]|p[xk+1|0]<<8|(p[xk+2|0]<<16|p[xk+3|0]<<24);o[vk+16>>2]=al;o[vk+20>>2]=Zk;xk=Yk;Yk=$k+8|0;if(Yk>>>0<8){xk=xk+1|0}Zk=Yk;Yk=xk;if((bl|0)<(xk|0)?1:(bl|0)<=(xk|0)?dl>>>0>=Zk>>>0?0:1:0){break b}xk=al+el|0;xk=p[xk|0]|p[xk+1|0]<<8|(p[xk+2|0]<<16|p[xk+3|0]<<24);o[vk+16>>2]=Zk;o[vk+20>>2]=Yk;if((Hk|0)>(xk|0)){break b}o[Ye+16>>2]=xk;o[Ye+12>>2]=Hk;vk=Hk;Hk=(xk>>31)-((xk>>>0<vk>>>0)+(vk>>31)|0)|0;vk=xk-vk|0;if(!Hk&vk>>>0>2147483646|Hk>>>0>0){break b}fl=1;vk=vk+1|0;o[Ye+20>>2]=vk;Hk=Ye+24|0;xk=(vk|0)/2|0;o[Hk>>2]=xk;o[Ye+28>>2]=0-xk;if(vk&1){break b}o[Hk>>2]=xk+ -1}}R=cl+16|0;return fl|0}function Ke(Ye,vk,gl,hl,il,jl){Ye=Ye|0;vk=vk|0;gl=gl|0;hl=hl|0;il=il|0;jl=jl|0;var kl=0,ll=0,ml=0,nl=0,ol=0,pl=0,ql=0,rl=0,sl=0,tl=0,ul=0,vl=0;hl=0;a:{if((il|0)!=2){break a}o[Ye+8>>2]=2;o[Ye- -64>>2]=jl;hl=Ye+32|0;il=o[hl>>2];jl=o[Ye+36>>2]-il|0;kl=jl>>2;b:{if(kl>>>0<=1){Da(hl,2-kl|0);break b}if((jl|0)==8){break b}o[Ye+36>>2]=il+8}hl=1;il=o[Ye+56>>2];jl=o[il+4>>2];il=o[il>>2];kl=jl-il|0;if((kl|0)<1){break a}if((il|0)!=(jl|0)){sl=Ye+60|0;tl=kl>>2;kl=Ye+8|0;ol=Ye+16|0;pl=Ye+32|0;ql=Ye+20|0;rl=Ye+12|0;ul=Ye+56|0;while(1){if(!Le(sl,o[(ml<<2)+il>>2],gl,ml)){hl=0;break a}c:{if(o[kl>>2]<1){break c}il=0;while(1){hl=il<<2;jl=o[(hl+Ye|0)+68>>2];ll=o[ol>>2];d:{if((jl|0)>(ll|0)){nl=o[pl>>2];o[hl+nl>>2]=ll;break d}nl=o[pl>>2];hl=hl+nl|0;ll=o[rl>>2];if((jl|0)<(ll|0)){o[hl>>2]=ll;break d}o[hl>>2]=jl}il=il+1|0;hl=o[kl>>2];if((il|0)<(hl|0)){continue}break}jl=0;if((hl|0)<1){break c}hl=ml<<3;ll=hl+gl|0;vl=vk+hl|0;while(1){il=jl<<2;hl=il+ll|0;il=o[il+vl>>2]+o[il+nl>>2]|0;o[hl>>2]=il;e:{if((il|0)>o[ol>>2]){il=il-o[ql>>2]|0}else{if((il|0)>=o[rl>>2]){break e}il=il+o[ql>>2]|0}o[hl>>2]=il}jl=jl+1|0;if((jl|0)<o[kl>>2]){continue}break}}hl=1;ml=ml+1|0;if((ml|0)>=(tl|0)){break a}hl=o[ul>>2];il=o[hl>>2];if(o[hl+4>>2]-il>>2>>>0>ml>>>0){continue}break}}Zk();D()}return hl|0}function Le(Ye,vk,gl,hl){var il=0,jl=0,wl=0,xl=0,yl=0,zl=0,Al=0,Bl=0,Cl=0,Dl=0,El=0,Fl=0,Gl=0,Hl=0,Il=0,Jl=0,Kl=0,Ll=0,Ml=0,Nl=0,Ol=0,Pl=0,Ql=0,Rl=0,Sl=0;wl=R-80|0;R=wl;jl=-1;il=-1;a:{if((vk|0)==-1){break a}il=vk+1|0;jl=(il>>>0)%3|0?il:vk+ -2|0;il=vk+ -1|0;if((vk>>>0)%3){break a}il=vk+2|0}xl=o[Ye+36>>2];vk=o[xl>>2];b:{c:{d:{e:{f:{xl=o[xl+4>>2]-vk>>2;yl=jl<<2;jl=o[o[Ye+32>>2]+28>>2];zl=o[yl+jl>>2];if(xl>>>0<=zl>>>0){break f}il=o[jl+(il<<2)>>2];if(xl>>>0<=il>>>0){break f}g:{h:{Cl=o[vk+(zl<<2)>>2];Fl=(Cl|0)>=(hl|0);if(Fl){break h}jl=o[vk+(il<<2)>>2];if((jl|0)>=(hl|0)){break h}vk=jl<<3;Kl=o[(vk|4)+gl>>2];il=Cl<<3;Dl=o[(il|4)+gl>>2];Hl=o[vk+gl>>2];Jl=o[gl+il>>2];if(!((Hl|0)!=(Jl|0)|(Dl|0)!=(Kl|0))){o[Ye+8>>2]=Jl;o[Ye+12>>2]=Dl;break g}vk=o[o[Ye+4>>2]+(hl<<2)>>2];o[wl+72>>2]=0;o[wl+76>>2]=0;il=wl- -64|0;o[il>>2]=0;o[il+4>>2]=0;o[wl+56>>2]=0;o[wl+60>>2]=0;il=o[Ye>>2];if(!p[il+84|0]){vk=o[o[il+68>>2]+(vk<<2)>>2]}Me(il,vk,m[il+24|0],wl+56|0);vk=o[o[Ye+4>>2]+(Cl<<2)>>2];o[wl+48>>2]=0;o[wl+52>>2]=0;o[wl+40>>2]=0;o[wl+44>>2]=0;o[wl+32>>2]=0;o[wl+36>>2]=0;il=o[Ye>>2];if(!p[il+84|0]){vk=o[o[il+68>>2]+(vk<<2)>>2]}Me(il,vk,m[il+24|0],wl+32|0);vk=o[o[Ye+4>>2]+(jl<<2)>>2];o[wl+24>>2]=0;o[wl+28>>2]=0;o[wl+16>>2]=0;o[wl+20>>2]=0;o[wl+8>>2]=0;o[wl+12>>2]=0;il=o[Ye>>2];if(!p[il+84|0]){vk=o[o[il+68>>2]+(vk<<2)>>2]}Me(il,vk,m[il+24|0],wl+8|0);Ll=o[wl+44>>2];vk=o[wl+16>>2];yl=o[wl+40>>2];il=yl;jl=o[wl+20>>2]-(Ll+(vk>>>0<il>>>0)|0)|0;Nl=vk-il|0;vk=Vl(Nl,jl,Nl,jl);il=T;Bl=vk;Ml=o[wl+36>>2];vk=o[wl+8>>2];Al=o[wl+32>>2];zl=Al;xl=o[wl+12>>2]-(Ml+(vk>>>0<zl>>>0)|0)|0;Ol=vk-zl|0;zl=Vl(Ol,xl,Ol,xl);vk=Bl+zl|0;il=T+il|0;il=vk>>>0<zl>>>0?il+1|0:il;Gl=vk;Ql=o[wl+52>>2];vk=o[wl+24>>2];Bl=o[wl+48>>2];zl=Bl;El=o[wl+28>>2]-(Ql+(vk>>>0<zl>>>0)|0)|0;Pl=vk-zl|0;zl=Vl(Pl,El,Pl,El);vk=Gl+zl|0;il=T+il|0;Il=vk;zl=vk>>>0<zl>>>0?il+1|0:il;if(!(vk|zl)){break h}hl=1;vk=0;il=o[wl+64>>2];gl=o[wl+68>>2]-((il>>>0<yl>>>0)+Ll|0)|0;il=il-yl|0;Cl=il;Fl=gl;gl=Vl(Nl,jl,il,gl);il=T;Gl=gl;yl=o[wl+56>>2];gl=yl-Al|0;Ll=o[wl+60>>2]-((yl>>>0<Al>>>0)+Ml|0)|0;Al=Vl(gl,Ll,Ol,xl);yl=Gl+Al|0;il=T+il|0;il=yl>>>0<Al>>>0?il+1|0:il;Gl=yl;yl=o[wl+72>>2];Al=yl-Bl|0;Ml=o[wl+76>>2]-((yl>>>0<Bl>>>0)+Ql|0)|0;Bl=Vl(Al,Ml,Pl,El);yl=Gl+Bl|0;il=T+il|0;il=yl>>>0<Bl>>>0?il+1|0:il;Bl=yl;yl=il;jl=Wl(Vl(Bl,il,Nl,jl),T,Il,zl);Fl=Fl-(T+(Cl>>>0<jl>>>0)|0)|0;jl=Cl-jl|0;jl=Vl(jl,Fl,jl,Fl);Cl=T;Gl=jl;il=Wl(Vl(Ol,xl,Bl,il),T,Il,zl);jl=Ll-(T+(gl>>>0<il>>>0)|0)|0;gl=gl-il|0;jl=Vl(gl,jl,gl,jl);gl=Gl+jl|0;il=T+Cl|0;il=gl>>>0<jl>>>0?il+1|0:il;xl=gl;gl=Wl(Vl(Bl,yl,Pl,El),T,Il,zl);jl=Ml-(T+(Al>>>0<gl>>>0)|0)|0;gl=Al-gl|0;jl=Vl(gl,jl,gl,jl);gl=xl+jl|0;il=T+il|0;jl=Vl(gl,gl>>>0<jl>>>0?il+1|0:il,Il,zl);gl=T;xl=gl;if(!gl&jl>>>0<=1|gl>>>0<0){break e}El=jl;gl=xl;while(1){il=vk<<1|hl>>>31;hl=hl<<1;vk=il;Al=!gl&El>>>0>7|gl>>>0>0;El=(gl&3)<<30|El>>>2;gl=gl>>>2;if(Al){continue}break}break d}il=Ye;if(Fl){if((hl|0)<=0){o[Ye+8>>2]=0;o[Ye+12>>2]=0;break g}vk=(hl<<1)+ -2|0}else{vk=Cl<<1}vk=(vk<<2)+gl|0;o[il+8>>2]=o[vk>>2];o[Ye+12>>2]=o[vk+4>>2]}gl=1;break b}Zk();D()}hl=jl;vk=xl;if(jl-1){break c}}while(1){gl=Xl(jl,xl,hl,vk)+hl|0;il=vk+T|0;il=gl>>>0<hl>>>0?il+1|0:il;hl=(il&1)<<31|gl>>>1;vk=il>>>1;gl=Vl(hl,vk,hl,vk);il=T;if((xl|0)==(il|0)&gl>>>0>jl>>>0|il>>>0>xl>>>0){continue}break}}il=o[Ye+20>>2];gl=0;if(!il){break b}xl=il+ -1|0;El=o[o[Ye+16>>2]+(xl>>>3&536870908)>>2];o[Ye+20>>2]=xl;gl=Kl;il=Dl;Al=gl-il|0;Dl=il>>31;Kl=(gl>>31)-(Dl+(gl>>>0<il>>>0)|0)|0;gl=Vl(Bl,yl,Al,Kl);jl=T;Dl=Vl(il,Dl,Il,zl);gl=Dl+gl|0;il=T+jl|0;il=gl>>>0<Dl>>>0?il+1|0:il;Gl=gl;gl=Hl;jl=Jl;Cl=gl-jl|0;Jl=jl>>31;Dl=(gl>>31)-(Jl+(gl>>>0<jl>>>0)|0)|0;gl=Vl(hl,vk,Cl,Dl);Hl=gl;gl=El>>>(xl&31)&1;Fl=gl?0-Hl|0:Hl;xl=Gl+Fl|0;El=il;il=T;il=El+(gl?0-(il+(0<Hl>>>0)|0)|0:il)|0;Rl=Ye,Sl=Wl(xl,xl>>>0<Fl>>>0?il+1|0:il,Il,zl),o[Rl+12>>2]=Sl;il=Vl(Bl,yl,Cl,Dl);xl=T;Hl=Ye;jl=Vl(jl,Jl,Il,zl);Ye=jl+il|0;il=T+xl|0;il=Ye>>>0<jl>>>0?il+1|0:il;yl=Ye;Ye=Vl(hl,vk,Al,Kl);hl=gl?Ye:0-Ye|0;vk=yl+hl|0;yl=il;il=T;Ye=yl+(gl?il:0-((0<Ye>>>0)+il|0)|0)|0;Rl=Hl,Sl=Wl(vk,vk>>>0<hl>>>0?Ye+1|0:Ye,Il,zl),o[Rl+8>>2]=Sl;gl=1}R=wl+80|0;return gl}function Me(Ye,vk,gl,hl){var Tl=0,Ul=0,Wl=0,Xl=0,Yl=v(0),Zl=0,_l=0;a:{b:{if(!hl){break b}Tl=o[Ye+28>>2]+ -1|0;if(Tl>>>0>10){break b}c:{d:{e:{switch(Tl-1|0){default:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;Xl=m[vk|0];o[Tl>>2]=Xl;o[Tl+4>>2]=Xl>>31;vk=vk+1|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 0:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;o[Tl>>2]=p[vk|0];o[Tl+4>>2]=0;vk=vk+1|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 1:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;Xl=n[vk>>1];o[Tl>>2]=Xl;o[Tl+4>>2]=Xl>>31;vk=vk+2|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 2:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;o[Tl>>2]=q[vk>>1];o[Tl+4>>2]=0;vk=vk+2|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 3:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;Xl=o[vk>>2];o[Tl>>2]=Xl;o[Tl+4>>2]=Xl>>31;vk=vk+4|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 4:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;o[Tl>>2]=o[vk>>2];o[Tl+4>>2]=0;vk=vk+4|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 5:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Xl=o[vk+4>>2];Tl=(Ul<<3)+hl|0;o[Tl>>2]=o[vk>>2];o[Tl+4>>2]=Xl;vk=vk+8|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 6:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Xl=o[vk+4>>2];Tl=(Ul<<3)+hl|0;o[Tl>>2]=o[vk>>2];o[Tl+4>>2]=Xl;vk=vk+8|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}break a;case 7:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24<1){break c}Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;Wl=Tl;Yl=s[vk>>2];f:{if(v(w(Yl))<v(0x8000000000000000)){Xl=v(w(Yl))>=v(1)?Yl>v(0)?~~v(y(v(A(v(Yl/v(4294967296)))),v(4294967296)))>>>0:~~v(B(v(v(Yl-v(~~Yl>>>0>>>0))/v(4294967296))))>>>0:0;_l=~~Yl>>>0;break f}Xl=-2147483648;_l=0}o[Wl>>2]=_l;o[Tl+4>>2]=Xl;vk=vk+4|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}break c;case 8:Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24<1){break d}Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;Wl=Tl;Zl=t[vk>>3];g:{if(w(Zl)<0x8000000000000000){Xl=w(Zl)>=1?Zl>0?~~y(A(Zl/4294967296),4294967295)>>>0:~~B((Zl- +(~~Zl>>>0>>>0))/4294967296)>>>0:0;_l=~~Zl>>>0;break g}Xl=-2147483648;_l=0}o[Wl>>2]=_l;o[Tl+4>>2]=Xl;vk=vk+8|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}break d;case 9:break e}}Tl=m[Ye+24|0];if(((Tl|0)>(gl|0)?gl:Tl)<<24>>24>=1){Wl=o[o[Ye>>2]>>2];Tl=o[Ye+48>>2]+Vl(o[Ye+40>>2],o[Ye+44>>2],vk,0)|0;vk=Wl+Tl|0;while(1){Tl=(Ul<<3)+hl|0;o[Tl>>2]=p[vk|0];o[Tl+4>>2]=0;vk=vk+1|0;Ul=Ul+1|0;Tl=m[Ye+24|0];if((Ul|0)<((Tl|0)>(gl|0)?gl:Tl)<<24>>24){continue}break}}if((Tl|0)>=(gl|0)){break b}xl((Tl<<3)+hl|0,0,gl-Tl<<3);break b}if((Tl|0)>=(gl|0)){break b}break a}if((Tl|0)>=(gl|0)){break b}xl((Tl<<3)+hl|0,0,gl-Tl<<3)}return}xl((Tl<<3)+hl|0,0,gl-Tl<<3)}function Ne(Ye){Ye=Ye|0;var vk=0;o[Ye>>2]=3272;o[Ye>>2]=2732;vk=o[Ye+32>>2];if(vk){o[Ye+36>>2]=vk;ul(vk)}return Ye|0}function Oe(Ye){Ye=Ye|0;var gl=0;o[Ye>>2]=3272;o[Ye>>2]=2732;gl=o[Ye+32>>2];if(gl){o[Ye+36>>2]=gl;ul(gl)}ul(Ye)}function Pe(o){o=o|0;return 6}function Qe(Ye){Ye=Ye|0;var hl=0;a:{if(!o[Ye- -64>>2]|!o[Ye+68>>2]|(!o[Ye+44>>2]|!o[Ye+48>>2])){break a}if(!o[Ye+52>>2]|!o[Ye+56>>2]){break a}hl=o[Ye+92>>2]!=-1}return hl|0}function Re(Ye,Vl){Ye=Ye|0;Vl=Vl|0;var $l=0;if(!(o[Vl+56>>2]|p[Vl+24|0]!=3)){o[Ye- -64>>2]=Vl;$l=1}return $l|0}function Se(Ye,Vl){Ye=Ye|0;Vl=Vl|0;var am=0,bm=0,cm=0,dm=0,em=0,fm=0,gm=0,hm=0,im=0,jm=0;bm=o[Vl+12>>2];cm=bm;am=o[Vl+20>>2];em=am;fm=o[Vl+16>>2];dm=fm+4|0;if(dm>>>0<4){am=am+1|0}hm=o[Vl+8>>2];gm=dm;dm=am;a:{if((bm|0)<(am|0)?1:(bm|0)<=(am|0)?hm>>>0>=gm>>>0?0:1:0){break a}im=o[Vl>>2];am=im+fm|0;bm=p[am|0]|p[am+1|0]<<8|(p[am+2|0]<<16|p[am+3|0]<<24);o[Vl+16>>2]=gm;o[Vl+20>>2]=dm;am=em;em=fm+8|0;if(em>>>0<8){am=am+1|0}dm=em;em=am;if((cm|0)<(am|0)?1:(cm|0)<=(am|0)?hm>>>0>=dm>>>0?0:1:0){break a}am=gm+im|0;am=p[am|0]|p[am+1|0]<<8|(p[am+2|0]<<16|p[am+3|0]<<24);o[Vl+16>>2]=dm;o[Vl+20>>2]=em;if((bm|0)>(am|0)){break a}o[Ye+16>>2]=am;o[Ye+12>>2]=bm;cm=bm;bm=(am>>31)-((bm>>31)+(am>>>0<bm>>>0)|0)|0;am=am-cm|0;if(!bm&am>>>0>2147483646|bm>>>0>0){break a}am=am+1|0;o[Ye+20>>2]=am;cm=Ye+24|0;bm=(am|0)/2|0;o[cm>>2]=bm;o[Ye+28>>2]=0-bm;if(!(am&1)){o[cm>>2]=bm+ -1}jm=Nf(Ye+108|0,Vl)}return jm|0}function Te(Ye,km,lm,mm,nm,om){Ye=Ye|0;km=km|0;lm=lm|0;mm=mm|0;nm=nm|0;om=om|0;var pm=0,qm=0,rm=0,sm=0,tm=0,um=0,vm=0,wm=0,xm=0,ym=0,zm=0,Am=0,Bm=0,Cm=0,Dm=0;qm=R-32|0;R=qm;o[Ye+68>>2]=om;mm=o[Ye+56>>2];nm=o[mm>>2];om=mm+4|0;pm=o[om>>2];o[qm+24>>2]=0;o[qm+16>>2]=0;o[qm+20>>2]=0;a:{nm=pm-nm|0;if((nm|0)<1){break a}mm=o[mm>>2];if((mm|0)!=o[om>>2]){Am=nm>>2;Bm=Ye+60|0;Cm=Ye+108|0;vm=Ye+8|0;wm=Ye+16|0;xm=Ye+32|0;ym=Ye+20|0;zm=Ye+12|0;Dm=Ye+56|0;while(1){Ue(Bm,o[(tm<<2)+mm>>2],qm+16|0);nm=o[qm+20>>2];pm=nm>>31;om=o[qm+16>>2];rm=om>>31;um=o[qm+24>>2];sm=um>>31;mm=0;sm=sm^sm+um;pm=sm+((pm^nm+pm)+(rm^om+rm)|0)|0;if(pm>>>0<sm>>>0){mm=1}b:{if(!(mm|pm)){o[qm+16>>2]=o[Ye+104>>2];break b}rm=o[Ye+104>>2];sm=rm>>31;nm=Wl(Vl(rm,sm,nm,nm>>31),T,pm,mm);o[qm+20>>2]=nm;mm=Wl(Vl(rm,sm,om,om>>31),T,pm,mm);o[qm+16>>2]=mm;om=mm;mm=mm>>31;mm=(rm-(om+mm^mm)|0)+((nm|0)<0?nm:0-nm|0)|0;if((um|0)>=0){o[qm+24>>2]=mm;break b}o[qm+24>>2]=0-mm}mm=Pf(Cm);om=o[qm+16>>2];c:{if(!mm){nm=o[qm+20>>2];break c}o[qm+24>>2]=0-o[qm+24>>2];nm=0-o[qm+20>>2]|0;o[qm+20>>2]=nm;om=0-om|0;o[qm+16>>2]=om}d:{if((om|0)>=0){mm=o[Ye+104>>2];om=mm+o[qm+24>>2]|0;mm=mm+nm|0;break d}e:{if((nm|0)<=-1){om=o[qm+24>>2];mm=om>>31;mm=mm^mm+om;break e}om=o[qm+24>>2];mm=om>>31;mm=o[Ye+100>>2]-(mm^mm+om)|0}if((om|0)<=-1){om=nm;nm=nm>>31;om=om+nm^nm;break d}om=nm;nm=nm>>31;om=o[Ye+100>>2]-(om+nm^nm)|0}nm=o[Ye+100>>2];f:{if(!(mm|om)){om=nm;mm=nm;break f}if(!((nm|0)!=(om|0)|mm)){mm=om;break f}if(!((mm|0)!=(nm|0)|om)){om=mm;break f}g:{if(mm){break g}pm=o[Ye+104>>2];if((pm|0)>=(om|0)){break g}om=(pm<<1)-om|0;mm=0;break f}h:{if((mm|0)!=(nm|0)){break h}pm=o[Ye+104>>2];if((pm|0)<=(om|0)){break h}om=(pm<<1)-om|0;break f}i:{if((nm|0)!=(om|0)){break i}nm=o[Ye+104>>2];if((nm|0)<=(mm|0)){break i}mm=(nm<<1)-mm|0;break f}if(om){break f}om=0;nm=o[Ye+104>>2];if((nm|0)>=(mm|0)){break f}mm=(nm<<1)-mm|0}o[qm+12>>2]=om;o[qm+8>>2]=mm;j:{if(o[vm>>2]<1){break j}om=0;while(1){pm=o[wm>>2];k:{if((mm|0)>(pm|0)){nm=o[xm>>2];o[nm+(om<<2)>>2]=pm;break k}nm=o[xm>>2];pm=nm+(om<<2)|0;rm=o[zm>>2];if((mm|0)<(rm|0)){o[pm>>2]=rm;break k}o[pm>>2]=mm}om=om+1|0;pm=o[vm>>2];if((om|0)<(pm|0)){mm=o[(qm+8|0)+(om<<2)>>2];continue}break}mm=0;if((pm|0)<1){break j}om=tm<<3;rm=om+lm|0;um=km+om|0;while(1){pm=mm<<2;om=pm+rm|0;pm=o[pm+um>>2]+o[nm+pm>>2]|0;o[om>>2]=pm;l:{if((pm|0)>o[wm>>2]){sm=pm-o[ym>>2]|0}else{if((pm|0)>=o[zm>>2]){break l}sm=pm+o[ym>>2]|0}o[om>>2]=sm}mm=mm+1|0;if((mm|0)<o[vm>>2]){continue}break}}tm=tm+1|0;if((tm|0)>=(Am|0)){break a}nm=o[Dm>>2];mm=o[nm>>2];if(o[nm+4>>2]-mm>>2>>>0>tm>>>0){continue}break}}Zk();D()}R=qm+32|0;return 1}function Ue(Ye,km,lm){Ye=Ye|0;km=km|0;lm=lm|0;var mm=0,nm=0,om=0,Em=0,Fm=0,Gm=0,Hm=0,Im=0,Jm=0,Km=0,Lm=0,Mm=0,Nm=0,Om=0,Pm=0,Qm=0,Rm=0,Sm=0,Tm=0,Um=0,Vm=0,Wm=0,Xm=0,Ym=0,Zm=0,_m=0;nm=R-96|0;R=nm;mm=o[Ye+16>>2];m[nm+92|0]=1;o[nm+88>>2]=km;o[nm+84>>2]=km;o[nm+80>>2]=mm;Em=o[Ye+20>>2];om=o[Em>>2];a:{b:{c:{d:{mm=o[o[mm+28>>2]+(km<<2)>>2];if(o[Em+4>>2]-om>>2>>>0>mm>>>0){mm=o[o[Ye+8>>2]+(o[om+(mm<<2)>>2]<<2)>>2];om=o[Ye+4>>2];if(!p[om+84|0]){mm=o[o[om+68>>2]+(mm<<2)>>2]}o[nm+72>>2]=0;o[nm+76>>2]=0;Em=nm- -64|0;o[Em>>2]=0;o[Em+4>>2]=0;o[nm+56>>2]=0;o[nm+60>>2]=0;Me(om,mm,m[om+24|0],nm+56|0);if((km|0)==-1){break a}mm=km+1|0;Em=(mm>>>0)%3|0?mm:km+ -2|0;Om=((km>>>0)%3|0?-1:2)+km|0;Vm=Ye+28|0;Fm=!o[Vm>>2];Wm=Ye+20|0;Xm=Ye+16|0;Ym=Ye+8|0;while(1){om=Em;mm=Om;e:{if(Fm){break e}mm=km+1|0;om=(mm>>>0)%3|0?mm:km+ -2|0;mm=km+ -1|0;if((km>>>0)%3){break e}mm=km+2|0}Fm=o[Wm>>2];km=o[Fm>>2];om=o[o[o[Xm>>2]+28>>2]+(om<<2)>>2];if(o[Fm+4>>2]-km>>2>>>0<=om>>>0){break d}om=o[o[Ym>>2]+(o[km+(om<<2)>>2]<<2)>>2];Fm=Ye+4|0;km=o[Fm>>2];if(!p[km+84|0]){om=o[o[km+68>>2]+(om<<2)>>2]}o[nm+48>>2]=0;o[nm+52>>2]=0;o[nm+40>>2]=0;o[nm+44>>2]=0;o[nm+32>>2]=0;o[nm+36>>2]=0;Me(km,om,m[km+24|0],nm+32|0);om=o[Wm>>2];km=o[om>>2];mm=o[o[o[Xm>>2]+28>>2]+(mm<<2)>>2];if(o[om+4>>2]-km>>2>>>0<=mm>>>0){break c}om=o[o[Ym>>2]+(o[km+(mm<<2)>>2]<<2)>>2];km=o[Fm>>2];if(!p[km+84|0]){om=o[o[km+68>>2]+(om<<2)>>2]}Fm=nm+24|0;mm=Fm;o[mm>>2]=0;o[mm+4>>2]=0;Im=nm+16|0;mm=Im;o[mm>>2]=0;o[mm+4>>2]=0;o[nm+8>>2]=0;o[nm+12>>2]=0;Me(km,om,m[km+24|0],nm+8|0);mm=o[nm+8>>2];km=o[nm+56>>2];Pm=mm-km|0;Qm=o[nm+60>>2];om=o[nm+12>>2]-(Qm+(mm>>>0<km>>>0)|0)|0;Rm=o[nm+40>>2];mm=o[nm+64>>2];Zm=Rm-mm|0;Sm=o[nm+68>>2];Rm=o[nm+44>>2]-(Sm+(Rm>>>0<mm>>>0)|0)|0;Tm=Vl(Pm,om,Zm,Rm);Um=Gm-Tm|0;Jm=Jm-(T+(Gm>>>0<Tm>>>0)|0)|0;Gm=o[Im>>2];Tm=Gm-mm|0;Im=o[Im+4>>2]-((Gm>>>0<mm>>>0)+Sm|0)|0;Gm=o[nm+32>>2];Sm=Gm-km|0;Qm=o[nm+36>>2]-((Gm>>>0<km>>>0)+Qm|0)|0;mm=Vl(Tm,Im,Sm,Qm);Gm=mm+Um|0;km=T+Jm|0;km=Gm>>>0<mm>>>0?km+1|0:km;Jm=km;mm=Hm;Lm=Pm;_m=om;Hm=o[nm+48>>2];km=o[nm+72>>2];om=Hm-km|0;Pm=o[nm+76>>2];Um=o[nm+52>>2]-(Pm+(Hm>>>0<km>>>0)|0)|0;Lm=Vl(Lm,_m,om,Um);Hm=mm+Lm|0;mm=T+Mm|0;mm=Hm>>>0<Lm>>>0?mm+1|0:mm;Mm=Hm;Hm=o[Fm>>2];Lm=Hm-km|0;km=o[Fm+4>>2]-((Hm>>>0<km>>>0)+Pm|0)|0;Fm=Vl(Lm,km,Sm,Qm);Hm=Mm-Fm|0;Mm=mm-(T+(Mm>>>0<Fm>>>0)|0)|0;mm=Vl(Tm,Im,om,Um);om=Km-mm|0;Nm=Nm-(T+(Km>>>0<mm>>>0)|0)|0;mm=Vl(Lm,km,Zm,Rm);Km=mm+om|0;km=T+Nm|0;km=Km>>>0<mm>>>0?km+1|0:km;Nm=km;We(nm+80|0);Im=o[Vm>>2];Fm=!Im;km=o[nm+88>>2];if((km|0)!=-1){continue}break}km=Mm;mm=km>>31;Ye=km>>31;km=Ye+km|0;Em=mm+Hm|0;if(Em>>>0<mm>>>0){km=km+1|0}mm=mm^Em;Fm=Ye^km;km=Nm;Ye=km>>31;km=km>>31;Em=Ye;Om=Nm+Ye|0;om=km+Km|0;if(om>>>0<km>>>0){Om=Om+1|0}Ye=km^om;om=Em^Om;f:{if((Jm|0)<-1?1:(Jm|0)<=-1?Gm>>>0>4294967295?0:1:0){km=Gm;Em=Ye+(mm-km|0)|0;km=om+(Fm-((mm>>>0<km>>>0)+Jm|0)|0)|0;mm=Em;Ye=mm>>>0<Ye>>>0?km+1|0:km;if(!Im){break f}break b}km=Fm+Jm|0;Em=mm;mm=Gm;Em=Em+mm|0;if(Em>>>0<mm>>>0){km=km+1|0}mm=Ye;Em=mm+Em|0;Ye=km+om|0;Ye=Em>>>0<mm>>>0?Ye+1|0:Ye;mm=Em;if(Im){break b}}if((mm|0)<536870913){break a}Ye=((Ye&536870911)<<3|mm>>>29)&7;km=0;Gm=Wl(Gm,Jm,Ye,km);Hm=Wl(Hm,Mm,Ye,km);Km=Wl(Km,Nm,Ye,km);break a}Zk();D()}Zk();D()}Zk();D()}if((Ye|0)<0?1:(Ye|0)<=0?mm>>>0>=536870913?0:1:0){break a}km=Ye>>>29;Ye=(Ye&536870911)<<3|mm>>>29;Gm=Wl(Gm,Jm,Ye,km);Hm=Wl(Hm,Mm,Ye,km);Km=Wl(Km,Nm,Ye,km)}o[lm+8>>2]=Gm;o[lm+4>>2]=Hm;o[lm>>2]=Km;R=nm+96|0}function Ve(Ye,Vl){Ye=Ye|0;Vl=Vl|0;if(Vl>>>0<=1){o[Ye+28>>2]=Vl;Ye=1}else{Ye=0}return Ye|0}function We(Ye){var Vl=0,km=0,lm=0;Vl=o[Ye+8>>2];lm=o[Ye>>2];a:{if(p[Ye+12|0]){b:{c:{d:{e:{if((Vl|0)==-1){break e}km=Vl+1|0;Vl=(km>>>0)%3|0?km:Vl+ -2|0;if((Vl|0)==-1|o[o[lm>>2]+(Vl>>>3&536870908)>>2]>>>(Vl&31)&1){break e}Vl=o[o[o[lm+64>>2]+12>>2]+(Vl<<2)>>2];if((Vl|0)!=-1){break d}}o[Ye+8>>2]=-1;break c}km=Vl+1|0;Vl=(km>>>0)%3|0?km:Vl+ -2|0;o[Ye+8>>2]=Vl;if((Vl|0)!=-1){break b}}Vl=-1;km=o[Ye+4>>2];f:{if((km|0)==-1){break f}km=km+((km>>>0)%3|0?-1:2)|0;if((km|0)==-1|o[o[lm>>2]+(km>>>3&536870908)>>2]>>>(km&31)&1){break f}lm=o[o[o[lm+64>>2]+12>>2]+(km<<2)>>2];if((lm|0)==-1){break f}if((lm>>>0)%3){Vl=lm+ -1|0;break f}Vl=lm+2|0}m[Ye+12|0]=0;o[Ye+8>>2]=Vl;return}if((Vl|0)!=o[Ye+4>>2]){break a}o[Ye+8>>2]=-1;return}km=-1;g:{if((Vl|0)==-1){break g}Vl=Vl+((Vl>>>0)%3|0?-1:2)|0;if((Vl|0)==-1|o[o[lm>>2]+(Vl>>>3&536870908)>>2]>>>(Vl&31)&1){break g}Vl=o[o[o[lm+64>>2]+12>>2]+(Vl<<2)>>2];if((Vl|0)==-1){break g}if((Vl>>>0)%3){km=Vl+ -1|0;break g}km=Vl+2|0}o[Ye+8>>2]=km}}function Xe(Ye,$m,an,bn){var cn=0,dn=0,en=0,fn=0,gn=0,hn=0,jn=0,kn=0;o[Ye>>2]=2732;o[Ye+4>>2]=$m;$m=o[an+8>>2];cn=o[an+12>>2];dn=o[an+16>>2];fn=o[an+20>>2];gn=o[an>>2];hn=o[an+4>>2];o[Ye+40>>2]=0;en=Ye+32|0;o[en>>2]=0;o[en+4>>2]=0;o[Ye+24>>2]=dn;o[Ye+28>>2]=fn;o[Ye+16>>2]=$m;o[Ye+20>>2]=cn;o[Ye+8>>2]=gn;o[Ye+12>>2]=hn;a:{$m=o[an+28>>2]-o[an+24>>2]|0;b:{if(!$m){break b}cn=$m>>2;if(cn>>>0>=1073741824){break a}$m=Hk($m);o[Ye+32>>2]=$m;dn=Ye+36|0;o[dn>>2]=$m;o[Ye+40>>2]=$m+(cn<<2);cn=o[an+24>>2];an=o[an+28>>2]-cn|0;if((an|0)<1){break b}jn=dn,kn=wl($m,cn,an)+an|0,o[jn>>2]=kn}o[Ye>>2]=4268;$m=o[bn+4>>2];o[Ye+44>>2]=o[bn>>2];o[Ye+48>>2]=$m;$m=o[bn+12>>2];o[Ye+52>>2]=o[bn+8>>2];o[Ye+56>>2]=$m;return}Yk();D()}function Ye(Ye,$m,an,bn,ln,mn){Ye=Ye|0;$m=$m|0;an=an|0;bn=bn|0;ln=ln|0;mn=mn|0;var nn=0,on=0,pn=0,qn=0,rn=0,sn=0,tn=0,un=0,vn=0,wn=0,xn=0,yn=0,zn=0,An=0,Bn=0,Cn=0;o[Ye+8>>2]=ln;mn=Ye+32|0;on=o[mn>>2];bn=o[Ye+36>>2]-on>>2;a:{if(bn>>>0<ln>>>0){Da(mn,ln-bn|0);break a}if(bn>>>0<=ln>>>0){break a}o[Ye+36>>2]=on+(ln<<2)}Cn=o[Ye+52>>2];zn=o[Ye+48>>2];bn=0;mn=(ln&1073741823)!=(ln|0)?-1:ln<<2;yn=xl(Hk(mn),0,mn);rn=Ye+8|0;mn=o[rn>>2];b:{if((mn|0)<1){break b}tn=Ye+16|0;on=Ye+32|0;un=Ye+12|0;while(1){mn=bn<<2;nn=o[mn+yn>>2];qn=o[tn>>2];c:{if((nn|0)>(qn|0)){sn=o[on>>2];o[mn+sn>>2]=qn;break c}sn=o[on>>2];mn=mn+sn|0;qn=o[un>>2];if((nn|0)<(qn|0)){o[mn>>2]=qn;break c}o[mn>>2]=nn}bn=bn+1|0;mn=o[rn>>2];if((bn|0)<(mn|0)){continue}break}if((mn|0)<1){break b}on=0;rn=Ye+16|0;nn=Ye+20|0;tn=Ye+8|0;un=Ye+12|0;while(1){mn=on<<2;bn=mn+an|0;mn=o[$m+mn>>2]+o[mn+sn>>2]|0;o[bn>>2]=mn;d:{if((mn|0)>o[rn>>2]){mn=mn-o[nn>>2]|0}else{if((mn|0)>=o[un>>2]){break d}mn=mn+o[nn>>2]|0}o[bn>>2]=mn}on=on+1|0;mn=o[tn>>2];if((on|0)<(mn|0)){continue}break}}bn=o[Ye+56>>2];An=o[bn>>2];bn=o[bn+4>>2]-An|0;if((bn|0)>=5){Bn=bn>>2;sn=Ye+16|0;rn=Ye+32|0;tn=Ye+8|0;un=Ye+20|0;qn=Ye+12|0;on=1;while(1){e:{f:{if(Bn>>>0>on>>>0){xn=u(ln,on);Ye=o[(on<<2)+An>>2];if((Ye|0)==-1){break f}Ye=o[o[zn+12>>2]+(Ye<<2)>>2];if((Ye|0)==-1){break f}bn=-1;pn=o[Cn>>2];nn=o[zn>>2];vn=o[pn+(o[nn+(Ye<<2)>>2]<<2)>>2];wn=Ye+1|0;wn=(wn>>>0)%3|0?wn:Ye+ -2|0;if((wn|0)!=-1){wn=o[nn+(wn<<2)>>2]}else{wn=-1}Ye=Ye+((Ye>>>0)%3|0?-1:2)|0;if((Ye|0)!=-1){bn=o[nn+(Ye<<2)>>2]}if((vn|0)>=(on|0)){break f}Ye=o[(wn<<2)+pn>>2];if((Ye|0)>=(on|0)){break f}bn=o[pn+(bn<<2)>>2];if((bn|0)>=(on|0)){break f}if((ln|0)>=1){nn=u(bn,ln);Ye=u(Ye,ln);pn=u(ln,vn);bn=0;while(1){o[(bn<<2)+yn>>2]=(o[(bn+nn<<2)+an>>2]+o[(Ye+bn<<2)+an>>2]|0)-o[(bn+pn<<2)+an>>2];bn=bn+1|0;if((ln|0)!=(bn|0)){continue}break}}if((mn|0)<1){break e}bn=0;while(1){Ye=bn<<2;mn=o[Ye+yn>>2];pn=o[sn>>2];g:{if((mn|0)>(pn|0)){nn=o[rn>>2];o[Ye+nn>>2]=pn;break g}nn=o[rn>>2];Ye=Ye+nn|0;pn=o[qn>>2];if((mn|0)<(pn|0)){o[Ye>>2]=pn;break g}o[Ye>>2]=mn}bn=bn+1|0;mn=o[tn>>2];if((bn|0)<(mn|0)){continue}break}bn=0;if((mn|0)<1){break e}Ye=xn<<2;xn=Ye+an|0;pn=Ye+$m|0;while(1){mn=bn<<2;Ye=mn+xn|0;mn=o[mn+pn>>2]+o[mn+nn>>2]|0;o[Ye>>2]=mn;h:{if((mn|0)>o[sn>>2]){mn=mn-o[un>>2]|0}else{if((mn|0)>=o[qn>>2]){break h}mn=mn+o[un>>2]|0}o[Ye>>2]=mn}bn=bn+1|0;mn=o[tn>>2];if((bn|0)<(mn|0)){continue}break}break e}Zk();D()}if((mn|0)<1){break e}pn=(u(on+ -1|0,ln)<<2)+an|0;bn=0;while(1){Ye=bn<<2;mn=o[Ye+pn>>2];vn=o[sn>>2];i:{if((mn|0)>(vn|0)){nn=o[rn>>2];o[Ye+nn>>2]=vn;break i}nn=o[rn>>2];Ye=Ye+nn|0;vn=o[qn>>2];if((mn|0)<(vn|0)){o[Ye>>2]=vn;break i}o[Ye>>2]=mn}bn=bn+1|0;mn=o[tn>>2];if((bn|0)<(mn|0)){continue}break}bn=0;if((mn|0)<1){break e}Ye=xn<<2;xn=Ye+an|0;pn=Ye+$m|0;while(1){mn=bn<<2;Ye=mn+xn|0;mn=o[mn+pn>>2]+o[mn+nn>>2]|0;o[Ye>>2]=mn;j:{if((mn|0)>o[sn>>2]){mn=mn-o[un>>2]|0}else{if((mn|0)>=o[qn>>2]){break j}mn=mn+o[un>>2]|0}o[Ye>>2]=mn}bn=bn+1|0;mn=o[tn>>2];if((bn|0)<(mn|0)){continue}break}}on=on+1|0;if((on|0)<(Bn|0)){continue}break}}ul(yn);return 1}function Ze(Ye){Ye=Ye|0;var $m=0;o[Ye>>2]=4324;$m=o[Ye+96>>2];if($m){ul($m)}$m=o[Ye+84>>2];if($m){ul($m)}$m=o[Ye+72>>2];if($m){ul($m)}$m=o[Ye+60>>2];if($m){ul($m)}o[Ye>>2]=2732;$m=o[Ye+32>>2];if($m){o[Ye+36>>2]=$m;ul($m)}return Ye|0}function _e(Ye){Ye=Ye|0;var an=0;o[Ye>>2]=4324;an=o[Ye+96>>2];if(an){ul(an)}an=o[Ye+84>>2];if(an){ul(an)}an=o[Ye+72>>2];if(an){ul(an)}an=o[Ye+60>>2];if(an){ul(an)}o[Ye>>2]=2732;an=o[Ye+32>>2];if(an){o[Ye+36>>2]=an;ul(an)}ul(Ye)}function $e(Ye,bn,ln,mn,Dn,En){Ye=Ye|0;bn=bn|0;ln=ln|0;mn=mn|0;Dn=Dn|0;En=En|0;var Fn=0,Gn=0,Hn=0,In=0,Jn=0,Kn=0,Ln=0,Mn=0,Nn=0,On=0,Pn=0,Qn=0,Rn=0,Sn=0,Tn=0,Un=0,Vn=0,Wn=0,Xn=0,Yn=0,Zn=0,_n=0,$n=0,ao=0,bo=0;Hn=R+ -64|0;R=Hn;o[Ye+8>>2]=Dn;En=Ye+32|0;In=o[En>>2];mn=o[Ye+36>>2]-In>>2;a:{if(mn>>>0<Dn>>>0){Da(En,Dn-mn|0);break a}if(mn>>>0<=Dn>>>0){break a}o[Ye+36>>2]=In+(Dn<<2)}o[Hn+56>>2]=0;o[Hn+60>>2]=0;o[Hn+48>>2]=0;o[Hn+52>>2]=0;o[Hn+40>>2]=0;o[Hn+44>>2]=0;mn=Hn+32|0;o[mn>>2]=0;o[mn+4>>2]=0;o[Hn+24>>2]=0;o[Hn+28>>2]=0;o[Hn+16>>2]=0;o[Hn+20>>2]=0;o[Hn>>2]=0;En=0;if(Dn){yd(Hn+16|0,Dn,Hn);Gn=o[Hn+28>>2];En=o[mn>>2]}o[Hn>>2]=0;mn=En-Gn>>2;b:{if(mn>>>0>=Dn>>>0){if(mn>>>0<=Dn>>>0){break b}o[Hn+32>>2]=(Dn<<2)+Gn;break b}yd(Hn+16|12,Dn-mn|0,Hn)}o[Hn>>2]=0;En=o[Hn+40>>2];mn=o[Hn+44>>2]-En>>2;c:{if(mn>>>0>=Dn>>>0){if(mn>>>0<=Dn>>>0){break c}o[Hn+44>>2]=En+(Dn<<2);break c}yd(Hn+40|0,Dn-mn|0,Hn)}o[Hn>>2]=0;En=o[Hn+52>>2];mn=o[Hn+56>>2]-En>>2;d:{if(mn>>>0>=Dn>>>0){if(mn>>>0<=Dn>>>0){break d}o[Hn+56>>2]=En+(Dn<<2);break d}yd(Hn+52|0,Dn-mn|0,Hn)}Kn=Ye+8|0;e:{if(o[Kn>>2]<=0){break e}Mn=o[Hn+16>>2];Gn=0;Jn=Ye+16|0;mn=Ye+32|0;Rn=Ye+12|0;while(1){En=Gn<<2;Fn=o[En+Mn>>2];Nn=o[Jn>>2];f:{if((Fn|0)>(Nn|0)){In=o[mn>>2];o[En+In>>2]=Nn;break f}In=o[mn>>2];En=En+In|0;Nn=o[Rn>>2];if((Fn|0)<(Nn|0)){o[En>>2]=Nn;break f}o[En>>2]=Fn}Gn=Gn+1|0;En=o[Kn>>2];if((Gn|0)<(En|0)){continue}break}if((En|0)<1){break e}En=0;Kn=Ye+16|0;Gn=Ye+20|0;Mn=Ye+8|0;Jn=Ye+12|0;while(1){Fn=En<<2;mn=Fn+ln|0;Fn=o[bn+Fn>>2]+o[Fn+In>>2]|0;o[mn>>2]=Fn;g:{if((Fn|0)>o[Kn>>2]){Fn=Fn-o[Gn>>2]|0}else{if((Fn|0)>=o[Jn>>2]){break g}Fn=Fn+o[Gn>>2]|0}o[mn>>2]=Fn}En=En+1|0;if((En|0)<o[Mn>>2]){continue}break}}ao=o[Ye+52>>2];Zn=o[Ye+48>>2];Yn=Hk(16);mn=Yn;o[mn>>2]=0;o[mn+4>>2]=0;o[mn+8>>2]=0;o[mn+12>>2]=0;o[Hn+8>>2]=0;o[Hn>>2]=0;o[Hn+4>>2]=0;h:{if(Dn){if(Dn>>>0>=1073741824){break h}mn=Dn<<2;Sn=Hk(mn);o[Hn>>2]=Sn;En=mn+Sn|0;o[Hn+8>>2]=En;xl(Sn,0,mn);o[Hn+4>>2]=En}In=1;mn=o[Ye+56>>2];_n=o[mn>>2];mn=o[mn+4>>2]-_n|0;i:{if((mn|0)<5){break i}$n=mn>>2;bo=Dn<<2;Mn=Ye+8|0;Rn=Ye+16|0;Nn=Ye+32|0;Vn=Ye+20|0;Wn=Ye+12|0;Kn=1;while(1){j:{k:{l:{if($n>>>0>Kn>>>0){m:{n:{In=o[(Kn<<2)+_n>>2];if((In|0)==-1){break n}Ln=o[Zn+12>>2];Un=In+((In>>>0)%3|0?-1:2)|0;Xn=Ln+(Un<<2)|0;Jn=1;En=0;mn=In;o:{while(1){Fn=o[Ln+(mn<<2)>>2];p:{if((Fn|0)==-1){break p}Gn=-1;Qn=o[ao>>2];On=o[Zn>>2];Tn=o[Qn+(o[On+(Fn<<2)>>2]<<2)>>2];Pn=Fn+1|0;Pn=(Pn>>>0)%3|0?Pn:Fn+ -2|0;if((Pn|0)!=-1){Pn=o[On+(Pn<<2)>>2]}else{Pn=-1}Fn=Fn+((Fn>>>0)%3|0?-1:2)|0;if((Fn|0)!=-1){Gn=o[On+(Fn<<2)>>2]}if((Tn|0)>=(Kn|0)){break p}Fn=o[(Pn<<2)+Qn>>2];if((Fn|0)>=(Kn|0)){break p}Gn=o[Qn+(Gn<<2)>>2];if((Gn|0)>=(Kn|0)){break p}On=o[(Hn+16|0)+u(En,12)>>2];if((Dn|0)>=1){Qn=u(Dn,Gn);Fn=u(Dn,Fn);Tn=u(Dn,Tn);Gn=0;while(1){o[On+(Gn<<2)>>2]=(o[(Gn+Qn<<2)+ln>>2]+o[(Fn+Gn<<2)+ln>>2]|0)-o[(Gn+Tn<<2)+ln>>2];Gn=Gn+1|0;if((Gn|0)!=(Dn|0)){continue}break}}Fn=4;En=En+1|0;if((En|0)==4){break o}}q:{if(Jn&1){On=mn+1|0;mn=(On>>>0)%3|0?On:mn+ -2|0;Fn=-1;if((mn|0)==-1){break q}mn=o[Ln+(mn<<2)>>2];Fn=-1;if((mn|0)==-1){break q}Fn=mn+1|0;Fn=(Fn>>>0)%3|0?Fn:mn+ -2|0;break q}mn=((mn>>>0)%3|0?-1:2)+mn|0;Fn=-1;if((mn|0)==-1){break q}mn=o[Ln+(mn<<2)>>2];Fn=-1;if((mn|0)==-1){break q}Fn=mn+ -1|0;if((mn>>>0)%3){break q}Fn=mn+2|0}r:{if((Fn|0)==(In|0)){break r}mn=Fn;Fn=(Fn|0)!=-1;Gn=(Fn|Jn^-1)&1;mn=Gn?mn:-1;Jn=Fn&Jn;if(!((Un|0)==-1|Gn)){Fn=o[Xn>>2];if((Fn|0)==-1){break r}Jn=0;if((Fn>>>0)%3){mn=Fn+ -1|0}else{mn=Fn+2|0}}if((mn|0)!=-1){continue}}break}Fn=En;if((Fn|0)<1){break n}}Ln=(Dn|0)<1;if(!Ln){xl(Sn,0,bo)}mn=Fn+ -1|0;Jn=(mn<<2)+Yn|0;mn=u(mn,12)+Ye|0;On=mn+60|0;Qn=o[mn- -64>>2];In=0;Tn=o[Hn>>2];mn=0;En=0;while(1){Gn=o[Jn>>2];o[Jn>>2]=Gn+1;if(Qn>>>0<=Gn>>>0){break i}s:{if(o[o[On>>2]+(Gn>>>3&536870908)>>2]>>>(Gn&31)&1){break s}En=En+1|0;if(Ln){break s}Pn=o[(Hn+16|0)+u(mn,12)>>2];Gn=0;while(1){Un=Gn<<2;Xn=Un+Tn|0;o[Xn>>2]=o[Xn>>2]+o[Pn+Un>>2];Gn=Gn+1|0;if((Gn|0)!=(Dn|0)){continue}break}}mn=mn+1|0;if((Fn|0)!=(mn|0)){continue}break}Fn=u(Dn,Kn);mn=Fn;if(!En){break m}Gn=0;if((Dn|0)>0){break l}break k}mn=u(Dn,Kn)}if(o[Mn>>2]<1){break j}Jn=(u(Kn+ -1|0,Dn)<<2)+ln|0;Gn=0;while(1){En=Gn<<2;Fn=o[En+Jn>>2];Ln=o[Rn>>2];t:{if((Fn|0)>(Ln|0)){In=o[Nn>>2];o[En+In>>2]=Ln;break t}In=o[Nn>>2];En=En+In|0;Ln=o[Wn>>2];if((Fn|0)<(Ln|0)){o[En>>2]=Ln;break t}o[En>>2]=Fn}Gn=Gn+1|0;Fn=o[Mn>>2];if((Gn|0)<(Fn|0)){continue}break}En=0;if((Fn|0)<1){break j}mn=mn<<2;Gn=mn+ln|0;Jn=bn+mn|0;while(1){Fn=En<<2;mn=Fn+Gn|0;Fn=o[Fn+Jn>>2]+o[Fn+In>>2]|0;o[mn>>2]=Fn;u:{if((Fn|0)>o[Rn>>2]){Fn=Fn-o[Vn>>2]|0}else{if((Fn|0)>=o[Wn>>2]){break u}Fn=Fn+o[Vn>>2]|0}o[mn>>2]=Fn}En=En+1|0;if((En|0)<o[Mn>>2]){continue}break}break j}Zk();D()}while(1){mn=(Gn<<2)+Sn|0;o[mn>>2]=o[mn>>2]/(En|0);Gn=Gn+1|0;if((Gn|0)!=(Dn|0)){continue}break}}if(o[Mn>>2]<1){break j}Gn=0;while(1){mn=Gn<<2;En=o[mn+Sn>>2];Jn=o[Rn>>2];v:{if((En|0)>(Jn|0)){In=o[Nn>>2];o[mn+In>>2]=Jn;break v}In=o[Nn>>2];mn=mn+In|0;Jn=o[Wn>>2];if((En|0)<(Jn|0)){o[mn>>2]=Jn;break v}o[mn>>2]=En}Gn=Gn+1|0;mn=o[Mn>>2];if((Gn|0)<(mn|0)){continue}break}En=0;if((mn|0)<1){break j}mn=Fn<<2;Gn=mn+ln|0;Jn=bn+mn|0;while(1){Fn=En<<2;mn=Fn+Gn|0;Fn=o[Fn+Jn>>2]+o[Fn+In>>2]|0;o[mn>>2]=Fn;w:{if((Fn|0)>o[Rn>>2]){Fn=Fn-o[Vn>>2]|0}else{if((Fn|0)>=o[Wn>>2]){break w}Fn=Fn+o[Vn>>2]|0}o[mn>>2]=Fn}En=En+1|0;if((En|0)<o[Mn>>2]){continue}break}}In=1;Kn=Kn+1|0;if((Kn|0)<($n|0)){continue}break}}Ye=o[Hn>>2];if(Ye){o[Hn+4>>2]=Ye;ul(Ye)}ul(Yn);Ye=o[Hn+52>>2];if(Ye){o[Hn+56>>2]=Ye;ul(Ye)}Ye=o[Hn+40>>2];if(Ye){o[Hn+44>>2]=Ye;ul(Ye)}Ye=o[Hn+28>>2];if(Ye){o[Hn+32>>2]=Ye;ul(Ye)}Ye=o[Hn+16>>2];if(Ye){o[Hn+20>>2]=Ye;ul(Ye)}R=Hn- -64|0;return In|0}Yk();D()}function af(Ye){Ye=Ye|0;var bn=0;o[Ye>>2]=4560;bn=o[Ye+76>>2];if(bn){ul(bn)}o[Ye>>2]=2732;bn=o[Ye+32>>2];if(bn){o[Ye+36>>2]=bn;ul(bn)}return Ye|0}function bf(Ye){Ye=Ye|0;var ln=0;o[Ye>>2]=4560;ln=o[Ye+76>>2];if(ln){ul(ln)}o[Ye>>2]=2732;ln=o[Ye+32>>2];if(ln){o[Ye+36>>2]=ln;ul(ln)}ul(Ye)}function cf(Ye,mn,Dn,En,co,eo){Ye=Ye|0;mn=mn|0;Dn=Dn|0;En=En|0;co=co|0;eo=eo|0;var fo=0,go=0,ho=0,io=0,jo=0,ko=0,lo=0,mo=0,no=0,oo=0,po=0,qo=0;En=0;a:{if((co|0)!=2){break a}o[Ye+8>>2]=2;o[Ye- -64>>2]=eo;En=Ye+32|0;co=o[En>>2];eo=o[Ye+36>>2]-co|0;fo=eo>>2;b:{if(fo>>>0<=1){Da(En,2-fo|0);break b}if((eo|0)==8){break b}o[Ye+36>>2]=co+8}En=1;co=o[Ye+56>>2];eo=o[co+4>>2];co=o[co>>2];fo=eo-co|0;if((fo|0)<1){break a}if((co|0)!=(eo|0)){no=Ye+60|0;oo=fo>>2;fo=Ye+8|0;jo=Ye+16|0;ko=Ye+32|0;lo=Ye+20|0;mo=Ye+12|0;po=Ye+56|0;while(1){if(!df(no,o[(ho<<2)+co>>2],Dn,ho)){En=0;break a}c:{if(o[fo>>2]<1){break c}co=0;while(1){En=co<<2;eo=o[(En+Ye|0)+68>>2];go=o[jo>>2];d:{if((eo|0)>(go|0)){io=o[ko>>2];o[En+io>>2]=go;break d}io=o[ko>>2];En=En+io|0;go=o[mo>>2];if((eo|0)<(go|0)){o[En>>2]=go;break d}o[En>>2]=eo}co=co+1|0;En=o[fo>>2];if((co|0)<(En|0)){continue}break}eo=0;if((En|0)<1){break c}En=ho<<3;go=En+Dn|0;qo=mn+En|0;while(1){co=eo<<2;En=co+go|0;co=o[co+qo>>2]+o[co+io>>2]|0;o[En>>2]=co;e:{if((co|0)>o[jo>>2]){co=co-o[lo>>2]|0}else{if((co|0)>=o[mo>>2]){break e}co=co+o[lo>>2]|0}o[En>>2]=co}eo=eo+1|0;if((eo|0)<o[fo>>2]){continue}break}}En=1;ho=ho+1|0;if((ho|0)>=(oo|0)){break a}En=o[po>>2];co=o[En>>2];if(o[En+4>>2]-co>>2>>>0>ho>>>0){continue}break}}Zk();D()}return En|0}function df(Ye,mn,Dn,En){var co=0,eo=0,ro=0,so=0,to=0,uo=0,vo=0,wo=0,xo=0,yo=0,zo=0,Ao=0,Bo=0,Co=0,Do=0,Eo=0,Fo=0,Go=0,Ho=0,Io=0,Jo=0,Ko=0,Lo=0,Mo=0,No=0;ro=R-80|0;R=ro;co=-1;eo=-1;a:{if((mn|0)==-1){break a}so=((mn>>>0)%3|0?-1:2)+mn|0;to=o[Ye+32>>2];vo=mn+1|0;mn=(vo>>>0)%3|0?vo:mn+ -2|0;if((mn|0)!=-1){co=o[o[to>>2]+(mn<<2)>>2]}if((so|0)==-1){break a}eo=o[o[to>>2]+(so<<2)>>2]}so=o[Ye+36>>2];mn=o[so>>2];b:{c:{d:{e:{so=o[so+4>>2]-mn>>2;if(!(so>>>0<=co>>>0|so>>>0<=eo>>>0)){f:{g:{yo=o[mn+(co<<2)>>2];Ao=(yo|0)>=(En|0);if(Ao){break g}eo=o[mn+(eo<<2)>>2];if((eo|0)>=(En|0)){break g}mn=eo<<3;Fo=o[(mn|4)+Dn>>2];co=yo<<3;vo=o[(co|4)+Dn>>2];Co=o[mn+Dn>>2];Eo=o[Dn+co>>2];if(!((Co|0)!=(Eo|0)|(vo|0)!=(Fo|0))){o[Ye+8>>2]=Eo;o[Ye+12>>2]=vo;break f}mn=o[o[Ye+4>>2]+(En<<2)>>2];o[ro+72>>2]=0;o[ro+76>>2]=0;co=ro- -64|0;o[co>>2]=0;o[co+4>>2]=0;o[ro+56>>2]=0;o[ro+60>>2]=0;co=o[Ye>>2];if(!p[co+84|0]){mn=o[o[co+68>>2]+(mn<<2)>>2]}Me(co,mn,m[co+24|0],ro+56|0);mn=o[o[Ye+4>>2]+(yo<<2)>>2];o[ro+48>>2]=0;o[ro+52>>2]=0;o[ro+40>>2]=0;o[ro+44>>2]=0;o[ro+32>>2]=0;o[ro+36>>2]=0;co=o[Ye>>2];if(!p[co+84|0]){mn=o[o[co+68>>2]+(mn<<2)>>2]}Me(co,mn,m[co+24|0],ro+32|0);mn=o[o[Ye+4>>2]+(eo<<2)>>2];o[ro+24>>2]=0;o[ro+28>>2]=0;o[ro+16>>2]=0;o[ro+20>>2]=0;o[ro+8>>2]=0;o[ro+12>>2]=0;co=o[Ye>>2];if(!p[co+84|0]){mn=o[o[co+68>>2]+(mn<<2)>>2]}Me(co,mn,m[co+24|0],ro+8|0);Go=o[ro+44>>2];mn=o[ro+16>>2];uo=o[ro+40>>2];co=uo;eo=o[ro+20>>2]-(Go+(mn>>>0<co>>>0)|0)|0;Io=mn-co|0;mn=Vl(Io,eo,Io,eo);co=T;xo=mn;Ho=o[ro+36>>2];mn=o[ro+8>>2];wo=o[ro+32>>2];to=wo;so=o[ro+12>>2]-(Ho+(mn>>>0<to>>>0)|0)|0;Jo=mn-to|0;to=Vl(Jo,so,Jo,so);mn=xo+to|0;co=T+co|0;co=mn>>>0<to>>>0?co+1|0:co;Bo=mn;Lo=o[ro+52>>2];mn=o[ro+24>>2];xo=o[ro+48>>2];to=xo;zo=o[ro+28>>2]-(Lo+(mn>>>0<to>>>0)|0)|0;Ko=mn-to|0;to=Vl(Ko,zo,Ko,zo);mn=Bo+to|0;co=T+co|0;Do=mn;to=mn>>>0<to>>>0?co+1|0:co;if(!(mn|to)){break g}En=1;mn=0;co=o[ro+64>>2];Dn=o[ro+68>>2]-((co>>>0<uo>>>0)+Go|0)|0;co=co-uo|0;yo=co;Ao=Dn;Dn=Vl(Io,eo,co,Dn);co=T;Bo=Dn;uo=o[ro+56>>2];Dn=uo-wo|0;Go=o[ro+60>>2]-((uo>>>0<wo>>>0)+Ho|0)|0;wo=Vl(Dn,Go,Jo,so);uo=Bo+wo|0;co=T+co|0;co=uo>>>0<wo>>>0?co+1|0:co;Bo=uo;uo=o[ro+72>>2];wo=uo-xo|0;Ho=o[ro+76>>2]-((uo>>>0<xo>>>0)+Lo|0)|0;xo=Vl(wo,Ho,Ko,zo);uo=Bo+xo|0;co=T+co|0;co=uo>>>0<xo>>>0?co+1|0:co;xo=uo;uo=co;eo=Wl(Vl(xo,co,Io,eo),T,Do,to);Ao=Ao-(T+(yo>>>0<eo>>>0)|0)|0;eo=yo-eo|0;eo=Vl(eo,Ao,eo,Ao);yo=T;Bo=eo;co=Wl(Vl(Jo,so,xo,co),T,Do,to);eo=Go-(T+(Dn>>>0<co>>>0)|0)|0;Dn=Dn-co|0;eo=Vl(Dn,eo,Dn,eo);Dn=Bo+eo|0;co=T+yo|0;co=Dn>>>0<eo>>>0?co+1|0:co;so=Dn;Dn=Wl(Vl(xo,uo,Ko,zo),T,Do,to);eo=Ho-(T+(wo>>>0<Dn>>>0)|0)|0;Dn=wo-Dn|0;eo=Vl(Dn,eo,Dn,eo);Dn=so+eo|0;co=T+co|0;eo=Vl(Dn,Dn>>>0<eo>>>0?co+1|0:co,Do,to);Dn=T;so=Dn;if(!Dn&eo>>>0<=1|Dn>>>0<0){break e}zo=eo;Dn=so;while(1){co=mn<<1|En>>>31;En=En<<1;mn=co;wo=!Dn&zo>>>0>7|Dn>>>0>0;zo=(Dn&3)<<30|zo>>>2;Dn=Dn>>>2;if(wo){continue}break}break d}co=Ye;if(Ao){if((En|0)<=0){o[Ye+8>>2]=0;o[Ye+12>>2]=0;break f}mn=(En<<1)+ -2|0}else{mn=yo<<1}mn=(mn<<2)+Dn|0;o[co+8>>2]=o[mn>>2];o[Ye+12>>2]=o[mn+4>>2]}Dn=1;break b}Zk();D()}En=eo;mn=so;if(eo-1){break c}}while(1){Dn=Xl(eo,so,En,mn)+En|0;co=mn+T|0;co=Dn>>>0<En>>>0?co+1|0:co;En=(co&1)<<31|Dn>>>1;mn=co>>>1;Dn=Vl(En,mn,En,mn);co=T;if((so|0)==(co|0)&Dn>>>0>eo>>>0|co>>>0>so>>>0){continue}break}}co=o[Ye+20>>2];Dn=0;if(!co){break b}so=co+ -1|0;zo=o[o[Ye+16>>2]+(so>>>3&536870908)>>2];o[Ye+20>>2]=so;Dn=Fo;co=vo;wo=Dn-co|0;vo=co>>31;Fo=(Dn>>31)-(vo+(Dn>>>0<co>>>0)|0)|0;Dn=Vl(xo,uo,wo,Fo);eo=T;vo=Vl(co,vo,Do,to);Dn=vo+Dn|0;co=T+eo|0;co=Dn>>>0<vo>>>0?co+1|0:co;Bo=Dn;Dn=Co;eo=Eo;yo=Dn-eo|0;Eo=eo>>31;vo=(Dn>>31)-(Eo+(Dn>>>0<eo>>>0)|0)|0;Dn=Vl(En,mn,yo,vo);Co=Dn;Dn=zo>>>(so&31)&1;Ao=Dn?0-Co|0:Co;so=Bo+Ao|0;zo=co;co=T;co=zo+(Dn?0-(co+(0<Co>>>0)|0)|0:co)|0;Mo=Ye,No=Wl(so,so>>>0<Ao>>>0?co+1|0:co,Do,to),o[Mo+12>>2]=No;co=Vl(xo,uo,yo,vo);so=T;Co=Ye;eo=Vl(eo,Eo,Do,to);Ye=eo+co|0;co=T+so|0;co=Ye>>>0<eo>>>0?co+1|0:co;uo=Ye;Ye=Vl(En,mn,wo,Fo);En=Dn?Ye:0-Ye|0;mn=uo+En|0;uo=co;co=T;Ye=uo+(Dn?co:0-((0<Ye>>>0)+co|0)|0)|0;Mo=Co,No=Wl(mn,mn>>>0<En>>>0?Ye+1|0:Ye,Do,to),o[Mo+8>>2]=No;Dn=1}R=ro+80|0;return Dn}function ef(Ye){Ye=Ye|0;var mn=0;o[Ye>>2]=4784;o[Ye>>2]=2732;mn=o[Ye+32>>2];if(mn){o[Ye+36>>2]=mn;ul(mn)}return Ye|0}function ff(Ye){Ye=Ye|0;var Dn=0;o[Ye>>2]=4784;o[Ye>>2]=2732;Dn=o[Ye+32>>2];if(Dn){o[Ye+36>>2]=Dn;ul(Dn)}ul(Ye)}function gf(Ye,En,Oo,Po,Qo,Ro){Ye=Ye|0;En=En|0;Oo=Oo|0;Po=Po|0;Qo=Qo|0;Ro=Ro|0;var So=0,To=0,Uo=0,Vo=0,Wo=0,Xo=0,Yo=0,Zo=0,_o=0,$o=0,ap=0,bp=0,cp=0,dp=0,ep=0;To=R-32|0;R=To;o[Ye+68>>2]=Ro;Po=o[Ye+56>>2];Qo=o[Po>>2];Ro=Po+4|0;So=o[Ro>>2];o[To+24>>2]=0;o[To+16>>2]=0;o[To+20>>2]=0;a:{Qo=So-Qo|0;if((Qo|0)<1){break a}Po=o[Po>>2];if((Po|0)!=o[Ro>>2]){bp=Qo>>2;cp=Ye+60|0;dp=Ye+108|0;Yo=Ye+8|0;Zo=Ye+16|0;_o=Ye+32|0;$o=Ye+20|0;ap=Ye+12|0;ep=Ye+56|0;while(1){hf(cp,o[(Wo<<2)+Po>>2],To+16|0);Qo=o[To+20>>2];So=Qo>>31;Ro=o[To+16>>2];Uo=Ro>>31;Xo=o[To+24>>2];Vo=Xo>>31;Po=0;Vo=Vo^Vo+Xo;So=Vo+((So^Qo+So)+(Uo^Ro+Uo)|0)|0;if(So>>>0<Vo>>>0){Po=1}b:{if(!(Po|So)){o[To+16>>2]=o[Ye+104>>2];break b}Uo=o[Ye+104>>2];Vo=Uo>>31;Qo=Wl(Vl(Uo,Vo,Qo,Qo>>31),T,So,Po);o[To+20>>2]=Qo;Po=Wl(Vl(Uo,Vo,Ro,Ro>>31),T,So,Po);o[To+16>>2]=Po;Ro=Po;Po=Po>>31;Po=(Uo-(Ro+Po^Po)|0)+((Qo|0)<0?Qo:0-Qo|0)|0;if((Xo|0)>=0){o[To+24>>2]=Po;break b}o[To+24>>2]=0-Po}Po=Pf(dp);Ro=o[To+16>>2];c:{if(!Po){Qo=o[To+20>>2];break c}o[To+24>>2]=0-o[To+24>>2];Qo=0-o[To+20>>2]|0;o[To+20>>2]=Qo;Ro=0-Ro|0;o[To+16>>2]=Ro}d:{if((Ro|0)>=0){Po=o[Ye+104>>2];Ro=Po+o[To+24>>2]|0;Po=Po+Qo|0;break d}e:{if((Qo|0)<=-1){Ro=o[To+24>>2];Po=Ro>>31;Po=Po^Po+Ro;break e}Ro=o[To+24>>2];Po=Ro>>31;Po=o[Ye+100>>2]-(Po^Po+Ro)|0}if((Ro|0)<=-1){Ro=Qo;Qo=Qo>>31;Ro=Ro+Qo^Qo;break d}Ro=Qo;Qo=Qo>>31;Ro=o[Ye+100>>2]-(Ro+Qo^Qo)|0}Qo=o[Ye+100>>2];f:{if(!(Po|Ro)){Ro=Qo;Po=Qo;break f}if(!((Qo|0)!=(Ro|0)|Po)){Po=Ro;break f}if(!((Po|0)!=(Qo|0)|Ro)){Ro=Po;break f}g:{if(Po){break g}So=o[Ye+104>>2];if((So|0)>=(Ro|0)){break g}Ro=(So<<1)-Ro|0;Po=0;break f}h:{if((Po|0)!=(Qo|0)){break h}So=o[Ye+104>>2];if((So|0)<=(Ro|0)){break h}Ro=(So<<1)-Ro|0;break f}i:{if((Qo|0)!=(Ro|0)){break i}Qo=o[Ye+104>>2];if((Qo|0)<=(Po|0)){break i}Po=(Qo<<1)-Po|0;break f}if(Ro){break f}Ro=0;Qo=o[Ye+104>>2];if((Qo|0)>=(Po|0)){break f}Po=(Qo<<1)-Po|0}o[To+12>>2]=Ro;o[To+8>>2]=Po;j:{if(o[Yo>>2]<1){break j}Ro=0;while(1){So=o[Zo>>2];k:{if((Po|0)>(So|0)){Qo=o[_o>>2];o[Qo+(Ro<<2)>>2]=So;break k}Qo=o[_o>>2];So=Qo+(Ro<<2)|0;Uo=o[ap>>2];if((Po|0)<(Uo|0)){o[So>>2]=Uo;break k}o[So>>2]=Po}Ro=Ro+1|0;So=o[Yo>>2];if((Ro|0)<(So|0)){Po=o[(To+8|0)+(Ro<<2)>>2];continue}break}Po=0;if((So|0)<1){break j}Ro=Wo<<3;Uo=Ro+Oo|0;Xo=En+Ro|0;while(1){So=Po<<2;Ro=So+Uo|0;So=o[So+Xo>>2]+o[Qo+So>>2]|0;o[Ro>>2]=So;l:{if((So|0)>o[Zo>>2]){Vo=So-o[$o>>2]|0}else{if((So|0)>=o[ap>>2]){break l}Vo=So+o[$o>>2]|0}o[Ro>>2]=Vo}Po=Po+1|0;if((Po|0)<o[Yo>>2]){continue}break}}Wo=Wo+1|0;if((Wo|0)>=(bp|0)){break a}Qo=o[ep>>2];Po=o[Qo>>2];if(o[Qo+4>>2]-Po>>2>>>0>Wo>>>0){continue}break}}Zk();D()}R=To+32|0;return 1}function hf(Ye,En,Oo){Ye=Ye|0;En=En|0;Oo=Oo|0;var Po=0,Qo=0,Ro=0,fp=0,gp=0,hp=0,ip=0,jp=0,kp=0,lp=0,mp=0,np=0,op=0,pp=0,qp=0,rp=0,sp=0,tp=0,up=0,vp=0,wp=0,xp=0,yp=0,zp=0,Ap=0,Bp=0;Ro=R-96|0;R=Ro;Qo=o[Ye+16>>2];m[Ro+92|0]=1;o[Ro+88>>2]=En;o[Ro+84>>2]=En;o[Ro+80>>2]=Qo;Po=-1;Po=(En|0)!=-1?o[o[Qo>>2]+(En<<2)>>2]:Po;fp=o[Ye+20>>2];Qo=o[fp>>2];a:{b:{c:{d:{if(o[fp+4>>2]-Qo>>2>>>0>Po>>>0){Qo=o[o[Ye+8>>2]+(o[Qo+(Po<<2)>>2]<<2)>>2];Po=o[Ye+4>>2];if(!p[Po+84|0]){Qo=o[o[Po+68>>2]+(Qo<<2)>>2]}o[Ro+72>>2]=0;o[Ro+76>>2]=0;fp=Ro- -64|0;o[fp>>2]=0;o[fp+4>>2]=0;o[Ro+56>>2]=0;o[Ro+60>>2]=0;Me(Po,Qo,m[Po+24|0],Ro+56|0);if((En|0)==-1){break a}Po=En+1|0;fp=(Po>>>0)%3|0?Po:En+ -2|0;pp=((En>>>0)%3|0?-1:2)+En|0;wp=Ye+28|0;gp=!o[wp>>2];xp=Ye+20|0;yp=Ye+8|0;zp=Ro+48|0;while(1){Qo=fp;Po=pp;e:{if(gp){break e}Po=En+1|0;Qo=(Po>>>0)%3|0?Po:En+ -2|0;Po=En+ -1|0;if((En>>>0)%3){break e}Po=En+2|0}En=-1;En=(Qo|0)!=-1?o[o[o[Ye+16>>2]>>2]+(Qo<<2)>>2]:En;gp=o[xp>>2];Qo=o[gp>>2];if(o[gp+4>>2]-Qo>>2>>>0<=En>>>0){break d}Qo=o[o[yp>>2]+(o[Qo+(En<<2)>>2]<<2)>>2];gp=Ye+4|0;En=o[gp>>2];if(!p[En+84|0]){Qo=o[o[En+68>>2]+(Qo<<2)>>2]}o[zp>>2]=0;o[zp+4>>2]=0;o[Ro+40>>2]=0;o[Ro+44>>2]=0;o[Ro+32>>2]=0;o[Ro+36>>2]=0;Me(En,Qo,m[En+24|0],Ro+32|0);En=-1;En=(Po|0)!=-1?o[o[o[Ye+16>>2]>>2]+(Po<<2)>>2]:En;Qo=o[xp>>2];Po=o[Qo>>2];if(o[Qo+4>>2]-Po>>2>>>0<=En>>>0){break c}Po=o[o[yp>>2]+(o[Po+(En<<2)>>2]<<2)>>2];En=o[gp>>2];if(!p[En+84|0]){Po=o[o[En+68>>2]+(Po<<2)>>2]}Qo=Ro+24|0;o[Qo>>2]=0;o[Qo+4>>2]=0;gp=Ro+16|0;o[gp>>2]=0;o[gp+4>>2]=0;o[Ro+8>>2]=0;o[Ro+12>>2]=0;Me(En,Po,m[En+24|0],Ro+8|0);Po=o[Ro+8>>2];En=o[Ro+56>>2];qp=Po-En|0;rp=o[Ro+60>>2];jp=o[Ro+12>>2]-(rp+(Po>>>0<En>>>0)|0)|0;sp=o[Ro+40>>2];Po=o[Ro+64>>2];Ap=sp-Po|0;tp=o[Ro+68>>2];sp=o[Ro+44>>2]-(tp+(sp>>>0<Po>>>0)|0)|0;up=Vl(qp,jp,Ap,sp);vp=hp-up|0;kp=kp-(T+(hp>>>0<up>>>0)|0)|0;hp=o[gp>>2];up=hp-Po|0;gp=o[gp+4>>2]-((hp>>>0<Po>>>0)+tp|0)|0;hp=o[Ro+32>>2];tp=hp-En|0;rp=o[Ro+36>>2]-((hp>>>0<En>>>0)+rp|0)|0;Po=Vl(up,gp,tp,rp);hp=Po+vp|0;En=T+kp|0;En=hp>>>0<Po>>>0?En+1|0:En;kp=En;Po=ip;mp=qp;Bp=jp;ip=o[Ro+48>>2];En=o[Ro+72>>2];jp=ip-En|0;qp=o[Ro+76>>2];vp=o[Ro+52>>2]-(qp+(ip>>>0<En>>>0)|0)|0;mp=Vl(mp,Bp,jp,vp);ip=Po+mp|0;Po=T+np|0;Po=ip>>>0<mp>>>0?Po+1|0:Po;np=ip;ip=o[Qo>>2];mp=ip-En|0;En=o[Qo+4>>2]-((ip>>>0<En>>>0)+qp|0)|0;Qo=Vl(mp,En,tp,rp);ip=np-Qo|0;np=Po-(T+(np>>>0<Qo>>>0)|0)|0;Po=Vl(up,gp,jp,vp);Qo=lp-Po|0;op=op-(T+(lp>>>0<Po>>>0)|0)|0;Po=Vl(mp,En,Ap,sp);lp=Po+Qo|0;En=T+op|0;En=lp>>>0<Po>>>0?En+1|0:En;op=En;jf(Ro+80|0);jp=o[wp>>2];gp=!jp;En=o[Ro+88>>2];if((En|0)!=-1){continue}break}En=np;Po=En>>31;Ye=En>>31;En=Ye+En|0;fp=Po+ip|0;if(fp>>>0<Po>>>0){En=En+1|0}Po=Po^fp;gp=Ye^En;En=op;Ye=En>>31;En=En>>31;fp=Ye;pp=op+Ye|0;Qo=En+lp|0;if(Qo>>>0<En>>>0){pp=pp+1|0}Ye=En^Qo;Qo=fp^pp;f:{if((kp|0)<-1?1:(kp|0)<=-1?hp>>>0>4294967295?0:1:0){En=hp;fp=Ye+(Po-En|0)|0;En=Qo+(gp-((Po>>>0<En>>>0)+kp|0)|0)|0;Po=fp;Ye=Po>>>0<Ye>>>0?En+1|0:En;if(!jp){break f}break b}En=gp+kp|0;fp=Po;Po=hp;fp=fp+Po|0;if(fp>>>0<Po>>>0){En=En+1|0}Po=Ye;fp=Po+fp|0;Ye=En+Qo|0;Ye=fp>>>0<Po>>>0?Ye+1|0:Ye;Po=fp;if(jp){break b}}if((Po|0)<536870913){break a}Ye=((Ye&536870911)<<3|Po>>>29)&7;En=0;hp=Wl(hp,kp,Ye,En);ip=Wl(ip,np,Ye,En);lp=Wl(lp,op,Ye,En);break a}Zk();D()}Zk();D()}Zk();D()}if((Ye|0)<0?1:(Ye|0)<=0?Po>>>0>=536870913?0:1:0){break a}En=Ye>>>29;Ye=(Ye&536870911)<<3|Po>>>29;hp=Wl(hp,kp,Ye,En);ip=Wl(ip,np,Ye,En);lp=Wl(lp,op,Ye,En)}o[Oo+8>>2]=hp;o[Oo+4>>2]=ip;o[Oo>>2]=lp;R=Ro+96|0}function jf(Ye){var En=0,Oo=0,Cp=0;En=o[Ye+8>>2];Cp=o[Ye>>2];a:{if(p[Ye+12|0]){b:{c:{d:{e:{if((En|0)==-1){break e}Oo=En+1|0;En=(Oo>>>0)%3|0?Oo:En+ -2|0;if((En|0)==-1){break e}En=o[o[Cp+12>>2]+(En<<2)>>2];if((En|0)!=-1){break d}}o[Ye+8>>2]=-1;break c}Oo=En+1|0;En=(Oo>>>0)%3|0?Oo:En+ -2|0;o[Ye+8>>2]=En;if((En|0)!=-1){break b}}Oo=o[Ye+4>>2];En=-1;f:{if((Oo|0)==-1){break f}Oo=Oo+((Oo>>>0)%3|0?-1:2)|0;En=-1;if((Oo|0)==-1){break f}Oo=o[o[Cp+12>>2]+(Oo<<2)>>2];En=-1;if((Oo|0)==-1){break f}En=Oo+ -1|0;if((Oo>>>0)%3){break f}En=Oo+2|0}m[Ye+12|0]=0;o[Ye+8>>2]=En;return}if((En|0)!=o[Ye+4>>2]){break a}o[Ye+8>>2]=-1;return}Oo=-1;g:{if((En|0)==-1){break g}En=En+((En>>>0)%3|0?-1:2)|0;Oo=-1;if((En|0)==-1){break g}En=o[o[Cp+12>>2]+(En<<2)>>2];Oo=-1;if((En|0)==-1){break g}Oo=En+ -1|0;if((En>>>0)%3){break g}Oo=En+2|0}o[Ye+8>>2]=Oo}}function kf(Ye,Dp,Ep,Fp,Gp,Hp){Ye=Ye|0;Dp=Dp|0;Ep=Ep|0;Fp=Fp|0;Gp=Gp|0;Hp=Hp|0;var Ip=0,Jp=0,Kp=0,Lp=0,Mp=0,Np=0,Op=0,Pp=0,Qp=0,Rp=0,Sp=0,Tp=0,Up=0,Vp=0;o[Ye+8>>2]=Gp;Jp=Ye+32|0;Ip=o[Jp>>2];Hp=o[Ye+36>>2]-Ip>>2;a:{if(Hp>>>0<Gp>>>0){Da(Jp,Gp-Hp|0);break a}if(Hp>>>0<=Gp>>>0){break a}o[Ye+36>>2]=Ip+(Gp<<2)}Jp=0;Hp=(Gp&1073741823)!=(Gp|0)?-1:Gp<<2;Sp=xl(Hk(Hp),0,Hp);Mp=Ye+8|0;Ip=o[Mp>>2];b:{if((Ip|0)<1){break b}Op=Ye+16|0;Hp=Ye+32|0;Pp=Ye+12|0;while(1){Ip=Jp<<2;Lp=o[Ip+Sp>>2];Kp=o[Op>>2];c:{if((Lp|0)>(Kp|0)){Np=o[Hp>>2];o[Ip+Np>>2]=Kp;break c}Np=o[Hp>>2];Ip=Ip+Np|0;Kp=o[Pp>>2];if((Lp|0)<(Kp|0)){o[Ip>>2]=Kp;break c}o[Ip>>2]=Lp}Jp=Jp+1|0;Ip=o[Mp>>2];if((Jp|0)<(Ip|0)){continue}break}if((Ip|0)<1){break b}Jp=0;Mp=Ye+16|0;Lp=Ye+20|0;Op=Ye+8|0;Pp=Ye+12|0;while(1){Ip=Jp<<2;Hp=Ip+Ep|0;Ip=o[Dp+Ip>>2]+o[Ip+Np>>2]|0;o[Hp>>2]=Ip;d:{if((Ip|0)>o[Mp>>2]){Ip=Ip-o[Lp>>2]|0}else{if((Ip|0)>=o[Pp>>2]){break d}Ip=Ip+o[Lp>>2]|0}o[Hp>>2]=Ip}Jp=Jp+1|0;Ip=o[Op>>2];if((Jp|0)<(Ip|0)){continue}break}}if((Gp|0)<(Fp|0)){Up=0-Gp<<2;Lp=Ye+16|0;Np=Ye+32|0;Mp=Ye+8|0;Op=Ye+20|0;Pp=Ye+12|0;Hp=Gp;while(1){e:{if((Ip|0)<1){break e}Rp=Hp<<2;Tp=Rp+Ep|0;Vp=Tp+Up|0;Jp=0;while(1){Ye=Jp<<2;Ip=o[Ye+Vp>>2];Qp=o[Lp>>2];f:{if((Ip|0)>(Qp|0)){Kp=o[Np>>2];o[Ye+Kp>>2]=Qp;break f}Kp=o[Np>>2];Ye=Ye+Kp|0;Qp=o[Pp>>2];if((Ip|0)<(Qp|0)){o[Ye>>2]=Qp;break f}o[Ye>>2]=Ip}Jp=Jp+1|0;Ip=o[Mp>>2];if((Jp|0)<(Ip|0)){continue}break}Jp=0;if((Ip|0)<1){break e}Rp=Dp+Rp|0;while(1){Ip=Jp<<2;Ye=Ip+Tp|0;Ip=o[Ip+Rp>>2]+o[Ip+Kp>>2]|0;o[Ye>>2]=Ip;g:{if((Ip|0)>o[Lp>>2]){Ip=Ip-o[Op>>2]|0}else{if((Ip|0)>=o[Pp>>2]){break g}Ip=Ip+o[Op>>2]|0}o[Ye>>2]=Ip}Jp=Jp+1|0;Ip=o[Mp>>2];if((Jp|0)<(Ip|0)){continue}break}}Hp=Gp+Hp|0;if((Hp|0)<(Fp|0)){continue}break}}ul(Sp);return 1}function lf(Ye,Dp,Ep){Ye=Ye|0;Dp=Dp|0;Ep=Ep|0;var Fp=0;a:{if(!ae(Ye,Dp,Ep)){break a}Ye=o[Ye+8>>2];if(p[Ye+24|0]!=3){break a}Fp=o[Ye+28>>2]==9}return Fp|0}function mf(o,Ye,Dp){o=o|0;Ye=Ye|0;Dp=Dp|0;return fe(o,Ye,Dp)|0}function nf(Ye,Dp,Ep){Ye=Ye|0;Dp=Dp|0;Ep=Ep|0;var Gp=0,Hp=0,Wp=0,Xp=0,Yp=0;Gp=R-16|0;R=Gp;a:{b:{if(p[o[Ye+4>>2]+36|0]<=1){Dp=o[Ye+24>>2];break b}Xp=o[Ep+16>>2];Hp=o[Ep+12>>2];Wp=o[Ep+20>>2];Dp=Wp;Yp=0;if((Hp|0)<(Dp|0)?1:(Hp|0)<=(Dp|0)?r[Ep+8>>2]>Xp>>>0?0:1:0){break a}Dp=p[Xp+o[Ep>>2]|0];Hp=Xp+1|0;if(Hp>>>0<1){Wp=Wp+1|0}o[Ep+16>>2]=Hp;o[Ep+20>>2]=Wp;o[Ye+24>>2]=Dp}o[Gp+12>>2]=-1;o[Gp+8>>2]=1116;o[(Gp+8|0)+4>>2]=Dp;Yp=jd(Gp+8|0,o[Ye+16>>2])}Ye=Yp;R=Gp+16|0;return Ye|0}function of(Ye,Dp){Ye=Ye|0;Dp=Dp|0;var Ep=0,Zp=0,_p=0,$p=0,aq=0,bq=v(0),cq=0,dq=0;Zp=R-32|0;R=Zp;$p=m[o[Ye+8>>2]+24|0];Ep=o[Ye+16>>2];if(o[Ep+80>>2]){aq=o[o[Ep>>2]>>2]+o[Ep+48>>2]|0}o[Zp+8>>2]=-1;o[Zp+12>>2]=-1;o[Zp>>2]=-1;o[Zp+4>>2]=-1;a:{Ep=o[Ye+24>>2];if(Ep+ -2>>>0>28){break a}o[Zp>>2]=Ep;Ep=-1<<Ep;_p=-2-Ep|0;o[Zp+8>>2]=_p;o[Zp+4>>2]=Ep^-1;o[Zp+12>>2]=(_p|0)/2;if(!Dp){_p=1;break a}$p=$p<<2;Ep=0;dq=Ye+8|0;Ye=0;while(1){bq=v(v(1)/v(_p|0));_p=Ep<<2;pf(v(bq*v(o[_p+aq>>2])),v(bq*v(o[(_p|4)+aq>>2])),Zp+20|0);wl(o[o[o[dq>>2]- -64>>2]>>2]+Ye|0,Zp+20|0,$p);_p=1;cq=cq+1|0;if((cq|0)==(Dp|0)){break a}Ep=Ep+2|0;Ye=Ye+$p|0;_p=o[Zp+8>>2];continue}}R=Zp+32|0;return _p|0}function pf(Ye,Dp,eq){var fq=0,gq=0,hq=v(0),iq=v(0),jq=v(0),kq=0,lq=0;hq=v(Ye+Dp);a:{b:{jq=v(Ye-Dp);if(jq<=v(.5)^1|jq>=v(-.5)^1|hq>=v(.5)^1){break b}gq=1;if(!(hq<=v(1.5))){break b}iq=Dp;break a}c:{if(!!(hq<=v(.5))){iq=v(v(.5)-Ye);Ye=v(v(.5)-Dp);break c}if(!!(hq>=v(1.5))){iq=v(v(1.5)-Ye);Ye=v(v(1.5)-Dp);break c}if(!!(jq<=v(-.5))){iq=v(Ye+v(.5));Ye=v(Dp+v(-.5));break c}iq=v(Ye+v(-.5));Ye=v(Dp+v(.5))}jq=v(Ye-iq);hq=v(iq+Ye);gq=-1}fq=+iq;Dp=v(fq+fq+ -1);fq=+Ye;Ye=v(fq+fq+ -1);lq=gq;gq=+jq;gq=gq+gq;fq=1-gq;gq=gq+1;gq=fq<gq?fq:gq;fq=+hq;fq=fq+fq;kq=3-fq;fq=fq+ -1;fq=kq<fq?kq:fq;iq=v(lq*(gq<fq?gq:fq));hq=v(v(Dp*Dp)+v(v(Ye*Ye)+v(iq*iq)));d:{if(!!(+hq<1e-6)){o[eq>>2]=0;hq=v(0);Ye=v(0);break d}jq=v(v(1)/v(C(hq)));s[eq>>2]=jq*iq;hq=v(jq*Dp);Ye=v(jq*Ye)}s[eq+8>>2]=hq;s[eq+4>>2]=Ye}function qf(Ye,Dp,eq,mq){Ye=Ye|0;Dp=Dp|0;eq=eq|0;mq=mq|0;var nq=0,oq=0,pq=0;nq=R-32|0;R=nq;a:{if((mq|0)==3){mq=o[Dp+4>>2];Dp=o[Dp+12>>2];o[nq+24>>2]=-1;o[nq+28>>2]=-1;o[nq+16>>2]=-1;o[nq+20>>2]=-1;if((eq|0)==-2){o[nq+8>>2]=0;o[Ye>>2]=0;break a}oq=o[o[o[mq+4>>2]+8>>2]+(Dp<<2)>>2];if((l[o[o[mq>>2]+8>>2]](mq)|0)==1){pq=Dp;Dp=q[mq+36>>1];rf(nq+8|0,mq,eq,pq,nq+16|0,(Dp<<24|Dp<<8&16711680)>>>16);Dp=o[nq+8>>2];if(Dp){o[Ye>>2]=Dp;break a}o[nq+8>>2]=0}Dp=Hk(24);o[Dp+4>>2]=oq;eq=o[nq+20>>2];o[Dp+8>>2]=o[nq+16>>2];o[Dp+12>>2]=eq;eq=o[nq+28>>2];o[Dp+16>>2]=o[nq+24>>2];o[Dp+20>>2]=eq;o[Dp>>2]=7480;o[nq+8>>2]=Dp;o[Ye>>2]=Dp;break a}o[Ye>>2]=0}R=nq+32|0}function rf(Ye,Dp,eq,mq,qq,rq){var sq=0,tq=0,uq=0,vq=0;vq=o[o[o[Dp+4>>2]+8>>2]+(mq<<2)>>2];a:{b:{if((l[o[o[Dp>>2]+8>>2]](Dp)|0)!=1|eq+ -1>>>0>5){break b}tq=l[o[o[Dp>>2]+36>>2]](Dp)|0;rq=l[o[o[Dp>>2]+44>>2]](Dp,mq)|0;if(!tq|!rq){break b}uq=l[o[o[Dp>>2]+40>>2]](Dp,mq)|0;mq=rq+12|0;sq=o[Dp+44>>2];c:{if(uq){if((eq|0)!=6){break c}Dp=Hk(104);o[Dp+4>>2]=vq;eq=o[qq+4>>2];o[Dp+8>>2]=o[qq>>2];o[Dp+12>>2]=eq;eq=o[qq+12>>2];o[Dp+16>>2]=o[qq+8>>2];o[Dp+20>>2]=eq;o[Dp+36>>2]=rq;o[Dp+32>>2]=mq;o[Dp+28>>2]=uq;o[Dp+24>>2]=sq;o[Dp+64>>2]=rq;o[Dp+60>>2]=mq;o[Dp+56>>2]=uq;o[Dp+52>>2]=sq;o[Dp+44>>2]=0;o[Dp+48>>2]=0;o[Dp>>2]=5644;o[Dp+72>>2]=-1;o[Dp+76>>2]=-1;o[Dp+68>>2]=1;o[Dp+40>>2]=6208;break a}if((eq|0)!=6){break c}Dp=Hk(104);o[Dp+4>>2]=vq;eq=o[qq+4>>2];o[Dp+8>>2]=o[qq>>2];o[Dp+12>>2]=eq;eq=o[qq+12>>2];o[Dp+16>>2]=o[qq+8>>2];o[Dp+20>>2]=eq;o[Dp+36>>2]=rq;o[Dp+32>>2]=mq;o[Dp+28>>2]=tq;o[Dp+24>>2]=sq;o[Dp+64>>2]=rq;o[Dp+60>>2]=mq;o[Dp+56>>2]=tq;o[Dp+52>>2]=sq;o[Dp+44>>2]=0;o[Dp+48>>2]=0;o[Dp>>2]=6648;o[Dp+72>>2]=-1;o[Dp+76>>2]=-1;o[Dp+68>>2]=1;o[Dp+40>>2]=7068;break a}o[Ye>>2]=0}o[Ye>>2]=0;return}o[Dp+80>>2]=-1;o[Dp+84>>2]=-1;Mf(Dp+88|0);o[Ye>>2]=Dp}function sf(Ye){Ye=Ye|0;o[Ye>>2]=5644;return Ye|0}function tf(Ye){Ye=Ye|0;o[Ye>>2]=5644;ul(Ye)}function uf(Ye){Ye=Ye|0;var Dp=0;a:{if(!o[Ye+44>>2]|!o[Ye+48>>2]|(!o[Ye+24>>2]|!o[Ye+28>>2])){break a}if(!o[Ye+32>>2]|!o[Ye+36>>2]){break a}Dp=o[Ye+72>>2]!=-1}return Dp|0}function vf(Ye,eq){Ye=Ye|0;eq=eq|0;var mq=0;if(!(o[eq+56>>2]|p[eq+24|0]!=3)){o[Ye+44>>2]=eq;mq=1}return mq|0}function wf(o){o=o|0;return 3}function xf(Ye,eq){Ye=Ye|0;eq=eq|0;var qq=0,rq=0,wq=0,xq=0,yq=0,zq=0,Aq=0,Bq=0,Cq=0;qq=o[eq+12>>2];zq=qq;wq=qq;qq=o[eq+20>>2];xq=qq;yq=o[eq+16>>2];rq=yq+4|0;if(rq>>>0<4){qq=qq+1|0}Aq=o[eq+8>>2];Bq=rq;rq=qq;a:{if((wq|0)<(qq|0)?1:(wq|0)<=(qq|0)?Aq>>>0>=Bq>>>0?0:1:0){break a}qq=yq+o[eq>>2]|0;wq=p[qq|0]|p[qq+1|0]<<8|(p[qq+2|0]<<16|p[qq+3|0]<<24);o[eq+16>>2]=Bq;o[eq+20>>2]=rq;qq=xq;rq=yq+8|0;if(rq>>>0<8){qq=qq+1|0}xq=rq;rq=qq;if((zq|0)<(qq|0)?1:(zq|0)<=(qq|0)?Aq>>>0>=xq>>>0?0:1:0){break a}o[eq+16>>2]=xq;o[eq+20>>2]=rq;if(!(wq&1)){break a}qq=x(wq)^31;if(qq+ -1>>>0>28){break a}o[Ye+8>>2]=qq+1;rq=-2<<qq;qq=-2-rq|0;o[Ye+16>>2]=qq;o[Ye+12>>2]=rq^-1;o[Ye+20>>2]=(qq|0)/2;Cq=Nf(Ye+88|0,eq)}return Cq|0}function yf(Ye,eq,Dq,Eq,Fq,Gq){Ye=Ye|0;eq=eq|0;Dq=Dq|0;Eq=Eq|0;Fq=Fq|0;Gq=Gq|0;var Hq=0,Iq=0,Jq=0,Kq=0,Lq=0,Mq=0,Nq=0,Oq=0,Pq=0,Qq=0,Rq=0;Hq=R-48|0;R=Hq;Nq=Ye+8|0;Eq=o[Nq>>2];if(Eq+ -2>>>0<=28){o[Ye+72>>2]=Eq;Eq=-1<<Eq;Fq=-2-Eq|0;o[Ye+80>>2]=Fq;o[Ye+76>>2]=Eq^-1;o[Ye+84>>2]=(Fq|0)/2}o[Ye+48>>2]=Gq;Eq=o[Ye+36>>2];Fq=o[Eq>>2];Gq=Eq+4|0;Iq=o[Gq>>2];o[Hq+16>>2]=0;o[Hq+8>>2]=0;o[Hq+12>>2]=0;a:{Fq=Iq-Fq|0;if((Fq|0)<1){break a}Eq=o[Eq>>2];if((Eq|0)!=o[Gq>>2]){Oq=Fq>>2;Pq=Ye+40|0;Qq=Ye+88|0;Rq=Ye+36|0;while(1){Ue(Pq,o[(Lq<<2)+Eq>>2],Hq+8|0);Fq=o[Hq+12>>2];Iq=Fq>>31;Gq=o[Hq+8>>2];Kq=Gq>>31;Mq=o[Hq+16>>2];Jq=Mq>>31;Eq=0;Jq=Jq^Jq+Mq;Iq=Jq+((Iq^Fq+Iq)+(Kq^Gq+Kq)|0)|0;if(Iq>>>0<Jq>>>0){Eq=1}b:{if(!(Eq|Iq)){o[Hq+8>>2]=o[Ye+84>>2];break b}Kq=o[Ye+84>>2];Jq=Kq;Jq=Jq>>31;Fq=Wl(Vl(Kq,Jq,Fq,Fq>>31),T,Iq,Eq);o[Hq+12>>2]=Fq;Eq=Wl(Vl(Kq,Jq,Gq,Gq>>31),T,Iq,Eq);o[Hq+8>>2]=Eq;Gq=Eq;Eq=Eq>>31;Eq=(Kq-(Gq+Eq^Eq)|0)+((Fq|0)<0?Fq:0-Fq|0)|0;if((Mq|0)>=0){o[Hq+16>>2]=Eq;break b}o[Hq+16>>2]=0-Eq}Eq=Pf(Qq);Gq=o[Hq+8>>2];c:{if(!Eq){Fq=o[Hq+12>>2];break c}o[Hq+16>>2]=0-o[Hq+16>>2];Fq=0-o[Hq+12>>2]|0;o[Hq+12>>2]=Fq;Gq=0-Gq|0;o[Hq+8>>2]=Gq}d:{if((Gq|0)>=0){Gq=o[Ye+84>>2];Eq=Gq+o[Hq+16>>2]|0;Gq=Fq+Gq|0;break d}e:{if((Fq|0)<=-1){Eq=o[Hq+16>>2];Gq=Eq>>31;Gq=Gq^Eq+Gq;break e}Eq=o[Hq+16>>2];Gq=Eq>>31;Gq=o[Ye+80>>2]-(Gq^Eq+Gq)|0}if((Eq|0)<=-1){Eq=Fq>>31;Eq=Eq+Fq^Eq;break d}Eq=Fq>>31;Eq=o[Ye+80>>2]-(Eq+Fq^Eq)|0}Fq=o[Ye+80>>2];f:{if(!(Eq|Gq)){Eq=Fq;Gq=Eq;break f}if(!((Eq|0)!=(Fq|0)|Gq)){Gq=Eq;break f}if(!((Fq|0)!=(Gq|0)|Eq)){Eq=Gq;break f}g:{if(Gq){break g}Iq=o[Ye+84>>2];if((Iq|0)>=(Eq|0)){break g}Eq=(Iq<<1)-Eq|0;Gq=0;break f}h:{if((Fq|0)!=(Gq|0)){break h}Iq=o[Ye+84>>2];if((Iq|0)<=(Eq|0)){break h}Eq=(Iq<<1)-Eq|0;break f}i:{if((Eq|0)!=(Fq|0)){break i}Fq=o[Ye+84>>2];if((Fq|0)<=(Gq|0)){break i}Gq=(Fq<<1)-Gq|0;break f}if(Eq){break f}Eq=0;Fq=o[Ye+84>>2];if((Fq|0)>=(Gq|0)){break f}Gq=(Fq<<1)-Gq|0}Fq=Lq<<3;Iq=Fq+eq|0;Kq=o[Iq+4>>2];Iq=o[Iq>>2];o[Hq+36>>2]=Eq;o[Hq+32>>2]=Gq;o[Hq+24>>2]=Iq;o[Hq+28>>2]=Kq;zf(Hq+40|0,Nq,Hq+32|0,Hq+24|0);Eq=Dq+Fq|0;o[Eq>>2]=o[Hq+40>>2];o[Eq+4>>2]=o[Hq+44>>2];Lq=Lq+1|0;if((Lq|0)>=(Oq|0)){break a}Fq=o[Rq>>2];Eq=o[Fq>>2];if(o[Fq+4>>2]-Eq>>2>>>0>Lq>>>0){continue}break}}Zk();D()}R=Hq+48|0;return 1}function zf(Ye,eq,Dq,Eq){var Fq=0,Gq=0,Sq=0,Tq=0,Uq=0,Vq=0,Wq=0,Xq=0;Tq=eq+12|0;Wq=o[Tq>>2];Gq=o[Dq+4>>2]-Wq|0;Fq=o[Dq>>2]-Wq|0;o[Dq>>2]=Fq;o[Dq+4>>2]=Gq;Sq=Gq>>31;Uq=Sq+Gq^Sq;Sq=Fq>>31;Tq=o[Tq>>2];Xq=(Uq+(Sq+Fq^Sq)|0)<=(Tq|0);if(!Xq){a:{b:{if((Fq|0)>=0){Sq=1;Vq=1;if((Gq|0)>-1){break a}Uq=1;Sq=-1;Vq=-1;if((Fq|0)>=1){break b}break a}Uq=-1;Sq=-1;Vq=-1;if((Gq|0)<1){break a}}Sq=(Gq|0)<1?-1:1;Vq=Uq}Uq=Gq<<1;Gq=u(Sq,Tq);Uq=Uq-Gq|0;o[Dq+4>>2]=Uq;Tq=u(Tq,Vq);Fq=(Fq<<1)-Tq|0;o[Dq>>2]=Fq;c:{if((u(Sq,Vq)|0)>=0){Uq=0-Uq|0;o[Dq>>2]=Uq;Fq=0-Fq|0;break c}o[Dq>>2]=Uq}Gq=(Fq+Gq|0)/2|0;o[Dq+4>>2]=Gq;Fq=(Tq+Uq|0)/2|0;o[Dq>>2]=Fq}d:{e:{f:{g:{h:{i:{j:{k:{if(!Fq){if(Gq){break j}Tq=1;Vq=0;break k}Tq=1;Sq=(Fq|0)<0&(Gq|0)<1;if((Fq|0)>=1){Vq=(Gq|0)>-1?2:1;if(Sq){break k}break i}Vq=(Gq|0)>0?3:0;if(!Sq){break i}}Sq=Gq;Uq=Fq;break d}if((Gq|0)>=1){break f}break h}Sq=Vq+ -1|0;if(Sq>>>0>2){Sq=Gq;Gq=Fq;Vq=0;break e}switch(Sq-1|0){case 0:break g;case 1:break f;default:break h}}Sq=0-Fq|0;Vq=1;break e}Sq=0-Gq|0;Gq=0-Fq|0;Vq=2;break e}Sq=Fq;Gq=0-Gq|0;Vq=3}Fq=Dq;Uq=Gq;o[Fq>>2]=Gq;o[Fq+4>>2]=Sq;Tq=0}Gq=o[Eq>>2]+Uq|0;o[Ye>>2]=Gq;Fq=o[Eq+4>>2]+Sq|0;o[Ye+4>>2]=Fq;Sq=o[eq+12>>2];l:{if((Sq|0)<(Gq|0)){Gq=Gq-o[eq+4>>2]|0;break l}if((Gq|0)>=(0-Sq|0)){break l}Gq=o[eq+4>>2]+Gq|0}o[Ye>>2]=Gq;m:{if((Sq|0)<(Fq|0)){Fq=Fq-o[eq+4>>2]|0;break m}if((Fq|0)>=(0-Sq|0)){break m}Fq=o[eq+4>>2]+Fq|0}o[Ye+4>>2]=Fq;n:{if(Tq){Dq=Fq;Fq=Gq;break n}eq=(4-Vq&3)+ -1|0;o:{if(eq>>>0>2){Dq=Fq;Fq=Gq;break o}p:{switch(eq-1|0){default:Dq=0-Gq|0;break o;case 0:Dq=0-Fq|0;Fq=0-Gq|0;break o;case 1:break p}}Fq=0-Fq|0;Dq=Gq}o[Ye>>2]=Fq;o[Ye+4>>2]=Dq}if(!Xq){q:{r:{if((Fq|0)>=0){eq=1;Tq=1;if((Dq|0)>-1){break q}Gq=1;eq=-1;Tq=-1;if((Fq|0)>=1){break r}break q}Gq=-1;eq=-1;Tq=-1;if((Dq|0)<1){break q}}eq=(Dq|0)<1?-1:1;Tq=Gq}Eq=Dq<<1;Dq=u(eq,Sq);Gq=Eq-Dq|0;o[Ye+4>>2]=Gq;Eq=u(Sq,Tq);Fq=(Fq<<1)-Eq|0;o[Ye>>2]=Fq;s:{if((u(eq,Tq)|0)>=0){Gq=0-Gq|0;o[Ye>>2]=Gq;Fq=0-Fq|0;break s}o[Ye>>2]=Gq}Dq=(Dq+Fq|0)/2|0;o[Ye+4>>2]=Dq;Fq=(Eq+Gq|0)/2|0;o[Ye>>2]=Fq}o[Ye>>2]=Fq+Wq;o[Ye+4>>2]=Dq+Wq}function Af(Ye,eq){Ye=Ye|0;eq=eq|0;var Dq=0,Eq=0,Yq=0,Zq=0,_q=0,$q=0,ar=0,br=0,cr=0;Dq=o[eq+12>>2];$q=Dq;Yq=Dq;Dq=o[eq+20>>2];Zq=Dq;_q=o[eq+16>>2];Eq=_q+4|0;if(Eq>>>0<4){Dq=Dq+1|0}ar=o[eq+8>>2];br=Eq;Eq=Dq;a:{if((Yq|0)<(Dq|0)?1:(Yq|0)<=(Dq|0)?ar>>>0>=br>>>0?0:1:0){break a}Dq=_q+o[eq>>2]|0;Yq=p[Dq|0]|p[Dq+1|0]<<8|(p[Dq+2|0]<<16|p[Dq+3|0]<<24);o[eq+16>>2]=br;o[eq+20>>2]=Eq;Dq=Zq;Eq=_q+8|0;if(Eq>>>0<8){Dq=Dq+1|0}Zq=Eq;Eq=Dq;if(($q|0)<(Dq|0)?1:($q|0)<=(Dq|0)?ar>>>0>=Zq>>>0?0:1:0){break a}o[eq+16>>2]=Zq;o[eq+20>>2]=Eq;if(!(Yq&1)){break a}eq=x(Yq)^31;if(eq+ -1>>>0>28){break a}cr=1;o[Ye+8>>2]=eq+1;Dq=-2<<eq;eq=-2-Dq|0;o[Ye+16>>2]=eq;o[Ye+12>>2]=Dq^-1;o[Ye+20>>2]=(eq|0)/2}return cr|0}function Bf(Ye){Ye=Ye|0;o[Ye>>2]=6648;return Ye|0}function Cf(Ye){Ye=Ye|0;o[Ye>>2]=6648;ul(Ye)}function Df(Ye,eq,dr,er,fr,gr){Ye=Ye|0;eq=eq|0;dr=dr|0;er=er|0;fr=fr|0;gr=gr|0;var hr=0,ir=0,jr=0,kr=0,lr=0,mr=0,nr=0,or=0,pr=0,qr=0,rr=0;hr=R-48|0;R=hr;nr=Ye+8|0;er=o[nr>>2];if(er+ -2>>>0<=28){o[Ye+72>>2]=er;er=-1<<er;fr=-2-er|0;o[Ye+80>>2]=fr;o[Ye+76>>2]=er^-1;o[Ye+84>>2]=(fr|0)/2}o[Ye+48>>2]=gr;er=o[Ye+36>>2];fr=o[er>>2];gr=er+4|0;ir=o[gr>>2];o[hr+16>>2]=0;o[hr+8>>2]=0;o[hr+12>>2]=0;a:{fr=ir-fr|0;if((fr|0)<1){break a}er=o[er>>2];if((er|0)!=o[gr>>2]){or=fr>>2;pr=Ye+40|0;qr=Ye+88|0;rr=Ye+36|0;while(1){hf(pr,o[(lr<<2)+er>>2],hr+8|0);fr=o[hr+12>>2];ir=fr>>31;gr=o[hr+8>>2];kr=gr>>31;mr=o[hr+16>>2];jr=mr>>31;er=0;jr=jr^jr+mr;ir=jr+((ir^fr+ir)+(kr^gr+kr)|0)|0;if(ir>>>0<jr>>>0){er=1}b:{if(!(er|ir)){o[hr+8>>2]=o[Ye+84>>2];break b}kr=o[Ye+84>>2];jr=kr;jr=jr>>31;fr=Wl(Vl(kr,jr,fr,fr>>31),T,ir,er);o[hr+12>>2]=fr;er=Wl(Vl(kr,jr,gr,gr>>31),T,ir,er);o[hr+8>>2]=er;gr=er;er=er>>31;er=(kr-(gr+er^er)|0)+((fr|0)<0?fr:0-fr|0)|0;if((mr|0)>=0){o[hr+16>>2]=er;break b}o[hr+16>>2]=0-er}er=Pf(qr);gr=o[hr+8>>2];c:{if(!er){fr=o[hr+12>>2];break c}o[hr+16>>2]=0-o[hr+16>>2];fr=0-o[hr+12>>2]|0;o[hr+12>>2]=fr;gr=0-gr|0;o[hr+8>>2]=gr}d:{if((gr|0)>=0){gr=o[Ye+84>>2];er=gr+o[hr+16>>2]|0;gr=fr+gr|0;break d}e:{if((fr|0)<=-1){er=o[hr+16>>2];gr=er>>31;gr=gr^er+gr;break e}er=o[hr+16>>2];gr=er>>31;gr=o[Ye+80>>2]-(gr^er+gr)|0}if((er|0)<=-1){er=fr>>31;er=er+fr^er;break d}er=fr>>31;er=o[Ye+80>>2]-(er+fr^er)|0}fr=o[Ye+80>>2];f:{if(!(er|gr)){er=fr;gr=er;break f}if(!((er|0)!=(fr|0)|gr)){gr=er;break f}if(!((fr|0)!=(gr|0)|er)){er=gr;break f}g:{if(gr){break g}ir=o[Ye+84>>2];if((ir|0)>=(er|0)){break g}er=(ir<<1)-er|0;gr=0;break f}h:{if((fr|0)!=(gr|0)){break h}ir=o[Ye+84>>2];if((ir|0)<=(er|0)){break h}er=(ir<<1)-er|0;break f}i:{if((er|0)!=(fr|0)){break i}fr=o[Ye+84>>2];if((fr|0)<=(gr|0)){break i}gr=(fr<<1)-gr|0;break f}if(er){break f}er=0;fr=o[Ye+84>>2];if((fr|0)>=(gr|0)){break f}gr=(fr<<1)-gr|0}fr=lr<<3;ir=fr+eq|0;kr=o[ir+4>>2];ir=o[ir>>2];o[hr+36>>2]=er;o[hr+32>>2]=gr;o[hr+24>>2]=ir;o[hr+28>>2]=kr;zf(hr+40|0,nr,hr+32|0,hr+24|0);er=dr+fr|0;o[er>>2]=o[hr+40>>2];o[er+4>>2]=o[hr+44>>2];lr=lr+1|0;if((lr|0)>=(or|0)){break a}fr=o[rr>>2];er=o[fr>>2];if(o[fr+4>>2]-er>>2>>>0>lr>>>0){continue}break}}Zk();D()}R=hr+48|0;return 1}function Ef(Ye,eq,dr,er,fr,gr){Ye=Ye|0;eq=eq|0;dr=dr|0;er=er|0;fr=fr|0;gr=gr|0;var sr=0,tr=0,ur=0,vr=0,wr=0,xr=0,yr=0,zr=0;gr=R-32|0;R=gr;tr=(fr&1073741823)!=(fr|0)?-1:fr<<2;tr=xl(Hk(tr),0,tr);sr=o[eq>>2];ur=o[eq+4>>2];wr=o[tr+4>>2];o[gr+16>>2]=o[tr>>2];o[gr+20>>2]=wr;o[gr+8>>2]=sr;o[gr+12>>2]=ur;ur=Ye+8|0;zf(gr+24|0,ur,gr+16|0,gr+8|0);o[dr>>2]=o[gr+24>>2];o[dr+4>>2]=o[gr+28>>2];if((fr|0)<(er|0)){wr=0-fr<<2;Ye=fr;while(1){sr=Ye<<2;vr=sr+eq|0;yr=o[vr>>2];vr=o[vr+4>>2];sr=dr+sr|0;xr=sr+wr|0;zr=o[xr+4>>2];o[gr+16>>2]=o[xr>>2];o[gr+20>>2]=zr;o[gr+8>>2]=yr;o[gr+12>>2]=vr;zf(gr+24|0,ur,gr+16|0,gr+8|0);o[sr>>2]=o[gr+24>>2];o[sr+4>>2]=o[gr+28>>2];Ye=Ye+fr|0;if((Ye|0)<(er|0)){continue}break}}ul(tr);R=gr+32|0;return 1}function Ff(Ye,eq,dr){Ye=Ye|0;eq=eq|0;dr=dr|0;if(ae(Ye,eq,dr)){Ye=o[o[o[o[eq+4>>2]+8>>2]+(dr<<2)>>2]+28>>2]==9}else{Ye=0}return Ye|0}function Gf(Ye,eq,dr){Ye=Ye|0;eq=eq|0;dr=dr|0;eq=R-32|0;R=eq;a:{if(p[o[Ye+4>>2]+36|0]>=2){dr=0;if(!l[o[o[Ye>>2]+52>>2]](Ye)){break a}}o[eq+24>>2]=0;o[eq+28>>2]=0;o[eq+16>>2]=0;o[eq+20>>2]=0;o[eq+12>>2]=-1;o[eq+8>>2]=1232;ed(eq+8|0,o[Ye+24>>2],o[Ye+28>>2],m[o[Ye+8>>2]+24|0],s[Ye+32>>2]);dr=jd(eq+8|0,o[Ye+16>>2]);o[eq+8>>2]=1232;Ye=o[eq+16>>2];if(!Ye){break a}o[eq+20>>2]=Ye;ul(Ye)}R=eq+32|0;return dr|0}function Hf(Ye,eq){Ye=Ye|0;eq=eq|0;return l[o[o[Ye>>2]+56>>2]](Ye,eq)|0}function If(Ye){Ye=Ye|0;var eq=0,dr=0,er=0,fr=0,gr=0,Ar=0,Br=0,Cr=0,Dr=0,Er=0;eq=m[o[Ye+8>>2]+24|0];er=eq<<2;eq=Hk((eq|0)!=(eq&1073741823)?-1:er);dr=o[Ye+28>>2];o[Ye+28>>2]=eq;if(dr){ul(dr)}Cr=Ye+4|0;dr=o[o[Cr>>2]+32>>2];eq=o[dr+8>>2];Dr=o[dr+12>>2];Ar=eq;gr=o[dr+20>>2];Br=o[dr+16>>2];eq=er;fr=Br+eq|0;if(fr>>>0<eq>>>0){gr=gr+1|0}a:{if((Dr|0)<(gr|0)?1:(Dr|0)<=(gr|0)?Ar>>>0>=fr>>>0?0:1:0){break a}wl(o[Ye+28>>2],Br+o[dr>>2]|0,er);er=dr;Ar=dr;fr=o[dr+20>>2];dr=eq+o[dr+16>>2]|0;if(dr>>>0<eq>>>0){fr=fr+1|0}o[Ar+16>>2]=dr;o[er+20>>2]=fr;fr=o[Cr>>2];er=o[fr+32>>2];eq=o[er+8>>2];gr=o[er+12>>2];Ar=eq;Br=o[er+20>>2];dr=o[er+16>>2];eq=dr+4|0;if(eq>>>0<4){Br=Br+1|0}if((gr|0)<(Br|0)?1:(gr|0)<=(Br|0)?Ar>>>0>=eq>>>0?0:1:0){break a}eq=dr+o[er>>2]|0;o[Ye+32>>2]=p[eq|0]|p[eq+1|0]<<8|(p[eq+2|0]<<16|p[eq+3|0]<<24);eq=er;Ar=eq;dr=o[eq+20>>2];er=o[eq+16>>2]+4|0;if(er>>>0<4){dr=dr+1|0}o[Ar+16>>2]=er;o[eq+20>>2]=dr;eq=o[fr+32>>2];gr=o[eq+16>>2];fr=o[eq+12>>2];er=o[eq+20>>2];dr=er;if((fr|0)<(dr|0)?1:(fr|0)<=(dr|0)?r[eq+8>>2]>gr>>>0?0:1:0){break a}fr=p[gr+o[eq>>2]|0];dr=gr+1|0;if(dr>>>0<1){er=er+1|0}o[eq+16>>2]=dr;o[eq+20>>2]=er;if(fr>>>0>31){break a}o[Ye+24>>2]=fr;Er=1}return Er|0}function Jf(Ye,Fr){Ye=Ye|0;Fr=Fr|0;var Gr=0,Hr=0,Ir=0,Jr=0,Kr=0,Lr=0,Mr=0,Nr=0,Or=0,Pr=0,Qr=0,Rr=0,Sr=0,Tr=0,Ur=v(0);Kr=R-16|0;R=Kr;Ir=o[Ye+24>>2];Jr=m[o[Ye+8>>2]+24|0];Lr=Jr<<2;Mr=Hk((Jr&1073741823)!=(Jr|0)?-1:Lr);Nr=Kr+8|0;o[Nr>>2]=1065353216;Ir=-1<<Ir^-1;Hr=0;a:{if((Ir|0)<1){break a}s[Nr>>2]=s[Ye+32>>2]/v(Ir|0);Hr=1}b:{if(!Hr){break b}Gr=o[Ye+16>>2];Hr=0;c:{if(!o[Gr+80>>2]){break c}Hr=o[o[Gr>>2]>>2]+o[Gr+48>>2]|0}if(!Fr){Gr=1;break b}Ir=(Jr|0)<1;Rr=Ye+28|0;Sr=Ye+8|0;Ye=0;while(1){if(!Ir){Tr=o[Rr>>2];Ur=s[Nr>>2];Gr=0;while(1){Or=Gr<<2;s[Or+Mr>>2]=v(Ur*v(o[Hr+(Ye<<2)>>2]))+s[Tr+Or>>2];Ye=Ye+1|0;Gr=Gr+1|0;if((Jr|0)!=(Gr|0)){continue}break}}wl(o[o[o[Sr>>2]- -64>>2]>>2]+Pr|0,Mr,Lr);Pr=Lr+Pr|0;Gr=1;Qr=Qr+1|0;if((Qr|0)!=(Fr|0)){continue}break}}ul(Mr);R=Kr+16|0;return Gr|0}function Kf(Ye){Ye=Ye|0;var Fr=0,Vr=0;o[Ye>>2]=7664;Vr=Ye+28|0;Fr=o[Vr>>2];o[Vr>>2]=0;if(Fr){ul(Fr)}o[Ye>>2]=1908;Vr=Ye+20|0;Fr=o[Vr>>2];o[Vr>>2]=0;if(Fr){l[o[o[Fr>>2]+4>>2]](Fr)}o[Ye>>2]=1596;Vr=Ye+16|0;Fr=o[Vr>>2];o[Vr>>2]=0;if(Fr){Fb(Fr)}return Ye|0}function Lf(Ye){Ye=Ye|0;var Wr=0,Xr=0;o[Ye>>2]=7664;Xr=Ye+28|0;Wr=o[Xr>>2];o[Xr>>2]=0;if(Wr){ul(Wr)}o[Ye>>2]=1908;Xr=Ye+20|0;Wr=o[Xr>>2];o[Xr>>2]=0;if(Wr){l[o[o[Wr>>2]+4>>2]](Wr)}o[Ye>>2]=1596;Xr=Ye+16|0;Wr=o[Xr>>2];o[Xr>>2]=0;if(Wr){Fb(Wr)}ul(Ye)}function Mf(Ye){o[Ye>>2]=0;o[Ye+4>>2]=0;m[Ye+5|0]=0;m[Ye+6|0]=0;m[Ye+7|0]=0;m[Ye+8|0]=0;m[Ye+9|0]=0;m[Ye+10|0]=0;m[Ye+11|0]=0;m[Ye+12|0]=0;return Ye}function Nf(Ye,Yr){var Zr=0,_r=0,$r=0,as=0,bs=0,cs=0,ds=0,es=0,fs=0,gs=0,hs=0;bs=R-16|0;R=bs;as=o[Yr+16>>2];_r=o[Yr+12>>2];Zr=o[Yr+20>>2];a:{if((_r|0)<(Zr|0)?1:(_r|0)<=(Zr|0)?r[Yr+8>>2]>as>>>0?0:1:0){break a}m[Ye+12|0]=p[as+o[Yr>>2]|0];_r=o[Yr+20>>2];Zr=o[Yr+16>>2]+1|0;if(Zr>>>0<1){_r=_r+1|0}o[Yr+16>>2]=Zr;o[Yr+20>>2]=_r;if(!Of(1,bs+12|0,Yr)){break a}_r=o[Yr+8>>2];cs=o[Yr+16>>2];Zr=cs;$r=o[bs+12>>2];as=$r;ds=_r-Zr>>>0>=$r>>>0?0:1;Zr=_r>>>0<Zr>>>0;_r=o[Yr+20>>2];Zr=o[Yr+12>>2]-(Zr+_r|0)|0;if(((Zr|0)<0?1:(Zr|0)<=0?ds:0)|($r|0)<1){break a}Zr=cs+o[Yr>>2]|0;o[Ye>>2]=Zr;es=$r+ -1|0;fs=es+Zr|0;gs=p[fs|0]>>>6;if((gs|0)==3){break a}ds=Ye;b:{c:{switch(gs-1|0){default:o[Ye+4>>2]=es;Ye=p[fs|0]&63;break b;case 0:if(($r|0)<2){break a}o[Ye+4>>2]=$r+ -2;Ye=(Zr+$r|0)+ -2|0;Ye=p[Ye+1|0]<<8&16128|p[Ye|0];break b;case 1:break c}}if(($r|0)<3){break a}o[Ye+4>>2]=$r+ -3;Ye=(Zr+$r|0)+ -3|0;Ye=p[Ye+1|0]<<8|p[Ye+2|0]<<16&4128768|p[Ye|0]}Ye=Ye+4096|0;o[ds+8>>2]=Ye;if(Ye>>>0>1048575){break a}Ye=_r;_r=as+cs|0;if(_r>>>0<as>>>0){Ye=Ye+1|0}o[Yr+16>>2]=_r;o[Yr+20>>2]=Ye;hs=1}R=bs+16|0;return hs}function Of(Ye,Yr,is){var js=0,ks=0,ls=0,ms=0;a:{if(Ye>>>0>5){break a}ls=o[is+16>>2];js=o[is+12>>2];ks=o[is+20>>2];if((js|0)<(ks|0)?1:(js|0)<=(ks|0)?r[is+8>>2]>ls>>>0?0:1:0){break a}js=p[ls+o[is>>2]|0];ls=ls+1|0;if(ls>>>0<1){ks=ks+1|0}o[is+16>>2]=ls;o[is+20>>2]=ks;ks=Yr;if(js&128){if(!Of(Ye+1|0,Yr,is)){break a}Ye=o[Yr>>2]<<7;o[Yr>>2]=Ye;js=Ye|js&127}o[ks>>2]=js;ms=1}return ms}function Pf(Ye){var Yr=0,is=0,ns=0,os=0,ps=0;ns=0-p[Ye+12|0]|0;is=o[Ye+8>>2];a:{if(is>>>0>4095){break a}Yr=o[Ye+4>>2];if((Yr|0)<1){break a}Yr=Yr+ -1|0;o[Ye+4>>2]=Yr;is=p[Yr+o[Ye>>2]|0]|is<<8;o[Ye+8>>2]=is}ns=ns&255;Yr=u(ns,is>>>8);os=is&255;ps=os>>>0<ns>>>0;o[Ye+8>>2]=ps?Yr+os|0:(is-ns|0)-Yr|0;return ps}function Qf(Ye,qs){var rs=0,ss=0,ts=0;ts=R-32|0;R=ts;a:{if(qs>>>0<=1){if(qs-1){qs=Hk(48);ug(qs);o[qs>>2]=9816;o[Ye+8>>2]=0;o[Ye+12>>2]=0;o[Ye>>2]=0;o[Ye+4>>2]=0;o[Ye+16>>2]=qs;break a}qs=Hk(52);ug(qs);o[qs+48>>2]=0;o[qs>>2]=8064;o[Ye+8>>2]=0;o[Ye+12>>2]=0;o[Ye>>2]=0;o[Ye+4>>2]=0;o[Ye+16>>2]=qs;break a}qs=Hk(32);o[ts>>2]=qs;o[ts+4>>2]=28;o[ts+8>>2]=-2147483616;m[qs+28|0]=0;rs=p[7812]|p[7813]<<8|(p[7814]<<16|p[7815]<<24);m[qs+24|0]=rs;m[qs+25|0]=rs>>>8;m[qs+26|0]=rs>>>16;m[qs+27|0]=rs>>>24;rs=p[7808]|p[7809]<<8|(p[7810]<<16|p[7811]<<24);ss=p[7804]|p[7805]<<8|(p[7806]<<16|p[7807]<<24);m[qs+16|0]=ss;m[qs+17|0]=ss>>>8;m[qs+18|0]=ss>>>16;m[qs+19|0]=ss>>>24;m[qs+20|0]=rs;m[qs+21|0]=rs>>>8;m[qs+22|0]=rs>>>16;m[qs+23|0]=rs>>>24;rs=p[7800]|p[7801]<<8|(p[7802]<<16|p[7803]<<24);ss=p[7796]|p[7797]<<8|(p[7798]<<16|p[7799]<<24);m[qs+8|0]=ss;m[qs+9|0]=ss>>>8;m[qs+10|0]=ss>>>16;m[qs+11|0]=ss>>>24;m[qs+12|0]=rs;m[qs+13|0]=rs>>>8;m[qs+14|0]=rs>>>16;m[qs+15|0]=rs>>>24;rs=p[7792]|p[7793]<<8|(p[7794]<<16|p[7795]<<24);ss=p[7788]|p[7789]<<8|(p[7790]<<16|p[7791]<<24);m[qs|0]=ss;m[qs+1|0]=ss>>>8;m[qs+2|0]=ss>>>16;m[qs+3|0]=ss>>>24;m[qs+4|0]=rs;m[qs+5|0]=rs>>>8;m[qs+6|0]=rs>>>16;m[qs+7|0]=rs>>>24;o[ts+16>>2]=-1;qs=Mk(ts+16|4,ts);o[Ye>>2]=o[ts+16>>2];Mk(Ye+4|0,qs);o[Ye+16>>2]=0;if(m[qs+11|0]<=-1){ul(o[qs>>2])}if(m[ts+11|0]>-1){break a}ul(o[ts>>2])}R=ts+32|0}function Rf(Ye,qs){var us=0,vs=0,ws=0;us=R-80|0;R=us;vs=o[qs+36>>2];o[us+72>>2]=o[qs+32>>2];o[us+76>>2]=vs;ws=o[qs+28>>2];vs=us- -64|0;o[vs>>2]=o[qs+24>>2];o[vs+4>>2]=ws;vs=o[qs+20>>2];o[us+56>>2]=o[qs+16>>2];o[us+60>>2]=vs;vs=o[qs+12>>2];o[us+48>>2]=o[qs+8>>2];o[us+52>>2]=vs;vs=o[qs+4>>2];o[us+40>>2]=o[qs>>2];o[us+44>>2]=vs;ci(us+8|0,us+40|0,us+24|0);qs=o[us+8>>2];a:{if(qs){o[Ye>>2]=qs;Mk(Ye+4|0,us+8|4);if(m[us+23|0]>=0){break a}ul(o[us+12>>2]);break a}if(m[us+23|0]<=-1){ul(o[us+12>>2])}qs=p[us+31|0];o[Ye>>2]=0;o[Ye+4>>2]=0;o[Ye+16>>2]=qs;o[Ye+8>>2]=0;o[Ye+12>>2]=0}R=us+80|0}function Sf(Ye,qs,xs,ys){var zs=0,As=0,Bs=0;zs=R-80|0;R=zs;As=o[xs+36>>2];o[zs+72>>2]=o[xs+32>>2];o[zs+76>>2]=As;Bs=o[xs+28>>2];As=zs- -64|0;o[As>>2]=o[xs+24>>2];o[As+4>>2]=Bs;As=o[xs+20>>2];o[zs+56>>2]=o[xs+16>>2];o[zs+60>>2]=As;As=o[xs+12>>2];o[zs+48>>2]=o[xs+8>>2];o[zs+52>>2]=As;As=o[xs+4>>2];o[zs+40>>2]=o[xs>>2];o[zs+44>>2]=As;ci(Ye,zs+40|0,zs+24|0);a:{if(o[Ye>>2]){break a}As=Ye+4|0;if(m[Ye+15|0]<=-1){ul(o[As>>2])}if(p[zs+31|0]!=1){o[zs+8>>2]=0;o[zs>>2]=0;o[zs+4>>2]=0;qs=Hk(32);o[zs>>2]=qs;o[zs+4>>2]=20;o[zs+8>>2]=-2147483616;m[qs+20|0]=0;xs=p[7860]|p[7861]<<8|(p[7862]<<16|p[7863]<<24);m[qs+16|0]=xs;m[qs+17|0]=xs>>>8;m[qs+18|0]=xs>>>16;m[qs+19|0]=xs>>>24;xs=p[7856]|p[7857]<<8|(p[7858]<<16|p[7859]<<24);ys=p[7852]|p[7853]<<8|(p[7854]<<16|p[7855]<<24);m[qs+8|0]=ys;m[qs+9|0]=ys>>>8;m[qs+10|0]=ys>>>16;m[qs+11|0]=ys>>>24;m[qs+12|0]=xs;m[qs+13|0]=xs>>>8;m[qs+14|0]=xs>>>16;m[qs+15|0]=xs>>>24;xs=p[7848]|p[7849]<<8|(p[7850]<<16|p[7851]<<24);ys=p[7844]|p[7845]<<8|(p[7846]<<16|p[7847]<<24);m[qs|0]=ys;m[qs+1|0]=ys>>>8;m[qs+2|0]=ys>>>16;m[qs+3|0]=ys>>>24;m[qs+4|0]=xs;m[qs+5|0]=xs>>>8;m[qs+6|0]=xs>>>16;m[qs+7|0]=xs>>>24;o[Ye>>2]=-1;Mk(As,zs);if(m[zs+11|0]>-1){break a}ul(o[zs>>2]);break a}Qf(zs,p[zs+32|0]);Bs=o[zs>>2];b:{if(Bs){o[Ye>>2]=Bs;Mk(As,zs|4);break b}Bs=o[zs+16>>2];o[zs+16>>2]=0;o[Bs+44>>2]=ys;fi(Ye,Bs,qs,xs,ys);if(!o[Ye>>2]){if(m[As+11|0]<=-1){ul(o[As>>2])}o[Ye>>2]=0;o[Ye+4>>2]=0;o[Ye+8>>2]=0;o[Ye+12>>2]=0}if(!Bs){break b}l[o[o[Bs>>2]+4>>2]](Bs)}Ye=o[zs+16>>2];o[zs+16>>2]=0;if(Ye){l[o[o[Ye>>2]+4>>2]](Ye)}if(m[zs+15|0]>-1){break a}ul(o[zs+4>>2])}R=zs+80|0}function Tf(Ye){var qs=0,xs=0,ys=0,Cs=0;Cs=R-16|0;R=Cs;qs=Hk(32);o[Cs>>2]=qs;o[Cs+4>>2]=26;o[Cs+8>>2]=-2147483616;m[qs+26|0]=0;xs=p[7841]|p[7842]<<8;m[qs+24|0]=xs;m[qs+25|0]=xs>>>8;ys=p[7837]|p[7838]<<8|(p[7839]<<16|p[7840]<<24);xs=p[7833]|p[7834]<<8|(p[7835]<<16|p[7836]<<24);m[qs+16|0]=xs;m[qs+17|0]=xs>>>8;m[qs+18|0]=xs>>>16;m[qs+19|0]=xs>>>24;m[qs+20|0]=ys;m[qs+21|0]=ys>>>8;m[qs+22|0]=ys>>>16;m[qs+23|0]=ys>>>24;ys=p[7829]|p[7830]<<8|(p[7831]<<16|p[7832]<<24);xs=p[7825]|p[7826]<<8|(p[7827]<<16|p[7828]<<24);m[qs+8|0]=xs;m[qs+9|0]=xs>>>8;m[qs+10|0]=xs>>>16;m[qs+11|0]=xs>>>24;m[qs+12|0]=ys;m[qs+13|0]=ys>>>8;m[qs+14|0]=ys>>>16;m[qs+15|0]=ys>>>24;ys=p[7821]|p[7822]<<8|(p[7823]<<16|p[7824]<<24);xs=p[7817]|p[7818]<<8|(p[7819]<<16|p[7820]<<24);m[qs|0]=xs;m[qs+1|0]=xs>>>8;m[qs+2|0]=xs>>>16;m[qs+3|0]=xs>>>24;m[qs+4|0]=ys;m[qs+5|0]=ys>>>8;m[qs+6|0]=ys>>>16;m[qs+7|0]=ys>>>24;o[Ye>>2]=-1;Mk(Ye+4|0,Cs);if(m[Cs+11|0]<=-1){ul(o[Cs>>2])}R=Cs+16|0}function Uf(Ye,Ds){var Es=0,Fs=0,Gs=0;Gs=R-16|0;R=Gs;o[Gs+12>>2]=Ds;Ds=Hk(32);o[Gs>>2]=Ds;o[Gs+4>>2]=24;o[Gs+8>>2]=-2147483616;m[Ds+24|0]=0;Es=p[7885]|p[7886]<<8|(p[7887]<<16|p[7888]<<24);Fs=p[7881]|p[7882]<<8|(p[7883]<<16|p[7884]<<24);m[Ds+16|0]=Fs;m[Ds+17|0]=Fs>>>8;m[Ds+18|0]=Fs>>>16;m[Ds+19|0]=Fs>>>24;m[Ds+20|0]=Es;m[Ds+21|0]=Es>>>8;m[Ds+22|0]=Es>>>16;m[Ds+23|0]=Es>>>24;Es=p[7877]|p[7878]<<8|(p[7879]<<16|p[7880]<<24);Fs=p[7873]|p[7874]<<8|(p[7875]<<16|p[7876]<<24);m[Ds+8|0]=Fs;m[Ds+9|0]=Fs>>>8;m[Ds+10|0]=Fs>>>16;m[Ds+11|0]=Fs>>>24;m[Ds+12|0]=Es;m[Ds+13|0]=Es>>>8;m[Ds+14|0]=Es>>>16;m[Ds+15|0]=Es>>>24;Es=p[7869]|p[7870]<<8|(p[7871]<<16|p[7872]<<24);Fs=p[7865]|p[7866]<<8|(p[7867]<<16|p[7868]<<24);m[Ds|0]=Fs;m[Ds+1|0]=Fs>>>8;m[Ds+2|0]=Fs>>>16;m[Ds+3|0]=Fs>>>24;m[Ds+4|0]=Es;m[Ds+5|0]=Es>>>8;m[Ds+6|0]=Es>>>16;m[Ds+7|0]=Es>>>24;wi(Vf(Ye,Gs+12|0),Gs);if(m[Gs+11|0]<=-1){ul(o[Gs>>2])}R=Gs+16|0}function Vf(Ye,Ds){var Hs=0,Is=0,Js=0,Ks=0,Ls=0,Ms=0,Ns=0,Os=0;Js=R-32|0;R=Js;Ks=Ye+16|0;Is=o[Ks>>2];a:{b:{if(!Is){break b}Ms=o[Ds>>2];Hs=Ks;while(1){Ls=o[Is+16>>2]<(Ms|0);Hs=Ls?Hs:Is;Is=o[(Ls<<2)+Is>>2];if(Is){continue}break}if((Hs|0)==(Ks|0)){break b}if((Ms|0)>=o[Hs+16>>2]){break a}}Ms=ui(Js+16|0);Ds=o[Ds>>2];Ls=Js+8|0;o[Ls>>2]=0;o[Ls+4>>2]=0;o[Js>>2]=Ds;o[Js+4>>2]=Ls;Hs=o[Ms>>2];Ns=Ms+4|0;if((Hs|0)!=(Ns|0)){Os=Js|4;while(1){Ds=Hs;Is=Hs+16|0;Wf(Os,Ls,Is,Is);Is=o[Hs+4>>2];c:{if(!Is){Hs=o[Ds+8>>2];if((Ds|0)==o[Hs>>2]){break c}Ds=Ds+8|0;while(1){Is=o[Ds>>2];Ds=Is+8|0;Hs=o[Is+8>>2];if((Is|0)!=o[Hs>>2]){continue}break}break c}while(1){Hs=Is;Is=o[Hs>>2];if(Is){continue}break}}if((Hs|0)!=(Ns|0)){continue}break}}Ds=Ye+16|0;Is=o[Ds>>2];d:{if(Is){Ks=o[Js>>2];while(1){Hs=o[Is+16>>2];e:{if((Ks|0)<(Hs|0)){Hs=o[Is>>2];if(Hs){break e}Ds=Is;break d}if((Hs|0)>=(Ks|0)){break d}Ds=Is+4|0;Hs=o[Is+4>>2];if(!Hs){break d}Is=Ds}Ds=Is;Is=Hs;continue}}Is=Ks;Ds=Is}Hs=o[Ds>>2];if(!Hs){Hs=Hk(32);o[Hs+16>>2]=o[Js>>2];o[Hs+20>>2]=o[Js+4>>2];Ks=Hs+24|0;Ns=o[Js+8>>2];o[Ks>>2]=Ns;Os=o[Js+12>>2];o[Hs+28>>2]=Os;f:{if(!Os){o[Hs+20>>2]=Ks;break f}o[Ns+8>>2]=Ks;o[Js+8>>2]=0;o[Js+12>>2]=0;o[Js+4>>2]=Ls}o[Hs+8>>2]=Is;o[Hs>>2]=0;o[Hs+4>>2]=0;o[Ds>>2]=Hs;Ks=o[o[Ye+12>>2]>>2];Is=Hs;g:{if(!Ks){break g}o[Ye+12>>2]=Ks;Is=o[Ds>>2]}Xf(o[Ye+16>>2],Is);Ye=Ye+20|0;o[Ye>>2]=o[Ye>>2]+1}Ac(Js|4,o[Js+8>>2]);Ac(Ms,o[Ms+4>>2])}R=Js+32|0;return Hs+20|0}function Wf(Ye,Ds,Ps,Qs){var Rs=0;Rs=R-16|0;R=Rs;Ps=Yf(Ye,Ds,Rs+12|0,Rs+8|0,Ps);if(!o[Ps>>2]){Ds=Hk(40);Mk(Ds+16|0,Qs);Mk(Ds+28|0,Qs+12|0);o[Ds+8>>2]=o[Rs+12>>2];o[Ds>>2]=0;o[Ds+4>>2]=0;o[Ps>>2]=Ds;Qs=Ds;Ds=o[o[Ye>>2]>>2];if(Ds){o[Ye>>2]=Ds;Qs=o[Ps>>2]}Xf(o[Ye+4>>2],Qs);Ye=Ye+8|0;o[Ye>>2]=o[Ye>>2]+1}R=Rs+16|0}function Xf(Ye,Ds){var Ps=0,Qs=0,Ss=0;Ps=(Ye|0)==(Ds|0);m[Ds+12|0]=Ps;a:{if(Ps){break a}while(1){Qs=o[Ds+8>>2];if(p[Qs+12|0]){break a}b:{Ps=o[Qs+8>>2];Ss=o[Ps>>2];if((Ss|0)==(Qs|0)){Ss=o[Ps+4>>2];if(!(!Ss|p[Ss+12|0])){break b}c:{if(o[Qs>>2]==(Ds|0)){Ds=Qs;break c}Ds=o[Qs+4>>2];Ss=o[Ds>>2];o[Qs+4>>2]=Ss;Ye=Ds;if(Ss){o[Ss+8>>2]=Qs;Ps=o[Qs+8>>2]}o[Ye+8>>2]=Ps;Ye=o[Qs+8>>2];o[((Qs|0)==o[Ye>>2]?Ye:Ye+4|0)>>2]=Ds;o[Ds>>2]=Qs;o[Qs+8>>2]=Ds;Ps=o[Ds+8>>2]}m[Ds+12|0]=1;m[Ps+12|0]=0;Ye=o[Ps>>2];Ds=o[Ye+4>>2];o[Ps>>2]=Ds;if(Ds){o[Ds+8>>2]=Ps}o[Ye+8>>2]=o[Ps+8>>2];Ds=o[Ps+8>>2];o[(o[Ds>>2]==(Ps|0)?Ds:Ds+4|0)>>2]=Ye;o[Ye+4>>2]=Ps;o[Ps+8>>2]=Ye;return}if(!(p[Ss+12|0]|!Ss)){break b}d:{if(o[Qs>>2]!=(Ds|0)){Ds=Qs;break d}Ss=o[Ds+4>>2];o[Qs>>2]=Ss;Ye=Ds;if(Ss){o[Ss+8>>2]=Qs;Ps=o[Qs+8>>2]}o[Ye+8>>2]=Ps;Ye=o[Qs+8>>2];o[((Qs|0)==o[Ye>>2]?Ye:Ye+4|0)>>2]=Ds;o[Ds+4>>2]=Qs;o[Qs+8>>2]=Ds;Ps=o[Ds+8>>2]}m[Ds+12|0]=1;m[Ps+12|0]=0;Ye=o[Ps+4>>2];Ds=o[Ye>>2];o[Ps+4>>2]=Ds;if(Ds){o[Ds+8>>2]=Ps}o[Ye+8>>2]=o[Ps+8>>2];Ds=o[Ps+8>>2];o[(o[Ds>>2]==(Ps|0)?Ds:Ds+4|0)>>2]=Ye;o[Ye>>2]=Ps;o[Ps+8>>2]=Ye;break a}Ds=Ss+12|0;m[Qs+12|0]=1;m[Ps+12|0]=(Ye|0)==(Ps|0);m[Ds|0]=1;Ds=Ps;if((Ds|0)!=(Ye|0)){continue}break}}}function Yf(Ye,Ds,Ts,Us,Vs){var Ws=0,Xs=0,Ys=0,Zs=0,_s=0,$s=0,at=0,bt=0,ct=0,dt=0,et=0;a:{b:{c:{d:{e:{ct=Ye+4|0;f:{if((ct|0)==(Ds|0)){break f}Ws=Ds+16|0;Ys=p[Ds+27|0];dt=Ys<<24>>24;Xs=(dt|0)<0;Zs=p[Vs+11|0];_s=Zs<<24>>24;$s=(_s|0)<0;at=Xs?o[Ds+20>>2]:Ys;Zs=$s?o[Vs+4>>2]:Zs;bt=at>>>0<Zs>>>0;g:{Ys=bt?at:Zs;if(Ys){$s=$s?o[Vs>>2]:Vs;Xs=Xs?o[Ws>>2]:Ws;et=Zj($s,Xs,Ys);if(et){break g}}if(Zs>>>0<at>>>0){break f}if(!Ys){break d}$s=(_s|0)<0?o[Vs>>2]:Vs;Xs=(dt|0)<0?o[Ws>>2]:Ws;break e}if((et|0)>-1){break e}}Ys=o[Ds>>2];h:{i:{if(o[Ye>>2]==(Ds|0)){Ws=Ds;break i}j:{if(!Ys){Us=Ds;while(1){Ws=o[Us+8>>2];Zs=o[Ws>>2]==(Us|0);Us=Ws;if(Zs){continue}break}break j}Us=Ys;while(1){Ws=Us;Us=o[Ws+4>>2];if(Us){continue}break}}Xs=p[Vs+11|0];Us=Xs<<24>>24<0;_s=p[Ws+27|0];Zs=_s<<24>>24<0;k:{Xs=Us?o[Vs+4>>2]:Xs;_s=Zs?o[Ws+20>>2]:_s;$s=Xs>>>0<_s>>>0?Xs:_s;if($s){at=Ws+16|0;Us=Zj(Zs?o[at>>2]:at,Us?o[Vs>>2]:Vs,$s);if(Us){break k}}if(_s>>>0<Xs>>>0){break i}break h}if((Us|0)>-1){break h}}if(!Ys){o[Ts>>2]=Ds;return Ds}o[Ts>>2]=Ws;return Ws+4|0}return Zf(Ye,Ts,Vs)}Ws=Zj(Xs,$s,Ys);if(Ws){break c}}if(bt){break b}break a}if((Ws|0)>-1){break a}}$s=Ds+4|0;Ys=o[$s>>2];l:{if(Ys){Ws=Ys;while(1){Us=Ws;Ws=o[Ws>>2];if(Ws){continue}break}break l}Us=o[Ds+8>>2];if(o[Us>>2]==(Ds|0)){break l}Ws=Ds+8|0;while(1){Xs=o[Ws>>2];Ws=Xs+8|0;Us=o[Xs+8>>2];if((Xs|0)!=o[Us>>2]){continue}break}}m:{n:{if((Us|0)==(ct|0)){break n}Xs=p[Us+27|0];Ws=Xs<<24>>24<0;o:{Xs=Ws?o[Us+20>>2]:Xs;at=Xs>>>0<Zs>>>0?Xs:Zs;if(at){bt=(_s|0)<0?o[Vs>>2]:Vs;_s=Us+16|0;Ws=Zj(bt,Ws?o[_s>>2]:_s,at);if(Ws){break o}}if(Zs>>>0<Xs>>>0){break n}break m}if((Ws|0)>-1){break m}}if(!Ys){o[Ts>>2]=Ds;return $s}o[Ts>>2]=Us;return Us}return Zf(Ye,Ts,Vs)}o[Ts>>2]=Ds;o[Us>>2]=Ds;return Us}function Zf(Ye,Ds,Ts){var Us=0,Vs=0,ft=0,gt=0,ht=0,it=0,jt=0,kt=0,lt=0;a:{Us=Ye+4|0;Ye=o[Us>>2];if(Ye){ft=p[Ts+11|0];gt=ft<<24>>24<0;ft=gt?o[Ts+4>>2]:ft;jt=gt?o[Ts>>2]:Ts;while(1){Ts=Ye+16|0;Vs=p[Ye+27|0];gt=Vs<<24>>24<0;ht=gt?o[Ye+20>>2]:Vs;kt=ht>>>0<ft>>>0;b:{c:{d:{e:{f:{g:{h:{Vs=kt?ht:ft;if(Vs){it=gt?o[Ts>>2]:Ts;lt=Zj(jt,it,Vs);if(lt){break h}}if(ft>>>0<ht>>>0){break g}if(!Vs){break e}it=gt?o[Ts>>2]:Ts;break f}if((lt|0)>-1){break f}}Ts=o[Ye>>2];if(Ts){break b}o[Ds>>2]=Ye;return Ye}Ts=Zj(it,jt,Vs);if(Ts){break d}}if(kt){break c}break a}if((Ts|0)>-1){break a}}Us=Ye+4|0;Ts=o[Ye+4>>2];if(!Ts){break a}Ye=Us}Us=Ye;Ye=Ts;continue}}o[Ds>>2]=Us;return Us}o[Ds>>2]=Ye;return Us}function _f(Ye,Ds,Ts,mt){var nt=0,ot=0,pt=0,qt=0,rt=0;if(!Ye){return 1}nt=o[Ts+16>>2];qt=o[Ts+12>>2];pt=o[Ts+20>>2];ot=pt;a:{if((qt|0)<(ot|0)?1:(qt|0)<=(ot|0)?r[Ts+8>>2]>nt>>>0?0:1:0){break a}ot=p[nt+o[Ts>>2]|0];nt=nt+1|0;if(nt>>>0<1){pt=pt+1|0}o[Ts+16>>2]=nt;o[Ts+20>>2]=pt;if(ot>>>0>1){break a}if(ot-1){return $f(Ye,Ds,Ts,mt)}rt=ag(Ye,Ts,mt)}return rt}function $f(Ye,Ds,Ts,mt){var st=0,tt=0,ut=0,vt=0,wt=0,xt=0,yt=0,zt=0,At=0,Bt=0,Ct=0,Dt=0,Et=0,Ft=0,Gt=0,Ht=0;st=R+ -64|0;R=st;o[st+56>>2]=0;o[st+48>>2]=0;o[st+52>>2]=0;o[st+40>>2]=0;o[st+44>>2]=0;o[st+32>>2]=0;o[st+36>>2]=0;o[st+24>>2]=0;o[st+28>>2]=0;o[st+16>>2]=0;o[st+20>>2]=0;o[st+8>>2]=0;o[st+12>>2]=0;a:{if(!bg(st+8|0,Ts)){break a}if(!cg(st+8|0,Ts)|(o[st+20>>2]?0:Ye)){break a}qi(Ts,0,0);if(Ye){vt=o[st+56>>2];Dt=o[st+36>>2];Et=o[st+48>>2];Ft=o[st+24>>2];while(1){b:{if(vt>>>0>16383){break b}tt=o[st+52>>2];while(1){if((tt|0)<1){break b}tt=tt+ -1|0;o[st+52>>2]=tt;vt=p[tt+Et|0]|vt<<8;o[st+56>>2]=vt;if(vt>>>0<16384){continue}break}}ut=vt&4095;Bt=o[(ut<<2)+Ft>>2];wt=(Bt<<3)+Dt|0;vt=(u(o[wt>>2],vt>>>12)+ut|0)-o[wt+4>>2]|0;o[st+56>>2]=vt;if((Ds|0)>=1){if(!p[Ts+36|0]){ut=0;break a}wt=Ds+xt|0;while(1){c:{if((Bt|0)<1){zt=0;break c}ut=o[Ts+32>>2];Gt=o[Ts+28>>2];Ht=o[Ts+24>>2];tt=0;zt=0;while(1){yt=(ut>>>3)+Ht|0;d:{if(yt>>>0>=Gt>>>0){At=0;break d}At=p[yt|0];yt=ut+1|0;o[Ts+32>>2]=yt;At=At>>>(ut&7)&1;ut=yt}zt=At<<tt|zt;tt=tt+1|0;if((Bt|0)!=(tt|0)){continue}break}}o[(xt<<2)+mt>>2]=zt;xt=xt+1|0;if((wt|0)!=(xt|0)){continue}break}xt=wt}Ct=Ds+Ct|0;if(Ct>>>0<Ye>>>0){continue}break}}si(Ts);ut=1}Ye=o[st+36>>2];if(Ye){o[st+40>>2]=Ye;ul(Ye)}Ye=o[st+24>>2];if(Ye){o[st+28>>2]=Ye;ul(Ye)}Ye=o[st+8>>2];if(Ye){o[st+12>>2]=Ye;ul(Ye)}R=st- -64|0;return ut}function ag(Ye,Ds,Ts){var mt=0,It=0,Jt=0,Kt=0;a:{b:{It=o[Ds+16>>2];Jt=o[Ds+12>>2];mt=o[Ds+20>>2];c:{if((Jt|0)<(mt|0)?1:(Jt|0)<=(mt|0)?r[Ds+8>>2]>It>>>0?0:1:0){break c}Jt=p[It+o[Ds>>2]|0];It=It+1|0;if(It>>>0<1){mt=mt+1|0}o[Ds+16>>2]=It;o[Ds+20>>2]=mt;mt=Jt+ -1|0;if(mt>>>0>17){break c}d:{e:{f:{g:{h:{i:{j:{switch(mt-1|0){case 12:case 13:case 14:case 15:break a;case 8:break h;case 7:break i;case 3:break j;case 16:break d;case 11:break e;case 10:break f;case 9:break g;default:break b}}return eg(Ye,Ds,Ts)}return fg(Ye,Ds,Ts)}return gg(Ye,Ds,Ts)}return hg(Ye,Ds,Ts)}return ig(Ye,Ds,Ts)}return jg(Ye,Ds,Ts)}Kt=kg(Ye,Ds,Ts)}return Kt}return dg(Ye,Ds,Ts)}return kg(Ye,Ds,Ts)}function bg(Ye,Ds){var Ts=0,Lt=0,Mt=0,Nt=0,Ot=0,Pt=0,Qt=0,Rt=0,St=0,Tt=0,Ut=0,Vt=0,Wt=0;a:{if(!q[Ds+38>>1]){break a}Tt=Ye+12|0;if(!lg(1,Tt,Ds)){break a}Nt=o[Ye+12>>2];Ts=o[Ye>>2];Lt=o[Ye+4>>2]-Ts>>2;b:{if(Nt>>>0>Lt>>>0){Da(Ye,Nt-Lt|0);Nt=o[Ye+12>>2];break b}if(Nt>>>0>=Lt>>>0){break b}o[Ye+4>>2]=Ts+(Nt<<2)}if(!Nt){Wt=1;break a}Ut=o[Ds+8>>2];Qt=o[Ds+12>>2];while(1){Mt=o[Ds+16>>2];Lt=o[Ds+20>>2];Ts=Lt;if((Qt|0)<(Ts|0)?1:(Qt|0)<=(Ts|0)?Ut>>>0>Mt>>>0?0:1:0){break a}Vt=o[Ds>>2];Rt=p[Vt+Mt|0];Mt=Mt+1|0;if(Mt>>>0<1){Lt=Lt+1|0}Ts=Ds;Pt=Mt;o[Ts+16>>2]=Mt;o[Ts+20>>2]=Lt;Mt=Rt>>>2;c:{d:{e:{St=Rt&3;if(St>>>0>3){Ts=0;break e}Ts=0;f:{switch(St-1|0){case 2:break f;case 0:case 1:break e;default:break d}}Lt=Mt+Ot|0;if(Lt>>>0>=Nt>>>0){return 0}xl(o[Ye>>2]+(Ot<<2)|0,0,(Rt&252)+4|0);Ot=Lt;break c}while(1){if((Qt|0)<(Lt|0)?1:(Qt|0)<=(Lt|0)?Ut>>>0>Pt>>>0?0:1:0){return 0}Rt=p[Pt+Vt|0];Pt=Pt+1|0;if(Pt>>>0<1){Lt=Lt+1|0}Nt=Ds;o[Nt+16>>2]=Pt;o[Nt+20>>2]=Lt;Mt=Rt<<(Ts<<3|6)|Mt;Ts=Ts+1|0;if((St|0)!=(Ts|0)){continue}break}}o[o[Ye>>2]+(Ot<<2)>>2]=Mt}Ot=Ot+1|0;Nt=o[Tt>>2];if(Ot>>>0<Nt>>>0){continue}break}Lt=Ye+16|0;Qt=o[Ye>>2];Ds=o[Ye+16>>2];Ts=o[Ye+20>>2]-Ds|0;Ot=Ts>>2;g:{if(Ot>>>0<=4095){Da(Lt,4096-Ot|0);break g}if((Ts|0)==16384){break g}o[Ye+20>>2]=Ds+16384}h:{Ts=Ye+28|0;Ds=o[Ts>>2];Ot=o[Ye+32>>2]-Ds>>3;if(Nt>>>0>Ot>>>0){mg(Ts,Nt-Ot|0);Ds=o[Ts>>2];break h}if(Nt>>>0<Ot>>>0){o[Ye+32>>2]=(Nt<<3)+Ds}if(Nt){break h}return 0}Mt=0;Ts=0;while(1){Ye=Qt+(Mt<<2)|0;Ot=o[Ye>>2];Pt=(Mt<<3)+Ds|0;o[Pt+4>>2]=Ts;o[Pt>>2]=Ot;Ye=o[Ye>>2]+Ts|0;if(Ye>>>0>4096){break a}if(Ts>>>0<Ye>>>0){Ot=o[Lt>>2];while(1){o[Ot+(Ts<<2)>>2]=Mt;Ts=Ts+1|0;if((Ye|0)!=(Ts|0)){continue}break}}Ts=Ye;Mt=Mt+1|0;if((Nt|0)!=(Mt|0)){continue}break}return(Ye|0)==4096}return Wt}function cg(Ye,Ds){var Xt=0,Yt=0,Zt=0,_t=0,$t=0,au=0,bu=0,cu=0;$t=R-16|0;R=$t;a:{if(!ng(1,$t+8|0,Ds)){break a}Xt=o[Ds+8>>2];Yt=o[Ds+16>>2];au=Xt-Yt|0;Zt=o[$t+12>>2];bu=o[Ds+20>>2];_t=o[Ds+12>>2]-(bu+(Xt>>>0<Yt>>>0)|0)|0;Xt=o[$t+8>>2];if((Zt|0)==(_t|0)&Xt>>>0>au>>>0|Zt>>>0>_t>>>0){break a}Zt=Zt+bu|0;_t=Xt+Yt|0;if(_t>>>0<Yt>>>0){Zt=Zt+1|0}o[Ds+16>>2]=_t;o[Ds+20>>2]=Zt;if((Xt|0)<1){break a}Yt=Yt+o[Ds>>2]|0;o[Ye+40>>2]=Yt;Ds=Ye;b:{c:{d:{e:{f:{_t=Xt+ -1|0;au=Yt+_t|0;switch((p[au|0]>>>6)-1|0){case 2:break c;case 1:break d;case 0:break e;default:break f}}o[Ye+44>>2]=_t;Ye=p[au|0]&63;break b}if((Xt|0)<2){break a}o[Ye+44>>2]=Xt+ -2;Ye=(Xt+Yt|0)+ -2|0;Ye=p[Ye+1|0]<<8&16128|p[Ye|0];break b}if((Xt|0)<3){break a}o[Ye+44>>2]=Xt+ -3;Ye=(Xt+Yt|0)+ -3|0;Ye=p[Ye+1|0]<<8|p[Ye+2|0]<<16&4128768|p[Ye|0];break b}o[Ye+44>>2]=Xt+ -4;Ye=(Xt+Yt|0)+ -4|0;Ye=p[Ye+2|0]<<16|p[Ye+3|0]<<24&1056964608|p[Ye+1|0]<<8|p[Ye|0]}Ye=Ye+16384|0;o[Ds+48>>2]=Ye;cu=Ye>>>0<4194304}R=$t+16|0;return cu}function dg(Ye,Ds,du){var eu=0,fu=0,gu=0,hu=0,iu=0,ju=0,ku=0,lu=0,mu=0,nu=0;eu=R+ -64|0;R=eu;o[eu+48>>2]=0;o[eu+40>>2]=0;o[eu+44>>2]=0;o[eu+32>>2]=0;o[eu+36>>2]=0;o[eu+24>>2]=0;o[eu+28>>2]=0;o[eu+16>>2]=0;o[eu+20>>2]=0;o[eu+8>>2]=0;o[eu+12>>2]=0;o[eu>>2]=0;o[eu+4>>2]=0;a:{if(!bg(eu,Ds)|(o[eu+12>>2]?0:Ye)){break a}if(!ng(1,eu+56|0,Ds)){break a}gu=o[Ds+8>>2];mu=o[Ds+16>>2];hu=mu;ku=gu-hu|0;ju=o[eu+60>>2];fu=ju;lu=o[Ds+20>>2];hu=o[Ds+12>>2]-(lu+(gu>>>0<hu>>>0)|0)|0;gu=o[eu+56>>2];if((fu|0)==(hu|0)&gu>>>0>ku>>>0|fu>>>0>hu>>>0){break a}ju=ju+lu|0;hu=mu;lu=hu+gu|0;if(lu>>>0<hu>>>0){ju=ju+1|0}o[Ds+16>>2]=lu;o[Ds+20>>2]=ju;if((gu|0)<1){break a}ku=mu+o[Ds>>2]|0;o[eu+40>>2]=ku;hu=eu;b:{c:{d:{e:{f:{Ds=gu+ -1|0;fu=ku+Ds|0;switch((p[fu|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((gu|0)<2){break a}Ds=gu+ -2|0;o[eu+44>>2]=Ds;fu=(gu+ku|0)+ -2|0;fu=p[fu+1|0]<<8&16128|p[fu|0];break b}if((gu|0)<3){break a}Ds=gu+ -3|0;o[eu+44>>2]=Ds;fu=(gu+ku|0)+ -3|0;fu=p[fu+1|0]<<8|p[fu+2|0]<<16&4128768|p[fu|0];break b}Ds=gu+ -4|0;o[eu+44>>2]=Ds;fu=(gu+ku|0)+ -4|0;fu=p[fu+2|0]<<16|p[fu+3|0]<<24&1056964608|p[fu+1|0]<<8|p[fu|0];break b}o[eu+44>>2]=Ds;fu=p[fu|0]&63}iu=fu+16384|0;o[hu+48>>2]=iu;nu=iu>>>0<4194304;if(!Ye|iu>>>0>4194303){break a}lu=o[eu+28>>2];ju=0;mu=o[eu+16>>2];while(1){g:{if(iu>>>0>16383){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[eu+44>>2]=Ds;iu=p[Ds+ku|0]|iu<<8;o[eu+48>>2]=iu;if(iu>>>0<16384){continue}break}}gu=iu&4095;fu=o[(gu<<2)+mu>>2];hu=(fu<<3)+lu|0;iu=(u(o[hu>>2],iu>>>12)+gu|0)-o[hu+4>>2]|0;o[eu+48>>2]=iu;o[(ju<<2)+du>>2]=fu;nu=1;ju=ju+1|0;if((ju|0)!=(Ye|0)){continue}break}}Ye=o[eu+28>>2];if(Ye){o[eu+32>>2]=Ye;ul(Ye)}Ye=o[eu+16>>2];if(Ye){o[eu+20>>2]=Ye;ul(Ye)}Ye=o[eu>>2];if(Ye){o[eu+4>>2]=Ye;ul(Ye)}R=eu- -64|0;return nu}function eg(Ye,Ds,du){var ou=0,pu=0,qu=0,ru=0,su=0,tu=0,uu=0,vu=0;ou=R+ -64|0;R=ou;o[ou+56>>2]=0;o[ou+48>>2]=0;o[ou+52>>2]=0;o[ou+40>>2]=0;o[ou+44>>2]=0;o[ou+32>>2]=0;o[ou+36>>2]=0;o[ou+24>>2]=0;o[ou+28>>2]=0;o[ou+16>>2]=0;o[ou+20>>2]=0;o[ou+8>>2]=0;o[ou+12>>2]=0;a:{if(!bg(ou+8|0,Ds)|(o[ou+20>>2]?0:Ye)){break a}pu=cg(ou+8|0,Ds);if(!Ye|!pu){break a}Ds=o[ou+56>>2];tu=o[ou+36>>2];uu=o[ou+48>>2];vu=o[ou+24>>2];while(1){b:{if(Ds>>>0>16383){break b}pu=o[ou+52>>2];while(1){if((pu|0)<1){break b}pu=pu+ -1|0;o[ou+52>>2]=pu;Ds=p[pu+uu|0]|Ds<<8;o[ou+56>>2]=Ds;if(Ds>>>0<16384){continue}break}}pu=Ds&4095;ru=o[(pu<<2)+vu>>2];su=(ru<<3)+tu|0;Ds=(u(o[su>>2],Ds>>>12)+pu|0)-o[su+4>>2]|0;o[ou+56>>2]=Ds;o[(qu<<2)+du>>2]=ru;pu=1;qu=qu+1|0;if((qu|0)!=(Ye|0)){continue}break}}Ye=o[ou+36>>2];if(Ye){o[ou+40>>2]=Ye;ul(Ye)}Ye=o[ou+24>>2];if(Ye){o[ou+28>>2]=Ye;ul(Ye)}Ye=o[ou+8>>2];if(Ye){o[ou+12>>2]=Ye;ul(Ye)}R=ou- -64|0;return pu}function fg(Ye,Ds,du){var wu=0,xu=0,yu=0,zu=0,Au=0,Bu=0,Cu=0,Du=0,Eu=0,Fu=0;wu=R+ -64|0;R=wu;o[wu+48>>2]=0;o[wu+40>>2]=0;o[wu+44>>2]=0;o[wu+32>>2]=0;o[wu+36>>2]=0;o[wu+24>>2]=0;o[wu+28>>2]=0;o[wu+16>>2]=0;o[wu+20>>2]=0;o[wu+8>>2]=0;o[wu+12>>2]=0;o[wu>>2]=0;o[wu+4>>2]=0;a:{if(!og(wu,Ds)|(o[wu+12>>2]?0:Ye)){break a}if(!ng(1,wu+56|0,Ds)){break a}yu=o[Ds+8>>2];Eu=o[Ds+16>>2];zu=Eu;Cu=yu-zu|0;Bu=o[wu+60>>2];xu=Bu;Du=o[Ds+20>>2];zu=o[Ds+12>>2]-(Du+(yu>>>0<zu>>>0)|0)|0;yu=o[wu+56>>2];if((xu|0)==(zu|0)&yu>>>0>Cu>>>0|xu>>>0>zu>>>0){break a}Bu=Bu+Du|0;zu=Eu;Du=zu+yu|0;if(Du>>>0<zu>>>0){Bu=Bu+1|0}o[Ds+16>>2]=Du;o[Ds+20>>2]=Bu;if((yu|0)<1){break a}Cu=Eu+o[Ds>>2]|0;o[wu+40>>2]=Cu;zu=wu;b:{c:{d:{e:{f:{Ds=yu+ -1|0;xu=Cu+Ds|0;switch((p[xu|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((yu|0)<2){break a}Ds=yu+ -2|0;o[wu+44>>2]=Ds;xu=(yu+Cu|0)+ -2|0;xu=p[xu+1|0]<<8&16128|p[xu|0];break b}if((yu|0)<3){break a}Ds=yu+ -3|0;o[wu+44>>2]=Ds;xu=(yu+Cu|0)+ -3|0;xu=p[xu+1|0]<<8|p[xu+2|0]<<16&4128768|p[xu|0];break b}Ds=yu+ -4|0;o[wu+44>>2]=Ds;xu=(yu+Cu|0)+ -4|0;xu=p[xu+2|0]<<16|p[xu+3|0]<<24&1056964608|p[xu+1|0]<<8|p[xu|0];break b}o[wu+44>>2]=Ds;xu=p[xu|0]&63}Au=xu+32768|0;o[zu+48>>2]=Au;Fu=Au>>>0<8388608;if(!Ye|Au>>>0>8388607){break a}Du=o[wu+28>>2];Bu=0;Eu=o[wu+16>>2];while(1){g:{if(Au>>>0>32767){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[wu+44>>2]=Ds;Au=p[Ds+Cu|0]|Au<<8;o[wu+48>>2]=Au;if(Au>>>0<32768){continue}break}}yu=Au&8191;xu=o[(yu<<2)+Eu>>2];zu=(xu<<3)+Du|0;Au=(u(o[zu>>2],Au>>>13)+yu|0)-o[zu+4>>2]|0;o[wu+48>>2]=Au;o[(Bu<<2)+du>>2]=xu;Fu=1;Bu=Bu+1|0;if((Bu|0)!=(Ye|0)){continue}break}}Ye=o[wu+28>>2];if(Ye){o[wu+32>>2]=Ye;ul(Ye)}Ye=o[wu+16>>2];if(Ye){o[wu+20>>2]=Ye;ul(Ye)}Ye=o[wu>>2];if(Ye){o[wu+4>>2]=Ye;ul(Ye)}R=wu- -64|0;return Fu}function gg(Ye,Ds,du){var Gu=0,Hu=0,Iu=0,Ju=0,Ku=0,Lu=0,Mu=0,Nu=0,Ou=0,Pu=0;Gu=R+ -64|0;R=Gu;o[Gu+48>>2]=0;o[Gu+40>>2]=0;o[Gu+44>>2]=0;o[Gu+32>>2]=0;o[Gu+36>>2]=0;o[Gu+24>>2]=0;o[Gu+28>>2]=0;o[Gu+16>>2]=0;o[Gu+20>>2]=0;o[Gu+8>>2]=0;o[Gu+12>>2]=0;o[Gu>>2]=0;o[Gu+4>>2]=0;a:{if(!pg(Gu,Ds)|(o[Gu+12>>2]?0:Ye)){break a}if(!ng(1,Gu+56|0,Ds)){break a}Iu=o[Ds+8>>2];Ou=o[Ds+16>>2];Ju=Ou;Mu=Iu-Ju|0;Lu=o[Gu+60>>2];Hu=Lu;Nu=o[Ds+20>>2];Ju=o[Ds+12>>2]-(Nu+(Iu>>>0<Ju>>>0)|0)|0;Iu=o[Gu+56>>2];if((Hu|0)==(Ju|0)&Iu>>>0>Mu>>>0|Hu>>>0>Ju>>>0){break a}Lu=Lu+Nu|0;Ju=Ou;Nu=Ju+Iu|0;if(Nu>>>0<Ju>>>0){Lu=Lu+1|0}o[Ds+16>>2]=Nu;o[Ds+20>>2]=Lu;if((Iu|0)<1){break a}Mu=Ou+o[Ds>>2]|0;o[Gu+40>>2]=Mu;Ju=Gu;b:{c:{d:{e:{f:{Ds=Iu+ -1|0;Hu=Mu+Ds|0;switch((p[Hu|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((Iu|0)<2){break a}Ds=Iu+ -2|0;o[Gu+44>>2]=Ds;Hu=(Iu+Mu|0)+ -2|0;Hu=p[Hu+1|0]<<8&16128|p[Hu|0];break b}if((Iu|0)<3){break a}Ds=Iu+ -3|0;o[Gu+44>>2]=Ds;Hu=(Iu+Mu|0)+ -3|0;Hu=p[Hu+1|0]<<8|p[Hu+2|0]<<16&4128768|p[Hu|0];break b}Ds=Iu+ -4|0;o[Gu+44>>2]=Ds;Hu=(Iu+Mu|0)+ -4|0;Hu=p[Hu+2|0]<<16|p[Hu+3|0]<<24&1056964608|p[Hu+1|0]<<8|p[Hu|0];break b}o[Gu+44>>2]=Ds;Hu=p[Hu|0]&63}Ku=Hu+131072|0;o[Ju+48>>2]=Ku;Pu=Ku>>>0<33554432;if(!Ye|Ku>>>0>33554431){break a}Nu=o[Gu+28>>2];Lu=0;Ou=o[Gu+16>>2];while(1){g:{if(Ku>>>0>131071){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[Gu+44>>2]=Ds;Ku=p[Ds+Mu|0]|Ku<<8;o[Gu+48>>2]=Ku;if(Ku>>>0<131072){continue}break}}Iu=Ku&32767;Hu=o[(Iu<<2)+Ou>>2];Ju=(Hu<<3)+Nu|0;Ku=(u(o[Ju>>2],Ku>>>15)+Iu|0)-o[Ju+4>>2]|0;o[Gu+48>>2]=Ku;o[(Lu<<2)+du>>2]=Hu;Pu=1;Lu=Lu+1|0;if((Lu|0)!=(Ye|0)){continue}break}}Ye=o[Gu+28>>2];if(Ye){o[Gu+32>>2]=Ye;ul(Ye)}Ye=o[Gu+16>>2];if(Ye){o[Gu+20>>2]=Ye;ul(Ye)}Ye=o[Gu>>2];if(Ye){o[Gu+4>>2]=Ye;ul(Ye)}R=Gu- -64|0;return Pu}function hg(Ye,Ds,du){var Qu=0,Ru=0,Su=0,Tu=0,Uu=0,Vu=0,Wu=0,Xu=0,Yu=0,Zu=0;Qu=R+ -64|0;R=Qu;o[Qu+48>>2]=0;o[Qu+40>>2]=0;o[Qu+44>>2]=0;o[Qu+32>>2]=0;o[Qu+36>>2]=0;o[Qu+24>>2]=0;o[Qu+28>>2]=0;o[Qu+16>>2]=0;o[Qu+20>>2]=0;o[Qu+8>>2]=0;o[Qu+12>>2]=0;o[Qu>>2]=0;o[Qu+4>>2]=0;a:{if(!qg(Qu,Ds)|(o[Qu+12>>2]?0:Ye)){break a}if(!ng(1,Qu+56|0,Ds)){break a}Su=o[Ds+8>>2];Yu=o[Ds+16>>2];Tu=Yu;Wu=Su-Tu|0;Vu=o[Qu+60>>2];Ru=Vu;Xu=o[Ds+20>>2];Tu=o[Ds+12>>2]-(Xu+(Su>>>0<Tu>>>0)|0)|0;Su=o[Qu+56>>2];if((Ru|0)==(Tu|0)&Su>>>0>Wu>>>0|Ru>>>0>Tu>>>0){break a}Vu=Vu+Xu|0;Tu=Yu;Xu=Tu+Su|0;if(Xu>>>0<Tu>>>0){Vu=Vu+1|0}o[Ds+16>>2]=Xu;o[Ds+20>>2]=Vu;if((Su|0)<1){break a}Wu=Yu+o[Ds>>2]|0;o[Qu+40>>2]=Wu;Tu=Qu;b:{c:{d:{e:{f:{Ds=Su+ -1|0;Ru=Wu+Ds|0;switch((p[Ru|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((Su|0)<2){break a}Ds=Su+ -2|0;o[Qu+44>>2]=Ds;Ru=(Su+Wu|0)+ -2|0;Ru=p[Ru+1|0]<<8&16128|p[Ru|0];break b}if((Su|0)<3){break a}Ds=Su+ -3|0;o[Qu+44>>2]=Ds;Ru=(Su+Wu|0)+ -3|0;Ru=p[Ru+1|0]<<8|p[Ru+2|0]<<16&4128768|p[Ru|0];break b}Ds=Su+ -4|0;o[Qu+44>>2]=Ds;Ru=(Su+Wu|0)+ -4|0;Ru=p[Ru+2|0]<<16|p[Ru+3|0]<<24&1056964608|p[Ru+1|0]<<8|p[Ru|0];break b}o[Qu+44>>2]=Ds;Ru=p[Ru|0]&63}Uu=Ru+262144|0;o[Tu+48>>2]=Uu;Zu=Uu>>>0<67108864;if(!Ye|Uu>>>0>67108863){break a}Xu=o[Qu+28>>2];Vu=0;Yu=o[Qu+16>>2];while(1){g:{if(Uu>>>0>262143){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[Qu+44>>2]=Ds;Uu=p[Ds+Wu|0]|Uu<<8;o[Qu+48>>2]=Uu;if(Uu>>>0<262144){continue}break}}Su=Uu&65535;Ru=o[(Su<<2)+Yu>>2];Tu=(Ru<<3)+Xu|0;Uu=(u(o[Tu>>2],Uu>>>16)+Su|0)-o[Tu+4>>2]|0;o[Qu+48>>2]=Uu;o[(Vu<<2)+du>>2]=Ru;Zu=1;Vu=Vu+1|0;if((Vu|0)!=(Ye|0)){continue}break}}Ye=o[Qu+28>>2];if(Ye){o[Qu+32>>2]=Ye;ul(Ye)}Ye=o[Qu+16>>2];if(Ye){o[Qu+20>>2]=Ye;ul(Ye)}Ye=o[Qu>>2];if(Ye){o[Qu+4>>2]=Ye;ul(Ye)}R=Qu- -64|0;return Zu}function ig(Ye,Ds,du){var _u=0,$u=0,av=0,bv=0,cv=0,dv=0,ev=0,fv=0,gv=0,hv=0;_u=R+ -64|0;R=_u;o[_u+48>>2]=0;o[_u+40>>2]=0;o[_u+44>>2]=0;o[_u+32>>2]=0;o[_u+36>>2]=0;o[_u+24>>2]=0;o[_u+28>>2]=0;o[_u+16>>2]=0;o[_u+20>>2]=0;o[_u+8>>2]=0;o[_u+12>>2]=0;o[_u>>2]=0;o[_u+4>>2]=0;a:{if(!rg(_u,Ds)|(o[_u+12>>2]?0:Ye)){break a}if(!ng(1,_u+56|0,Ds)){break a}av=o[Ds+8>>2];gv=o[Ds+16>>2];bv=gv;ev=av-bv|0;dv=o[_u+60>>2];$u=dv;fv=o[Ds+20>>2];bv=o[Ds+12>>2]-(fv+(av>>>0<bv>>>0)|0)|0;av=o[_u+56>>2];if(($u|0)==(bv|0)&av>>>0>ev>>>0|$u>>>0>bv>>>0){break a}dv=dv+fv|0;bv=gv;fv=bv+av|0;if(fv>>>0<bv>>>0){dv=dv+1|0}o[Ds+16>>2]=fv;o[Ds+20>>2]=dv;if((av|0)<1){break a}ev=gv+o[Ds>>2]|0;o[_u+40>>2]=ev;bv=_u;b:{c:{d:{e:{f:{Ds=av+ -1|0;$u=ev+Ds|0;switch((p[$u|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((av|0)<2){break a}Ds=av+ -2|0;o[_u+44>>2]=Ds;$u=(av+ev|0)+ -2|0;$u=p[$u+1|0]<<8&16128|p[$u|0];break b}if((av|0)<3){break a}Ds=av+ -3|0;o[_u+44>>2]=Ds;$u=(av+ev|0)+ -3|0;$u=p[$u+1|0]<<8|p[$u+2|0]<<16&4128768|p[$u|0];break b}Ds=av+ -4|0;o[_u+44>>2]=Ds;$u=(av+ev|0)+ -4|0;$u=p[$u+2|0]<<16|p[$u+3|0]<<24&1056964608|p[$u+1|0]<<8|p[$u|0];break b}o[_u+44>>2]=Ds;$u=p[$u|0]&63}cv=$u- -1048576|0;o[bv+48>>2]=cv;hv=cv>>>0<268435456;if(!Ye|cv>>>0>268435455){break a}fv=o[_u+28>>2];dv=0;gv=o[_u+16>>2];while(1){g:{if(cv>>>0>1048575){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[_u+44>>2]=Ds;cv=p[Ds+ev|0]|cv<<8;o[_u+48>>2]=cv;if(cv>>>0<1048576){continue}break}}av=cv&262143;$u=o[(av<<2)+gv>>2];bv=($u<<3)+fv|0;cv=(u(o[bv>>2],cv>>>18)+av|0)-o[bv+4>>2]|0;o[_u+48>>2]=cv;o[(dv<<2)+du>>2]=$u;hv=1;dv=dv+1|0;if((dv|0)!=(Ye|0)){continue}break}}Ye=o[_u+28>>2];if(Ye){o[_u+32>>2]=Ye;ul(Ye)}Ye=o[_u+16>>2];if(Ye){o[_u+20>>2]=Ye;ul(Ye)}Ye=o[_u>>2];if(Ye){o[_u+4>>2]=Ye;ul(Ye)}R=_u- -64|0;return hv}function jg(Ye,Ds,du){var iv=0,jv=0,kv=0,lv=0,mv=0,nv=0,ov=0,pv=0,qv=0,rv=0;iv=R+ -64|0;R=iv;o[iv+48>>2]=0;o[iv+40>>2]=0;o[iv+44>>2]=0;o[iv+32>>2]=0;o[iv+36>>2]=0;o[iv+24>>2]=0;o[iv+28>>2]=0;o[iv+16>>2]=0;o[iv+20>>2]=0;o[iv+8>>2]=0;o[iv+12>>2]=0;o[iv>>2]=0;o[iv+4>>2]=0;a:{if(!sg(iv,Ds)|(o[iv+12>>2]?0:Ye)){break a}if(!ng(1,iv+56|0,Ds)){break a}kv=o[Ds+8>>2];qv=o[Ds+16>>2];lv=qv;ov=kv-lv|0;nv=o[iv+60>>2];jv=nv;pv=o[Ds+20>>2];lv=o[Ds+12>>2]-(pv+(kv>>>0<lv>>>0)|0)|0;kv=o[iv+56>>2];if((jv|0)==(lv|0)&kv>>>0>ov>>>0|jv>>>0>lv>>>0){break a}nv=nv+pv|0;lv=qv;pv=lv+kv|0;if(pv>>>0<lv>>>0){nv=nv+1|0}o[Ds+16>>2]=pv;o[Ds+20>>2]=nv;if((kv|0)<1){break a}ov=qv+o[Ds>>2]|0;o[iv+40>>2]=ov;lv=iv;b:{c:{d:{e:{f:{Ds=kv+ -1|0;jv=ov+Ds|0;switch((p[jv|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((kv|0)<2){break a}Ds=kv+ -2|0;o[iv+44>>2]=Ds;jv=(kv+ov|0)+ -2|0;jv=p[jv+1|0]<<8&16128|p[jv|0];break b}if((kv|0)<3){break a}Ds=kv+ -3|0;o[iv+44>>2]=Ds;jv=(kv+ov|0)+ -3|0;jv=p[jv+1|0]<<8|p[jv+2|0]<<16&4128768|p[jv|0];break b}Ds=kv+ -4|0;o[iv+44>>2]=Ds;jv=(kv+ov|0)+ -4|0;jv=p[jv+2|0]<<16|p[jv+3|0]<<24&1056964608|p[jv+1|0]<<8|p[jv|0];break b}o[iv+44>>2]=Ds;jv=p[jv|0]&63}mv=jv+2097152|0;o[lv+48>>2]=mv;rv=mv>>>0<536870912;if(!Ye|mv>>>0>536870911){break a}pv=o[iv+28>>2];nv=0;qv=o[iv+16>>2];while(1){g:{if(mv>>>0>2097151){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[iv+44>>2]=Ds;mv=p[Ds+ov|0]|mv<<8;o[iv+48>>2]=mv;if(mv>>>0<2097152){continue}break}}kv=mv&524287;jv=o[(kv<<2)+qv>>2];lv=(jv<<3)+pv|0;mv=(u(o[lv>>2],mv>>>19)+kv|0)-o[lv+4>>2]|0;o[iv+48>>2]=mv;o[(nv<<2)+du>>2]=jv;rv=1;nv=nv+1|0;if((nv|0)!=(Ye|0)){continue}break}}Ye=o[iv+28>>2];if(Ye){o[iv+32>>2]=Ye;ul(Ye)}Ye=o[iv+16>>2];if(Ye){o[iv+20>>2]=Ye;ul(Ye)}Ye=o[iv>>2];if(Ye){o[iv+4>>2]=Ye;ul(Ye)}R=iv- -64|0;return rv}function kg(Ye,Ds,du){var sv=0,tv=0,uv=0,vv=0,wv=0,xv=0,yv=0,zv=0,Av=0,Bv=0;sv=R+ -64|0;R=sv;o[sv+48>>2]=0;o[sv+40>>2]=0;o[sv+44>>2]=0;o[sv+32>>2]=0;o[sv+36>>2]=0;o[sv+24>>2]=0;o[sv+28>>2]=0;o[sv+16>>2]=0;o[sv+20>>2]=0;o[sv+8>>2]=0;o[sv+12>>2]=0;o[sv>>2]=0;o[sv+4>>2]=0;a:{if(!tg(sv,Ds)|(o[sv+12>>2]?0:Ye)){break a}if(!ng(1,sv+56|0,Ds)){break a}uv=o[Ds+8>>2];Av=o[Ds+16>>2];vv=Av;yv=uv-vv|0;xv=o[sv+60>>2];tv=xv;zv=o[Ds+20>>2];vv=o[Ds+12>>2]-(zv+(uv>>>0<vv>>>0)|0)|0;uv=o[sv+56>>2];if((tv|0)==(vv|0)&uv>>>0>yv>>>0|tv>>>0>vv>>>0){break a}xv=xv+zv|0;vv=Av;zv=vv+uv|0;if(zv>>>0<vv>>>0){xv=xv+1|0}o[Ds+16>>2]=zv;o[Ds+20>>2]=xv;if((uv|0)<1){break a}yv=Av+o[Ds>>2]|0;o[sv+40>>2]=yv;vv=sv;b:{c:{d:{e:{f:{Ds=uv+ -1|0;tv=yv+Ds|0;switch((p[tv|0]>>>6)-1|0){case 2:break d;case 1:break e;case 0:break f;default:break c}}if((uv|0)<2){break a}Ds=uv+ -2|0;o[sv+44>>2]=Ds;tv=(uv+yv|0)+ -2|0;tv=p[tv+1|0]<<8&16128|p[tv|0];break b}if((uv|0)<3){break a}Ds=uv+ -3|0;o[sv+44>>2]=Ds;tv=(uv+yv|0)+ -3|0;tv=p[tv+1|0]<<8|p[tv+2|0]<<16&4128768|p[tv|0];break b}Ds=uv+ -4|0;o[sv+44>>2]=Ds;tv=(uv+yv|0)+ -4|0;tv=p[tv+2|0]<<16|p[tv+3|0]<<24&1056964608|p[tv+1|0]<<8|p[tv|0];break b}o[sv+44>>2]=Ds;tv=p[tv|0]&63}wv=tv+4194304|0;o[vv+48>>2]=wv;Bv=wv>>>0<1073741824;if(!Ye|wv>>>0>1073741823){break a}zv=o[sv+28>>2];xv=0;Av=o[sv+16>>2];while(1){g:{if(wv>>>0>4194303){break g}while(1){if((Ds|0)<1){break g}Ds=Ds+ -1|0;o[sv+44>>2]=Ds;wv=p[Ds+yv|0]|wv<<8;o[sv+48>>2]=wv;if(wv>>>0<4194304){continue}break}}uv=wv&1048575;tv=o[(uv<<2)+Av>>2];vv=(tv<<3)+zv|0;wv=(u(o[vv>>2],wv>>>20)+uv|0)-o[vv+4>>2]|0;o[sv+48>>2]=wv;o[(xv<<2)+du>>2]=tv;Bv=1;xv=xv+1|0;if((xv|0)!=(Ye|0)){continue}break}}Ye=o[sv+28>>2];if(Ye){o[sv+32>>2]=Ye;ul(Ye)}Ye=o[sv+16>>2];if(Ye){o[sv+20>>2]=Ye;ul(Ye)}Ye=o[sv>>2];if(Ye){o[sv+4>>2]=Ye;ul(Ye)}R=sv- -64|0;return Bv}function lg(Ye,Ds,du){var Cv=0,Dv=0,Ev=0,Fv=0;a:{if(Ye>>>0>5){break a}Ev=o[du+16>>2];Cv=o[du+12>>2];Dv=o[du+20>>2];if((Cv|0)<(Dv|0)?1:(Cv|0)<=(Dv|0)?r[du+8>>2]>Ev>>>0?0:1:0){break a}Cv=p[Ev+o[du>>2]|0];Ev=Ev+1|0;if(Ev>>>0<1){Dv=Dv+1|0}o[du+16>>2]=Ev;o[du+20>>2]=Dv;Dv=Ds;if(Cv&128){if(!lg(Ye+1|0,Ds,du)){break a}Ye=o[Ds>>2]<<7;o[Ds>>2]=Ye;Cv=Ye|Cv&127}o[Dv>>2]=Cv;Fv=1}return Fv}function mg(Ye,Ds){var du=0,Gv=0,Hv=0,Iv=0,Jv=0,Kv=0,Lv=0;a:{b:{Hv=o[Ye+8>>2];du=Ye+4|0;Gv=o[du>>2];c:{if(Hv-Gv>>3>>>0>=Ds>>>0){while(1){o[Gv>>2]=0;o[Gv+4>>2]=0;Gv=o[du>>2]+8|0;o[du>>2]=Gv;Ds=Ds+ -1|0;if(Ds){continue}break c}}Iv=o[Ye>>2];Jv=Gv-Iv|0;du=Jv>>3;Gv=du+Ds|0;if(Gv>>>0>=536870912){break b}Lv=du<<3;Hv=Hv-Iv|0;du=Hv>>2;Hv=Hv>>3>>>0<268435455?du>>>0<Gv>>>0?Gv:du:536870911;du=0;d:{if(!Hv){break d}if(Hv>>>0>=536870912){break a}Kv=Hk(Hv<<3);du=Kv}Gv=Lv+du|0;xl(Gv,0,Ds<<3);Hv=du+(Hv<<3)|0;while(1){Gv=Gv+8|0;Ds=Ds+ -1|0;if(Ds){continue}break}if((Jv|0)>=1){wl(Kv,Iv,Jv)}o[Ye>>2]=du;o[Ye+8>>2]=Hv;o[Ye+4>>2]=Gv;if(!Iv){break c}ul(Iv)}return}Yk();D()}_a(7890);D()}function ng(Ye,Ds,Mv){var Nv=0,Ov=0,Pv=0,Qv=0,Rv=0,Sv=0;a:{if(Ye>>>0>10){break a}Pv=o[Mv+16>>2];Nv=o[Mv+12>>2];Ov=o[Mv+20>>2];Qv=Ov;if((Nv|0)<(Qv|0)?1:(Nv|0)<=(Qv|0)?r[Mv+8>>2]>Pv>>>0?0:1:0){break a}Rv=m[Pv+o[Mv>>2]|0];Nv=Pv+1|0;if(Nv>>>0<1){Ov=Ov+1|0}o[Mv+16>>2]=Nv;o[Mv+20>>2]=Ov;Qv=Ds;Pv=Ds;Nv=Rv;b:{if((Nv|0)<=-1){if(!ng(Ye+1|0,Ds,Mv)){break a}Ye=Ds;Mv=o[Ds+4>>2];Ds=o[Ds>>2];Ov=Mv<<7|Ds>>>25;Ds=Ds<<7;o[Ye>>2]=Ds;o[Ye+4>>2]=Ov;Ye=Nv&127|Ds;break b}Ov=0;Ye=Nv&255}o[Pv>>2]=Ye;o[Qv+4>>2]=Ov;Sv=1}return Sv}function og(Ye,Ds){var Mv=0,Tv=0,Uv=0,Vv=0,Wv=0,Xv=0,Yv=0,Zv=0,_v=0,$v=0,aw=0,bw=0,cw=0;a:{if(!q[Ds+38>>1]){break a}$v=Ye+12|0;if(!lg(1,$v,Ds)){break a}Vv=o[Ye+12>>2];Mv=o[Ye>>2];Tv=o[Ye+4>>2]-Mv>>2;b:{if(Vv>>>0>Tv>>>0){Da(Ye,Vv-Tv|0);Vv=o[Ye+12>>2];break b}if(Vv>>>0>=Tv>>>0){break b}o[Ye+4>>2]=Mv+(Vv<<2)}if(!Vv){cw=1;break a}aw=o[Ds+8>>2];Yv=o[Ds+12>>2];while(1){Uv=o[Ds+16>>2];Tv=o[Ds+20>>2];Mv=Tv;if((Yv|0)<(Mv|0)?1:(Yv|0)<=(Mv|0)?aw>>>0>Uv>>>0?0:1:0){break a}bw=o[Ds>>2];Zv=p[bw+Uv|0];Uv=Uv+1|0;if(Uv>>>0<1){Tv=Tv+1|0}Mv=Ds;Xv=Uv;o[Mv+16>>2]=Uv;o[Mv+20>>2]=Tv;Uv=Zv>>>2;c:{d:{e:{_v=Zv&3;if(_v>>>0>3){Mv=0;break e}Mv=0;f:{switch(_v-1|0){case 2:break f;case 0:case 1:break e;default:break d}}Tv=Uv+Wv|0;if(Tv>>>0>=Vv>>>0){return 0}xl(o[Ye>>2]+(Wv<<2)|0,0,(Zv&252)+4|0);Wv=Tv;break c}while(1){if((Yv|0)<(Tv|0)?1:(Yv|0)<=(Tv|0)?aw>>>0>Xv>>>0?0:1:0){return 0}Zv=p[Xv+bw|0];Xv=Xv+1|0;if(Xv>>>0<1){Tv=Tv+1|0}Vv=Ds;o[Vv+16>>2]=Xv;o[Vv+20>>2]=Tv;Uv=Zv<<(Mv<<3|6)|Uv;Mv=Mv+1|0;if((_v|0)!=(Mv|0)){continue}break}}o[o[Ye>>2]+(Wv<<2)>>2]=Uv}Wv=Wv+1|0;Vv=o[$v>>2];if(Wv>>>0<Vv>>>0){continue}break}Tv=Ye+16|0;Yv=o[Ye>>2];Ds=o[Ye+16>>2];Mv=o[Ye+20>>2]-Ds|0;Wv=Mv>>2;g:{if(Wv>>>0<=8191){Da(Tv,8192-Wv|0);break g}if((Mv|0)==32768){break g}o[Ye+20>>2]=Ds+32768}h:{Mv=Ye+28|0;Ds=o[Mv>>2];Wv=o[Ye+32>>2]-Ds>>3;if(Vv>>>0>Wv>>>0){mg(Mv,Vv-Wv|0);Ds=o[Mv>>2];break h}if(Vv>>>0<Wv>>>0){o[Ye+32>>2]=(Vv<<3)+Ds}if(Vv){break h}return 0}Uv=0;Mv=0;while(1){Ye=Yv+(Uv<<2)|0;Wv=o[Ye>>2];Xv=(Uv<<3)+Ds|0;o[Xv+4>>2]=Mv;o[Xv>>2]=Wv;Ye=o[Ye>>2]+Mv|0;if(Ye>>>0>8192){break a}if(Mv>>>0<Ye>>>0){Wv=o[Tv>>2];while(1){o[Wv+(Mv<<2)>>2]=Uv;Mv=Mv+1|0;if((Ye|0)!=(Mv|0)){continue}break}}Mv=Ye;Uv=Uv+1|0;if((Vv|0)!=(Uv|0)){continue}break}return(Ye|0)==8192}return cw}function pg(Ye,Ds){var dw=0,ew=0,fw=0,gw=0,hw=0,iw=0,jw=0,kw=0,lw=0,mw=0,nw=0,ow=0,pw=0;a:{if(!q[Ds+38>>1]){break a}mw=Ye+12|0;if(!lg(1,mw,Ds)){break a}gw=o[Ye+12>>2];dw=o[Ye>>2];ew=o[Ye+4>>2]-dw>>2;b:{if(gw>>>0>ew>>>0){Da(Ye,gw-ew|0);gw=o[Ye+12>>2];break b}if(gw>>>0>=ew>>>0){break b}o[Ye+4>>2]=dw+(gw<<2)}if(!gw){pw=1;break a}nw=o[Ds+8>>2];jw=o[Ds+12>>2];while(1){fw=o[Ds+16>>2];ew=o[Ds+20>>2];dw=ew;if((jw|0)<(dw|0)?1:(jw|0)<=(dw|0)?nw>>>0>fw>>>0?0:1:0){break a}ow=o[Ds>>2];kw=p[ow+fw|0];fw=fw+1|0;if(fw>>>0<1){ew=ew+1|0}dw=Ds;iw=fw;o[dw+16>>2]=fw;o[dw+20>>2]=ew;fw=kw>>>2;c:{d:{e:{lw=kw&3;if(lw>>>0>3){dw=0;break e}dw=0;f:{switch(lw-1|0){case 2:break f;case 0:case 1:break e;default:break d}}ew=fw+hw|0;if(ew>>>0>=gw>>>0){return 0}xl(o[Ye>>2]+(hw<<2)|0,0,(kw&252)+4|0);hw=ew;break c}while(1){if((jw|0)<(ew|0)?1:(jw|0)<=(ew|0)?nw>>>0>iw>>>0?0:1:0){return 0}kw=p[iw+ow|0];iw=iw+1|0;if(iw>>>0<1){ew=ew+1|0}gw=Ds;o[gw+16>>2]=iw;o[gw+20>>2]=ew;fw=kw<<(dw<<3|6)|fw;dw=dw+1|0;if((lw|0)!=(dw|0)){continue}break}}o[o[Ye>>2]+(hw<<2)>>2]=fw}hw=hw+1|0;gw=o[mw>>2];if(hw>>>0<gw>>>0){continue}break}ew=Ye+16|0;jw=o[Ye>>2];Ds=o[Ye+16>>2];dw=o[Ye+20>>2]-Ds|0;hw=dw>>2;g:{if(hw>>>0<=32767){Da(ew,32768-hw|0);break g}if((dw|0)==131072){break g}o[Ye+20>>2]=Ds+131072}h:{dw=Ye+28|0;Ds=o[dw>>2];hw=o[Ye+32>>2]-Ds>>3;if(gw>>>0>hw>>>0){mg(dw,gw-hw|0);Ds=o[dw>>2];break h}if(gw>>>0<hw>>>0){o[Ye+32>>2]=(gw<<3)+Ds}if(gw){break h}return 0}fw=0;dw=0;while(1){Ye=jw+(fw<<2)|0;hw=o[Ye>>2];iw=(fw<<3)+Ds|0;o[iw+4>>2]=dw;o[iw>>2]=hw;Ye=o[Ye>>2]+dw|0;if(Ye>>>0>32768){break a}if(dw>>>0<Ye>>>0){hw=o[ew>>2];while(1){o[hw+(dw<<2)>>2]=fw;dw=dw+1|0;if((Ye|0)!=(dw|0)){continue}break}}dw=Ye;fw=fw+1|0;if((gw|0)!=(fw|0)){continue}break}return(Ye|0)==32768}return pw}function qg(Ye,Ds){var qw=0,rw=0,sw=0,tw=0,uw=0,vw=0,ww=0,xw=0,yw=0,zw=0,Aw=0,Bw=0,Cw=0;a:{if(!q[Ds+38>>1]){break a}zw=Ye+12|0;if(!lg(1,zw,Ds)){break a}tw=o[Ye+12>>2];qw=o[Ye>>2];rw=o[Ye+4>>2]-qw>>2;b:{if(tw>>>0>rw>>>0){Da(Ye,tw-rw|0);tw=o[Ye+12>>2];break b}if(tw>>>0>=rw>>>0){break b}o[Ye+4>>2]=qw+(tw<<2)}if(!tw){Cw=1;break a}Aw=o[Ds+8>>2];ww=o[Ds+12>>2];while(1){sw=o[Ds+16>>2];rw=o[Ds+20>>2];qw=rw;if((ww|0)<(qw|0)?1:(ww|0)<=(qw|0)?Aw>>>0>sw>>>0?0:1:0){break a}Bw=o[Ds>>2];xw=p[Bw+sw|0];sw=sw+1|0;if(sw>>>0<1){rw=rw+1|0}qw=Ds;vw=sw;o[qw+16>>2]=sw;o[qw+20>>2]=rw;sw=xw>>>2;c:{d:{e:{yw=xw&3;if(yw>>>0>3){qw=0;break e}qw=0;f:{switch(yw-1|0){case 2:break f;case 0:case 1:break e;default:break d}}rw=sw+uw|0;if(rw>>>0>=tw>>>0){return 0}xl(o[Ye>>2]+(uw<<2)|0,0,(xw&252)+4|0);uw=rw;break c}while(1){if((ww|0)<(rw|0)?1:(ww|0)<=(rw|0)?Aw>>>0>vw>>>0?0:1:0){return 0}xw=p[vw+Bw|0];vw=vw+1|0;if(vw>>>0<1){rw=rw+1|0}tw=Ds;o[tw+16>>2]=vw;o[tw+20>>2]=rw;sw=xw<<(qw<<3|6)|sw;qw=qw+1|0;if((yw|0)!=(qw|0)){continue}break}}o[o[Ye>>2]+(uw<<2)>>2]=sw}uw=uw+1|0;tw=o[zw>>2];if(uw>>>0<tw>>>0){continue}break}rw=Ye+16|0;ww=o[Ye>>2];Ds=o[Ye+16>>2];qw=o[Ye+20>>2]-Ds|0;uw=qw>>2;g:{if(uw>>>0<=65535){Da(rw,65536-uw|0);break g}if((qw|0)==262144){break g}o[Ye+20>>2]=Ds+262144}h:{qw=Ye+28|0;Ds=o[qw>>2];uw=o[Ye+32>>2]-Ds>>3;if(tw>>>0>uw>>>0){mg(qw,tw-uw|0);Ds=o[qw>>2];break h}if(tw>>>0<uw>>>0){o[Ye+32>>2]=(tw<<3)+Ds}if(tw){break h}return 0}sw=0;qw=0;while(1){Ye=ww+(sw<<2)|0;uw=o[Ye>>2];vw=(sw<<3)+Ds|0;o[vw+4>>2]=qw;o[vw>>2]=uw;Ye=o[Ye>>2]+qw|0;if(Ye>>>0>65536){break a}if(qw>>>0<Ye>>>0){uw=o[rw>>2];while(1){o[uw+(qw<<2)>>2]=sw;qw=qw+1|0;if((Ye|0)!=(qw|0)){continue}break}}qw=Ye;sw=sw+1|0;if((tw|0)!=(sw|0)){continue}break}return(Ye|0)==65536}return Cw}function rg(Ye,Ds){var Dw=0,Ew=0,Fw=0,Gw=0,Hw=0,Iw=0,Jw=0,Kw=0,Lw=0,Mw=0,Nw=0,Ow=0,Pw=0;a:{if(!q[Ds+38>>1]){break a}Mw=Ye+12|0;if(!lg(1,Mw,Ds)){break a}Gw=o[Ye+12>>2];Dw=o[Ye>>2];Ew=o[Ye+4>>2]-Dw>>2;b:{if(Gw>>>0>Ew>>>0){Da(Ye,Gw-Ew|0);Gw=o[Ye+12>>2];break b}if(Gw>>>0>=Ew>>>0){break b}o[Ye+4>>2]=Dw+(Gw<<2)}if(!Gw){Pw=1;break a}Nw=o[Ds+8>>2];Jw=o[Ds+12>>2];while(1){Fw=o[Ds+16>>2];Ew=o[Ds+20>>2];Dw=Ew;if((Jw|0)<(Dw|0)?1:(Jw|0)<=(Dw|0)?Nw>>>0>Fw>>>0?0:1:0){break a}Ow=o[Ds>>2];Kw=p[Ow+Fw|0];Fw=Fw+1|0;if(Fw>>>0<1){Ew=Ew+1|0}Dw=Ds;Iw=Fw;o[Dw+16>>2]=Fw;o[Dw+20>>2]=Ew;Fw=Kw>>>2;c:{d:{e:{Lw=Kw&3;if(Lw>>>0>3){Dw=0;break e}Dw=0;f:{switch(Lw-1|0){case 2:break f;case 0:case 1:break e;default:break d}}Ew=Fw+Hw|0;if(Ew>>>0>=Gw>>>0){return 0}xl(o[Ye>>2]+(Hw<<2)|0,0,(Kw&252)+4|0);Hw=Ew;break c}while(1){if((Jw|0)<(Ew|0)?1:(Jw|0)<=(Ew|0)?Nw>>>0>Iw>>>0?0:1:0){return 0}Kw=p[Iw+Ow|0];Iw=Iw+1|0;if(Iw>>>0<1){Ew=Ew+1|0}Gw=Ds;o[Gw+16>>2]=Iw;o[Gw+20>>2]=Ew;Fw=Kw<<(Dw<<3|6)|Fw;Dw=Dw+1|0;if((Lw|0)!=(Dw|0)){continue}break}}o[o[Ye>>2]+(Hw<<2)>>2]=Fw}Hw=Hw+1|0;Gw=o[Mw>>2];if(Hw>>>0<Gw>>>0){continue}break}Ew=Ye+16|0;Jw=o[Ye>>2];Ds=o[Ye+16>>2];Dw=o[Ye+20>>2]-Ds|0;Hw=Dw>>2;g:{if(Hw>>>0<=262143){Da(Ew,262144-Hw|0);break g}if((Dw|0)==1048576){break g}o[Ye+20>>2]=Ds- -1048576}h:{Dw=Ye+28|0;Ds=o[Dw>>2];Hw=o[Ye+32>>2]-Ds>>3;if(Gw>>>0>Hw>>>0){mg(Dw,Gw-Hw|0);Ds=o[Dw>>2];break h}if(Gw>>>0<Hw>>>0){o[Ye+32>>2]=(Gw<<3)+Ds}if(Gw){break h}return 0}Fw=0;Dw=0;while(1){Ye=Jw+(Fw<<2)|0;Hw=o[Ye>>2];Iw=(Fw<<3)+Ds|0;o[Iw+4>>2]=Dw;o[Iw>>2]=Hw;Ye=o[Ye>>2]+Dw|0;if(Ye>>>0>262144){break a}if(Dw>>>0<Ye>>>0){Hw=o[Ew>>2];while(1){o[Hw+(Dw<<2)>>2]=Fw;Dw=Dw+1|0;if((Ye|0)!=(Dw|0)){continue}break}}Dw=Ye;Fw=Fw+1|0;if((Gw|0)!=(Fw|0)){continue}break}return(Ye|0)==262144}return Pw}function sg(Ye,Ds){var Qw=0,Rw=0,Sw=0,Tw=0,Uw=0,Vw=0,Ww=0,Xw=0,Yw=0,Zw=0,_w=0,$w=0,ax=0;a:{if(!q[Ds+38>>1]){break a}Zw=Ye+12|0;if(!lg(1,Zw,Ds)){break a}Tw=o[Ye+12>>2];Qw=o[Ye>>2];Rw=o[Ye+4>>2]-Qw>>2;b:{if(Tw>>>0>Rw>>>0){Da(Ye,Tw-Rw|0);Tw=o[Ye+12>>2];break b}if(Tw>>>0>=Rw>>>0){break b}o[Ye+4>>2]=Qw+(Tw<<2)}if(!Tw){ax=1;break a}_w=o[Ds+8>>2];Ww=o[Ds+12>>2];while(1){Sw=o[Ds+16>>2];Rw=o[Ds+20>>2];Qw=Rw;if((Ww|0)<(Qw|0)?1:(Ww|0)<=(Qw|0)?_w>>>0>Sw>>>0?0:1:0){break a}$w=o[Ds>>2];Xw=p[$w+Sw|0];Sw=Sw+1|0;if(Sw>>>0<1){Rw=Rw+1|0}Qw=Ds;Vw=Sw;o[Qw+16>>2]=Sw;o[Qw+20>>2]=Rw;Sw=Xw>>>2;c:{d:{e:{Yw=Xw&3;if(Yw>>>0>3){Qw=0;break e}Qw=0;f:{switch(Yw-1|0){case 2:break f;case 0:case 1:break e;default:break d}}Rw=Sw+Uw|0;if(Rw>>>0>=Tw>>>0){return 0}xl(o[Ye>>2]+(Uw<<2)|0,0,(Xw&252)+4|0);Uw=Rw;break c}while(1){if((Ww|0)<(Rw|0)?1:(Ww|0)<=(Rw|0)?_w>>>0>Vw>>>0?0:1:0){return 0}Xw=p[Vw+$w|0];Vw=Vw+1|0;if(Vw>>>0<1){Rw=Rw+1|0}Tw=Ds;o[Tw+16>>2]=Vw;o[Tw+20>>2]=Rw;Sw=Xw<<(Qw<<3|6)|Sw;Qw=Qw+1|0;if((Yw|0)!=(Qw|0)){continue}break}}o[o[Ye>>2]+(Uw<<2)>>2]=Sw}Uw=Uw+1|0;Tw=o[Zw>>2];if(Uw>>>0<Tw>>>0){continue}break}Rw=Ye+16|0;Ww=o[Ye>>2];Ds=o[Ye+16>>2];Qw=o[Ye+20>>2]-Ds|0;Uw=Qw>>2;g:{if(Uw>>>0<=524287){Da(Rw,524288-Uw|0);break g}if((Qw|0)==2097152){break g}o[Ye+20>>2]=Ds+2097152}h:{Qw=Ye+28|0;Ds=o[Qw>>2];Uw=o[Ye+32>>2]-Ds>>3;if(Tw>>>0>Uw>>>0){mg(Qw,Tw-Uw|0);Ds=o[Qw>>2];break h}if(Tw>>>0<Uw>>>0){o[Ye+32>>2]=(Tw<<3)+Ds}if(Tw){break h}return 0}Sw=0;Qw=0;while(1){Ye=Ww+(Sw<<2)|0;Uw=o[Ye>>2];Vw=(Sw<<3)+Ds|0;o[Vw+4>>2]=Qw;o[Vw>>2]=Uw;Ye=o[Ye>>2]+Qw|0;if(Ye>>>0>524288){break a}if(Qw>>>0<Ye>>>0){Uw=o[Rw>>2];while(1){o[Uw+(Qw<<2)>>2]=Sw;Qw=Qw+1|0;if((Ye|0)!=(Qw|0)){continue}break}}Qw=Ye;Sw=Sw+1|0;if((Tw|0)!=(Sw|0)){continue}break}return(Ye|0)==524288}return ax}function tg(Ye,Ds){var bx=0,cx=0,dx=0,ex=0,fx=0,gx=0,hx=0,ix=0,jx=0,kx=0,lx=0,mx=0,nx=0;a:{if(!q[Ds+38>>1]){break a}kx=Ye+12|0;if(!lg(1,kx,Ds)){break a}ex=o[Ye+12>>2];bx=o[Ye>>2];cx=o[Ye+4>>2]-bx>>2;b:{if(ex>>>0>cx>>>0){Da(Ye,ex-cx|0);ex=o[Ye+12>>2];break b}if(ex>>>0>=cx>>>0){break b}o[Ye+4>>2]=bx+(ex<<2)}if(!ex){nx=1;break a}lx=o[Ds+8>>2];hx=o[Ds+12>>2];while(1){dx=o[Ds+16>>2];cx=o[Ds+20>>2];bx=cx;if((hx|0)<(bx|0)?1:(hx|0)<=(bx|0)?lx>>>0>dx>>>0?0:1:0){break a}mx=o[Ds>>2];ix=p[mx+dx|0];dx=dx+1|0;if(dx>>>0<1){cx=cx+1|0}bx=Ds;gx=dx;o[bx+16>>2]=dx;o[bx+20>>2]=cx;dx=ix>>>2;c:{d:{e:{jx=ix&3;if(jx>>>0>3){bx=0;break e}bx=0;f:{switch(jx-1|0){case 2:break f;case 0:case 1:break e;default:break d}}cx=dx+fx|0;if(cx>>>0>=ex>>>0){return 0}xl(o[Ye>>2]+(fx<<2)|0,0,(ix&252)+4|0);fx=cx;break c}while(1){if((hx|0)<(cx|0)?1:(hx|0)<=(cx|0)?lx>>>0>gx>>>0?0:1:0){return 0}ix=p[gx+mx|0];gx=gx+1|0;if(gx>>>0<1){cx=cx+1|0}ex=Ds;o[ex+16>>2]=gx;o[ex+20>>2]=cx;dx=ix<<(bx<<3|6)|dx;bx=bx+1|0;if((jx|0)!=(bx|0)){continue}break}}o[o[Ye>>2]+(fx<<2)>>2]=dx}fx=fx+1|0;ex=o[kx>>2];if(fx>>>0<ex>>>0){continue}break}cx=Ye+16|0;hx=o[Ye>>2];Ds=o[Ye+16>>2];bx=o[Ye+20>>2]-Ds|0;fx=bx>>2;g:{if(fx>>>0<=1048575){Da(cx,1048576-fx|0);break g}if((bx|0)==4194304){break g}o[Ye+20>>2]=Ds+4194304}h:{bx=Ye+28|0;Ds=o[bx>>2];fx=o[Ye+32>>2]-Ds>>3;if(ex>>>0>fx>>>0){mg(bx,ex-fx|0);Ds=o[bx>>2];break h}if(ex>>>0<fx>>>0){o[Ye+32>>2]=(ex<<3)+Ds}if(ex){break h}return 0}dx=0;bx=0;while(1){Ye=hx+(dx<<2)|0;fx=o[Ye>>2];gx=(dx<<3)+Ds|0;o[gx+4>>2]=bx;o[gx>>2]=fx;Ye=o[Ye>>2]+bx|0;if(Ye>>>0>1048576){break a}if(bx>>>0<Ye>>>0){fx=o[cx>>2];while(1){o[fx+(bx<<2)>>2]=dx;bx=bx+1|0;if((Ye|0)!=(bx|0)){continue}break}}bx=Ye;dx=dx+1|0;if((ex|0)!=(dx|0)){continue}break}return(Ye|0)==1048576}return nx}function ug(Ye){bi(Ye);o[Ye+44>>2]=0;o[Ye>>2]=7968}function vg(Ye){Ye=Ye|0;if(o[Ye+44>>2]){return l[o[o[Ye>>2]+48>>2]](Ye)|0}return 0}function wg(Ye){Ye=Ye|0;var Ds=0,ox=0,px=0,qx=0,rx=0;o[Ye>>2]=10052;Ds=o[Ye+20>>2];if(Ds){o[Ye+24>>2]=Ds;ul(Ds)}px=o[Ye+8>>2];if(px){Ds=px;rx=Ye+12|0;ox=o[rx>>2];qx=Ds;a:{if((Ds|0)==(ox|0)){break a}while(1){ox=ox+ -4|0;Ds=o[ox>>2];o[ox>>2]=0;if(Ds){l[o[o[Ds>>2]+4>>2]](Ds)}if((ox|0)!=(px|0)){continue}break}qx=o[Ye+8>>2]}Ds=qx;o[rx>>2]=px;ul(Ds)}return Ye|0}function xg(Ye,sx){Ye=Ye|0;sx=sx|0;Ye=o[Ye+48>>2];return l[o[o[Ye>>2]+20>>2]](Ye,sx)|0}function yg(Ye){Ye=Ye|0;var sx=0,tx=0,ux=0,vx=0;sx=o[Ye+32>>2];ux=o[sx+16>>2];vx=o[sx+12>>2];tx=o[sx+20>>2];if((vx|0)>(tx|0)?1:(vx|0)>=(tx|0)?r[sx+8>>2]<=ux>>>0?0:1:0){vx=p[ux+o[sx>>2]|0];ux=ux+1|0;if(ux>>>0<1){tx=tx+1|0}o[sx+16>>2]=ux;o[sx+20>>2]=tx;sx=o[Ye+48>>2];o[Ye+48>>2]=0;if(sx){l[o[o[sx>>2]+4>>2]](sx)}a:{b:{if(vx>>>0>2){break b}c:{switch(vx-1|0){default:tx=Hk(384);Gg(tx);sx=o[Ye+48>>2];o[Ye+48>>2]=tx;if(!sx){break a}l[o[o[sx>>2]+4>>2]](sx);break b;case 0:break b;case 1:break c}}tx=Hk(440);fh(tx);sx=o[Ye+48>>2];o[Ye+48>>2]=tx;if(!sx){break a}l[o[o[sx>>2]+4>>2]](sx)}tx=o[Ye+48>>2];if(tx){break a}return 0}Ye=l[o[o[tx>>2]+8>>2]](tx,Ye)|0}else{Ye=0}return Ye|0}function zg(Ye){Ye=Ye|0;Ye=o[Ye+48>>2];return l[o[o[Ye>>2]+24>>2]](Ye)|0}function Ag(Ye){Ye=Ye|0;Ye=o[Ye+48>>2];return l[o[o[Ye>>2]+28>>2]](Ye)|0}function Bg(Ye){Ye=Ye|0;var wx=0,xx=0,yx=0,zx=0,Ax=0;o[Ye>>2]=8064;wx=Ye+48|0;xx=o[wx>>2];o[wx>>2]=0;if(xx){l[o[o[xx>>2]+4>>2]](xx)}o[Ye>>2]=10052;wx=o[Ye+20>>2];if(wx){o[Ye+24>>2]=wx;ul(wx)}xx=o[Ye+8>>2];if(xx){wx=xx;Ax=Ye+12|0;yx=o[Ax>>2];zx=wx;a:{if((wx|0)==(yx|0)){break a}while(1){yx=yx+ -4|0;wx=o[yx>>2];o[yx>>2]=0;if(wx){l[o[o[wx>>2]+4>>2]](wx)}if((xx|0)!=(yx|0)){continue}break}zx=o[Ye+8>>2]}wx=zx;o[Ax>>2]=xx;ul(wx)}return Ye|0}
+
+
+
+function Cg(a){a=a|0;var b=0,c=0,d=0,e=0,f=0;o[a>>2]=8064;b=a+48|0;c=o[b>>2];o[b>>2]=0;if(c){l[o[o[c>>2]+4>>2]](c)}o[a>>2]=10052;b=o[a+20>>2];if(b){o[a+24>>2]=b;ul(b)}c=o[a+8>>2];if(c){b=c;f=a+12|0;d=o[f>>2];e=b;a:{if((b|0)==(d|0)){break a}while(1){d=d+ -4|0;b=o[d>>2];o[d>>2]=0;if(b){l[o[o[b>>2]+4>>2]](b)}if((c|0)!=(d|0)){continue}break}e=o[a+8>>2]}b=e;o[f>>2]=c;ul(b)}ul(a)}function Dg(a){a=a|0;a=o[a+48>>2];return l[o[o[a>>2]+36>>2]](a)|0}function Eg(a,g){a=a|0;g=g|0;a=o[a+48>>2];return l[o[o[a>>2]+12>>2]](a,g)|0}function Fg(a,g){a=a|0;g=g|0;a=o[a+48>>2];return l[o[o[a>>2]+16>>2]](a,g)|0}function Gg(a){o[a>>2]=8172;xl(a+4|0,0,80);o[a+96>>2]=0;o[a+100>>2]=0;o[a+92>>2]=-1;o[a+84>>2]=-1;o[a+88>>2]=-1;o[a+104>>2]=0;o[a+108>>2]=0;o[a+112>>2]=0;o[a+116>>2]=0;o[a+120>>2]=0;o[a+124>>2]=0;o[a+128>>2]=0;o[a+132>>2]=0;o[a+136>>2]=0;o[a+140>>2]=0;o[a+144>>2]=0;o[a+148>>2]=0;o[a+156>>2]=0;o[a+160>>2]=0;o[a+152>>2]=1065353216;o[a+164>>2]=0;o[a+168>>2]=0;o[a+172>>2]=0;o[a+176>>2]=0;o[a+180>>2]=0;o[a+184>>2]=0;o[a+188>>2]=0;o[a+192>>2]=0;o[a+196>>2]=0;o[a+200>>2]=0;o[a+204>>2]=0;o[a+208>>2]=0;o[a+212>>2]=-1;o[a+216>>2]=0;o[a+220>>2]=0;o[a+224>>2]=0;Hg(a+232|0)}function Hg(a){oi(a);oi(a+40|0);Mf(a+80|0);oi(a+96|0);o[a+144>>2]=0;o[a+136>>2]=0;o[a+140>>2]=0}function Ig(a,g){a=a|0;g=g|0;o[a+4>>2]=g;return 1}function Jg(a,g){a=a|0;g=g|0;var h=0,i=0,j=0,k=0,m=0;h=o[a+216>>2];k=a+220|0;if((h|0)!=o[k>>2]){while(1){a:{h=o[u(j,144)+h>>2];if((h|0)<0){break a}m=o[a+4>>2];i=o[m+8>>2];if((h|0)>=o[m+12>>2]-i>>2){break a}h=o[i+(h<<2)>>2];if((l[o[o[h>>2]+24>>2]](h)|0)<1){break a}i=0;while(1){if((l[o[o[h>>2]+20>>2]](h,i)|0)!=(g|0)){i=i+1|0;if((i|0)<(l[o[o[h>>2]+24>>2]](h)|0)){continue}break a}break}a=o[a+216>>2]+u(j,144)|0;return(p[a+100|0]?a+4|0:0)|0}j=j+1|0;h=o[a+216>>2];if(j>>>0<(o[k>>2]-h|0)/144>>>0){continue}break}}return 0}function Kg(a,g){a=a|0;g=g|0;var n=0,p=0,q=0,r=0,s=0;n=o[a+216>>2];r=a+220|0;if((n|0)!=o[r>>2]){while(1){a:{n=o[u(q,144)+n>>2];if((n|0)<0){break a}s=o[a+4>>2];p=o[s+8>>2];if((n|0)>=o[s+12>>2]-p>>2){break a}n=o[p+(n<<2)>>2];if((l[o[o[n>>2]+24>>2]](n)|0)<1){break a}p=0;while(1){if((l[o[o[n>>2]+20>>2]](n,p)|0)!=(g|0)){p=p+1|0;if((p|0)<(l[o[o[n>>2]+24>>2]](n)|0)){continue}break a}break}return(o[a+216>>2]+u(q,144)|0)+104|0}q=q+1|0;n=o[a+216>>2];if(q>>>0<(o[r>>2]-n|0)/144>>>0){continue}break}}return a+184|0}function Lg(a,g){a=a|0;g=g|0;var t=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,E=0,F=0,G=0,H=0,I=0,J=0;x=R-80|0;R=x;a:{b:{H=o[a+4>>2];t=o[H+32>>2];C=o[t+8>>2];B=o[t+16>>2];F=o[t+12>>2];v=F;z=o[t+20>>2];y=z;c:{if((v|0)<(y|0)?1:(v|0)<=(y|0)?C>>>0>B>>>0?0:1:0){break c}I=o[t>>2];E=p[I+B|0];v=z;A=B+1|0;if(A>>>0<1){v=v+1|0}y=t;o[t+16>>2]=A;o[t+20>>2]=v;if((F|0)<(v|0)?1:(F|0)<=(v|0)?C>>>0>A>>>0?0:1:0){break c}J=p[A+I|0];v=z;A=B+2|0;if(A>>>0<2){v=v+1|0}o[t+16>>2]=A;o[y+20>>2]=v;G=E<<24>>24;d:{if((G|0)>=0){y=o[a+216>>2];if((o[a+220>>2]-y|0)/144>>>0<=E>>>0){break c}y=y+u(E,144)|0;if(o[y>>2]<=-1){break d}break c}if(o[a+212>>2]>-1){break c}y=a+212|0}o[y>>2]=g;y=0;w=q[H+36>>1];if((w<<24|w<<8&16711680)>>>16>>>0>=258){w=0;if((F|0)<(v|0)?1:(F|0)<=(v|0)?C>>>0>A>>>0?0:1:0){break c}y=p[A+I|0];v=B+3|0;if(v>>>0<3){z=z+1|0}o[t+16>>2]=v;o[t+20>>2]=z}e:{f:{g:{if(!J){if((G|0)<=-1){t=a+184|0}else{t=o[a+216>>2]+u(E,144)|0;m[t+100|0]=0;t=t+104|0}w=0;if(y>>>0>1){break c}if(!(y-1)){break g}Mg(x+16|0,a,t);break f}w=0;if(y|(G|0)<0){break c}z=o[H+44>>2];w=o[a+216>>2];t=Hk(80);o[t>>2]=9636;o[t+76>>2]=0;o[t+68>>2]=z;v=t+12|0;o[v>>2]=0;o[v+4>>2]=0;o[t+4>>2]=0;y=t+20|0;o[y>>2]=0;o[y+4>>2]=0;F=t+28|0;B=F;o[B>>2]=0;o[B+4>>2]=0;o[t+36>>2]=0;o[t+40>>2]=0;B=t+44|0;o[B>>2]=0;o[B+4>>2]=0;o[t+52>>2]=0;w=w+u(E,144)|0;E=w+104|0;o[t+72>>2]=E;o[t- -64>>2]=0;H=t+56|0;C=H;o[C>>2]=0;o[C+4>>2]=0;o[t+8>>2]=8512;C=x+56|0;o[C>>2]=0;o[C+4>>2]=0;o[x+48>>2]=0;o[x+52>>2]=0;I=x+32|0;A=I;o[A>>2]=0;o[A+4>>2]=0;o[x+72>>2]=0;o[x+40>>2]=0;o[x+44>>2]=0;o[x+24>>2]=0;o[x+28>>2]=0;o[x+64>>2]=0;o[x+68>>2]=0;o[x+16>>2]=8512;A=w+4|0;o[x+20>>2]=A;w=o[w+68>>2];G=o[w>>2];w=o[w+4>>2];m[x+79|0]=0;$a(x+40|0,(w-G>>2>>>0)/3|0,x+79|0);w=o[x+20>>2];G=o[w+56>>2];w=o[w+52>>2];m[x+79|0]=0;$a(x+52|0,G-w>>2,x+79|0);o[x+36>>2]=t;o[I>>2]=z;z=x+28|0;o[z>>2]=E;o[x+24>>2]=A;o[F>>2]=t;w=o[z+4>>2];o[y>>2]=o[z>>2];o[y+4>>2]=w;z=o[x+24>>2];o[v>>2]=o[x+20>>2];o[v+4>>2]=z;z=t;w=o[x+44>>2];if(w){v=t+32|0;h:{if(w>>>0<=o[t+40>>2]<<5>>>0){y=w+ -1>>>5;w=o[v>>2];break h}v=o[v>>2];if(v){ul(v);o[t+40>>2]=0;o[t+32>>2]=0;o[t+36>>2]=0;w=o[x+44>>2]}if((w|0)<=-1){break b}y=w+ -1>>>5;v=y+1|0;w=Hk(v<<2);o[t+40>>2]=v;o[t+36>>2]=0;o[t+32>>2]=w}yl(w,o[x+40>>2],(y<<2)+4|0);v=o[x+44>>2]}else{v=0}o[z+36>>2]=v;z=t;w=o[C>>2];if(w){i:{if(w>>>0<=o[t+52>>2]<<5>>>0){v=w+ -1>>>5;w=o[B>>2];break i}v=o[B>>2];if(v){ul(v);o[t+52>>2]=0;o[t+44>>2]=0;o[t+48>>2]=0;w=o[x+56>>2]}if((w|0)<=-1){break a}v=w+ -1>>>5;y=v+1|0;w=Hk(y<<2);o[t+52>>2]=y;o[t+48>>2]=0;o[t+44>>2]=w}yl(w,o[x+52>>2],(v<<2)+4|0);v=o[x+56>>2]}else{v=0}o[z+48>>2]=v;td(H,o[x+64>>2],o[x+68>>2]);o[x+16>>2]=8512;z=o[x+64>>2];if(z){o[x+68>>2]=z;ul(z)}o[x+16>>2]=8764;z=o[x+52>>2];if(z){ul(z)}z=o[x+40>>2];if(!z){break e}ul(z);break e}Ng(x+16|0,a,t)}t=o[x+16>>2];if(!t){break c}}z=Hk(64);o[x+8>>2]=t;Qd(z,x+8|0);t=o[x+8>>2];o[x+8>>2]=0;if(t){l[o[o[t>>2]+4>>2]](t)}if((g|0)>=0){a=o[a+4>>2];w=a+8|0;t=o[a+12>>2];E=o[a+8>>2];v=t-E>>2;j:{if((v|0)>(g|0)){break j}y=g+1|0;if(v>>>0<=g>>>0){Og(w,y-v|0);break j}if(y>>>0>=v>>>0){break j}y=E+(y<<2)|0;if((y|0)!=(t|0)){while(1){t=t+ -4|0;v=o[t>>2];o[t>>2]=0;if(v){l[o[o[v>>2]+4>>2]](v)}if((t|0)!=(y|0)){continue}break}}o[a+12>>2]=y}g=o[w>>2]+(g<<2)|0;a=o[g>>2];o[g>>2]=z;w=1;if(!a){break c}l[o[o[a>>2]+4>>2]](a);break c}l[o[o[z>>2]+4>>2]](z);w=0}R=x+80|0;return w|0}Yk();D()}Yk();D()}function Mg(a,g,l){var u=0,K=0,L=0,M=0,N=0,O=0,P=0,Q=0,S=0,T=0,U=0,V=0;u=R+ -64|0;R=u;L=o[o[g+4>>2]+44>>2];K=Hk(80);o[K>>2]=9344;o[K+76>>2]=0;o[K+72>>2]=l;o[K+68>>2]=L;M=K+12|0;o[M>>2]=0;o[M+4>>2]=0;o[K+4>>2]=0;Q=K+20|0;N=Q;o[N>>2]=0;o[N+4>>2]=0;T=K+28|0;N=T;o[N>>2]=0;o[N+4>>2]=0;o[K+36>>2]=0;o[K+40>>2]=0;N=K+44|0;o[N>>2]=0;o[N+4>>2]=0;o[K+52>>2]=0;o[K- -64>>2]=0;U=K+56|0;P=U;o[P>>2]=0;o[P+4>>2]=0;o[K+8>>2]=9508;g=o[g+8>>2];P=u+40|0;o[P>>2]=0;o[P+4>>2]=0;o[u+32>>2]=0;o[u+36>>2]=0;V=u+16|0;O=V;o[O>>2]=0;o[O+4>>2]=0;o[u+56>>2]=0;o[u+24>>2]=0;o[u+28>>2]=0;o[u+8>>2]=0;o[u+12>>2]=0;o[u+48>>2]=0;o[u+52>>2]=0;o[u>>2]=9508;o[u+4>>2]=g;O=o[g>>2];S=o[g+4>>2];m[u+63|0]=0;$a(u+24|0,(S-O>>2>>>0)/3|0,u+63|0);O=o[u+4>>2];S=o[O+28>>2];O=o[O+24>>2];m[u+63|0]=0;$a(u+36|0,S-O>>2,u+63|0);o[u+20>>2]=K;o[V>>2]=L;L=u+12|0;o[L>>2]=l;o[u+8>>2]=g;o[T>>2]=K;g=o[L+4>>2];o[Q>>2]=o[L>>2];o[Q+4>>2]=g;g=o[u+8>>2];o[M>>2]=o[u+4>>2];o[M+4>>2]=g;a:{b:{l=K;g=o[u+28>>2];if(g){L=K+32|0;c:{if(g>>>0<=o[K+40>>2]<<5>>>0){M=g+ -1>>>5;g=o[L>>2];break c}L=o[L>>2];if(L){ul(L);o[K+40>>2]=0;o[K+32>>2]=0;o[K+36>>2]=0;g=o[u+28>>2]}if((g|0)<=-1){break b}M=g+ -1>>>5;L=M+1|0;g=Hk(L<<2);o[K+40>>2]=L;o[K+36>>2]=0;o[K+32>>2]=g}yl(g,o[u+24>>2],(M<<2)+4|0);g=o[u+28>>2]}else{g=0}o[l+36>>2]=g;Q=K;g=o[P>>2];if(g){d:{if(g>>>0<=o[K+52>>2]<<5>>>0){l=g+ -1>>>5;g=o[N>>2];break d}l=o[N>>2];if(l){ul(l);o[K+52>>2]=0;o[K+44>>2]=0;o[K+48>>2]=0;g=o[u+40>>2]}if((g|0)<=-1){break a}l=g+ -1>>>5;M=l+1|0;g=Hk(M<<2);o[K+52>>2]=M;o[K+48>>2]=0;o[K+44>>2]=g}yl(g,o[u+36>>2],(l<<2)+4|0);g=o[u+40>>2]}else{g=0}o[Q+48>>2]=g;td(U,o[u+48>>2],o[u+52>>2]);o[a>>2]=K;o[u>>2]=9508;a=o[u+48>>2];if(a){o[u+52>>2]=a;ul(a)}o[u>>2]=9324;a=o[u+36>>2];if(a){ul(a)}a=o[u+24>>2];if(a){ul(a)}R=u- -64|0;return}Yk();D()}Yk();D()}function Ng(a,g,l){var D=0,W=0,X=0,Y=0,Z=0,_=0,$=0;D=R-112|0;R=D;$=o[o[g+4>>2]+44>>2];W=Hk(120);o[W>>2]=8876;o[W+116>>2]=0;o[W+112>>2]=l;o[W+108>>2]=$;o[W+12>>2]=0;o[W+16>>2]=0;o[W+4>>2]=0;o[W+20>>2]=0;o[W+24>>2]=0;o[W+28>>2]=0;o[W+32>>2]=0;o[W+36>>2]=0;o[W+40>>2]=0;o[W+44>>2]=0;o[W+48>>2]=0;o[W+52>>2]=0;o[W+56>>2]=0;o[W+60>>2]=0;o[W+8>>2]=9088;Z=W- -64|0;o[Z>>2]=0;o[Z+4>>2]=0;o[W+72>>2]=0;o[W+76>>2]=0;o[W+80>>2]=0;o[W+84>>2]=0;o[W+88>>2]=0;o[W+104>>2]=0;o[W+96>>2]=0;o[W+100>>2]=0;g=o[g+8>>2];o[D+48>>2]=0;o[D+52>>2]=0;o[D+40>>2]=0;o[D+44>>2]=0;Z=D+24|0;X=Z;o[X>>2]=0;o[X+4>>2]=0;X=D- -64|0;o[X>>2]=0;o[X+4>>2]=0;o[D+72>>2]=0;o[D+76>>2]=0;X=D+80|0;o[X>>2]=0;o[X+4>>2]=0;o[D+88>>2]=0;o[D+104>>2]=0;o[D+32>>2]=0;o[D+36>>2]=0;o[D+16>>2]=0;o[D+20>>2]=0;o[D+56>>2]=0;o[D+60>>2]=0;o[D+8>>2]=9088;o[D+96>>2]=0;o[D+100>>2]=0;o[D+12>>2]=g;Y=o[g>>2];_=o[g+4>>2];m[D+111|0]=0;$a(D+32|0,(_-Y>>2>>>0)/3|0,D+111|0);Y=o[D+12>>2];_=o[Y+28>>2];Y=o[Y+24>>2];m[D+111|0]=0;$a(D+44|0,_-Y>>2,D+111|0);o[D+28>>2]=W;o[Z>>2]=$;o[D+20>>2]=l;o[D+16>>2]=g;Pg(W,D+8|0);o[a>>2]=W;o[D+8>>2]=9088;a=o[D+96>>2];if(a){o[D+100>>2]=a;ul(a)}a=o[X>>2];if(a){o[D+84>>2]=a;ul(a)}a=o[D+68>>2];if(a){o[D+72>>2]=a;ul(a)}a=o[D+56>>2];if(a){o[D+60>>2]=a;ul(a)}o[D+8>>2]=9324;a=o[D+44>>2];if(a){ul(a)}a=o[D+32>>2];if(a){ul(a)}R=D+112|0}function Og(a,g){var R=0,aa=0,ba=0,ca=0,da=0,ea=0,fa=0,ga=0,ha=0;aa=o[a+8>>2];ba=a+4|0;R=o[ba>>2];if(aa-R>>2>>>0>=g>>>0){a=g<<2;ga=ba,ha=xl(R,0,a)+a|0,o[ga>>2]=ha;return}a:{ba=o[a>>2];ca=R-ba>>2;da=ca+g|0;if(da>>>0<1073741824){ca=ca<<2;aa=aa-ba|0;fa=aa>>1;aa=aa>>2>>>0<536870911?fa>>>0<da>>>0?da:fa:1073741823;if(aa){if(aa>>>0>=1073741824){break a}ea=Hk(aa<<2)}ca=ca+ea|0;xl(ca,0,g<<2);g=(da<<2)+ea|0;da=(aa<<2)+ea|0;if((R|0)!=(ba|0)){while(1){R=R+ -4|0;aa=o[R>>2];o[R>>2]=0;ca=ca+ -4|0;o[ca>>2]=aa;if((R|0)!=(ba|0)){continue}break}ba=o[a>>2];R=o[a+4>>2]}o[a>>2]=ca;o[a+8>>2]=da;o[a+4>>2]=g;if((R|0)!=(ba|0)){while(1){R=R+ -4|0;a=o[R>>2];o[R>>2]=0;if(a){l[o[o[a>>2]+4>>2]](a)}if((R|0)!=(ba|0)){continue}break}}if(ba){ul(ba)}return}Yk();D()}_a(8776);D()}function Pg(a,g){var l=0;l=o[g+8>>2];o[a+12>>2]=o[g+4>>2];o[a+16>>2]=l;o[a+28>>2]=o[g+20>>2];l=o[g+16>>2];o[a+20>>2]=o[g+12>>2];o[a+24>>2]=l;uh(a+32|0,g+24|0);uh(a+44|0,g+36|0);if((a+8|0)==(g|0)){o[a+92>>2]=o[g+84>>2];return}td(a+56|0,o[g+48>>2],o[g+52>>2]);td(a+68|0,o[g+60>>2],o[g- -64>>2]);td(a+80|0,o[g+72>>2],o[g+76>>2]);o[a+92>>2]=o[g+84>>2];fd(a+96|0,o[g+88>>2],o[g+92>>2])}function Qg(a,g,ia){a=a|0;g=g|0;ia=ia|0;var ja=0,ka=0;ja=R-16|0;R=ja;o[a+4>>2]=g;g=o[g+64>>2];ka=o[g+4>>2];g=o[g>>2];m[ja+15|0]=0;$a(a+24|0,(ka-g>>2>>>0)/3|0,ja+15|0);g=o[a+4>>2];ka=o[g+56>>2];g=o[g+52>>2];m[ja+14|0]=0;$a(a+36|0,ka-g>>2,ja+14|0);g=o[ia+12>>2];o[a+16>>2]=o[ia+8>>2];o[a+20>>2]=g;g=o[ia+4>>2];o[a+8>>2]=o[ia>>2];o[a+12>>2]=g;R=ja+16|0}function Rg(a){a=a|0;var g=0;o[a>>2]=8512;g=o[a+48>>2];if(g){o[a+52>>2]=g;ul(g)}o[a>>2]=8764;g=o[a+36>>2];if(g){ul(g)}g=o[a+24>>2];if(g){ul(g)}return a|0}function Sg(a){a=a|0;var ia=0,la=0,ma=0,na=0,oa=0,pa=0,qa=0,ra=0,sa=0,ta=0,va=0,wa=0,xa=0,ya=0;qa=R+ -64|0;R=qa;o[a+132>>2]=0;if(o[a+148>>2]){ma=a+144|0;la=o[ma>>2];if(la){while(1){ia=o[la>>2];ul(la);la=ia;if(ia){continue}break}}o[ma>>2]=0;ia=o[a+140>>2];if(ia){ma=a+136|0;la=0;while(1){o[o[ma>>2]+(la<<2)>>2]=0;la=la+1|0;if((ia|0)!=(la|0)){continue}break}}o[a+148>>2]=0}a:{if(!Tg(1,qa+52|0,o[o[a+4>>2]+32>>2])){break a}o[a+156>>2]=o[qa+52>>2];if(!Tg(1,qa+48|0,o[o[a+4>>2]+32>>2])){break a}na=o[qa+48>>2];if(na>>>0>1431655765|r[a+156>>2]>u(na,3)>>>0){break a}la=o[o[a+4>>2]+32>>2];ra=o[la+16>>2];ma=o[la+12>>2];ia=o[la+20>>2];if((ma|0)<(ia|0)?1:(ma|0)<=(ia|0)?r[la+8>>2]>ra>>>0?0:1:0){break a}pa=p[ra+o[la>>2]|0];ra=ra+1|0;if(ra>>>0<1){ia=ia+1|0}o[la+16>>2]=ra;o[la+20>>2]=ia;if(!Tg(1,qa+44|0,la)){break a}ta=o[qa+44>>2];if(na>>>0<ta>>>0|na>>>0>ta+((ta>>>0)/3|0)>>>0){break a}if(!Tg(1,qa+40|0,o[o[a+4>>2]+32>>2])){break a}sa=o[qa+40>>2];if(sa>>>0>ta>>>0){break a}o[a+28>>2]=o[a+24>>2];ia=Hk(88);zi(ia);la=o[a+8>>2];o[a+8>>2]=ia;ra=a+8|0;if(la){ua(ra,la);if(!o[ra>>2]){break a}}la=o[a+160>>2];o[a+164>>2]=la;b:{c:{d:{e:{f:{if(o[a+168>>2]-la>>2>>>0>=na>>>0){break f}if(na>>>0>=1073741824){break e}ma=na<<2;ia=Hk(ma);o[a+164>>2]=ia;o[a+160>>2]=ia;o[a+168>>2]=ia+ma;if(!la){break f}ul(la)}la=o[a+172>>2];o[a+176>>2]=la;g:{if(o[a+180>>2]-la>>2>>>0>=na>>>0){break g}if(na>>>0>=1073741824){break d}ma=na<<2;ia=Hk(ma);o[a+176>>2]=ia;o[a+172>>2]=ia;o[a+180>>2]=ia+ma;if(!la){break g}ul(la)}o[a+92>>2]=-1;o[a+84>>2]=-1;o[a+88>>2]=-1;o[a+40>>2]=o[a+36>>2];o[a- -64>>2]=0;o[a+52>>2]=o[a+48>>2];o[a+76>>2]=o[a+72>>2];va=a+216|0;ia=o[a+220>>2];la=o[a+216>>2];if((ia|0)==(la|0)){break c}while(1){ma=o[ia+ -12>>2];if(ma){o[ia+ -8>>2]=ma;ul(ma)}ma=o[ia+ -28>>2];if(ma){o[ia+ -24>>2]=ma;ul(ma)}ma=ia+ -144|0;oa=o[ia+ -40>>2];if(oa){o[ia+ -36>>2]=oa;ul(oa)}Ug(ia+ -140|0);ia=ma;if((la|0)!=(ia|0)){continue}break}ia=o[va>>2];break b}_a(8776);D()}_a(8776);D()}ia=la}o[a+220>>2]=la;ma=(la-ia|0)/144|0;h:{if(ma>>>0<pa>>>0){Vg(va,pa-ma|0);break h}if(ma>>>0<=pa>>>0){break h}ma=ia+u(pa,144)|0;if((ma|0)!=(la|0)){while(1){ia=o[la+ -12>>2];if(ia){o[la+ -8>>2]=ia;ul(ia)}ia=o[la+ -28>>2];if(ia){o[la+ -24>>2]=ia;ul(ia)}ia=la+ -144|0;oa=o[la+ -40>>2];if(oa){o[la+ -36>>2]=oa;ul(oa)}Ug(la+ -140|0);la=ia;if((ia|0)!=(ma|0)){continue}break}}o[a+220>>2]=ma}oa=0;if(!Ji(o[a+8>>2],na,sa+o[a+156>>2]|0)){break a}la=o[a+156>>2];m[qa|0]=1;$a(a+120|0,la+sa|0,qa);if((Wg(a,o[o[a+4>>2]+32>>2])|0)==-1){break a}o[a+376>>2]=a;na=a+232|0;la=o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2];oa=o[la>>2]+o[la+16>>2]|0;ma=o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2];la=o[ma+8>>2];ia=o[ma+16>>2];pi(na,oa,la-ia|0,q[o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2]+38>>1]);o[a+372>>2]=pa;la=oi(qa);ia=o[a+268>>2];o[a+304>>2]=o[a+264>>2];o[a+308>>2]=ia;ia=o[a+260>>2];o[a+296>>2]=o[a+256>>2];o[a+300>>2]=ia;ma=a+248|0;ia=o[ma+4>>2];o[a+288>>2]=o[ma>>2];o[a+292>>2]=ia;oa=a+240|0;ia=oa;pa=o[ia+4>>2];o[a+280>>2]=o[ia>>2];o[a+284>>2]=pa;ia=o[a+236>>2];pa=a+272|0;o[pa>>2]=o[a+232>>2];o[pa+4>>2]=ia;i:{j:{if(qi(pa,1,qa+56|0)){ia=o[pa+4>>2];o[na>>2]=o[pa>>2];o[na+4>>2]=ia;ia=o[pa+36>>2];o[na+32>>2]=o[pa+32>>2];o[na+36>>2]=ia;ia=o[pa+28>>2];o[na+24>>2]=o[pa+24>>2];o[na+28>>2]=ia;ia=o[pa+20>>2];o[na+16>>2]=o[pa+16>>2];o[na+20>>2]=ia;ia=o[pa+12>>2];o[na+8>>2]=o[pa+8>>2];o[na+12>>2]=ia;sa=o[oa>>2];ia=o[ma>>2];xa=sa-ia|0;wa=o[qa+60>>2];ya=o[oa+4>>2];oa=o[ma+4>>2];ma=ya-(oa+(sa>>>0<ia>>>0)|0)|0;sa=o[qa+56>>2];if((wa|0)==(ma|0)&sa>>>0<=xa>>>0|wa>>>0<ma>>>0){break j}}oa=0;break i}oa=oa+wa|0;sa=ia+sa|0;if(sa>>>0<ia>>>0){oa=oa+1|0}o[a+248>>2]=sa;o[a+252>>2]=oa;oa=0;if(!Nf(a+312|0,na)){break i}if(!Xg(na)){break i}ia=o[na+36>>2];o[qa+32>>2]=o[na+32>>2];o[qa+36>>2]=ia;ia=o[na+28>>2];o[qa+24>>2]=o[na+24>>2];o[qa+28>>2]=ia;ia=o[na+20>>2];o[qa+16>>2]=o[na+16>>2];o[qa+20>>2]=ia;ia=o[na+12>>2];o[qa+8>>2]=o[na+8>>2];o[qa+12>>2]=ia;ia=o[na+4>>2];o[qa>>2]=o[na>>2];o[qa+4>>2]=ia;ta=Yg(a,ta);if((ta|0)==-1){break i}ma=o[o[a+4>>2]+32>>2];ia=o[la+16>>2];na=ia+o[la>>2]|0;la=o[la+8>>2];pi(ma,na,la-ia|0,q[ma+38>>1]);k:{if(o[a+220>>2]==o[a+216>>2]){break k}la=o[ra>>2];if(o[la+4>>2]==o[la>>2]){break k}ia=0;while(1){if(Zg(a,ia)){ia=ia+3|0;la=o[ra>>2];if(ia>>>0<o[la+4>>2]-o[la>>2]>>2>>>0){continue}break k}break}break i}if(p[a+308|0]){si(pa)}la=o[a+216>>2];pa=a+220|0;if((la|0)!=o[pa>>2]){ma=0;while(1){na=u(ma,144);Ui((na+la|0)+4|0,o[ra>>2]);ia=o[va>>2];oa=na+ia|0;la=o[oa+132>>2];oa=o[oa+136>>2];if((la|0)!=(oa|0)){while(1){Wi((ia+na|0)+4|0,o[la>>2]);ia=o[va>>2];la=la+4|0;if((oa|0)!=(la|0)){continue}break}}Vi((ia+na|0)+4|0);ma=ma+1|0;la=o[a+216>>2];if(ma>>>0<(o[pa>>2]-la|0)/144>>>0){continue}break}}la=o[a+8>>2];_g(a+184|0,o[la+28>>2]-o[la+24>>2]>>2);ia=o[a+216>>2];if((ia|0)!=o[pa>>2]){la=0;na=a+220|0;while(1){ia=u(la,144)+ia|0;ma=o[ia+60>>2]-o[ia+56>>2]>>2;pa=ia+104|0;ia=o[ra>>2];ia=o[ia+28>>2]-o[ia+24>>2]>>2;_g(pa,(ma|0)<(ia|0)?ia:ma);la=la+1|0;ia=o[a+216>>2];if(la>>>0<(o[na>>2]-ia|0)/144>>>0){continue}break}}oa=$g(a,ta)}}R=qa- -64|0;return oa|0}function Tg(a,ua,za){var Aa=0,Ba=0,Ca=0,Da=0;a:{if(a>>>0>5){break a}Ca=o[za+16>>2];Aa=o[za+12>>2];Ba=o[za+20>>2];if((Aa|0)<(Ba|0)?1:(Aa|0)<=(Ba|0)?r[za+8>>2]>Ca>>>0?0:1:0){break a}Aa=p[Ca+o[za>>2]|0];Ca=Ca+1|0;if(Ca>>>0<1){Ba=Ba+1|0}o[za+16>>2]=Ca;o[za+20>>2]=Ba;Ba=ua;if(Aa&128){if(!Tg(a+1|0,ua,za)){break a}a=o[ua>>2]<<7;o[ua>>2]=a;Aa=a|Aa&127}o[Ba>>2]=Aa;Da=1}return Da}function Ug(a){var ua=0;ua=o[a+84>>2];if(ua){o[a+88>>2]=ua;ul(ua)}ua=o[a+72>>2];if(ua){o[a+76>>2]=ua;ul(ua)}ua=o[a+52>>2];if(ua){o[a+56>>2]=ua;ul(ua)}ua=o[a+40>>2];if(ua){o[a+44>>2]=ua;ul(ua)}ua=o[a+28>>2];if(ua){o[a+32>>2]=ua;ul(ua)}ua=o[a+12>>2];if(ua){ul(ua)}a=o[a>>2];if(a){ul(a)}}function Vg(a,za){var Ea=0,Fa=0,Ga=0,Ha=0,Ia=0,Ja=0;Fa=R-32|0;R=Fa;a:{b:{Ga=o[a+8>>2];Ha=a+4|0;Ea=o[Ha>>2];c:{if((Ga-Ea|0)/144>>>0>=za>>>0){while(1){o[Ea>>2]=-1;Ti(Ea+4|0);o[Ea+104>>2]=0;o[Ea+108>>2]=0;m[Ea+100|0]=1;o[Ea+112>>2]=0;o[Ea+116>>2]=0;o[Ea+120>>2]=0;o[Ea+124>>2]=0;o[Ea+128>>2]=0;o[Ea+132>>2]=0;o[Ea+136>>2]=0;o[Ea+140>>2]=0;Ea=o[Ha>>2]+144|0;o[Ha>>2]=Ea;za=za+ -1|0;if(za){continue}break c}}Ia=o[a>>2];Ja=(Ea-Ia|0)/144|0;Ea=Ja+za|0;if(Ea>>>0>=29826162){break b}o[Fa+24>>2]=a+8;Ha=0;o[Fa+20>>2]=0;Ga=(Ga-Ia|0)/144|0;Ia=Ga<<1;Ga=Ga>>>0<14913080?Ia>>>0<Ea>>>0?Ea:Ia:29826161;if(Ga){if(Ga>>>0>=29826162){break a}Ha=Hk(u(Ga,144))}o[Fa+8>>2]=Ha;Ea=u(Ja,144)+Ha|0;o[Fa+16>>2]=Ea;o[Fa+20>>2]=u(Ga,144)+Ha;o[Fa+12>>2]=Ea;while(1){o[Ea>>2]=-1;Ti(Ea+4|0);o[Ea+104>>2]=0;o[Ea+108>>2]=0;m[Ea+100|0]=1;o[Ea+112>>2]=0;o[Ea+116>>2]=0;o[Ea+120>>2]=0;o[Ea+124>>2]=0;o[Ea+128>>2]=0;o[Ea+132>>2]=0;o[Ea+136>>2]=0;o[Ea+140>>2]=0;Ea=o[Fa+16>>2]+144|0;o[Fa+16>>2]=Ea;za=za+ -1|0;if(za){continue}break}za=o[a+4>>2];Ga=o[a>>2];d:{if((za|0)==(Ga|0)){Ha=o[Fa+12>>2];break d}Ha=o[Fa+12>>2];while(1){za=za+ -144|0;Ha=Qh(Ha+ -144|0,za);if((za|0)!=(Ga|0)){continue}break}o[Fa+12>>2]=Ha;za=o[a+4>>2];Ga=o[a>>2]}o[a>>2]=Ha;o[Fa+12>>2]=Ga;o[a+4>>2]=Ea;o[Fa+16>>2]=za;a=a+8|0;za=o[a>>2];o[a>>2]=o[Fa+20>>2];o[Fa+8>>2]=Ga;o[Fa+20>>2]=za;Rh(Fa+8|0)}R=Fa+32|0;return}Yk();D()}_a(8776);D()}function Wg(a,za){var Ka=0,La=0,Ma=0,Na=0,Oa=0,Pa=0,Qa=0,Ra=0,Sa=0,Ta=0;Ma=R-32|0;R=Ma;Pa=-1;a:{if(!Tg(1,Ma+28|0,za)){break a}Qa=o[Ma+28>>2];if(Qa){La=o[a+8>>2];if(Qa>>>0>(o[La+4>>2]-o[La>>2]>>2>>>0)/3>>>0){break a}Ta=a+36|0;Ra=a+44|0;La=a+40|0;while(1){Tg(1,Ma+12|0,za);o[Ma+20>>2]=o[Ma+12>>2]+Oa;Tg(1,Ma+12|0,za);Oa=o[Ma+20>>2];Ka=o[Ma+12>>2];if(Oa>>>0<Ka>>>0){break a}o[Ma+16>>2]=Oa-Ka;Ka=o[La>>2];b:{if((Ka|0)!=o[Ra>>2]){Sa=o[Ma+20>>2];o[Ka>>2]=o[Ma+16>>2];o[Ka+4>>2]=Sa;o[Ka+8>>2]=o[Ma+24>>2];o[La>>2]=o[La>>2]+12;break b}ah(Ta,Ma+16|0)}Na=Na+1|0;if((Qa|0)!=(Na|0)){continue}break}Oa=0;qi(za,0,0);Ta=a+36|0;while(1){La=p[za+36|0];Ka=q[o[a+4>>2]+36>>1];c:{if((Ka<<24|Ka<<8&16711680)>>>16>>>0<=513){if(!La){break c}Na=0;La=o[za+32>>2];Pa=La>>>3;Ra=o[za+24>>2];Ka=Pa+Ra|0;Sa=o[za+28>>2];d:{if(Ka>>>0>=Sa>>>0){Ka=La;break d}Na=p[Ka|0];Ka=La+1|0;o[za+32>>2]=Ka;Pa=Ka>>>3;Na=Na>>>(La&7)&1}if(Pa+Ra>>>0>=Sa>>>0){break c}o[za+32>>2]=Ka+1;break c}if(!La){break c}Na=0;La=o[za+32>>2];Ka=o[za+24>>2]+(La>>>3)|0;if(Ka>>>0>=r[za+28>>2]){break c}Ka=p[Ka|0];o[za+32>>2]=La+1;Na=Ka>>>(La&7)&1}La=o[Ta>>2]+u(Oa,12)|0;m[La+8|0]=p[La+8|0]&254|Na&1;Oa=Oa+1|0;if((Qa|0)!=(Oa|0)){continue}break}si(za)}Pa=o[za+16>>2]}R=Ma+32|0;return Pa}function Xg(a){var za=0,Ua=0,Va=0,Wa=0;Ua=1;Va=o[a+140>>2];a:{if((Va|0)<1){break a}za=Va<<4;Ua=Hk((Va|0)!=(Va&268435455)?-1:za|4);o[Ua>>2]=Va;Ua=Ua+4|0;Va=Ua+za|0;za=Ua;while(1){za=Mf(za)+16|0;if((Va|0)!=(za|0)){continue}break}Wa=o[a+136>>2];o[a+136>>2]=Ua;if(Wa){Va=Wa+ -4|0;Ua=o[Va>>2];if(Ua){za=Wa+(Ua<<4)|0;while(1){za=za+ -16|0;if((Wa|0)!=(za|0)){continue}break}}ul(Va)}Ua=1;if(o[a+140>>2]<1){break a}Ua=0;za=0;while(1){if(!Nf(o[a+136>>2]+(za<<4)|0,a)){break a}za=za+1|0;if((za|0)<o[a+140>>2]){continue}break}Ua=1}return Ua}function Yg(a,Xa){var Ya=0,Za=0,_a=0,$a=0,bb=0,cb=0,db=0,eb=0,fb=0,gb=0,hb=0,ib=0,jb=0,kb=0,lb=0,mb=0,nb=0,ob=0,pb=0,qb=0,rb=0,sb=0,tb=0;$a=R-96|0;R=$a;o[$a+72>>2]=0;o[$a+64>>2]=0;o[$a+68>>2]=0;o[$a+48>>2]=0;o[$a+52>>2]=0;o[$a+40>>2]=0;o[$a+44>>2]=0;o[$a+56>>2]=1065353216;o[$a+32>>2]=0;o[$a+24>>2]=0;o[$a+28>>2]=0;rb=o[a+124>>2];a:{b:{c:{d:{if((Xa|0)>=1){qb=a+8|0;nb=o[a+216>>2]!=o[a+220>>2];ob=a+40|0;while(1){e:{f:{g:{h:{i:{j:{k:{if(!p[a+308|0]){break k}l:{m:{eb=o[a+296>>2];gb=o[a+304>>2];Ya=eb+(gb>>>3)|0;cb=o[a+300>>2];if(Ya>>>0>=cb>>>0){break m}Ya=p[Ya|0];Za=gb+1|0;o[a+304>>2]=Za;if(!(Ya>>>(gb&7)&1)){break m}Ya=Za>>>3;_a=eb+Ya|0;n:{if(_a>>>0>=cb>>>0){_a=Za;Za=0;break n}db=p[_a|0];_a=gb+2|0;o[a+304>>2]=_a;Ya=_a>>>3;Za=db>>>(Za&7)&1}Ya=Ya+eb|0;if(Ya>>>0<cb>>>0){Ya=p[Ya|0];o[a+304>>2]=_a+1;Ya=Ya>>>(_a&7)<<1&2}else{Ya=0}Ya=(Za|Ya)<<1|1;switch(Ya+ -2|0){case 0:case 2:case 4:break h;case 5:break j;case 1:case 3:break l;default:break k}}Za=o[$a+68>>2];if((Za|0)==o[$a+64>>2]){break d}eb=-1;ib=o[qb>>2];cb=o[ib+24>>2];_a=cb;db=Za+ -4|0;lb=o[db>>2];Ya=-1;o:{if((lb|0)==-1){break o}Za=lb+1|0;Za=(Za>>>0)%3|0?Za:lb+ -2|0;Ya=-1;if((Za|0)==-1){break o}Ya=o[o[ib>>2]+(Za<<2)>>2]}_a=o[_a+(Ya<<2)>>2];if((_a|0)!=-1){Za=_a+1|0;eb=(Za>>>0)%3|0?Za:_a+ -2|0}_a=o[ib+12>>2];jb=u(bb,3);Za=jb+1|0;o[_a+(lb<<2)>>2]=Za;Za=Za<<2;o[Za+_a>>2]=lb;hb=jb+2|0;o[_a+(eb<<2)>>2]=hb;gb=hb<<2;o[gb+_a>>2]=eb;kb=o[ib>>2];o[kb+(jb<<2)>>2]=Ya;_a=Za+kb|0;fb=-1;p:{if((eb|0)==-1){break p}Za=eb+1|0;Za=(Za>>>0)%3|0?Za:eb+ -2|0;fb=-1;if((Za|0)==-1){break p}fb=o[kb+(Za<<2)>>2]}o[_a>>2]=fb;q:{r:{if((lb|0)!=-1){Za=lb+((lb>>>0)%3|0?-1:2)|0;if((Za|0)!=-1){break r}}o[gb+kb>>2]=-1;break q}Za=o[kb+(Za<<2)>>2];o[gb+kb>>2]=Za;if((Za|0)==-1){break q}o[cb+(Za<<2)>>2]=hb}_a=o[a+120>>2]+(Ya>>>3&536870908)|0;Za=o[_a>>2];sb=_a,tb=Zl(Ya)&Za,o[sb>>2]=tb;o[db>>2]=jb;break e}_a=o[$a+68>>2];if((_a|0)==o[$a+64>>2]){break d}gb=o[qb>>2];Za=o[gb+12>>2];hb=u(bb,3);eb=(Ya|0)==5;cb=hb+(eb?2:1)|0;Ya=cb<<2;kb=o[_a+ -4>>2];o[Za+Ya>>2]=kb;o[Za+(kb<<2)>>2]=cb;db=gb+24|0;_a=gb+28|0;Za=o[_a>>2];s:{if((Za|0)!=o[gb+32>>2]){o[Za>>2]=-1;ib=Za+4|0;o[_a>>2]=ib;break s}bh(db,8212);ib=o[_a>>2]}_a=-1;Za=o[qb>>2];gb=o[Za+24>>2];if(o[Za+28>>2]-gb>>2>(rb|0)){break c}_a=hb+2|0;jb=o[Za>>2];fb=jb+Ya|0;Za=ib-o[db>>2]|0;Ya=(Za>>2)+ -1|0;o[fb>>2]=Ya;if(Za){o[gb+(Ya<<2)>>2]=cb}_a=eb?hb:_a;Za=jb+(eb+hb<<2)|0;t:{u:{v:{if((kb|0)!=-1){Ya=kb+((kb>>>0)%3|0?-1:2)|0;if((Ya|0)==-1){break v}Ya=o[jb+(Ya<<2)>>2];o[jb+(_a<<2)>>2]=Ya;if((Ya|0)==-1){break u}o[gb+(Ya<<2)>>2]=_a;break u}o[jb+(_a<<2)>>2]=-1;_a=-1;break t}o[jb+(_a<<2)>>2]=-1}Ya=kb+1|0;Ya=(Ya>>>0)%3|0?Ya:kb+ -2|0;_a=-1;if((Ya|0)==-1){break t}_a=o[jb+(Ya<<2)>>2]}o[Za>>2]=_a;o[o[$a+68>>2]+ -4>>2]=hb;break i}_a=-1;Ya=o[$a+68>>2];ib=o[$a+64>>2];if((Ya|0)==(ib|0)){break c}Za=Ya+ -4|0;mb=o[Za>>2];o[$a+68>>2]=Za;hb=o[$a+44>>2];w:{if(!hb){Ya=Za;break w}cb=o[$a+40>>2];gb=Yl(hb)>>>0>1;db=hb+2147483647&bb;x:{if(!gb){break x}db=bb;if(bb>>>0<hb>>>0){break x}db=(bb>>>0)%(hb>>>0)|0}cb=o[cb+(db<<2)>>2];if(!cb){Ya=Za;break w}fb=o[cb>>2];if(!fb){Ya=Za;break w}cb=hb+ -1|0;y:{while(1){eb=o[fb+4>>2];z:{if((eb|0)!=(bb|0)){A:{if(!gb){eb=eb&cb;break A}if(eb>>>0<hb>>>0){break A}eb=(eb>>>0)%(hb>>>0)|0}if((eb|0)==(db|0)){break z}Ya=Za;break w}if(o[fb+8>>2]==(bb|0)){break y}}fb=o[fb>>2];if(fb){continue}break}Ya=Za;break w}db=fb+12|0;if((Za|0)!=o[$a+72>>2]){o[Za>>2]=o[db>>2];o[$a+68>>2]=Ya;break w}bh($a- -64|0,db);Ya=o[$a+68>>2];ib=o[$a+64>>2]}if((Ya|0)==(ib|0)){break c}lb=o[Ya+ -4>>2];db=(lb|0)==-1;pb=o[qb>>2];if(o[o[pb+12>>2]+(lb<<2)>>2]!=-1?!db:0){break c}gb=(mb|0)==-1;hb=pb+12|0;cb=o[hb>>2];if(o[cb+(mb<<2)>>2]!=-1?!gb:0){break c}kb=u(bb,3);ib=kb+2|0;o[cb+(lb<<2)>>2]=ib;jb=ib<<2;o[jb+cb>>2]=lb;Za=kb+1|0;o[cb+(mb<<2)>>2]=Za;eb=cb;cb=Za<<2;o[eb+cb>>2]=mb;if(db){break g}eb=-1;db=o[pb>>2];fb=db+(kb<<2)|0;Za=lb+((lb>>>0)%3|0?-1:2)|0;if((Za|0)!=-1){eb=o[(Za<<2)+db>>2]}o[fb>>2]=eb;Za=lb+1|0;Za=(Za>>>0)%3|0?Za:lb+ -2|0;if((Za|0)==-1){break f}_a=o[(Za<<2)+db>>2];break f}o[$a>>2]=u(bb,3);Ya=o[qb>>2];_a=Ya+24|0;cb=o[Ya+32>>2];Za=Ya+28|0;Ya=o[Za>>2];B:{if((cb|0)!=(Ya|0)){o[Ya>>2]=-1;Ya=Ya+4|0;o[Za>>2]=Ya;break B}bh(_a,8212);Ya=o[Za>>2]}ib=o[qb>>2];eb=o[ib>>2];Za=o[$a>>2];gb=Ya-o[_a>>2]|0;hb=gb>>2;_a=hb+ -1|0;o[eb+(Za<<2)>>2]=_a;Za=Za+1|0;cb=ib+24|0;db=ib+28|0;Ya=o[db>>2];C:{if((Ya|0)!=o[ib+32>>2]){o[Ya>>2]=-1;Ya=Ya+4|0;o[db>>2]=Ya;break C}bh(cb,8212);Ya=o[db>>2];eb=o[ib>>2]}o[(Za<<2)+eb>>2]=(Ya-o[cb>>2]>>2)+ -1;Ya=o[$a>>2]+2|0;cb=o[qb>>2];Za=cb+28|0;db=o[Za>>2];D:{if((db|0)!=o[cb+32>>2]){o[db>>2]=-1;eb=db+4|0;o[Za>>2]=eb;break D}bh(cb+24|0,8212);eb=o[Za>>2]}o[o[cb>>2]+(Ya<<2)>>2]=(eb-o[cb+24>>2]>>2)+ -1;Ya=o[qb>>2];Za=o[Ya+24>>2];if(o[Ya+28>>2]-Za>>2>(rb|0)){break d}Ya=o[$a>>2];E:{F:{if(!gb){eb=1;o[Za+(hb<<2)>>2]=Ya+1;break F}o[Za+(_a<<2)>>2]=Ya;eb=0;if((gb|0)==-4){break F}o[Za+(hb<<2)>>2]=o[$a>>2]+1;eb=hb+1|0;if((eb|0)==-1){break E}}o[Za+(eb<<2)>>2]=o[$a>>2]+2}Ya=o[$a+68>>2];if((Ya|0)!=o[$a+72>>2]){o[Ya>>2]=o[$a>>2];o[$a+68>>2]=Ya+4;break i}bh($a- -64|0,$a)}fb=o[ob>>2];if((fb|0)==o[a+36>>2]){break e}cb=(bb^-1)+Xa|0;while(1){_a=-1;Ya=o[fb+ -8>>2];if(Ya>>>0>cb>>>0){break c}if((Ya|0)!=(cb|0)){break e}Za=p[fb+ -4|0];Ya=fb+ -12|0;db=o[Ya>>2];o[ob>>2]=Ya;if((db|0)<0){break c}_a=o[o[$a+68>>2]+ -4>>2];o[$a+20>>2]=(db^-1)+Xa;o[$a+88>>2]=$a+20;ch($a,$a+40|0,$a+20|0,$a+88|0);db=o[$a>>2];G:{if(Za&1){Ya=-1;if((_a|0)==-1){break G}Ya=_a+1|0;Ya=(Ya>>>0)%3|0?Ya:_a+ -2|0;break G}Ya=-1;if((_a|0)==-1){break G}Ya=_a+ -1|0;if((_a>>>0)%3){break G}Ya=_a+2|0}o[db+12>>2]=Ya;fb=o[ob>>2];if((fb|0)!=o[a+36>>2]){continue}break}break e}D()}eb=-1;db=o[pb>>2];o[db+(kb<<2)>>2]=-1}o[cb+db>>2]=_a;H:{I:{J:{if(!gb){Za=mb+((mb>>>0)%3|0?-1:2)|0;if((Za|0)==-1){break J}Za=o[(Za<<2)+db>>2];o[db+jb>>2]=Za;if((Za|0)==-1){break I}o[o[pb+24>>2]+(Za<<2)>>2]=ib;break I}o[db+jb>>2]=-1;fb=-1;_a=-1;break H}o[db+jb>>2]=-1}fb=-1;Za=mb+1|0;Za=(Za>>>0)%3|0?Za:mb+ -2|0;_a=-1;if((Za|0)==-1){break H}fb=o[(Za<<2)+db>>2];_a=Za}o[$a>>2]=fb;cb=o[pb+24>>2];if((eb|0)!=-1){o[cb+(eb<<2)>>2]=o[cb+(fb<<2)>>2]}K:{if((_a|0)==-1){break K}db=o[pb>>2];while(1){o[db+(_a<<2)>>2]=eb;Za=_a+1|0;Za=(Za>>>0)%3|0?Za:_a+ -2|0;if((Za|0)==-1){break K}_a=o[o[hb>>2]+(Za<<2)>>2];if((_a|0)==-1){break K}Za=_a+1|0;_a=(Za>>>0)%3|0?Za:_a+ -2|0;if((_a|0)!=-1){continue}break}}o[cb+(o[$a>>2]<<2)>>2]=-1;L:{if(nb){break L}Za=o[$a+28>>2];if((Za|0)!=o[$a+32>>2]){o[Za>>2]=o[$a>>2];o[$a+28>>2]=Za+4;break L}bh($a+24|0,$a);Ya=o[$a+68>>2]}o[Ya+ -4>>2]=kb}bb=bb+1|0;if((bb|0)!=(Xa|0)){continue}break}eb=Xa}_a=-1;fb=o[a+8>>2];if(o[fb+28>>2]-o[fb+24>>2]>>2>(rb|0)){break c}bb=o[$a+68>>2];if((bb|0)!=o[$a+64>>2]){lb=a+72|0;Za=a+60|0;ib=a+312|0;nb=a+8|0;kb=a+68|0;rb=a+80|0;pb=a+76|0;while(1){Ya=bb+ -4|0;Xa=o[Ya>>2];o[$a+68>>2]=Ya;o[$a>>2]=Xa;M:{if(Pf(ib)){hb=o[nb>>2];mb=o[hb>>2];if((eb|0)>=((o[hb+4>>2]-mb>>2>>>0)/3|0)){break d}Ya=-1;fb=-1;bb=o[hb+24>>2];cb=bb;ob=o[$a>>2];db=-1;N:{if((ob|0)==-1){break N}Xa=ob+1|0;Xa=(Xa>>>0)%3|0?Xa:ob+ -2|0;db=-1;if((Xa|0)==-1){break N}db=o[mb+(Xa<<2)>>2]}cb=o[cb+(db<<2)>>2];O:{if((cb|0)==-1){break O}Xa=cb+1|0;Xa=(Xa>>>0)%3|0?Xa:cb+ -2|0;if((Xa|0)==-1){break O}Ya=Xa+1|0;Ya=(Ya>>>0)%3|0?Ya:Xa+ -2|0;if((Ya|0)!=-1){fb=o[mb+(Ya<<2)>>2]}Ya=Xa}Xa=-1;jb=-1;gb=o[bb+(fb<<2)>>2];cb=-1;P:{if((gb|0)==-1){break P}bb=gb+1|0;bb=(bb>>>0)%3|0?bb:gb+ -2|0;cb=-1;if((bb|0)==-1){break P}cb=bb+1|0;cb=(cb>>>0)%3|0?cb:bb+ -2|0;if((cb|0)!=-1){jb=o[mb+(cb<<2)>>2]}cb=bb}bb=u(eb,3);o[$a+88>>2]=bb;gb=o[hb+12>>2];o[gb+(bb<<2)>>2]=ob;o[gb+(ob<<2)>>2]=bb;bb=o[$a+88>>2]+1|0;o[gb+(bb<<2)>>2]=Ya;o[gb+(Ya<<2)>>2]=bb;Ya=o[$a+88>>2]+2|0;o[gb+(Ya<<2)>>2]=cb;o[gb+(cb<<2)>>2]=Ya;Ya=o[$a+88>>2];o[mb+(Ya<<2)>>2]=fb;ob=Ya+1|0;hb=mb+(ob<<2)|0;o[hb>>2]=jb;gb=Ya+2|0;cb=mb+(gb<<2)|0;o[cb>>2]=db;jb=o[a+120>>2];bb=ob>>>0<Ya>>>0?-1:fb;db=jb+(bb>>>3&536870908)|0;Ya=o[db>>2];sb=db,tb=Zl(bb)&Ya,o[sb>>2]=tb;Xa=(ob|0)!=-1?o[hb>>2]:Xa;db=jb+(Xa>>>3&536870908)|0;Ya=o[db>>2];sb=db,tb=Zl(Xa)&Ya,o[sb>>2]=tb;bb=-1;bb=(gb|0)!=-1?o[cb>>2]:bb;Ya=jb+(bb>>>3&536870908)|0;Xa=o[Ya>>2];sb=Ya,tb=Zl(bb)&Xa,o[sb>>2]=tb;bb=o[a+64>>2];Ya=o[kb>>2];if((bb|0)==Ya<<5){if((bb+1|0)<=-1){break a}Xa=Za;if(bb>>>0<=1073741822){db=bb+32&-32;Ya=Ya<<6;Ya=Ya>>>0<db>>>0?db:Ya}else{Ya=2147483647}ab(Xa,Ya);bb=o[a+64>>2]}eb=eb+1|0;o[a+64>>2]=bb+1;Xa=o[a+60>>2]+(bb>>>3&536870908)|0;o[Xa>>2]=o[Xa>>2]|1<<(bb&31);Xa=o[pb>>2];if((Xa|0)!=o[rb>>2]){o[Xa>>2]=o[$a+88>>2];o[pb>>2]=Xa+4;break M}bh(lb,$a+88|0);break M}bb=o[a+64>>2];Ya=o[kb>>2];if((bb|0)==Ya<<5){if((bb+1|0)<=-1){break a}Xa=Za;if(bb>>>0<=1073741822){db=bb+32&-32;Ya=Ya<<6;Ya=Ya>>>0<db>>>0?db:Ya}else{Ya=2147483647}ab(Xa,Ya);bb=o[a+64>>2]}o[a+64>>2]=bb+1;Ya=o[a+60>>2]+(bb>>>3&536870908)|0;Xa=o[Ya>>2];sb=Ya,tb=Zl(bb)&Xa,o[sb>>2]=tb;Xa=o[pb>>2];if((Xa|0)!=o[rb>>2]){o[Xa>>2]=o[$a>>2];o[pb>>2]=Xa+4;break M}bh(lb,$a)}bb=o[$a+68>>2];if((bb|0)!=o[$a+64>>2]){continue}break}fb=o[a+8>>2]}if(((o[fb+4>>2]-o[fb>>2]>>2>>>0)/3|0)!=(eb|0)){break c}_a=o[fb+28>>2]-o[fb+24>>2]>>2;nb=o[$a+24>>2];cb=o[$a+28>>2];if((nb|0)==(cb|0)){break b}db=a+8|0;while(1){hb=o[nb>>2];eb=o[fb+24>>2];bb=_a+ -1|0;Q:{if(o[eb+(bb<<2)>>2]!=-1){Ya=_a;break Q}eb=o[fb+24>>2];while(1){bb=_a+ -2|0;Ya=_a+ -1|0;_a=Ya;if(o[(bb<<2)+eb>>2]==-1){continue}break}}if(!(bb>>>0<hb>>>0)){o[$a>>2]=fb;Xa=bb<<2;_a=o[Xa+eb>>2];m[$a+12|0]=1;o[$a+8>>2]=_a;o[$a+4>>2]=_a;if((_a|0)!=-1){while(1){o[o[fb>>2]+(_a<<2)>>2]=hb;jf($a);fb=o[db>>2];_a=o[$a+8>>2];if((_a|0)!=-1){continue}break}}Za=Xa;Xa=o[fb+24>>2];Za=Za+Xa|0;if((hb|0)!=-1){o[Xa+(hb<<2)>>2]=o[Za>>2]}o[Za>>2]=-1;gb=1<<(hb&31);Xa=o[a+120>>2];_a=Xa+(hb>>>3&536870908)|0;Za=_a;eb=Xa+(bb>>>3&536870908)|0;Xa=1<<(bb&31);bb=gb|o[_a>>2];R:{if(o[eb>>2]&Xa){break R}bb=o[_a>>2]&(gb^-1)}o[Za>>2]=bb;o[eb>>2]=o[eb>>2]&(Xa^-1);Ya=Ya+ -1|0}_a=Ya;nb=nb+4|0;if((cb|0)!=(nb|0)){continue}break}break c}_a=-1}nb=o[$a+24>>2]}if(nb){o[$a+28>>2]=nb;ul(nb)}bb=o[$a+48>>2];if(bb){while(1){a=o[bb>>2];ul(bb);bb=a;if(bb){continue}break}}a=o[$a+40>>2];o[$a+40>>2]=0;if(a){ul(a)}a=o[$a+64>>2];if(a){o[$a+68>>2]=a;ul(a)}R=$a+96|0;return _a}Yk();D()}function Zg(a,Xa){var ab=0,ub=0,vb=0,wb=0,xb=0,yb=0,zb=0,Ab=0,Bb=0,Cb=0,Db=0,Eb=0;ub=R-32|0;R=ub;o[ub+16>>2]=Xa;ab=-1;a:{if((Xa|0)==-1){o[ub+20>>2]=-1;break a}ab=Xa+1|0;o[ub+20>>2]=(ab>>>0)%3|0?ab:Xa+ -2|0;if((Xa>>>0)%3){ab=Xa+ -1|0;break a}ab=Xa+2|0}o[ub+24>>2]=ab;Cb=(Xa|0)==-1?-1:(Xa>>>0)/3|0;yb=a+220|0;Db=a+8|0;Eb=a+368|0;while(1){b:{c:{if((Xa|0)!=-1){ab=o[o[o[Db>>2]+12>>2]+(Xa<<2)>>2];if((ab|0)!=-1){break c}}ab=0;vb=o[a+216>>2];wb=o[yb>>2];if((vb|0)==(wb|0)){break b}while(1){o[ub+12>>2]=Xa;xb=u(ab,144)+vb|0;Bb=xb+136|0;zb=o[Bb>>2];d:{if(zb>>>0<r[xb+140>>2]){o[zb>>2]=Xa;o[Bb>>2]=zb+4;break d}wa(xb+132|0,ub+12|0);wb=o[yb>>2];vb=o[a+216>>2]}ab=ab+1|0;if(ab>>>0<(wb-vb|0)/144>>>0){continue}break}break b}if((ab>>>0)/3>>>0<Cb>>>0){break b}ab=0;if(o[yb>>2]==o[a+216>>2]){break b}while(1){e:{if(!Pf(o[Eb>>2]+(ab<<4)|0)){break e}vb=o[a+216>>2];o[ub+12>>2]=Xa;vb=vb+u(ab,144)|0;xb=vb+136|0;wb=o[xb>>2];if(wb>>>0<r[vb+140>>2]){o[wb>>2]=Xa;o[xb>>2]=wb+4;break e}wa(vb+132|0,ub+12|0)}ab=ab+1|0;if(ab>>>0<(o[yb>>2]-o[a+216>>2]|0)/144>>>0){continue}break}}Ab=Ab+1|0;if((Ab|0)!=3){Xa=o[(ub+16|0)+(Ab<<2)>>2];continue}break}R=ub+32|0;return 1}function _g(a,Xa){var Fb=0,Gb=0,Hb=0,Ib=0,Jb=0;Gb=o[a+12>>2];Fb=o[a+16>>2]-Gb>>2;a:{if(Fb>>>0<Xa>>>0){Da(a+12|0,Xa-Fb|0);break a}if(Fb>>>0<=Xa>>>0){break a}o[a+16>>2]=Gb+(Xa<<2)}b:{Fb=o[a>>2];c:{if(o[a+8>>2]-Fb>>2>>>0>=Xa>>>0){break c}if(Xa>>>0>=1073741824){break b}Ib=a+4|0;Gb=o[Ib>>2];Hb=Xa<<2;Xa=Hk(Hb);Hb=Xa+Hb|0;Gb=Gb-Fb|0;Jb=Gb+Xa|0;if((Gb|0)>=1){wl(Xa,Fb,Gb)}o[a>>2]=Xa;o[a+8>>2]=Hb;o[Ib>>2]=Jb;if(!Fb){break c}ul(Fb)}return}_a(8776);D()}function $g(a,Xa){var Kb=0,Lb=0,Mb=0,Nb=0,Ob=0,Pb=0,Qb=0,Rb=0,Sb=0,Tb=0,Ub=0,Vb=0,Wb=0,Xb=0,Yb=0,Zb=0;Lb=R-48|0;R=Lb;Kb=o[a+8>>2];Mb=o[Kb>>2];Ob=o[Kb+4>>2];Kb=o[o[a+4>>2]+44>>2];o[Lb+40>>2]=0;o[Lb+32>>2]=0;o[Lb+36>>2]=0;Mb=(Ob-Mb>>2>>>0)/3|0;Nb=o[Kb+96>>2];Ob=(o[Kb+100>>2]-Nb|0)/12|0;a:{if(Mb>>>0>Ob>>>0){dh(Kb+96|0,Mb-Ob|0,Lb+32|0);break a}if(Mb>>>0>=Ob>>>0){break a}o[Kb+100>>2]=Nb+u(Mb,12)}b:{if(o[a+216>>2]==o[a+220>>2]){Sb=o[a+4>>2];Kb=o[Sb+44>>2];Mb=o[Kb+100>>2];Qb=o[Kb+96>>2];if((Mb|0)!=(Qb|0)){Tb=(Mb-Qb|0)/12|0;Ub=Lb+40|0;Kb=0;while(1){o[Ub>>2]=0;o[Lb+32>>2]=0;o[Lb+36>>2]=0;Ob=Lb;c:{d:{e:{Nb=u(Kb,3);if((Nb|0)==-1){Mb=-1;o[Lb+32>>2]=-1;Pb=0;break e}Mb=o[o[o[a+8>>2]>>2]+(Nb<<2)>>2];o[Lb+32>>2]=Mb;Pb=Nb+1|0;if((Pb|0)!=-1){break e}o[Lb+36>>2]=-1;Nb=0;break d}o[Lb+36>>2]=o[o[o[a+8>>2]>>2]+(Pb<<2)>>2];Nb=Nb+2|0;Vb=-1;if((Nb|0)==-1){break c}}Vb=o[o[o[a+8>>2]>>2]+(Nb<<2)>>2]}o[Ob+40>>2]=Vb;Ob=Qb+u(Kb,12)|0;o[Ob>>2]=Mb;o[Ob+4>>2]=o[Lb+36>>2];o[Ob+8>>2]=o[Lb+40>>2];Kb=Kb+1|0;if(Kb>>>0<Tb>>>0){continue}break}}o[o[Sb+4>>2]+80>>2]=Xa;Kb=1;break b}o[Lb+40>>2]=0;o[Lb+32>>2]=0;o[Lb+36>>2]=0;Nb=o[a+8>>2];Xa=o[Nb>>2];Kb=o[Nb+4>>2];o[Lb+24>>2]=0;o[Lb+16>>2]=0;o[Lb+20>>2]=0;f:{g:{h:{Xa=Kb-Xa|0;if(Xa){Mb=Xa>>2;if(Mb>>>0>=1073741824){break h}Kb=Hk(Xa);o[Lb+16>>2]=Kb;o[Lb+24>>2]=Kb+(Mb<<2);Yb=Lb,Zb=xl(Kb,0,Xa)+Xa|0,o[Yb+20>>2]=Zb}if((o[Nb+28>>2]-o[Nb+24>>2]|0)<1){break g}Sb=a+220|0;Tb=a+8|0;while(1){Mb=o[o[Nb+24>>2]+(Qb<<2)>>2];i:{if((Mb|0)==-1){break i}j:{if(o[o[a+120>>2]+(Qb>>>3&536870908)>>2]>>>(Qb&31)&1){break j}Xa=o[Sb>>2];Ub=o[a+216>>2];if((Xa|0)==(Ub|0)){break j}Vb=(Xa-Ub|0)/144|0;Wb=((Mb>>>0)%3|0?-1:2)+Mb|0;Pb=0;while(1){Xb=Mb<<2;Rb=Ub+u(Pb,144)|0;Xa=o[Xb+o[o[Rb+68>>2]>>2]>>2];k:{if(!(o[o[Rb+16>>2]+(Xa>>>3&536870908)>>2]>>>(Xa&31)&1)){break k}Xa=Mb;Kb=-1;l:{if((Wb|0)==-1){break l}Ob=o[o[Nb+12>>2]+(Wb<<2)>>2];Kb=-1;if((Ob|0)==-1){break l}Kb=Ob+ -1|0;if((Ob>>>0)%3){break l}Kb=Ob+2|0}if((Xa|0)==(Kb|0)){break k}Rb=o[Rb+32>>2];Xb=o[Rb+Xb>>2];while(1){Xa=0;if((Kb|0)==-1){break f}if((Xb|0)!=o[Rb+(Kb<<2)>>2]){Mb=Kb;break j}Ob=Mb;Kb=((Kb>>>0)%3|0?-1:2)+Kb|0;Xa=-1;m:{if((Kb|0)==-1){break m}Kb=o[o[Nb+12>>2]+(Kb<<2)>>2];Xa=-1;if((Kb|0)==-1){break m}Xa=Kb+ -1|0;if((Kb>>>0)%3){break m}Xa=Kb+2|0}Kb=Xa;if((Ob|0)!=(Kb|0)){continue}break}}Pb=Pb+1|0;if(Pb>>>0<Vb>>>0){continue}break}}Xa=o[Lb+36>>2];o[o[Lb+16>>2]+(Mb<<2)>>2]=Xa-o[Lb+32>>2]>>2;o[Lb>>2]=Mb;n:{if(r[Lb+40>>2]>Xa>>>0){o[Xa>>2]=Mb;o[Lb+36>>2]=Xa+4;break n}wa(Lb+32|0,Lb);Nb=o[Tb>>2]}if((Mb|0)==-1){break i}Xa=((Mb>>>0)%3|0?-1:2)+Mb|0;if((Xa|0)==-1){break i}Xa=o[o[Nb+12>>2]+(Xa<<2)>>2];if((Xa|0)==-1){break i}Kb=Xa+((Xa>>>0)%3|0?-1:2)|0;if((Kb|0)==-1){break i}Ob=Mb;if((Kb|0)==(Mb|0)){break i}while(1){Xa=Kb;o:{p:{Kb=o[Sb>>2];Pb=o[a+216>>2];if((Kb|0)==(Pb|0)){break p}Ub=(Kb-Pb|0)/144|0;Kb=0;while(1){Wb=o[(Pb+u(Kb,144)|0)+32>>2];Rb=Xa<<2;if(o[Wb+Rb>>2]==o[Wb+(Ob<<2)>>2]){Kb=Kb+1|0;if(Kb>>>0<Ub>>>0){continue}break p}break}Kb=o[Lb+36>>2];o[Rb+o[Lb+16>>2]>>2]=Kb-o[Lb+32>>2]>>2;o[Lb>>2]=Xa;if(r[Lb+40>>2]>Kb>>>0){o[Kb>>2]=Xa;o[Lb+36>>2]=Kb+4;break o}wa(Lb+32|0,Lb);Nb=o[Tb>>2];break o}Kb=o[Lb+16>>2];o[Kb+(Xa<<2)>>2]=o[Kb+(Ob<<2)>>2]}if((Xa|0)==-1){break i}Kb=Xa+((Xa>>>0)%3|0?-1:2)|0;if((Kb|0)==-1){break i}Kb=o[o[Nb+12>>2]+(Kb<<2)>>2];if((Kb|0)==-1){break i}Kb=Kb+((Kb>>>0)%3|0?-1:2)|0;if((Kb|0)==-1){break i}Ob=Xa;if((Kb|0)!=(Mb|0)){continue}break}}Qb=Qb+1|0;if((Qb|0)<o[Nb+28>>2]-o[Nb+24>>2]>>2){continue}break}break g}Yk();D()}Mb=o[a+4>>2];a=o[Mb+44>>2];Xa=o[a+100>>2];a=o[a+96>>2];if((Xa|0)!=(a|0)){Ob=(Xa-a|0)/12|0;Kb=0;Nb=o[Lb+16>>2];while(1){Qb=Lb+8|0;Pb=u(Kb,12);Xa=Pb+Nb|0;o[Qb>>2]=o[Xa+8>>2];Sb=o[Xa+4>>2];Tb=o[Xa>>2];o[Lb>>2]=Tb;o[Lb+4>>2]=Sb;Xa=a+Pb|0;o[Xa>>2]=Tb;o[Xa+4>>2]=o[Lb+4>>2];o[Xa+8>>2]=o[Qb>>2];Kb=Kb+1|0;if(Kb>>>0<Ob>>>0){continue}break}}o[o[Mb+4>>2]+80>>2]=o[Lb+36>>2]-o[Lb+32>>2]>>2;Xa=1}Kb=Xa;a=o[Lb+16>>2];if(a){o[Lb+20>>2]=a;ul(a)}a=o[Lb+32>>2];if(!a){break b}o[Lb+36>>2]=a;ul(a)}R=Lb+48|0;return Kb}function ah(a,Xa){var _b=0,$b=0,ac=0,bc=0,cc=0,dc=0;a:{bc=o[a>>2];cc=o[a+4>>2]-bc|0;_b=(cc|0)/12|0;$b=_b+1|0;if($b>>>0<357913942){dc=u(_b,12);ac=(o[a+8>>2]-bc|0)/12|0;_b=ac<<1;ac=ac>>>0<178956970?_b>>>0<$b>>>0?$b:_b:357913941;_b=0;b:{if(!ac){break b}if(ac>>>0>=357913942){break a}_b=Hk(u(ac,12))}$b=dc+_b|0;dc=o[Xa+4>>2];o[$b>>2]=o[Xa>>2];o[$b+4>>2]=dc;o[$b+8>>2]=o[Xa+8>>2];Xa=$b+u((cc|0)/-12|0,12)|0;_b=_b+u(ac,12)|0;$b=$b+12|0;if((cc|0)>=1){wl(Xa,bc,cc)}o[a>>2]=Xa;o[a+8>>2]=_b;o[a+4>>2]=$b;if(bc){ul(bc)}return}Yk();D()}_a(8776);D()}function bh(a,Xa){var ec=0,fc=0,gc=0,hc=0,ic=0,jc=0;a:{gc=o[a>>2];ic=o[a+4>>2]-gc|0;ec=ic>>2;fc=ec+1|0;if(fc>>>0<1073741824){jc=ec<<2;ec=o[a+8>>2]-gc|0;hc=ec>>1;fc=ec>>2>>>0<536870911?hc>>>0<fc>>>0?fc:hc:1073741823;ec=0;b:{if(!fc){break b}if(fc>>>0>=1073741824){break a}ec=Hk(fc<<2)}hc=jc+ec|0;o[hc>>2]=o[Xa>>2];Xa=ec+(fc<<2)|0;fc=hc+4|0;if((ic|0)>=1){wl(ec,gc,ic)}o[a>>2]=ec;o[a+8>>2]=Xa;o[a+4>>2]=fc;if(gc){ul(gc)}return}Yk();D()}_a(8776);D()}function ch(a,Xa,kc,lc){var mc=0,nc=0,oc=0,pc=0,qc=0,rc=v(0),sc=0,tc=v(0),uc=0;mc=o[kc>>2];uc=a;a:{b:{nc=o[Xa+4>>2];if(!nc){break b}sc=o[Xa>>2];pc=Yl(nc);kc=nc+ -1&mc;c:{if(pc>>>0<=1){break c}kc=mc;if(mc>>>0<nc>>>0){break c}kc=(mc>>>0)%(nc>>>0)|0}oc=kc;kc=o[(kc<<2)+sc>>2];if(!kc){break b}sc=nc+ -1|0;pc=pc>>>0>1;while(1){kc=o[kc>>2];if(!kc){break b}qc=o[kc+4>>2];if((qc|0)!=(mc|0)){d:{if(!pc){qc=qc&sc;break d}if(qc>>>0<nc>>>0){break d}qc=(qc>>>0)%(nc>>>0)|0}if((oc|0)!=(qc|0)){break b}}if(o[kc+8>>2]!=(mc|0)){continue}break}Xa=0;break a}kc=Hk(16);lc=o[o[lc>>2]>>2];o[kc+12>>2]=0;o[kc+8>>2]=lc;o[kc+4>>2]=mc;o[kc>>2]=0;tc=s[Xa+16>>2];rc=v(o[Xa+12>>2]+1>>>0);e:{if(!(!nc|!!(v(tc*v(nc>>>0))<rc))){mc=oc;break e}oc=(nc+ -1&nc)!=0|nc>>>0<3|nc<<1;lc=Xa;rc=v(B(v(rc/tc)));f:{if(rc<v(4294967296)&rc>=v(0)){pc=~~rc>>>0;break f}pc=0}Sh(lc,oc>>>0<pc>>>0?pc:oc);nc=o[Xa+4>>2];if(!(nc&nc+ -1)){mc=nc+ -1&mc;break e}if(mc>>>0<nc>>>0){break e}mc=(mc>>>0)%(nc>>>0)|0}lc=o[Xa>>2]+(mc<<2)|0;mc=o[lc>>2];g:{h:{if(!mc){oc=Xa+8|0;o[kc>>2]=o[oc>>2];o[oc>>2]=kc;o[lc>>2]=oc;lc=o[kc>>2];if(!lc){break g}mc=o[lc+4>>2];lc=nc+ -1|0;i:{if(!(lc&nc)){mc=lc&mc;break i}if(mc>>>0<nc>>>0){break i}mc=(mc>>>0)%(nc>>>0)|0}mc=o[Xa>>2]+(mc<<2)|0;break h}o[kc>>2]=o[mc>>2]}o[mc>>2]=kc}Xa=Xa+12|0;o[Xa>>2]=o[Xa>>2]+1;Xa=1}m[uc+4|0]=Xa;o[a>>2]=kc}function dh(a,Xa,kc){var lc=0,vc=0,wc=0,xc=0,yc=0;a:{b:{xc=o[a+8>>2];vc=a+4|0;lc=o[vc>>2];c:{if((xc-lc|0)/12>>>0>=Xa>>>0){while(1){a=o[kc+4>>2];o[lc>>2]=o[kc>>2];o[lc+4>>2]=a;o[lc+8>>2]=o[kc+8>>2];lc=o[vc>>2]+12|0;o[vc>>2]=lc;Xa=Xa+ -1|0;if(Xa){continue}break c}}wc=o[a>>2];yc=(lc-wc|0)/12|0;vc=yc+Xa|0;if(vc>>>0>=357913942){break b}xc=(xc-wc|0)/12|0;wc=xc<<1;vc=xc>>>0<178956970?wc>>>0<vc>>>0?vc:wc:357913941;lc=0;d:{if(!vc){break d}if(vc>>>0>=357913942){break a}lc=Hk(u(vc,12))}xc=lc+u(vc,12)|0;vc=lc+u(yc,12)|0;lc=vc;while(1){wc=o[kc+4>>2];o[lc>>2]=o[kc>>2];o[lc+4>>2]=wc;o[lc+8>>2]=o[kc+8>>2];lc=lc+12|0;Xa=Xa+ -1|0;if(Xa){continue}break}wc=a+4|0;Xa=o[a>>2];kc=o[wc>>2]-Xa|0;vc=vc+u((kc|0)/-12|0,12)|0;if((kc|0)>=1){wl(vc,Xa,kc)}o[a>>2]=vc;o[a+8>>2]=xc;o[wc>>2]=lc;if(!Xa){break c}ul(Xa)}return}Yk();D()}_a(8776);D()}function eh(a){a=a|0;return o[a+8>>2]}function fh(a){o[a>>2]=8224;xl(a+4|0,0,80);o[a+96>>2]=0;o[a+100>>2]=0;o[a+92>>2]=-1;o[a+84>>2]=-1;o[a+88>>2]=-1;o[a+104>>2]=0;o[a+108>>2]=0;o[a+112>>2]=0;o[a+116>>2]=0;o[a+120>>2]=0;o[a+124>>2]=0;o[a+128>>2]=0;o[a+132>>2]=0;o[a+136>>2]=0;o[a+140>>2]=0;o[a+144>>2]=0;o[a+148>>2]=0;o[a+156>>2]=0;o[a+160>>2]=0;o[a+152>>2]=1065353216;o[a+164>>2]=0;o[a+168>>2]=0;o[a+172>>2]=0;o[a+176>>2]=0;o[a+180>>2]=0;o[a+184>>2]=0;o[a+188>>2]=0;o[a+192>>2]=0;o[a+196>>2]=0;o[a+200>>2]=0;o[a+204>>2]=0;o[a+208>>2]=0;o[a+212>>2]=-1;o[a+216>>2]=0;o[a+220>>2]=0;o[a+224>>2]=0;Hg(a+232|0);o[a+388>>2]=0;o[a+392>>2]=0;o[a+380>>2]=0;o[a+384>>2]=0;o[a+416>>2]=0;o[a+420>>2]=0;o[a+412>>2]=7;o[a+404>>2]=-1;o[a+408>>2]=2;o[a+396>>2]=0;o[a+400>>2]=-1;o[a+424>>2]=0;o[a+428>>2]=0;o[a+432>>2]=0;o[a+436>>2]=0}function gh(a){a=a|0;var Xa=0,kc=0,zc=0,Ac=0,Bc=0,Cc=0,Dc=0,Ec=0,Fc=0,Gc=0,Hc=0,Ic=0,Jc=0,Kc=0;Bc=R+ -64|0;R=Bc;o[a+132>>2]=0;if(o[a+148>>2]){zc=a+144|0;Xa=o[zc>>2];if(Xa){while(1){kc=o[Xa>>2];ul(Xa);Xa=kc;if(Xa){continue}break}}o[zc>>2]=0;kc=o[a+140>>2];if(kc){zc=a+136|0;Xa=0;while(1){o[o[zc>>2]+(Xa<<2)>>2]=0;Xa=Xa+1|0;if((kc|0)!=(Xa|0)){continue}break}}o[a+148>>2]=0}a:{if(!Tg(1,Bc+60|0,o[o[a+4>>2]+32>>2])){break a}o[a+156>>2]=o[Bc+60>>2];if(!Tg(1,Bc+56|0,o[o[a+4>>2]+32>>2])){break a}Ac=o[Bc+56>>2];if(Ac>>>0>1431655765|r[a+156>>2]>u(Ac,3)>>>0){break a}Xa=o[o[a+4>>2]+32>>2];Cc=o[Xa+16>>2];zc=o[Xa+12>>2];kc=o[Xa+20>>2];if((zc|0)<(kc|0)?1:(zc|0)<=(kc|0)?r[Xa+8>>2]>Cc>>>0?0:1:0){break a}Dc=p[Cc+o[Xa>>2]|0];Cc=Cc+1|0;if(Cc>>>0<1){kc=kc+1|0}o[Xa+16>>2]=Cc;o[Xa+20>>2]=kc;if(!Tg(1,Bc+52|0,Xa)){break a}Gc=o[Bc+52>>2];if(Ac>>>0<Gc>>>0|Ac>>>0>Gc+((Gc>>>0)/3|0)>>>0){break a}if(!Tg(1,Bc+48|0,o[o[a+4>>2]+32>>2])){break a}Ec=o[Bc+48>>2];if(Ec>>>0>Gc>>>0){break a}o[a+28>>2]=o[a+24>>2];kc=Hk(88);zi(kc);Xa=o[a+8>>2];o[a+8>>2]=kc;Cc=a+8|0;if(Xa){ua(Cc,Xa);if(!o[Cc>>2]){break a}}Xa=o[a+160>>2];o[a+164>>2]=Xa;b:{c:{d:{e:{f:{if(o[a+168>>2]-Xa>>2>>>0>=Ac>>>0){break f}if(Ac>>>0>=1073741824){break e}zc=Ac<<2;kc=Hk(zc);o[a+164>>2]=kc;o[a+160>>2]=kc;o[a+168>>2]=kc+zc;if(!Xa){break f}ul(Xa)}Xa=o[a+172>>2];o[a+176>>2]=Xa;g:{if(o[a+180>>2]-Xa>>2>>>0>=Ac>>>0){break g}if(Ac>>>0>=1073741824){break d}zc=Ac<<2;kc=Hk(zc);o[a+176>>2]=kc;o[a+172>>2]=kc;o[a+180>>2]=kc+zc;if(!Xa){break g}ul(Xa)}o[a+92>>2]=-1;o[a+84>>2]=-1;o[a+88>>2]=-1;o[a+40>>2]=o[a+36>>2];o[a- -64>>2]=0;o[a+52>>2]=o[a+48>>2];o[a+76>>2]=o[a+72>>2];Hc=a+216|0;kc=o[a+220>>2];Xa=o[a+216>>2];if((kc|0)==(Xa|0)){break c}while(1){zc=o[kc+ -12>>2];if(zc){o[kc+ -8>>2]=zc;ul(zc)}zc=o[kc+ -28>>2];if(zc){o[kc+ -24>>2]=zc;ul(zc)}zc=kc+ -144|0;Fc=o[kc+ -40>>2];if(Fc){o[kc+ -36>>2]=Fc;ul(Fc)}Ug(kc+ -140|0);kc=zc;if((Xa|0)!=(kc|0)){continue}break}kc=o[Hc>>2];break b}_a(8776);D()}_a(8776);D()}kc=Xa}o[a+220>>2]=Xa;zc=(Xa-kc|0)/144|0;h:{if(zc>>>0<Dc>>>0){Vg(Hc,Dc-zc|0);break h}if(zc>>>0<=Dc>>>0){break h}zc=kc+u(Dc,144)|0;if((zc|0)!=(Xa|0)){while(1){kc=o[Xa+ -12>>2];if(kc){o[Xa+ -8>>2]=kc;ul(kc)}kc=o[Xa+ -28>>2];if(kc){o[Xa+ -24>>2]=kc;ul(kc)}kc=Xa+ -144|0;Fc=o[Xa+ -40>>2];if(Fc){o[Xa+ -36>>2]=Fc;ul(Fc)}Ug(Xa+ -140|0);Xa=kc;if((Xa|0)!=(zc|0)){continue}break}}o[a+220>>2]=zc}Fc=0;if(!Ji(o[a+8>>2],Ac,Ec+o[a+156>>2]|0)){break a}Xa=o[a+156>>2];m[Bc+8|0]=1;$a(a+120|0,Xa+Ec|0,Bc+8|0);if((Wg(a,o[o[a+4>>2]+32>>2])|0)==-1){break a}o[a+376>>2]=a;Ac=a+232|0;Xa=o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2];Ic=o[Xa>>2]+o[Xa+16>>2]|0;zc=o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2];Xa=o[zc+8>>2];kc=o[zc+16>>2];pi(Ac,Ic,Xa-kc|0,q[o[(l[o[o[a>>2]+32>>2]](a)|0)+32>>2]+38>>1]);Jc=a,Kc=l[o[o[a>>2]+36>>2]](a)|0,o[Jc+380>>2]=Kc;o[a+372>>2]=Dc;o[a+384>>2]=Ec+o[a+156>>2];Xa=oi(Bc+8|0);i:{if(!hh(Ac,Xa)){break i}Gc=ih(a,Gc);if((Gc|0)==-1){break i}zc=o[o[a+4>>2]+32>>2];kc=o[Xa+16>>2];Dc=kc+o[Xa>>2]|0;Xa=o[Xa+8>>2];pi(zc,Dc,Xa-kc|0,q[zc+38>>1]);j:{if(o[a+220>>2]==o[a+216>>2]){break j}Xa=o[Cc>>2];if(o[Xa+4>>2]==o[Xa>>2]){break j}Xa=0;while(1){if(Zg(a,Xa)){Xa=Xa+3|0;kc=o[Cc>>2];if(Xa>>>0<o[kc+4>>2]-o[kc>>2]>>2>>>0){continue}break j}break}break i}if(p[a+308|0]){si(a+272|0)}Xa=o[a+216>>2];Dc=a+220|0;if((Xa|0)!=o[Dc>>2]){zc=0;while(1){Ac=u(zc,144);Ui((Ac+Xa|0)+4|0,o[Cc>>2]);kc=o[Hc>>2];Ec=Ac+kc|0;Xa=o[Ec+132>>2];Ec=o[Ec+136>>2];if((Xa|0)!=(Ec|0)){while(1){Wi((kc+Ac|0)+4|0,o[Xa>>2]);kc=o[Hc>>2];Xa=Xa+4|0;if((Ec|0)!=(Xa|0)){continue}break}}Vi((kc+Ac|0)+4|0);zc=zc+1|0;Xa=o[a+216>>2];if(zc>>>0<(o[Dc>>2]-Xa|0)/144>>>0){continue}break}}Xa=o[a+8>>2];_g(a+184|0,o[Xa+28>>2]-o[Xa+24>>2]>>2);kc=o[a+216>>2];if((kc|0)!=o[Dc>>2]){Xa=0;Ac=a+220|0;while(1){kc=u(Xa,144)+kc|0;zc=o[kc+60>>2]-o[kc+56>>2]>>2;Dc=kc+104|0;kc=o[Cc>>2];kc=o[kc+28>>2]-o[kc+24>>2]>>2;_g(Dc,(zc|0)<(kc|0)?kc:zc);Xa=Xa+1|0;kc=o[a+216>>2];if(Xa>>>0<(o[Ac>>2]-kc|0)/144>>>0){continue}break}}Fc=$g(a,Gc)}}R=Bc- -64|0;return Fc|0}function hh(a,Lc){var Mc=0,Nc=0,Oc=0,Pc=0,Qc=0,Rc=0,Sc=0,Tc=0,Uc=0,Vc=0,Wc=0,Xc=0;Sc=R-16|0;R=Sc;a:{if(!Nf(a+80|0,a)){break a}if(!Xg(a)){break a}Mc=o[a+4>>2];o[Lc>>2]=o[a>>2];o[Lc+4>>2]=Mc;Mc=o[a+36>>2];o[Lc+32>>2]=o[a+32>>2];o[Lc+36>>2]=Mc;Mc=o[a+28>>2];o[Lc+24>>2]=o[a+24>>2];o[Lc+28>>2]=Mc;Mc=o[a+20>>2];o[Lc+16>>2]=o[a+16>>2];o[Lc+20>>2]=Mc;Mc=o[a+12>>2];o[Lc+8>>2]=o[a+8>>2];o[Lc+12>>2]=Mc;o[a+176>>2]=2;o[a+180>>2]=7;Mc=o[a+152>>2];if((Mc|0)<0){break a}o[Sc+12>>2]=0;Oc=2;Pc=o[a+156>>2];Rc=o[a+160>>2]-Pc>>2;b:{if(Mc>>>0>Rc>>>0){yd(a+156|0,Mc-Rc|0,Sc+12|0);Oc=o[a+176>>2];Nc=o[a+180>>2];break b}Nc=7;if(Mc>>>0>=Rc>>>0){break b}o[a+160>>2]=Pc+(Mc<<2)}Rc=a+184|0;Nc=(Nc-Oc|0)+1|0;Pc=a+188|0;Mc=o[Pc>>2];Qc=o[a+184>>2];Oc=(Mc-Qc|0)/12|0;c:{if(Nc>>>0>Oc>>>0){jh(Rc,Nc-Oc|0);Nc=o[Pc>>2];break c}if(Nc>>>0>=Oc>>>0){Nc=Mc;break c}Nc=Qc+u(Nc,12)|0;if((Nc|0)!=(Mc|0)){while(1){Oc=Mc+ -12|0;Pc=o[Oc>>2];if(Pc){o[Mc+ -8>>2]=Pc;ul(Pc)}Mc=Oc;if((Mc|0)!=(Nc|0)){continue}break}}o[a+188>>2]=Nc}Pc=a+196|0;Mc=o[a+184>>2];Oc=(Nc-Mc|0)/12|0;Tc=o[a+196>>2];Qc=o[a+200>>2]-Tc>>2;d:{if(Oc>>>0>Qc>>>0){Da(Pc,Oc-Qc|0);Nc=o[a+188>>2];Mc=o[a+184>>2];break d}if(Oc>>>0>=Qc>>>0){break d}o[a+200>>2]=Tc+(Oc<<2)}Oc=1;if((Mc|0)==(Nc|0)){break a}Mc=0;Xc=a+188|0;while(1){Tg(1,Sc+8|0,Lc);Nc=o[Sc+8>>2];if(Nc){Oc=o[Rc>>2];Uc=u(Mc,12);Qc=Oc+Uc|0;Vc=Qc+4|0;Wc=o[Qc>>2];Tc=o[Vc>>2]-Wc>>2;e:{if(Nc>>>0>Tc>>>0){Da(Qc,Nc-Tc|0);Oc=o[Rc>>2];break e}if(Nc>>>0>=Tc>>>0){break e}o[Vc>>2]=(Nc<<2)+Wc}_f(Nc,1,Lc,o[Oc+Uc>>2]);o[o[Pc>>2]+(Mc<<2)>>2]=Nc}Oc=1;Mc=Mc+1|0;if(Mc>>>0<(o[Xc>>2]-o[a+184>>2]|0)/12>>>0){continue}break}}R=Sc+16|0;return Oc}function ih(a,Lc){var Yc=0,Zc=0,_c=0,$c=0,ad=0,bd=0,cd=0,dd=0,ed=0,fd=0,gd=0,hd=0,id=0,jd=0,kd=0,ld=0,md=0,nd=0,od=0,pd=0,qd=0,rd=0,sd=0,td=0,ud=0,vd=0,wd=0;ad=R-96|0;R=ad;o[ad+72>>2]=0;o[ad+64>>2]=0;o[ad+68>>2]=0;o[ad+48>>2]=0;o[ad+52>>2]=0;o[ad+40>>2]=0;o[ad+44>>2]=0;o[ad+56>>2]=1065353216;o[ad+32>>2]=0;o[ad+24>>2]=0;o[ad+28>>2]=0;jd=o[a+124>>2];a:{b:{c:{if((Lc|0)>=1){qd=a+232|0;hd=a+8|0;nd=a+40|0;rd=a+428|0;ld=a+416|0;sd=a+388|0;td=o[a+216>>2]!=o[a+220>>2];while(1){d:{e:{f:{Yc=o[a+404>>2];g:{h:{if((Yc|0)!=-1){$c=-1;Zc=o[rd>>2]+(Yc<<2)|0;_c=o[Zc>>2];Yc=_c+ -1|0;o[Zc>>2]=Yc;if((_c|0)<1){break c}Yc=o[o[o[ld>>2]+u(o[a+404>>2],12)>>2]+(Yc<<2)>>2];Zc=o[(Yc<<2)+8848>>2];o[a+400>>2]=Zc;if(!Yc){Yc=o[ad+68>>2];if((Yc|0)==o[ad+64>>2]){break c}cd=-1;_c=o[hd>>2];id=o[_c+24>>2];bd=id;md=Yc+ -4|0;$c=o[md>>2];Zc=-1;i:{if(($c|0)==-1){break i}fd=$c+1|0;fd=(fd>>>0)%3|0?fd:$c+ -2|0;Zc=-1;if((fd|0)==-1){break i}Zc=o[o[_c>>2]+(fd<<2)>>2]}bd=o[bd+(Zc<<2)>>2];if((bd|0)!=-1){cd=bd+1|0;cd=(cd>>>0)%3|0?cd:bd+ -2|0}bd=o[_c+12>>2];fd=u(dd,3);ed=fd+1|0;o[bd+($c<<2)>>2]=ed;kd=ed<<2;o[kd+bd>>2]=$c;ed=fd+2|0;o[bd+(cd<<2)>>2]=ed;gd=ed<<2;o[gd+bd>>2]=cd;_c=o[_c>>2];o[_c+(fd<<2)>>2]=Zc;bd=_c+kd|0;kd=-1;j:{if((cd|0)==-1){break j}od=cd+1|0;cd=(od>>>0)%3|0?od:cd+ -2|0;kd=-1;if((cd|0)==-1){break j}kd=o[_c+(cd<<2)>>2]}o[bd>>2]=kd;k:{l:{if(($c|0)!=-1){$c=$c+(($c>>>0)%3|0?-1:2)|0;if(($c|0)!=-1){break l}}o[_c+gd>>2]=-1;break k}$c=o[_c+($c<<2)>>2];o[_c+gd>>2]=$c;if(($c|0)==-1){break k}o[id+($c<<2)>>2]=ed}$c=o[a+120>>2]+(Zc>>>3&536870908)|0;_c=o[$c>>2];vd=$c,wd=Zl(Zc)&_c,o[vd>>2]=wd;o[md>>2]=fd;Zc=0;break d}Zc=Zc+ -1|0;if(Zc>>>0>6){break c}m:{switch(Zc-1|0){case 1:case 3:cd=o[ad+68>>2];if((cd|0)==o[ad+64>>2]){break c}Zc=o[hd>>2];$c=o[Zc+12>>2];_c=u(dd,3);bd=(Yc|0)==3;fd=_c+(bd?2:1)|0;id=fd<<2;Yc=o[cd+ -4>>2];o[$c+id>>2]=Yc;o[$c+(Yc<<2)>>2]=fd;ed=Zc+24|0;cd=o[Zc+32>>2];Zc=Zc+28|0;$c=o[Zc>>2];n:{if((cd|0)!=($c|0)){o[$c>>2]=-1;gd=$c+4|0;o[Zc>>2]=gd;break n}bh(ed,8212);gd=o[Zc>>2]}$c=-1;Zc=o[hd>>2];cd=o[Zc+24>>2];if(o[Zc+28>>2]-cd>>2>(jd|0)){break c}$c=_c+2|0;Zc=o[Zc>>2];ed=gd-o[ed>>2]|0;gd=(ed>>2)+ -1|0;o[Zc+id>>2]=gd;if(ed){o[cd+(gd<<2)>>2]=fd}$c=bd?_c:$c;id=Zc+(_c+bd<<2)|0;o:{p:{q:{if((Yc|0)!=-1){bd=Yc+((Yc>>>0)%3|0?-1:2)|0;if((bd|0)==-1){break q}bd=o[Zc+(bd<<2)>>2];o[Zc+($c<<2)>>2]=bd;if((bd|0)==-1){break p}o[cd+(bd<<2)>>2]=$c;break p}o[Zc+($c<<2)>>2]=-1;$c=-1;break o}o[Zc+($c<<2)>>2]=-1}cd=Yc+1|0;Yc=(cd>>>0)%3|0?cd:Yc+ -2|0;$c=-1;if((Yc|0)==-1){break o}$c=o[Zc+(Yc<<2)>>2]}o[id>>2]=$c;Yc=o[ad+68>>2];o[Yc+ -4>>2]=_c;break g;case 5:break h;case 0:case 2:case 4:break c;default:break m}}Yc=o[ad+68>>2];gd=o[ad+64>>2];if((Yc|0)==(gd|0)){break c}Zc=Yc+ -4|0;fd=o[Zc>>2];o[ad+68>>2]=Zc;ed=o[ad+44>>2];r:{if(!ed){Yc=Zc;break r}id=Yl(ed)>>>0>1;s:{if(!id){_c=ed+2147483647&dd;break s}_c=dd;if(_c>>>0<ed>>>0){break s}_c=(dd>>>0)%(ed>>>0)|0}cd=o[o[ad+40>>2]+(_c<<2)>>2];if(!cd){Yc=Zc;break r}bd=o[cd>>2];if(!bd){Yc=Zc;break r}md=ed+ -1|0;t:{while(1){cd=o[bd+4>>2];u:{if((dd|0)!=(cd|0)){v:{if(!id){cd=cd&md;break v}if(cd>>>0<ed>>>0){break v}cd=(cd>>>0)%(ed>>>0)|0}if((_c|0)==(cd|0)){break u}Yc=Zc;break r}if(o[bd+8>>2]==(dd|0)){break t}}bd=o[bd>>2];if(bd){continue}break}Yc=Zc;break r}_c=bd+12|0;if((Zc|0)!=o[ad+72>>2]){o[Zc>>2]=o[_c>>2];o[ad+68>>2]=Yc;break r}bh(ad- -64|0,_c);Yc=o[ad+68>>2];gd=o[ad+64>>2]}if((Yc|0)==(gd|0)){break c}Zc=o[Yc+ -4>>2];cd=(Zc|0)==-1;ed=o[hd>>2];if(o[o[ed+12>>2]+(Zc<<2)>>2]!=-1?!cd:0){break c}kd=(fd|0)==-1;md=ed+12|0;_c=o[md>>2];if(o[_c+(fd<<2)>>2]!=-1?!kd:0){break c}gd=u(dd,3);id=gd+2|0;o[_c+(Zc<<2)>>2]=id;bd=id<<2;o[bd+_c>>2]=Zc;$c=gd+1|0;o[_c+(fd<<2)>>2]=$c;od=$c<<2;o[od+_c>>2]=fd;if(cd){break f}$c=-1;cd=-1;_c=o[ed>>2];ud=_c+(gd<<2)|0;pd=Zc+((Zc>>>0)%3|0?-1:2)|0;if((pd|0)!=-1){cd=o[(pd<<2)+_c>>2]}o[ud>>2]=cd;pd=Zc+1|0;Zc=(pd>>>0)%3|0?pd:Zc+ -2|0;if((Zc|0)==-1){break e}$c=o[(Zc<<2)+_c>>2];break e}o[a+400>>2]=7}o[ad>>2]=u(dd,3);Yc=o[hd>>2];$c=Yc+24|0;_c=o[Yc+32>>2];Yc=Yc+28|0;Zc=o[Yc>>2];w:{if((_c|0)!=(Zc|0)){o[Zc>>2]=-1;_c=Yc;Yc=Zc+4|0;o[_c>>2]=Yc;break w}bh($c,8212);Yc=o[Yc>>2]}Zc=o[hd>>2];bd=o[Zc>>2];cd=o[ad>>2];_c=Yc-o[$c>>2]|0;$c=_c>>2;ed=$c+ -1|0;o[bd+(cd<<2)>>2]=ed;gd=cd+1|0;cd=Zc+24|0;Yc=Zc+28|0;fd=o[Yc>>2];x:{if((fd|0)!=o[Zc+32>>2]){o[fd>>2]=-1;Zc=Yc;Yc=fd+4|0;o[Zc>>2]=Yc;break x}bh(cd,8212);Yc=o[Yc>>2];bd=o[Zc>>2]}o[(gd<<2)+bd>>2]=(Yc-o[cd>>2]>>2)+ -1;fd=o[ad>>2]+2|0;Yc=o[hd>>2];cd=Yc+28|0;Zc=o[cd>>2];y:{if((Zc|0)!=o[Yc+32>>2]){o[Zc>>2]=-1;bd=Zc+4|0;o[cd>>2]=bd;break y}bh(Yc+24|0,8212);bd=o[cd>>2]}o[o[Yc>>2]+(fd<<2)>>2]=(bd-o[Yc+24>>2]>>2)+ -1;Zc=o[hd>>2];Yc=o[Zc+24>>2];z:{if(o[Zc+28>>2]-Yc>>2<=(jd|0)){Zc=o[ad>>2];A:{B:{if(!_c){bd=1;o[Yc+($c<<2)>>2]=Zc+1;break B}o[Yc+(ed<<2)>>2]=Zc;bd=0;if((_c|0)==-4){break B}o[Yc+($c<<2)>>2]=o[ad>>2]+1;bd=$c+1|0;if((bd|0)==-1){break A}}o[Yc+(bd<<2)>>2]=o[ad>>2]+2}Yc=o[ad+68>>2];if((Yc|0)==o[ad+72>>2]){break z}o[Yc>>2]=o[ad>>2];Yc=Yc+4|0;o[ad+68>>2]=Yc;break g}$c=-1;break c}bh(ad- -64|0,ad);Yc=o[ad+68>>2]}Zc=1;break d}cd=-1;_c=o[ed>>2];o[_c+(gd<<2)>>2]=-1;$c=-1}o[_c+od>>2]=$c;C:{D:{E:{if(!kd){Zc=fd+((fd>>>0)%3|0?-1:2)|0;if((Zc|0)==-1){break E}Zc=o[(Zc<<2)+_c>>2];o[_c+bd>>2]=Zc;if((Zc|0)==-1){break D}o[o[ed+24>>2]+(Zc<<2)>>2]=id;break D}o[_c+bd>>2]=-1;bd=-1;$c=-1;break C}o[_c+bd>>2]=-1}bd=-1;Zc=fd+1|0;Zc=(Zc>>>0)%3|0?Zc:fd+ -2|0;$c=-1;if((Zc|0)==-1){break C}bd=o[(Zc<<2)+_c>>2];$c=Zc}o[ad>>2]=bd;Zc=o[sd>>2];_c=cd<<2;fd=Zc+_c|0;o[fd>>2]=o[fd>>2]+o[Zc+(bd<<2)>>2];Zc=o[ed+24>>2];if((cd|0)!=-1){o[Zc+_c>>2]=o[Zc+(o[ad>>2]<<2)>>2]}F:{if(($c|0)==-1){break F}_c=o[ed>>2];while(1){o[_c+($c<<2)>>2]=cd;bd=$c+1|0;$c=(bd>>>0)%3|0?bd:$c+ -2|0;if(($c|0)==-1){break F}$c=o[o[md>>2]+($c<<2)>>2];if(($c|0)==-1){break F}bd=$c+1|0;$c=(bd>>>0)%3|0?bd:$c+ -2|0;if(($c|0)!=-1){continue}break}}o[Zc+(o[ad>>2]<<2)>>2]=-1;G:{if(td){break G}Zc=o[ad+28>>2];if((Zc|0)!=o[ad+32>>2]){o[Zc>>2]=o[ad>>2];o[ad+28>>2]=Zc+4;break G}bh(ad+24|0,ad);Yc=o[ad+68>>2]}o[Yc+ -4>>2]=gd;Zc=0}kh(qd,o[Yc+ -4>>2]);H:{if(!Zc){break H}Yc=o[nd>>2];if((Yc|0)==o[a+36>>2]){break H}_c=(dd^-1)+Lc|0;while(1){$c=-1;Zc=o[Yc+ -8>>2];if(Zc>>>0>_c>>>0){break c}if((Zc|0)!=(_c|0)){break H}Zc=p[Yc+ -4|0];Yc=Yc+ -12|0;cd=o[Yc>>2];o[nd>>2]=Yc;if((cd|0)<0){break c}Yc=o[o[ad+68>>2]+ -4>>2];o[ad+20>>2]=(cd^-1)+Lc;o[ad+88>>2]=ad+20;ch(ad,ad+40|0,ad+20|0,ad+88|0);$c=o[ad>>2];I:{if(Zc&1){Zc=-1;if((Yc|0)==-1){break I}Zc=Yc+1|0;Zc=(Zc>>>0)%3|0?Zc:Yc+ -2|0;break I}Zc=-1;if((Yc|0)==-1){break I}Zc=Yc+ -1|0;if((Yc>>>0)%3){break I}Zc=Yc+2|0}o[$c+12>>2]=Zc;Yc=o[nd>>2];if((Yc|0)!=o[a+36>>2]){continue}break}}dd=dd+1|0;if((dd|0)!=(Lc|0)){continue}break}Zc=Lc}$c=-1;bd=o[a+8>>2];if(o[bd+28>>2]-o[bd+24>>2]>>2>(jd|0)){break c}Yc=o[ad+68>>2];if((Yc|0)!=o[ad+64>>2]){nd=a+72|0;Lc=a+60|0;sd=a+312|0;td=a+8|0;id=a+68|0;qd=a+80|0;fd=a+76|0;while(1){Yc=Yc+ -4|0;dd=o[Yc>>2];o[ad+68>>2]=Yc;o[ad>>2]=dd;J:{if(Pf(sd)){gd=o[td>>2];hd=o[gd>>2];if((Zc|0)>=((o[gd+4>>2]-hd>>2>>>0)/3|0)){break c}Yc=-1;bd=-1;ed=o[ad>>2];cd=-1;K:{if((ed|0)==-1){break K}_c=ed+1|0;_c=(_c>>>0)%3|0?_c:ed+ -2|0;cd=-1;if((_c|0)==-1){break K}cd=o[hd+(_c<<2)>>2]}_c=o[gd+24>>2];dd=o[(cd<<2)+_c>>2];L:{if((dd|0)==-1){break L}jd=dd+1|0;dd=(jd>>>0)%3|0?jd:dd+ -2|0;if((dd|0)==-1){break L}Yc=dd+1|0;Yc=(Yc>>>0)%3|0?Yc:dd+ -2|0;if((Yc|0)!=-1){bd=o[hd+(Yc<<2)>>2]}Yc=dd}jd=-1;rd=-1;_c=o[_c+(bd<<2)>>2];dd=-1;M:{if((_c|0)==-1){break M}ld=_c+1|0;_c=(ld>>>0)%3|0?ld:_c+ -2|0;dd=-1;if((_c|0)==-1){break M}dd=_c+1|0;dd=(dd>>>0)%3|0?dd:_c+ -2|0;if((dd|0)!=-1){rd=o[hd+(dd<<2)>>2]}dd=_c}ld=u(Zc,3);o[ad+88>>2]=ld;_c=o[gd+12>>2];o[_c+(ld<<2)>>2]=ed;o[_c+(ed<<2)>>2]=ld;ed=o[ad+88>>2]+1|0;o[_c+(ed<<2)>>2]=Yc;o[_c+(Yc<<2)>>2]=ed;Yc=o[ad+88>>2]+2|0;o[_c+(Yc<<2)>>2]=dd;o[_c+(dd<<2)>>2]=Yc;Yc=o[ad+88>>2];o[hd+(Yc<<2)>>2]=bd;dd=Yc+1|0;ed=hd+(dd<<2)|0;o[ed>>2]=rd;gd=Yc+2|0;hd=hd+(gd<<2)|0;o[hd>>2]=cd;_c=o[a+120>>2];Yc=dd>>>0<Yc>>>0?-1:bd;cd=_c+(Yc>>>3&536870908)|0;bd=o[cd>>2];vd=cd,wd=Zl(Yc)&bd,o[vd>>2]=wd;jd=(dd|0)!=-1?o[ed>>2]:jd;Yc=_c+(jd>>>3&536870908)|0;dd=o[Yc>>2];vd=Yc,wd=Zl(jd)&dd,o[vd>>2]=wd;Yc=-1;Yc=(gd|0)!=-1?o[hd>>2]:Yc;dd=_c+(Yc>>>3&536870908)|0;_c=o[dd>>2];vd=dd,wd=Zl(Yc)&_c,o[vd>>2]=wd;Yc=o[a+64>>2];_c=o[id>>2];if((Yc|0)==_c<<5){if((Yc+1|0)<=-1){break a}dd=Lc;if(Yc>>>0<=1073741822){Yc=Yc+32&-32;_c=_c<<6;Yc=_c>>>0<Yc>>>0?Yc:_c}else{Yc=2147483647}ab(dd,Yc);Yc=o[a+64>>2]}Zc=Zc+1|0;o[a+64>>2]=Yc+1;dd=o[a+60>>2]+(Yc>>>3&536870908)|0;o[dd>>2]=o[dd>>2]|1<<(Yc&31);Yc=o[fd>>2];if((Yc|0)!=o[qd>>2]){o[Yc>>2]=o[ad+88>>2];o[fd>>2]=Yc+4;break J}bh(nd,ad+88|0);break J}Yc=o[a+64>>2];_c=o[id>>2];if((Yc|0)==_c<<5){if((Yc+1|0)<=-1){break a}dd=Lc;if(Yc>>>0<=1073741822){Yc=Yc+32&-32;_c=_c<<6;Yc=_c>>>0<Yc>>>0?Yc:_c}else{Yc=2147483647}ab(dd,Yc);Yc=o[a+64>>2]}o[a+64>>2]=Yc+1;dd=o[a+60>>2]+(Yc>>>3&536870908)|0;_c=o[dd>>2];vd=dd,wd=Zl(Yc)&_c,o[vd>>2]=wd;Yc=o[fd>>2];if((Yc|0)!=o[qd>>2]){o[Yc>>2]=o[ad>>2];o[fd>>2]=Yc+4;break J}bh(nd,ad)}Yc=o[ad+68>>2];if((Yc|0)!=o[ad+64>>2]){continue}break}bd=o[a+8>>2]}if(((o[bd+4>>2]-o[bd>>2]>>2>>>0)/3|0)!=(Zc|0)){break c}$c=o[bd+28>>2]-o[bd+24>>2]>>2;Lc=o[ad+24>>2];cd=o[ad+28>>2];if((Lc|0)==(cd|0)){break b}hd=a+8|0;while(1){_c=o[Lc>>2];Zc=o[bd+24>>2];Yc=$c+ -1|0;N:{if(o[Zc+(Yc<<2)>>2]!=-1){dd=$c;break N}Zc=o[bd+24>>2];while(1){Yc=$c+ -2|0;dd=$c+ -1|0;$c=dd;if(o[(Yc<<2)+Zc>>2]==-1){continue}break}}if(!(Yc>>>0<_c>>>0)){o[ad>>2]=bd;$c=Zc;Zc=Yc<<2;$c=o[$c+Zc>>2];m[ad+12|0]=1;o[ad+8>>2]=$c;o[ad+4>>2]=$c;if(($c|0)!=-1){while(1){o[o[bd>>2]+($c<<2)>>2]=_c;jf(ad);bd=o[hd>>2];$c=o[ad+8>>2];if(($c|0)!=-1){continue}break}}$c=o[bd+24>>2];Zc=$c+Zc|0;if((_c|0)!=-1){o[$c+(_c<<2)>>2]=o[Zc>>2]}o[Zc>>2]=-1;Zc=1<<(_c&31);$c=_c>>>3&536870908;_c=o[a+120>>2];$c=$c+_c|0;id=$c;ed=1<<(Yc&31);_c=_c+(Yc>>>3&536870908)|0;Yc=Zc|o[$c>>2];O:{if(ed&o[_c>>2]){break O}Yc=o[$c>>2]&(Zc^-1)}o[id>>2]=Yc;o[_c>>2]=o[_c>>2]&(ed^-1);dd=dd+ -1|0}$c=dd;Lc=Lc+4|0;if((cd|0)!=(Lc|0)){continue}break}}Lc=o[ad+24>>2]}if(Lc){o[ad+28>>2]=Lc;ul(Lc)}Yc=o[ad+48>>2];if(Yc){while(1){a=o[Yc>>2];ul(Yc);Yc=a;if(Yc){continue}break}}a=o[ad+40>>2];o[ad+40>>2]=0;if(a){ul(a)}a=o[ad+64>>2];if(a){o[ad+68>>2]=a;ul(a)}R=ad+96|0;return $c}Yk();D()}function jh(a,Lc){var xd=0,yd=0,zd=0,Ad=0,Bd=0,Cd=0,Dd=0,Ed=0,Fd=0;zd=o[a+8>>2];Ad=a+4|0;xd=o[Ad>>2];if((zd-xd|0)/12>>>0>=Lc>>>0){a=u(Lc,12);Ed=Ad,Fd=xl(xd,0,a)+a|0,o[Ed>>2]=Fd;return}a:{Ad=o[a>>2];yd=(xd-Ad|0)/12|0;Bd=yd+Lc|0;if(Bd>>>0<357913942){Dd=u(yd,12);zd=(zd-Ad|0)/12|0;yd=zd<<1;yd=zd>>>0<178956970?yd>>>0<Bd>>>0?Bd:yd:357913941;if(yd){if(yd>>>0>=357913942){break a}Cd=Hk(u(yd,12))}zd=Cd+Dd|0;xl(zd,0,u(Lc,12));Lc=u(Bd,12)+Cd|0;Bd=u(yd,12)+Cd|0;if((xd|0)!=(Ad|0)){while(1){zd=zd+ -12|0;o[zd>>2]=0;o[zd+4>>2]=0;yd=zd+8|0;o[yd>>2]=0;xd=xd+ -12|0;o[zd>>2]=o[xd>>2];o[zd+4>>2]=o[xd+4>>2];Cd=yd;yd=xd+8|0;o[Cd>>2]=o[yd>>2];o[yd>>2]=0;o[xd>>2]=0;o[xd+4>>2]=0;if((xd|0)!=(Ad|0)){continue}break}Ad=o[a>>2];xd=o[a+4>>2]}o[a>>2]=zd;o[a+8>>2]=Bd;o[a+4>>2]=Lc;if((xd|0)!=(Ad|0)){while(1){a=xd+ -12|0;Lc=o[a>>2];if(Lc){o[xd+ -8>>2]=Lc;ul(Lc)}xd=a;if((xd|0)!=(Ad|0)){continue}break}}if(Ad){ul(Ad)}return}Yk();D()}_a(8776);D()}function kh(a,Lc){var Gd=0,Hd=0,Id=0,Jd=0,Kd=0;Jd=-1;Hd=-1;a:{if((Lc|0)==-1){break a}Hd=Lc+1|0;Jd=(Hd>>>0)%3|0?Hd:Lc+ -2|0;Hd=Lc+ -1|0;if((Lc>>>0)%3){break a}Hd=Lc+2|0}Gd=o[a+168>>2];b:{if(Gd>>>0>7){break b}c:{d:{switch(Gd-2|0){default:Gd=o[a+148>>2];Id=1;Lc=o[a+156>>2];Kd=Lc+(((Jd|0)!=-1?o[o[Gd>>2]+(Jd<<2)>>2]:-1)<<2)|0;o[Kd>>2]=o[Kd>>2]+1;Lc=(((Hd|0)!=-1?o[o[Gd>>2]+(Hd<<2)>>2]:-1)<<2)+Lc|0;break c;case 3:Id=o[a+148>>2];Gd=-1;Gd=((Lc|0)!=-1?o[o[Id>>2]+(Lc<<2)>>2]:Gd)<<2;Lc=o[a+156>>2];Gd=Gd+Lc|0;o[Gd>>2]=o[Gd>>2]+1;Gd=(((Jd|0)!=-1?o[o[Id>>2]+(Jd<<2)>>2]:-1)<<2)+Lc|0;o[Gd>>2]=o[Gd>>2]+1;Gd=-1;Gd=(Hd|0)!=-1?o[o[Id>>2]+(Hd<<2)>>2]:Gd;Id=2;Lc=Lc+(Gd<<2)|0;break c;case 1:Id=o[a+148>>2];Gd=-1;Gd=((Lc|0)!=-1?o[o[Id>>2]+(Lc<<2)>>2]:Gd)<<2;Lc=o[a+156>>2];Gd=Gd+Lc|0;o[Gd>>2]=o[Gd>>2]+1;Gd=(((Jd|0)!=-1?o[o[Id>>2]+(Jd<<2)>>2]:-1)<<2)+Lc|0;o[Gd>>2]=o[Gd>>2]+2;Lc=(((Hd|0)!=-1?o[o[Id>>2]+(Hd<<2)>>2]:-1)<<2)+Lc|0;Id=1;break c;case 0:case 2:case 4:break b;case 5:break d}}Id=o[a+148>>2];Gd=-1;Gd=((Lc|0)!=-1?o[o[Id>>2]+(Lc<<2)>>2]:Gd)<<2;Lc=o[a+156>>2];Gd=Gd+Lc|0;o[Gd>>2]=o[Gd>>2]+2;Gd=(((Jd|0)!=-1?o[o[Id>>2]+(Jd<<2)>>2]:-1)<<2)+Lc|0;o[Gd>>2]=o[Gd>>2]+2;Gd=-1;Gd=(Hd|0)!=-1?o[o[Id>>2]+(Hd<<2)>>2]:Gd;Id=2;Lc=Lc+(Gd<<2)|0}o[Lc>>2]=o[Lc>>2]+Id}Gd=-1;Gd=(Jd|0)!=-1?o[o[o[a+148>>2]>>2]+(Jd<<2)>>2]:Gd;Jd=o[a+176>>2];Lc=Jd;Hd=a;Gd=o[o[a+156>>2]+(Gd<<2)>>2];if((Gd|0)>=(Lc|0)){a=o[a+180>>2];Lc=(Gd|0)>(a|0)?a:Gd}o[Hd+172>>2]=Lc-Jd}function lh(a){a=a|0;var Lc=0,Ld=0,Md=0,Nd=0,Od=0;o[a>>2]=8172;Lc=a+368|0;Md=o[Lc>>2];o[Lc>>2]=0;if(Md){Ld=Md+ -4|0;Lc=o[Ld>>2];if(Lc){Lc=Md+(Lc<<4)|0;while(1){Lc=Lc+ -16|0;if((Md|0)!=(Lc|0)){continue}break}}ul(Ld)}Md=o[a+216>>2];if(Md){Od=a+220|0;Lc=o[Od>>2];Ld=Md;a:{if((Md|0)==(Lc|0)){break a}while(1){Ld=o[Lc+ -12>>2];if(Ld){o[Lc+ -8>>2]=Ld;ul(Ld)}Ld=o[Lc+ -28>>2];if(Ld){o[Lc+ -24>>2]=Ld;ul(Ld)}Ld=Lc+ -144|0;Nd=o[Lc+ -40>>2];if(Nd){o[Lc+ -36>>2]=Nd;ul(Nd)}Ug(Lc+ -140|0);Lc=Ld;if((Md|0)!=(Lc|0)){continue}break}Ld=o[a+216>>2]}o[Od>>2]=Md;ul(Ld)}Lc=o[a+196>>2];if(Lc){o[a+200>>2]=Lc;ul(Lc)}Lc=o[a+184>>2];if(Lc){o[a+188>>2]=Lc;ul(Lc)}Lc=o[a+172>>2];if(Lc){o[a+176>>2]=Lc;ul(Lc)}Lc=o[a+160>>2];if(Lc){o[a+164>>2]=Lc;ul(Lc)}Lc=o[a+144>>2];if(Lc){while(1){Md=o[Lc>>2];ul(Lc);Lc=Md;if(Lc){continue}break}}Md=a+136|0;Lc=o[Md>>2];o[Md>>2]=0;if(Lc){ul(Lc)}Lc=o[a+120>>2];if(Lc){ul(Lc)}Lc=o[a+108>>2];if(Lc){ul(Lc)}Lc=o[a+96>>2];if(Lc){ul(Lc)}Lc=o[a+72>>2];if(Lc){o[a+76>>2]=Lc;ul(Lc)}Lc=o[a+60>>2];if(Lc){ul(Lc)}Lc=o[a+48>>2];if(Lc){o[a+52>>2]=Lc;ul(Lc)}Lc=o[a+36>>2];if(Lc){o[a+40>>2]=Lc;ul(Lc)}Lc=o[a+24>>2];if(Lc){o[a+28>>2]=Lc;ul(Lc)}Lc=o[a+12>>2];if(Lc){o[a+16>>2]=Lc;ul(Lc)}Lc=o[a+8>>2];o[a+8>>2]=0;if(Lc){ua(a+8|0,Lc)}return a|0}function mh(a){a=a|0;ul(lh(a))}function nh(a){a=a|0;var Pd=0,Qd=0,Rd=0,Sd=0,Td=0;o[a>>2]=8224;oh(a+232|0);Sd=o[a+216>>2];if(Sd){Qd=Sd;Td=a+220|0;Pd=o[Td>>2];Rd=Qd;a:{if((Qd|0)==(Pd|0)){break a}while(1){Qd=o[Pd+ -12>>2];if(Qd){o[Pd+ -8>>2]=Qd;ul(Qd)}Qd=o[Pd+ -28>>2];if(Qd){o[Pd+ -24>>2]=Qd;ul(Qd)}Qd=Pd+ -144|0;Rd=o[Pd+ -40>>2];if(Rd){o[Pd+ -36>>2]=Rd;ul(Rd)}Ug(Pd+ -140|0);Pd=Qd;if((Sd|0)!=(Pd|0)){continue}break}Rd=o[a+216>>2]}Qd=Rd;o[Td>>2]=Sd;ul(Qd)}Pd=o[a+196>>2];if(Pd){o[a+200>>2]=Pd;ul(Pd)}Pd=o[a+184>>2];if(Pd){o[a+188>>2]=Pd;ul(Pd)}Pd=o[a+172>>2];if(Pd){o[a+176>>2]=Pd;ul(Pd)}Pd=o[a+160>>2];if(Pd){o[a+164>>2]=Pd;ul(Pd)}Pd=o[a+144>>2];if(Pd){while(1){Qd=o[Pd>>2];ul(Pd);Pd=Qd;if(Pd){continue}break}}Pd=a+136|0;Qd=o[Pd>>2];o[Pd>>2]=0;if(Qd){ul(Qd)}Pd=o[a+120>>2];if(Pd){ul(Pd)}Pd=o[a+108>>2];if(Pd){ul(Pd)}Pd=o[a+96>>2];if(Pd){ul(Pd)}Pd=o[a+72>>2];if(Pd){o[a+76>>2]=Pd;ul(Pd)}Pd=o[a+60>>2];if(Pd){ul(Pd)}Pd=o[a+48>>2];if(Pd){o[a+52>>2]=Pd;ul(Pd)}Pd=o[a+36>>2];if(Pd){o[a+40>>2]=Pd;ul(Pd)}Pd=o[a+24>>2];if(Pd){o[a+28>>2]=Pd;ul(Pd)}Pd=o[a+12>>2];if(Pd){o[a+16>>2]=Pd;ul(Pd)}Pd=o[a+8>>2];o[a+8>>2]=0;if(Pd){ua(a+8|0,Pd)}return a|0}function oh(a){var Ud=0,Vd=0,Wd=0,Xd=0,Yd=0;Ud=o[a+196>>2];if(Ud){o[a+200>>2]=Ud;ul(Ud)}Ud=o[a+184>>2];if(Ud){Yd=a+188|0;Vd=o[Yd>>2];Wd=Ud;a:{if((Ud|0)==(Vd|0)){break a}while(1){Wd=Vd+ -12|0;Xd=o[Wd>>2];if(Xd){o[Vd+ -8>>2]=Xd;ul(Xd)}Vd=Wd;if((Vd|0)!=(Ud|0)){continue}break}Wd=o[a+184>>2]}o[Yd>>2]=Ud;ul(Wd)}Ud=o[a+156>>2];if(Ud){o[a+160>>2]=Ud;ul(Ud)}Ud=a+136|0;a=o[Ud>>2];o[Ud>>2]=0;if(a){Vd=a+ -4|0;Ud=o[Vd>>2];if(Ud){Ud=a+(Ud<<4)|0;while(1){Ud=Ud+ -16|0;if((a|0)!=(Ud|0)){continue}break}}ul(Vd)}}function ph(a){a=a|0;ul(nh(a))}function qh(a){a=a|0;var Zd=0;o[a>>2]=8512;Zd=o[a+48>>2];if(Zd){o[a+52>>2]=Zd;ul(Zd)}o[a>>2]=8764;Zd=o[a+36>>2];if(Zd){ul(Zd)}Zd=o[a+24>>2];if(Zd){ul(Zd)}ul(a)}function rh(a){a=a|0;var _d=0;o[a>>2]=8764;_d=o[a+36>>2];if(_d){ul(_d)}_d=o[a+24>>2];if(_d){ul(_d)}return a|0}function sh(a){a=a|0;var $d=0;o[a>>2]=8764;$d=o[a+36>>2];if($d){ul($d)}$d=o[a+24>>2];if($d){ul($d)}ul(a)}function th(a,ae,be){a=a|0;ae=ae|0;be=be|0;var ce=0,de=0;ce=R-16|0;R=ce;o[a+4>>2]=ae;de=o[ae+4>>2];ae=o[ae>>2];m[ce+15|0]=0;$a(a+24|0,(de-ae>>2>>>0)/3|0,ce+15|0);ae=o[a+4>>2];de=o[ae+28>>2];ae=o[ae+24>>2];m[ce+14|0]=0;$a(a+36|0,de-ae>>2,ce+14|0);ae=o[be+12>>2];o[a+16>>2]=o[be+8>>2];o[a+20>>2]=ae;ae=o[be+4>>2];o[a+8>>2]=o[be>>2];o[a+12>>2]=ae;R=ce+16|0}function uh(a,ae){var be=0,ee=0,fe=0;a:{if((a|0)!=(ae|0)){fe=a;be=o[ae+4>>2];ee=0;b:{if(!be){break b}c:{if(be>>>0<=o[a+8>>2]<<5>>>0){ee=o[a>>2];break c}ee=o[a>>2];if(ee){ul(ee);o[a+8>>2]=0;o[a>>2]=0;o[a+4>>2]=0;be=o[ae+4>>2]}if((be|0)<=-1){break a}be=(be+ -1>>>5)+1|0;ee=Hk(be<<2);o[a+8>>2]=be;o[a+4>>2]=0;o[a>>2]=ee;be=o[ae+4>>2]}yl(ee,o[ae>>2],(be+ -1>>>3&536870908)+4|0);ee=o[ae+4>>2]}o[fe+4>>2]=ee}return}Yk();D()}function vh(a){a=a|0;var ae=0;o[a>>2]=9088;ae=o[a+88>>2];if(ae){o[a+92>>2]=ae;ul(ae)}ae=o[a+72>>2];if(ae){o[a+76>>2]=ae;ul(ae)}ae=o[a+60>>2];if(ae){o[a- -64>>2]=ae;ul(ae)}ae=o[a+48>>2];if(ae){o[a+52>>2]=ae;ul(ae)}o[a>>2]=9324;ae=o[a+36>>2];if(ae){ul(ae)}ae=o[a+24>>2];if(ae){ul(ae)}return a|0}function wh(a){a=a|0;var ge=0;o[a>>2]=8876;o[a+8>>2]=9088;ge=o[a+96>>2];if(ge){o[a+100>>2]=ge;ul(ge)}ge=o[a+80>>2];if(ge){o[a+84>>2]=ge;ul(ge)}ge=o[a+68>>2];if(ge){o[a+72>>2]=ge;ul(ge)}ge=o[a+56>>2];if(ge){o[a+60>>2]=ge;ul(ge)}o[a+8>>2]=9324;ge=o[a+44>>2];if(ge){ul(ge)}ge=o[a+32>>2];if(ge){ul(ge)}return a|0}function xh(a){a=a|0;var he=0;o[a>>2]=8876;o[a+8>>2]=9088;he=o[a+96>>2];if(he){o[a+100>>2]=he;ul(he)}he=o[a+80>>2];if(he){o[a+84>>2]=he;ul(he)}he=o[a+68>>2];if(he){o[a+72>>2]=he;ul(he)}he=o[a+56>>2];if(he){o[a+60>>2]=he;ul(he)}o[a+8>>2]=9324;he=o[a+44>>2];if(he){ul(he)}he=o[a+32>>2];if(he){ul(he)}ul(a)}function yh(a,ie){a=a|0;ie=ie|0;var je=0,ke=0,le=0,me=0,ne=0,oe=0,pe=0,qe=0,re=0,se=0,te=0;re=o[a+12>>2];je=o[a+108>>2];ke=o[je+80>>2];m[ie+84|0]=0;ne=o[ie+68>>2];le=o[ie+72>>2]-ne>>2;a:{if(ke>>>0>le>>>0){kd(ie+68|0,ke-le|0,9076);je=o[a+108>>2];ke=o[je+80>>2];break a}if(ke>>>0>=le>>>0){break a}o[ie+72>>2]=ne+(ke<<2)}qe=o[je+96>>2];je=o[je+100>>2]-qe|0;se=(je|0)/12|0;if(!je){return 1}te=ie+68|0;ie=0;b:{while(1){c:{if((ie|0)==1431655765){break c}je=o[re>>2]+(u(ie,3)<<2)|0;ne=o[je>>2];if((ne|0)==-1){break c}le=u(ie,12)+qe|0;oe=o[le>>2];if(oe>>>0>=ke>>>0){break c}me=ne<<2;ne=o[o[a+112>>2]+12>>2];me=o[me+ne>>2];if(me>>>0>=ke>>>0){break c}pe=oe<<2;oe=o[te>>2];o[pe+oe>>2]=me;me=o[je+4>>2];if((me|0)==-1){break c}pe=o[le+4>>2];if(pe>>>0>=ke>>>0){break c}me=o[ne+(me<<2)>>2];if(me>>>0>=ke>>>0){break c}o[oe+(pe<<2)>>2]=me;je=o[je+8>>2];if((je|0)==-1){break c}le=o[le+8>>2];if(le>>>0>=ke>>>0){break c}je=o[ne+(je<<2)>>2];if(je>>>0>=ke>>>0){break c}o[oe+(le<<2)>>2]=je;je=1;ie=ie+1|0;if(ie>>>0<se>>>0){continue}break b}break}je=0}return je|0}function zh(a){a=a|0;var ie=0,ue=0,ve=0,we=0,xe=0,ye=0,ze=0,Ae=0,Be=0;xe=R-16|0;R=xe;ue=o[a+4>>2];ie=o[ue>>2];a:{Ae=a+12|0;ve=o[Ae>>2];we=o[ve+28>>2]-o[ve+24>>2]|0;ve=we>>2;b:{if(o[ue+8>>2]-ie>>2>>>0>=ve>>>0){break b}if(ve>>>0>=1073741824){break a}Be=ue+4|0;ye=o[Be>>2];ze=ve<<2;ve=Hk(we);ze=ze+ve|0;we=ye-ie|0;ye=we+ve|0;if((we|0)>=1){wl(ve,ie,we)}o[ue>>2]=ve;o[ue+8>>2]=ze;o[Be>>2]=ye;if(!ie){break b}ul(ie)}ie=o[Ae>>2];ue=o[ie+24>>2];ie=o[ie+28>>2];o[xe+12>>2]=0;ie=ie-ue>>2;ve=a+96|0;we=o[ve>>2];ue=o[a+100>>2]-we>>2;c:{if(ie>>>0>ue>>>0){yd(ve,ie-ue|0,xe+12|0);break c}if(ie>>>0>=ue>>>0){break c}o[a+100>>2]=we+(ie<<2)}we=a+8|0;d:{e:{ie=o[a+116>>2];if(ie){ve=o[ie>>2];ue=1;if((ve|0)==o[ie+4>>2]){break d}ie=0;while(1){if(!Ah(we,o[(ie<<2)+ve>>2])){break e}ue=o[a+116>>2];ve=o[ue>>2];ie=ie+1|0;if(ie>>>0<o[ue+4>>2]-ve>>2>>>0){continue}break}ue=1;break d}ie=0;a=o[a+12>>2];a=(o[a+4>>2]-o[a>>2]>>2>>>0)/3|0;ue=1;if((a|0)<=0){break d}while(1){if(!Ah(we,u(ie,3))){break e}ie=ie+1|0;if(ie>>>0<a>>>0){continue}break}ue=1;break d}ue=0}R=xe+16|0;return ue|0}_a(8776);D()}function Ah(a,Ce){var De=0,Ee=0,Fe=0,Ge=0,He=0,Ie=0,Je=0,Ke=0,Le=0,Me=0,Ne=0,Oe=0,Pe=0;Ge=R-32|0;R=Ge;o[Ge+8>>2]=Ce;a:{if(o[a+92>>2]==o[a+88>>2]){break a}Fe=a+52|0;De=o[Fe>>2];b:{if((De|0)!=o[a+56>>2]){o[De>>2]=Ce;o[Fe>>2]=De+4;break b}bh(a+48|0,Ge+8|0)}o[a+84>>2]=0;Ce=-1;Fe=-1;De=o[Ge+8>>2];c:{if((De|0)==-1){break c}Ee=o[a+4>>2];He=De+1|0;He=(He>>>0)%3|0?He:De+ -2|0;if((He|0)!=-1){Ce=o[o[Ee>>2]+(He<<2)>>2]}De=De+((De>>>0)%3|0?-1:2)|0;if((De|0)==-1){break c}Fe=o[o[Ee>>2]+(De<<2)>>2]}De=o[a+36>>2];Ee=De+(Ce>>>3&536870908)|0;He=o[Ee>>2];Je=1<<(Ce&31);if(!(He&Je)){o[Ee>>2]=He|Je;De=-1;Ee=o[Ge+8>>2];if((Ee|0)!=-1){De=Ee+1|0;De=(De>>>0)%3|0?De:Ee+ -2|0}o[Ge+16>>2]=De;Ee=o[a+20>>2];He=(De>>>0)/3|0;He=o[(o[o[a+16>>2]+96>>2]+u(He,12)|0)+(De-u(He,3)<<2)>>2];o[Ge+24>>2]=He;Ee=o[Ee+4>>2];Je=Ee+4|0;De=o[Je>>2];d:{if((De|0)!=o[Ee+8>>2]){o[De>>2]=He;o[Je>>2]=De+4;break d}bh(Ee,Ge+24|0)}He=a+12|0;De=o[He>>2];Je=De+4|0;Ee=o[Je>>2];e:{if((Ee|0)!=o[De+8>>2]){o[Ee>>2]=o[Ge+16>>2];o[Je>>2]=Ee+4;break e}bh(De,Ge+16|0);De=o[He>>2]}o[o[De+12>>2]+(Ce<<2)>>2]=o[De+24>>2];o[De+24>>2]=o[De+24>>2]+1;De=o[a+36>>2]}Ce=De+(Fe>>>3&536870908)|0;De=o[Ce>>2];Ee=1<<(Fe&31);if(!(De&Ee)){o[Ce>>2]=De|Ee;Ce=Ge;Ke=Ce;Ee=o[Ce+8>>2];De=-1;f:{if((Ee|0)==-1){break f}De=Ee+ -1|0;if((Ee>>>0)%3){break f}De=Ee+2|0}o[Ke+16>>2]=De;Ce=o[a+20>>2];Ee=(De>>>0)/3|0;Ee=o[(o[o[a+16>>2]+96>>2]+u(Ee,12)|0)+(De-u(Ee,3)<<2)>>2];o[Ge+24>>2]=Ee;De=o[Ce+4>>2];He=De+4|0;Ce=o[He>>2];g:{if((Ce|0)!=o[De+8>>2]){o[Ce>>2]=Ee;o[He>>2]=Ce+4;break g}bh(De,Ge+24|0)}Ee=a+12|0;Ce=o[Ee>>2];He=Ce+4|0;De=o[He>>2];h:{if((De|0)!=o[Ce+8>>2]){o[De>>2]=o[Ge+16>>2];o[He>>2]=De+4;break h}bh(Ce,Ge+16|0);Ce=o[Ee>>2]}o[o[Ce+12>>2]+(Fe<<2)>>2]=o[Ce+24>>2];o[Ce+24>>2]=o[Ce+24>>2]+1}Ce=-1;De=o[Ge+8>>2];if((De|0)!=-1){Ce=o[o[o[a+4>>2]>>2]+(De<<2)>>2]}De=o[a+36>>2]+(Ce>>>3&536870908)|0;Fe=o[De>>2];Ee=1<<(Ce&31);if(!(Fe&Ee)){o[De>>2]=Ee|Fe;De=o[Ge+8>>2];o[Ge+16>>2]=De;Fe=o[a+20>>2];Ee=(De>>>0)/3|0;Ee=o[(o[o[a+16>>2]+96>>2]+u(Ee,12)|0)+(De-u(Ee,3)<<2)>>2];o[Ge+24>>2]=Ee;Fe=o[Fe+4>>2];He=Fe+4|0;De=o[He>>2];i:{if((De|0)!=o[Fe+8>>2]){o[De>>2]=Ee;o[He>>2]=De+4;break i}bh(Fe,Ge+24|0)}Ee=a+12|0;Fe=o[Ee>>2];He=Fe+4|0;De=o[He>>2];j:{if((De|0)!=o[Fe+8>>2]){o[De>>2]=o[Ge+16>>2];o[He>>2]=De+4;break j}bh(Fe,Ge+16|0);Fe=o[Ee>>2]}o[o[Fe+12>>2]+(Ce<<2)>>2]=o[Fe+24>>2];o[Fe+24>>2]=o[Fe+24>>2]+1}De=o[a+84>>2];k:{if((De|0)>2){break k}He=a+24|0;Je=a+36|0;Oe=a+16|0;Pe=a+20|0;Me=a+88|0;while(1){Fe=u(De,12)+a|0;Ee=Fe+52|0;Ce=o[Ee>>2];if((Ce|0)==o[Fe+48>>2]){Ce=(De|0)<2;De=De+1|0;if(Ce){continue}break k}Fe=Ce+ -4|0;Ce=o[Fe>>2];o[Ee>>2]=Fe;o[a+84>>2]=De;o[Ge+8>>2]=Ce;if((Ce|0)==-1){break a}Fe=o[He>>2];Ee=(Ce>>>0)/3|0;l:{if(o[Fe+(Ee>>>3&268435452)>>2]>>>(Ee&31)&1){break l}m:{while(1){Ce=(Ce>>>0)/3|0;De=(Ce>>>3&268435452)+Fe|0;o[De>>2]=o[De>>2]|1<<(Ce&31);Ce=-1;Fe=o[Ge+8>>2];if((Fe|0)!=-1){Ce=o[o[o[a+4>>2]>>2]+(Fe<<2)>>2]}De=o[Je>>2]+(Ce>>>3&536870908)|0;Ee=o[De>>2];Ie=1<<(Ce&31);if(!(Ee&Ie)){o[De>>2]=Ee|Ie;De=o[Ge+8>>2];o[Ge+16>>2]=De;Fe=o[Pe>>2];Ee=(De>>>0)/3|0;Ee=o[(o[o[Oe>>2]+96>>2]+u(Ee,12)|0)+(De-u(Ee,3)<<2)>>2];o[Ge+24>>2]=Ee;Fe=o[Fe+4>>2];Ie=Fe+4|0;De=o[Ie>>2];n:{if((De|0)!=o[Fe+8>>2]){o[De>>2]=Ee;o[Ie>>2]=De+4;break n}bh(Fe,Ge+24|0)}Ee=a+12|0;Fe=o[Ee>>2];Ie=Fe+4|0;De=o[Ie>>2];o:{if((De|0)!=o[Fe+8>>2]){o[De>>2]=o[Ge+16>>2];o[Ie>>2]=De+4;break o}bh(Fe,Ge+16|0);Fe=o[Ee>>2]}o[o[Fe+12>>2]+(Ce<<2)>>2]=o[Fe+24>>2];o[Fe+24>>2]=o[Fe+24>>2]+1;Fe=o[Ge+8>>2]}if((Fe|0)==-1){break m}Ne=a+4|0;Ie=o[Ne>>2];Ce=-1;De=-1;Ee=Fe+1|0;Ee=(Ee>>>0)%3|0?Ee:Fe+ -2|0;if((Ee|0)!=-1){De=o[o[Ie+12>>2]+(Ee<<2)>>2]}Fe=((Fe>>>0)%3|0?-1:2)+Fe|0;if((Fe|0)!=-1){Ce=o[o[Ie+12>>2]+(Fe<<2)>>2]}Ee=(Ce>>>0)/3|0;Le=(De>>>0)/3|0;Ke=(De|0)==-1;Fe=1;p:{if(Ke){break p}Fe=Ke?-1:Le;Fe=o[o[He>>2]+(Fe>>>3&536870908)>>2]>>>(Fe&31)&1}q:{r:{s:{if((Ce|0)==-1){if(!Fe){break s}break m}Ee=(Ce|0)==-1?-1:Ee;t:{if(o[o[He>>2]+(Ee>>>3&536870908)>>2]>>>(Ee&31)&1){break t}Ee=0;Ke=Fe;Ie=o[o[Ie>>2]+(Ce<<2)>>2];if(!(o[o[Je>>2]+(Ie>>>3&536870908)>>2]>>>(Ie&31)&1)){Ie=o[Me>>2]+(Ie<<2)|0;Ee=o[Ie>>2];o[Ie>>2]=Ee+1;Ee=(Ee|0)<1?2:1}if((Ee|0)<=o[a+84>>2]?Ke:0){break r}o[Ge+24>>2]=Ce;Le=u(Ee,12)+a|0;Ke=Le+52|0;Ie=o[Ke>>2];u:{if((Ie|0)!=o[Le+56>>2]){o[Ie>>2]=Ce;o[Ke>>2]=Ie+4;break u}bh(Le+48|0,Ge+24|0)}if(o[a+84>>2]<=(Ee|0)){break t}o[a+84>>2]=Ee}if(Fe){break m}}Ce=-1;Fe=0;Ce=(De|0)!=-1?o[o[o[Ne>>2]>>2]+(De<<2)>>2]:Ce;if(!(o[o[Je>>2]+(Ce>>>3&536870908)>>2]>>>(Ce&31)&1)){Fe=o[Me>>2]+(Ce<<2)|0;Ce=o[Fe>>2];o[Fe>>2]=Ce+1;Fe=(Ce|0)<1?2:1}if((Fe|0)>o[a+84>>2]){break q}Ce=De}o[Ge+8>>2]=Ce;Fe=o[He>>2];continue}break}o[Ge+24>>2]=De;Ee=u(Fe,12)+a|0;Ie=Ee+52|0;Ce=o[Ie>>2];v:{if((Ce|0)!=o[Ee+56>>2]){o[Ce>>2]=De;o[Ie>>2]=Ce+4;break v}bh(Ee+48|0,Ge+24|0)}De=o[a+84>>2];if((De|0)<=(Fe|0)){break l}o[a+84>>2]=Fe;De=Fe;break l}De=o[a+84>>2]}if((De|0)<3){continue}break}}o[Ge+8>>2]=-1}R=Ge+32|0;return 1}function Bh(a){a=a|0;var Ce=0;o[a>>2]=9088;Ce=o[a+88>>2];if(Ce){o[a+92>>2]=Ce;ul(Ce)}Ce=o[a+72>>2];if(Ce){o[a+76>>2]=Ce;ul(Ce)}Ce=o[a+60>>2];if(Ce){o[a- -64>>2]=Ce;ul(Ce)}Ce=o[a+48>>2];if(Ce){o[a+52>>2]=Ce;ul(Ce)}o[a>>2]=9324;Ce=o[a+36>>2];if(Ce){ul(Ce)}Ce=o[a+24>>2];if(Ce){ul(Ce)}ul(a)}function Ch(a){a=a|0;var Qe=0;o[a>>2]=9324;Qe=o[a+36>>2];if(Qe){ul(Qe)}Qe=o[a+24>>2];if(Qe){ul(Qe)}return a|0}function Dh(a){a=a|0;var Re=0;o[a>>2]=9324;Re=o[a+36>>2];if(Re){ul(Re)}Re=o[a+24>>2];if(Re){ul(Re)}ul(a)}function Eh(a){a=a|0;var Se=0;o[a>>2]=9508;Se=o[a+48>>2];if(Se){o[a+52>>2]=Se;ul(Se)}o[a>>2]=9324;Se=o[a+36>>2];if(Se){ul(Se)}Se=o[a+24>>2];if(Se){ul(Se)}return a|0}function Fh(a){a=a|0;var Te=0,Ue=0;o[a>>2]=9344;Ue=a+8|0;o[Ue>>2]=9508;Te=o[a+56>>2];if(Te){o[a+60>>2]=Te;ul(Te)}o[Ue>>2]=9324;Te=o[a+44>>2];if(Te){ul(Te)}Te=o[a+32>>2];if(Te){ul(Te)}return a|0}function Gh(a){a=a|0;var Ve=0,We=0;o[a>>2]=9344;We=a+8|0;o[We>>2]=9508;Ve=o[a+56>>2];if(Ve){o[a+60>>2]=Ve;ul(Ve)}o[We>>2]=9324;Ve=o[a+44>>2];if(Ve){ul(Ve)}Ve=o[a+32>>2];if(Ve){ul(Ve)}ul(a)}function Hh(a,Xe){a=a|0;Xe=Xe|0;var Ye=0,Ze=0,_e=0,$e=0,af=0,bf=0,cf=0,df=0,ef=0,ff=0,gf=0;ef=o[a+12>>2];Ye=o[a+68>>2];Ze=o[Ye+80>>2];m[Xe+84|0]=0;af=o[Xe+68>>2];_e=o[Xe+72>>2]-af>>2;a:{if(Ze>>>0>_e>>>0){kd(Xe+68|0,Ze-_e|0,9076);Ye=o[a+68>>2];Ze=o[Ye+80>>2];break a}if(Ze>>>0>=_e>>>0){break a}o[Xe+72>>2]=af+(Ze<<2)}df=o[Ye+96>>2];Ye=o[Ye+100>>2]-df|0;ff=(Ye|0)/12|0;if(!Ye){return 1}gf=Xe+68|0;Xe=0;b:{while(1){c:{if((Xe|0)==1431655765){break c}Ye=o[ef>>2]+(u(Xe,3)<<2)|0;af=o[Ye>>2];if((af|0)==-1){break c}_e=u(Xe,12)+df|0;bf=o[_e>>2];if(bf>>>0>=Ze>>>0){break c}$e=af<<2;af=o[o[a+72>>2]+12>>2];$e=o[$e+af>>2];if($e>>>0>=Ze>>>0){break c}cf=bf<<2;bf=o[gf>>2];o[cf+bf>>2]=$e;$e=o[Ye+4>>2];if(($e|0)==-1){break c}cf=o[_e+4>>2];if(cf>>>0>=Ze>>>0){break c}$e=o[af+($e<<2)>>2];if($e>>>0>=Ze>>>0){break c}o[bf+(cf<<2)>>2]=$e;Ye=o[Ye+8>>2];if((Ye|0)==-1){break c}_e=o[_e+8>>2];if(_e>>>0>=Ze>>>0){break c}Ye=o[af+(Ye<<2)>>2];if(Ye>>>0>=Ze>>>0){break c}o[bf+(_e<<2)>>2]=Ye;Ye=1;Xe=Xe+1|0;if(Xe>>>0<ff>>>0){continue}break b}break}Ye=0}return Ye|0}function Ih(a){a=a|0;var Xe=0,hf=0,jf=0,kf=0,lf=0,mf=0,nf=0;kf=o[a+4>>2];Xe=o[kf>>2];a:{hf=o[a+12>>2];jf=o[hf+28>>2]-o[hf+24>>2]|0;hf=jf>>2;b:{if(o[kf+8>>2]-Xe>>2>>>0>=hf>>>0){break b}if(hf>>>0>=1073741824){break a}nf=kf+4|0;lf=o[nf>>2];mf=hf<<2;hf=Hk(jf);mf=mf+hf|0;jf=lf-Xe|0;lf=jf+hf|0;if((jf|0)>=1){wl(hf,Xe,jf)}o[kf>>2]=hf;o[kf+8>>2]=mf;o[nf>>2]=lf;if(!Xe){break b}ul(Xe)}hf=a+8|0;c:{d:{Xe=o[a+76>>2];if(Xe){kf=o[Xe>>2];jf=1;if((kf|0)==o[Xe+4>>2]){break c}Xe=0;while(1){if(!Jh(hf,o[(Xe<<2)+kf>>2])){break d}jf=o[a+76>>2];kf=o[jf>>2];Xe=Xe+1|0;if(Xe>>>0<o[jf+4>>2]-kf>>2>>>0){continue}break}return 1}Xe=0;a=o[a+12>>2];a=(o[a+4>>2]-o[a>>2]>>2>>>0)/3|0;if((a|0)<=0){return 1}while(1){if(!Jh(hf,u(Xe,3))){break d}Xe=Xe+1|0;if(Xe>>>0<a>>>0){continue}break}return 1}jf=0}return jf|0}_a(8776);D()}function Jh(a,of){var pf=0,qf=0,rf=0,sf=0,tf=0,uf=0,vf=0,wf=0,xf=0,yf=0,zf=0,Af=0,Bf=0,Cf=0,Df=0;tf=R-32|0;R=tf;o[tf+8>>2]=of;a:{if((of|0)==-1){sf=1;break a}sf=1;pf=(of>>>0)/3|0;if(o[o[a+24>>2]+(pf>>>3&268435452)>>2]>>>(pf&31)&1){break a}pf=a+52|0;rf=o[a+48>>2];o[pf>>2]=rf;yf=a+48|0;b:{if((rf|0)!=o[a+56>>2]){o[rf>>2]=of;o[pf>>2]=rf+4;break b}bh(yf,tf+8|0)}sf=-1;rf=o[tf+8>>2];if((rf|0)==-1){sf=0;break a}pf=o[a+4>>2];of=rf+1|0;of=(of>>>0)%3|0?of:rf+ -2|0;if((of|0)!=-1){sf=o[o[pf>>2]+(of<<2)>>2]}of=rf+((rf>>>0)%3|0?-1:2)|0;if((of|0)==-1){sf=0;break a}if((sf|0)==-1){sf=0;break a}uf=o[o[pf>>2]+(of<<2)>>2];if((uf|0)==-1){sf=0;break a}of=o[a+36>>2];qf=of+(sf>>>3&536870908)|0;rf=o[qf>>2];pf=1<<(sf&31);if(!(rf&pf)){o[qf>>2]=pf|rf;qf=-1;pf=o[tf+8>>2];if((pf|0)!=-1){of=pf+1|0;qf=(of>>>0)%3|0?of:pf+ -2|0}o[tf+16>>2]=qf;rf=o[a+20>>2];of=(qf>>>0)/3|0;pf=o[(o[o[a+16>>2]+96>>2]+u(of,12)|0)+(qf-u(of,3)<<2)>>2];o[tf+24>>2]=pf;rf=o[rf+4>>2];of=rf+4|0;qf=o[of>>2];c:{if((qf|0)!=o[rf+8>>2]){o[qf>>2]=pf;o[of>>2]=qf+4;break c}bh(rf,tf+24|0)}pf=a+12|0;qf=o[pf>>2];of=qf+4|0;rf=o[of>>2];d:{if((rf|0)!=o[qf+8>>2]){o[rf>>2]=o[tf+16>>2];o[of>>2]=rf+4;break d}bh(qf,tf+16|0);qf=o[pf>>2]}o[o[qf+12>>2]+(sf<<2)>>2]=o[qf+24>>2];o[qf+24>>2]=o[qf+24>>2]+1;of=o[a+36>>2]}rf=(uf>>>3&536870908)+of|0;pf=o[rf>>2];of=1<<(uf&31);if(!(pf&of)){o[rf>>2]=of|pf;of=tf;rf=of;pf=o[of+8>>2];qf=-1;e:{if((pf|0)==-1){break e}qf=pf+ -1|0;if((pf>>>0)%3){break e}qf=pf+2|0}o[rf+16>>2]=qf;rf=o[a+20>>2];of=(qf>>>0)/3|0;pf=o[(o[o[a+16>>2]+96>>2]+u(of,12)|0)+(qf-u(of,3)<<2)>>2];o[tf+24>>2]=pf;rf=o[rf+4>>2];of=rf+4|0;qf=o[of>>2];f:{if((qf|0)!=o[rf+8>>2]){o[qf>>2]=pf;o[of>>2]=qf+4;break f}bh(rf,tf+24|0)}pf=a+12|0;sf=o[pf>>2];of=sf+4|0;rf=o[of>>2];g:{if((rf|0)!=o[sf+8>>2]){o[rf>>2]=o[tf+16>>2];o[of>>2]=rf+4;break g}bh(sf,tf+16|0);sf=o[pf>>2]}o[o[sf+12>>2]+(uf<<2)>>2]=o[sf+24>>2];o[sf+24>>2]=o[sf+24>>2]+1}wf=a+52|0;of=o[wf>>2];if((of|0)==o[a+48>>2]){sf=1;break a}xf=a+24|0;zf=a+4|0;Af=a+36|0;Bf=a+16|0;Cf=a+20|0;Df=a+56|0;while(1){qf=of+ -4|0;pf=o[qf>>2];o[tf+8>>2]=pf;of=(pf>>>0)/3|0;h:{i:{j:{if((pf|0)==-1){break j}rf=o[xf>>2]+(of>>>3&268435452)|0;pf=o[rf>>2];of=1<<(of&31);if(pf&of){break j}o[rf>>2]=of|pf;of=o[tf+8>>2];if((of|0)!=-1){break i}sf=0;break a}o[wf>>2]=qf;break h}k:{l:{m:{while(1){vf=o[zf>>2];pf=o[o[vf>>2]+(of<<2)>>2];if((pf|0)==-1){sf=0;break a}uf=o[Af>>2]+(pf>>>3&536870908)|0;qf=o[uf>>2];rf=1<<(pf&31);n:{if(!(qf&rf)){sf=pf<<2;pf=o[sf+o[vf+24>>2]>>2];o:{p:{if((pf|0)==-1){break p}of=pf+1|0;of=(of>>>0)%3|0?of:pf+ -2|0;if((of|0)==-1){break p}vf=o[o[vf+12>>2]+(of<<2)>>2];if((vf|0)==-1){break p}of=vf+1|0;pf=0;if((((of>>>0)%3|0?of:vf+ -2|0)|0)!=-1){break o}}pf=1}o[uf>>2]=rf|qf;rf=o[tf+8>>2];o[tf+16>>2]=rf;qf=o[Cf>>2];of=(rf>>>0)/3|0;rf=o[(o[o[Bf>>2]+96>>2]+u(of,12)|0)+(rf-u(of,3)<<2)>>2];o[tf+24>>2]=rf;qf=o[qf+4>>2];of=qf+4|0;uf=o[of>>2];q:{if((uf|0)!=o[qf+8>>2]){o[uf>>2]=rf;o[of>>2]=uf+4;break q}bh(qf,tf+24|0)}qf=a+12|0;of=o[qf>>2];rf=of+4|0;uf=o[rf>>2];r:{if((uf|0)!=o[of+8>>2]){o[uf>>2]=o[tf+16>>2];o[rf>>2]=uf+4;break r}bh(of,tf+16|0);of=o[qf>>2]}o[o[of+12>>2]+sf>>2]=o[of+24>>2];o[of+24>>2]=o[of+24>>2]+1;vf=o[zf>>2];of=o[tf+8>>2];if(!pf){pf=tf;qf=-1;s:{if((of|0)==-1){break s}rf=of+1|0;of=(rf>>>0)%3|0?rf:of+ -2|0;qf=-1;if((of|0)==-1){break s}qf=o[o[vf+12>>2]+(of<<2)>>2]}o[pf+8>>2]=qf;of=(qf>>>0)/3|0;break n}if((of|0)==-1){break l}}qf=-1;sf=-1;pf=of+1|0;pf=(pf>>>0)%3|0?pf:of+ -2|0;if((pf|0)!=-1){sf=o[o[vf+12>>2]+(pf<<2)>>2]}o[tf+24>>2]=sf;of=((of>>>0)%3|0?-1:2)+of|0;if((of|0)!=-1){qf=o[o[vf+12>>2]+(of<<2)>>2]}rf=(qf>>>0)/3|0;of=(sf>>>0)/3|0;pf=(sf|0)==-1;t:{if(pf){of=-1;pf=1;break t}pf=pf?-1:of;pf=o[o[xf>>2]+(pf>>>3&536870908)>>2]>>>(pf&31)&1}u:{if((qf|0)!=-1){uf=(qf|0)==-1?-1:rf;uf=o[o[xf>>2]+(uf>>>3&536870908)>>2]&1<<(uf&31);if(pf){sf=qf;of=rf;if(!uf){break u}break k}if(uf){break u}of=o[wf>>2];o[of+ -4>>2]=qf;if((of|0)==o[Df>>2]){break m}o[of>>2]=o[tf+24>>2];o[wf>>2]=of+4;break h}if(pf){break k}}o[tf+8>>2]=sf}pf=o[xf>>2]+(of>>>3&536870908)|0;o[pf>>2]=o[pf>>2]|1<<(of&31);of=o[tf+8>>2];if((of|0)!=-1){continue}break}sf=0;break a}bh(yf,tf+24|0);break h}o[tf+24>>2]=-1}o[wf>>2]=o[wf>>2]+ -4}sf=1;of=o[wf>>2];if((of|0)!=o[a+48>>2]){continue}break}}R=tf+32|0;return sf}function Kh(a){a=a|0;var of=0;o[a>>2]=9508;of=o[a+48>>2];if(of){o[a+52>>2]=of;ul(of)}o[a>>2]=9324;of=o[a+36>>2];if(of){ul(of)}of=o[a+24>>2];if(of){ul(of)}ul(a)}function Lh(a){a=a|0;var Ef=0,Ff=0;o[a>>2]=9636;Ff=a+8|0;o[Ff>>2]=8512;Ef=o[a+56>>2];if(Ef){o[a+60>>2]=Ef;ul(Ef)}o[Ff>>2]=8764;Ef=o[a+44>>2];if(Ef){ul(Ef)}Ef=o[a+32>>2];if(Ef){ul(Ef)}return a|0}function Mh(a){a=a|0;var Gf=0,Hf=0;o[a>>2]=9636;Hf=a+8|0;o[Hf>>2]=8512;Gf=o[a+56>>2];if(Gf){o[a+60>>2]=Gf;ul(Gf)}o[Hf>>2]=8764;Gf=o[a+44>>2];if(Gf){ul(Gf)}Gf=o[a+32>>2];if(Gf){ul(Gf)}ul(a)}function Nh(a,If){a=a|0;If=If|0;var Jf=0,Kf=0,Lf=0,Mf=0,Nf=0,Of=0,Pf=0,Qf=0,Rf=0,Sf=0,Tf=0;Of=o[a+12>>2];Jf=o[a+68>>2];Kf=o[Jf+80>>2];m[If+84|0]=0;Nf=o[If+68>>2];Lf=o[If+72>>2]-Nf>>2;a:{if(Kf>>>0>Lf>>>0){kd(If+68|0,Kf-Lf|0,9076);Jf=o[a+68>>2];Kf=o[Jf+80>>2];break a}if(Kf>>>0>=Lf>>>0){break a}o[If+72>>2]=Nf+(Kf<<2)}Qf=o[Jf+96>>2];Jf=o[Jf+100>>2]-Qf|0;Rf=(Jf|0)/12|0;if(!Jf){return 1}Sf=o[Of+28>>2];Tf=If+68|0;If=0;b:{while(1){c:{Jf=(u(If,3)<<2)+Sf|0;Of=o[Jf>>2];if((Of|0)==-1){break c}Lf=u(If,12)+Qf|0;Nf=o[Lf>>2];if(Nf>>>0>=Kf>>>0){break c}Mf=Of<<2;Of=o[o[a+72>>2]+12>>2];Mf=o[Mf+Of>>2];if(Mf>>>0>=Kf>>>0){break c}Pf=Nf<<2;Nf=o[Tf>>2];o[Pf+Nf>>2]=Mf;Mf=o[Jf+4>>2];if((Mf|0)==-1){break c}Pf=o[Lf+4>>2];if(Pf>>>0>=Kf>>>0){break c}Mf=o[Of+(Mf<<2)>>2];if(Mf>>>0>=Kf>>>0){break c}o[Nf+(Pf<<2)>>2]=Mf;Jf=o[Jf+8>>2];if((Jf|0)==-1){break c}Lf=o[Lf+8>>2];if(Lf>>>0>=Kf>>>0){break c}Jf=o[Of+(Jf<<2)>>2];if(Jf>>>0>=Kf>>>0){break c}o[Nf+(Lf<<2)>>2]=Jf;Jf=1;If=If+1|0;if(If>>>0<Rf>>>0){continue}break b}break}Jf=0}return Jf|0}function Oh(a){a=a|0;var If=0,Uf=0,Vf=0,Wf=0,Xf=0,Yf=0,Zf=0;Wf=o[a+4>>2];If=o[Wf>>2];a:{Uf=o[a+12>>2];Vf=o[Uf+56>>2]-o[Uf+52>>2]|0;Uf=Vf>>2;b:{if(o[Wf+8>>2]-If>>2>>>0>=Uf>>>0){break b}if(Uf>>>0>=1073741824){break a}Zf=Wf+4|0;Xf=o[Zf>>2];Yf=Uf<<2;Uf=Hk(Vf);Yf=Yf+Uf|0;Vf=Xf-If|0;Xf=Vf+Uf|0;if((Vf|0)>=1){wl(Uf,If,Vf)}o[Wf>>2]=Uf;o[Wf+8>>2]=Yf;o[Zf>>2]=Xf;if(!If){break b}ul(If)}Uf=a+8|0;c:{d:{If=o[a+76>>2];if(If){Wf=o[If>>2];Vf=1;if((Wf|0)==o[If+4>>2]){break c}If=0;while(1){if(!Ph(Uf,o[(If<<2)+Wf>>2])){break d}Vf=o[a+76>>2];Wf=o[Vf>>2];If=If+1|0;if(If>>>0<o[Vf+4>>2]-Wf>>2>>>0){continue}break}return 1}If=0;a=o[o[a+12>>2]+64>>2];a=(o[a+4>>2]-o[a>>2]>>2>>>0)/3|0;if((a|0)<=0){return 1}while(1){if(!Ph(Uf,u(If,3))){break d}If=If+1|0;if(If>>>0<a>>>0){continue}break}return 1}Vf=0}return Vf|0}_a(8776);D()}function Ph(a,_f){var $f=0,ag=0,bg=0,cg=0,dg=0,eg=0,fg=0,gg=0,hg=0,ig=0,jg=0,kg=0,lg=0,mg=0,ng=0;dg=R-32|0;R=dg;o[dg+8>>2]=_f;a:{if((_f|0)==-1){$f=1;break a}$f=1;cg=(_f>>>0)/3|0;if(o[o[a+24>>2]+(cg>>>3&268435452)>>2]>>>(cg&31)&1){break a}cg=a+52|0;$f=o[a+48>>2];o[cg>>2]=$f;ig=a+48|0;b:{if(($f|0)!=o[a+56>>2]){o[$f>>2]=_f;o[cg>>2]=$f+4;break b}bh(ig,dg+8|0)}ag=-1;$f=o[a+4>>2];_f=o[dg+8>>2];c:{if((_f|0)==-1){cg=o[$f+28>>2];$f=o[cg+ -4>>2];break c}cg=o[$f+28>>2];$f=_f+1|0;$f=o[cg+((($f>>>0)%3|0?$f:_f+ -2|0)<<2)>>2];if((_f>>>0)%3){ag=_f+ -1|0;break c}ag=_f+2|0}if(($f|0)==-1){$f=0;break a}cg=o[(ag<<2)+cg>>2];if((cg|0)==-1){$f=0;break a}_f=o[a+36>>2];bg=_f+($f>>>3&536870908)|0;ag=o[bg>>2];eg=1<<($f&31);if(!(ag&eg)){o[bg>>2]=ag|eg;ag=-1;_f=o[dg+8>>2];if((_f|0)!=-1){bg=_f+1|0;ag=(bg>>>0)%3|0?bg:_f+ -2|0}o[dg+16>>2]=ag;_f=o[a+20>>2];bg=(ag>>>0)/3|0;ag=o[(o[o[a+16>>2]+96>>2]+u(bg,12)|0)+(ag-u(bg,3)<<2)>>2];o[dg+24>>2]=ag;bg=o[_f+4>>2];eg=bg+4|0;_f=o[eg>>2];d:{if((_f|0)!=o[bg+8>>2]){o[_f>>2]=ag;o[eg>>2]=_f+4;break d}bh(bg,dg+24|0)}bg=a+12|0;ag=o[bg>>2];eg=ag+4|0;_f=o[eg>>2];e:{if((_f|0)!=o[ag+8>>2]){o[_f>>2]=o[dg+16>>2];o[eg>>2]=_f+4;break e}bh(ag,dg+16|0);ag=o[bg>>2]}o[o[ag+12>>2]+($f<<2)>>2]=o[ag+24>>2];o[ag+24>>2]=o[ag+24>>2]+1;_f=o[a+36>>2]}_f=(cg>>>3&536870908)+_f|0;$f=o[_f>>2];bg=1<<(cg&31);if(!($f&bg)){o[_f>>2]=$f|bg;_f=dg;ag=_f;bg=o[_f+8>>2];$f=-1;f:{if((bg|0)==-1){break f}$f=bg+ -1|0;if((bg>>>0)%3){break f}$f=bg+2|0}o[ag+16>>2]=$f;_f=o[a+20>>2];bg=($f>>>0)/3|0;bg=o[(o[o[a+16>>2]+96>>2]+u(bg,12)|0)+($f-u(bg,3)<<2)>>2];o[dg+24>>2]=bg;$f=o[_f+4>>2];ag=$f+4|0;_f=o[ag>>2];g:{if((_f|0)!=o[$f+8>>2]){o[_f>>2]=bg;o[ag>>2]=_f+4;break g}bh($f,dg+24|0)}bg=a+12|0;$f=o[bg>>2];ag=$f+4|0;_f=o[ag>>2];h:{if((_f|0)!=o[$f+8>>2]){o[_f>>2]=o[dg+16>>2];o[ag>>2]=_f+4;break h}bh($f,dg+16|0);$f=o[bg>>2]}o[o[$f+12>>2]+(cg<<2)>>2]=o[$f+24>>2];o[$f+24>>2]=o[$f+24>>2]+1}eg=a+52|0;_f=o[eg>>2];if((_f|0)==o[a+48>>2]){$f=1;break a}gg=a+24|0;hg=a+4|0;kg=a+36|0;lg=a+16|0;mg=a+20|0;ng=a+56|0;while(1){cg=_f+ -4|0;_f=o[cg>>2];o[dg+8>>2]=_f;$f=(_f>>>0)/3|0;i:{j:{k:{if((_f|0)==-1){break k}_f=o[gg>>2]+($f>>>3&268435452)|0;bg=o[_f>>2];$f=1<<($f&31);if(bg&$f){break k}o[_f>>2]=$f|bg;ag=o[hg>>2];_f=o[dg+8>>2];$f=o[o[ag+28>>2]+(_f<<2)>>2];if(($f|0)!=-1){break j}$f=0;break a}o[eg>>2]=cg;break i}l:{m:{n:{while(1){o:{p:{cg=o[kg>>2]+($f>>>3&536870908)|0;bg=o[cg>>2];fg=1<<($f&31);if(bg&fg){break p}jg=$f<<2;$f=o[jg+o[ag+40>>2]>>2];_f=1;q:{if(($f|0)==-1){break q}_f=$f+1|0;_f=(_f>>>0)%3|0?_f:$f+ -2|0;r:{if((_f|0)==-1|o[o[ag>>2]+(_f>>>3&536870908)>>2]>>>(_f&31)&1){break r}$f=o[o[o[ag+64>>2]+12>>2]+(_f<<2)>>2];if(($f|0)==-1){break r}ag=$f+1|0;_f=0;if((((ag>>>0)%3|0?ag:$f+ -2|0)|0)!=-1){break q}}_f=1}$f=_f;o[cg>>2]=bg|fg;_f=o[dg+8>>2];o[dg+16>>2]=_f;cg=o[mg>>2];bg=(_f>>>0)/3|0;bg=o[(o[o[lg>>2]+96>>2]+u(bg,12)|0)+(_f-u(bg,3)<<2)>>2];o[dg+24>>2]=bg;cg=o[cg+4>>2];ag=cg+4|0;_f=o[ag>>2];s:{if((_f|0)!=o[cg+8>>2]){o[_f>>2]=bg;o[ag>>2]=_f+4;break s}bh(cg,dg+24|0)}bg=a+12|0;_f=o[bg>>2];ag=_f+4|0;cg=o[ag>>2];t:{if((cg|0)!=o[_f+8>>2]){o[cg>>2]=o[dg+16>>2];o[ag>>2]=cg+4;break t}bh(_f,dg+16|0);_f=o[bg>>2]}o[o[_f+12>>2]+jg>>2]=o[_f+24>>2];o[_f+24>>2]=o[_f+24>>2]+1;ag=o[hg>>2];_f=o[dg+8>>2];if($f){break p}$f=-1;u:{if((_f|0)==-1){break u}cg=_f+1|0;_f=(cg>>>0)%3|0?cg:_f+ -2|0;if((_f|0)==-1|o[o[ag>>2]+(_f>>>3&536870908)>>2]>>>(_f&31)&1){break u}$f=o[o[o[ag+64>>2]+12>>2]+(_f<<2)>>2]}o[dg+8>>2]=$f;_f=($f>>>0)/3|0;break o}if((_f|0)==-1){break m}cg=-1;bg=dg;fg=_f+1|0;fg=(fg>>>0)%3|0?fg:_f+ -2|0;$f=-1;v:{if((fg|0)==-1){break v}$f=-1;if(o[o[ag>>2]+(fg>>>3&536870908)>>2]>>>(fg&31)&1){break v}$f=o[o[o[ag+64>>2]+12>>2]+(fg<<2)>>2]}o[bg+24>>2]=$f;_f=((_f>>>0)%3|0?-1:2)+_f|0;if(!((_f|0)==-1|o[o[ag>>2]+(_f>>>3&536870908)>>2]>>>(_f&31)&1)){cg=o[o[o[ag+64>>2]+12>>2]+(_f<<2)>>2]}bg=(cg>>>0)/3|0;_f=($f>>>0)/3|0;ag=($f|0)==-1;w:{if(ag){_f=-1;ag=1;break w}ag=ag?-1:_f;ag=o[o[gg>>2]+(ag>>>3&536870908)>>2]>>>(ag&31)&1}x:{if((cg|0)!=-1){fg=(cg|0)==-1?-1:bg;fg=o[o[gg>>2]+(fg>>>3&536870908)>>2]&1<<(fg&31);if(ag){$f=cg;_f=bg;if(!fg){break x}break l}if(fg){break x}_f=o[eg>>2];o[_f+ -4>>2]=cg;if((_f|0)==o[ng>>2]){break n}o[_f>>2]=o[dg+24>>2];o[eg>>2]=_f+4;break i}if(ag){break l}}o[dg+8>>2]=$f}$f=o[gg>>2]+(_f>>>3&536870908)|0;o[$f>>2]=o[$f>>2]|1<<(_f&31);ag=o[hg>>2];_f=o[dg+8>>2];$f=o[o[ag+28>>2]+(_f<<2)>>2];if(($f|0)!=-1){continue}break}$f=0;break a}bh(ig,dg+24|0);break i}o[dg+24>>2]=-1}o[eg>>2]=o[eg>>2]+ -4}$f=1;_f=o[eg>>2];if((_f|0)!=o[a+48>>2]){continue}break}}R=dg+32|0;return $f}function Qh(a,_f){var og=0,pg=0,qg=0;o[a>>2]=o[_f>>2];o[a+4>>2]=o[_f+4>>2];o[a+8>>2]=o[_f+8>>2];og=_f+12|0;o[a+12>>2]=o[og>>2];o[og>>2]=0;o[_f+4>>2]=0;o[_f+8>>2]=0;og=_f+16|0;o[a+16>>2]=o[og>>2];o[a+20>>2]=o[_f+20>>2];pg=_f+24|0;o[a+24>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;pg=p[_f+28|0];qg=a+40|0;o[qg>>2]=0;og=a+32|0;o[og>>2]=0;o[og+4>>2]=0;m[a+28|0]=pg;pg=og;og=_f+32|0;o[pg>>2]=o[og>>2];o[a+36>>2]=o[_f+36>>2];pg=_f+40|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;pg=a+52|0;o[pg>>2]=0;og=a+44|0;o[og>>2]=0;o[og+4>>2]=0;qg=og;og=_f+44|0;o[qg>>2]=o[og>>2];o[a+48>>2]=o[_f+48>>2];qg=pg;pg=_f+52|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;pg=a- -64|0;o[pg>>2]=0;og=a+56|0;o[og>>2]=0;o[og+4>>2]=0;qg=og;og=_f+56|0;o[qg>>2]=o[og>>2];o[a+60>>2]=o[_f+60>>2];qg=pg;pg=_f- -64|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;o[a+68>>2]=o[_f+68>>2];pg=o[_f+72>>2];qg=a+84|0;o[qg>>2]=0;og=a+76|0;o[og>>2]=0;o[og+4>>2]=0;o[a+72>>2]=pg;pg=og;og=_f+76|0;o[pg>>2]=o[og>>2];o[a+80>>2]=o[_f+80>>2];pg=_f+84|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;pg=a+96|0;o[pg>>2]=0;og=a+88|0;o[og>>2]=0;o[og+4>>2]=0;qg=og;og=_f+88|0;o[qg>>2]=o[og>>2];o[a+92>>2]=o[_f+92>>2];qg=pg;pg=_f+96|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;og=p[_f+100|0];pg=a+112|0;o[pg>>2]=0;o[a+104>>2]=0;o[a+108>>2]=0;m[a+100|0]=og;o[a+104>>2]=o[_f+104>>2];o[a+108>>2]=o[_f+108>>2];og=_f+112|0;o[pg>>2]=o[og>>2];o[og>>2]=0;o[_f+104>>2]=0;o[_f+108>>2]=0;pg=a+124|0;o[pg>>2]=0;og=a+116|0;o[og>>2]=0;o[og+4>>2]=0;qg=og;og=_f+116|0;o[qg>>2]=o[og>>2];o[a+120>>2]=o[_f+120>>2];qg=pg;pg=_f+124|0;o[qg>>2]=o[pg>>2];o[pg>>2]=0;o[og>>2]=0;o[og+4>>2]=0;og=o[_f+128>>2];pg=a+140|0;o[pg>>2]=0;o[a+132>>2]=0;o[a+136>>2]=0;o[a+128>>2]=og;o[a+132>>2]=o[_f+132>>2];o[a+136>>2]=o[_f+136>>2];og=_f+140|0;o[pg>>2]=o[og>>2];o[og>>2]=0;o[_f+132>>2]=0;o[_f+136>>2]=0;return a}function Rh(a){var _f=0,rg=0,sg=0;rg=o[a+8>>2];sg=o[a+4>>2];if((rg|0)!=(sg|0)){while(1){_f=rg+ -144|0;o[a+8>>2]=_f;_f=o[_f+132>>2];if(_f){o[rg+ -8>>2]=_f;ul(_f)}_f=o[rg+ -28>>2];if(_f){o[rg+ -24>>2]=_f;ul(_f)}_f=o[rg+ -40>>2];if(_f){o[rg+ -36>>2]=_f;ul(_f)}Ug(rg+ -140|0);rg=o[a+8>>2];if((sg|0)!=(rg|0)){continue}break}}a=o[a>>2];if(a){ul(a)}}function Sh(a,tg){var ug=0,vg=0,wg=v(0);ug=2;a:{if((tg|0)==1){break a}ug=tg;if(!(tg+ -1&tg)){break a}ug=ek(tg)}vg=o[a+4>>2];if(ug>>>0>vg>>>0){Th(a,ug);return}b:{if(ug>>>0>=vg>>>0){break b}wg=v(B(v(v(r[a+12>>2])/s[a+16>>2])));c:{if(wg<v(4294967296)&wg>=v(0)){tg=~~wg>>>0;break c}tg=0}d:{e:{if(vg>>>0<3){break e}if(Yl(vg)>>>0>1){break e}tg=tg>>>0<2?tg:1<<32-x(tg+ -1|0);break d}tg=ek(tg)}tg=ug>>>0<tg>>>0?tg:ug;if(tg>>>0>=vg>>>0){break b}Th(a,tg)}}function Th(a,tg){var xg=0,yg=0,zg=0,Ag=0,Bg=0,Cg=0,Dg=0,Eg=0,Fg=0;a:{b:{if(tg){if(tg>>>0>=1073741824){break a}xg=Hk(tg<<2);yg=o[a>>2];o[a>>2]=xg;if(yg){ul(yg)}o[a+4>>2]=tg;xg=0;while(1){o[o[a>>2]+(xg<<2)>>2]=0;xg=xg+1|0;if((xg|0)!=(tg|0)){continue}break}yg=a+8|0;Ag=o[yg>>2];if(!Ag){break b}Bg=o[Ag+4>>2];xg=Yl(tg);c:{if(xg>>>0<=1){Bg=tg+ -1&Bg;break c}if(Bg>>>0<tg>>>0){break c}Bg=(Bg>>>0)%(tg>>>0)|0}o[o[a>>2]+(Bg<<2)>>2]=yg;yg=o[Ag>>2];if(!yg){break b}Eg=tg+ -1|0;Fg=xg>>>0>1;while(1){zg=o[yg+4>>2];d:{if(!Fg){zg=zg&Eg;break d}if(zg>>>0<tg>>>0){break d}zg=(zg>>>0)%(tg>>>0)|0}e:{if((zg|0)==(Bg|0)){Ag=yg;break e}xg=yg;Cg=zg<<2;Dg=Cg+o[a>>2]|0;if(!o[Dg>>2]){o[Dg>>2]=Ag;Ag=yg;Bg=zg;break e}while(1){zg=xg;xg=o[xg>>2];if(o[yg+8>>2]==o[xg+8>>2]?xg:0){continue}break}o[Ag>>2]=xg;o[zg>>2]=o[o[o[a>>2]+Cg>>2]>>2];o[o[o[a>>2]+Cg>>2]>>2]=yg}yg=o[Ag>>2];if(yg){continue}break}break b}tg=o[a>>2];o[a>>2]=0;if(tg){ul(tg)}o[a+4>>2]=0}return}_a(8776);D()}function Uh(a){a=a|0;var tg=0,Gg=0,Hg=0,Ig=0,Jg=0,Kg=0,Lg=0,Mg=0,Ng=0,Og=0,Pg=0,Qg=0,Rg=0,Sg=0,Tg=0,Ug=0,Vg=0,Wg=0;Hg=R-32|0;R=Hg;Gg=a+32|0;a:{if(!Vh(1,Hg+28|0,o[Gg>>2])){break a}if(!Vh(1,Hg+24|0,o[Gg>>2])){break a}Rg=o[Hg+28>>2];if(Rg>>>0>1431655765){break a}Gg=Vl(Rg,0,3,0);tg=T;Vg=o[Hg+24>>2];if(!tg&Gg>>>0<Vg>>>0|tg>>>0<0){break a}Ig=o[a+32>>2];Gg=Ig;Kg=o[Gg+16>>2];Lg=r[Gg+8>>2]>Kg>>>0?0:1;Jg=o[Gg+12>>2];tg=o[Gg+20>>2];if((Jg|0)<(tg|0)?1:(Jg|0)<=(tg|0)?Lg:0){break a}Lg=p[Kg+o[Ig>>2]|0];Gg=tg;Og=Kg+1|0;if(Og>>>0<1){Gg=Gg+1|0}o[Ig+16>>2]=Og;o[Ig+20>>2]=Gg;b:{if(!Lg){if(!Wh(a,Rg)){break a}break b}c:{if(Vg>>>0<=255){if(!Rg){break b}Kg=Hg+16|0;o[Kg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Lg=o[Ig+8>>2];Jg=o[Ig+12>>2];tg=Jg;if((tg|0)<(Gg|0)?1:(tg|0)<=(Gg|0)?Lg>>>0>Og>>>0?0:1:0){break c}Qg=a+44|0;Tg=a+32|0;while(1){Pg=o[Ig>>2];Ug=p[Pg+Og|0];tg=Gg;Mg=Og+1|0;if(Mg>>>0<1){tg=tg+1|0}Ng=Ig;o[Ig+16>>2]=Mg;o[Ig+20>>2]=tg;o[Hg+8>>2]=Ug;if((Jg|0)<(tg|0)?1:(Jg|0)<=(tg|0)?Lg>>>0>Mg>>>0?0:1:0){break c}Ug=p[Mg+Pg|0];tg=Gg;Mg=Og+2|0;if(Mg>>>0<2){tg=tg+1|0}o[Ig+16>>2]=Mg;o[Ng+20>>2]=tg;o[Hg+12>>2]=Ug;if((Jg|0)<(tg|0)?1:(Jg|0)<=(tg|0)?Lg>>>0>Mg>>>0?0:1:0){break c}tg=p[Mg+Pg|0];Jg=Og+3|0;if(Jg>>>0<3){Gg=Gg+1|0}o[Ig+16>>2]=Jg;o[Ig+20>>2]=Gg;o[Hg+16>>2]=tg;tg=o[Qg>>2];Ig=tg+100|0;Gg=o[Ig>>2];d:{if((Gg|0)==o[tg+104>>2]){Xh(tg+96|0,Hg+8|0);break d}tg=o[Hg+12>>2];o[Gg>>2]=o[Hg+8>>2];o[Gg+4>>2]=tg;o[Gg+8>>2]=o[Kg>>2];o[Ig>>2]=o[Ig>>2]+12}Sg=Sg+1|0;if((Rg|0)==(Sg|0)){break b}Ig=o[Tg>>2];tg=Ig;Og=o[tg+16>>2];Gg=o[tg+20>>2];o[Kg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Lg=o[tg+8>>2];Jg=o[tg+12>>2];tg=Jg;if((tg|0)>(Gg|0)?1:(tg|0)>=(Gg|0)?Lg>>>0<=Og>>>0?0:1:0){continue}break}break c}if(Vg>>>0<=65535){if(!Rg){break b}Mg=Hg+16|0;o[Mg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Ng=o[Ig+12>>2];Qg=Ng;Jg=Kg+3|0;if(Jg>>>0<3){tg=tg+1|0}Pg=o[Ig+8>>2];Lg=Jg;Jg=tg;if((Qg|0)<(tg|0)?1:(Qg|0)<=(tg|0)?Pg>>>0>=Lg>>>0?0:1:0){break c}Ug=a+44|0;Wg=a+32|0;while(1){Qg=o[Ig>>2];tg=Qg+Og|0;tg=p[tg|0]|p[tg+1|0]<<8;o[Ig+16>>2]=Lg;o[Ig+20>>2]=Jg;o[Hg+8>>2]=tg;Jg=Ng;tg=Gg;Kg=Og+4|0;if(Kg>>>0<4){tg=tg+1|0}Tg=Kg;Kg=tg;if((Jg|0)<(tg|0)?1:(Jg|0)<=(tg|0)?Pg>>>0>=Tg>>>0?0:1:0){break c}tg=Lg+Qg|0;tg=p[tg|0]|p[tg+1|0]<<8;o[Ig+16>>2]=Tg;o[Ig+20>>2]=Kg;o[Hg+12>>2]=tg;tg=Og+6|0;if(tg>>>0<6){Gg=Gg+1|0}Jg=tg;tg=Gg;if((Ng|0)<(tg|0)?1:(Ng|0)<=(tg|0)?Pg>>>0>=Jg>>>0?0:1:0){break c}Gg=Qg+Tg|0;Gg=p[Gg|0]|p[Gg+1|0]<<8;o[Ig+16>>2]=Jg;o[Ig+20>>2]=tg;o[Hg+16>>2]=Gg;tg=o[Ug>>2];Ig=tg+100|0;Gg=o[Ig>>2];e:{if((Gg|0)==o[tg+104>>2]){Xh(tg+96|0,Hg+8|0);break e}tg=o[Hg+12>>2];o[Gg>>2]=o[Hg+8>>2];o[Gg+4>>2]=tg;o[Gg+8>>2]=o[Mg>>2];o[Ig>>2]=o[Ig>>2]+12}Sg=Sg+1|0;if((Rg|0)==(Sg|0)){break b}Ig=o[Wg>>2];tg=Ig;Og=o[tg+16>>2];Gg=o[tg+20>>2];o[Mg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Kg=o[tg+12>>2];Ng=Kg;Pg=o[tg+8>>2];Qg=Pg;tg=Gg;Jg=Og+2|0;if(Jg>>>0<2){tg=tg+1|0}Lg=Jg;Jg=tg;if((Kg|0)>(tg|0)?1:(Kg|0)>=(tg|0)?Qg>>>0<Lg>>>0?0:1:0){continue}break}break c}f:{if(r[o[a+44>>2]+80>>2]>2097151){break f}Jg=q[a+36>>1];if((Jg<<24|Jg<<8&16711680)>>>16>>>0<514){break f}if(!Rg){break b}Jg=Hg+16|0;o[Jg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;if(!Vh(1,Hg+4|0,Ig)){break c}tg=a+32|0;Kg=a+44|0;while(1){o[Hg+8>>2]=o[Hg+4>>2];if(!Vh(1,Hg+4|0,o[tg>>2])){break c}o[Hg+12>>2]=o[Hg+4>>2];if(!Vh(1,Hg+4|0,o[tg>>2])){break c}o[Hg+16>>2]=o[Hg+4>>2];Ig=o[Kg>>2];Ng=Ig+100|0;Gg=o[Ng>>2];g:{if((Gg|0)==o[Ig+104>>2]){Xh(Ig+96|0,Hg+8|0);break g}Ig=o[Hg+12>>2];o[Gg>>2]=o[Hg+8>>2];o[Gg+4>>2]=Ig;o[Gg+8>>2]=o[Jg>>2];o[Ng>>2]=o[Ng>>2]+12}Pg=Pg+1|0;if((Rg|0)==(Pg|0)){break b}Gg=o[tg>>2];o[Jg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;if(Vh(1,Hg+4|0,Gg)){continue}break}break c}if(!Rg){break b}Sg=Hg+16|0;o[Sg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Ng=o[Ig+12>>2];Mg=Ng;Jg=Kg+5|0;if(Jg>>>0<5){tg=tg+1|0}Pg=o[Ig+8>>2];Lg=Jg;Jg=tg;if((Mg|0)<(tg|0)?1:(Mg|0)<=(tg|0)?Pg>>>0>=Lg>>>0?0:1:0){break c}Tg=a+44|0;Ug=a+32|0;while(1){Mg=o[Ig>>2];tg=Mg+Og|0;tg=p[tg|0]|p[tg+1|0]<<8|(p[tg+2|0]<<16|p[tg+3|0]<<24);o[Ig+16>>2]=Lg;o[Ig+20>>2]=Jg;o[Hg+8>>2]=tg;Jg=Ng;tg=Gg;Kg=Og+8|0;if(Kg>>>0<8){tg=tg+1|0}Qg=Kg;Kg=tg;if((Jg|0)<(tg|0)?1:(Jg|0)<=(tg|0)?Pg>>>0>=Qg>>>0?0:1:0){break c}tg=Mg+Lg|0;tg=p[tg|0]|p[tg+1|0]<<8|(p[tg+2|0]<<16|p[tg+3|0]<<24);o[Ig+16>>2]=Qg;o[Ig+20>>2]=Kg;o[Hg+12>>2]=tg;tg=Gg;Gg=Og+12|0;if(Gg>>>0<12){tg=tg+1|0}Jg=Gg;Gg=tg;if((Ng|0)<(tg|0)?1:(Ng|0)<=(tg|0)?Pg>>>0>=Jg>>>0?0:1:0){break c}tg=Mg+Qg|0;tg=p[tg|0]|p[tg+1|0]<<8|(p[tg+2|0]<<16|p[tg+3|0]<<24);o[Ig+16>>2]=Jg;o[Ig+20>>2]=Gg;o[Hg+16>>2]=tg;tg=o[Tg>>2];Ig=tg+100|0;Gg=o[Ig>>2];h:{if((Gg|0)==o[tg+104>>2]){Xh(tg+96|0,Hg+8|0);break h}tg=o[Hg+12>>2];o[Gg>>2]=o[Hg+8>>2];o[Gg+4>>2]=tg;o[Gg+8>>2]=o[Sg>>2];o[Ig>>2]=o[Ig>>2]+12}Wg=Wg+1|0;if((Rg|0)==(Wg|0)){break b}Ig=o[Ug>>2];tg=Ig;Og=o[tg+16>>2];Gg=o[tg+20>>2];o[Sg>>2]=0;o[Hg+8>>2]=0;o[Hg+12>>2]=0;Kg=o[tg+12>>2];Ng=Kg;Pg=o[tg+8>>2];Qg=Pg;tg=Gg;Jg=Og+4|0;if(Jg>>>0<4){tg=tg+1|0}Lg=Jg;Jg=tg;if((Kg|0)>(tg|0)?1:(Kg|0)>=(tg|0)?Qg>>>0<Lg>>>0?0:1:0){continue}break}}Ng=0;break a}o[o[a+4>>2]+80>>2]=Vg;Ng=1}R=Hg+32|0;return Ng|0}function Vh(a,Xg,Yg){var Zg=0,_g=0,$g=0,ah=0;a:{if(a>>>0>5){break a}$g=o[Yg+16>>2];Zg=o[Yg+12>>2];_g=o[Yg+20>>2];if((Zg|0)<(_g|0)?1:(Zg|0)<=(_g|0)?r[Yg+8>>2]>$g>>>0?0:1:0){break a}Zg=p[$g+o[Yg>>2]|0];$g=$g+1|0;if($g>>>0<1){_g=_g+1|0}o[Yg+16>>2]=$g;o[Yg+20>>2]=_g;_g=Xg;if(Zg&128){if(!Vh(a+1|0,Xg,Yg)){break a}a=o[Xg>>2]<<7;o[Xg>>2]=a;Zg=a|Zg&127}o[_g>>2]=Zg;ah=1}return ah}function Wh(a,Xg){var Yg=0,bh=0,ch=0,dh=0,eh=0,fh=0,gh=0,hh=0,ih=0,jh=0;Yg=R-32|0;R=Yg;o[Yg+24>>2]=0;o[Yg+16>>2]=0;o[Yg+20>>2]=0;a:{dh=u(Xg,3);if(dh){if(dh>>>0>=1073741824){break a}bh=u(Xg,12);eh=Hk(bh);o[Yg+16>>2]=eh;o[Yg+24>>2]=(dh<<2)+eh;ih=Yg,jh=xl(eh,0,bh)+bh|0,o[ih+20>>2]=jh}b:{if(!_f(dh,1,o[a+32>>2],eh)){break b}ch=1;if(!Xg){break b}hh=a+44|0;eh=0;while(1){dh=Yg+8|0;o[dh>>2]=0;o[Yg>>2]=0;o[Yg+4>>2]=0;a=o[Yg+16>>2]+(eh<<2)|0;bh=o[a>>2];ch=bh>>>1;bh=(bh&1?0-ch|0:ch)+fh|0;o[Yg>>2]=bh;ch=o[a+4>>2];fh=ch>>>1;bh=bh+(ch&1?0-fh|0:fh)|0;o[Yg+4>>2]=bh;a=o[a+8>>2];ch=a>>>1;fh=bh+(a&1?0-ch|0:ch)|0;o[dh>>2]=fh;bh=o[hh>>2];ch=bh+100|0;a=o[ch>>2];c:{if((a|0)!=o[bh+104>>2]){bh=o[Yg+4>>2];o[a>>2]=o[Yg>>2];o[a+4>>2]=bh;o[a+8>>2]=o[dh>>2];o[ch>>2]=o[ch>>2]+12;break c}Xh(bh+96|0,Yg)}eh=eh+3|0;ch=1;gh=gh+1|0;if((gh|0)!=(Xg|0)){continue}break}}a=o[Yg+16>>2];if(a){o[Yg+20>>2]=a;ul(a)}R=Yg+32|0;return ch}Yk();D()}function Xh(a,Xg){var kh=0,lh=0,mh=0,nh=0,oh=0,ph=0;a:{nh=o[a>>2];oh=o[a+4>>2]-nh|0;kh=(oh|0)/12|0;lh=kh+1|0;if(lh>>>0<357913942){ph=u(kh,12);mh=(o[a+8>>2]-nh|0)/12|0;kh=mh<<1;mh=mh>>>0<178956970?kh>>>0<lh>>>0?lh:kh:357913941;kh=0;b:{if(!mh){break b}if(mh>>>0>=357913942){break a}kh=Hk(u(mh,12))}lh=ph+kh|0;ph=o[Xg+4>>2];o[lh>>2]=o[Xg>>2];o[lh+4>>2]=ph;o[lh+8>>2]=o[Xg+8>>2];Xg=lh+u((oh|0)/-12|0,12)|0;kh=kh+u(mh,12)|0;lh=lh+12|0;if((oh|0)>=1){wl(Xg,nh,oh)}o[a>>2]=Xg;o[a+8>>2]=kh;o[a+4>>2]=lh;if(nh){ul(nh)}return}Yk();D()}_a(9912);D()}function Yh(a,Xg){a=a|0;Xg=Xg|0;var qh=0,rh=0,sh=0,th=0,uh=0,vh=0,wh=0;th=R-16|0;R=th;uh=Hk(64);qh=Hk(12);o[qh+8>>2]=o[o[a+4>>2]+80>>2];o[qh>>2]=9988;o[qh+4>>2]=0;o[th+8>>2]=qh;Qd(uh,th+8|0);a:{if((Xg|0)>=0){qh=o[a+12>>2];vh=a+8|0;wh=o[vh>>2];rh=qh-wh>>2;b:{if((rh|0)>(Xg|0)){break b}sh=Xg+1|0;if(rh>>>0<=Xg>>>0){Og(vh,sh-rh|0);break b}if(sh>>>0>=rh>>>0){break b}sh=wh+(sh<<2)|0;if((sh|0)!=(qh|0)){while(1){qh=qh+ -4|0;rh=o[qh>>2];o[qh>>2]=0;if(rh){l[o[o[rh>>2]+4>>2]](rh)}if((qh|0)!=(sh|0)){continue}break}}o[a+12>>2]=sh}Xg=o[vh>>2]+(Xg<<2)|0;a=o[Xg>>2];o[Xg>>2]=uh;rh=1;if(!a){break a}l[o[o[a>>2]+4>>2]](a);break a}l[o[o[uh>>2]+4>>2]](uh)}a=o[th+8>>2];o[th+8>>2]=0;if(a){l[o[o[a>>2]+4>>2]](a)}R=th+16|0;return rh|0}function Zh(a){a=a|0;var Xg=0,xh=0,yh=0,zh=0,Ah=0;o[a>>2]=10052;Xg=o[a+20>>2];if(Xg){o[a+24>>2]=Xg;ul(Xg)}yh=o[a+8>>2];if(yh){Xg=yh;Ah=a+12|0;xh=o[Ah>>2];zh=Xg;a:{if((Xg|0)==(xh|0)){break a}while(1){xh=xh+ -4|0;Xg=o[xh>>2];o[xh>>2]=0;if(Xg){l[o[o[Xg>>2]+4>>2]](Xg)}if((xh|0)!=(yh|0)){continue}break}zh=o[a+8>>2]}Xg=zh;o[Ah>>2]=yh;ul(Xg)}ul(a)}function _h(a,Bh){a=a|0;Bh=Bh|0;m[Bh+84|0]=1;o[Bh+72>>2]=o[Bh+68>>2];return 1}function $h(a){a=a|0;var Bh=0,Ch=0,Dh=0,Eh=0;a:{Bh=o[a+8>>2];b:{if((Bh|0)<0){break b}Ch=o[a+4>>2];Eh=o[Ch>>2];Dh=o[Ch+4>>2]-Eh>>2;c:{if(Bh>>>0>Dh>>>0){ai(Ch,Bh-Dh|0);Bh=o[a+8>>2];break c}if(Bh>>>0>=Dh>>>0){break c}o[Ch+4>>2]=Eh+(Bh<<2)}Eh=1;if((Bh|0)<1){break b}a=o[a+4>>2];Ch=o[a>>2];Dh=o[a+4>>2]-Ch>>2;a=0;while(1){if((a|0)==(Dh|0)){break a}o[Ch+(a<<2)>>2]=a;a=a+1|0;if((a|0)<(Bh|0)){continue}break}}return Eh|0}Zk();D()}function ai(a,Fh){var Gh=0,Hh=0,Ih=0,Jh=0,Kh=0,Lh=0,Mh=0,Nh=0,Oh=0;Hh=o[a+8>>2];Ih=a+4|0;Gh=o[Ih>>2];if(Hh-Gh>>2>>>0>=Fh>>>0){a=Fh<<2;Nh=Ih,Oh=xl(Gh,0,a)+a|0,o[Nh>>2]=Oh;return}a:{Ih=o[a>>2];Kh=Gh-Ih|0;Gh=Kh>>2;Jh=Gh+Fh|0;if(Jh>>>0<1073741824){Mh=Gh<<2;Hh=Hh-Ih|0;Gh=Hh>>1;Hh=Hh>>2>>>0<536870911?Gh>>>0<Jh>>>0?Jh:Gh:1073741823;Gh=0;b:{if(!Hh){break b}if(Hh>>>0>=1073741824){break a}Lh=Hk(Hh<<2);Gh=Lh}xl(Mh+Gh|0,0,Fh<<2);Fh=Gh+(Jh<<2)|0;Jh=Gh+(Hh<<2)|0;if((Kh|0)>=1){wl(Lh,Ih,Kh)}o[a>>2]=Gh;o[a+8>>2]=Jh;o[a+4>>2]=Fh;if(Ih){ul(Ih)}return}Yk();D()}_a(9912);D()}function bi(a){o[a+40>>2]=0;o[a>>2]=10052;o[a+4>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0;o[a+16>>2]=0;o[a+20>>2]=0;o[a+24>>2]=0;o[a+28>>2]=0;o[a+32>>2]=0;n[a+36>>1]=0}function ci(a,Fh,Ph){var Qh=0,Rh=0,Sh=0,Th=0,Uh=0,Vh=0;Rh=R-16|0;R=Rh;Th=o[Fh+12>>2];Qh=o[Fh+20>>2];Sh=o[Fh+16>>2];Uh=Sh+5|0;if(Uh>>>0<5){Qh=Qh+1|0}a:{if((Th|0)<(Qh|0)?1:(Th|0)<=(Qh|0)?r[Fh+8>>2]>=Uh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}Qh=Sh+o[Fh>>2]|0;Th=p[Qh|0]|p[Qh+1|0]<<8|(p[Qh+2|0]<<16|p[Qh+3|0]<<24);m[Ph|0]=Th;m[Ph+1|0]=Th>>>8;m[Ph+2|0]=Th>>>16;m[Ph+3|0]=Th>>>24;m[Ph+4|0]=p[Qh+4|0];Th=Fh;Qh=o[Fh+20>>2];Sh=o[Fh+16>>2]+5|0;if(Sh>>>0<5){Qh=Qh+1|0}Uh=Sh;Sh=Qh;o[Th+16>>2]=Uh;o[Th+20>>2]=Qh;if(Zj(Ph,10126,5)){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=17;o[Rh+8>>2]=-2147483616;m[Fh+17|0]=0;m[Fh+16|0]=p[10148];Ph=p[10144]|p[10145]<<8|(p[10146]<<16|p[10147]<<24);Qh=p[10140]|p[10141]<<8|(p[10142]<<16|p[10143]<<24);m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=p[10136]|p[10137]<<8|(p[10138]<<16|p[10139]<<24);Qh=p[10132]|p[10133]<<8|(p[10134]<<16|p[10135]<<24);m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-1;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}Qh=o[Fh+12>>2];if((Qh|0)<(Sh|0)?1:(Qh|0)<=(Sh|0)?r[Fh+8>>2]>Uh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}m[Ph+5|0]=p[Uh+o[Fh>>2]|0];Qh=o[Fh+20>>2];Sh=o[Fh+16>>2]+1|0;if(Sh>>>0<1){Qh=Qh+1|0}o[Fh+16>>2]=Sh;o[Th+20>>2]=Qh;Th=o[Fh+12>>2];if((Th|0)<(Qh|0)?1:(Th|0)<=(Qh|0)?r[Fh+8>>2]>Sh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}m[Ph+6|0]=p[Sh+o[Fh>>2]|0];Qh=o[Fh+20>>2];Sh=o[Fh+16>>2]+1|0;if(Sh>>>0<1){Qh=Qh+1|0}o[Fh+16>>2]=Sh;o[Fh+20>>2]=Qh;Th=o[Fh+12>>2];if((Th|0)<(Qh|0)?1:(Th|0)<=(Qh|0)?r[Fh+8>>2]>Sh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}m[Ph+7|0]=p[Sh+o[Fh>>2]|0];Qh=o[Fh+20>>2];Sh=o[Fh+16>>2]+1|0;if(Sh>>>0<1){Qh=Qh+1|0}o[Fh+16>>2]=Sh;o[Fh+20>>2]=Qh;Th=o[Fh+12>>2];if((Th|0)<(Qh|0)?1:(Th|0)<=(Qh|0)?r[Fh+8>>2]>Sh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}m[Ph+8|0]=p[Sh+o[Fh>>2]|0];Qh=o[Fh+20>>2];Sh=Qh;Vh=o[Fh+16>>2];Uh=Vh+1|0;if(Uh>>>0<1){Qh=Qh+1|0}o[Fh+16>>2]=Uh;o[Fh+20>>2]=Qh;Th=o[Fh+12>>2];Qh=Sh;Sh=Vh+3|0;if(Sh>>>0<3){Qh=Qh+1|0}if((Th|0)<(Qh|0)?1:(Th|0)<=(Qh|0)?r[Fh+8>>2]>=Sh>>>0?0:1:0){Fh=Hk(32);o[Rh>>2]=Fh;o[Rh+4>>2]=29;o[Rh+8>>2]=-2147483616;m[Fh+29|0]=0;Ph=p[10121]|p[10122]<<8|(p[10123]<<16|p[10124]<<24);Qh=p[10117]|p[10118]<<8|(p[10119]<<16|p[10120]<<24);m[Fh+21|0]=Qh;m[Fh+22|0]=Qh>>>8;m[Fh+23|0]=Qh>>>16;m[Fh+24|0]=Qh>>>24;m[Fh+25|0]=Ph;m[Fh+26|0]=Ph>>>8;m[Fh+27|0]=Ph>>>16;m[Fh+28|0]=Ph>>>24;Ph=o[2529];Qh=o[2528];m[Fh+16|0]=Qh;m[Fh+17|0]=Qh>>>8;m[Fh+18|0]=Qh>>>16;m[Fh+19|0]=Qh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=o[2527];Qh=o[2526];m[Fh+8|0]=Qh;m[Fh+9|0]=Qh>>>8;m[Fh+10|0]=Qh>>>16;m[Fh+11|0]=Qh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=o[2525];Qh=o[2524];m[Fh|0]=Qh;m[Fh+1|0]=Qh>>>8;m[Fh+2|0]=Qh>>>16;m[Fh+3|0]=Qh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-2;Mk(a+4|0,Rh);if(m[Rh+11|0]>-1){break a}ul(o[Rh>>2]);break a}Sh=Ph;Ph=Uh+o[Fh>>2]|0;n[Sh+10>>1]=p[Ph|0]|p[Ph+1|0]<<8;Ph=Fh;Sh=Fh;Qh=o[Fh+20>>2];Fh=o[Fh+16>>2]+2|0;if(Fh>>>0<2){Qh=Qh+1|0}o[Sh+16>>2]=Fh;o[Ph+20>>2]=Qh;o[a+8>>2]=0;o[a+12>>2]=0;o[a>>2]=0;o[a+4>>2]=0}R=Rh+16|0}function di(a,Fh){var Ph=0,Wh=0,Xh=0,Yh=0;Wh=R-48|0;R=Wh;Ph=Hk(36);Xh=Ph+4|0;o[Xh>>2]=0;o[Xh+4>>2]=0;Yh=Ph+16|0;o[Yh>>2]=0;o[Yh+4>>2]=0;o[Ph>>2]=Xh;o[Ph+32>>2]=0;o[Ph+24>>2]=0;o[Ph+28>>2]=0;o[Ph+12>>2]=Yh;o[Wh+40>>2]=Ph;Ph=Wh+32|0;o[Ph>>2]=0;a:{if(!cj(Ph,o[Fh+32>>2],o[Wh+40>>2])){o[Wh+24>>2]=0;o[Wh+16>>2]=0;o[Wh+20>>2]=0;Fh=Hk(32);o[Wh+16>>2]=Fh;o[Wh+20>>2]=26;o[Wh+24>>2]=-2147483616;m[Fh+26|0]=0;Ph=p[10174]|p[10175]<<8;m[Fh+24|0]=Ph;m[Fh+25|0]=Ph>>>8;Ph=p[10170]|p[10171]<<8|(p[10172]<<16|p[10173]<<24);Xh=p[10166]|p[10167]<<8|(p[10168]<<16|p[10169]<<24);m[Fh+16|0]=Xh;m[Fh+17|0]=Xh>>>8;m[Fh+18|0]=Xh>>>16;m[Fh+19|0]=Xh>>>24;m[Fh+20|0]=Ph;m[Fh+21|0]=Ph>>>8;m[Fh+22|0]=Ph>>>16;m[Fh+23|0]=Ph>>>24;Ph=p[10162]|p[10163]<<8|(p[10164]<<16|p[10165]<<24);Xh=p[10158]|p[10159]<<8|(p[10160]<<16|p[10161]<<24);m[Fh+8|0]=Xh;m[Fh+9|0]=Xh>>>8;m[Fh+10|0]=Xh>>>16;m[Fh+11|0]=Xh>>>24;m[Fh+12|0]=Ph;m[Fh+13|0]=Ph>>>8;m[Fh+14|0]=Ph>>>16;m[Fh+15|0]=Ph>>>24;Ph=p[10154]|p[10155]<<8|(p[10156]<<16|p[10157]<<24);Xh=p[10150]|p[10151]<<8|(p[10152]<<16|p[10153]<<24);m[Fh|0]=Xh;m[Fh+1|0]=Xh>>>8;m[Fh+2|0]=Xh>>>16;m[Fh+3|0]=Xh>>>24;m[Fh+4|0]=Ph;m[Fh+5|0]=Ph>>>8;m[Fh+6|0]=Ph>>>16;m[Fh+7|0]=Ph>>>24;o[a>>2]=-1;Mk(a+4|0,Wh+16|0);if(m[Wh+27|0]>-1){break a}ul(o[Wh+16>>2]);break a}Fh=o[Fh+4>>2];o[Wh+8>>2]=0;Xh=o[Wh+40>>2];o[Wh+40>>2]=0;Ph=o[Fh+4>>2];o[Fh+4>>2]=Xh;b:{if(!Ph){o[Wh+8>>2]=0;break b}ei(Ph);Fh=o[Wh+8>>2];o[Wh+8>>2]=0;if(!Fh){break b}ei(Fh)}o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0}a=o[Wh+40>>2];o[Wh+40>>2]=0;if(a){ei(a)}R=Wh+48|0}function ei(a){var Fh=0,Zh=0,_h=0,$h=0,ai=0;if(a){_h=o[a+24>>2];if(_h){Fh=_h;ai=a+28|0;Zh=o[ai>>2];$h=Fh;a:{if((Zh|0)==(Fh|0)){break a}while(1){Zh=Zh+ -4|0;Fh=o[Zh>>2];o[Zh>>2]=0;if(Fh){Fc(Fh+12|0,o[Fh+16>>2]);Gc(Fh,o[Fh+4>>2]);ul(Fh)}if((Zh|0)!=(_h|0)){continue}break}$h=o[a+24>>2]}Fh=$h;o[ai>>2]=_h;ul(Fh)}Fc(a+12|0,o[a+16>>2]);Gc(a,o[a+4>>2]);ul(a)}}function fi(a,bi,ei,fi,gi){var hi=0,ii=0;hi=R-32|0;R=hi;o[bi+32>>2]=fi;o[bi+40>>2]=ei;o[bi+4>>2]=gi;ci(a,fi,hi+16|0);a:{if(o[a>>2]){break a}ei=a+4|0;if(m[a+15|0]<=-1){ul(o[ei>>2])}gi=p[hi+23|0];if((l[o[o[bi>>2]+8>>2]](bi)|0)!=(gi|0)){bi=Hk(64);o[hi>>2]=bi;o[hi+4>>2]=50;o[hi+8>>2]=-2147483584;m[bi+50|0]=0;fi=p[10225]|p[10226]<<8;m[bi+48|0]=fi;m[bi+49|0]=fi>>>8;fi=p[10221]|p[10222]<<8|(p[10223]<<16|p[10224]<<24);gi=p[10217]|p[10218]<<8|(p[10219]<<16|p[10220]<<24);m[bi+40|0]=gi;m[bi+41|0]=gi>>>8;m[bi+42|0]=gi>>>16;m[bi+43|0]=gi>>>24;m[bi+44|0]=fi;m[bi+45|0]=fi>>>8;m[bi+46|0]=fi>>>16;m[bi+47|0]=fi>>>24;fi=p[10213]|p[10214]<<8|(p[10215]<<16|p[10216]<<24);gi=p[10209]|p[10210]<<8|(p[10211]<<16|p[10212]<<24);m[bi+32|0]=gi;m[bi+33|0]=gi>>>8;m[bi+34|0]=gi>>>16;m[bi+35|0]=gi>>>24;m[bi+36|0]=fi;m[bi+37|0]=fi>>>8;m[bi+38|0]=fi>>>16;m[bi+39|0]=fi>>>24;fi=p[10205]|p[10206]<<8|(p[10207]<<16|p[10208]<<24);gi=p[10201]|p[10202]<<8|(p[10203]<<16|p[10204]<<24);m[bi+24|0]=gi;m[bi+25|0]=gi>>>8;m[bi+26|0]=gi>>>16;m[bi+27|0]=gi>>>24;m[bi+28|0]=fi;m[bi+29|0]=fi>>>8;m[bi+30|0]=fi>>>16;m[bi+31|0]=fi>>>24;fi=p[10197]|p[10198]<<8|(p[10199]<<16|p[10200]<<24);gi=p[10193]|p[10194]<<8|(p[10195]<<16|p[10196]<<24);m[bi+16|0]=gi;m[bi+17|0]=gi>>>8;m[bi+18|0]=gi>>>16;m[bi+19|0]=gi>>>24;m[bi+20|0]=fi;m[bi+21|0]=fi>>>8;m[bi+22|0]=fi>>>16;m[bi+23|0]=fi>>>24;fi=p[10189]|p[10190]<<8|(p[10191]<<16|p[10192]<<24);gi=p[10185]|p[10186]<<8|(p[10187]<<16|p[10188]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10181]|p[10182]<<8|(p[10183]<<16|p[10184]<<24);gi=p[10177]|p[10178]<<8|(p[10179]<<16|p[10180]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-1;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}fi=p[hi+21|0];m[bi+36|0]=fi;ii=p[hi+22|0];m[bi+37|0]=ii;if((fi+ -1&255)>>>0>=2){bi=Hk(32);o[hi>>2]=bi;o[hi+4>>2]=22;o[hi+8>>2]=-2147483616;m[bi+22|0]=0;fi=p[10246]|p[10247]<<8|(p[10248]<<16|p[10249]<<24);gi=p[10242]|p[10243]<<8|(p[10244]<<16|p[10245]<<24);m[bi+14|0]=gi;m[bi+15|0]=gi>>>8;m[bi+16|0]=gi>>>16;m[bi+17|0]=gi>>>24;m[bi+18|0]=fi;m[bi+19|0]=fi>>>8;m[bi+20|0]=fi>>>16;m[bi+21|0]=fi>>>24;fi=p[10240]|p[10241]<<8|(p[10242]<<16|p[10243]<<24);gi=p[10236]|p[10237]<<8|(p[10238]<<16|p[10239]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10232]|p[10233]<<8|(p[10234]<<16|p[10235]<<24);gi=p[10228]|p[10229]<<8|(p[10230]<<16|p[10231]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-5;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}if(!((fi|0)!=2|(gi?2:3)>>>0>=ii>>>0)){bi=Hk(32);o[hi>>2]=bi;o[hi+4>>2]=22;o[hi+8>>2]=-2147483616;m[bi+22|0]=0;fi=p[10269]|p[10270]<<8|(p[10271]<<16|p[10272]<<24);gi=p[10265]|p[10266]<<8|(p[10267]<<16|p[10268]<<24);m[bi+14|0]=gi;m[bi+15|0]=gi>>>8;m[bi+16|0]=gi>>>16;m[bi+17|0]=gi>>>24;m[bi+18|0]=fi;m[bi+19|0]=fi>>>8;m[bi+20|0]=fi>>>16;m[bi+21|0]=fi>>>24;fi=p[10263]|p[10264]<<8|(p[10265]<<16|p[10266]<<24);gi=p[10259]|p[10260]<<8|(p[10261]<<16|p[10262]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10255]|p[10256]<<8|(p[10257]<<16|p[10258]<<24);gi=p[10251]|p[10252]<<8|(p[10253]<<16|p[10254]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-5;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}fi=fi<<8|ii;n[o[bi+32>>2]+38>>1]=fi;b:{if((fi&65535)>>>0<259|n[hi+26>>1]>-1){break b}di(a,bi);if(o[a>>2]){break a}if(m[ei+11|0]>-1){break b}ul(o[ei>>2])}if(!l[o[o[bi>>2]+12>>2]](bi)){bi=Hk(48);o[hi>>2]=bi;o[hi+4>>2]=33;o[hi+8>>2]=-2147483600;m[bi+33|0]=0;m[bi+32|0]=p[10306];fi=p[10302]|p[10303]<<8|(p[10304]<<16|p[10305]<<24);gi=p[10298]|p[10299]<<8|(p[10300]<<16|p[10301]<<24);m[bi+24|0]=gi;m[bi+25|0]=gi>>>8;m[bi+26|0]=gi>>>16;m[bi+27|0]=gi>>>24;m[bi+28|0]=fi;m[bi+29|0]=fi>>>8;m[bi+30|0]=fi>>>16;m[bi+31|0]=fi>>>24;fi=p[10294]|p[10295]<<8|(p[10296]<<16|p[10297]<<24);gi=p[10290]|p[10291]<<8|(p[10292]<<16|p[10293]<<24);m[bi+16|0]=gi;m[bi+17|0]=gi>>>8;m[bi+18|0]=gi>>>16;m[bi+19|0]=gi>>>24;m[bi+20|0]=fi;m[bi+21|0]=fi>>>8;m[bi+22|0]=fi>>>16;m[bi+23|0]=fi>>>24;fi=p[10286]|p[10287]<<8|(p[10288]<<16|p[10289]<<24);gi=p[10282]|p[10283]<<8|(p[10284]<<16|p[10285]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10278]|p[10279]<<8|(p[10280]<<16|p[10281]<<24);gi=p[10274]|p[10275]<<8|(p[10276]<<16|p[10277]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-1;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}if(!l[o[o[bi>>2]+20>>2]](bi)){bi=Hk(32);o[hi>>2]=bi;o[hi+4>>2]=31;o[hi+8>>2]=-2147483616;m[bi+31|0]=0;fi=p[10335]|p[10336]<<8|(p[10337]<<16|p[10338]<<24);gi=p[10331]|p[10332]<<8|(p[10333]<<16|p[10334]<<24);m[bi+23|0]=gi;m[bi+24|0]=gi>>>8;m[bi+25|0]=gi>>>16;m[bi+26|0]=gi>>>24;m[bi+27|0]=fi;m[bi+28|0]=fi>>>8;m[bi+29|0]=fi>>>16;m[bi+30|0]=fi>>>24;fi=p[10328]|p[10329]<<8|(p[10330]<<16|p[10331]<<24);gi=p[10324]|p[10325]<<8|(p[10326]<<16|p[10327]<<24);m[bi+16|0]=gi;m[bi+17|0]=gi>>>8;m[bi+18|0]=gi>>>16;m[bi+19|0]=gi>>>24;m[bi+20|0]=fi;m[bi+21|0]=fi>>>8;m[bi+22|0]=fi>>>16;m[bi+23|0]=fi>>>24;fi=p[10320]|p[10321]<<8|(p[10322]<<16|p[10323]<<24);gi=p[10316]|p[10317]<<8|(p[10318]<<16|p[10319]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10312]|p[10313]<<8|(p[10314]<<16|p[10315]<<24);gi=p[10308]|p[10309]<<8|(p[10310]<<16|p[10311]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-1;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}if(!l[o[o[bi>>2]+24>>2]](bi)){bi=Hk(48);o[hi>>2]=bi;o[hi+4>>2]=34;o[hi+8>>2]=-2147483600;m[bi+34|0]=0;fi=p[10372]|p[10373]<<8;m[bi+32|0]=fi;m[bi+33|0]=fi>>>8;fi=p[10368]|p[10369]<<8|(p[10370]<<16|p[10371]<<24);gi=p[10364]|p[10365]<<8|(p[10366]<<16|p[10367]<<24);m[bi+24|0]=gi;m[bi+25|0]=gi>>>8;m[bi+26|0]=gi>>>16;m[bi+27|0]=gi>>>24;m[bi+28|0]=fi;m[bi+29|0]=fi>>>8;m[bi+30|0]=fi>>>16;m[bi+31|0]=fi>>>24;fi=p[10360]|p[10361]<<8|(p[10362]<<16|p[10363]<<24);gi=p[10356]|p[10357]<<8|(p[10358]<<16|p[10359]<<24);m[bi+16|0]=gi;m[bi+17|0]=gi>>>8;m[bi+18|0]=gi>>>16;m[bi+19|0]=gi>>>24;m[bi+20|0]=fi;m[bi+21|0]=fi>>>8;m[bi+22|0]=fi>>>16;m[bi+23|0]=fi>>>24;fi=p[10352]|p[10353]<<8|(p[10354]<<16|p[10355]<<24);gi=p[10348]|p[10349]<<8|(p[10350]<<16|p[10351]<<24);m[bi+8|0]=gi;m[bi+9|0]=gi>>>8;m[bi+10|0]=gi>>>16;m[bi+11|0]=gi>>>24;m[bi+12|0]=fi;m[bi+13|0]=fi>>>8;m[bi+14|0]=fi>>>16;m[bi+15|0]=fi>>>24;fi=p[10344]|p[10345]<<8|(p[10346]<<16|p[10347]<<24);gi=p[10340]|p[10341]<<8|(p[10342]<<16|p[10343]<<24);m[bi|0]=gi;m[bi+1|0]=gi>>>8;m[bi+2|0]=gi>>>16;m[bi+3|0]=gi>>>24;m[bi+4|0]=fi;m[bi+5|0]=fi>>>8;m[bi+6|0]=fi>>>16;m[bi+7|0]=fi>>>24;o[a>>2]=-1;Mk(ei,hi);if(m[hi+11|0]>-1){break a}ul(o[hi>>2]);break a}o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0}R=hi+32|0}function gi(a){a=a|0;var bi=0,ci=0,di=0,ei=0,fi=0,gi=0,ji=0,ki=0,li=0,mi=0,ni=0,oi=0;a:{bi=o[a+32>>2];ei=o[bi+16>>2];gi=o[bi+12>>2];di=o[bi+20>>2];b:{if((gi|0)<(di|0)?1:(gi|0)<=(di|0)?r[bi+8>>2]>ei>>>0?0:1:0){break b}fi=p[ei+o[bi>>2]|0];ji=ei+1|0;if(ji>>>0<1){di=di+1|0}o[bi+16>>2]=ji;o[bi+20>>2]=di;c:{if(!fi){break c}while(1){if(l[o[o[a>>2]+16>>2]](a,ci)){ci=ci+1|0;if((fi|0)!=(ci|0)){continue}break c}break}return 0}ci=o[a+8>>2];di=o[a+12>>2];if((ci|0)!=(di|0)){while(1){bi=o[ci>>2];if(!l[o[o[bi>>2]+8>>2]](bi,a,o[a+4>>2])){break b}ci=ci+4|0;if((di|0)!=(ci|0)){continue}break}}d:{if(!fi){break d}ci=0;di=a+8|0;while(1){bi=o[o[di>>2]+(ci<<2)>>2];if(!l[o[o[bi>>2]+12>>2]](bi,o[a+32>>2])){break a}ci=ci+1|0;if((fi|0)!=(ci|0)){continue}break}if(!fi){break d}ei=a+20|0;ki=a+8|0;gi=a+24|0;while(1){ci=0;ji=li<<2;bi=o[ji+o[ki>>2]>>2];di=l[o[o[bi>>2]+24>>2]](bi)|0;if((di|0)>0){while(1){bi=o[o[ki>>2]+ji>>2];bi=l[o[o[bi>>2]+20>>2]](bi,ci)|0;mi=o[a+20>>2];ni=o[gi>>2]-mi>>2;e:{if(bi>>>0<ni>>>0){break e}oi=bi+1|0;if(oi>>>0>ni>>>0){Da(ei,oi-ni|0);mi=o[ei>>2];break e}if(oi>>>0>=ni>>>0){break e}o[gi>>2]=(oi<<2)+mi}o[(bi<<2)+mi>>2]=li;ci=ci+1|0;if((di|0)!=(ci|0)){continue}break}}li=li+1|0;if((li|0)!=(fi|0)){continue}break}}ki=0;if(!l[o[o[a>>2]+28>>2]](a)){break b}ki=l[o[o[a>>2]+32>>2]](a)|0}return ki|0}return 0}function hi(a){a=a|0;var pi=0,qi=0,ri=0,si=0;qi=1;pi=o[a+8>>2];ri=o[a+12>>2];a:{if((pi|0)==(ri|0)){break a}while(1){si=o[pi>>2];if(l[o[o[si>>2]+16>>2]](si,o[a+32>>2])){pi=pi+4|0;if((ri|0)!=(pi|0)){continue}break a}break}qi=0}return qi|0}function ii(a,ti){var ui=0,vi=0;a:{if((ti|0)<0){break a}ui=o[a+4>>2];if(o[ui+12>>2]-o[ui+8>>2]>>2<=(ti|0)){break a}a=o[o[a+8>>2]+(o[o[a+20>>2]+(ti<<2)>>2]<<2)>>2];vi=l[o[o[a>>2]+32>>2]](a,ti)|0}return vi}function ji(a,ti,wi){var xi=0,yi=0,zi=0;if((ti|0)>0){while(1){yi=xi<<2;zi=o[yi+a>>2];o[wi+yi>>2]=0-(zi&1)^zi>>>1;xi=xi+1|0;if((xi|0)!=(ti|0)){continue}break}}}function ki(a){o[a+16>>2]=0;o[a+20>>2]=0;o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0;o[a+24>>2]=0;o[a+28>>2]=0}function li(a,o,ti,wi){return mi(a,o,ti,wi)}function mi(a,ti,wi,Ai){var Bi=0,Ci=0,Di=0;a:{if(!ti){ti=wi;Ai=ti>>>0<0?Ai+1|0:Ai;if((Ai|0)<0?1:(Ai|0)<=0?ti>>>0>=0?0:1:0){return 0}Ai=o[a>>2];wi=o[a+4>>2]-Ai|0;if(wi>>>0<ti>>>0){Fa(a,ti-wi|0);break a}if(wi>>>0<=ti>>>0){break a}o[a+4>>2]=ti+Ai;break a}if((Ai|0)<0?1:(Ai|0)<=0?wi>>>0>=0?0:1:0){return 0}Ci=wi;if(wi>>>0<0){Ai=Ai+1|0}Di=o[a>>2];Bi=o[a+4>>2]-Di|0;b:{if((Ai|0)<0?1:(Ai|0)<=0?Ci>>>0>Bi>>>0?0:1:0){break b}Ai=Ci;if(Bi>>>0<Ai>>>0){Fa(a,Ai-Bi|0);break b}if(Bi>>>0<=Ai>>>0){break b}o[a+4>>2]=Ai+Di}if(!wi){break a}yl(o[a>>2],ti,wi)}ti=a+24|0;wi=ti;Ai=ti;a=o[ti+4>>2];ti=o[ti>>2]+1|0;if(ti>>>0<1){a=a+1|0}o[Ai>>2]=ti;o[wi+4>>2]=a;return 1}function ni(a,ti){var wi=0,Ai=0;Ai=o[a>>2];wi=o[a+4>>2]-Ai|0;a:{if(wi>>>0<ti>>>0){Fa(a,ti-wi|0);break a}if(wi>>>0<=ti>>>0){break a}o[a+4>>2]=ti+Ai}ti=a+24|0;wi=ti;Ai=ti;a=o[ti+4>>2];ti=o[ti>>2]+1|0;if(ti>>>0<1){a=a+1|0}o[Ai>>2]=ti;o[wi+4>>2]=a}function oi(a){n[a+38>>1]=0;o[a>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0;o[a+16>>2]=0;o[a+20>>2]=0;o[a+24>>2]=0;o[a+28>>2]=0;m[a+29|0]=0;m[a+30|0]=0;m[a+31|0]=0;m[a+32|0]=0;m[a+33|0]=0;m[a+34|0]=0;m[a+35|0]=0;m[a+36|0]=0;return a}function pi(a,ti,Ei,Fi){n[a+38>>1]=Fi;o[a>>2]=ti;o[a+16>>2]=0;o[a+20>>2]=0;o[a+8>>2]=Ei;o[a+12>>2]=0}function qi(a,ti,Ei){var Fi=0;a:{if(ti){ti=0;if(!ri(1,Ei,a)){break a}}m[a+36|0]=1;o[a+32>>2]=0;ti=o[a+16>>2];Ei=ti+o[a>>2]|0;o[a+24>>2]=Ei;Fi=a;a=o[a+8>>2];o[Fi+28>>2]=Ei+(a-ti|0);ti=1}return ti}function ri(a,ti,Ei){var Gi=0,Hi=0,Ii=0,Ji=0,Ki=0,Li=0;a:{if(a>>>0>10){break a}Ii=o[Ei+16>>2];Gi=o[Ei+12>>2];Hi=o[Ei+20>>2];Ji=Hi;if((Gi|0)<(Ji|0)?1:(Gi|0)<=(Ji|0)?r[Ei+8>>2]>Ii>>>0?0:1:0){break a}Ki=m[Ii+o[Ei>>2]|0];Gi=Ii+1|0;if(Gi>>>0<1){Hi=Hi+1|0}o[Ei+16>>2]=Gi;o[Ei+20>>2]=Hi;Ji=ti;Ii=ti;Gi=Ki;b:{if((Gi|0)<=-1){if(!ri(a+1|0,ti,Ei)){break a}a=ti;Ei=o[ti+4>>2];ti=o[ti>>2];Hi=Ei<<7|ti>>>25;ti=ti<<7;o[a>>2]=ti;o[a+4>>2]=Hi;a=Gi&127|ti;break b}Hi=0;a=Gi&255}o[Ii>>2]=a;o[Ji+4>>2]=Hi;Li=1}return Li}function si(a){var ti=0,Ei=0,Mi=0,Ni=0,Oi=0,Pi=0;m[a+36|0]=0;Mi=o[a+20>>2];Ni=a;Oi=a;Pi=o[a+16>>2];a=o[a+32>>2]+7|0;if(a>>>0<7){ti=1}Ei=ti>>>3;a=ti<<29|a>>>3;ti=Pi+a|0;Ei=Ei+Mi|0;o[Oi+16>>2]=ti;o[Ni+20>>2]=ti>>>0<a>>>0?Ei+1|0:Ei}function ti(a){a=a+ -1|0;if(a>>>0<=10){return o[(a<<2)+10412>>2]}return-1}function ui(a){var Qi=0;Qi=a+4|0;o[Qi>>2]=0;o[Qi+4>>2]=0;o[a>>2]=Qi;return a}function vi(a,Ri,Si,Ti){var Ui=0,Vi=0,Wi=0,Xi=0;Ui=R-16|0;R=Ui;Xi=a;Vi=Zf(Ri,Ui+12|0,Si);Si=o[Vi>>2];if(Si){Ri=0}else{Si=Hk(40);Mk(Si+16|0,o[Ti>>2]);o[Si+36>>2]=0;o[Si+28>>2]=0;o[Si+32>>2]=0;o[Si+8>>2]=o[Ui+12>>2];o[Si>>2]=0;o[Si+4>>2]=0;o[Vi>>2]=Si;Ti=Si;Wi=o[o[Ri>>2]>>2];if(Wi){o[Ri>>2]=Wi;Ti=o[Vi>>2]}Xf(o[Ri+4>>2],Ti);Ri=Ri+8|0;o[Ri>>2]=o[Ri>>2]+1;Ri=1}m[Xi+4|0]=Ri;o[a>>2]=Si;R=Ui+16|0}function wi(a,Ri){var Si=0;Si=R-48|0;R=Si;Wk(Si+8|0);o[Si+32>>2]=Ri;vi(Si+40|0,a,Ri,Si+32|0);a=o[Si+40>>2];Ri=a+28|0;a:{if(m[a+39|0]>=0){m[Ri+11|0]=0;m[Ri|0]=0;break a}m[o[a+28>>2]]=0;o[a+32>>2]=0;if(m[a+39|0]>-1){break a}ul(o[a+28>>2]);o[a+36>>2]=0}a=o[Si+12>>2];o[Ri>>2]=o[Si+8>>2];o[Ri+4>>2]=a;o[Ri+8>>2]=o[Si+16>>2];R=Si+48|0}function xi(a,Ri){var Ti=0,Yi=0,Zi=0,_i=0,$i=0,aj=0,bj=0,cj=0;$i=a+4|0;a=o[$i>>2];a:{b:{if(!a){break b}Ti=p[Ri+11|0];Yi=Ti<<24>>24<0;Zi=Yi?o[Ri+4>>2]:Ti;bj=Yi?o[Ri>>2]:Ri;Ti=$i;while(1){Ri=p[a+27|0];cj=Ri<<24>>24<0;aj=cj?o[a+20>>2]:Ri;_i=Zi>>>0<aj>>>0;Yi=_i?Zi:aj;c:{if(Yi){Ri=a+16|0;Ri=Zj(cj?o[Ri>>2]:Ri,bj,Yi);if(Ri){break c}}Ri=aj>>>0<Zi>>>0?-1:_i}Ti=(Ri|0)<0?Ti:a;a=o[(Ri>>>29&4)+a>>2];if(a){continue}break}if((Ti|0)==($i|0)){break b}a=p[Ti+27|0];_i=a<<24>>24<0;d:{Yi=_i?o[Ti+20>>2]:a;Ri=Yi>>>0<Zi>>>0?Yi:Zi;if(Ri){a=Ti+16|0;a=Zj(bj,_i?o[a>>2]:a,Ri);if(a){break d}}if(Zi>>>0<Yi>>>0){break b}break a}if((a|0)>-1){break a}}Ti=$i}return Ti}function yi(a,Ri){var dj=0;Ri=xi(a,Ri);a:{if((Ri|0)==(a+4|0)){break a}a=Ri+28|0;if(m[Ri+39|0]<=-1){a=o[a>>2]}a=Yj(a);if((a|0)==-1){break a}dj=(a|0)!=0}return dj}function zi(a){var Ri=0;o[a>>2]=0;o[a+4>>2]=0;o[a+56>>2]=0;o[a+48>>2]=0;o[a+52>>2]=0;o[a+40>>2]=0;o[a+44>>2]=0;o[a+32>>2]=0;o[a+36>>2]=0;o[a+24>>2]=0;o[a+28>>2]=0;o[a+16>>2]=0;o[a+20>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0;Ri=a- -64|0;o[Ri>>2]=0;o[Ri+4>>2]=0;o[a+72>>2]=0;o[a+76>>2]=0;o[a+80>>2]=0;o[a+84>>2]=0;o[a+60>>2]=a}function Ai(a,ej){var fj=0,gj=0,hj=0;hj=R-16|0;R=hj;gj=Hk(88);fj=gj;o[fj>>2]=0;o[fj+4>>2]=0;o[fj+56>>2]=0;o[fj+48>>2]=0;o[fj+52>>2]=0;o[fj+40>>2]=0;o[fj+44>>2]=0;o[fj+32>>2]=0;o[fj+36>>2]=0;o[fj+24>>2]=0;o[fj+28>>2]=0;o[fj+16>>2]=0;o[fj+20>>2]=0;o[fj+8>>2]=0;o[fj+12>>2]=0;fj=fj- -64|0;o[fj>>2]=0;o[fj+4>>2]=0;o[gj+72>>2]=0;o[gj+76>>2]=0;o[gj+80>>2]=0;o[gj+84>>2]=0;o[gj+60>>2]=gj;o[hj+8>>2]=gj;a:{if(Bi(gj,ej)){o[a>>2]=o[hj+8>>2];o[hj+8>>2]=0;break a}o[a>>2]=0;a=o[hj+8>>2];o[hj+8>>2]=0;if(!a){break a}ua(hj+8|0,a)}R=hj+16|0}function Bi(a,ej){var ij=0,jj=0,kj=0,lj=0,mj=0,nj=0,oj=0;lj=R-16|0;R=lj;o[a+80>>2]=0;o[a+84>>2]=0;ij=a+76|0;jj=o[ij>>2];o[ij>>2]=0;if(jj){ul(jj)}o[a+68>>2]=0;o[a+72>>2]=0;ij=a- -64|0;jj=o[ij>>2];o[ij>>2]=0;if(jj){ul(jj)}nj=ej+4|0;ij=o[nj>>2];jj=o[ej>>2];kj=u((ij-jj|0)/12|0,3);oj=o[a>>2];mj=o[a+4>>2]-oj>>2;a:{if(kj>>>0>mj>>>0){Ci(a,kj-mj|0);ij=o[nj>>2];jj=o[ej>>2];break a}if(kj>>>0>=mj>>>0){break a}o[a+4>>2]=(kj<<2)+oj}if((ij|0)!=(jj|0)){mj=(ij-jj|0)/12|0;nj=o[a>>2];ej=0;while(1){kj=u(ej,12);ij=kj+nj|0;kj=jj+kj|0;o[ij>>2]=o[kj>>2];o[ij+4>>2]=o[kj+4>>2];o[ij+8>>2]=o[kj+8>>2];ej=ej+1|0;if(ej>>>0<mj>>>0){continue}break}}o[lj+12>>2]=-1;ej=0;if(Di(a,lj+12|0)){Ei(a);Fi(a,o[lj+12>>2]);ej=1}R=lj+16|0;return ej}function Ci(a,ej){var pj=0,qj=0,rj=0,sj=0,tj=0,uj=0,vj=0,wj=0,xj=0;qj=o[a+8>>2];rj=a+4|0;pj=o[rj>>2];if(qj-pj>>2>>>0>=ej>>>0){a=ej<<2;wj=rj,xj=xl(pj,0,a)+a|0,o[wj>>2]=xj;return}a:{rj=o[a>>2];tj=pj-rj|0;pj=tj>>2;sj=pj+ej|0;if(sj>>>0<1073741824){vj=pj<<2;qj=qj-rj|0;pj=qj>>1;qj=qj>>2>>>0<536870911?pj>>>0<sj>>>0?sj:pj:1073741823;pj=0;b:{if(!qj){break b}if(qj>>>0>=1073741824){break a}uj=Hk(qj<<2);pj=uj}xl(vj+pj|0,0,ej<<2);ej=pj+(sj<<2)|0;sj=pj+(qj<<2)|0;if((tj|0)>=1){wl(uj,rj,tj)}o[a>>2]=pj;o[a+8>>2]=sj;o[a+4>>2]=ej;if(rj){ul(rj)}return}Yk();D()}_a(10468);D()}function Di(a,ej){var yj=0,zj=0,Aj=0,Bj=0,Cj=0,Dj=0,Ej=0,Fj=0,Gj=0,Hj=0,Ij=0,Jj=0,Kj=0,Lj=0,Mj=0,Nj=0,Oj=0,Pj=0,Qj=0,Rj=0,Sj=0;Aj=R-48|0;R=Aj;if(ej){Pj=a+12|0;zj=a+4|0;Fj=o[zj>>2];Gj=o[a>>2];Dj=Fj-Gj|0;Bj=Dj>>2;yj=o[a+12>>2];Cj=o[a+16>>2]-yj>>2;a:{if(Bj>>>0>Cj>>>0){Gi(Pj,Bj-Cj|0);Fj=o[zj>>2];Gj=o[a>>2];Dj=Fj-Gj|0;Bj=Dj>>2;break a}if(Bj>>>0>=Cj>>>0){break a}o[a+16>>2]=yj+(Bj<<2)}zj=0;o[Aj+40>>2]=0;o[Aj+32>>2]=0;o[Aj+36>>2]=0;b:{c:{d:{if(!Bj){yj=0;Cj=0;break d}if(Bj>>>0>=1073741824){break c}yj=Hk(Dj);o[Aj+36>>2]=yj;o[Aj+32>>2]=yj;o[Aj+40>>2]=(Bj<<2)+yj;Cj=yj}e:{if(!Dj){break e}Ej=a+4|0;zj=Cj;Ij=zj;Dj=0;while(1){Hj=o[(Dj<<2)+Gj>>2];Ij=Ij-zj>>2;if(Hj>>>0>=Ij>>>0){o[Aj+16>>2]=0;yj=Hj+1|0;f:{if(yj>>>0>Ij>>>0){yd(Aj+32|0,yj-Ij|0,Aj+16|0);Fj=o[Ej>>2];Gj=o[a>>2];break f}if(yj>>>0>=Ij>>>0){break f}o[Aj+36>>2]=(yj<<2)+zj}yj=o[Aj+32>>2];Cj=yj}zj=(Hj<<2)+yj|0;o[zj>>2]=o[zj>>2]+1;Dj=Dj+1|0;zj=Fj-Gj|0;Bj=zj>>2;if(Dj>>>0>=Bj>>>0){break e}Ij=o[Aj+36>>2];zj=yj;continue}}o[Aj+24>>2]=0;o[Aj+16>>2]=0;o[Aj+20>>2]=0;Dj=0;g:{if(zj){if(Bj>>>0>=536870912){break g}Dj=Hk(zj<<1);o[Aj+16>>2]=Dj;o[Aj+20>>2]=Dj;zj=Bj<<3;o[Aj+24>>2]=zj+Dj;zj=xl(Dj,255,zj);while(1){zj=zj+8|0;Bj=Bj+ -1|0;if(Bj){continue}break}o[Aj+20>>2]=zj}o[Aj+8>>2]=0;o[Aj>>2]=0;o[Aj+4>>2]=0;zj=o[Aj+36>>2]-Cj|0;Mj=zj>>2;h:{if(zj){if(Mj>>>0>=1073741824){break h}Jj=Hk(zj);o[Aj>>2]=Jj;o[Aj+8>>2]=(Mj<<2)+Jj;Bj=0;Ej=xl(Jj,0,zj);o[Aj+4>>2]=Ej+zj;zj=0;while(1){Cj=zj<<2;o[Cj+Ej>>2]=Bj;Bj=o[yj+Cj>>2]+Bj|0;zj=zj+1|0;if(zj>>>0<Mj>>>0){continue}break}}if((Fj|0)==(Gj|0)){break b}Sj=Fj-Gj>>2;Ej=0;Qj=o[Aj+32>>2];while(1){Nj=Ej<<2;Ij=o[Nj+Gj>>2];Fj=-1;zj=Ej+1|0;yj=(zj>>>0)%3|0?zj:Ej+ -2|0;if((yj|0)!=-1){Fj=o[(yj<<2)+Gj>>2]}Kj=-1;Cj=(Ej>>>0)%3|0;yj=(Cj?-1:2)+Ej|0;if((yj|0)!=-1){Kj=o[(yj<<2)+Gj>>2]}i:{j:{if(Cj){break j}k:{if((Fj|0)==(Kj|0)){break k}yj=o[Gj+Nj>>2];if((yj|0)==(Fj|0)){break k}if((yj|0)!=(Kj|0)){break j}}o[a+40>>2]=o[a+40>>2]+1;zj=Ej+3|0;break i}yj=Kj<<2;Oj=o[yj+Qj>>2];l:{m:{if((Oj|0)<1){break m}yj=o[yj+Jj>>2];Bj=0;while(1){Hj=(yj<<3)+Dj|0;Cj=o[Hj>>2];if((Cj|0)==-1){break m}n:{if((Cj|0)!=(Fj|0)){break n}Lj=o[Hj+4>>2];if((Lj|0)!=-1){Cj=o[(Lj<<2)+Gj>>2]}else{Cj=-1}if((Cj|0)==(Ij|0)){break n}while(1){Cj=yj;Bj=Bj+1|0;o:{if((Bj|0)>=(Oj|0)){break o}Rj=(Cj<<3)+Dj|0;yj=Cj+1|0;Ij=(yj<<3)+Dj|0;Hj=o[Ij>>2];o[Rj>>2]=Hj;o[Rj+4>>2]=o[Ij+4>>2];if((Hj|0)!=-1){continue}}break}o[(Cj<<3)+Dj>>2]=-1;if((Lj|0)==-1){break m}yj=o[Pj>>2];o[yj+Nj>>2]=Lj;o[yj+(Lj<<2)>>2]=Ej;break l}yj=yj+1|0;Bj=Bj+1|0;if((Oj|0)!=(Bj|0)){continue}break}}yj=Fj<<2;Cj=o[yj+Qj>>2];if((Cj|0)<1){break l}yj=o[yj+Jj>>2];Bj=0;while(1){Hj=(yj<<3)+Dj|0;if(o[Hj>>2]==-1){o[Hj>>2]=Kj;o[Hj+4>>2]=Ej;break l}yj=yj+1|0;Bj=Bj+1|0;if((Cj|0)!=(Bj|0)){continue}break}}}Ej=zj;if(Ej>>>0<Sj>>>0){continue}break}break b}Yk();D()}Yk();D()}_a(10468);D()}o[ej>>2]=Mj;if(Jj){o[Aj+4>>2]=Jj;ul(Jj)}a=o[Aj+16>>2];if(a){o[Aj+20>>2]=a;ul(a)}a=o[Aj+32>>2];if(a){o[Aj+36>>2]=a;ul(a)}a=1}else{a=0}R=Aj+48|0;return a}function Ei(a){var ej=0,Tj=0,Uj=0,Vj=0,Wj=0,Xj=0,Yj=0,Zj=0,_j=0,$j=0,ak=0,bk=0,ck=0,dk=0,ek=0;Uj=R-48|0;R=Uj;ak=a+4|0;ej=o[ak>>2];_j=o[a>>2];m[Uj+16|0]=0;bk=Hi(Uj+32|0,ej-_j>>2,Uj+16|0);o[Uj+24>>2]=0;o[Uj+16>>2]=0;o[Uj+20>>2]=0;ej=o[ak>>2];Yj=o[a>>2];Zj=a+12|0;while(1){ck=0;Xj=0;a:{if((ej|0)==(Yj|0)){break a}while(1){Vj=o[bk>>2];b:{if(o[Vj+(Xj>>>3&536870908)>>2]>>>(Xj&31)&1){break b}Wj=o[Uj+16>>2];o[Uj+20>>2]=Wj;ej=Xj;while(1){Tj=ej+1|0;_j=ej;ej=(Tj>>>0)%3|0?Tj:ej+ -2|0;c:{if((ej|0)==-1){break c}ej=o[o[Zj>>2]+(ej<<2)>>2];if((ej|0)==-1){break c}Tj=ej+1|0;ej=(Tj>>>0)%3|0?Tj:ej+ -2|0;if((Xj|0)==(ej|0)|(ej|0)==-1){break c}if(!(o[(ej>>>3&536870908)+Vj>>2]>>>(ej&31)&1)){continue}}break}ej=Wj;Tj=_j;while(1){Vj=(Tj>>>3&536870908)+Vj|0;o[Vj>>2]=o[Vj>>2]|1<<(Tj&31);Vj=Tj+1|0;dk=(Vj>>>0)%3|0?Vj:Tj+ -2|0;Vj=((Tj>>>0)%3|0?-1:2)+Tj|0;if((ej|0)!=(Wj|0)){ek=o[(dk<<2)+Yj>>2];while(1){d:{if((ek|0)!=o[ej>>2]){break d}Tj=-1;$j=o[ej+4>>2];Tj=(Vj|0)!=-1?o[o[Zj>>2]+(Vj<<2)>>2]:Tj;if(($j|0)==(Tj|0)){break d}Wj=-1;Wj=($j|0)!=-1?o[o[Zj>>2]+($j<<2)>>2]:Wj;if((Tj|0)!=-1){o[o[Zj>>2]+(Tj<<2)>>2]=-1}ej=o[Zj>>2];if((Wj|0)!=-1){o[ej+(Wj<<2)>>2]=-1}o[ej+(Vj<<2)>>2]=-1;o[ej+($j<<2)>>2]=-1;ck=1;break b}ej=ej+8|0;if((Wj|0)!=(ej|0)){continue}break}}o[Uj+8>>2]=0;ej=Vj<<2;Tj=o[ej+Yj>>2];o[Uj+12>>2]=dk;o[Uj+8>>2]=Tj;e:{if(o[Uj+24>>2]!=(Wj|0)){Tj=o[Uj+12>>2];o[Wj>>2]=o[Uj+8>>2];o[Wj+4>>2]=Tj;o[Uj+20>>2]=o[Uj+20>>2]+8;break e}Ii(Uj+16|0,Uj+8|0)}f:{if((Vj|0)==-1){break f}ej=o[ej+o[Zj>>2]>>2];if((ej|0)==-1){break f}Tj=ej+((ej>>>0)%3|0?-1:2)|0;if((_j|0)==(Tj|0)|(Tj|0)==-1){break f}Yj=o[a>>2];Vj=o[bk>>2];Wj=o[Uj+20>>2];ej=o[Uj+16>>2];continue}break}Yj=o[a>>2]}Xj=Xj+1|0;ej=o[ak>>2];if(Xj>>>0<ej-Yj>>2>>>0){continue}break}if(ck){continue}}break}a=o[Uj+16>>2];if(a){o[Uj+20>>2]=a;ul(a)}a=o[bk>>2];if(a){ul(a)}R=Uj+48|0}function Fi(a,fk){var gk=0,hk=0,ik=0,jk=0,kk=0,lk=0,mk=0,nk=0,ok=0,pk=0,qk=0,rk=0,sk=0,tk=0,uk=0,vk=0,wk=0,xk=0,yk=0,zk=0,Ak=0,Bk=0,Ck=0;lk=R-48|0;R=lk;o[a+36>>2]=fk;rk=a+24|0;ik=o[a+24>>2];gk=o[a+28>>2]-ik>>2;a:{if(gk>>>0<fk>>>0){Gi(rk,fk-gk|0);break a}if(gk>>>0<=fk>>>0){break a}o[a+28>>2]=ik+(fk<<2)}m[lk+16|0]=0;mk=Hi(lk+32|0,fk,lk+16|0);sk=a+4|0;gk=o[sk>>2];ik=o[a>>2];m[lk+8|0]=0;ok=Hi(lk+16|0,gk-ik>>2,lk+8|0);b:{gk=o[a>>2];if(o[sk>>2]-gk>>2>>>0<3){break b}yk=a+48|0;tk=a+12|0;zk=a+32|0;vk=a+28|0;Ak=a+56|0;wk=a+52|0;while(1){pk=u(uk,3);jk=o[(pk<<2)+gk>>2];kk=0;hk=-1;ik=pk+1|0;c:{if((ik|0)!=-1){hk=o[(ik<<2)+gk>>2];kk=pk+2|0;ik=-1;if((kk|0)==-1){break c}}ik=o[(kk<<2)+gk>>2]}d:{if(!((ik|0)==(hk|0)|(hk|0)==(jk|0)|(ik|0)==(jk|0))){nk=o[ok>>2];qk=0;while(1){ik=pk+qk|0;e:{if(o[(ik>>>3&536870908)+nk>>2]>>>(ik&31)&1){break e}kk=o[o[a>>2]+(ik<<2)>>2];o[lk+8>>2]=kk;gk=1<<(kk&31);hk=o[mk>>2];kk=kk>>>5;nk=o[hk+(kk<<2)>>2];jk=0;f:{if(!(gk&nk)){break f}gk=o[vk>>2];g:{if((gk|0)!=o[zk>>2]){o[gk>>2]=-1;o[vk>>2]=gk+4;break g}bh(rk,10464)}gk=o[wk>>2];h:{if((gk|0)!=o[Ak>>2]){o[gk>>2]=o[lk+8>>2];o[wk>>2]=gk+4;break h}bh(yk,lk+8|0)}gk=o[mk+4>>2];jk=o[mk+8>>2];if((gk|0)==jk<<5){if((gk+1|0)<=-1){break d}hk=mk;if(gk>>>0<=1073741822){gk=gk+32&-32;jk=jk<<6;gk=jk>>>0<gk>>>0?gk:jk}else{gk=2147483647}ab(hk,gk);gk=o[mk+4>>2]}o[mk+4>>2]=gk+1;hk=o[mk>>2];jk=hk+(gk>>>3&536870908)|0;kk=o[jk>>2];Bk=jk,Ck=Zl(gk)&kk,o[Bk>>2]=Ck;o[lk+8>>2]=fk;gk=1<<(fk&31);kk=fk>>>5;nk=o[(kk<<2)+hk>>2];fk=fk+1|0;jk=1}o[(kk<<2)+hk>>2]=gk|nk;nk=o[ok>>2];gk=ik;i:{while(1){if((gk|0)==-1){break i}hk=(gk>>>3&536870908)+nk|0;o[hk>>2]=o[hk>>2]|1<<(gk&31);hk=o[lk+8>>2];o[o[rk>>2]+(hk<<2)>>2]=gk;if(jk){o[o[a>>2]+(gk<<2)>>2]=hk}kk=ik;hk=gk+1|0;gk=(hk>>>0)%3|0?hk:gk+ -2|0;hk=-1;j:{if((gk|0)==-1){break j}gk=o[o[tk>>2]+(gk<<2)>>2];hk=-1;if((gk|0)==-1){break j}hk=gk+1|0;hk=(hk>>>0)%3|0?hk:gk+ -2|0}gk=hk;if((kk|0)!=(gk|0)){continue}break}if((ik|0)!=-1){break e}}gk=ik+((ik>>>0)%3|0?-1:2)|0;if((gk|0)==-1){break e}gk=o[o[tk>>2]+(gk<<2)>>2];if((gk|0)==-1){break e}gk=gk+((gk>>>0)%3|0?-1:2)|0;if((gk|0)==-1){break e}nk=o[ok>>2];while(1){ik=(gk>>>3&536870908)+nk|0;o[ik>>2]=o[ik>>2]|1<<(gk&31);if(jk){o[o[a>>2]+(gk<<2)>>2]=o[lk+8>>2]}gk=((gk>>>0)%3|0?-1:2)+gk|0;if((gk|0)==-1){break e}gk=o[o[tk>>2]+(gk<<2)>>2];if((gk|0)==-1){break e}gk=gk+((gk>>>0)%3|0?-1:2)|0;if((gk|0)!=-1){continue}break}}qk=qk+1|0;if((qk|0)!=3){continue}break}}uk=uk+1|0;gk=o[a>>2];if(uk>>>0<(o[sk>>2]-gk>>2>>>0)/3>>>0){continue}break b}break}Yk();D()}o[a+44>>2]=0;fk=o[mk>>2];gk=o[mk+4>>2];ik=gk>>>5;jk=gk&31;if(ik|jk){ik=(ik<<2)+fk|0;hk=fk;gk=0;while(1){if(!(o[hk>>2]>>>gk&1)){xk=xk+1|0;o[a+44>>2]=xk}kk=(gk|0)==31;gk=kk?0:gk+1|0;hk=kk?hk+4|0:hk;if((ik|0)!=(hk|0)|(gk|0)!=(jk|0)){continue}break}}a=o[ok>>2];if(a){ul(a);fk=o[mk>>2]}if(fk){ul(fk)}R=lk+48|0}function Gi(a,fk){var Dk=0,Ek=0,Fk=0,Gk=0,Ik=0,Jk=0;Fk=o[a+8>>2];Dk=o[a+4>>2];if(Fk-Dk>>2>>>0>=fk>>>0){while(1){o[Dk>>2]=o[2616];Dk=Dk+4|0;fk=fk+ -1|0;if(fk){continue}break}o[a+4>>2]=Dk;return}a:{Gk=o[a>>2];Ik=Dk-Gk|0;Jk=Ik>>2;Dk=Jk+fk|0;if(Dk>>>0<1073741824){Fk=Fk-Gk|0;Ek=Fk>>1;Dk=Fk>>2>>>0<536870911?Ek>>>0<Dk>>>0?Dk:Ek:1073741823;Ek=0;b:{if(!Dk){break b}if(Dk>>>0>=1073741824){break a}Ek=Hk(Dk<<2)}Fk=Ek+(Dk<<2)|0;Dk=Ek+(Jk<<2)|0;while(1){o[Dk>>2]=o[2616];Dk=Dk+4|0;fk=fk+ -1|0;if(fk){continue}break}if((Ik|0)>=1){wl(Ek,Gk,Ik)}o[a>>2]=Ek;o[a+8>>2]=Fk;o[a+4>>2]=Dk;if(Gk){ul(Gk)}return}Yk();D()}_a(10468);D()}function Hi(a,fk,Kk){var Lk=0,Mk=0,Nk=0;o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0;a:{b:{if(!fk){break b}if((fk|0)<=-1){break a}Mk=fk+ -1>>>5;Nk=Mk+1|0;Lk=Hk(Nk<<2);o[a+8>>2]=Nk;o[a>>2]=Lk;Nk=p[Kk|0];o[a+4>>2]=fk;o[(fk>>>0<33?Lk:Lk+(Mk<<2)|0)>>2]=0;Kk=fk>>>5;Mk=Kk<<2;if(Nk){Lk=xl(Lk,255,Mk);fk=fk&31;if(!fk){break b}Kk=Lk+(Kk<<2)|0;o[Kk>>2]=o[Kk>>2]|-1>>>32-fk;return a}Lk=xl(Lk,0,Mk);fk=fk&31;if(!fk){break b}Kk=Lk+(Kk<<2)|0;o[Kk>>2]=o[Kk>>2]&(-1>>>32-fk^-1)}return a}Yk();D()}function Ii(a,fk){var Kk=0,Ok=0,Pk=0,Qk=0,Rk=0,Sk=0;a:{Pk=o[a>>2];Sk=o[a+4>>2]-Pk|0;Kk=Sk>>3;Ok=Kk+1|0;if(Ok>>>0<536870912){Qk=Kk<<3;Rk=o[a+8>>2]-Pk|0;Kk=Rk>>2;Ok=Rk>>3>>>0<268435455?Kk>>>0<Ok>>>0?Ok:Kk:536870911;Kk=0;b:{if(!Ok){break b}if(Ok>>>0>=536870912){break a}Kk=Hk(Ok<<3)}Qk=Qk+Kk|0;Rk=o[fk+4>>2];o[Qk>>2]=o[fk>>2];o[Qk+4>>2]=Rk;fk=Kk+(Ok<<3)|0;Ok=Qk+8|0;if((Sk|0)>=1){wl(Kk,Pk,Sk)}o[a>>2]=Kk;o[a+8>>2]=fk;o[a+4>>2]=Ok;if(Pk){ul(Pk)}return}Yk();D()}_a(10468);D()}function Ji(a,fk,Tk){var Uk=0,Vk=0,Wk=0,Xk=0;a:{b:{if((fk|Tk)<0|fk>>>0>1431655765){break b}fk=u(fk,3);Ki(a,fk,10460);Ki(a+12|0,fk,10464);fk=o[a+24>>2];c:{if(o[a+32>>2]-fk>>2>>>0>=Tk>>>0){break c}if(Tk>>>0>=1073741824){break a}Wk=a+28|0;Uk=o[Wk>>2];Vk=Tk<<2;Tk=Hk(Vk);Vk=Tk+Vk|0;Uk=Uk-fk|0;Xk=Uk+Tk|0;if((Uk|0)>=1){wl(Tk,fk,Uk)}o[a+24>>2]=Tk;o[a+32>>2]=Vk;o[Wk>>2]=Xk;if(!fk){break c}ul(fk)}o[a+80>>2]=0;o[a+84>>2]=0;Tk=a+76|0;fk=o[Tk>>2];o[Tk>>2]=0;if(fk){ul(fk)}o[a+68>>2]=0;o[a+72>>2]=0;fk=a- -64|0;a=o[fk>>2];o[fk>>2]=0;Uk=1;if(!a){break b}ul(a)}return Uk}_a(10468);D()}function Ki(a,fk,Tk){var Zk=0,_k=0,$k=0,al=0,bl=0;Zk=o[a+8>>2];_k=o[a>>2];if(Zk-_k>>2>>>0>=fk>>>0){$k=o[a+4>>2];al=$k-_k>>2;bl=al>>>0<fk>>>0?al:fk;if(bl){Zk=_k;while(1){o[Zk>>2]=o[Tk>>2];Zk=Zk+4|0;bl=bl+ -1|0;if(bl){continue}break}}if(al>>>0<fk>>>0){Zk=fk-al|0;while(1){o[$k>>2]=o[Tk>>2];$k=$k+4|0;Zk=Zk+ -1|0;if(Zk){continue}break}o[a+4>>2]=$k;return}o[a+4>>2]=(fk<<2)+_k;return}if(_k){o[a+4>>2]=_k;ul(_k);o[a+8>>2]=0;o[a>>2]=0;o[a+4>>2]=0;Zk=0}a:{if(fk>>>0>=1073741824){break a}_k=Zk>>1;_k=Zk>>2>>>0<536870911?_k>>>0<fk>>>0?fk:_k:1073741823;if(_k>>>0>=1073741824){break a}_k=_k<<2;Zk=Hk(_k);o[a>>2]=Zk;o[a+4>>2]=Zk;o[a+8>>2]=Zk+_k;while(1){o[Zk>>2]=o[Tk>>2];Zk=Zk+4|0;fk=fk+ -1|0;if(fk){continue}break}o[a+4>>2]=Zk;return}Yk();D()}function Li(a){qj(a);o[a+84>>2]=0;o[a+88>>2]=0;o[a>>2]=10544;o[a+92>>2]=0;o[a+96>>2]=0;o[a+100>>2]=0;o[a+104>>2]=0;return a}function Mi(a){a=a|0;var fk=0,Hk=0,Tk=0,Yk=0,cl=0;o[a>>2]=10944;fk=o[a+68>>2];if(fk){o[a+72>>2]=fk;ul(fk)}fk=o[a+56>>2];if(fk){o[a+60>>2]=fk;ul(fk)}fk=o[a+44>>2];if(fk){o[a+48>>2]=fk;ul(fk)}fk=o[a+32>>2];if(fk){o[a+36>>2]=fk;ul(fk)}fk=o[a+20>>2];if(fk){o[a+24>>2]=fk;ul(fk)}Tk=o[a+8>>2];if(Tk){fk=Tk;cl=a+12|0;Hk=o[cl>>2];Yk=fk;a:{if((fk|0)==(Hk|0)){break a}while(1){Hk=Hk+ -4|0;fk=o[Hk>>2];o[Hk>>2]=0;if(fk){Fb(fk)}if((Hk|0)!=(Tk|0)){continue}break}Yk=o[a+8>>2]}fk=Yk;o[cl>>2]=Tk;ul(fk)}fk=o[a+4>>2];o[a+4>>2]=0;if(fk){ei(fk)}return a|0}function Ni(a){a=a|0;var dl=0;o[a>>2]=10544;dl=o[a+96>>2];if(dl){o[a+100>>2]=dl;ul(dl)}dl=o[a+84>>2];if(dl){o[a+88>>2]=dl;ul(dl)}Mi(a);return a|0}function Oi(a){a=a|0;var el=0;o[a>>2]=10544;el=o[a+96>>2];if(el){o[a+100>>2]=el;ul(el)}el=o[a+84>>2];if(el){o[a+88>>2]=el;ul(el)}Mi(a);ul(a)}function Pi(a,fl,gl){a=a|0;fl=fl|0;gl=gl|0;var hl=0,il=0;hl=R-16|0;R=hl;il=o[gl>>2];o[gl>>2]=0;o[hl+8>>2]=il;wj(a,fl,hl+8|0);gl=o[hl+8>>2];o[hl+8>>2]=0;if(gl){Fb(gl)}il=o[a+84>>2];gl=o[a+88>>2]-il>>2;a:{if((gl|0)>(fl|0)){break a}fl=fl+1|0;if(fl>>>0>gl>>>0){Qi(a+84|0,fl-gl|0);break a}if(fl>>>0>=gl>>>0){break a}o[a+88>>2]=il+(fl<<2)}R=hl+16|0}function Qi(a,fl){var gl=0,jl=0,kl=0,ll=0,ml=0,nl=0;kl=o[a+8>>2];gl=o[a+4>>2];if(kl-gl>>2>>>0>=fl>>>0){while(1){o[gl>>2]=1;gl=gl+4|0;fl=fl+ -1|0;if(fl){continue}break}o[a+4>>2]=gl;return}a:{ll=o[a>>2];ml=gl-ll|0;nl=ml>>2;gl=nl+fl|0;if(gl>>>0<1073741824){kl=kl-ll|0;jl=kl>>1;gl=kl>>2>>>0<536870911?jl>>>0<gl>>>0?gl:jl:1073741823;jl=0;b:{if(!gl){break b}if(gl>>>0>=1073741824){break a}jl=Hk(gl<<2)}kl=jl+(gl<<2)|0;gl=jl+(nl<<2)|0;while(1){o[gl>>2]=1;gl=gl+4|0;fl=fl+ -1|0;if(fl){continue}break}if((ml|0)>=1){wl(jl,ll,ml)}o[a>>2]=jl;o[a+8>>2]=kl;o[a+4>>2]=gl;if(ll){ul(ll)}return}Yk();D()}_a(10588);D()}function Ri(a,fl){a=a|0;fl=fl|0;var ol=0,pl=0,ql=0;zj(a,fl);a:{if((fl|0)<0){break a}ol=o[a+88>>2];pl=o[a+84>>2];if(ol-pl>>2<=(fl|0)){break a}fl=pl+(fl<<2)|0;pl=fl+4|0;ol=ol-pl|0;ql=ol>>2;if(ol){yl(fl,pl,ol)}o[a+88>>2]=fl+(ql<<2)}}function Si(a,fl){var rl=0,sl=0,tl=0,vl=0,xl=0,yl=0;a:{tl=o[a>>2];xl=o[a+4>>2]-tl|0;rl=xl>>2;sl=rl+1|0;if(sl>>>0<1073741824){yl=rl<<2;rl=o[a+8>>2]-tl|0;vl=rl>>1;sl=rl>>2>>>0<536870911?vl>>>0<sl>>>0?sl:vl:1073741823;rl=0;b:{if(!sl){break b}if(sl>>>0>=1073741824){break a}rl=Hk(sl<<2)}vl=yl+rl|0;o[vl>>2]=o[fl>>2];fl=rl+(sl<<2)|0;sl=vl+4|0;if((xl|0)>=1){wl(rl,tl,xl)}o[a>>2]=rl;o[a+8>>2]=fl;o[a+4>>2]=sl;if(tl){ul(tl)}return}Yk();D()}_a(10656);D()}function Ti(a){o[a>>2]=0;o[a+4>>2]=0;m[a+24|0]=1;o[a+16>>2]=0;o[a+20>>2]=0;o[a+8>>2]=0;o[a+12>>2]=0;o[a+28>>2]=0;o[a+32>>2]=0;o[a+36>>2]=0;o[a+40>>2]=0;o[a+44>>2]=0;o[a+48>>2]=0;o[a+52>>2]=0;o[a+56>>2]=0;o[a+60>>2]=0;o[a+64>>2]=0;o[a+72>>2]=0;o[a+76>>2]=0;o[a+80>>2]=0;o[a+84>>2]=0;o[a+88>>2]=0;o[a+92>>2]=0;o[a+68>>2]=a}function Ui(a,fl){var zl=0,Al=0,Bl=0,Cl=0,Dl=0,El=0,Fl=0,Gl=0;El=R-16|0;R=El;a:{b:{if(fl){o[a+88>>2]=0;o[a+92>>2]=0;zl=a+84|0;Al=o[zl>>2];o[zl>>2]=0;if(Al){ul(Al)}o[a+76>>2]=0;o[a+80>>2]=0;zl=a+72|0;Al=o[zl>>2];o[zl>>2]=0;if(Al){ul(Al)}Al=fl+4|0;zl=o[Al>>2];Bl=o[fl>>2];m[El+15|0]=0;$a(a,zl-Bl>>2,El+15|0);Bl=fl+28|0;zl=o[Bl>>2];Cl=o[fl+24>>2];m[El+14|0]=0;$a(a+12|0,zl-Cl>>2,El+14|0);Ki(a+28|0,o[Al>>2]-o[fl>>2]>>2,10724);Al=o[a+52>>2];Cl=o[Bl>>2]-o[fl+24>>2]|0;zl=Cl>>2;c:{if(o[a+60>>2]-Al>>2>>>0>=zl>>>0){break c}if(zl>>>0>=1073741824){break b}Fl=a+56|0;Dl=o[Fl>>2];Gl=zl<<2;zl=Hk(Cl);Gl=Gl+zl|0;Cl=Dl-Al|0;Dl=Cl+zl|0;if((Cl|0)>=1){wl(zl,Al,Cl)}o[a+52>>2]=zl;o[a+60>>2]=Gl;o[Fl>>2]=Dl;if(!Al){break c}ul(Al)}Al=o[a+40>>2];Bl=o[Bl>>2]-o[fl+24>>2]|0;zl=Bl>>2;d:{if(o[a+48>>2]-Al>>2>>>0>=zl>>>0){break d}if(zl>>>0>=1073741824){break a}Cl=a+44|0;Fl=o[Cl>>2];Dl=zl<<2;zl=Hk(Bl);Dl=Dl+zl|0;Bl=Fl-Al|0;Fl=Bl+zl|0;if((Bl|0)>=1){wl(zl,Al,Bl)}o[a+40>>2]=zl;o[a+48>>2]=Dl;o[Cl>>2]=Fl;if(!Al){break d}ul(Al)}m[a+24|0]=1;o[a+64>>2]=fl}R=El+16|0;return}_a(10728);D()}_a(10728);D()}function Vi(a){var fl=0,ul=0,wl=0,Hl=0,Il=0,Jl=0,Kl=0,Ll=0,Ml=0,Nl=0,Ol=0,Pl=0,Ql=0;wl=R-32|0;R=wl;Jl=a+56|0;o[Jl>>2]=o[a+52>>2];Kl=a+44|0;o[Kl>>2]=o[a+40>>2];fl=o[a+64>>2];if(o[fl+28>>2]!=o[fl+24>>2]){Ml=a+40|0;Nl=a+52|0;Ol=a+60|0;Pl=a+48|0;while(1){ul=o[o[fl+24>>2]+(Ll<<2)>>2];a:{if((ul|0)==-1){break a}o[wl+24>>2]=Il;fl=o[Jl>>2];b:{if((fl|0)!=o[Ol>>2]){o[fl>>2]=Il;o[Jl>>2]=fl+4;break b}Xi(Nl,wl+24|0)}o[wl+16>>2]=ul;o[wl+8>>2]=0;c:{if(!(o[o[a+12>>2]+(Ll>>>3&536870908)>>2]>>>(Ll&31)&1)){break c}d:{fl=ul+1|0;fl=(fl>>>0)%3|0?fl:ul+ -2|0;if(!((fl|0)==-1|o[o[a>>2]+(fl>>>3&536870908)>>2]>>>(fl&31)&1)){fl=o[o[o[a+64>>2]+12>>2]+(fl<<2)>>2];if((fl|0)!=-1){break d}}o[wl+8>>2]=-1;break c}Hl=fl+1|0;fl=(Hl>>>0)%3|0?Hl:fl+ -2|0;o[wl+8>>2]=fl;if((fl|0)==-1){break c}while(1){o[wl+16>>2]=fl;e:{Hl=fl+1|0;ul=fl;fl=(Hl>>>0)%3|0?Hl:fl+ -2|0;if(!((fl|0)==-1|o[o[a>>2]+(fl>>>3&536870908)>>2]>>>(fl&31)&1)){fl=o[o[o[a+64>>2]+12>>2]+(fl<<2)>>2];if((fl|0)!=-1){break e}}o[wl+8>>2]=-1;break c}Hl=fl+1|0;fl=(Hl>>>0)%3|0?Hl:fl+ -2|0;o[wl+8>>2]=fl;if((fl|0)!=-1){continue}break}}Ql=a+28|0;o[o[Ql>>2]+(ul<<2)>>2]=o[wl+24>>2];fl=o[Kl>>2];f:{if((fl|0)!=o[Pl>>2]){o[fl>>2]=o[wl+16>>2];o[Kl>>2]=fl+4;break f}bh(Ml,wl+16|0)}Il=Il+1|0;fl=o[a+64>>2];g:{Hl=o[wl+16>>2];if((Hl|0)==-1){break g}ul=Hl+((Hl>>>0)%3|0?-1:2)|0;if((ul|0)==-1){break g}ul=o[o[fl+12>>2]+(ul<<2)>>2];if((ul|0)==-1){break g}ul=ul+((ul>>>0)%3|0?-1:2)|0;o[wl+8>>2]=ul;if((ul|0)==-1|(ul|0)==(Hl|0)){break a}while(1){fl=ul+1|0;fl=(fl>>>0)%3|0?fl:ul+ -2|0;h:{if(!(o[o[a>>2]+(fl>>>3&536870908)>>2]>>>(fl&31)&1)){break h}o[wl+24>>2]=Il;fl=o[Jl>>2];i:{if((fl|0)!=o[Ol>>2]){o[fl>>2]=Il;o[Jl>>2]=fl+4;break i}Xi(Nl,wl+24|0)}Il=Il+1|0;fl=o[Kl>>2];if((fl|0)!=o[Pl>>2]){o[fl>>2]=o[wl+8>>2];o[Kl>>2]=fl+4;break h}bh(Ml,wl+8|0)}o[o[Ql>>2]+(o[wl+8>>2]<<2)>>2]=o[wl+24>>2];fl=o[a+64>>2];ul=o[wl+8>>2];if((ul|0)==-1){break g}ul=ul+((ul>>>0)%3|0?-1:2)|0;if((ul|0)==-1){break g}ul=o[o[fl+12>>2]+(ul<<2)>>2];if((ul|0)==-1){break g}ul=ul+((ul>>>0)%3|0?-1:2)|0;o[wl+8>>2]=ul;if((ul|0)==-1){break a}if(o[wl+16>>2]!=(ul|0)){continue}break}break a}o[wl+8>>2]=-1}Ll=Ll+1|0;if(Ll>>>0<o[fl+28>>2]-o[fl+24>>2]>>2>>>0){continue}break}}R=wl+32|0}function Wi(a,Rl){var Sl=0,Tl=0,Ul=0,Vl=0,Wl=0,Xl=0;Ul=o[a>>2];Sl=Ul+(Rl>>>3&536870908)|0;o[Sl>>2]=o[Sl>>2]|1<<(Rl&31);Wl=o[a+64>>2];Vl=(Rl|0)==-1;Sl=-1;a:{if(Vl){break a}Tl=Rl+1|0;Tl=(Tl>>>0)%3|0?Tl:Rl+ -2|0;Sl=-1;if((Tl|0)==-1){break a}Sl=o[o[Wl>>2]+(Tl<<2)>>2]}Tl=o[a+12>>2];Xl=(Sl>>>3&536870908)+Tl|0;o[Xl>>2]=o[Xl>>2]|1<<(Sl&31);b:{c:{if(!Vl){Sl=-1;Vl=((Rl>>>0)%3|0?-1:2)+Rl|0;if((Vl|0)!=-1){Sl=o[o[Wl>>2]+(Vl<<2)>>2]}Vl=Tl+(Sl>>>3&536870908)|0;o[Vl>>2]=o[Vl>>2]|1<<(Sl&31);Rl=o[o[Wl+12>>2]+(Rl<<2)>>2];if((Rl|0)==-1){break b}m[a+24|0]=0;a=(Rl>>>3&536870908)+Ul|0;o[a>>2]=o[a>>2]|1<<(Rl&31);a=-1;Sl=-1;Ul=Rl+1|0;Ul=(Ul>>>0)%3|0?Ul:Rl+ -2|0;if((Ul|0)!=-1){Sl=o[o[Wl>>2]+(Ul<<2)>>2]}Ul=Tl+(Sl>>>3&536870908)|0;o[Ul>>2]=o[Ul>>2]|1<<(Sl&31);Rl=Rl+((Rl>>>0)%3|0?-1:2)|0;if((Rl|0)!=-1){a=o[o[Wl>>2]+(Rl<<2)>>2]}Rl=1<<(a&31);a=Tl+(a>>>3&536870908)|0;Sl=o[a>>2];break c}a=Tl+536870908|0;Rl=o[Tl+536870908>>2];Sl=-2147483648}o[a>>2]=Rl|Sl}}function Xi(a,Rl){var Yl=0,Zl=0,_l=0,$l=0,am=0,bm=0;a:{_l=o[a>>2];am=o[a+4>>2]-_l|0;Yl=am>>2;Zl=Yl+1|0;if(Zl>>>0<1073741824){bm=Yl<<2;Yl=o[a+8>>2]-_l|0;$l=Yl>>1;Zl=Yl>>2>>>0<536870911?$l>>>0<Zl>>>0?Zl:$l:1073741823;Yl=0;b:{if(!Zl){break b}if(Zl>>>0>=1073741824){break a}Yl=Hk(Zl<<2)}$l=bm+Yl|0;o[$l>>2]=o[Rl>>2];Rl=Yl+(Zl<<2)|0;Zl=$l+4|0;if((am|0)>=1){wl(Yl,_l,am)}o[a>>2]=Yl;o[a+8>>2]=Rl;o[a+4>>2]=Zl;if(_l){ul(_l)}return}Yk();D()}_a(10728);D()}function Yi(a,Rl){var cm=0,dm=0,em=0,fm=0,gm=0,hm=0,im=0,jm=0,km=0,lm=0,mm=0;dm=R-16|0;R=dm;a:{em=sj(Rl);if(!em){o[a>>2]=0;break a}fm=o[Rl+100>>2];jm=o[Rl+96>>2];o[dm+8>>2]=0;o[dm>>2]=0;o[dm+4>>2]=0;Rl=fm-jm|0;im=(Rl|0)/12|0;b:{if(Rl){if(im>>>0>=357913942){break b}gm=Hk(Rl);o[dm>>2]=gm;o[dm+4>>2]=gm;o[dm+8>>2]=u(im,12)+gm;Rl=xl(gm,0,Rl);cm=im;while(1){Rl=Rl+12|0;cm=cm+ -1|0;if(cm){continue}break}o[dm+4>>2]=Rl}if((fm|0)!=(jm|0)){Rl=0;lm=p[em+84|0];mm=em+68|0;while(1){km=u(Rl,12);cm=km+jm|0;em=o[cm>>2];c:{if(lm){fm=cm+8|0;cm=cm+4|0;break c}hm=o[mm>>2];fm=hm+(o[cm+8>>2]<<2)|0;em=o[hm+(em<<2)>>2];cm=hm+(o[cm+4>>2]<<2)|0}hm=o[cm>>2];cm=gm+km|0;o[cm+8>>2]=o[fm>>2];o[cm+4>>2]=hm;o[cm>>2]=em;Rl=Rl+1|0;if(Rl>>>0<im>>>0){continue}break}}Ai(a,dm);a=o[dm>>2];if(!a){break a}o[dm+4>>2]=a;ul(a);break a}Yk();D()}R=dm+16|0}function Zi(a,Rl,nm){var om=0,pm=0,qm=0,rm=0,sm=0,tm=0,um=0,vm=0,wm=0,xm=0,ym=0,zm=0,Am=0,Bm=0,Cm=0,Dm=0;tm=R-16|0;R=tm;sm=u(Rl,12)+a|0;um=sm+12|0;zm=sm+8|0;o[um>>2]=o[zm>>2];o[tm+8>>2]=(nm|0)==-1?-1:(nm>>>0)/3|0;Am=sm+16|0;Bm=a+4|0;qm=nm;while(1){sm=pm;vm=(pm|0)==1;a:{b:{if(!vm){pm=o[tm+8>>2];break b}if((qm|0)==-1){qm=-1;_i(a,-1);break a}if((qm|0)==-1|(_i(a,((qm>>>0)%3|0?-1:2)+qm|0)|0)==-1){break a}nm=qm+1|0;om=(nm>>>0)%3|0?nm:qm+ -2|0;if((om|0)==-1){break a}nm=om+1|0;nm=(nm>>>0)%3|0?nm:om+ -2|0;if((nm|0)==-1){break a}om=o[o[o[Bm>>2]+12>>2]+(nm<<2)>>2];if((om|0)==-1){break a}nm=om+1|0;nm=(nm>>>0)%3|0?nm:om+ -2|0;if((nm|0)==-1){break a}pm=(nm>>>0)/3|0;o[tm+8>>2]=pm}wm=1<<(pm&31);xm=o[a+56>>2]+(pm>>>3&536870908)|0;ym=o[xm>>2];c:{if(wm&ym){break c}rm=0;while(1){o[xm>>2]=wm|ym;om=o[um>>2];d:{if((om|0)!=o[Am>>2]){o[om>>2]=pm;o[um>>2]=om+4;break d}Si(zm,tm+8|0)}om=rm+1|0;e:{if(!rm){break e}if(om&1){if((nm|0)==-1){nm=-1;break e}rm=nm+1|0;nm=(rm>>>0)%3|0?rm:nm+ -2|0;break e}qm=vm?nm:qm;if((nm|0)==-1){nm=-1;break e}if((nm>>>0)%3){nm=nm+ -1|0;break e}nm=nm+2|0}nm=_i(a,nm);if((nm|0)!=-1){pm=(nm>>>0)/3|0;o[tm+8>>2]=pm;rm=om;wm=1<<(pm&31);xm=o[a+56>>2]+(pm>>>3&268435452)|0;ym=o[xm>>2];if(!(wm&ym)){continue}}break}if(!(om&1)|(sm|0)!=1){break c}vm=o[um>>2]+ -4|0;pm=o[vm>>2];rm=o[a+56>>2]+(pm>>>3&536870908)|0;om=o[rm>>2];Cm=rm,Dm=Zl(pm)&om,o[Cm>>2]=Dm;o[um>>2]=vm}pm=1;if(!sm){continue}}break}o[((Rl<<2)+a|0)+44>>2]=qm;Rl=o[um>>2];qm=o[zm>>2];if((Rl|0)!=(qm|0)){rm=Rl-qm>>2;om=o[a+56>>2];nm=0;while(1){sm=o[qm+(nm<<2)>>2];Rl=om+(sm>>>3&536870908)|0;a=o[Rl>>2];Cm=Rl,Dm=Zl(sm)&a,o[Cm>>2]=Dm;nm=nm+1|0;if(nm>>>0<rm>>>0){continue}break}}R=tm+16|0}function _i(a,Rl){var nm=0,Em=0,Fm=0,Gm=0,Hm=0;Em=-1;Gm=-1;Fm=-1;a:{b:{if((Rl|0)==-1){break b}Hm=1;Gm=o[o[o[a+4>>2]+12>>2]+(Rl<<2)>>2];nm=Rl+1|0;nm=(nm>>>0)%3|0?nm:Rl+ -2|0;if((nm|0)>=0){Fm=(nm>>>0)/3|0;Fm=o[(o[o[a>>2]+96>>2]+u(Fm,12)|0)+(nm-u(Fm,3)<<2)>>2]}c:{if((Gm|0)==-1){break c}Hm=0;nm=((Gm>>>0)%3|0?-1:2)+Gm|0;if((nm|0)<0){break c}Em=(nm>>>0)/3|0;Em=o[(o[o[a>>2]+96>>2]+u(Em,12)|0)+(nm-u(Em,3)<<2)>>2]}nm=-1;if((Em|0)!=(Fm|0)){break a}Fm=-1;d:{Rl=((Rl>>>0)%3|0?-1:2)+Rl|0;if((Rl|0)>=0){Em=(Rl>>>0)/3|0;Em=o[(o[o[a>>2]+96>>2]+u(Em,12)|0)+(Rl-u(Em,3)<<2)>>2];if(Hm){break b}break d}Em=-1;if(!Hm){break d}break b}Rl=Gm+1|0;Rl=(Rl>>>0)%3|0?Rl:Gm+ -2|0;if((Rl|0)<0){break b}Fm=o[o[a>>2]+96>>2];a=(Rl>>>0)/3|0;Fm=o[(Fm+u(a,12)|0)+(Rl-u(a,3)<<2)>>2]}nm=(Em|0)==(Fm|0)?Gm:-1}return nm}function $i(a,Rl){var Im=0,Jm=0,Km=0,Lm=0,Mm=0,Nm=0,Om=0,Pm=0,Qm=0,Rm=0,Sm=0;Jm=R-48|0;R=Jm;o[Jm+40>>2]=0;o[Jm+32>>2]=0;o[Jm+36>>2]=0;Im=Hk(8);o[Im+4>>2]=Rl;o[Im>>2]=0;Rl=Im+8|0;o[Jm+40>>2]=Rl;o[Jm+36>>2]=Rl;o[Jm+32>>2]=Im;a:{b:{c:{d:{while(1){Rl=Rl+ -8|0;Nm=o[Rl+4>>2];Sm=o[Rl>>2];o[Jm+36>>2]=Rl;if(Sm){o[Jm+24>>2]=0;o[Jm+16>>2]=0;o[Jm+20>>2]=0;Pm=1;Rl=o[a>>2];Mm=o[Rl+16>>2];Lm=o[Rl+12>>2];Im=o[Rl+20>>2];e:{if((Lm|0)<(Im|0)?1:(Lm|0)<=(Im|0)?r[Rl+8>>2]>Mm>>>0?0:1:0){break e}Km=p[Mm+o[Rl>>2]|0];Lm=Mm+1|0;if(Lm>>>0<1){Im=Im+1|0}o[Rl+16>>2]=Lm;o[Rl+20>>2]=Im;Rk(Jm+16|0,Km);if(Km){Lm=o[a>>2];Rm=Vk(Jm+16|0);Om=o[Lm+12>>2];Mm=o[Lm+20>>2];Qm=o[Lm+16>>2];Rl=Km;Im=Qm+Rl|0;if(Im>>>0<Rl>>>0){Mm=Mm+1|0}if((Om|0)<(Mm|0)?1:(Om|0)<=(Mm|0)?r[Lm+8>>2]>=Im>>>0?0:1:0){break e}wl(Rm,Qm+o[Lm>>2]|0,Km);Im=Lm;Lm=Im;Mm=o[Im+20>>2];Km=Rl+o[Im+16>>2]|0;if(Km>>>0<Rl>>>0){Mm=Mm+1|0}o[Lm+16>>2]=Km;o[Im+20>>2]=Mm}Nm=Hk(24);Im=Nm+4|0;o[Im>>2]=0;o[Im+4>>2]=0;Rl=Nm+16|0;o[Rl>>2]=0;o[Rl+4>>2]=0;o[Nm>>2]=Im;o[Nm+12>>2]=Rl;o[Jm+8>>2]=Nm;oj(Sm,Jm+16|0,Jm+8|0);Rl=o[Jm+8>>2];Pm=0;o[Jm+8>>2]=0;if(!Rl){break e}Fc(Rl+12|0,o[Rl+16>>2]);Gc(Rl,o[Rl+4>>2]);ul(Rl)}if(m[Jm+27|0]<=-1){ul(o[Jm+16>>2])}if(Pm){break b}}if(!Nm){break b}o[Jm+16>>2]=0;if(!aj(1,Jm+16|0,o[a>>2])){break b}Rl=0;Im=o[Jm+16>>2];if(Im){while(1){if(!bj(a,Nm)){break b}Rl=Rl+1|0;if(Rl>>>0<Im>>>0){continue}break}}o[Jm+4>>2]=0;if(!aj(1,Jm+4|0,o[a>>2])){break b}Mm=o[Jm+4>>2];if(Mm){Pm=0;while(1){Rl=o[Jm+36>>2];Im=o[Jm+40>>2];f:{if(Rl>>>0<Im>>>0){o[Rl+4>>2]=0;o[Rl>>2]=Nm;o[Jm+36>>2]=o[Jm+36>>2]+8;break f}Om=o[Jm+32>>2];Rm=Rl-Om|0;Rl=Rm>>3;Qm=Rl+1|0;if(Qm>>>0>=536870912){break d}Lm=Rl<<3;Km=Im-Om|0;Im=Km>>2;Km=Km>>3>>>0<268435455?Im>>>0<Qm>>>0?Qm:Im:536870911;Rl=0;g:{if(!Km){break g}if(Km>>>0>=536870912){break c}Rl=Hk(Km<<3)}Im=Lm+Rl|0;o[Im+4>>2]=0;o[Im>>2]=Nm;Km=Rl+(Km<<3)|0;Im=Im+8|0;if((Rm|0)>=1){wl(Rl,Om,Rm)}o[Jm+40>>2]=Km;o[Jm+36>>2]=Im;o[Jm+32>>2]=Rl;if(!Om){break f}ul(Om)}Pm=Pm+1|0;if(Pm>>>0<Mm>>>0){continue}break}}Rl=o[Jm+36>>2];Im=o[Jm+32>>2];if((Rl|0)!=(Im|0)){continue}break}a=1;break a}Yk();D()}_a(10796);D()}Im=o[Jm+32>>2];a=0}if(Im){o[Jm+36>>2]=Im;ul(Im)}R=Jm+48|0;return a}function aj(a,Rl,Tm){var Um=0,Vm=0,Wm=0,Xm=0;a:{if(a>>>0>5){break a}Wm=o[Tm+16>>2];Um=o[Tm+12>>2];Vm=o[Tm+20>>2];if((Um|0)<(Vm|0)?1:(Um|0)<=(Vm|0)?r[Tm+8>>2]>Wm>>>0?0:1:0){break a}Um=p[Wm+o[Tm>>2]|0];Wm=Wm+1|0;if(Wm>>>0<1){Vm=Vm+1|0}o[Tm+16>>2]=Wm;o[Tm+20>>2]=Vm;Vm=Rl;if(Um&128){if(!aj(a+1|0,Rl,Tm)){break a}a=o[Rl>>2]<<7;o[Rl>>2]=a;Um=a|Um&127}o[Vm>>2]=Um;Xm=1}return Xm}function bj(a,Rl){var Tm=0,Ym=0,Zm=0,_m=0,$m=0,an=0,bn=0,cn=0,dn=0,en=0;Ym=R-32|0;R=Ym;o[Ym+24>>2]=0;o[Ym+16>>2]=0;o[Ym+20>>2]=0;a:{Zm=o[a>>2];Tm=Zm;$m=o[Tm+16>>2];an=r[Tm+8>>2]>$m>>>0?0:1;_m=o[Tm+12>>2];Tm=o[Tm+20>>2];b:{if((_m|0)<(Tm|0)?1:(_m|0)<=(Tm|0)?an:0){break b}an=p[$m+o[Zm>>2]|0];_m=Tm;Tm=$m+1|0;if(Tm>>>0<1){_m=_m+1|0}o[Zm+16>>2]=Tm;o[Zm+20>>2]=_m;Rk(Ym+16|0,an);if(an){_m=o[a>>2];cn=Vk(Ym+16|0);en=o[_m+12>>2];$m=o[_m+20>>2];dn=o[_m+16>>2];Zm=an;Tm=dn+Zm|0;if(Tm>>>0<Zm>>>0){$m=$m+1|0}if((en|0)<($m|0)?1:(en|0)<=($m|0)?r[_m+8>>2]>=Tm>>>0?0:1:0){break b}wl(cn,dn+o[_m>>2]|0,an);Tm=_m;_m=Tm;$m=o[Tm+20>>2];an=Zm+o[Tm+16>>2]|0;if(an>>>0<Zm>>>0){$m=$m+1|0}o[_m+16>>2]=an;o[Tm+20>>2]=$m}o[Ym+12>>2]=0;Tm=aj(1,Ym+12|0,o[a>>2]);Zm=o[Ym+12>>2];if(!Zm|!Tm){break b}o[Ym+8>>2]=0;o[Ym>>2]=0;o[Ym+4>>2]=0;if((Zm|0)<=-1){break a}bn=Hk(Zm);o[Ym>>2]=bn;o[Ym+4>>2]=bn;o[Ym+8>>2]=Zm+bn;Tm=Zm;while(1){m[bn|0]=0;bn=o[Ym+4>>2]+1|0;o[Ym+4>>2]=bn;Tm=Tm+ -1|0;if(Tm){continue}break}bn=0;Tm=o[a>>2];a=o[Tm+8>>2];dn=o[Tm+12>>2];_m=a;cn=o[Tm+20>>2];$m=o[Tm+16>>2];a=Zm;an=$m+Zm|0;if(an>>>0<Zm>>>0){cn=cn+1|0}if((dn|0)>(cn|0)?1:(dn|0)>=(cn|0)?_m>>>0<an>>>0?0:1:0){wl(o[Ym>>2],$m+o[Tm>>2]|0,Zm);Zm=Tm;an=Tm;_m=o[Tm+20>>2];Tm=a+o[Tm+16>>2]|0;if(Tm>>>0<a>>>0){_m=_m+1|0}o[an+16>>2]=Tm;o[Zm+20>>2]=_m;nj(Rl,Ym+16|0,Ym);bn=1}a=o[Ym>>2];if(!a){break b}o[Ym+4>>2]=a;ul(a)}if(m[Ym+27|0]<=-1){ul(o[Ym+16>>2])}R=Ym+32|0;return bn}Yk();D()}function cj(a,Rl,fn){var gn=0,hn=0,jn=0,kn=0,ln=0;hn=R-16|0;R=hn;a:{b:{if(!fn){break b}o[a>>2]=Rl;o[hn+12>>2]=0;gn=0;if(!aj(1,hn+12|0,Rl)){break a}c:{ln=o[hn+12>>2];if(ln){Rl=0;while(1){if(!aj(1,hn+8|0,o[a>>2])){break b}gn=Hk(28);jn=gn+4|0;o[jn>>2]=0;o[jn+4>>2]=0;kn=gn+16|0;o[kn>>2]=0;o[kn+4>>2]=0;o[gn>>2]=jn;jn=gn+12|0;o[jn>>2]=kn;o[gn+24>>2]=o[hn+8>>2];if(!$i(a,gn)){break c}o[hn>>2]=gn;ej(fn,hn);gn=o[hn>>2];o[hn>>2]=0;if(gn){Fc(gn+12|0,o[gn+16>>2]);Gc(gn,o[gn+4>>2]);ul(gn)}Rl=Rl+1|0;if(Rl>>>0<ln>>>0){continue}break}}gn=$i(a,fn);break a}Fc(jn,o[gn+16>>2]);Gc(gn,o[gn+4>>2]);ul(gn)}gn=0}R=hn+16|0;return gn}function dj(a,Rl,fn){var mn=0,nn=0,on=0,pn=0,qn=0,rn=0,sn=0,tn=0,un=0,vn=0,wn=0,xn=0;mn=R-16|0;R=mn;pn=o[a+24>>2];un=o[a+28>>2];a:{if((pn|0)!=(un|0)){wn=mn+8|0;xn=fn+4|0;while(1){o[wn>>2]=0;o[mn>>2]=0;o[mn+4>>2]=0;a=mj(o[pn>>2],Rl,mn);qn=p[mn+11|0];tn=qn<<24>>24;b:{c:{d:{if(!a){a=3;break d}a=0;nn=p[fn+11|0];on=nn<<24>>24;sn=(tn|0)<0?o[mn+4>>2]:qn;if((sn|0)!=(((on|0)<0?o[xn>>2]:nn)|0)){break d}rn=(on|0)<0?o[fn>>2]:fn;on=o[mn>>2];nn=(tn|0)<0;e:{if(!nn){if(!sn){break e}nn=mn;if(p[rn|0]!=(on&255)){break d}while(1){qn=qn+ -1|0;if(!qn){break e}on=p[rn+1|0];rn=rn+1|0;nn=nn+1|0;if((on|0)==p[nn|0]){continue}break}break d}if(!sn){break e}if(Zj(nn?on:mn,rn,sn)){break c}}vn=o[pn>>2];a=1}if((tn|0)>-1){break b}}ul(o[mn>>2])}if(a>>>0>3){break a}f:{switch(a-1|0){case 0:case 1:break a;default:break f}}pn=pn+4|0;if((un|0)!=(pn|0)){continue}break}}vn=0}R=mn+16|0;return vn}function ej(a,Rl){var fn=0,yn=0,zn=0;yn=o[Rl>>2];if(!yn){return}fn=a+28|0;zn=o[fn>>2];if(zn>>>0<r[a+32>>2]){o[Rl>>2]=0;o[zn>>2]=yn;o[fn>>2]=o[fn>>2]+4;return}fj(a+24|0,Rl)}function fj(a,Rl){var An=0,Bn=0,Cn=0,Dn=0,En=0;a:{b:{c:{Cn=o[a>>2];Dn=o[a+4>>2]-Cn>>2;An=Dn+1|0;if(An>>>0<1073741824){Cn=o[a+8>>2]-Cn|0;En=Cn>>1;An=Cn>>2>>>0<536870911?En>>>0<An>>>0?An:En:1073741823;if(An){if(An>>>0>=1073741824){break c}Bn=Hk(An<<2)}Cn=o[Rl>>2];o[Rl>>2]=0;Rl=(Dn<<2)+Bn|0;o[Rl>>2]=Cn;Cn=(An<<2)+Bn|0;Dn=Rl+4|0;An=o[a+4>>2];Bn=o[a>>2];if((An|0)==(Bn|0)){break b}while(1){An=An+ -4|0;En=o[An>>2];o[An>>2]=0;Rl=Rl+ -4|0;o[Rl>>2]=En;if((An|0)!=(Bn|0)){continue}break}Bn=o[a+4>>2];An=o[a>>2];break a}Yk();D()}_a(10864);D()}An=Bn}o[a>>2]=Rl;o[a+8>>2]=Cn;o[a+4>>2]=Dn;if((An|0)!=(Bn|0)){while(1){Bn=Bn+ -4|0;a=o[Bn>>2];o[Bn>>2]=0;if(a){Fc(a+12|0,o[a+16>>2]);Gc(a,o[a+4>>2]);ul(a)}if((An|0)!=(Bn|0)){continue}break}}if(An){ul(An)}}function gj(a,Rl,Fn,Gn){var Hn=0,In=0,Jn=0,Kn=0;Hn=R-16|0;R=Hn;Kn=a;In=Zf(Rl,Hn+12|0,Fn);Fn=o[In>>2];if(Fn){Rl=0}else{Fn=Hk(32);Mk(Fn+16|0,o[Gn>>2]);o[Fn+28>>2]=0;o[Fn+8>>2]=o[Hn+12>>2];o[Fn>>2]=0;o[Fn+4>>2]=0;o[In>>2]=Fn;Gn=Fn;Jn=o[o[Rl>>2]>>2];if(Jn){o[Rl>>2]=Jn;Gn=o[In>>2]}Xf(o[Rl+4>>2],Gn);Rl=Rl+8|0;o[Rl>>2]=o[Rl>>2]+1;Rl=1}m[Kn+4|0]=Rl;o[a>>2]=Fn;R=Hn+16|0}function hj(a,Rl){var Fn=0,Gn=0,Ln=0;Fn=o[Rl+4>>2];a:{if(!Fn){Gn=o[Rl+8>>2];if(o[Gn>>2]==(Rl|0)){break a}Ln=Rl+8|0;while(1){Fn=o[Ln>>2];Ln=Fn+8|0;Gn=o[Fn+8>>2];if((Fn|0)!=o[Gn>>2]){continue}break}break a}while(1){Gn=Fn;Fn=o[Fn>>2];if(Fn){continue}break}}if(o[a>>2]==(Rl|0)){o[a>>2]=Gn}Gn=a+8|0;o[Gn>>2]=o[Gn>>2]+ -1;pj(o[a+4>>2],Rl);a=o[Rl+28>>2];if(a){o[Rl+32>>2]=a;ul(a)}if(m[Rl+27|0]<=-1){ul(o[Rl+16>>2])}ul(Rl)}function ij(a,Rl,Mn){var Nn=0,On=0,Pn=0,Qn=0,Rn=0;Nn=Hk(40);m[a+8|0]=0;o[a+4>>2]=Rl+4;o[a>>2]=Nn;Rl=Mn+8|0;o[Nn+24>>2]=o[Rl>>2];On=o[Mn+4>>2];o[Nn+16>>2]=o[Mn>>2];o[Nn+20>>2]=On;o[Mn>>2]=0;o[Mn+4>>2]=0;o[Rl>>2]=0;o[Nn+36>>2]=0;o[Nn+28>>2]=0;o[Nn+32>>2]=0;Pn=Mn+16|0;On=o[Pn>>2];Rl=o[Mn+12>>2];Qn=On-Rl|0;if(Qn){Rl=Nn+28|0;Fa(Rl,Qn);On=o[Pn>>2];Rn=o[Rl>>2];Rl=o[Mn+12>>2]}wl(Rn,Rl,On-Rl|0);m[a+8|0]=1}function jj(a,Rl,Mn){var Sn=0;Sn=a+4|0;a=xi(a,Rl);a:{if((Sn|0)==(a|0)){break a}Rl=o[a+32>>2];a=o[a+28>>2];if((Rl-a|0)!=4){break a}o[Mn>>2]=p[a|0]|p[a+1|0]<<8|(p[a+2|0]<<16|p[a+3|0]<<24)}}function kj(a,Rl,Mn){var Tn=0,Un=0,Vn=0,Wn=0;a:{Rl=xi(a,Rl);b:{if((Rl|0)==(a+4|0)){break b}a=o[Rl+28>>2];Tn=o[Rl+32>>2];if((a|0)==(Tn|0)){break b}a=Tn-a|0;if(a&3){break b}Tn=a>>>2;Wn=Mn+4|0;Un=o[Wn>>2];a=o[Mn>>2];Vn=Un-a>>2;c:{if(Tn>>>0>Vn>>>0){Da(Mn,Tn-Vn|0);Un=o[Wn>>2];a=o[Mn>>2];break c}if(Tn>>>0>=Vn>>>0){break c}Un=(Tn<<2)+a|0;o[Mn+4>>2]=Un}if((a|0)==(Un|0)){break a}Mn=a;a=o[Rl+28>>2];wl(Mn,a,o[Rl+32>>2]-a|0)}return}Zk();D()}function lj(a,Rl,Mn){var Xn=0;Xn=a+4|0;a=xi(a,Rl);a:{if((Xn|0)==(a|0)){break a}Rl=o[a+32>>2];a=o[a+28>>2];if((Rl-a|0)!=8){break a}Rl=p[a+4|0]|p[a+5|0]<<8|(p[a+6|0]<<16|p[a+7|0]<<24);o[Mn>>2]=p[a|0]|p[a+1|0]<<8|(p[a+2|0]<<16|p[a+3|0]<<24);o[Mn+4>>2]=Rl}}function mj(a,Rl,Mn){var Yn=0,Zn=0,_n=0;Yn=a+4|0;a=xi(a,Rl);a:{if((Yn|0)==(a|0)){break a}Rl=a+32|0;Yn=o[Rl>>2];Zn=o[a+28>>2];if((Yn|0)==(Zn|0)){break a}Rk(Mn,Yn-Zn|0);Mn=Vk(Mn);a=o[a+28>>2];wl(Mn,a,o[Rl>>2]-a|0);_n=1}return _n}function nj(a,Rl,Mn){var $n=0,ao=0,bo=0,co=0;$n=R+ -64|0;R=$n;ao=xi(a,Rl);if((ao|0)!=(a+4|0)){hj(a,ao)}ao=0;o[$n+16>>2]=0;o[$n+8>>2]=0;o[$n+12>>2]=0;co=o[Mn>>2];bo=o[Mn+4>>2]-co|0;if(bo){Fa($n+8|0,bo);co=o[Mn>>2];Mn=o[$n+8>>2]}else{Mn=0}wl(Mn,co,bo);co=Mk($n+24|0,Rl);o[$n+44>>2]=0;o[$n+36>>2]=0;o[$n+40>>2]=0;Rl=o[$n+12>>2];Mn=o[$n+8>>2];bo=Rl-Mn|0;if(bo){Fa($n+36|0,bo);Mn=o[$n+8>>2];ao=o[$n+36>>2];Rl=o[$n+12>>2]}wl(ao,Mn,Rl-Mn|0);Rl=Zf(a,$n+60|0,co);if(!o[Rl>>2]){ij($n+48|0,a,$n+24|0);Mn=o[$n+48>>2];o[Mn+8>>2]=o[$n+60>>2];o[Mn>>2]=0;o[Mn+4>>2]=0;o[Rl>>2]=Mn;ao=o[o[a>>2]>>2];if(ao){o[a>>2]=ao;Mn=o[Rl>>2]}Xf(o[a+4>>2],Mn);a=a+8|0;o[a>>2]=o[a>>2]+1}a=o[$n+36>>2];if(a){o[$n+40>>2]=a;ul(a)}if(m[$n+35|0]<=-1){ul(o[$n+24>>2])}a=o[$n+8>>2];if(a){o[$n+12>>2]=a;ul(a)}R=$n- -64|0}function oj(a,Rl,Mn){var eo=0,fo=0;eo=R-32|0;R=eo;fo=a+12|0;a:{if((xi(fo,Rl)|0)!=(a+16|0)){break a}o[eo+16>>2]=Rl;gj(eo+24|0,fo,Rl,eo+16|0);a=o[eo+24>>2];Rl=o[Mn>>2];o[Mn>>2]=0;Mn=a+28|0;a=o[Mn>>2];o[Mn>>2]=Rl;if(!a){break a}Fc(a+12|0,o[a+16>>2]);Gc(a,o[a+4>>2]);ul(a)}R=eo+32|0}function pj(a,Rl){var Mn=0,go=0,ho=0,io=0,jo=0,ko=0;a:{b:{go=Rl;ho=o[Rl>>2];if(ho){Mn=o[Rl+4>>2];if(!Mn){break b}while(1){go=Mn;Mn=o[Mn>>2];if(Mn){continue}break}}ho=o[go+4>>2];if(ho){break b}ho=0;jo=0;break a}o[ho+8>>2]=o[go+8>>2];jo=1}io=o[go+8>>2];Mn=o[io>>2];c:{if((Mn|0)==(go|0)){o[io>>2]=ho;if((a|0)==(go|0)){Mn=0;a=ho;break c}Mn=o[io+4>>2];break c}o[io+4>>2]=ho}d:{e:{f:{ko=!p[go+12|0];if((Rl|0)!=(go|0)){io=o[Rl+8>>2];o[go+8>>2]=io;o[io+((o[o[Rl+8>>2]>>2]!=(Rl|0))<<2)>>2]=go;io=o[Rl>>2];o[go>>2]=io;o[io+8>>2]=go;io=o[Rl+4>>2];o[go+4>>2]=io;if(io){o[io+8>>2]=go}m[go+12|0]=p[Rl+12|0];a=(a|0)==(Rl|0)?go:a}if(!(ko|!a)){if(!jo){while(1){Rl=p[Mn+12|0];g:{ho=o[Mn+8>>2];if(o[ho>>2]!=(Mn|0)){if(!Rl){m[Mn+12|0]=1;m[ho+12|0]=0;Rl=ho+4|0;jo=o[Rl>>2];go=o[jo>>2];o[Rl>>2]=go;if(go){o[go+8>>2]=ho}o[jo+8>>2]=o[ho+8>>2];Rl=o[ho+8>>2];o[((ho|0)==o[Rl>>2]?Rl:Rl+4|0)>>2]=jo;o[jo>>2]=ho;o[ho+8>>2]=jo;Rl=o[Mn>>2];a=(Rl|0)==(a|0)?Mn:a;Mn=o[Rl+4>>2]}go=o[Mn>>2];if(!(p[go+12|0]?0:go)){Rl=o[Mn+4>>2];if(p[Rl+12|0]?0:Rl){break f}m[Mn+12|0]=0;Mn=o[Mn+8>>2];h:{if((Mn|0)==(a|0)){Mn=a;break h}if(p[Mn+12|0]){break g}}m[Mn+12|0]=1;return}Rl=o[Mn+4>>2];if(Rl){break f}break e}i:{if(Rl){Rl=Mn;break i}m[Mn+12|0]=1;m[ho+12|0]=0;Rl=o[Mn+4>>2];o[ho>>2]=Rl;if(Rl){o[Rl+8>>2]=ho}o[Mn+8>>2]=o[ho+8>>2];go=o[ho+8>>2];j:{if((ho|0)==o[go>>2]){o[go>>2]=Mn;Rl=o[ho>>2];break j}o[go+4>>2]=Mn}o[Mn+4>>2]=ho;o[ho+8>>2]=Mn;a=(a|0)==(ho|0)?Mn:a}go=o[Rl>>2];k:{if(!(!go|p[go+12|0])){Mn=Rl;break k}Mn=o[Rl+4>>2];if(!(p[Mn+12|0]?0:Mn)){m[Rl+12|0]=0;Mn=o[Rl+8>>2];if(p[Mn+12|0]?(Mn|0)!=(a|0):0){break g}m[Mn+12|0]=1;return}if(go){if(!p[go+12|0]){Mn=Rl;break k}Mn=o[Rl+4>>2]}m[Mn+12|0]=1;m[Rl+12|0]=0;a=o[Mn>>2];o[Rl+4>>2]=a;if(a){o[a+8>>2]=Rl}o[Mn+8>>2]=o[Rl+8>>2];a=o[Rl+8>>2];o[(o[a>>2]==(Rl|0)?a:a+4|0)>>2]=Mn;o[Mn>>2]=Rl;o[Rl+8>>2]=Mn;go=Rl}a=Mn;Mn=o[Mn+8>>2];m[a+12|0]=p[Mn+12|0];m[Mn+12|0]=1;m[go+12|0]=1;Rl=o[Mn>>2];a=o[Rl+4>>2];o[Mn>>2]=a;if(a){o[a+8>>2]=Mn}o[Rl+8>>2]=o[Mn+8>>2];a=o[Mn+8>>2];o[((Mn|0)==o[a>>2]?a:a+4|0)>>2]=Rl;o[Rl+4>>2]=Mn;o[Mn+8>>2]=Rl;return}Rl=o[Mn+8>>2];Mn=o[(o[Rl>>2]==(Mn|0)?Rl+4|0:Rl)>>2];continue}}m[ho+12|0]=1}return}if(p[Rl+12|0]){break e}go=Mn;break d}m[go+12|0]=1;m[Mn+12|0]=0;a=o[go+4>>2];o[Mn>>2]=a;if(a){o[a+8>>2]=Mn}o[go+8>>2]=o[Mn+8>>2];a=o[Mn+8>>2];o[(o[a>>2]==(Mn|0)?a:a+4|0)>>2]=go;o[go+4>>2]=Mn;o[Mn+8>>2]=go;Rl=Mn}Mn=o[go+8>>2];m[go+12|0]=p[Mn+12|0];m[Mn+12|0]=1;m[Rl+12|0]=1;Rl=o[Mn+4>>2];a=o[Rl>>2];o[Mn+4>>2]=a;if(a){o[a+8>>2]=Mn}o[Rl+8>>2]=o[Mn+8>>2];a=o[Mn+8>>2];o[((Mn|0)==o[a>>2]?a:a+4|0)>>2]=Rl;o[Rl>>2]=Mn;o[Mn+8>>2]=Rl}function qj(a){o[a>>2]=10944;xl(a+4|0,0,80);return a}function rj(a,Rl){var lo=0;lo=-1;a:{if((Rl|0)==-1|(Rl|0)>4){break a}Rl=u(Rl,12)+a|0;a=o[Rl+20>>2];if((o[Rl+24>>2]-a|0)<1){break a}lo=o[a>>2]}return lo}function sj(a){var Rl=0,mo=0;Rl=o[a+20>>2];a:{if((o[a+24>>2]-Rl|0)<1){break a}Rl=o[Rl>>2];if((Rl|0)==-1){break a}mo=o[o[a+8>>2]+(Rl<<2)>>2]}return mo}function tj(a,no){var oo=0,po=0,qo=0;oo=o[a+8>>2];a=o[a+12>>2];a:{if((oo|0)==(a|0)){break a}qo=a-oo>>2;a=0;while(1){po=o[(a<<2)+oo>>2];if(o[po+60>>2]==(no|0)){break a}a=a+1|0;if(a>>>0<qo>>>0){continue}break}po=0}return po}function uj(a,no){var ro=0,so=0;ro=o[a+8>>2];a=o[a+12>>2];if((ro|0)!=(a|0)){so=a-ro>>2;a=0;while(1){if(o[o[(a<<2)+ro>>2]+60>>2]==(no|0)){return a}a=a+1|0;if(a>>>0<so>>>0){continue}break}}return-1}function vj(a,no){var to=0,uo=0,vo=0,wo=0,xo=0;to=R-16|0;R=to;uo=a+12|0;vo=o[uo>>2];wo=o[a+8>>2];xo=o[no>>2];o[no>>2]=0;o[to+8>>2]=xo;l[o[o[a>>2]+8>>2]](a,vo-wo>>2,to+8|0);no=o[to+8>>2];o[to+8>>2]=0;if(no){Fb(no)}R=to+16|0;return(o[uo>>2]-o[a+8>>2]>>2)+ -1|0}function wj(a,no,yo){a=a|0;no=no|0;yo=yo|0;var zo=0,Ao=0,Bo=0,Co=0,Do=0,Eo=0;Co=R-16|0;R=Co;o[Co+12>>2]=no;Do=a+8|0;zo=o[a+12>>2];Eo=o[a+8>>2];Ao=zo-Eo>>2;a:{if((Ao|0)>(no|0)){break a}Bo=no+1|0;if(Bo>>>0>Ao>>>0){xj(Do,Bo-Ao|0);break a}if(Bo>>>0>=Ao>>>0){break a}Ao=Eo+(Bo<<2)|0;if((Ao|0)!=(zo|0)){while(1){zo=zo+ -4|0;Bo=o[zo>>2];o[zo>>2]=0;if(Bo){Fb(Bo)}if((zo|0)!=(Ao|0)){continue}break}}o[a+12>>2]=Ao}zo=o[o[yo>>2]+56>>2];b:{if((zo|0)>4){break b}zo=u(zo,12)+a|0;Ao=zo+24|0;a=o[Ao>>2];if((a|0)!=o[zo+28>>2]){o[a>>2]=no;o[Ao>>2]=a+4;break b}yj(zo+20|0,Co+12|0)}no=o[yo>>2];a=o[Co+12>>2];o[no+60>>2]=a;zo=o[Do>>2];o[yo>>2]=0;yo=zo+(a<<2)|0;a=o[yo>>2];o[yo>>2]=no;if(a){Fb(a)}R=Co+16|0}function xj(a,no){var yo=0,Fo=0,Go=0,Ho=0,Io=0,Jo=0,Ko=0,Lo=0,Mo=0;Fo=o[a+8>>2];Go=a+4|0;yo=o[Go>>2];if(Fo-yo>>2>>>0>=no>>>0){a=no<<2;Lo=Go,Mo=xl(yo,0,a)+a|0,o[Lo>>2]=Mo;return}a:{Go=o[a>>2];Ho=yo-Go>>2;Io=Ho+no|0;if(Io>>>0<1073741824){Ho=Ho<<2;Fo=Fo-Go|0;Ko=Fo>>1;Fo=Fo>>2>>>0<536870911?Ko>>>0<Io>>>0?Io:Ko:1073741823;if(Fo){if(Fo>>>0>=1073741824){break a}Jo=Hk(Fo<<2)}Ho=Ho+Jo|0;xl(Ho,0,no<<2);no=(Io<<2)+Jo|0;Io=(Fo<<2)+Jo|0;if((yo|0)!=(Go|0)){while(1){yo=yo+ -4|0;Fo=o[yo>>2];o[yo>>2]=0;Ho=Ho+ -4|0;o[Ho>>2]=Fo;if((yo|0)!=(Go|0)){continue}break}Go=o[a>>2];yo=o[a+4>>2]}o[a>>2]=Ho;o[a+8>>2]=Io;o[a+4>>2]=no;if((yo|0)!=(Go|0)){while(1){yo=yo+ -4|0;a=o[yo>>2];o[yo>>2]=0;if(a){Fb(a)}if((yo|0)!=(Go|0)){continue}break}}if(Go){ul(Go)}return}Yk();D()}_a(10992);D()}function yj(a,no){var No=0,Oo=0,Po=0,Qo=0,Ro=0,So=0;a:{Po=o[a>>2];Ro=o[a+4>>2]-Po|0;No=Ro>>2;Oo=No+1|0;if(Oo>>>0<1073741824){So=No<<2;No=o[a+8>>2]-Po|0;Qo=No>>1;Oo=No>>2>>>0<536870911?Qo>>>0<Oo>>>0?Oo:Qo:1073741823;No=0;b:{if(!Oo){break b}if(Oo>>>0>=1073741824){break a}No=Hk(Oo<<2)}Qo=So+No|0;o[Qo>>2]=o[no>>2];no=No+(Oo<<2)|0;Oo=Qo+4|0;if((Ro|0)>=1){wl(No,Po,Ro)}o[a>>2]=No;o[a+8>>2]=no;o[a+4>>2]=Oo;if(Po){ul(Po)}return}Yk();D()}_a(10992);D()}function zj(a,no){a=a|0;no=no|0;var To=0,Uo=0,Vo=0,Wo=0,Xo=0,Yo=0,Zo=0;a:{if((no|0)<0){break a}To=o[a+12>>2];Uo=o[a+8>>2];if(To-Uo>>2>>>0<=no>>>0){break a}Uo=Uo+(no<<2)|0;Vo=o[Uo>>2];Yo=o[Vo+60>>2];Wo=o[Vo+56>>2];Vo=Uo+4|0;b:{if((Vo|0)!=(To|0)){while(1){Zo=o[Vo>>2];o[Vo>>2]=0;Xo=o[Uo>>2];o[Uo>>2]=Zo;if(Xo){Fb(Xo)}Uo=Uo+4|0;Vo=Vo+4|0;if((Vo|0)!=(To|0)){continue}break}To=o[a+12>>2];if((Uo|0)==(To|0)){break b}}while(1){To=To+ -4|0;Vo=o[To>>2];o[To>>2]=0;if(Vo){Fb(Vo)}if((To|0)!=(Uo|0)){continue}break}}o[a+12>>2]=Uo;To=o[a+4>>2];if(To){Aj(To,Yo)}c:{if((Wo|0)>4){break c}d:{Uo=u(Wo,12)+a|0;To=o[Uo+20>>2];Vo=Uo+24|0;Uo=o[Vo>>2];if((To|0)==(Uo|0)){break d}while(1){if(o[To>>2]==(no|0)){break d}To=To+4|0;if((Uo|0)!=(To|0)){continue}break}break c}if((To|0)==(Uo|0)){break c}Wo=To+4|0;Uo=Uo-Wo|0;Xo=Uo>>2;if(Uo){yl(To,Wo,Uo)}o[Vo>>2]=(Xo<<2)+To}To=o[a+24>>2];Uo=o[a+20>>2];if((To|0)!=(Uo|0)){Vo=To-Uo>>2;To=0;while(1){Wo=Uo+(To<<2)|0;Xo=o[Wo>>2];if((Xo|0)>(no|0)){o[Wo>>2]=Xo+ -1}To=To+1|0;if(To>>>0<Vo>>>0){continue}break}}To=o[a+36>>2];Uo=o[a+32>>2];if((To|0)!=(Uo|0)){Vo=To-Uo>>2;To=0;while(1){Wo=Uo+(To<<2)|0;Xo=o[Wo>>2];if((Xo|0)>(no|0)){o[Wo>>2]=Xo+ -1}To=To+1|0;if(To>>>0<Vo>>>0){continue}break}}To=o[a+48>>2];Uo=o[a+44>>2];if((To|0)!=(Uo|0)){Vo=To-Uo>>2;To=0;while(1){Wo=Uo+(To<<2)|0;Xo=o[Wo>>2];if((Xo|0)>(no|0)){o[Wo>>2]=Xo+ -1}To=To+1|0;if(To>>>0<Vo>>>0){continue}break}}To=o[a+60>>2];Uo=o[a+56>>2];if((To|0)!=(Uo|0)){Vo=To-Uo>>2;To=0;while(1){Wo=Uo+(To<<2)|0;Xo=o[Wo>>2];if((Xo|0)>(no|0)){o[Wo>>2]=Xo+ -1}To=To+1|0;if(To>>>0<Vo>>>0){continue}break}}To=o[a+72>>2];a=o[a+68>>2];if((To|0)==(a|0)){break a}Uo=To-a>>2;To=0;while(1){Vo=a+(To<<2)|0;Wo=o[Vo>>2];if((Wo|0)>(no|0)){o[Vo>>2]=Wo+ -1}To=To+1|0;if(To>>>0<Uo>>>0){continue}break}}}function Aj(a,no){var _o=0,$o=0,ap=0,bp=0;a:{if((no|0)<0){break a}_o=o[a+28>>2];ap=o[a+24>>2];while(1){$o=ap;if((_o|0)==($o|0)){break a}ap=$o+4|0;if(o[o[$o>>2]+24>>2]!=(no|0)){continue}break}b:{if((_o|0)!=(ap|0)){while(1){no=o[ap>>2];o[ap>>2]=0;bp=o[$o>>2];o[$o>>2]=no;if(bp){Fc(bp+12|0,o[bp+16>>2]);Gc(bp,o[bp+4>>2]);ul(bp)}$o=$o+4|0;ap=ap+4|0;if((_o|0)!=(ap|0)){continue}break}_o=o[a+28>>2];if((_o|0)==($o|0)){break b}}while(1){_o=_o+ -4|0;no=o[_o>>2];o[_o>>2]=0;if(no){Fc(no+12|0,o[no+16>>2]);Gc(no,o[no+4>>2]);ul(no)}if(($o|0)!=(_o|0)){continue}break}}o[a+28>>2]=$o}}function Bj(a){a=a|0;ul(Mi(a))}function Cj(a){a=a|0}function Dj(a){var no=0;no=p[a+74|0];m[a+74|0]=no+ -1|no;no=o[a>>2];if(no&8){o[a>>2]=no|32;return-1}o[a+4>>2]=0;o[a+8>>2]=0;no=o[a+44>>2];o[a+28>>2]=no;o[a+20>>2]=no;o[a+16>>2]=no+o[a+48>>2];return 0}function Ej(a,cp,dp){var ep=0,fp=0,gp=0;ep=o[dp+16>>2];a:{if(!ep){if(Dj(dp)){break a}ep=o[dp+16>>2]}gp=o[dp+20>>2];if(ep-gp>>>0<cp>>>0){l[o[dp+36>>2]](dp,a,cp)|0;return}b:{if(m[dp+75|0]<0){break b}ep=cp;while(1){fp=ep;if(!fp){break b}ep=fp+ -1|0;if(p[ep+a|0]!=10){continue}break}if(l[o[dp+36>>2]](dp,a,fp)>>>0<fp>>>0){break a}cp=cp-fp|0;a=a+fp|0;gp=o[dp+20>>2]}wl(gp,a,cp);o[dp+20>>2]=o[dp+20>>2]+cp}}function Fj(a,cp,dp){var hp=0,ip=0,jp=0,kp=0;hp=R-208|0;R=hp;o[hp+204>>2]=dp;dp=0;xl(hp+160|0,0,40);o[hp+200>>2]=o[hp+204>>2];a:{if((Gj(0,cp,hp+200|0,hp+80|0,hp+160|0)|0)<0){cp=-1;break a}dp=o[a+76>>2]>=0?1:dp;ip=o[a>>2];if(m[a+74|0]<=0){o[a>>2]=ip&-33}kp=ip&32;b:{if(o[a+48>>2]){cp=Gj(a,cp,hp+200|0,hp+80|0,hp+160|0);break b}o[a+48>>2]=80;o[a+16>>2]=hp+80;o[a+28>>2]=hp;o[a+20>>2]=hp;ip=o[a+44>>2];o[a+44>>2]=hp;jp=Gj(a,cp,hp+200|0,hp+80|0,hp+160|0);cp=jp;if(!ip){break b}l[o[a+36>>2]](a,0,0)|0;o[a+48>>2]=0;o[a+44>>2]=ip;o[a+28>>2]=0;o[a+16>>2]=0;cp=o[a+20>>2];o[a+20>>2]=0;cp=cp?jp:-1}jp=a;a=o[a>>2];o[jp>>2]=a|kp;cp=a&32?-1:cp;if(!dp){break a}}R=hp+208|0;return cp}function Gj(a,cp,dp,lp,mp){var np=0,op=0,pp=0,qp=0,rp=0,sp=0,tp=0,up=0,vp=0,wp=0,xp=0,yp=0,zp=0,Ap=0,Bp=0;np=R-80|0;R=np;o[np+76>>2]=cp;Bp=np+55|0;yp=np+56|0;cp=0;a:{b:while(1){c:{if((vp|0)<0){break c}if((cp|0)>(2147483647-vp|0)){o[3269]=61;vp=-1;break c}vp=cp+vp|0}d:{e:{f:{g:{h:{i:{j:{k:{l:{m:{n:{o:{p:{q:{rp=o[np+76>>2];cp=rp;qp=p[cp|0];if(qp){while(1){r:{s:{op=qp&255;t:{if(!op){qp=cp;break t}if((op|0)!=37){break s}qp=cp;while(1){if(p[cp+1|0]!=37){break t}op=cp+2|0;o[np+76>>2]=op;qp=qp+1|0;pp=p[cp+2|0];cp=op;if((pp|0)==37){continue}break}}cp=qp-rp|0;if(a){Hj(a,rp,cp)}if(cp){continue b}wp=-1;qp=1;op=np;sp=!Uj(m[o[np+76>>2]+1|0]);cp=o[np+76>>2];if(!(sp|p[cp+2|0]!=36)){wp=m[cp+1|0]+ -48|0;zp=1;qp=3}cp=qp+cp|0;o[op+76>>2]=cp;qp=0;xp=m[cp|0];pp=xp+ -32|0;u:{if(pp>>>0>31){op=cp;break u}op=cp;pp=1<<pp;if(!(pp&75913)){break u}while(1){op=cp+1|0;o[np+76>>2]=op;qp=pp|qp;xp=m[cp+1|0];pp=xp+ -32|0;if(pp>>>0>31){break u}cp=op;pp=1<<pp;if(pp&75913){continue}break}}v:{if((xp|0)==42){sp=np;w:{x:{if(!Uj(m[op+1|0])){break x}cp=o[np+76>>2];if(p[cp+2|0]!=36){break x}o[((m[cp+1|0]<<2)+mp|0)+ -192>>2]=10;tp=o[((m[cp+1|0]<<3)+lp|0)+ -384>>2];zp=1;cp=cp+3|0;break w}if(zp){break q}zp=0;tp=0;if(a){cp=o[dp>>2];o[dp>>2]=cp+4;tp=o[cp>>2]}cp=o[np+76>>2]+1|0}o[sp+76>>2]=cp;if((tp|0)>-1){break v}tp=0-tp|0;qp=qp|8192;break v}tp=Ij(np+76|0);if((tp|0)<0){break q}cp=o[np+76>>2]}pp=-1;y:{if(p[cp|0]!=46){break y}if(p[cp+1|0]==42){z:{if(!Uj(m[cp+2|0])){break z}cp=o[np+76>>2];if(p[cp+3|0]!=36){break z}o[((m[cp+2|0]<<2)+mp|0)+ -192>>2]=10;pp=o[((m[cp+2|0]<<3)+lp|0)+ -384>>2];cp=cp+4|0;o[np+76>>2]=cp;break y}if(zp){break q}if(a){cp=o[dp>>2];o[dp>>2]=cp+4;pp=o[cp>>2]}else{pp=0}cp=o[np+76>>2]+2|0;o[np+76>>2]=cp;break y}o[np+76>>2]=cp+1;pp=Ij(np+76|0);cp=o[np+76>>2]}op=0;while(1){Ap=op;up=-1;if(m[cp|0]+ -65>>>0>57){break a}xp=cp+1|0;o[np+76>>2]=xp;op=m[cp|0];cp=xp;op=p[(op+u(Ap,58)|0)+11023|0];if(op+ -1>>>0<8){continue}break}if(!op){break a}A:{B:{C:{if((op|0)==19){if((wp|0)<=-1){break C}break a}if((wp|0)<0){break B}o[(wp<<2)+mp>>2]=op;cp=(wp<<3)+lp|0;op=o[cp+4>>2];o[np+64>>2]=o[cp>>2];o[np+68>>2]=op}cp=0;if(!a){continue b}break A}if(!a){break d}Jj(np- -64|0,op,dp);xp=o[np+76>>2]}sp=qp&-65537;qp=qp&8192?sp:qp;up=0;wp=11060;op=yp;cp=m[xp+ -1|0];cp=Ap?(cp&15)==3?cp&-33:cp:cp;xp=cp+ -88|0;if(xp>>>0<=32){break r}D:{E:{F:{G:{sp=cp+ -65|0;if(sp>>>0>6){if((cp|0)!=83){break e}if(!pp){break G}op=o[np+64>>2];break E}switch(sp-1|0){case 1:break F;case 0:case 2:break e;default:break p}}cp=0;Kj(a,32,tp,0,qp);break D}o[np+12>>2]=0;o[np+8>>2]=o[np+64>>2];o[np+64>>2]=np+8;pp=-1;op=np+8|0}cp=0;H:{while(1){rp=o[op>>2];if(!rp){break H}rp=Vj(np+4|0,rp);sp=(rp|0)<0;if(!(sp|rp>>>0>pp-cp>>>0)){op=op+4|0;cp=cp+rp|0;if(pp>>>0>cp>>>0){continue}break H}break}up=-1;if(sp){break a}}Kj(a,32,tp,cp,qp);if(!cp){cp=0;break D}pp=0;op=o[np+64>>2];while(1){rp=o[op>>2];if(!rp){break D}rp=Vj(np+4|0,rp);pp=rp+pp|0;if((pp|0)>(cp|0)){break D}Hj(a,np+4|0,rp);op=op+4|0;if(pp>>>0<cp>>>0){continue}break}}Kj(a,32,tp,cp,qp^8192);cp=(tp|0)>(cp|0)?tp:cp;continue b}op=cp+1|0;o[np+76>>2]=op;qp=p[cp+1|0];cp=op;continue}break}switch(xp-1|0){case 21:break i;case 23:break k;case 22:break l;case 11:case 16:break m;case 10:break n;case 26:break o;case 8:case 12:case 13:case 14:break p;case 0:case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 9:case 15:case 17:case 18:case 19:case 20:case 24:case 25:case 27:case 29:case 30:break e;case 28:break h;default:break j}}up=vp;if(a){break a}if(!zp){break d}cp=1;while(1){a=o[(cp<<2)+mp>>2];if(a){Jj((cp<<3)+lp|0,a,dp);up=1;cp=cp+1|0;if((cp|0)!=10){continue}break a}break}up=1;if(cp>>>0>=10){break a}while(1){if(o[(cp<<2)+mp>>2]){break q}a=cp>>>0>8;cp=cp+1|0;if(!a){continue}break}break a}up=-1;break a}cp=l[269](a,t[np+64>>3],tp,pp,qp,cp)|0;continue}cp=o[np+64>>2];rp=cp?cp:11070;cp=$j(rp,pp);op=cp?cp:pp+rp|0;qp=sp;pp=cp?cp-rp|0:pp;break e}m[np+55|0]=o[np+64>>2];pp=1;rp=Bp;qp=sp;break e}sp=o[np+68>>2];cp=sp;rp=o[np+64>>2];if((cp|0)<-1?1:(cp|0)<=-1?rp>>>0>4294967295?0:1:0){cp=0-(cp+(0<rp>>>0)|0)|0;rp=0-rp|0;o[np+64>>2]=rp;o[np+68>>2]=cp;up=1;wp=11060;break g}if(qp&2048){up=1;wp=11061;break g}up=qp&1;wp=up?11062:11060;break g}rp=Lj(o[np+64>>2],o[np+68>>2],yp);if(!(qp&8)){break f}cp=yp-rp|0;pp=(pp|0)>(cp|0)?pp:cp+1|0;break f}pp=pp>>>0>8?pp:8;qp=qp|8;cp=120}rp=Mj(o[np+64>>2],o[np+68>>2],yp,cp&32);if(!(qp&8)|!(o[np+64>>2]|o[np+68>>2])){break f}wp=(cp>>>4)+11060|0;up=2;break f}cp=0;op=Ap&255;if(op>>>0>7){continue}I:{switch(op-1|0){default:o[o[np+64>>2]>>2]=vp;continue;case 0:o[o[np+64>>2]>>2]=vp;continue;case 1:op=o[np+64>>2];o[op>>2]=vp;o[op+4>>2]=vp>>31;continue;case 2:n[o[np+64>>2]>>1]=vp;continue;case 3:m[o[np+64>>2]]=vp;continue;case 5:o[o[np+64>>2]>>2]=vp;continue;case 4:continue;case 6:break I}}op=o[np+64>>2];o[op>>2]=vp;o[op+4>>2]=vp>>31;continue}rp=o[np+64>>2];cp=o[np+68>>2];wp=11060}rp=Nj(rp,cp,yp)}qp=(pp|0)>-1?qp&-65537:qp;cp=o[np+64>>2];sp=o[np+68>>2];J:{if(!(!!(cp|sp)|pp)){rp=yp;pp=0;break J}cp=!(cp|sp)+(yp-rp|0)|0;pp=(pp|0)>(cp|0)?pp:cp}}sp=op-rp|0;pp=(pp|0)<(sp|0)?sp:pp;op=pp+up|0;cp=(tp|0)<(op|0)?op:tp;Kj(a,32,cp,op,qp);Hj(a,wp,up);Kj(a,48,cp,op,qp^65536);Kj(a,48,pp,sp,0);Hj(a,rp,sp);Kj(a,32,cp,op,qp^8192);continue}break}up=0}R=np+80|0;return up}function Hj(a,o,cp){if(!(p[a|0]&32)){Ej(o,cp,a)}}function Ij(a){var cp=0,dp=0,lp=0;if(Uj(m[o[a>>2]])){while(1){cp=o[a>>2];lp=m[cp|0];o[a>>2]=cp+1;dp=(u(dp,10)+lp|0)+ -48|0;if(Uj(m[cp+1|0])){continue}break}}return dp}function Jj(a,mp,Cp){a:{b:{if(mp>>>0>20){break b}mp=mp+ -9|0;if(mp>>>0>9){break b}c:{switch(mp-1|0){default:mp=o[Cp>>2];o[Cp>>2]=mp+4;o[a>>2]=o[mp>>2];return;case 0:mp=o[Cp>>2];o[Cp>>2]=mp+4;mp=o[mp>>2];o[a>>2]=mp;o[a+4>>2]=mp>>31;return;case 1:mp=o[Cp>>2];o[Cp>>2]=mp+4;o[a>>2]=o[mp>>2];o[a+4>>2]=0;return;case 3:mp=o[Cp>>2];o[Cp>>2]=mp+4;mp=n[mp>>1];o[a>>2]=mp;o[a+4>>2]=mp>>31;return;case 4:mp=o[Cp>>2];o[Cp>>2]=mp+4;o[a>>2]=q[mp>>1];o[a+4>>2]=0;return;case 5:mp=o[Cp>>2];o[Cp>>2]=mp+4;mp=m[mp|0];o[a>>2]=mp;o[a+4>>2]=mp>>31;return;case 6:mp=o[Cp>>2];o[Cp>>2]=mp+4;o[a>>2]=p[mp|0];o[a+4>>2]=0;return;case 2:case 7:break a;case 8:break c}}l[270](a,Cp)}return}mp=o[Cp>>2]+7&-8;o[Cp>>2]=mp+8;Cp=o[mp+4>>2];o[a>>2]=o[mp>>2];o[a+4>>2]=Cp}function Kj(a,o,mp,Cp,Dp){var Ep=0,Fp=0,Gp=0;Ep=R-256|0;R=Ep;if(!(Dp&73728|(mp|0)<=(Cp|0))){Dp=mp-Cp|0;Fp=Dp>>>0<256;xl(Ep,o,Fp?Dp:256);o=a;Gp=Ep;if(!Fp){mp=mp-Cp|0;while(1){Hj(a,Ep,256);Dp=Dp+ -256|0;if(Dp>>>0>255){continue}break}Dp=mp&255}Hj(o,Gp,Dp)}R=Ep+256|0}function Lj(a,o,mp){if(a|o){while(1){mp=mp+ -1|0;m[mp|0]=a&7|48;a=(o&7)<<29|a>>>3;o=o>>>3;if(a|o){continue}break}}return mp}function Mj(a,o,mp,Cp){if(a|o){while(1){mp=mp+ -1|0;m[mp|0]=p[(a&15)+11552|0]|Cp;a=(o&15)<<28|a>>>4;o=o>>>4;if(a|o){continue}break}}return mp}function Nj(a,o,mp){var Cp=0,Dp=0,Hp=0;a:{if((o|0)==1&a>>>0<0|o>>>0<1){Cp=a;break a}while(1){Cp=Xl(a,o,10,0);Dp=T;Hp=Dp;Dp=Vl(Cp,Dp,10,0);mp=mp+ -1|0;m[mp|0]=a-Dp|48;Dp=(o|0)==9&a>>>0>4294967295|o>>>0>9;a=Cp;o=Hp;if(Dp){continue}break}}if(Cp){while(1){mp=mp+ -1|0;a=(Cp>>>0)/10|0;m[mp|0]=Cp-u(a,10)|48;o=Cp>>>0>9;Cp=a;if(o){continue}break}}return mp}function Oj(a,o,mp){return Fj(a,o,mp)}function Pj(a,mp,Ip,Jp,Kp,Lp){a=a|0;mp=+mp;Ip=Ip|0;Jp=Jp|0;Kp=Kp|0;Lp=Lp|0;var Mp=0,Np=0,Op=0,Pp=0,Qp=0,Rp=0,Sp=0,Tp=0,Up=0,Vp=0,Wp=0,Xp=0,Yp=0,Zp=0,_p=0,$p=0,aq=0,bq=0,cq=0,dq=0,eq=0,fq=0,gq=0,hq=0,iq=0;Qp=R-560|0;R=Qp;o[Qp+44>>2]=0;h(+mp);Mp=e(1)|0;a:{if(dq=1,eq=(gq=e(0)>>>0>4294967295?0:1,hq=0,iq=(Mp|0)<=-1,iq?gq:hq),fq=(Mp|0)<-1,fq?dq:eq){mp=-mp;h(+mp);Mp=e(1)|0;e(0)|0;_p=1;$p=11568;break a}if(Kp&2048){_p=1;$p=11571;break a}_p=Kp&1;$p=_p?11574:11569}b:{if((Mp&2146435072)==2146435072){Sp=_p+3|0;Kj(a,32,Ip,Sp,Kp&-65537);Hj(a,$p,_p);Jp=Lp>>>5&1;Hj(a,mp!=mp?Jp?11595:11599:Jp?11587:11591,3);break b}mp=Xj(mp,Qp+44|0);mp=mp+mp;if(mp!=0){o[Qp+44>>2]=o[Qp+44>>2]+ -1}Xp=Qp+16|0;aq=Lp|32;if((aq|0)==97){Rp=Lp&32;Np=Rp?$p+9|0:$p;c:{if(Jp>>>0>11){break c}Mp=12-Jp|0;if(!Mp){break c}Yp=8;while(1){Yp=Yp*16;Mp=Mp+ -1|0;if(Mp){continue}break}if(p[Np|0]==45){mp=-(Yp+(-mp-Yp));break c}mp=mp+Yp-Yp}Pp=o[Qp+44>>2];Mp=Pp>>31;Mp=Nj(Mp^Mp+Pp,0,Xp);if((Xp|0)==(Mp|0)){m[Qp+15|0]=48;Mp=Qp+15|0}Pp=_p|2;Op=o[Qp+44>>2];Up=Mp+ -2|0;m[Up|0]=Lp+15;m[Mp+ -1|0]=(Op|0)<0?45:43;$p=Kp&8;Op=Qp+16|0;while(1){Lp=Op;Sp=Rp;if(w(mp)<2147483648){Mp=~~mp}else{Mp=-2147483648}m[Op|0]=Sp|p[Mp+11552|0];mp=(mp- +(Mp|0))*16;Op=Lp+1|0;if(!((Op-(Qp+16|0)|0)!=1|(mp==0?!((Jp|0)>0|$p):0))){m[Lp+1|0]=46;Op=Lp+2|0}if(mp!=0){continue}break}Lp=a;Mp=Ip;if(!Jp|((Op-Qp|0)+ -18|0)>=(Jp|0)){Rp=((Xp-(Qp+16|0)|0)-Up|0)+Op|0}else{Rp=((Jp+Xp|0)-Up|0)+2|0}Jp=Rp;Sp=Jp+Pp|0;Kj(Lp,32,Mp,Sp,Kp);Hj(a,Np,Pp);Kj(a,48,Ip,Sp,Kp^65536);Lp=Op-(Qp+16|0)|0;Hj(a,Qp+16|0,Lp);Jp=Xp-Up|0;Kj(a,48,Rp-(Jp+Lp|0)|0,0,0);Hj(a,Up,Jp);break b}Mp=(Jp|0)<0;d:{if(mp==0){Np=o[Qp+44>>2];break d}Np=o[Qp+44>>2]+ -28|0;o[Qp+44>>2]=Np;mp=mp*268435456}Rp=Mp?6:Jp;Up=(Np|0)<0?Qp+48|0:Qp+336|0;Pp=Up;while(1){Jp=Pp;if(mp<4294967296&mp>=0){Mp=~~mp>>>0}else{Mp=0}o[Jp>>2]=Mp;Pp=Pp+4|0;mp=(mp- +(Mp>>>0))*1e9;if(mp!=0){continue}break}e:{if((Np|0)<1){Mp=Pp;Op=Up;break e}Op=Up;while(1){Tp=(Np|0)<29?Np:29;Mp=Pp+ -4|0;f:{if(Mp>>>0<Op>>>0){break f}Jp=Tp;Np=0;while(1){Sp=Mp;bq=Np;Wp=o[Mp>>2];Vp=Jp&31;if(32<=(Jp&63)>>>0){Np=Wp<<Vp;Wp=0}else{Np=(1<<Vp)-1&Wp>>>32-Vp;Wp=Wp<<Vp}Vp=bq+Wp|0;Np=Np+cq|0;Np=Vp>>>0<Wp>>>0?Np+1|0:Np;Np=Xl(Vp,Np,1e9,0);Wp=Sp;Sp=Vl(Np,T,1e9,0);o[Wp>>2]=Vp-Sp;Mp=Mp+ -4|0;if(Mp>>>0>=Op>>>0){continue}break}if(!Np){break f}Op=Op+ -4|0;o[Op>>2]=Np}while(1){Mp=Pp;if(Mp>>>0>Op>>>0){Pp=Mp+ -4|0;if(!o[Pp>>2]){continue}}break}Np=o[Qp+44>>2]-Tp|0;o[Qp+44>>2]=Np;Pp=Mp;if((Np|0)>0){continue}break}}if((Np|0)<=-1){Zp=((Rp+25|0)/9|0)+1|0;Tp=(aq|0)==102;while(1){Jp=(Np|0)<-9?9:0-Np|0;g:{if(Op>>>0>=Mp>>>0){Op=o[Op>>2]?Op:Op+4|0;break g}Sp=1e9>>>Jp;Vp=-1<<Jp^-1;Np=0;Pp=Op;while(1){Wp=Np;Np=o[Pp>>2];o[Pp>>2]=Wp+(Np>>>Jp);Np=u(Sp,Np&Vp);Pp=Pp+4|0;if(Pp>>>0<Mp>>>0){continue}break}Op=o[Op>>2]?Op:Op+4|0;if(!Np){break g}o[Mp>>2]=Np;Mp=Mp+4|0}Np=Jp+o[Qp+44>>2]|0;o[Qp+44>>2]=Np;Jp=Tp?Up:Op;Mp=Mp-Jp>>2>(Zp|0)?Jp+(Zp<<2)|0:Mp;if((Np|0)<0){continue}break}}Pp=0;h:{if(Op>>>0>=Mp>>>0){break h}Pp=u(Up-Op>>2,9);Np=10;Jp=o[Op>>2];if(Jp>>>0<10){break h}while(1){Pp=Pp+1|0;Np=u(Np,10);if(Jp>>>0>=Np>>>0){continue}break}}Jp=(Rp-((aq|0)==102?0:Pp)|0)-((aq|0)==103&(Rp|0)!=0)|0;if((Jp|0)<(u(Mp-Up>>2,9)+ -9|0)){Np=Jp+9216|0;Sp=(Np|0)/9|0;Tp=(Up+(Sp<<2)|0)+ -4092|0;Jp=10;Np=Np-u(Sp,9)|0;if((Np|0)<=7){while(1){Jp=u(Jp,10);Sp=(Np|0)<7;Np=Np+1|0;if(Sp){continue}break}}Sp=o[Tp>>2];Vp=(Sp>>>0)/(Jp>>>0)|0;Zp=Tp+4|0;Np=Sp-u(Jp,Vp)|0;i:{if(Np?0:(Zp|0)==(Mp|0)){break i}Wp=Jp>>>1;Yp=Np>>>0<Wp>>>0?.5:(Mp|0)==(Zp|0)?(Wp|0)==(Np|0)?1:1.5:1.5;mp=Vp&1?9007199254740994:9007199254740992;if(!(!_p|p[$p|0]!=45)){Yp=-Yp;mp=-mp}Np=Sp-Np|0;o[Tp>>2]=Np;if(mp+Yp==mp){break i}Jp=Jp+Np|0;o[Tp>>2]=Jp;if(Jp>>>0>=1e9){while(1){o[Tp>>2]=0;Tp=Tp+ -4|0;if(Tp>>>0<Op>>>0){Op=Op+ -4|0;o[Op>>2]=0}Jp=o[Tp>>2]+1|0;o[Tp>>2]=Jp;if(Jp>>>0>999999999){continue}break}}Pp=u(Up-Op>>2,9);Np=10;Jp=o[Op>>2];if(Jp>>>0<10){break i}while(1){Pp=Pp+1|0;Np=u(Np,10);if(Jp>>>0>=Np>>>0){continue}break}}Jp=Tp+4|0;Mp=Mp>>>0>Jp>>>0?Jp:Mp}j:{while(1){Np=Mp;Tp=0;if(Mp>>>0<=Op>>>0){break j}Mp=Np+ -4|0;if(!o[Mp>>2]){continue}break}Tp=1}k:{if((aq|0)!=103){Vp=Kp&8;break k}Jp=Rp?Rp:1;Mp=(Jp|0)>(Pp|0)&(Pp|0)>-5;Rp=(Mp?Pp^-1:-1)+Jp|0;Lp=(Mp?-1:-2)+Lp|0;Vp=Kp&8;if(Vp){break k}Mp=9;l:{if(!Tp){break l}Sp=o[Np+ -4>>2];if(!Sp){break l}Jp=10;Mp=0;if((Sp>>>0)%10){break l}while(1){Mp=Mp+1|0;Jp=u(Jp,10);if(!((Sp>>>0)%(Jp>>>0))){continue}break}}Jp=u(Np-Up>>2,9)+ -9|0;if((Lp|32)==102){Vp=0;Jp=Jp-Mp|0;Jp=(Jp|0)>0?Jp:0;Rp=(Rp|0)<(Jp|0)?Rp:Jp;break k}Vp=0;Jp=(Jp+Pp|0)-Mp|0;Jp=(Jp|0)>0?Jp:0;Rp=(Rp|0)<(Jp|0)?Rp:Jp}aq=Rp|Vp;Wp=(aq|0)!=0;Jp=a;bq=Ip;cq=Lp|32;Mp=(Pp|0)>0?Pp:0;m:{if((cq|0)==102){break m}Mp=Pp>>31;Mp=Nj(Mp+Pp^Mp,0,Xp);if((Xp-Mp|0)<=1){while(1){Mp=Mp+ -1|0;m[Mp|0]=48;if((Xp-Mp|0)<2){continue}break}}Zp=Mp+ -2|0;m[Zp|0]=Lp;m[Mp+ -1|0]=(Pp|0)<0?45:43;Mp=Xp-Zp|0}Sp=(Mp+(Wp+(Rp+_p|0)|0)|0)+1|0;Kj(Jp,32,bq,Sp,Kp);Hj(a,$p,_p);Kj(a,48,Ip,Sp,Kp^65536);n:{o:{p:{if((cq|0)==102){Jp=Qp+16|8;Lp=Qp+16|9;Pp=Op>>>0>Up>>>0?Up:Op;Op=Pp;while(1){Mp=Nj(o[Op>>2],0,Lp);q:{if((Op|0)!=(Pp|0)){if(Mp>>>0<=Qp+16>>>0){break q}while(1){Mp=Mp+ -1|0;m[Mp|0]=48;if(Mp>>>0>Qp+16>>>0){continue}break}break q}if((Lp|0)!=(Mp|0)){break q}m[Qp+24|0]=48;Mp=Jp}Hj(a,Mp,Lp-Mp|0);Op=Op+4|0;if(Op>>>0<=Up>>>0){continue}break}if(aq){Hj(a,11603,1)}if((Rp|0)<1|Op>>>0>=Np>>>0){break p}while(1){Mp=Nj(o[Op>>2],0,Lp);if(Mp>>>0>Qp+16>>>0){while(1){Mp=Mp+ -1|0;m[Mp|0]=48;if(Mp>>>0>Qp+16>>>0){continue}break}}Hj(a,Mp,(Rp|0)<9?Rp:9);Mp=Rp+ -9|0;Op=Op+4|0;if(Op>>>0>=Np>>>0){break o}Jp=(Rp|0)>9;Rp=Mp;if(Jp){continue}break}break o}r:{if((Rp|0)<0){break r}Up=Tp?Np:Op+4|0;Jp=Qp+16|8;Lp=Qp+16|9;Pp=Op;while(1){Mp=Nj(o[Pp>>2],0,Lp);if((Lp|0)==(Mp|0)){m[Qp+24|0]=48;Mp=Jp}s:{if((Op|0)!=(Pp|0)){if(Mp>>>0<=Qp+16>>>0){break s}while(1){Mp=Mp+ -1|0;m[Mp|0]=48;if(Mp>>>0>Qp+16>>>0){continue}break}break s}Hj(a,Mp,1);Mp=Mp+1|0;if((Rp|0)<1?!Vp:0){break s}Hj(a,11603,1)}Np=Mp;Mp=Lp-Mp|0;Hj(a,Np,(Rp|0)>(Mp|0)?Mp:Rp);Rp=Rp-Mp|0;Pp=Pp+4|0;if(Pp>>>0>=Up>>>0){break r}if((Rp|0)>-1){continue}break}}Kj(a,48,Rp+18|0,18,0);Hj(a,Zp,Xp-Zp|0);break n}Mp=Rp}Kj(a,48,Mp+9|0,9,0)}}Kj(a,32,Ip,Sp,Kp^8192);R=Qp+560|0;return((Sp|0)<(Ip|0)?Ip:Sp)|0}function Qj(a,mp){a=a|0;mp=mp|0;var Ip=0,Jp=0,Kp=0;Ip=mp;mp=o[mp>>2]+15&-16;o[Ip>>2]=mp+16;Jp=a,Kp=dk(o[mp>>2],o[mp+4>>2],o[mp+8>>2],o[mp+12>>2]),t[Jp>>3]=Kp}function Rj(a,mp,Lp){a=a|0;mp=mp|0;Lp=Lp|0;var jq=0,kq=0,lq=0,mq=0,nq=0,oq=0;jq=R-32|0;R=jq;kq=o[a+28>>2];o[jq+16>>2]=kq;lq=o[a+20>>2];o[jq+28>>2]=Lp;o[jq+24>>2]=mp;mp=lq-kq|0;o[jq+20>>2]=mp;lq=mp+Lp|0;nq=2;mp=jq+16|0;while(1){a:{b:{if(ak(I(o[a+60>>2],mp|0,nq|0,jq+12|0)|0)){o[jq+12>>2]=-1;kq=-1;break b}kq=o[jq+12>>2]}c:{if((kq|0)==(lq|0)){mp=o[a+44>>2];o[a+28>>2]=mp;o[a+20>>2]=mp;o[a+16>>2]=mp+o[a+48>>2];a=Lp;break c}if((kq|0)>-1){break a}o[a+28>>2]=0;o[a+16>>2]=0;o[a+20>>2]=0;o[a>>2]=o[a>>2]|32;a=0;if((nq|0)==2){break c}a=Lp-o[mp+4>>2]|0}R=jq+32|0;return a|0}mq=o[mp+4>>2];oq=kq>>>0>mq>>>0;mp=oq?mp+8|0:mp;mq=kq-(oq?mq:0)|0;o[mp>>2]=mq+o[mp>>2];o[mp+4>>2]=o[mp+4>>2]-mq;lq=lq-kq|0;nq=nq-oq|0;continue}}function Sj(a,mp,Lp,pq){a=a|0;mp=mp|0;Lp=Lp|0;pq=pq|0;var qq=0;qq=R-16|0;R=qq;a:{if(!ak(Q(o[a+60>>2],mp|0,Lp|0,pq&255,qq+8|0)|0)){mp=o[qq+12>>2];a=o[qq+8>>2];break a}o[qq+8>>2]=-1;o[qq+12>>2]=-1;mp=-1;a=-1}R=qq+16|0;T=mp;return a|0}function Tj(a){a=a|0;return J(o[a+60>>2])|0}function Uj(a){return a+ -48>>>0<10}function Vj(a,o){if(!a){return 0}return Wj(a,o)}function Wj(a,mp){a:{if(a){if(mp>>>0<=127){break a}b:{if(!o[o[3253]>>2]){if((mp&-128)==57216){break a}break b}if(mp>>>0<=2047){m[a+1|0]=mp&63|128;m[a|0]=mp>>>6|192;return 2}if(!((mp&-8192)!=57344?mp>>>0>=55296:0)){m[a+2|0]=mp&63|128;m[a|0]=mp>>>12|224;m[a+1|0]=mp>>>6&63|128;return 3}if(mp+ -65536>>>0<=1048575){m[a+3|0]=mp&63|128;m[a|0]=mp>>>18|240;m[a+2|0]=mp>>>6&63|128;m[a+1|0]=mp>>>12&63|128;return 4}}o[3269]=25;a=-1}else{a=1}return a}m[a|0]=mp;return 1}function Xj(a,mp){var Lp=0,pq=0,rq=0;h(+a);Lp=e(1)|0;pq=e(0)|0;rq=Lp;Lp=Lp>>>20&2047;if((Lp|0)!=2047){if(!Lp){Lp=mp;if(a==0){mp=0}else{a=Xj(a*0x10000000000000000,mp);mp=o[mp>>2]+ -64|0}o[Lp>>2]=mp;return a}o[mp>>2]=Lp+ -1022;f(0,pq|0);f(1,rq&-2146435073|1071644672);a=+g()}return a}function Yj(a){var o=0,mp=0,sq=0,tq=0,uq=0,vq=0;while(1){o=a;a=o+1|0;mp=m[o|0];if((mp|0)==32|mp+ -9>>>0<5){continue}break}mp=m[o|0];tq=mp+ -43|0;a:{if(tq>>>0>2){break a}b:{switch(tq-1|0){case 1:uq=1;break;case 0:break a;default:break b}}mp=m[a|0];o=a;vq=uq}if(Uj(mp)){while(1){sq=(u(sq,10)-m[o|0]|0)+48|0;a=m[o+1|0];o=o+1|0;if(Uj(a)){continue}break}}return vq?sq:0-sq|0}function Zj(a,wq,xq){var yq=0,zq=0,Aq=0;a:{if(!xq){break a}while(1){yq=p[a|0];zq=p[wq|0];if((yq|0)==(zq|0)){wq=wq+1|0;a=a+1|0;xq=xq+ -1|0;if(xq){continue}break a}break}Aq=yq-zq|0}return Aq}function _j(a){var wq=0,xq=0,Bq=0;a:{b:{wq=a;if(!(wq&3)){break b}if(!p[a|0]){break a}while(1){wq=wq+1|0;if(!(wq&3)){break b}if(p[wq|0]){continue}break}break a}while(1){xq=wq;wq=wq+4|0;Bq=o[xq>>2];if(!((Bq^-1)&Bq+ -16843009&-2139062144)){continue}break}if(!(Bq&255)){wq=xq;break a}while(1){Bq=p[xq+1|0];wq=xq+1|0;xq=wq;if(Bq){continue}break}}return wq-a|0}function $j(a,Cq){var Dq=0,Eq=0,Fq=0;Dq=(Cq|0)!=0;a:{b:{c:{d:{if(!Cq|!(a&3)){break d}while(1){if(!p[a|0]){break c}a=a+1|0;Cq=Cq+ -1|0;Dq=(Cq|0)!=0;if(!Cq){break d}if(a&3){continue}break}}if(!Dq){break b}}if(!p[a|0]){break a}e:{if(Cq>>>0>=4){Dq=Cq+ -4|0;Eq=Dq&-4;Dq=Dq-Eq|0;Eq=(a+Eq|0)+4|0;while(1){Fq=o[a>>2];if((Fq^-1)&Fq+ -16843009&-2139062144){break e}a=a+4|0;Cq=Cq+ -4|0;if(Cq>>>0>3){continue}break}Cq=Dq;a=Eq}if(!Cq){break b}}while(1){if(!p[a|0]){break a}a=a+1|0;Cq=Cq+ -1|0;if(Cq){continue}break}}return 0}return a}function ak(a){if(!a){return 0}o[3269]=a;return-1}function bk(a,Cq,Gq,Hq,Iq,Jq){var Kq=0,Lq=0,Mq=0,Nq=0;a:{if(Jq&64){Hq=Cq;Iq=Jq+ -64|0;Cq=Iq&31;if(32<=(Iq&63)>>>0){Iq=Hq<<Cq;Hq=0}else{Iq=(1<<Cq)-1&Hq>>>32-Cq|Gq<<Cq;Hq=Hq<<Cq}Cq=0;Gq=0;break a}if(!Jq){break a}Kq=Hq;Mq=Jq;Hq=Jq&31;if(32<=(Jq&63)>>>0){Lq=Kq<<Hq;Nq=0}else{Lq=(1<<Hq)-1&Kq>>>32-Hq|Iq<<Hq;Nq=Kq<<Hq}Hq=Gq;Kq=Cq;Jq=64-Jq|0;Iq=Jq&31;if(32<=(Jq&63)>>>0){Jq=0;Hq=Hq>>>Iq}else{Jq=Hq>>>Iq;Hq=((1<<Iq)-1&Hq)<<32-Iq|Kq>>>Iq}Hq=Nq|Hq;Iq=Jq|Lq;Jq=Cq;Cq=Mq&31;if(32<=(Mq&63)>>>0){Lq=Jq<<Cq;Cq=0}else{Lq=(1<<Cq)-1&Jq>>>32-Cq|Gq<<Cq;Cq=Jq<<Cq}Gq=Lq}o[a>>2]=Cq;o[a+4>>2]=Gq;o[a+8>>2]=Hq;o[a+12>>2]=Iq}function ck(a,Cq,Gq,Hq,Iq,Jq){var Oq=0,Pq=0,Qq=0,Rq=0;a:{b:{if(Jq&64){Gq=Jq+ -64|0;Cq=Gq&31;if(32<=(Gq&63)>>>0){Gq=0;Cq=Iq>>>Cq}else{Gq=Iq>>>Cq;Cq=((1<<Cq)-1&Iq)<<32-Cq|Hq>>>Cq}Hq=0;Iq=0;break b}if(!Jq){break a}Pq=Iq;Qq=Hq;Rq=64-Jq|0;Oq=Rq&31;if(32<=(Rq&63)>>>0){Pq=Qq<<Oq;Rq=0}else{Pq=(1<<Oq)-1&Qq>>>32-Oq|Pq<<Oq;Rq=Qq<<Oq}Qq=Cq;Oq=Jq;Cq=Oq&31;if(32<=(Oq&63)>>>0){Oq=0;Cq=Gq>>>Cq}else{Oq=Gq>>>Cq;Cq=((1<<Cq)-1&Gq)<<32-Cq|Qq>>>Cq}Cq=Rq|Cq;Gq=Oq|Pq;Oq=Hq;Hq=Jq&31;if(32<=(Jq&63)>>>0){Pq=0;Hq=Iq>>>Hq}else{Pq=Iq>>>Hq;Hq=((1<<Hq)-1&Iq)<<32-Hq|Oq>>>Hq}Iq=Pq}}o[a>>2]=Cq;o[a+4>>2]=Gq;o[a+8>>2]=Hq;o[a+12>>2]=Iq}function dk(a,Cq,Gq,Hq){var Iq=0,Jq=0,Sq=0,Tq=0,Uq=0,Vq=0,Wq=0;Sq=R-32|0;R=Sq;Iq=Hq&2147483647;Uq=Iq;Iq=Iq+ -1006698496|0;Tq=Gq;Jq=Gq;if(Gq>>>0<0){Iq=Iq+1|0}Vq=Jq;Jq=Iq;Iq=Uq+ -1140785152|0;Wq=Tq;if(Tq>>>0<0){Iq=Iq+1|0}a:{if((Iq|0)==(Jq|0)&Vq>>>0<Wq>>>0|Jq>>>0<Iq>>>0){Iq=Hq<<4|Gq>>>28;Gq=Gq<<4|Cq>>>28;Cq=Cq&268435455;Tq=Cq;if((Cq|0)==134217728&a>>>0>=1|Cq>>>0>134217728){Iq=Iq+1073741824|0;a=Gq+1|0;if(a>>>0<1){Iq=Iq+1|0}Jq=a;break a}Jq=Gq;Iq=Iq-((Gq>>>0<0)+ -1073741824|0)|0;if(a|Tq^134217728){break a}a=Jq+(Jq&1)|0;if(a>>>0<Jq>>>0){Iq=Iq+1|0}Jq=a;break a}if(!(!Tq&(Uq|0)==2147418112?!(a|Cq):(Uq|0)==2147418112&Tq>>>0<0|Uq>>>0<2147418112)){Iq=Hq<<4|Gq>>>28;Jq=Gq<<4|Cq>>>28;Iq=Iq&524287|2146959360;break a}Jq=0;Iq=2146435072;if((Uq|0)==1140785151&Tq>>>0>4294967295|Uq>>>0>1140785151){break a}Iq=0;Tq=Uq>>>16;if(Tq>>>0<15249){break a}Iq=Hq&65535|65536;ck(Sq,a,Cq,Gq,Iq,15361-Tq|0);bk(Sq+16|0,a,Cq,Gq,Iq,Tq+ -15233|0);Gq=o[Sq+4>>2];a=o[Sq+8>>2];Iq=o[Sq+12>>2]<<4|a>>>28;Jq=a<<4|Gq>>>28;a=Gq&268435455;Gq=a;Cq=o[Sq>>2]|((o[Sq+16>>2]|o[Sq+24>>2])!=0|(o[Sq+20>>2]|o[Sq+28>>2])!=0);if((a|0)==134217728&Cq>>>0>=1|a>>>0>134217728){a=Jq+1|0;if(a>>>0<1){Iq=Iq+1|0}Jq=a;break a}if(Cq|Gq^134217728){break a}a=Jq+(Jq&1)|0;if(a>>>0<Jq>>>0){Iq=Iq+1|0}Jq=a}R=Sq+32|0;f(0,Jq|0);f(1,Hq&-2147483648|Iq);return+g()}function ek(a){var Cq=0,Gq=0,Hq=0,Xq=0,Yq=0,Zq=0,_q=0,$q=0;Xq=R-16|0;R=Xq;o[Xq+12>>2]=a;a:{if(a>>>0<=211){a=o[fk(11616,11808,Xq+12|0)>>2];break a}Yq=(a>>>0)/210|0;Hq=u(Yq,210);o[Xq+8>>2]=a-Hq;Zq=fk(11808,12e3,Xq+8|0)-11808>>2;b:{while(1){a=o[(Zq<<2)+11808>>2]+Hq|0;Hq=5;c:{d:{e:{while(1){if((Hq|0)==47){break e}Cq=o[(Hq<<2)+11616>>2];Gq=(a>>>0)/(Cq>>>0)|0;_q=Gq>>>0<Cq>>>0;$q=_q?a:$q;Hq=Hq+1|0;Cq=_q?1:(u(Cq,Gq)|0)==(a|0)?7:0;if(!Cq){continue}break}Hq=Cq+ -4|0;if(Hq>>>0>3){break b}switch(Hq-1|0){case 0:case 1:break b;case 2:break d;default:break e}}Hq=211;while(1){Cq=(a>>>0)/(Hq>>>0)|0;if(Cq>>>0<Hq>>>0){break c}if((u(Cq,Hq)|0)==(a|0)){break d}Cq=Hq+10|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+12|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+16|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+18|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+22|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+28|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+30|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+36|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+40|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+42|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+46|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+52|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+58|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+60|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+66|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+70|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+72|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+78|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+82|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+88|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+96|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+100|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+102|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+106|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+108|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+112|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+120|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+126|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+130|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+136|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+138|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+142|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+148|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+150|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+156|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+162|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+166|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+168|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+172|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+178|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+180|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+186|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+190|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+192|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+196|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+198|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}if((u(Cq,Gq)|0)==(a|0)){break d}Cq=Hq+208|0;Gq=(a>>>0)/(Cq>>>0)|0;if(Gq>>>0<Cq>>>0){break c}Hq=Hq+210|0;if((u(Cq,Gq)|0)!=(a|0)){continue}break}}Hq=Zq+1|0;a=(Hq|0)==48;Zq=a?0:Hq;Yq=a+Yq|0;Hq=u(Yq,210);continue}break}o[Xq+12>>2]=a;break a}o[Xq+12>>2]=a;a=$q}R=Xq+16|0;return a}function fk(a,ar,br){return gk(a,ar,br)}function gk(a,ar,br){var cr=0;cr=R-16|0;R=cr;a=hk(a,ar,br);R=cr+16|0;return a}function hk(a,ar,br){var dr=0,er=0,fr=0,gr=0;dr=R-16|0;R=dr;ar=ar-a>>2;while(1){if(ar){o[dr+12>>2]=a;er=dr+12|0;fr=er;gr=o[er>>2];er=ar>>>1;o[fr>>2]=gr+(er<<2);if(ik(o[dr+12>>2],br)){a=o[dr+12>>2]+4|0;o[dr+12>>2]=a;ar=(er^-1)+ar|0}else{ar=er}continue}break}R=dr+16|0;return a}function ik(a,ar){return r[a>>2]<r[ar>>2]}function jk(a,ar,br){if(br){wl(a,ar,br)}}function kk(a,ar){return lk(a,ar)}function lk(a,ar){var br=0,hr=0;br=R-16|0;R=br;hr=ik(a,ar);R=br+16|0;return hr?ar:a}function mk(a){o[a>>2]=0;o[a+4>>2]=0;o[a+8>>2]=0}function nk(a,ar){var ir=0,jr=0;ir=p[a|0];jr=p[ar|0];a:{if(!ir|(ir|0)!=(jr|0)){break a}while(1){jr=p[ar+1|0];ir=p[a+1|0];if(!ir){break a}ar=ar+1|0;a=a+1|0;if((ir|0)==(jr|0)){continue}break}}return ir-jr|0}function ok(){var a=0,ar=0,kr=0;a=R-16|0;R=a;a:{if(K(a+12|0,a+8|0)){break a}ar=tl((o[a+12>>2]<<2)+4|0);o[3286]=ar;if(!ar){break a}b:{ar=tl(o[a+8>>2]);if(ar){kr=o[3286];if(kr){break b}}o[3286]=0;break a}o[(o[a+12>>2]<<2)+kr>>2]=0;if(!L(o[3286],ar|0)){break a}o[3286]=0}R=a+16|0}function pk(lr,mr,nr){var or=0,pr=0;or=R-160|0;R=or;wl(or+8|0,12e3,144);a:{b:{if(mr+ -1>>>0>=2147483647){if(mr){break b}mr=1;lr=or+159|0}o[or+52>>2]=lr;o[or+28>>2]=lr;pr=-2-lr|0;mr=mr>>>0>pr>>>0?pr:mr;o[or+56>>2]=mr;lr=lr+mr|0;o[or+36>>2]=lr;o[or+24>>2]=lr;lr=Oj(or+8|0,12225,nr);if(!mr){break a}mr=o[or+28>>2];m[mr-((mr|0)==o[or+24>>2])|0]=0;break a}o[3269]=61;lr=-1}R=or+160|0;return lr}function qk(lr,mr,nr){lr=lr|0;mr=mr|0;nr=nr|0;var qr=0,rr=0;rr=o[lr+20>>2];qr=o[lr+16>>2]-rr|0;qr=qr>>>0>nr>>>0?nr:qr;wl(rr,mr,qr);o[lr+20>>2]=qr+o[lr+20>>2];return nr|0}function rk(lr,mr,nr){var sr=0;sr=R-16|0;R=sr;o[sr+12>>2]=nr;lr=pk(lr,mr,nr);R=sr+16|0;return lr}function sk(lr){if(wk(lr)){return o[lr+4>>2]}return p[lr+11|0]}function tk(lr){if(wk(lr)){lr=xk(lr)+ -1|0}else{lr=10}return lr}function uk(lr,mr){Rk(lr,mr)}function vk(lr){var mr=0;mr=lr;lr=0;while(1){if((lr|0)!=3){o[(lr<<2)+mr>>2]=0;lr=lr+1|0;continue}break}}function wk(lr){return m[lr+11|0]<0}function xk(lr){return o[lr+8>>2]&2147483647}function yk(lr){if(wk(lr)){return o[lr>>2]}return lr}function zk(lr,nr){m[lr|0]=p[nr|0]}function Ak(lr,nr){o[lr+4>>2]=nr}function Bk(lr,nr){m[lr+11|0]=nr}function Ck(lr){var nr=0;if(lr>>>0>=11){nr=lr+16&-16;lr=nr+ -1|0;lr=(lr|0)==11?nr:lr}else{lr=10}return lr}function Dk(lr){if(4294967295<lr>>>0){_a(12144);D()}return Hk(lr)}function Ek(lr,tr){o[lr>>2]=tr}function Fk(lr,tr){o[lr+8>>2]=tr|-2147483648}function Gk(lr,tr){if(wk(lr)){Ak(lr,tr);return}Bk(lr,tr)}function Hk(lr){var tr=0,ur=0;lr=lr?lr:1;while(1){a:{tr=tl(lr);if(tr){break a}ur=o[3287];if(!ur){break a}l[ur]();continue}break}return tr}function Ik(lr,vr){var wr=0,xr=0,yr=0,zr=0;wr=_j(vr);xr=Hk(wr+13|0);o[xr+8>>2]=0;o[xr+4>>2]=wr;o[xr>>2]=wr;yr=lr,zr=wl(xr+12|0,vr,wr+1|0),o[yr>>2]=zr}function Jk(lr){var vr=0,Ar=0,Br=0;vr=R-16|0;R=vr;m[vr+15|0]=10;Ar=o[lr+16>>2];a:{if(!Ar){if(Dj(lr)){break a}Ar=o[lr+16>>2]}Br=o[lr+20>>2];if(!(m[lr+75|0]==10|Br>>>0>=Ar>>>0)){o[lr+20>>2]=Br+1;m[Br|0]=10;break a}if((l[o[lr+36>>2]](lr,vr+15|0,1)|0)!=1){break a}}R=vr+16|0}function Kk(){_a(12212);D()}function Lk(){M();D()}function Mk(lr,Cr){var Dr=0,Er=0,Fr=0;Er=R-16|0;R=Er;mk(lr);Dr=lr;a:{if(!wk(Cr)){o[Dr+8>>2]=o[Cr+8>>2];Fr=o[Cr+4>>2];o[Dr>>2]=o[Cr>>2];o[Dr+4>>2]=Fr;break a}Nk(lr,o[Cr>>2],o[Cr+4>>2])}R=Er+16|0;return lr}function Nk(lr,Cr,Gr){var Hr=0,Ir=0,Jr=0;Hr=R-16|0;R=Hr;if(4294967279>=Gr>>>0){a:{if(Gr>>>0<=10){Bk(lr,Gr);Ir=lr;break a}Jr=Ck(Gr)+1|0;Ir=Dk(Jr);Ek(lr,Ir);Fk(lr,Jr);Ak(lr,Gr)}jk(Ir,Cr,Gr);m[Hr+15|0]=0;zk(Gr+Ir|0,Hr+15|0);R=Hr+16|0;return}Kk();D()}function Ok(lr,Cr){if((lr|0)!=(Cr|0)){Pk(lr,yk(Cr),sk(Cr))}}function Pk(lr,Cr,Gr){var Kr=0,Lr=0,Mr=0,Nr=0;Lr=R-16|0;R=Lr;Kr=tk(lr);a:{if(Kr>>>0>=Gr>>>0){Mr=yk(lr);Nr=Mr;Kr=Gr;if(Gr){yl(Nr,Cr,Kr)}m[Lr+15|0]=0;zk(Gr+Mr|0,Lr+15|0);Gk(lr,Gr);break a}Mr=lr;lr=sk(lr);Qk(Mr,Kr,Gr-Kr|0,lr,lr,Gr,Cr)}R=Lr+16|0}function Qk(lr,Cr,Gr,Or,Pr,Qr,Rr){var Sr=0,Tr=0,Ur=0;Sr=R-16|0;R=Sr;if((Cr^-1)+ -17>>>0>=Gr>>>0){Tr=yk(lr);a:{if(2147483623>Cr>>>0){o[Sr+8>>2]=Cr<<1;o[Sr+12>>2]=Cr+Gr;Gr=Ck(o[kk(Sr+12|0,Sr+8|0)>>2]);break a}Gr=-18}Ur=Gr+1|0;Gr=Dk(Ur);if(Qr){jk(Gr,Rr,Qr)}Or=Or-Pr|0;Rr=Or;if(Or){jk(Gr+Qr|0,Pr+Tr|0,Rr)}if((Cr|0)!=10){ul(Tr)}Ek(lr,Gr);Fk(lr,Ur);Cr=lr;lr=Or+Qr|0;Ak(Cr,lr);m[Sr+7|0]=0;zk(lr+Gr|0,Sr+7|0);R=Sr+16|0;return}Kk();D()}function Rk(lr,Cr){var Gr=0;Gr=sk(lr);if(Gr>>>0<Cr>>>0){Sk(lr,Cr-Gr|0);return}Tk(lr,Cr)}function Sk(lr,Cr){var Or=0,Pr=0,Qr=0,Rr=0;Qr=R-16|0;R=Qr;if(Cr){Pr=tk(lr);Or=sk(lr);Rr=Or+Cr|0;if(Pr-Or>>>0<Cr>>>0){Uk(lr,Pr,Rr-Pr|0,Or,Or)}Pr=Or;Or=yk(lr);Pr=Pr+Or|0;if(Cr){xl(Pr,0,Cr)}Gk(lr,Rr);m[Qr+15|0]=0;zk(Or+Rr|0,Qr+15|0)}R=Qr+16|0}function Tk(lr,Cr){var Vr=0,Wr=0;Vr=R-16|0;R=Vr;a:{if(wk(lr)){Wr=o[lr>>2];m[Vr+15|0]=0;zk(Cr+Wr|0,Vr+15|0);Ak(lr,Cr);break a}m[Vr+14|0]=0;zk(lr+Cr|0,Vr+14|0);Bk(lr,Cr)}R=Vr+16|0}function Uk(lr,Cr,Xr,Yr,Zr){var _r=0,$r=0,as=0;_r=R-16|0;R=_r;if(-17-Cr>>>0>=Xr>>>0){$r=yk(lr);a:{if(2147483623>Cr>>>0){o[_r+8>>2]=Cr<<1;o[_r+12>>2]=Cr+Xr;Xr=Ck(o[kk(_r+12|0,_r+8|0)>>2]);break a}Xr=-18}as=Xr+1|0;Xr=Dk(as);if(Zr){jk(Xr,$r,Zr)}Yr=Yr-Zr|0;if(Yr){jk(Xr+Zr|0,Zr+$r|0,Yr)}if((Cr|0)!=10){ul($r)}Ek(lr,Xr);Fk(lr,as);R=_r+16|0;return}Kk();D()}function Vk(lr){if(sk(lr)>>>0<=0){Lk();D()}return yk(lr)}function Wk(lr){var Cr=0,Xr=0;Cr=R-16|0;R=Cr;mk(Cr);vk(Cr);uk(Cr,tk(Cr));Xk(lr,Cr);lr=Cr;if(wk(Cr)){Xr=o[lr>>2];xk(lr);ul(Xr)}R=Cr+16|0}function Xk(lr,Yr){var Zr=0,bs=0,cs=0,ds=0;cs=R-16|0;R=cs;Zr=sk(Yr);while(1){a:{bs=yk(Yr);o[cs>>2]=1;ds=Yr;bs=rk(bs,Zr+1|0,cs);b:{if((bs|0)>=0){if(bs>>>0<=Zr>>>0){break a}Zr=bs;break b}Zr=Zr<<1|1}uk(ds,Zr);continue}break}uk(Yr,bs);Zr=o[Yr+4>>2];o[lr>>2]=o[Yr>>2];o[lr+4>>2]=Zr;o[lr+8>>2]=o[Yr+8>>2];vk(Yr);R=cs+16|0}function Yk(){_a(12228);D()}function Zk(){Lk();D()}function _k(lr){var Yr=0;if(o[lr+76>>2]<0){a:{if(m[lr+75|0]==10){break a}Yr=o[lr+20>>2];if(Yr>>>0>=r[lr+16>>2]){break a}o[lr+20>>2]=Yr+1;m[Yr|0]=10;return}Jk(lr);return}b:{c:{if(m[lr+75|0]==10){break c}Yr=o[lr+20>>2];if(Yr>>>0>=r[lr+16>>2]){break c}o[lr+20>>2]=Yr+1;m[Yr|0]=10;break b}Jk(lr)}}function $k(){var lr=0;lr=R-16|0;R=lr;o[lr+12>>2]=0;lr=o[2902];Oj(lr,12235,0);_k(lr);M();D()}function al(){$k();D()}function bl(es){es=es|0;return 12265}function cl(es){es=es|0;o[es>>2]=12332;dl(es+4|0);return es|0}function dl(es){var fs=0,gs=0;fs=o[es>>2]+ -12|0;gs=fs+8|0;es=o[gs>>2]+ -1|0;o[gs>>2]=es;a:{if((es|0)>-1){break a}ul(fs)}}function el(es){es=es|0;ul(cl(es))}function fl(es){es=es|0;return o[es+4>>2]}function gl(es){es=es|0;cl(es);ul(es)}function hl(es,hs,is){if(!is){return(es|0)==(hs|0)}return!nk(o[es+4>>2],o[hs+4>>2])}function il(es,hs,is){es=es|0;hs=hs|0;is=is|0;var js=0,ks=0;js=R+ -64|0;R=js;ks=1;a:{if(hl(es,hs,0)){break a}ks=0;if(!hs){break a}hs=jl(hs);ks=0;if(!hs){break a}o[js+20>>2]=-1;o[js+16>>2]=es;o[js+12>>2]=0;o[js+8>>2]=hs;xl(js+24|0,0,39);o[js+56>>2]=1;l[o[o[hs>>2]+28>>2]](hs,js+8|0,o[is>>2],1);ks=0;if(o[js+32>>2]!=1){break a}o[is>>2]=o[js+24>>2];ks=1}R=js- -64|0;return ks|0}function jl(es){var hs=0,is=0,ls=0,ms=0;hs=R+ -64|0;R=hs;is=o[es>>2];ms=o[is+ -8>>2];is=o[is+ -4>>2];o[hs+20>>2]=0;o[hs+16>>2]=12484;o[hs+12>>2]=es;o[hs+8>>2]=12532;xl(hs+24|0,0,39);es=es+ms|0;a:{if(hl(is,12532,0)){o[hs+56>>2]=1;l[o[o[is>>2]+20>>2]](is,hs+8|0,es,es,1,0);ls=o[hs+32>>2]==1?es:0;break a}l[o[o[is>>2]+24>>2]](is,hs+8|0,es,1,0);es=o[hs+44>>2];if(es>>>0>1){break a}if(es-1){ls=o[hs+48>>2]==1?o[hs+36>>2]==1?o[hs+40>>2]==1?o[hs+28>>2]:0:0:0;break a}if(o[hs+32>>2]!=1){if(o[hs+48>>2]|o[hs+36>>2]!=1|o[hs+40>>2]!=1){break a}}ls=o[hs+24>>2]}R=hs- -64|0;return ls}function kl(es,ns,os){var ps=0;ps=o[es+16>>2];if(!ps){o[es+36>>2]=1;o[es+24>>2]=os;o[es+16>>2]=ns;return}a:{if((ns|0)==(ps|0)){if(o[es+24>>2]!=2){break a}o[es+24>>2]=os;return}m[es+54|0]=1;o[es+24>>2]=2;o[es+36>>2]=o[es+36>>2]+1}}function ll(es,ns,os,qs){es=es|0;ns=ns|0;os=os|0;qs=qs|0;if(hl(es,o[ns+8>>2],0)){kl(ns,os,qs)}}function ml(es,ns,os,qs){es=es|0;ns=ns|0;os=os|0;qs=qs|0;if(hl(es,o[ns+8>>2],0)){kl(ns,os,qs);return}es=o[es+8>>2];l[o[o[es>>2]+28>>2]](es,ns,os,qs)}function nl(es,ns,os,qs){m[es+53|0]=1;a:{if(o[es+4>>2]!=(os|0)){break a}m[es+52|0]=1;os=o[es+16>>2];if(!os){o[es+36>>2]=1;o[es+24>>2]=qs;o[es+16>>2]=ns;if((qs|0)!=1|o[es+48>>2]!=1){break a}m[es+54|0]=1;return}if((ns|0)==(os|0)){os=o[es+24>>2];if((os|0)==2){o[es+24>>2]=qs;os=qs}if(o[es+48>>2]!=1|(os|0)!=1){break a}m[es+54|0]=1;return}m[es+54|0]=1;o[es+36>>2]=o[es+36>>2]+1}}function ol(es,ns,os){if(!(o[es+28>>2]==1|o[es+4>>2]!=(ns|0))){o[es+28>>2]=os}}function pl(es,ns,os,qs,rs){es=es|0;ns=ns|0;os=os|0;qs=qs|0;rs=rs|0;if(hl(es,o[ns+8>>2],rs)){ol(ns,os,qs);return}a:{if(hl(es,o[ns>>2],rs)){if(!(o[ns+20>>2]!=(os|0)?o[ns+16>>2]!=(os|0):0)){if((qs|0)!=1){break a}o[ns+32>>2]=1;return}o[ns+32>>2]=qs;b:{if(o[ns+44>>2]==4){break b}n[ns+52>>1]=0;es=o[es+8>>2];l[o[o[es>>2]+20>>2]](es,ns,os,os,1,rs);if(p[ns+53|0]){o[ns+44>>2]=3;if(!p[ns+52|0]){break b}break a}o[ns+44>>2]=4}o[ns+20>>2]=os;o[ns+40>>2]=o[ns+40>>2]+1;if(o[ns+36>>2]!=1|o[ns+24>>2]!=2){break a}m[ns+54|0]=1;return}es=o[es+8>>2];l[o[o[es>>2]+24>>2]](es,ns,os,qs,rs)}}function ql(es,ns,os,qs,rs){es=es|0;ns=ns|0;os=os|0;qs=qs|0;rs=rs|0;if(hl(es,o[ns+8>>2],rs)){ol(ns,os,qs);return}a:{if(!hl(es,o[ns>>2],rs)){break a}if(!(o[ns+20>>2]!=(os|0)?o[ns+16>>2]!=(os|0):0)){if((qs|0)!=1){break a}o[ns+32>>2]=1;return}o[ns+20>>2]=os;o[ns+32>>2]=qs;o[ns+40>>2]=o[ns+40>>2]+1;if(!(o[ns+36>>2]!=1|o[ns+24>>2]!=2)){m[ns+54|0]=1}o[ns+44>>2]=4}}function rl(es,ns,os,qs,rs,ss){es=es|0;ns=ns|0;os=os|0;qs=qs|0;rs=rs|0;ss=ss|0;if(hl(es,o[ns+8>>2],ss)){nl(ns,os,qs,rs);return}es=o[es+8>>2];l[o[o[es>>2]+20>>2]](es,ns,os,qs,rs,ss)}function sl(es,ns,os,qs,rs,ss){es=es|0;ns=ns|0;os=os|0;qs=qs|0;rs=rs|0;ss=ss|0;if(hl(es,o[ns+8>>2],ss)){nl(ns,os,qs,rs)}}
+
+
+
+function tl(a){a=a|0;var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;l=R-16|0;R=l;a:{b:{c:{d:{e:{f:{g:{h:{i:{j:{k:{if(a>>>0<=244){f=o[3288];h=a>>>0<11?16:a+11&-8;b=h>>>3;a=f>>>b;if(a&3){d=b+((a^-1)&1)|0;b=d<<3;e=o[b+13200>>2];a=e+8|0;c=o[e+8>>2];b=b+13192|0;l:{if((c|0)==(b|0)){m=13152,n=Zl(d)&f,o[m>>2]=n;break l}o[c+12>>2]=b;o[b+8>>2]=c}b=d<<3;o[e+4>>2]=b|3;b=b+e|0;o[b+4>>2]=o[b+4>>2]|1;break a}k=o[3290];if(h>>>0<=k>>>0){break k}if(a){c=a<<b;a=2<<b;a=c&(0-a|a);b=(0-a&a)+ -1|0;a=b>>>12&16;c=a;b=b>>>a;a=b>>>5&8;c=c|a;b=b>>>a;a=b>>>2&4;c=c|a;b=b>>>a;a=b>>>1&2;c=c|a;b=b>>>a;a=b>>>1&1;c=(c|a)+(b>>>a)|0;a=c<<3;g=o[a+13200>>2];b=o[g+8>>2];a=a+13192|0;m:{if((b|0)==(a|0)){f=Zl(c)&f;o[3288]=f;break m}o[b+12>>2]=a;o[a+8>>2]=b}a=g+8|0;o[g+4>>2]=h|3;d=g+h|0;b=c<<3;e=b-h|0;o[d+4>>2]=e|1;o[b+g>>2]=e;if(k){b=k>>>3;c=(b<<3)+13192|0;h=o[3293];b=1<<b;n:{if(!(b&f)){o[3288]=b|f;b=c;break n}b=o[c+8>>2]}o[c+8>>2]=h;o[b+12>>2]=h;o[h+12>>2]=c;o[h+8>>2]=b}o[3293]=d;o[3290]=e;break a}i=o[3289];if(!i){break k}b=(i&0-i)+ -1|0;a=b>>>12&16;c=a;b=b>>>a;a=b>>>5&8;c=c|a;b=b>>>a;a=b>>>2&4;c=c|a;b=b>>>a;a=b>>>1&2;c=c|a;b=b>>>a;a=b>>>1&1;b=o[((c|a)+(b>>>a)<<2)+13456>>2];d=(o[b+4>>2]&-8)-h|0;c=b;while(1){o:{a=o[c+16>>2];if(!a){a=o[c+20>>2];if(!a){break o}}c=(o[a+4>>2]&-8)-h|0;e=c>>>0<d>>>0;d=e?c:d;b=e?a:b;c=a;continue}break}j=o[b+24>>2];e=o[b+12>>2];if((e|0)!=(b|0)){a=o[b+8>>2];o[a+12>>2]=e;o[e+8>>2]=a;break b}c=b+20|0;a=o[c>>2];if(!a){a=o[b+16>>2];if(!a){break j}c=b+16|0}while(1){g=c;e=a;c=a+20|0;a=o[c>>2];if(a){continue}c=e+16|0;a=o[e+16>>2];if(a){continue}break}o[g>>2]=0;break b}h=-1;if(a>>>0>4294967231){break k}a=a+11|0;h=a&-8;i=o[3289];if(!i){break k}a=a>>>8;g=0;p:{if(!a){break p}g=31;if(h>>>0>16777215){break p}b=a+1048320>>>16&8;a=a<<b;d=a+520192>>>16&4;a=a<<d;c=a+245760>>>16&2;a=(a<<c>>>15)-(c|(b|d))|0;g=(a<<1|h>>>a+21&1)+28|0}c=0-h|0;d=o[(g<<2)+13456>>2];q:{r:{s:{if(!d){a=0;break s}b=h<<((g|0)==31?0:25-(g>>>1)|0);a=0;while(1){t:{f=(o[d+4>>2]&-8)-h|0;if(f>>>0>=c>>>0){break t}e=d;c=f;if(c){break t}c=0;a=d;break r}f=o[d+20>>2];d=o[((b>>>29&4)+d|0)+16>>2];a=f?(f|0)==(d|0)?a:f:a;b=b<<((d|0)!=0);if(d){continue}break}}if(!(a|e)){a=2<<g;a=(0-a|a)&i;if(!a){break k}b=(a&0-a)+ -1|0;a=b>>>12&16;d=a;b=b>>>a;a=b>>>5&8;d=d|a;b=b>>>a;a=b>>>2&4;d=d|a;b=b>>>a;a=b>>>1&2;d=d|a;b=b>>>a;a=b>>>1&1;a=o[((d|a)+(b>>>a)<<2)+13456>>2]}if(!a){break q}}while(1){b=(o[a+4>>2]&-8)-h|0;d=b>>>0<c>>>0;c=d?b:c;e=d?a:e;b=o[a+16>>2];if(b){a=b}else{a=o[a+20>>2]}if(a){continue}break}}if(!e|c>>>0>=o[3290]-h>>>0){break k}g=o[e+24>>2];b=o[e+12>>2];if((e|0)!=(b|0)){a=o[e+8>>2];o[a+12>>2]=b;o[b+8>>2]=a;break c}d=e+20|0;a=o[d>>2];if(!a){a=o[e+16>>2];if(!a){break i}d=e+16|0}while(1){f=d;b=a;d=a+20|0;a=o[d>>2];if(a){continue}d=b+16|0;a=o[b+16>>2];if(a){continue}break}o[f>>2]=0;break c}c=o[3290];if(c>>>0>=h>>>0){d=o[3293];b=c-h|0;u:{if(b>>>0>=16){o[3290]=b;a=d+h|0;o[3293]=a;o[a+4>>2]=b|1;o[c+d>>2]=b;o[d+4>>2]=h|3;break u}o[3293]=0;o[3290]=0;o[d+4>>2]=c|3;a=c+d|0;o[a+4>>2]=o[a+4>>2]|1}a=d+8|0;break a}j=o[3291];if(j>>>0>h>>>0){b=j-h|0;o[3291]=b;c=o[3294];a=c+h|0;o[3294]=a;o[a+4>>2]=b|1;o[c+4>>2]=h|3;a=c+8|0;break a}a=0;i=h+47|0;b=i;if(o[3406]){c=o[3408]}else{o[3409]=-1;o[3410]=-1;o[3407]=4096;o[3408]=4096;o[3406]=l+12&-16^1431655768;o[3411]=0;o[3399]=0;c=4096}g=b+c|0;f=0-c|0;c=g&f;if(c>>>0<=h>>>0){break a}e=o[3398];if(e){d=o[3396];b=d+c|0;if(b>>>0<=d>>>0|b>>>0>e>>>0){break a}}if(p[13596]&4){break f}v:{w:{d=o[3294];if(d){a=13600;while(1){b=o[a>>2];if(b+o[a+4>>2]>>>0>d>>>0?b>>>0<=d>>>0:0){break w}a=o[a+8>>2];if(a){continue}break}}b=vl(0);if((b|0)==-1){break g}f=c;d=o[3407];a=d+ -1|0;if(a&b){f=(c-b|0)+(a+b&0-d)|0}if(f>>>0<=h>>>0|f>>>0>2147483646){break g}e=o[3398];if(e){d=o[3396];a=d+f|0;if(a>>>0<=d>>>0|a>>>0>e>>>0){break g}}a=vl(f);if((b|0)!=(a|0)){break v}break e}f=f&g-j;if(f>>>0>2147483646){break g}b=vl(f);if((b|0)==(o[a>>2]+o[a+4>>2]|0)){break h}a=b}b=a;if(!(h+48>>>0<=f>>>0|f>>>0>2147483646|(a|0)==-1)){a=o[3408];a=a+(i-f|0)&0-a;if(a>>>0>2147483646){break e}if((vl(a)|0)!=-1){f=a+f|0;break e}vl(0-f|0);break g}if((b|0)!=-1){break e}break g}e=0;break b}b=0;break c}if((b|0)!=-1){break e}}o[3399]=o[3399]|4}if(c>>>0>2147483646){break d}b=vl(c);a=vl(0);if(b>>>0>=a>>>0|(b|0)==-1|(a|0)==-1){break d}f=a-b|0;if(f>>>0<=h+40>>>0){break d}}a=o[3396]+f|0;o[3396]=a;if(a>>>0>r[3397]){o[3397]=a}x:{y:{z:{d=o[3294];if(d){a=13600;while(1){e=o[a>>2];c=o[a+4>>2];if((e+c|0)==(b|0)){break z}a=o[a+8>>2];if(a){continue}break}break y}a=o[3292];if(!(b>>>0>=a>>>0?a:0)){o[3292]=b}a=0;o[3401]=f;o[3400]=b;o[3296]=-1;o[3297]=o[3406];o[3403]=0;while(1){d=a<<3;c=d+13192|0;o[d+13200>>2]=c;o[d+13204>>2]=c;a=a+1|0;if((a|0)!=32){continue}break}d=f+ -40|0;a=b+8&7?-8-b&7:0;c=d-a|0;o[3291]=c;a=a+b|0;o[3294]=a;o[a+4>>2]=c|1;o[(b+d|0)+4>>2]=40;o[3295]=o[3410];break x}if(p[a+12|0]&8|b>>>0<=d>>>0|e>>>0>d>>>0){break y}o[a+4>>2]=c+f;a=d+8&7?-8-d&7:0;c=a+d|0;o[3294]=c;b=o[3291]+f|0;a=b-a|0;o[3291]=a;o[c+4>>2]=a|1;o[(b+d|0)+4>>2]=40;o[3295]=o[3410];break x}e=o[3292];if(b>>>0<e>>>0){o[3292]=b;e=0}c=b+f|0;a=13600;A:{B:{C:{D:{E:{F:{while(1){if((c|0)!=o[a>>2]){a=o[a+8>>2];if(a){continue}break F}break}if(!(p[a+12|0]&8)){break E}}a=13600;while(1){c=o[a>>2];if(c>>>0<=d>>>0){g=c+o[a+4>>2]|0;if(g>>>0>d>>>0){break D}}a=o[a+8>>2];continue}}o[a>>2]=b;o[a+4>>2]=o[a+4>>2]+f;j=(b+8&7?-8-b&7:0)+b|0;o[j+4>>2]=h|3;b=c+(c+8&7?-8-c&7:0)|0;a=(b-j|0)-h|0;g=h+j|0;if((b|0)==(d|0)){o[3294]=g;a=o[3291]+a|0;o[3291]=a;o[g+4>>2]=a|1;break B}if(o[3293]==(b|0)){o[3293]=g;a=o[3290]+a|0;o[3290]=a;o[g+4>>2]=a|1;o[a+g>>2]=a;break B}c=o[b+4>>2];if((c&3)==1){i=c&-8;G:{if(c>>>0<=255){e=o[b+8>>2];c=c>>>3;d=o[b+12>>2];if((d|0)==(e|0)){m=13152,n=o[3288]&Zl(c),o[m>>2]=n;break G}o[e+12>>2]=d;o[d+8>>2]=e;break G}k=o[b+24>>2];f=o[b+12>>2];H:{if((f|0)!=(b|0)){c=o[b+8>>2];o[c+12>>2]=f;o[f+8>>2]=c;break H}I:{d=b+20|0;h=o[d>>2];if(h){break I}d=b+16|0;h=o[d>>2];if(h){break I}f=0;break H}while(1){c=d;f=h;d=f+20|0;h=o[d>>2];if(h){continue}d=f+16|0;h=o[f+16>>2];if(h){continue}break}o[c>>2]=0}if(!k){break G}d=o[b+28>>2];c=(d<<2)+13456|0;J:{if(o[c>>2]==(b|0)){o[c>>2]=f;if(f){break J}m=13156,n=o[3289]&Zl(d),o[m>>2]=n;break G}o[k+(o[k+16>>2]==(b|0)?16:20)>>2]=f;if(!f){break G}}o[f+24>>2]=k;c=o[b+16>>2];if(c){o[f+16>>2]=c;o[c+24>>2]=f}c=o[b+20>>2];if(!c){break G}o[f+20>>2]=c;o[c+24>>2]=f}b=b+i|0;a=a+i|0}o[b+4>>2]=o[b+4>>2]&-2;o[g+4>>2]=a|1;o[a+g>>2]=a;if(a>>>0<=255){a=a>>>3;b=(a<<3)+13192|0;c=o[3288];a=1<<a;K:{if(!(c&a)){o[3288]=a|c;a=b;break K}a=o[b+8>>2]}o[b+8>>2]=g;o[a+12>>2]=g;o[g+12>>2]=b;o[g+8>>2]=a;break B}b=g;d=a>>>8;c=0;L:{if(!d){break L}c=31;if(a>>>0>16777215){break L}c=d;d=d+1048320>>>16&8;c=c<<d;f=c+520192>>>16&4;c=c<<f;e=c+245760>>>16&2;c=(c<<e>>>15)-(e|(d|f))|0;c=(c<<1|a>>>c+21&1)+28|0}o[b+28>>2]=c;o[g+16>>2]=0;o[g+20>>2]=0;e=(c<<2)+13456|0;d=o[3289];b=1<<c;M:{if(!(d&b)){o[3289]=b|d;o[e>>2]=g;o[g+24>>2]=e;break M}d=a<<((c|0)==31?0:25-(c>>>1)|0);b=o[e>>2];while(1){c=b;if((o[b+4>>2]&-8)==(a|0)){break C}b=d>>>29;d=d<<1;e=(c+(b&4)|0)+16|0;b=o[e>>2];if(b){continue}break}o[e>>2]=g;o[g+24>>2]=c}o[g+12>>2]=g;o[g+8>>2]=g;break B}e=f+ -40|0;a=b+8&7?-8-b&7:0;c=e-a|0;o[3291]=c;a=a+b|0;o[3294]=a;o[a+4>>2]=c|1;o[(b+e|0)+4>>2]=40;o[3295]=o[3410];a=(g+(g+ -39&7?39-g&7:0)|0)+ -47|0;c=a>>>0<d+16>>>0?d:a;o[c+4>>2]=27;a=o[3403];o[c+16>>2]=o[3402];o[c+20>>2]=a;a=o[3401];o[c+8>>2]=o[3400];o[c+12>>2]=a;o[3402]=c+8;o[3401]=f;o[3400]=b;o[3403]=0;a=c+24|0;while(1){o[a+4>>2]=7;b=a+8|0;a=a+4|0;if(b>>>0<g>>>0){continue}break}if((c|0)==(d|0)){break x}o[c+4>>2]=o[c+4>>2]&-2;g=c-d|0;o[d+4>>2]=g|1;o[c>>2]=g;if(g>>>0<=255){a=g>>>3;b=(a<<3)+13192|0;c=o[3288];a=1<<a;N:{if(!(c&a)){o[3288]=a|c;a=b;break N}a=o[b+8>>2]}o[b+8>>2]=d;o[a+12>>2]=d;o[d+12>>2]=b;o[d+8>>2]=a;break x}o[d+16>>2]=0;o[d+20>>2]=0;a=d;c=g>>>8;b=0;O:{if(!c){break O}b=31;if(g>>>0>16777215){break O}b=c;c=c+1048320>>>16&8;b=b<<c;f=b+520192>>>16&4;b=b<<f;e=b+245760>>>16&2;b=(b<<e>>>15)-(e|(c|f))|0;b=(b<<1|g>>>b+21&1)+28|0}o[a+28>>2]=b;e=(b<<2)+13456|0;c=o[3289];a=1<<b;P:{if(!(c&a)){o[3289]=a|c;o[e>>2]=d;o[d+24>>2]=e;break P}a=g<<((b|0)==31?0:25-(b>>>1)|0);b=o[e>>2];while(1){c=b;if((g|0)==(o[b+4>>2]&-8)){break A}b=a>>>29;a=a<<1;e=(c+(b&4)|0)+16|0;b=o[e>>2];if(b){continue}break}o[e>>2]=d;o[d+24>>2]=c}o[d+12>>2]=d;o[d+8>>2]=d;break x}a=o[c+8>>2];o[a+12>>2]=g;o[c+8>>2]=g;o[g+24>>2]=0;o[g+12>>2]=c;o[g+8>>2]=a}a=j+8|0;break a}a=o[c+8>>2];o[a+12>>2]=d;o[c+8>>2]=d;o[d+24>>2]=0;o[d+12>>2]=c;o[d+8>>2]=a}a=o[3291];if(a>>>0<=h>>>0){break d}b=a-h|0;o[3291]=b;c=o[3294];a=c+h|0;o[3294]=a;o[a+4>>2]=b|1;o[c+4>>2]=h|3;a=c+8|0;break a}o[3269]=48;a=0;break a}Q:{if(!g){break Q}d=o[e+28>>2];a=(d<<2)+13456|0;R:{if(o[a>>2]==(e|0)){o[a>>2]=b;if(b){break R}i=Zl(d)&i;o[3289]=i;break Q}o[g+(o[g+16>>2]==(e|0)?16:20)>>2]=b;if(!b){break Q}}o[b+24>>2]=g;a=o[e+16>>2];if(a){o[b+16>>2]=a;o[a+24>>2]=b}a=o[e+20>>2];if(!a){break Q}o[b+20>>2]=a;o[a+24>>2]=b}S:{if(c>>>0<=15){a=c+h|0;o[e+4>>2]=a|3;a=a+e|0;o[a+4>>2]=o[a+4>>2]|1;break S}o[e+4>>2]=h|3;d=e+h|0;o[d+4>>2]=c|1;o[c+d>>2]=c;if(c>>>0<=255){a=c>>>3;b=(a<<3)+13192|0;c=o[3288];a=1<<a;T:{if(!(c&a)){o[3288]=a|c;a=b;break T}a=o[b+8>>2]}o[b+8>>2]=d;o[a+12>>2]=d;o[d+12>>2]=b;o[d+8>>2]=a;break S}a=d;f=c>>>8;b=0;U:{if(!f){break U}b=31;if(c>>>0>16777215){break U}b=f;f=f+1048320>>>16&8;b=b<<f;g=b+520192>>>16&4;b=b<<g;h=b+245760>>>16&2;b=(b<<h>>>15)-(h|(f|g))|0;b=(b<<1|c>>>b+21&1)+28|0}o[a+28>>2]=b;o[d+16>>2]=0;o[d+20>>2]=0;f=(b<<2)+13456|0;V:{a=1<<b;W:{if(!(a&i)){o[3289]=a|i;o[f>>2]=d;o[d+24>>2]=f;break W}a=c<<((b|0)==31?0:25-(b>>>1)|0);h=o[f>>2];while(1){b=h;if((o[b+4>>2]&-8)==(c|0)){break V}f=a>>>29;a=a<<1;f=(b+(f&4)|0)+16|0;h=o[f>>2];if(h){continue}break}o[f>>2]=d;o[d+24>>2]=b}o[d+12>>2]=d;o[d+8>>2]=d;break S}a=o[b+8>>2];o[a+12>>2]=d;o[b+8>>2]=d;o[d+24>>2]=0;o[d+12>>2]=b;o[d+8>>2]=a}a=e+8|0;break a}X:{if(!j){break X}c=o[b+28>>2];a=(c<<2)+13456|0;Y:{if(o[a>>2]==(b|0)){o[a>>2]=e;if(e){break Y}m=13156,n=Zl(c)&i,o[m>>2]=n;break X}o[(o[j+16>>2]==(b|0)?16:20)+j>>2]=e;if(!e){break X}}o[e+24>>2]=j;a=o[b+16>>2];if(a){o[e+16>>2]=a;o[a+24>>2]=e}a=o[b+20>>2];if(!a){break X}o[e+20>>2]=a;o[a+24>>2]=e}Z:{if(d>>>0<=15){a=d+h|0;o[b+4>>2]=a|3;a=a+b|0;o[a+4>>2]=o[a+4>>2]|1;break Z}o[b+4>>2]=h|3;e=b+h|0;o[e+4>>2]=d|1;o[d+e>>2]=d;if(k){a=k>>>3;c=(a<<3)+13192|0;h=o[3293];a=1<<a;_:{if(!(a&f)){o[3288]=a|f;a=c;break _}a=o[c+8>>2]}o[c+8>>2]=h;o[a+12>>2]=h;o[h+12>>2]=c;o[h+8>>2]=a}o[3293]=e;o[3290]=d}a=b+8|0}R=l+16|0;return a|0}function ul(a){a=a|0;var p=0,q=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0;a:{if(!a){break a}s=a+ -8|0;q=o[a+ -4>>2];a=q&-8;u=s+a|0;b:{if(q&1){break b}if(!(q&3)){break a}q=o[s>>2];s=s-q|0;if(s>>>0<r[3292]){break a}a=a+q|0;if(o[3293]!=(s|0)){if(q>>>0<=255){t=o[s+8>>2];q=q>>>3;p=o[s+12>>2];if((p|0)==(t|0)){x=13152,y=o[3288]&Zl(q),o[x>>2]=y;break b}o[t+12>>2]=p;o[p+8>>2]=t;break b}w=o[s+24>>2];q=o[s+12>>2];c:{if((q|0)!=(s|0)){p=o[s+8>>2];o[p+12>>2]=q;o[q+8>>2]=p;break c}d:{t=s+20|0;p=o[t>>2];if(p){break d}t=s+16|0;p=o[t>>2];if(p){break d}q=0;break c}while(1){v=t;q=p;t=q+20|0;p=o[t>>2];if(p){continue}t=q+16|0;p=o[q+16>>2];if(p){continue}break}o[v>>2]=0}if(!w){break b}t=o[s+28>>2];p=(t<<2)+13456|0;e:{if(o[p>>2]==(s|0)){o[p>>2]=q;if(q){break e}x=13156,y=o[3289]&Zl(t),o[x>>2]=y;break b}o[w+(o[w+16>>2]==(s|0)?16:20)>>2]=q;if(!q){break b}}o[q+24>>2]=w;p=o[s+16>>2];if(p){o[q+16>>2]=p;o[p+24>>2]=q}p=o[s+20>>2];if(!p){break b}o[q+20>>2]=p;o[p+24>>2]=q;break b}q=o[u+4>>2];if((q&3)!=3){break b}o[3290]=a;o[u+4>>2]=q&-2;o[s+4>>2]=a|1;o[a+s>>2]=a;return}if(u>>>0<=s>>>0){break a}q=o[u+4>>2];if(!(q&1)){break a}f:{if(!(q&2)){if((u|0)==o[3294]){o[3294]=s;a=o[3291]+a|0;o[3291]=a;o[s+4>>2]=a|1;if(o[3293]!=(s|0)){break a}o[3290]=0;o[3293]=0;return}if((u|0)==o[3293]){o[3293]=s;a=o[3290]+a|0;o[3290]=a;o[s+4>>2]=a|1;o[a+s>>2]=a;return}a=(q&-8)+a|0;g:{if(q>>>0<=255){p=o[u+8>>2];q=q>>>3;t=o[u+12>>2];if((p|0)==(t|0)){x=13152,y=o[3288]&Zl(q),o[x>>2]=y;break g}o[p+12>>2]=t;o[t+8>>2]=p;break g}w=o[u+24>>2];q=o[u+12>>2];h:{if((u|0)!=(q|0)){p=o[u+8>>2];o[p+12>>2]=q;o[q+8>>2]=p;break h}i:{t=u+20|0;p=o[t>>2];if(p){break i}t=u+16|0;p=o[t>>2];if(p){break i}q=0;break h}while(1){v=t;q=p;t=q+20|0;p=o[t>>2];if(p){continue}t=q+16|0;p=o[q+16>>2];if(p){continue}break}o[v>>2]=0}if(!w){break g}t=o[u+28>>2];p=(t<<2)+13456|0;j:{if((u|0)==o[p>>2]){o[p>>2]=q;if(q){break j}x=13156,y=o[3289]&Zl(t),o[x>>2]=y;break g}o[w+((u|0)==o[w+16>>2]?16:20)>>2]=q;if(!q){break g}}o[q+24>>2]=w;p=o[u+16>>2];if(p){o[q+16>>2]=p;o[p+24>>2]=q}p=o[u+20>>2];if(!p){break g}o[q+20>>2]=p;o[p+24>>2]=q}o[s+4>>2]=a|1;o[a+s>>2]=a;if(o[3293]!=(s|0)){break f}o[3290]=a;return}o[u+4>>2]=q&-2;o[s+4>>2]=a|1;o[a+s>>2]=a}if(a>>>0<=255){a=a>>>3;q=(a<<3)+13192|0;p=o[3288];a=1<<a;k:{if(!(p&a)){o[3288]=a|p;a=q;break k}a=o[q+8>>2]}o[q+8>>2]=s;o[a+12>>2]=s;o[s+12>>2]=q;o[s+8>>2]=a;return}o[s+16>>2]=0;o[s+20>>2]=0;q=s;t=a>>>8;p=0;l:{if(!t){break l}p=31;if(a>>>0>16777215){break l}p=t;t=t+1048320>>>16&8;p=p<<t;w=p+520192>>>16&4;p=p<<w;v=p+245760>>>16&2;p=(p<<v>>>15)-(v|(t|w))|0;p=(p<<1|a>>>p+21&1)+28|0}o[q+28>>2]=p;v=(p<<2)+13456|0;t=o[3289];q=1<<p;m:{if(!(t&q)){o[3289]=q|t;o[v>>2]=s;o[s+12>>2]=s;o[s+24>>2]=v;o[s+8>>2]=s;break m}t=a<<((p|0)==31?0:25-(p>>>1)|0);q=o[v>>2];n:{while(1){p=q;if((o[q+4>>2]&-8)==(a|0)){break n}q=t>>>29;t=t<<1;v=(p+(q&4)|0)+16|0;q=o[v>>2];if(q){continue}break}o[v>>2]=s;o[s+12>>2]=s;o[s+24>>2]=p;o[s+8>>2]=s;break m}a=o[p+8>>2];o[a+12>>2]=s;o[p+8>>2]=s;o[s+24>>2]=0;o[s+12>>2]=p;o[s+8>>2]=a}a=o[3296]+ -1|0;o[3296]=a;if(a){break a}s=13608;while(1){a=o[s>>2];s=a+8|0;if(a){continue}break}o[3296]=-1}}function vl(a){var r=0;r=o[3416];a=r+a|0;if((a|0)<=-1){o[3269]=48;return-1}a:{if(a>>>0<=U()<<16>>>0){break a}if(N(a|0)){break a}o[3269]=48;return-1}o[3416]=a;return r}function wl(a,z,A){var B=0,C=0,D=0;if(A>>>0>=8192){O(a|0,z|0,A|0)|0;return a}C=a+A|0;a:{if(!((a^z)&3)){b:{if((A|0)<1){A=a;break b}if(!(a&3)){A=a;break b}A=a;while(1){m[A|0]=p[z|0];z=z+1|0;A=A+1|0;if(A>>>0>=C>>>0){break b}if(A&3){continue}break}}B=C&-4;c:{if(B>>>0<64){break c}D=B+ -64|0;if(A>>>0>D>>>0){break c}while(1){o[A>>2]=o[z>>2];o[A+4>>2]=o[z+4>>2];o[A+8>>2]=o[z+8>>2];o[A+12>>2]=o[z+12>>2];o[A+16>>2]=o[z+16>>2];o[A+20>>2]=o[z+20>>2];o[A+24>>2]=o[z+24>>2];o[A+28>>2]=o[z+28>>2];o[A+32>>2]=o[z+32>>2];o[A+36>>2]=o[z+36>>2];o[A+40>>2]=o[z+40>>2];o[A+44>>2]=o[z+44>>2];o[A+48>>2]=o[z+48>>2];o[A+52>>2]=o[z+52>>2];o[A+56>>2]=o[z+56>>2];o[A+60>>2]=o[z+60>>2];z=z- -64|0;A=A- -64|0;if(A>>>0<=D>>>0){continue}break}}if(A>>>0>=B>>>0){break a}while(1){o[A>>2]=o[z>>2];z=z+4|0;A=A+4|0;if(A>>>0<B>>>0){continue}break}break a}if(C>>>0<4){A=a;break a}B=C+ -4|0;if(B>>>0<a>>>0){A=a;break a}A=a;while(1){m[A|0]=p[z|0];m[A+1|0]=p[z+1|0];m[A+2|0]=p[z+2|0];m[A+3|0]=p[z+3|0];z=z+4|0;A=A+4|0;if(A>>>0<=B>>>0){continue}break}}if(A>>>0<C>>>0){while(1){m[A|0]=p[z|0];z=z+1|0;A=A+1|0;if((C|0)!=(A|0)){continue}break}}return a}function xl(a,z,A){var E=0,F=0,G=0,H=0;a:{if(!A){break a}E=a+A|0;m[E+ -1|0]=z;m[a|0]=z;if(A>>>0<3){break a}m[E+ -2|0]=z;m[a+1|0]=z;m[E+ -3|0]=z;m[a+2|0]=z;if(A>>>0<7){break a}m[E+ -4|0]=z;m[a+3|0]=z;if(A>>>0<9){break a}E=0-a&3;F=E+a|0;z=u(z&255,16843009);o[F>>2]=z;A=A-E&-4;E=A+F|0;o[E+ -4>>2]=z;if(A>>>0<9){break a}o[F+8>>2]=z;o[F+4>>2]=z;o[E+ -8>>2]=z;o[E+ -12>>2]=z;if(A>>>0<25){break a}o[F+24>>2]=z;o[F+20>>2]=z;o[F+16>>2]=z;o[F+12>>2]=z;o[E+ -16>>2]=z;o[E+ -20>>2]=z;o[E+ -24>>2]=z;o[E+ -28>>2]=z;H=F&4|24;A=A-H|0;if(A>>>0<32){break a}E=z;G=z;z=F+H|0;while(1){o[z+24>>2]=G;o[z+28>>2]=E;o[z+16>>2]=G;o[z+20>>2]=E;o[z+8>>2]=G;o[z+12>>2]=E;o[z>>2]=G;o[z+4>>2]=E;z=z+32|0;A=A+ -32|0;if(A>>>0>31){continue}break}}return a}function yl(a,z,A){var I=0,J=0;a:{if((a|0)==(z|0)){break a}b:{if(z+A>>>0>a>>>0){J=a+A|0;if(J>>>0>z>>>0){break b}}return wl(a,z,A)}I=(a^z)&3;c:{d:{if(a>>>0<z>>>0){if(I){I=a;break c}if(!(a&3)){I=a;break d}I=a;while(1){if(!A){break a}m[I|0]=p[z|0];z=z+1|0;A=A+ -1|0;I=I+1|0;if(I&3){continue}break}break d}e:{if(I){break e}if(J&3){while(1){if(!A){break a}A=A+ -1|0;I=A+a|0;m[I|0]=p[z+A|0];if(I&3){continue}break}}if(A>>>0<=3){break e}while(1){A=A+ -4|0;o[A+a>>2]=o[z+A>>2];if(A>>>0>3){continue}break}}if(!A){break a}while(1){A=A+ -1|0;m[A+a|0]=p[z+A|0];if(A){continue}break}break a}if(A>>>0<=3){break c}J=A;while(1){o[I>>2]=o[z>>2];z=z+4|0;I=I+4|0;J=J+ -4|0;if(J>>>0>3){continue}break}A=A&3}if(!A){break a}while(1){m[I|0]=p[z|0];I=I+1|0;z=z+1|0;A=A+ -1|0;if(A){continue}break}}return a}function zl(a,z){a=a|0;z=z|0;if(!o[3412]){o[3413]=z;o[3412]=a}}function Al(){return R|0}function Bl(a){a=a|0;a=R-a&-16;R=a;return a|0}function Cl(a){a=a|0;R=a}function Dl(a){a=a|0;return V(a|0)|0}function El(a,o){a=a|0;o=o|0;return l[a](o)|0}function Fl(a,o){a=a|0;o=o|0;l[a](o)}function Gl(a,o,z){a=a|0;o=o|0;z=z|0;return l[a](o,z)|0}function Hl(a,o,z){a=a|0;o=o|0;z=z|0;l[a](o,z)}function Il(a,o,z,A){a=a|0;o=o|0;z=z|0;A=A|0;return l[a](o,z,A)|0}function Jl(a){a=a|0;l[a]()}function Kl(a,o,z,A){a=a|0;o=o|0;z=z|0;A=A|0;l[a](o,z,A)}function Ll(a,o,z,A,K){a=a|0;o=o|0;z=z|0;A=A|0;K=K|0;l[a](o,z,A,K)}function Ml(a,o,z,A,K,L,M){a=a|0;o=o|0;z=z|0;A=A|0;K=K|0;L=L|0;M=M|0;return l[a](o,z,A,K,L,M)|0}function Nl(a,o,z,A,K,L,M){a=a|0;o=o|0;z=+z;A=A|0;K=K|0;L=L|0;M=M|0;return l[a](o,z,A,K,L,M)|0}function Ol(a,o,z,A,K,L,M){a=a|0;o=o|0;z=z|0;A=A|0;K=K|0;L=L|0;M=M|0;l[a](o,z,A,K,L,M)}function Pl(a,o,z,A,K,L){a=a|0;o=o|0;z=z|0;A=A|0;K=K|0;L=L|0;l[a](o,z,A,K,L)}function Ql(a,o,z,A,K){a=a|0;o=o|0;z=z|0;A=A|0;K=K|0;a=l[a](o,z,A,K)|0;P(T|0);return a|0}function Rl(a,o){i(a|0,o|0)}function Sl(a,o,z,A){var K=0,L=0,M=0,N=0,O=0,P=0;K=z>>>16;L=a>>>16;P=u(K,L);M=z&65535;N=a&65535;O=u(M,N);L=(O>>>16)+u(L,M)|0;K=(L&65535)+u(K,N)|0;a=(((u(o,z)+P|0)+u(a,A)|0)+(L>>>16)|0)+(K>>>16)|0;o=O&65535|K<<16;T=a;return o}function Tl(a,o,z,A){var Q=0,R=0,S=0,U=0;Q=o;R=Q>>31;Q=Q>>31;a=a^Q;S=a-Q|0;U=(o^R)-((a>>>0<Q>>>0)+R|0)|0;Q=A;R=Q>>31;Q=Q>>31;a=z^Q;Q=Xl(S,U,a-Q|0,(A^R)-((a>>>0<Q>>>0)+R|0)|0);o=o^A;z=o>>31;a=o>>31;o=Q^a;A=o-a|0;T=(z^T)-((o>>>0<a>>>0)+z|0)|0;return A}function Ul(a,o,z,A){var V=0,W=0,X=0,Y=0,Z=0,_=0,$=0,aa=0,ba=0,ca=0,da=0;a:{b:{c:{d:{e:{f:{g:{h:{i:{j:{X=o;if(X){V=z;if(!V){break j}W=A;if(!W){break i}W=x(W)-x(X)|0;if(W>>>0<=31){break h}break b}if((A|0)==1&z>>>0>=0|A>>>0>1){break b}o=(a>>>0)/(z>>>0)|0;Rl(a-u(o,z)|0,0);T=0;return o}V=A;if(!a){break g}if(!V){break f}W=V+ -1|0;if(W&V){break f}Rl(a,W&X);a=X>>>(_l(V)&31);T=0;return a}W=V+ -1|0;if(!(W&V)){break e}_=(x(V)+33|0)-x(X)|0;Y=0-_|0;break c}_=W+1|0;Y=63-W|0;break c}a=(X>>>0)/(V>>>0)|0;Rl(0,X-u(a,V)|0);T=0;return a}W=x(V)-x(X)|0;if(W>>>0<31){break d}break b}Rl(a&W,0);if((V|0)==1){break a}z=a;a=_l(V);A=a&31;if(32<=(a&63)>>>0){W=0;a=o>>>A}else{W=o>>>A;a=((1<<A)-1&o)<<32-A|z>>>A}T=W;return a}_=W+1|0;Y=63-W|0}V=o;X=a;W=_&63;Z=W&31;if(32<=(W&63)>>>0){W=0;aa=V>>>Z}else{W=V>>>Z;aa=((1<<Z)-1&V)<<32-Z|X>>>Z}a=Y&63;Y=a&31;if(32<=(a&63)>>>0){V=X<<Y;a=0}else{V=(1<<Y)-1&X>>>32-Y|o<<Y;a=X<<Y}o=V;if(_){X=A+ -1|0;V=z+ -1|0;if(V>>>0<4294967295){X=X+1|0}Y=V;while(1){V=aa;W=W<<1|V>>>31;V=V<<1;$=W;W=o>>>31|V;ba=$;V=$;$=W;Z=X-((Y>>>0<W>>>0)+V|0)|0;V=Z>>31;Z=Z>>31;W=z&Z;aa=$-W|0;W=ba-((A&V)+($>>>0<W>>>0)|0)|0;V=o<<1|a>>>31;a=ca|a<<1;o=V|da;V=0;ba=V;$=Z&1;ca=$;_=_+ -1|0;if(_){continue}break}}Rl(aa,W);V=o<<1|a>>>31;a=$|a<<1;T=V|ba;return a}Rl(a,o);a=0;o=0}T=o;return a}function Vl(a,o,z,A){a=Sl(a,o,z,A);return a}function Wl(a,o,z,A){a=Tl(a,o,z,A);return a}function Xl(a,o,z,A){a=Ul(a,o,z,A);return a}function Yl(a){var o=0,z=0;while(1){z=o;if(a){a=a-1&a;o=o+1|0;continue}break}return z}function Zl(a){var A=0;A=a&31;a=0-a&31;return(-1>>>A&-2)<<A|(-1<<a&-2)>>>a}function _l(a){if(a){return 31-x(a+ -1^a)|0}return 32}
+
+
+
+
+// EMSCRIPTEN_END_FUNCS
+l[1]=cl;l[2]=$c;l[3]=ad;l[4]=bd;l[5]=Zc;l[6]=_c;l[7]=gd;l[8]=hd;l[9]=id;l[10]=cd;l[11]=dd;l[12]=zd;l[13]=Ad;l[14]=vd;l[15]=wd;l[16]=Bd;l[17]=Cd;l[18]=Dd;l[19]=zb;l[20]=Ed;l[21]=al;l[22]=Fd;l[23]=id;l[24]=Od;l[25]=Pd;l[26]=Hd;l[27]=Id;l[28]=Jd;l[29]=Kd;l[30]=Fd;l[31]=Md;l[32]=Nd;l[33]=Yd;l[34]=Zd;l[35]=Rd;l[36]=Td;l[37]=_d;l[38]=Ud;l[39]=Vd;l[40]=Wd;l[41]=Xd;l[42]=ie;l[43]=je;l[44]=ae;l[45]=be;l[46]=ce;l[47]=fe;l[48]=de;l[49]=ke;l[50]=he;l[51]=qe;l[52]=re;l[53]=id;l[54]=vb;l[55]=se;l[56]=te;l[57]=ue;l[58]=Ed;l[59]=te;l[60]=id;l[61]=ve;l[62]=we;l[63]=Ad;l[64]=Ad;l[65]=xe;l[66]=ye;l[67]=ze;l[68]=se;l[69]=Ae;l[70]=De;l[71]=Ee;l[72]=Fe;l[73]=Ge;l[74]=He;l[75]=id;l[76]=Ed;l[77]=Ie;l[78]=Je;l[79]=Ke;l[80]=Ne;l[81]=Oe;l[82]=Pe;l[83]=Qe;l[84]=id;l[85]=Ed;l[86]=Re;l[87]=Se;l[88]=Te;l[89]=$c;l[90]=ad;l[91]=Ve;l[92]=zb;l[93]=Ue;l[94]=re;l[95]=id;l[96]=se;l[97]=Ye;l[98]=Ad;l[99]=Ze;l[100]=_e;l[101]=ze;l[102]=se;l[103]=Ae;l[104]=$e;l[105]=af;l[106]=bf;l[107]=Ge;l[108]=He;l[109]=id;l[110]=Ed;l[111]=Ie;l[112]=Je;l[113]=cf;l[114]=ef;l[115]=ff;l[116]=Pe;l[117]=Qe;l[118]=id;l[119]=Ed;l[120]=Re;l[121]=Se;l[122]=gf;l[123]=$c;l[124]=ad;l[125]=Ve;l[126]=zb;l[127]=hf;l[128]=re;l[129]=te;l[130]=id;l[131]=kf;l[132]=je;l[133]=lf;l[134]=nf;l[135]=mf;l[136]=qf;l[137]=bd;l[138]=of;l[139]=sf;l[140]=tf;l[141]=Pe;l[142]=vb;l[143]=uf;l[144]=id;l[145]=Ed;l[146]=vf;l[147]=id;l[148]=wf;l[149]=xf;l[150]=yf;l[151]=$c;l[152]=ad;l[153]=Ve;l[154]=zb;l[155]=Ue;l[156]=Bf;l[157]=Cf;l[158]=Pe;l[159]=uf;l[160]=id;l[161]=Ed;l[162]=vf;l[163]=xf;l[164]=Df;l[165]=$c;l[166]=ad;l[167]=Ve;l[168]=zb;l[169]=hf;l[170]=$c;l[171]=ad;l[172]=te;l[173]=id;l[174]=te;l[175]=ue;l[176]=Ed;l[177]=Af;l[178]=Ef;l[179]=Kf;l[180]=Lf;l[181]=Ff;l[182]=Gf;l[183]=mf;l[184]=Hf;l[185]=If;l[186]=Jf;l[187]=wg;l[188]=Ad;l[189]=id;l[190]=id;l[191]=vg;l[192]=gi;l[193]=hi;l[194]=id;l[195]=te;l[196]=Ed;l[197]=Ed;l[198]=Bg;l[199]=Cg;l[200]=yg;l[201]=xg;l[202]=Ag;l[203]=Dg;l[204]=Eg;l[205]=Fg;l[206]=zg;l[207]=lh;l[208]=mh;l[209]=Ig;l[210]=Jg;l[211]=Kg;l[212]=Lg;l[213]=Sg;l[214]=id;l[215]=vb;l[216]=eh;l[217]=nh;l[218]=ph;l[219]=Ig;l[220]=Jg;l[221]=Kg;l[222]=Lg;l[223]=gh;l[224]=id;l[225]=vb;l[226]=eh;l[227]=Rg;l[228]=qh;l[229]=Qg;l[230]=rh;l[231]=sh;l[232]=wh;l[233]=xh;l[234]=yh;l[235]=zh;l[236]=vh;l[237]=Bh;l[238]=th;l[239]=Ch;l[240]=Dh;l[241]=Fh;l[242]=Gh;l[243]=Hh;l[244]=Ih;l[245]=Eh;l[246]=Kh;l[247]=Lh;l[248]=Mh;l[249]=Nh;l[250]=Oh;l[251]=Zh;l[252]=Yh;l[253]=Uh;l[254]=$c;l[255]=ad;l[256]=_h;l[257]=$h;l[258]=Ad;l[259]=te;l[260]=id;l[261]=Ni;l[262]=Oi;l[263]=Pi;l[264]=Ri;l[265]=Mi;l[266]=Bj;l[267]=wj;l[268]=zj;l[269]=Pj;l[270]=Qj;l[271]=Tj;l[272]=Rj;l[273]=Sj;l[274]=qk;l[275]=$c;l[276]=ad;l[277]=bl;l[278]=el;l[279]=fl;l[280]=gl;l[281]=$c;l[282]=ad;l[283]=Cj;l[284]=Cj;l[285]=il;l[286]=sl;l[287]=ql;l[288]=ll;l[289]=ad;l[290]=rl;l[291]=pl;l[292]=ml;function U(){return buffer.byteLength/65536|0}function V(pagesToAdd){pagesToAdd=pagesToAdd|0;var W=U()|0;var X=W+pagesToAdd|0;if(W<X&&X<65536){var Y=new ArrayBuffer(u(X,65536));var Z=new global.Int8Array(Y);Z.set(m);m=Z;m=new global.Int8Array(Y);n=new global.Int16Array(Y);o=new global.Int32Array(Y);p=new global.Uint8Array(Y);q=new global.Uint16Array(Y);r=new global.Uint32Array(Y);s=new global.Float32Array(Y);t=new global.Float64Array(Y);buffer=Y;k.buffer=Y}return W}return{"__wasm_call_ctors":ca,"emscripten_bind_Status_code_0":db,"emscripten_bind_Status_ok_0":eb,"emscripten_bind_Status_error_msg_0":fb,"emscripten_bind_Status___destroy___0":gb,"emscripten_bind_DracoUInt16Array_DracoUInt16Array_0":hb,"emscripten_bind_DracoUInt16Array_GetValue_1":ib,"emscripten_bind_DracoUInt16Array_size_0":jb,"emscripten_bind_DracoUInt16Array___destroy___0":kb,"emscripten_bind_PointCloud_PointCloud_0":lb,"emscripten_bind_PointCloud_num_attributes_0":mb,"emscripten_bind_PointCloud_num_points_0":nb,"emscripten_bind_PointCloud___destroy___0":ob,"emscripten_bind_DracoUInt8Array_DracoUInt8Array_0":hb,"emscripten_bind_DracoUInt8Array_GetValue_1":pb,"emscripten_bind_DracoUInt8Array_size_0":qb,"emscripten_bind_DracoUInt8Array___destroy___0":kb,"emscripten_bind_DracoUInt32Array_DracoUInt32Array_0":hb,"emscripten_bind_DracoUInt32Array_GetValue_1":rb,"emscripten_bind_DracoUInt32Array_size_0":sb,"emscripten_bind_DracoUInt32Array___destroy___0":kb,"emscripten_bind_AttributeOctahedronTransform_AttributeOctahedronTransform_0":tb,"emscripten_bind_AttributeOctahedronTransform_InitFromAttribute_1":ub,"emscripten_bind_AttributeOctahedronTransform_quantization_bits_0":vb,"emscripten_bind_AttributeOctahedronTransform___destroy___0":ob,"emscripten_bind_PointAttribute_PointAttribute_0":wb,"emscripten_bind_PointAttribute_size_0":nb,"emscripten_bind_PointAttribute_GetAttributeTransformData_0":xb,"emscripten_bind_PointAttribute_attribute_type_0":yb,"emscripten_bind_PointAttribute_data_type_0":zb,"emscripten_bind_PointAttribute_num_components_0":Ab,"emscripten_bind_PointAttribute_normalized_0":Bb,"emscripten_bind_PointAttribute_byte_stride_0":Cb,"emscripten_bind_PointAttribute_byte_offset_0":Db,"emscripten_bind_PointAttribute_unique_id_0":Eb,"emscripten_bind_PointAttribute___destroy___0":Fb,"emscripten_bind_AttributeTransformData_AttributeTransformData_0":Gb,"emscripten_bind_AttributeTransformData_transform_type_0":db,"emscripten_bind_AttributeTransformData___destroy___0":Hb,"emscripten_bind_AttributeQuantizationTransform_AttributeQuantizationTransform_0":Ib,"emscripten_bind_AttributeQuantizationTransform_InitFromAttribute_1":ub,"emscripten_bind_AttributeQuantizationTransform_quantization_bits_0":vb,"emscripten_bind_AttributeQuantizationTransform_min_value_1":Jb,"emscripten_bind_AttributeQuantizationTransform_range_0":Kb,"emscripten_bind_AttributeQuantizationTransform___destroy___0":ob,"emscripten_bind_DracoInt8Array_DracoInt8Array_0":hb,"emscripten_bind_DracoInt8Array_GetValue_1":Lb,"emscripten_bind_DracoInt8Array_size_0":qb,"emscripten_bind_DracoInt8Array___destroy___0":kb,"emscripten_bind_MetadataQuerier_MetadataQuerier_0":Mb,"emscripten_bind_MetadataQuerier_HasEntry_2":Nb,"emscripten_bind_MetadataQuerier_GetIntEntry_2":Ob,"emscripten_bind_MetadataQuerier_GetIntEntryArray_3":Pb,"emscripten_bind_MetadataQuerier_GetDoubleEntry_2":Qb,"emscripten_bind_MetadataQuerier_GetStringEntry_2":Rb,"emscripten_bind_MetadataQuerier_NumEntries_1":Sb,"emscripten_bind_MetadataQuerier_GetEntryName_2":Tb,"emscripten_bind_MetadataQuerier___destroy___0":Ub,"emscripten_bind_DracoInt16Array_DracoInt16Array_0":hb,"emscripten_bind_DracoInt16Array_GetValue_1":Vb,"emscripten_bind_DracoInt16Array_size_0":jb,"emscripten_bind_DracoInt16Array___destroy___0":kb,"emscripten_bind_DracoFloat32Array_DracoFloat32Array_0":hb,"emscripten_bind_DracoFloat32Array_GetValue_1":Wb,"emscripten_bind_DracoFloat32Array_size_0":sb,"emscripten_bind_DracoFloat32Array___destroy___0":kb,"emscripten_bind_GeometryAttribute_GeometryAttribute_0":Xb,"emscripten_bind_GeometryAttribute___destroy___0":Yb,"emscripten_bind_DecoderBuffer_DecoderBuffer_0":Zb,"emscripten_bind_DecoderBuffer_Init_2":_b,"emscripten_bind_DecoderBuffer___destroy___0":Yb,"emscripten_bind_Decoder_Decoder_0":$b,"emscripten_bind_Decoder_GetEncodedGeometryType_1":ac,"emscripten_bind_Decoder_DecodeBufferToPointCloud_2":bc,"emscripten_bind_Decoder_DecodeBufferToMesh_2":cc,"emscripten_bind_Decoder_GetAttributeId_2":dc,"emscripten_bind_Decoder_GetAttributeIdByName_2":ec,"emscripten_bind_Decoder_GetAttributeIdByMetadataEntry_3":fc,"emscripten_bind_Decoder_GetAttribute_2":gc,"emscripten_bind_Decoder_GetAttributeByUniqueId_2":hc,"emscripten_bind_Decoder_GetMetadata_1":ic,"emscripten_bind_Decoder_GetAttributeMetadata_2":jc,"emscripten_bind_Decoder_GetFaceFromMesh_3":kc,"emscripten_bind_Decoder_GetTriangleStripsFromMesh_2":lc,"emscripten_bind_Decoder_GetTrianglesUInt16Array_3":mc,"emscripten_bind_Decoder_GetTrianglesUInt32Array_3":nc,"emscripten_bind_Decoder_GetAttributeFloat_3":oc,"emscripten_bind_Decoder_GetAttributeFloatForAllPoints_3":pc,"emscripten_bind_Decoder_GetAttributeIntForAllPoints_3":qc,"emscripten_bind_Decoder_GetAttributeInt8ForAllPoints_3":rc,"emscripten_bind_Decoder_GetAttributeUInt8ForAllPoints_3":sc,"emscripten_bind_Decoder_GetAttributeInt16ForAllPoints_3":tc,"emscripten_bind_Decoder_GetAttributeUInt16ForAllPoints_3":uc,"emscripten_bind_Decoder_GetAttributeInt32ForAllPoints_3":qc,"emscripten_bind_Decoder_GetAttributeUInt32ForAllPoints_3":vc,"emscripten_bind_Decoder_GetAttributeDataArrayForAllPoints_5":wc,"emscripten_bind_Decoder_SkipAttributeTransform_1":xc,"emscripten_bind_Decoder___destroy___0":yc,"emscripten_bind_Mesh_Mesh_0":Bc,"emscripten_bind_Mesh_num_faces_0":Cc,"emscripten_bind_Mesh_num_attributes_0":mb,"emscripten_bind_Mesh_num_points_0":nb,"emscripten_bind_Mesh___destroy___0":ob,"emscripten_bind_VoidPtr___destroy___0":Yb,"emscripten_bind_DracoInt32Array_DracoInt32Array_0":hb,"emscripten_bind_DracoInt32Array_GetValue_1":rb,"emscripten_bind_DracoInt32Array_size_0":sb,"emscripten_bind_DracoInt32Array___destroy___0":kb,"emscripten_bind_Metadata_Metadata_0":Dc,"emscripten_bind_Metadata___destroy___0":Ec,"emscripten_enum_draco_StatusCode_OK":Hc,"emscripten_enum_draco_StatusCode_DRACO_ERROR":Ic,"emscripten_enum_draco_StatusCode_IO_ERROR":Jc,"emscripten_enum_draco_StatusCode_INVALID_PARAMETER":Kc,"emscripten_enum_draco_StatusCode_UNSUPPORTED_VERSION":Lc,"emscripten_enum_draco_StatusCode_UNKNOWN_VERSION":Mc,"emscripten_enum_draco_DataType_DT_INVALID":Hc,"emscripten_enum_draco_DataType_DT_INT8":Nc,"emscripten_enum_draco_DataType_DT_UINT8":Oc,"emscripten_enum_draco_DataType_DT_INT16":Pc,"emscripten_enum_draco_DataType_DT_UINT16":Qc,"emscripten_enum_draco_DataType_DT_INT32":Rc,"emscripten_enum_draco_DataType_DT_UINT32":Sc,"emscripten_enum_draco_DataType_DT_INT64":Tc,"emscripten_enum_draco_DataType_DT_UINT64":Uc,"emscripten_enum_draco_DataType_DT_FLOAT32":Vc,"emscripten_enum_draco_DataType_DT_FLOAT64":Wc,"emscripten_enum_draco_DataType_DT_BOOL":Xc,"emscripten_enum_draco_DataType_DT_TYPES_COUNT":Yc,"emscripten_enum_draco_EncodedGeometryType_INVALID_GEOMETRY_TYPE":Ic,"emscripten_enum_draco_EncodedGeometryType_POINT_CLOUD":Hc,"emscripten_enum_draco_EncodedGeometryType_TRIANGULAR_MESH":Nc,"emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_INVALID_TRANSFORM":Ic,"emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_NO_TRANSFORM":Hc,"emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_QUANTIZATION_TRANSFORM":Nc,"emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_OCTAHEDRON_TRANSFORM":Oc,"emscripten_enum_draco_GeometryAttribute_Type_INVALID":Ic,"emscripten_enum_draco_GeometryAttribute_Type_POSITION":Hc,"emscripten_enum_draco_GeometryAttribute_Type_NORMAL":Nc,"emscripten_enum_draco_GeometryAttribute_Type_COLOR":Oc,"emscripten_enum_draco_GeometryAttribute_Type_TEX_COORD":Pc,"emscripten_enum_draco_GeometryAttribute_Type_GENERIC":Qc,"setThrew":zl,"_ZSt18uncaught_exceptionv":Hc,"free":ul,"malloc":tl,"stackSave":Al,"stackAlloc":Bl,"stackRestore":Cl,"__growWasmMemory":Dl,"dynCall_ii":El,"dynCall_vi":Fl,"dynCall_iii":Gl,"dynCall_vii":Hl,"dynCall_iiii":Il,"dynCall_v":Jl,"dynCall_viii":Kl,"dynCall_viiii":Ll,"dynCall_iiiiiii":Ml,"dynCall_iidiiii":Nl,"dynCall_jiji":Ql,"dynCall_viiiiii":Ol,"dynCall_viiiii":Pl}}var _=(function(mem){var $=new Uint8Array(mem);return(function(offset,s){var aa,ba;if(typeof Buffer==="undefined"){aa=atob(s);for(ba=0;ba<aa.length;ba++)$[offset+ba]=aa.charCodeAt(ba)}else{aa=Buffer.from(s,"base64");for(ba=0;ba<aa.length;ba++)$[offset+ba]=aa[ba]}})})(wasmMemory.buffer);_(1027,"wAAAAMAAAADAAAAAwGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUAAAAAALwEAAACAAAAAwAAAAQAAAAFAAAABgAAAE41ZHJhY28yOEF0dHJpYnV0ZU9jdGFoZWRyb25UcmFuc2Zvcm1FAE41ZHJhY28xOEF0dHJpYnV0ZVRyYW5zZm9ybUUACDEAAJcEAAAwMQAAcAQAALQEAAAAAAAAEAUAAAcAAAAIAAAACQAAAAoAAAALAAAATjVkcmFjbzMwQXR0cmlidXRlUXVhbnRpemF0aW9uVHJhbnNmb3JtRQAAAAAwMQAA5AQAALQEAABhbGxvY2F0b3I8VD46OmFsbG9jYXRlKHNpemVfdCBuKSAnbicgZXhjZWVkcyBtYXhpbXVtIHN1cHBvcnRlZCBzaXplAAAAAADkBQAADAAAAA0AAAAOAAAADwAAABAAAAARAAAAEgAAABMAAAAUAAAAFQAAABYAAAAXAAAATjVkcmFjbzE3QXR0cmlidXRlc0RlY29kZXJFAE41ZHJhY28yNkF0dHJpYnV0ZXNEZWNvZGVySW50ZXJmYWNlRQAAAAAIMQAAtAUAADAxAACYBQAA3AUAAGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUAAAAAAIgGAAAYAAAAGQAAABoAAAAbAAAAHAAAAB0AAAAeAAAAHwAAACAAAABONWRyYWNvMjZTZXF1ZW50aWFsQXR0cmlidXRlRGVjb2RlckUAAAAACDEAAGAGAAD/////AAAAABwHAAAhAAAAIgAAAA4AAAAjAAAAJAAAABEAAAASAAAAEwAAACUAAAAmAAAAJwAAACgAAAApAAAAc2tpcF9hdHRyaWJ1dGVfdHJhbnNmb3JtAE41ZHJhY28zN1NlcXVlbnRpYWxBdHRyaWJ1dGVEZWNvZGVyc0NvbnRyb2xsZXJFAAAAADAxAADpBgAA5AUAAGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUAAAAAANQHAAAqAAAAKwAAACwAAAAbAAAAHAAAAB0AAAAtAAAAHwAAAC4AAAAvAAAAMAAAADEAAAAyAAAATjVkcmFjbzMzU2VxdWVudGlhbEludGVnZXJBdHRyaWJ1dGVEZWNvZGVyRQAwMQAAqAcAAIgGAAAAAAAAYAoAADMAAAA0AAAANQAAADYAAAA3AAAAOAAAADkAAAA6AAAAOwAAADwAAAA9AAAAPgAAAE41ZHJhY280ME1lc2hQcmVkaWN0aW9uU2NoZW1lUGFyYWxsZWxvZ3JhbURlY29kZXJJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQBONWRyYWNvMjdNZXNoUHJlZGljdGlvblNjaGVtZURlY29kZXJJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQBONWRyYWNvMjNQcmVkaWN0aW9uU2NoZW1lRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVFRQBONWRyYWNvMzdQcmVkaWN0aW9uU2NoZW1lVHlwZWREZWNvZGVySW50ZXJmYWNlSWlpRUUATjVkcmFjbzMyUHJlZGljdGlvblNjaGVtZURlY29kZXJJbnRlcmZhY2VFAE41ZHJhY28yNVByZWRpY3Rpb25TY2hlbWVJbnRlcmZhY2VFAAgxAAAECgAAMDEAANkJAAAoCgAAMDEAAKUJAAAwCgAAMDEAAFEJAAA8CgAAMDEAALsIAABICgAAMDEAABgIAABUCgAAAAAAAFQKAAAzAAAAPwAAABUAAAA2AAAAFQAAADgAAAA5AAAAOgAAADsAAAA8AAAAPQAAABUAAAAAAAAASAoAADMAAABAAAAAFQAAADYAAAAVAAAAOAAAADkAAAA6AAAAOwAAADwAAAA9AAAAFQAAAAAAAADICwAAQQAAAEIAAABDAAAANgAAAEQAAAA4AAAAOQAAADoAAAA7AAAAPAAAAEUAAABGAAAATjVkcmFjbzU2TWVzaFByZWRpY3Rpb25TY2hlbWVDb25zdHJhaW5lZE11bHRpUGFyYWxsZWxvZ3JhbURlY29kZXJJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQAAMDEAABQLAABUCgAAAAAAALQMAABHAAAASAAAAEkAAAA2AAAASgAAAEsAAABMAAAATQAAADsAAAA8AAAATgAAAE8AAABONWRyYWNvNDRNZXNoUHJlZGljdGlvblNjaGVtZVRleENvb3Jkc1BvcnRhYmxlRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18yNE1lc2hBdHRyaWJ1dGVDb3JuZXJUYWJsZUVFRUVFAAAwMQAADAwAAFQKAAAAAAAAoA0AAFAAAABRAAAAUgAAADYAAABTAAAAVAAAAFUAAABWAAAAOwAAADwAAABXAAAAWAAAAE41ZHJhY280Mk1lc2hQcmVkaWN0aW9uU2NoZW1lR2VvbWV0cmljTm9ybWFsRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18yNE1lc2hBdHRyaWJ1dGVDb3JuZXJUYWJsZUVFRUVFAAAAADAxAAD4DAAAVAoAAAAAAAAoDwAAWQAAAFoAAABbAAAAXAAAAF0AAABONWRyYWNvNDhNZXNoUHJlZGljdGlvblNjaGVtZUdlb21ldHJpY05vcm1hbFByZWRpY3RvckFyZWFJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQBONWRyYWNvNDhNZXNoUHJlZGljdGlvblNjaGVtZUdlb21ldHJpY05vcm1hbFByZWRpY3RvckJhc2VJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQAAAAgxAABzDgAAMDEAAMgNAAAgDwAAAAAAAJgQAAAzAAAAXgAAAF8AAAA2AAAAYAAAADgAAAA5AAAAOgAAADsAAAA8AAAAPQAAAGEAAABONWRyYWNvNDBNZXNoUHJlZGljdGlvblNjaGVtZVBhcmFsbGVsb2dyYW1EZWNvZGVySWlOU18zN1ByZWRpY3Rpb25TY2hlbWVXcmFwRGVjb2RpbmdUcmFuc2Zvcm1JaWlFRU5TXzI0TWVzaFByZWRpY3Rpb25TY2hlbWVEYXRhSU5TXzExQ29ybmVyVGFibGVFRUVFRQBONWRyYWNvMjdNZXNoUHJlZGljdGlvblNjaGVtZURlY29kZXJJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMTFDb3JuZXJUYWJsZUVFRUVFAAAwMQAAAhAAAEgKAAAwMQAAbA8AAIwQAAAAAAAAjBAAADMAAABiAAAAFQAAADYAAAAVAAAAOAAAADkAAAA6AAAAOwAAADwAAAA9AAAAFQAAAAAAAAC8EQAAYwAAAGQAAABlAAAANgAAAGYAAAA4AAAAOQAAADoAAAA7AAAAPAAAAGcAAABoAAAATjVkcmFjbzU2TWVzaFByZWRpY3Rpb25TY2hlbWVDb25zdHJhaW5lZE11bHRpUGFyYWxsZWxvZ3JhbURlY29kZXJJaU5TXzM3UHJlZGljdGlvblNjaGVtZVdyYXBEZWNvZGluZ1RyYW5zZm9ybUlpaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMTFDb3JuZXJUYWJsZUVFRUVFAAAAMDEAABQRAACMEAAAAAAAAJwSAABpAAAAagAAAGsAAAA2AAAAbAAAAG0AAABuAAAAbwAAADsAAAA8AAAAcAAAAHEAAABONWRyYWNvNDRNZXNoUHJlZGljdGlvblNjaGVtZVRleENvb3Jkc1BvcnRhYmxlRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18xMUNvcm5lclRhYmxlRUVFRUUAAAAwMQAAABIAAIwQAAAAAAAAeBMAAHIAAABzAAAAdAAAADYAAAB1AAAAdgAAAHcAAAB4AAAAOwAAADwAAAB5AAAAegAAAE41ZHJhY280Mk1lc2hQcmVkaWN0aW9uU2NoZW1lR2VvbWV0cmljTm9ybWFsRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18xMUNvcm5lclRhYmxlRUVFRUUAMDEAAOASAACMEAAAAAAAAOQUAAB7AAAAfAAAAH0AAAB+AAAAfwAAAE41ZHJhY280OE1lc2hQcmVkaWN0aW9uU2NoZW1lR2VvbWV0cmljTm9ybWFsUHJlZGljdG9yQXJlYUlpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18xMUNvcm5lclRhYmxlRUVFRUUATjVkcmFjbzQ4TWVzaFByZWRpY3Rpb25TY2hlbWVHZW9tZXRyaWNOb3JtYWxQcmVkaWN0b3JCYXNlSWlOU18zN1ByZWRpY3Rpb25TY2hlbWVXcmFwRGVjb2RpbmdUcmFuc2Zvcm1JaWlFRU5TXzI0TWVzaFByZWRpY3Rpb25TY2hlbWVEYXRhSU5TXzExQ29ybmVyVGFibGVFRUVFRQAIMQAAPhQAADAxAACgEwAA3BQAAAAAAACEFQAAMwAAAIAAAACBAAAANgAAAIIAAAA4AAAAOQAAADoAAAA7AAAAPAAAAD0AAACDAAAATjVkcmFjbzI4UHJlZGljdGlvblNjaGVtZURlbHRhRGVjb2RlcklpTlNfMzdQcmVkaWN0aW9uU2NoZW1lV3JhcERlY29kaW5nVHJhbnNmb3JtSWlpRUVFRQAAAAAwMQAAKBUAAEgKAAAAAAAA+BUAACoAAACEAAAAhQAAABsAAAAcAAAAhgAAAC0AAAAfAAAALgAAAIcAAACIAAAAiQAAAIoAAABONWRyYWNvMzJTZXF1ZW50aWFsTm9ybWFsQXR0cmlidXRlRGVjb2RlckUAADAxAADMFQAA1AcAAAAAAAAsGAAAiwAAAIwAAACNAAAAjgAAAI8AAACQAAAAkQAAAJIAAACTAAAAlAAAAJUAAACWAAAATjVkcmFjbzQyTWVzaFByZWRpY3Rpb25TY2hlbWVHZW9tZXRyaWNOb3JtYWxEZWNvZGVySWlOU182MlByZWRpY3Rpb25TY2hlbWVOb3JtYWxPY3RhaGVkcm9uQ2Fub25pY2FsaXplZERlY29kaW5nVHJhbnNmb3JtSWlFRU5TXzI0TWVzaFByZWRpY3Rpb25TY2hlbWVEYXRhSU5TXzI0TWVzaEF0dHJpYnV0ZUNvcm5lclRhYmxlRUVFRUUATjVkcmFjbzI3TWVzaFByZWRpY3Rpb25TY2hlbWVEZWNvZGVySWlOU182MlByZWRpY3Rpb25TY2hlbWVOb3JtYWxPY3RhaGVkcm9uQ2Fub25pY2FsaXplZERlY29kaW5nVHJhbnNmb3JtSWlFRU5TXzI0TWVzaFByZWRpY3Rpb25TY2hlbWVEYXRhSU5TXzI0TWVzaEF0dHJpYnV0ZUNvcm5lclRhYmxlRUVFRUUATjVkcmFjbzIzUHJlZGljdGlvblNjaGVtZURlY29kZXJJaU5TXzYyUHJlZGljdGlvblNjaGVtZU5vcm1hbE9jdGFoZWRyb25DYW5vbmljYWxpemVkRGVjb2RpbmdUcmFuc2Zvcm1JaUVFRUUAADAxAACnFwAAPAoAADAxAAD5FgAAFBgAADAxAAA8FgAAIBgAAAAAAADkGQAAlwAAAJgAAACZAAAAmgAAAJsAAABONWRyYWNvNDhNZXNoUHJlZGljdGlvblNjaGVtZUdlb21ldHJpY05vcm1hbFByZWRpY3RvckFyZWFJaU5TXzYyUHJlZGljdGlvblNjaGVtZU5vcm1hbE9jdGFoZWRyb25DYW5vbmljYWxpemVkRGVjb2RpbmdUcmFuc2Zvcm1JaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQBONWRyYWNvNDhNZXNoUHJlZGljdGlvblNjaGVtZUdlb21ldHJpY05vcm1hbFByZWRpY3RvckJhc2VJaU5TXzYyUHJlZGljdGlvblNjaGVtZU5vcm1hbE9jdGFoZWRyb25DYW5vbmljYWxpemVkRGVjb2RpbmdUcmFuc2Zvcm1JaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFRUVFRQAAAAgxAAAXGQAAMDEAAFQYAADcGQAAAAAAAIgbAACcAAAAnQAAAJ4AAACOAAAAnwAAAKAAAAChAAAAogAAAJMAAACUAAAAowAAAKQAAABONWRyYWNvNDJNZXNoUHJlZGljdGlvblNjaGVtZUdlb21ldHJpY05vcm1hbERlY29kZXJJaU5TXzYyUHJlZGljdGlvblNjaGVtZU5vcm1hbE9jdGFoZWRyb25DYW5vbmljYWxpemVkRGVjb2RpbmdUcmFuc2Zvcm1JaUVFTlNfMjRNZXNoUHJlZGljdGlvblNjaGVtZURhdGFJTlNfMTFDb3JuZXJUYWJsZUVFRUVFAE41ZHJhY28yN01lc2hQcmVkaWN0aW9uU2NoZW1lRGVjb2RlcklpTlNfNjJQcmVkaWN0aW9uU2NoZW1lTm9ybWFsT2N0YWhlZHJvbkNhbm9uaWNhbGl6ZWREZWNvZGluZ1RyYW5zZm9ybUlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18xMUNvcm5lclRhYmxlRUVFRUUAAAAAMDEAANgaAAAUGAAAMDEAACgaAAB8GwAAAAAAACQdAAClAAAApgAAAKcAAACoAAAAqQAAAE41ZHJhY280OE1lc2hQcmVkaWN0aW9uU2NoZW1lR2VvbWV0cmljTm9ybWFsUHJlZGljdG9yQXJlYUlpTlNfNjJQcmVkaWN0aW9uU2NoZW1lTm9ybWFsT2N0YWhlZHJvbkNhbm9uaWNhbGl6ZWREZWNvZGluZ1RyYW5zZm9ybUlpRUVOU18yNE1lc2hQcmVkaWN0aW9uU2NoZW1lRGF0YUlOU18xMUNvcm5lclRhYmxlRUVFRUUATjVkcmFjbzQ4TWVzaFByZWRpY3Rpb25TY2hlbWVHZW9tZXRyaWNOb3JtYWxQcmVkaWN0b3JCYXNlSWlOU182MlByZWRpY3Rpb25TY2hlbWVOb3JtYWxPY3RhaGVkcm9uQ2Fub25pY2FsaXplZERlY29kaW5nVHJhbnNmb3JtSWlFRU5TXzI0TWVzaFByZWRpY3Rpb25TY2hlbWVEYXRhSU5TXzExQ29ybmVyVGFibGVFRUVFRQAIMQAAZhwAADAxAACwGwAAHB0AAAAAAADcHQAAqgAAAKsAAACsAAAAjgAAAK0AAACuAAAArwAAALAAAACTAAAAlAAAALEAAACyAAAATjVkcmFjbzI4UHJlZGljdGlvblNjaGVtZURlbHRhRGVjb2RlcklpTlNfNjJQcmVkaWN0aW9uU2NoZW1lTm9ybWFsT2N0YWhlZHJvbkNhbm9uaWNhbGl6ZWREZWNvZGluZ1RyYW5zZm9ybUlpRUVFRQAAAAAwMQAAaB0AABQYAAAAAAAAYB4AALMAAAC0AAAAtQAAABsAAAAcAAAAtgAAAC0AAAAfAAAALgAAALcAAAAwAAAAMQAAALgAAAC5AAAAugAAAE41ZHJhY28zOFNlcXVlbnRpYWxRdWFudGl6YXRpb25BdHRyaWJ1dGVEZWNvZGVyRQAAAAAwMQAALB4AANQHAABVbnN1cHBvcnRlZCBlbmNvZGluZyBtZXRob2QuAFVuc3VwcG9ydGVkIGdlb21ldHJ5IHR5cGUuAElucHV0IGlzIG5vdCBhIG1lc2guAHNraXBfYXR0cmlidXRlX3RyYW5zZm9ybQBhbGxvY2F0b3I8VD46OmFsbG9jYXRlKHNpemVfdCBuKSAnbicgZXhjZWVkcyBtYXhpbXVtIHN1cHBvcnRlZCBzaXplAAAAAAAAAGwfAAC7AAAAvAAAAL0AAAC+AAAAFQAAAL8AAADAAAAAwQAAAMIAAADDAAAAxAAAAMUAAAAVAAAATjVkcmFjbzExTWVzaERlY29kZXJFAAAAMDEAAFQfAACkKAAAAAAAANgfAADGAAAAxwAAAL0AAADIAAAAyQAAAL8AAADAAAAAwQAAAMoAAADLAAAAzAAAAM0AAADOAAAATjVkcmFjbzIyTWVzaEVkZ2VicmVha2VyRGVjb2RlckUAAAAAMDEAALQfAABsHwAAAAAAAMwgAADPAAAA0AAAANEAAADSAAAA0wAAANQAAADVAAAA1gAAANcAAADYAAAA/////wAAAAAsIQAA2QAAANoAAADbAAAA3AAAAN0AAADeAAAA3wAAAOAAAADhAAAA4gAAAE41ZHJhY28yNk1lc2hFZGdlYnJlYWtlckRlY29kZXJJbXBsSU5TXzMxTWVzaEVkZ2VicmVha2VyVHJhdmVyc2FsRGVjb2RlckVFRQBONWRyYWNvMzVNZXNoRWRnZWJyZWFrZXJEZWNvZGVySW1wbEludGVyZmFjZUUAAAAIMQAAlCAAADAxAABIIAAAxCAAAE41ZHJhY28yNk1lc2hFZGdlYnJlYWtlckRlY29kZXJJbXBsSU5TXzM4TWVzaEVkZ2VicmVha2VyVHJhdmVyc2FsVmFsZW5jZURlY29kZXJFRUUAADAxAADYIAAAxCAAAAAAAAAoIgAA4wAAAOQAAADlAAAATjVkcmFjbzE5RGVwdGhGaXJzdFRyYXZlcnNlcklOU18yNE1lc2hBdHRyaWJ1dGVDb3JuZXJUYWJsZUVOU18zNk1lc2hBdHRyaWJ1dGVJbmRpY2VzRW5jb2RpbmdPYnNlcnZlcklTMV9FRUVFAE41ZHJhY28xM1RyYXZlcnNlckJhc2VJTlNfMjRNZXNoQXR0cmlidXRlQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzFfRUVFRQAIMQAAuSEAADAxAABMIQAAICIAAAAAAAAgIgAA5gAAAOcAAADlAAAAYWxsb2NhdG9yPFQ+OjphbGxvY2F0ZShzaXplX3QgbikgJ24nIGV4Y2VlZHMgbWF4aW11bSBzdXBwb3J0ZWQgc2l6ZQ==");_(8852,"AQAAAAMAAAAFAAAABwAAAAAAAABoIwAA6AAAAOkAAADqAAAA6wAAAE41ZHJhY28yMk1lc2hUcmF2ZXJzYWxTZXF1ZW5jZXJJTlNfMjhNYXhQcmVkaWN0aW9uRGVncmVlVHJhdmVyc2VySU5TXzExQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzJfRUVFRUVFAE41ZHJhY28xNVBvaW50c1NlcXVlbmNlckUAAAAACDEAAEMjAAAwMQAAvCIAAGAjAAD/////AAAAAFgkAADsAAAA7QAAAO4AAABONWRyYWNvMjhNYXhQcmVkaWN0aW9uRGVncmVlVHJhdmVyc2VySU5TXzExQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzFfRUVFRQBONWRyYWNvMTNUcmF2ZXJzZXJCYXNlSU5TXzExQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzFfRUVFRQAACDEAAPUjAAAwMQAAjCMAAFAkAAAAAAAAUCQAAO8AAADwAAAA7gAAAAAAAAAQJQAA8QAAAPIAAADzAAAA9AAAAE41ZHJhY28yMk1lc2hUcmF2ZXJzYWxTZXF1ZW5jZXJJTlNfMTlEZXB0aEZpcnN0VHJhdmVyc2VySU5TXzExQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzJfRUVFRUVFAAAAMDEAAJAkAABgIwAAAAAAAJAlAAD1AAAA9gAAAO4AAABONWRyYWNvMTlEZXB0aEZpcnN0VHJhdmVyc2VySU5TXzExQ29ybmVyVGFibGVFTlNfMzZNZXNoQXR0cmlidXRlSW5kaWNlc0VuY29kaW5nT2JzZXJ2ZXJJUzFfRUVFRQAwMQAAMCUAAFAkAAAAAAAAQCYAAPcAAAD4AAAA+QAAAPoAAABONWRyYWNvMjJNZXNoVHJhdmVyc2FsU2VxdWVuY2VySU5TXzE5RGVwdGhGaXJzdFRyYXZlcnNlcklOU18yNE1lc2hBdHRyaWJ1dGVDb3JuZXJUYWJsZUVOU18zNk1lc2hBdHRyaWJ1dGVJbmRpY2VzRW5jb2RpbmdPYnNlcnZlcklTMl9FRUVFRUUAADAxAAC0JQAAYCM=");_(9812,"rCYAALsAAAD7AAAAvQAAAL4AAAD8AAAAvwAAAMAAAADBAAAAwgAAAMMAAADEAAAAxQAAAP0AAABONWRyYWNvMjFNZXNoU2VxdWVudGlhbERlY29kZXJFADAxAACMJgAAbB8AAGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUAAAAAADAnAAD+AAAA/wAAAAABAAABAQAATjVkcmFjbzE1TGluZWFyU2VxdWVuY2VyRQAAADAxAAAUJwAAYCMAAAAAAACkKAAAuwAAAAIBAAADAQAAvgAAABUAAAAEAQAAwAAAAMEAAADC");_(10096,"RmFpbGVkIHRvIHBhcnNlIERyYWNvIGhlYWRlci4ARFJBQ08ATm90IGEgRHJhY28gZmlsZS4ARmFpbGVkIHRvIGRlY29kZSBtZXRhZGF0YS4AVXNpbmcgaW5jb21wYXRpYmxlIGRlY29kZXIgZm9yIHRoZSBpbnB1dCBnZW9tZXRyeS4AVW5rbm93biBtYWpvciB2ZXJzaW9uLgBVbmtub3duIG1pbm9yIHZlcnNpb24uAEZhaWxlZCB0byBpbml0aWFsaXplIHRoZSBkZWNvZGVyLgBGYWlsZWQgdG8gZGVjb2RlIGdlb21ldHJ5IGRhdGEuAEZhaWxlZCB0byBkZWNvZGUgcG9pbnQgYXR0cmlidXRlcy4ATjVkcmFjbzE3UG9pbnRDbG91ZERlY29kZXJFAAAIMQAAhygAAAEAAAABAAAAAgAAAAIAAAAEAAAABAAAAAgAAAAIAAAABAAAAAgAAAABAAAAAAAAAP//////////YWxsb2NhdG9yPFQ+OjphbGxvY2F0ZShzaXplX3QgbikgJ24nIGV4Y2VlZHMgbWF4aW11bSBzdXBwb3J0ZWQgc2l6ZQAAAAAAUCkAAAUBAAAGAQAABwEAAAgBAABONWRyYWNvNE1lc2hFAAAAMDEAAEApAADoKgAAYWxsb2NhdG9yPFQ+OjphbGxvY2F0ZShzaXplX3QgbikgJ24nIGV4Y2VlZHMgbWF4aW11bSBzdXBwb3J0ZWQgc2l6ZQBhbGxvY2F0b3I8VD46OmFsbG9jYXRlKHNpemVfdCBuKSAnbicgZXhjZWVkcyBtYXhpbXVtIHN1cHBvcnRlZCBzaXplAP////9hbGxvY2F0b3I8VD46OmFsbG9jYXRlKHNpemVfdCBuKSAnbicgZXhjZWVkcyBtYXhpbXVtIHN1cHBvcnRlZCBzaXplAGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUAYWxsb2NhdG9yPFQ+OjphbGxvY2F0ZShzaXplX3QgbikgJ24nIGV4Y2VlZHMgbWF4aW11bSBzdXBwb3J0ZWQgc2l6ZQ==");_(10940,"6CoAAAkBAAAKAQAACwEAAAwBAABONWRyYWNvMTBQb2ludENsb3VkRQAAAAAIMQAA0CoAAGFsbG9jYXRvcjxUPjo6YWxsb2NhdGUoc2l6ZV90IG4pICduJyBleGNlZWRzIG1heGltdW0gc3VwcG9ydGVkIHNpemUALSsgICAwWDB4AChudWxsKQ==");_(11088,"EQAKABEREQAAAAAFAAAAAAAACQAAAAAL");_(11120,"EQAPChEREQMKBwABEwkLCwAACQYLAAALAAYRAAAAERER");_(11169,"Cw==");_(11178,"EQAKChEREQAKAAACAAkLAAAACQALAAAL");_(11227,"DA==");_(11239,"DAAAAAAMAAAAAAkMAAAAAAAMAAAM");_(11285,"Dg==");_(11297,"DQAAAAQNAAAAAAkOAAAAAAAOAAAO");_(11343,"EA==");_(11355,"DwAAAAAPAAAAAAkQAAAAAAAQAAAQAAASAAAAEhIS");_(11410,"EgAAABISEgAAAAAAAAk=");_(11459,"Cw==");_(11471,"CgAAAAAKAAAAAAkLAAAAAAALAAAL");_(11517,"DA==");_(11529,"DAAAAAAMAAAAAAkMAAAAAAAMAAAMAAAwMTIzNDU2Nzg5QUJDREVGLTBYKzBYIDBYLTB4KzB4IDB4AGluZgBJTkYAbmFuAE5BTgAuAAAAAIgx");_(11620,"AgAAAAMAAAAFAAAABwAAAAsAAAANAAAAEQAAABMAAAAXAAAAHQAAAB8AAAAlAAAAKQAAACsAAAAvAAAANQAAADsAAAA9AAAAQwAAAEcAAABJAAAATwAAAFMAAABZAAAAYQAAAGUAAABnAAAAawAAAG0AAABxAAAAfwAAAIMAAACJAAAAiwAAAJUAAACXAAAAnQAAAKMAAACnAAAArQAAALMAAAC1AAAAvwAAAMEAAADFAAAAxwAAANMAAAABAAAACwAAAA0AAAARAAAAEwAAABcAAAAdAAAAHwAAACUAAAApAAAAKwAAAC8AAAA1AAAAOwAAAD0AAABDAAAARwAAAEkAAABPAAAAUwAAAFkAAABhAAAAZQAAAGcAAABrAAAAbQAAAHEAAAB5AAAAfwAAAIMAAACJAAAAiwAAAI8AAACVAAAAlwAAAJ0AAACjAAAApwAAAKkAAACtAAAAswAAALUAAAC7AAAAvwAAAMEAAADFAAAAxwAAANE=");_(12036,"EgE=");_(12075,"//////8=");_(12144,"YWxsb2NhdG9yPFQ+OjphbGxvY2F0ZShzaXplX3QgbikgJ24nIGV4Y2VlZHMgbWF4aW11bSBzdXBwb3J0ZWQgc2l6ZQBiYXNpY19zdHJpbmcAJWQAdmVjdG9yAFB1cmUgdmlydHVhbCBmdW5jdGlvbiBjYWxsZWQhAHN0ZDo6ZXhjZXB0aW9uAAAAAAAcMAAAEwEAABQBAAAVAQAAU3Q5ZXhjZXB0aW9uAAAAAAgxAAAMMAAAAAAAAEgwAAABAAAAFgEAABcBAABTdDExbG9naWNfZXJyb3IAMDEAADgwAAAcMAAAAAAAAHwwAAABAAAAGAEAABcBAABTdDEybGVuZ3RoX2Vycm9yAAAAADAxAABoMAAASDAAAFN0OXR5cGVfaW5mbwAAAAAIMQAAiDAAAE4xMF9fY3h4YWJpdjExNl9fc2hpbV90eXBlX2luZm9FAAAAADAxAACgMAAAmDAAAE4xMF9fY3h4YWJpdjExN19fY2xhc3NfdHlwZV9pbmZvRQAAADAxAADQMAAAxDAAAAAAAAD0MAAAGQEAABoBAAAbAQAAHAEAAB0BAAAeAQAAHwEAACABAAAAAAAAeDEAABkBAAAhAQAAGwEAABwBAAAdAQAAIgEAACMBAAAkAQAATjEwX19jeHhhYml2MTIwX19zaV9jbGFzc190eXBlX2luZm9FAAAAADAxAABQMQAA9DA=");_(12680,"BQ==");_(12692,"DwE=");_(12716,"EAEAABEBAAAUMw==");_(12740,"Ag==");_(12755,"//////8=");_(13012,"QDM=");return j({"Int8Array":Int8Array,"Int16Array":Int16Array,"Int32Array":Int32Array,"Uint8Array":Uint8Array,"Uint16Array":Uint16Array,"Uint32Array":Uint32Array,"Float32Array":Float32Array,"Float64Array":Float64Array,"NaN":NaN,"Infinity":Infinity,"Math":Math},asmLibraryArg,wasmMemory.buffer)}
+
+
+// EMSCRIPTEN_END_ASM
+
+
+
+
+)(asmLibraryArg,wasmMemory,wasmTable);return{"exports":exports}},instantiate:function(binary,info){return{then:function(ok,err){ok({"instance":new WebAssembly.Instance(new WebAssembly.Module(binary,info))})}}},RuntimeError:Error};wasmBinary=[];if(typeof WebAssembly!=="object"){err("no native wasm support detected")}function setValue(ptr,value,type,noSafe){type=type||"i8";if(type.charAt(type.length-1)==="*")type="i32";switch(type){case"i1":HEAP8[ptr>>0]=value;break;case"i8":HEAP8[ptr>>0]=value;break;case"i16":HEAP16[ptr>>1]=value;break;case"i32":HEAP32[ptr>>2]=value;break;case"i64":tempI64=[value>>>0,(tempDouble=value,+Math_abs(tempDouble)>=1?tempDouble>0?(Math_min(+Math_floor(tempDouble/4294967296),4294967295)|0)>>>0:~~+Math_ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[ptr>>2]=tempI64[0],HEAP32[ptr+4>>2]=tempI64[1];break;case"float":HEAPF32[ptr>>2]=value;break;case"double":HEAPF64[ptr>>3]=value;break;default:abort("invalid type for setValue: "+type)}}var wasmMemory;var wasmTable=new WebAssembly.Table({"initial":293,"maximum":293+0,"element":"anyfunc"});var ABORT=false;var EXITSTATUS=0;function assert(condition,text){if(!condition){abort("Assertion failed: "+text)}}function getCFunc(ident){var func=Module["_"+ident];assert(func,"Cannot call unknown function "+ident+", make sure it is exported");return func}function ccall(ident,returnType,argTypes,args,opts){var toC={"string":function(str){var ret=0;if(str!==null&&str!==undefined&&str!==0){var len=(str.length<<2)+1;ret=stackAlloc(len);stringToUTF8(str,ret,len)}return ret},"array":function(arr){var ret=stackAlloc(arr.length);writeArrayToMemory(arr,ret);return ret}};function convertReturnValue(ret){if(returnType==="string")return UTF8ToString(ret);if(returnType==="boolean")return Boolean(ret);return ret}var func=getCFunc(ident);var cArgs=[];var stack=0;if(args){for(var i=0;i<args.length;i++){var converter=toC[argTypes[i]];if(converter){if(stack===0)stack=stackSave();cArgs[i]=converter(args[i])}else{cArgs[i]=args[i]}}}var ret=func.apply(null,cArgs);ret=convertReturnValue(ret);if(stack!==0)stackRestore(stack);return ret}var ALLOC_NONE=3;var UTF8Decoder=typeof TextDecoder!=="undefined"?new TextDecoder("utf8"):undefined;function UTF8ArrayToString(u8Array,idx,maxBytesToRead){var endIdx=idx+maxBytesToRead;var endPtr=idx;while(u8Array[endPtr]&&!(endPtr>=endIdx))++endPtr;if(endPtr-idx>16&&u8Array.subarray&&UTF8Decoder){return UTF8Decoder.decode(u8Array.subarray(idx,endPtr))}else{var str="";while(idx<endPtr){var u0=u8Array[idx++];if(!(u0&128)){str+=String.fromCharCode(u0);continue}var u1=u8Array[idx++]&63;if((u0&224)==192){str+=String.fromCharCode((u0&31)<<6|u1);continue}var u2=u8Array[idx++]&63;if((u0&240)==224){u0=(u0&15)<<12|u1<<6|u2}else{u0=(u0&7)<<18|u1<<12|u2<<6|u8Array[idx++]&63}if(u0<65536){str+=String.fromCharCode(u0)}else{var ch=u0-65536;str+=String.fromCharCode(55296|ch>>10,56320|ch&1023)}}}return str}function UTF8ToString(ptr,maxBytesToRead){return ptr?UTF8ArrayToString(HEAPU8,ptr,maxBytesToRead):""}function stringToUTF8Array(str,outU8Array,outIdx,maxBytesToWrite){if(!(maxBytesToWrite>0))return 0;var startIdx=outIdx;var endIdx=outIdx+maxBytesToWrite-1;for(var i=0;i<str.length;++i){var u=str.charCodeAt(i);if(u>=55296&&u<=57343){var u1=str.charCodeAt(++i);u=65536+((u&1023)<<10)|u1&1023}if(u<=127){if(outIdx>=endIdx)break;outU8Array[outIdx++]=u}else if(u<=2047){if(outIdx+1>=endIdx)break;outU8Array[outIdx++]=192|u>>6;outU8Array[outIdx++]=128|u&63}else if(u<=65535){if(outIdx+2>=endIdx)break;outU8Array[outIdx++]=224|u>>12;outU8Array[outIdx++]=128|u>>6&63;outU8Array[outIdx++]=128|u&63}else{if(outIdx+3>=endIdx)break;outU8Array[outIdx++]=240|u>>18;outU8Array[outIdx++]=128|u>>12&63;outU8Array[outIdx++]=128|u>>6&63;outU8Array[outIdx++]=128|u&63}}outU8Array[outIdx]=0;return outIdx-startIdx}function stringToUTF8(str,outPtr,maxBytesToWrite){return stringToUTF8Array(str,HEAPU8,outPtr,maxBytesToWrite)}function lengthBytesUTF8(str){var len=0;for(var i=0;i<str.length;++i){var u=str.charCodeAt(i);if(u>=55296&&u<=57343)u=65536+((u&1023)<<10)|str.charCodeAt(++i)&1023;if(u<=127)++len;else if(u<=2047)len+=2;else if(u<=65535)len+=3;else len+=4}return len}var UTF16Decoder=typeof TextDecoder!=="undefined"?new TextDecoder("utf-16le"):undefined;function writeArrayToMemory(array,buffer){HEAP8.set(array,buffer)}function writeAsciiToMemory(str,buffer,dontAddNull){for(var i=0;i<str.length;++i){HEAP8[buffer++>>0]=str.charCodeAt(i)}if(!dontAddNull)HEAP8[buffer>>0]=0}var WASM_PAGE_SIZE=65536;function alignUp(x,multiple){if(x%multiple>0){x+=multiple-x%multiple}return x}var buffer,HEAP8,HEAPU8,HEAP16,HEAPU16,HEAP32,HEAPU32,HEAPF32,HEAPF64;function updateGlobalBufferAndViews(buf){buffer=buf;Module["HEAP8"]=HEAP8=new Int8Array(buf);Module["HEAP16"]=HEAP16=new Int16Array(buf);Module["HEAP32"]=HEAP32=new Int32Array(buf);Module["HEAPU8"]=HEAPU8=new Uint8Array(buf);Module["HEAPU16"]=HEAPU16=new Uint16Array(buf);Module["HEAPU32"]=HEAPU32=new Uint32Array(buf);Module["HEAPF32"]=HEAPF32=new Float32Array(buf);Module["HEAPF64"]=HEAPF64=new Float64Array(buf)}var STACK_BASE=5256704,DYNAMIC_BASE=5256704,DYNAMICTOP_PTR=13664;var INITIAL_TOTAL_MEMORY=Module["TOTAL_MEMORY"]||16777216;if(Module["wasmMemory"]){wasmMemory=Module["wasmMemory"]}else{wasmMemory=new WebAssembly.Memory({"initial":INITIAL_TOTAL_MEMORY/WASM_PAGE_SIZE})}if(wasmMemory){buffer=wasmMemory.buffer}INITIAL_TOTAL_MEMORY=buffer.byteLength;updateGlobalBufferAndViews(buffer);HEAP32[DYNAMICTOP_PTR>>2]=DYNAMIC_BASE;function callRuntimeCallbacks(callbacks){while(callbacks.length>0){var callback=callbacks.shift();if(typeof callback=="function"){callback();continue}var func=callback.func;if(typeof func==="number"){if(callback.arg===undefined){Module["dynCall_v"](func)}else{Module["dynCall_vi"](func,callback.arg)}}else{func(callback.arg===undefined?null:callback.arg)}}}var __ATPRERUN__=[];var __ATINIT__=[];var __ATMAIN__=[];var __ATPOSTRUN__=[];var runtimeInitialized=false;var runtimeExited=false;function preRun(){if(Module["preRun"]){if(typeof Module["preRun"]=="function")Module["preRun"]=[Module["preRun"]];while(Module["preRun"].length){addOnPreRun(Module["preRun"].shift())}}callRuntimeCallbacks(__ATPRERUN__)}function initRuntime(){runtimeInitialized=true;callRuntimeCallbacks(__ATINIT__)}function preMain(){callRuntimeCallbacks(__ATMAIN__)}function exitRuntime(){runtimeExited=true}function postRun(){if(Module["postRun"]){if(typeof Module["postRun"]=="function")Module["postRun"]=[Module["postRun"]];while(Module["postRun"].length){addOnPostRun(Module["postRun"].shift())}}callRuntimeCallbacks(__ATPOSTRUN__)}function addOnPreRun(cb){__ATPRERUN__.unshift(cb)}function addOnPreMain(cb){__ATMAIN__.unshift(cb)}function addOnPostRun(cb){__ATPOSTRUN__.unshift(cb)}var Math_abs=Math.abs;var Math_ceil=Math.ceil;var Math_floor=Math.floor;var Math_min=Math.min;var runDependencies=0;var runDependencyWatcher=null;var dependenciesFulfilled=null;function addRunDependency(id){runDependencies++;if(Module["monitorRunDependencies"]){Module["monitorRunDependencies"](runDependencies)}}function removeRunDependency(id){runDependencies--;if(Module["monitorRunDependencies"]){Module["monitorRunDependencies"](runDependencies)}if(runDependencies==0){if(runDependencyWatcher!==null){clearInterval(runDependencyWatcher);runDependencyWatcher=null}if(dependenciesFulfilled){var callback=dependenciesFulfilled;dependenciesFulfilled=null;callback()}}}Module["preloadedImages"]={};Module["preloadedAudios"]={};function abort(what){if(Module["onAbort"]){Module["onAbort"](what)}what+="";out(what);err(what);ABORT=true;EXITSTATUS=1;what="abort("+what+"). Build with -s ASSERTIONS=1 for more info.";throw new WebAssembly.RuntimeError(what)}var dataURIPrefix="data:application/octet-stream;base64,";function isDataURI(filename){return String.prototype.startsWith?filename.startsWith(dataURIPrefix):filename.indexOf(dataURIPrefix)===0}var wasmBinaryFile="draco_decoder.wasm";if(!isDataURI(wasmBinaryFile)){wasmBinaryFile=locateFile(wasmBinaryFile)}function getBinary(){try{if(wasmBinary){return new Uint8Array(wasmBinary)}var binary=tryParseAsDataURI(wasmBinaryFile);if(binary){return binary}if(readBinary){return readBinary(wasmBinaryFile)}else{throw"both async and sync fetching of the wasm failed"}}catch(err){abort(err)}}function getBinaryPromise(){if(!wasmBinary&&(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER)&&typeof fetch==="function"){return fetch(wasmBinaryFile,{credentials:"same-origin"}).then(function(response){if(!response["ok"]){throw"failed to load wasm binary file at '"+wasmBinaryFile+"'"}return response["arrayBuffer"]()}).catch(function(){return getBinary()})}return new Promise(function(resolve,reject){resolve(getBinary())})}function createWasm(){var info={"env":asmLibraryArg,"wasi_unstable":asmLibraryArg};function receiveInstance(instance,module){var exports=instance.exports;Module["asm"]=exports;removeRunDependency("wasm-instantiate")}addRunDependency("wasm-instantiate");function receiveInstantiatedSource(output){receiveInstance(output["instance"])}function instantiateArrayBuffer(receiver){return getBinaryPromise().then(function(binary){return WebAssembly.instantiate(binary,info)}).then(receiver,function(reason){err("failed to asynchronously prepare wasm: "+reason);abort(reason)})}function instantiateAsync(){if(!wasmBinary&&typeof WebAssembly.instantiateStreaming==="function"&&!isDataURI(wasmBinaryFile)&&typeof fetch==="function"){fetch(wasmBinaryFile,{credentials:"same-origin"}).then(function(response){var result=WebAssembly.instantiateStreaming(response,info);return result.then(receiveInstantiatedSource,function(reason){err("wasm streaming compile failed: "+reason);err("falling back to ArrayBuffer instantiation");instantiateArrayBuffer(receiveInstantiatedSource)})})}else{return instantiateArrayBuffer(receiveInstantiatedSource)}}if(Module["instantiateWasm"]){try{var exports=Module["instantiateWasm"](info,receiveInstance);return exports}catch(e){err("Module.instantiateWasm callback failed with error: "+e);return false}}instantiateAsync();return{}}var tempDouble;var tempI64;__ATINIT__.push({func:function(){___wasm_call_ctors()}});function demangle(func){return func}function demangleAll(text){var regex=/\b_Z[\w\d_]+/g;return text.replace(regex,function(x){var y=demangle(x);return x===y?x:y+" ["+x+"]"})}function jsStackTrace(){var err=new Error;if(!err.stack){try{throw new Error(0)}catch(e){err=e}if(!err.stack){return"(no stack trace available)"}}return err.stack.toString()}function ___cxa_allocate_exception(size){return _malloc(size)}var ___exception_infos={};var ___exception_last=0;function ___cxa_throw(ptr,type,destructor){___exception_infos[ptr]={ptr:ptr,adjusted:[ptr],type:type,destructor:destructor,refcount:0,caught:false,rethrown:false};___exception_last=ptr;if(!("uncaught_exception"in __ZSt18uncaught_exceptionv)){__ZSt18uncaught_exceptionv.uncaught_exceptions=1}else{__ZSt18uncaught_exceptionv.uncaught_exceptions++}throw ptr}function _abort(){abort()}function _emscripten_get_heap_size(){return HEAP8.length}function _emscripten_get_sbrk_ptr(){return 13664}function _emscripten_memcpy_big(dest,src,num){HEAPU8.set(HEAPU8.subarray(src,src+num),dest)}function emscripten_realloc_buffer(size){try{wasmMemory.grow(size-buffer.byteLength+65535>>16);updateGlobalBufferAndViews(wasmMemory.buffer);return 1}catch(e){}}function _emscripten_resize_heap(requestedSize){var oldSize=_emscripten_get_heap_size();var PAGE_MULTIPLE=65536;var LIMIT=2147483648-PAGE_MULTIPLE;if(requestedSize>LIMIT){return false}var MIN_TOTAL_MEMORY=16777216;var newSize=Math.max(oldSize,MIN_TOTAL_MEMORY);while(newSize<requestedSize){if(newSize<=536870912){newSize=alignUp(2*newSize,PAGE_MULTIPLE)}else{newSize=Math.min(alignUp((3*newSize+2147483648)/4,PAGE_MULTIPLE),LIMIT)}}var replacement=emscripten_realloc_buffer(newSize);if(!replacement){return false}return true}var ENV={};function _emscripten_get_environ(){if(!_emscripten_get_environ.strings){var env={"USER":"web_user","LOGNAME":"web_user","PATH":"/","PWD":"/","HOME":"/home/web_user","LANG":(typeof navigator==="object"&&navigator.languages&&navigator.languages[0]||"C").replace("-","_")+".UTF-8","_":thisProgram};for(var x in ENV){env[x]=ENV[x]}var strings=[];for(var x in env){strings.push(x+"="+env[x])}_emscripten_get_environ.strings=strings}return _emscripten_get_environ.strings}function _environ_get(__environ,environ_buf){var strings=_emscripten_get_environ();var bufSize=0;strings.forEach(function(string,i){var ptr=environ_buf+bufSize;HEAP32[__environ+i*4>>2]=ptr;writeAsciiToMemory(string,ptr);bufSize+=string.length+1});return 0}function _environ_sizes_get(penviron_count,penviron_buf_size){var strings=_emscripten_get_environ();HEAP32[penviron_count>>2]=strings.length;var bufSize=0;strings.forEach(function(string){bufSize+=string.length+1});HEAP32[penviron_buf_size>>2]=bufSize;return 0}var PATH={splitPath:function(filename){var splitPathRe=/^(\/?|)([\s\S]*?)((?:\.{1,2}|[^\/]+?|)(\.[^.\/]*|))(?:[\/]*)$/;return splitPathRe.exec(filename).slice(1)},normalizeArray:function(parts,allowAboveRoot){var up=0;for(var i=parts.length-1;i>=0;i--){var last=parts[i];if(last==="."){parts.splice(i,1)}else if(last===".."){parts.splice(i,1);up++}else if(up){parts.splice(i,1);up--}}if(allowAboveRoot){for(;up;up--){parts.unshift("..")}}return parts},normalize:function(path){var isAbsolute=path.charAt(0)==="/",trailingSlash=path.substr(-1)==="/";path=PATH.normalizeArray(path.split("/").filter(function(p){return!!p}),!isAbsolute).join("/");if(!path&&!isAbsolute){path="."}if(path&&trailingSlash){path+="/"}return(isAbsolute?"/":"")+path},dirname:function(path){var result=PATH.splitPath(path),root=result[0],dir=result[1];if(!root&&!dir){return"."}if(dir){dir=dir.substr(0,dir.length-1)}return root+dir},basename:function(path){if(path==="/")return"/";var lastSlash=path.lastIndexOf("/");if(lastSlash===-1)return path;return path.substr(lastSlash+1)},extname:function(path){return PATH.splitPath(path)[3]},join:function(){var paths=Array.prototype.slice.call(arguments,0);return PATH.normalize(paths.join("/"))},join2:function(l,r){return PATH.normalize(l+"/"+r)}};var SYSCALLS={buffers:[null,[],[]],printChar:function(stream,curr){var buffer=SYSCALLS.buffers[stream];if(curr===0||curr===10){(stream===1?out:err)(UTF8ArrayToString(buffer,0));buffer.length=0}else{buffer.push(curr)}},varargs:0,get:function(varargs){SYSCALLS.varargs+=4;var ret=HEAP32[SYSCALLS.varargs-4>>2];return ret},getStr:function(){var ret=UTF8ToString(SYSCALLS.get());return ret},get64:function(){var low=SYSCALLS.get(),high=SYSCALLS.get();return low},getZero:function(){SYSCALLS.get()}};function _fd_close(fd){try{return 0}catch(e){if(typeof FS==="undefined"||!(e instanceof FS.ErrnoError))abort(e);return e.errno}}function _fd_seek(fd,offset_low,offset_high,whence,newOffset){try{return 0}catch(e){if(typeof FS==="undefined"||!(e instanceof FS.ErrnoError))abort(e);return e.errno}}function _fd_write(fd,iov,iovcnt,pnum){try{var num=0;for(var i=0;i<iovcnt;i++){var ptr=HEAP32[iov+i*8>>2];var len=HEAP32[iov+(i*8+4)>>2];for(var j=0;j<len;j++){SYSCALLS.printChar(fd,HEAPU8[ptr+j])}num+=len}HEAP32[pnum>>2]=num;return 0}catch(e){if(typeof FS==="undefined"||!(e instanceof FS.ErrnoError))abort(e);return e.errno}}var ASSERTIONS=false;function intArrayFromString(stringy,dontAddNull,length){var len=length>0?length:lengthBytesUTF8(stringy)+1;var u8array=new Array(len);var numBytesWritten=stringToUTF8Array(stringy,u8array,0,u8array.length);if(dontAddNull)u8array.length=numBytesWritten;return u8array}function intArrayToString(array){var ret=[];for(var i=0;i<array.length;i++){var chr=array[i];if(chr>255){if(ASSERTIONS){assert(false,"Character code "+chr+" ("+String.fromCharCode(chr)+")  at offset "+i+" not in 0x00-0xFF.")}chr&=255}ret.push(String.fromCharCode(chr))}return ret.join("")}var decodeBase64=typeof atob==="function"?atob:function(input){var keyStr="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=";var output="";var chr1,chr2,chr3;var enc1,enc2,enc3,enc4;var i=0;input=input.replace(/[^A-Za-z0-9\+\/\=]/g,"");do{enc1=keyStr.indexOf(input.charAt(i++));enc2=keyStr.indexOf(input.charAt(i++));enc3=keyStr.indexOf(input.charAt(i++));enc4=keyStr.indexOf(input.charAt(i++));chr1=enc1<<2|enc2>>4;chr2=(enc2&15)<<4|enc3>>2;chr3=(enc3&3)<<6|enc4;output=output+String.fromCharCode(chr1);if(enc3!==64){output=output+String.fromCharCode(chr2)}if(enc4!==64){output=output+String.fromCharCode(chr3)}}while(i<input.length);return output};function intArrayFromBase64(s){if(typeof ENVIRONMENT_IS_NODE==="boolean"&&ENVIRONMENT_IS_NODE){var buf;try{buf=Buffer.from(s,"base64")}catch(_){buf=new Buffer(s,"base64")}return new Uint8Array(buf.buffer,buf.byteOffset,buf.byteLength)}try{var decoded=decodeBase64(s);var bytes=new Uint8Array(decoded.length);for(var i=0;i<decoded.length;++i){bytes[i]=decoded.charCodeAt(i)}return bytes}catch(_){throw new Error("Converting base64 string to bytes failed.")}}function tryParseAsDataURI(filename){if(!isDataURI(filename)){return}return intArrayFromBase64(filename.slice(dataURIPrefix.length))}var asmLibraryArg={"__cxa_allocate_exception":___cxa_allocate_exception,"__cxa_throw":___cxa_throw,"abort":_abort,"emscripten_get_sbrk_ptr":_emscripten_get_sbrk_ptr,"emscripten_memcpy_big":_emscripten_memcpy_big,"emscripten_resize_heap":_emscripten_resize_heap,"environ_get":_environ_get,"environ_sizes_get":_environ_sizes_get,"fd_close":_fd_close,"fd_seek":_fd_seek,"fd_write":_fd_write,"getTempRet0":getTempRet0,"memory":wasmMemory,"setTempRet0":setTempRet0,"table":wasmTable};var asm=createWasm();Module["asm"]=asm;var ___wasm_call_ctors=Module["___wasm_call_ctors"]=function(){return Module["asm"]["__wasm_call_ctors"].apply(null,arguments)};var _emscripten_bind_Status_code_0=Module["_emscripten_bind_Status_code_0"]=function(){return Module["asm"]["emscripten_bind_Status_code_0"].apply(null,arguments)};var _emscripten_bind_Status_ok_0=Module["_emscripten_bind_Status_ok_0"]=function(){return Module["asm"]["emscripten_bind_Status_ok_0"].apply(null,arguments)};var _emscripten_bind_Status_error_msg_0=Module["_emscripten_bind_Status_error_msg_0"]=function(){return Module["asm"]["emscripten_bind_Status_error_msg_0"].apply(null,arguments)};var _emscripten_bind_Status___destroy___0=Module["_emscripten_bind_Status___destroy___0"]=function(){return Module["asm"]["emscripten_bind_Status___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoUInt16Array_DracoUInt16Array_0=Module["_emscripten_bind_DracoUInt16Array_DracoUInt16Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt16Array_DracoUInt16Array_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt16Array_GetValue_1=Module["_emscripten_bind_DracoUInt16Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoUInt16Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoUInt16Array_size_0=Module["_emscripten_bind_DracoUInt16Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt16Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt16Array___destroy___0=Module["_emscripten_bind_DracoUInt16Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt16Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_PointCloud_PointCloud_0=Module["_emscripten_bind_PointCloud_PointCloud_0"]=function(){return Module["asm"]["emscripten_bind_PointCloud_PointCloud_0"].apply(null,arguments)};var _emscripten_bind_PointCloud_num_attributes_0=Module["_emscripten_bind_PointCloud_num_attributes_0"]=function(){return Module["asm"]["emscripten_bind_PointCloud_num_attributes_0"].apply(null,arguments)};var _emscripten_bind_PointCloud_num_points_0=Module["_emscripten_bind_PointCloud_num_points_0"]=function(){return Module["asm"]["emscripten_bind_PointCloud_num_points_0"].apply(null,arguments)};var _emscripten_bind_PointCloud___destroy___0=Module["_emscripten_bind_PointCloud___destroy___0"]=function(){return Module["asm"]["emscripten_bind_PointCloud___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoUInt8Array_DracoUInt8Array_0=Module["_emscripten_bind_DracoUInt8Array_DracoUInt8Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt8Array_DracoUInt8Array_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt8Array_GetValue_1=Module["_emscripten_bind_DracoUInt8Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoUInt8Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoUInt8Array_size_0=Module["_emscripten_bind_DracoUInt8Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt8Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt8Array___destroy___0=Module["_emscripten_bind_DracoUInt8Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt8Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoUInt32Array_DracoUInt32Array_0=Module["_emscripten_bind_DracoUInt32Array_DracoUInt32Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt32Array_DracoUInt32Array_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt32Array_GetValue_1=Module["_emscripten_bind_DracoUInt32Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoUInt32Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoUInt32Array_size_0=Module["_emscripten_bind_DracoUInt32Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt32Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoUInt32Array___destroy___0=Module["_emscripten_bind_DracoUInt32Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoUInt32Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_AttributeOctahedronTransform_AttributeOctahedronTransform_0=Module["_emscripten_bind_AttributeOctahedronTransform_AttributeOctahedronTransform_0"]=function(){return Module["asm"]["emscripten_bind_AttributeOctahedronTransform_AttributeOctahedronTransform_0"].apply(null,arguments)};var _emscripten_bind_AttributeOctahedronTransform_InitFromAttribute_1=Module["_emscripten_bind_AttributeOctahedronTransform_InitFromAttribute_1"]=function(){return Module["asm"]["emscripten_bind_AttributeOctahedronTransform_InitFromAttribute_1"].apply(null,arguments)};var _emscripten_bind_AttributeOctahedronTransform_quantization_bits_0=Module["_emscripten_bind_AttributeOctahedronTransform_quantization_bits_0"]=function(){return Module["asm"]["emscripten_bind_AttributeOctahedronTransform_quantization_bits_0"].apply(null,arguments)};var _emscripten_bind_AttributeOctahedronTransform___destroy___0=Module["_emscripten_bind_AttributeOctahedronTransform___destroy___0"]=function(){return Module["asm"]["emscripten_bind_AttributeOctahedronTransform___destroy___0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_PointAttribute_0=Module["_emscripten_bind_PointAttribute_PointAttribute_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_PointAttribute_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_size_0=Module["_emscripten_bind_PointAttribute_size_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_size_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_GetAttributeTransformData_0=Module["_emscripten_bind_PointAttribute_GetAttributeTransformData_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_GetAttributeTransformData_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_attribute_type_0=Module["_emscripten_bind_PointAttribute_attribute_type_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_attribute_type_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_data_type_0=Module["_emscripten_bind_PointAttribute_data_type_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_data_type_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_num_components_0=Module["_emscripten_bind_PointAttribute_num_components_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_num_components_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_normalized_0=Module["_emscripten_bind_PointAttribute_normalized_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_normalized_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_byte_stride_0=Module["_emscripten_bind_PointAttribute_byte_stride_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_byte_stride_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_byte_offset_0=Module["_emscripten_bind_PointAttribute_byte_offset_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_byte_offset_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute_unique_id_0=Module["_emscripten_bind_PointAttribute_unique_id_0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute_unique_id_0"].apply(null,arguments)};var _emscripten_bind_PointAttribute___destroy___0=Module["_emscripten_bind_PointAttribute___destroy___0"]=function(){return Module["asm"]["emscripten_bind_PointAttribute___destroy___0"].apply(null,arguments)};var _emscripten_bind_AttributeTransformData_AttributeTransformData_0=Module["_emscripten_bind_AttributeTransformData_AttributeTransformData_0"]=function(){return Module["asm"]["emscripten_bind_AttributeTransformData_AttributeTransformData_0"].apply(null,arguments)};var _emscripten_bind_AttributeTransformData_transform_type_0=Module["_emscripten_bind_AttributeTransformData_transform_type_0"]=function(){return Module["asm"]["emscripten_bind_AttributeTransformData_transform_type_0"].apply(null,arguments)};var _emscripten_bind_AttributeTransformData___destroy___0=Module["_emscripten_bind_AttributeTransformData___destroy___0"]=function(){return Module["asm"]["emscripten_bind_AttributeTransformData___destroy___0"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform_AttributeQuantizationTransform_0=Module["_emscripten_bind_AttributeQuantizationTransform_AttributeQuantizationTransform_0"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform_AttributeQuantizationTransform_0"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform_InitFromAttribute_1=Module["_emscripten_bind_AttributeQuantizationTransform_InitFromAttribute_1"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform_InitFromAttribute_1"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform_quantization_bits_0=Module["_emscripten_bind_AttributeQuantizationTransform_quantization_bits_0"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform_quantization_bits_0"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform_min_value_1=Module["_emscripten_bind_AttributeQuantizationTransform_min_value_1"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform_min_value_1"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform_range_0=Module["_emscripten_bind_AttributeQuantizationTransform_range_0"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform_range_0"].apply(null,arguments)};var _emscripten_bind_AttributeQuantizationTransform___destroy___0=Module["_emscripten_bind_AttributeQuantizationTransform___destroy___0"]=function(){return Module["asm"]["emscripten_bind_AttributeQuantizationTransform___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoInt8Array_DracoInt8Array_0=Module["_emscripten_bind_DracoInt8Array_DracoInt8Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt8Array_DracoInt8Array_0"].apply(null,arguments)};var _emscripten_bind_DracoInt8Array_GetValue_1=Module["_emscripten_bind_DracoInt8Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoInt8Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoInt8Array_size_0=Module["_emscripten_bind_DracoInt8Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt8Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoInt8Array___destroy___0=Module["_emscripten_bind_DracoInt8Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoInt8Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_MetadataQuerier_0=Module["_emscripten_bind_MetadataQuerier_MetadataQuerier_0"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_MetadataQuerier_0"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_HasEntry_2=Module["_emscripten_bind_MetadataQuerier_HasEntry_2"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_HasEntry_2"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_GetIntEntry_2=Module["_emscripten_bind_MetadataQuerier_GetIntEntry_2"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_GetIntEntry_2"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_GetIntEntryArray_3=Module["_emscripten_bind_MetadataQuerier_GetIntEntryArray_3"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_GetIntEntryArray_3"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_GetDoubleEntry_2=Module["_emscripten_bind_MetadataQuerier_GetDoubleEntry_2"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_GetDoubleEntry_2"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_GetStringEntry_2=Module["_emscripten_bind_MetadataQuerier_GetStringEntry_2"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_GetStringEntry_2"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_NumEntries_1=Module["_emscripten_bind_MetadataQuerier_NumEntries_1"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_NumEntries_1"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier_GetEntryName_2=Module["_emscripten_bind_MetadataQuerier_GetEntryName_2"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier_GetEntryName_2"].apply(null,arguments)};var _emscripten_bind_MetadataQuerier___destroy___0=Module["_emscripten_bind_MetadataQuerier___destroy___0"]=function(){return Module["asm"]["emscripten_bind_MetadataQuerier___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoInt16Array_DracoInt16Array_0=Module["_emscripten_bind_DracoInt16Array_DracoInt16Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt16Array_DracoInt16Array_0"].apply(null,arguments)};var _emscripten_bind_DracoInt16Array_GetValue_1=Module["_emscripten_bind_DracoInt16Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoInt16Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoInt16Array_size_0=Module["_emscripten_bind_DracoInt16Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt16Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoInt16Array___destroy___0=Module["_emscripten_bind_DracoInt16Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoInt16Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoFloat32Array_DracoFloat32Array_0=Module["_emscripten_bind_DracoFloat32Array_DracoFloat32Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoFloat32Array_DracoFloat32Array_0"].apply(null,arguments)};var _emscripten_bind_DracoFloat32Array_GetValue_1=Module["_emscripten_bind_DracoFloat32Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoFloat32Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoFloat32Array_size_0=Module["_emscripten_bind_DracoFloat32Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoFloat32Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoFloat32Array___destroy___0=Module["_emscripten_bind_DracoFloat32Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoFloat32Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_GeometryAttribute_GeometryAttribute_0=Module["_emscripten_bind_GeometryAttribute_GeometryAttribute_0"]=function(){return Module["asm"]["emscripten_bind_GeometryAttribute_GeometryAttribute_0"].apply(null,arguments)};var _emscripten_bind_GeometryAttribute___destroy___0=Module["_emscripten_bind_GeometryAttribute___destroy___0"]=function(){return Module["asm"]["emscripten_bind_GeometryAttribute___destroy___0"].apply(null,arguments)};var _emscripten_bind_DecoderBuffer_DecoderBuffer_0=Module["_emscripten_bind_DecoderBuffer_DecoderBuffer_0"]=function(){return Module["asm"]["emscripten_bind_DecoderBuffer_DecoderBuffer_0"].apply(null,arguments)};var _emscripten_bind_DecoderBuffer_Init_2=Module["_emscripten_bind_DecoderBuffer_Init_2"]=function(){return Module["asm"]["emscripten_bind_DecoderBuffer_Init_2"].apply(null,arguments)};var _emscripten_bind_DecoderBuffer___destroy___0=Module["_emscripten_bind_DecoderBuffer___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DecoderBuffer___destroy___0"].apply(null,arguments)};var _emscripten_bind_Decoder_Decoder_0=Module["_emscripten_bind_Decoder_Decoder_0"]=function(){return Module["asm"]["emscripten_bind_Decoder_Decoder_0"].apply(null,arguments)};var _emscripten_bind_Decoder_GetEncodedGeometryType_1=Module["_emscripten_bind_Decoder_GetEncodedGeometryType_1"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetEncodedGeometryType_1"].apply(null,arguments)};var _emscripten_bind_Decoder_DecodeBufferToPointCloud_2=Module["_emscripten_bind_Decoder_DecodeBufferToPointCloud_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_DecodeBufferToPointCloud_2"].apply(null,arguments)};var _emscripten_bind_Decoder_DecodeBufferToMesh_2=Module["_emscripten_bind_Decoder_DecodeBufferToMesh_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_DecodeBufferToMesh_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeId_2=Module["_emscripten_bind_Decoder_GetAttributeId_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeId_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeIdByName_2=Module["_emscripten_bind_Decoder_GetAttributeIdByName_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeIdByName_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeIdByMetadataEntry_3=Module["_emscripten_bind_Decoder_GetAttributeIdByMetadataEntry_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeIdByMetadataEntry_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttribute_2=Module["_emscripten_bind_Decoder_GetAttribute_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttribute_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeByUniqueId_2=Module["_emscripten_bind_Decoder_GetAttributeByUniqueId_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeByUniqueId_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetMetadata_1=Module["_emscripten_bind_Decoder_GetMetadata_1"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetMetadata_1"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeMetadata_2=Module["_emscripten_bind_Decoder_GetAttributeMetadata_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeMetadata_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetFaceFromMesh_3=Module["_emscripten_bind_Decoder_GetFaceFromMesh_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetFaceFromMesh_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetTriangleStripsFromMesh_2=Module["_emscripten_bind_Decoder_GetTriangleStripsFromMesh_2"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetTriangleStripsFromMesh_2"].apply(null,arguments)};var _emscripten_bind_Decoder_GetTrianglesUInt16Array_3=Module["_emscripten_bind_Decoder_GetTrianglesUInt16Array_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetTrianglesUInt16Array_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetTrianglesUInt32Array_3=Module["_emscripten_bind_Decoder_GetTrianglesUInt32Array_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetTrianglesUInt32Array_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeFloat_3=Module["_emscripten_bind_Decoder_GetAttributeFloat_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeFloat_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeFloatForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeFloatForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeFloatForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeIntForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeIntForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeIntForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeInt8ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeInt8ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeInt8ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeUInt8ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeUInt8ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeUInt8ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeInt16ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeInt16ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeInt16ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeUInt16ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeUInt16ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeUInt16ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeInt32ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeInt32ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeInt32ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeUInt32ForAllPoints_3=Module["_emscripten_bind_Decoder_GetAttributeUInt32ForAllPoints_3"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeUInt32ForAllPoints_3"].apply(null,arguments)};var _emscripten_bind_Decoder_GetAttributeDataArrayForAllPoints_5=Module["_emscripten_bind_Decoder_GetAttributeDataArrayForAllPoints_5"]=function(){return Module["asm"]["emscripten_bind_Decoder_GetAttributeDataArrayForAllPoints_5"].apply(null,arguments)};var _emscripten_bind_Decoder_SkipAttributeTransform_1=Module["_emscripten_bind_Decoder_SkipAttributeTransform_1"]=function(){return Module["asm"]["emscripten_bind_Decoder_SkipAttributeTransform_1"].apply(null,arguments)};var _emscripten_bind_Decoder___destroy___0=Module["_emscripten_bind_Decoder___destroy___0"]=function(){return Module["asm"]["emscripten_bind_Decoder___destroy___0"].apply(null,arguments)};var _emscripten_bind_Mesh_Mesh_0=Module["_emscripten_bind_Mesh_Mesh_0"]=function(){return Module["asm"]["emscripten_bind_Mesh_Mesh_0"].apply(null,arguments)};var _emscripten_bind_Mesh_num_faces_0=Module["_emscripten_bind_Mesh_num_faces_0"]=function(){return Module["asm"]["emscripten_bind_Mesh_num_faces_0"].apply(null,arguments)};var _emscripten_bind_Mesh_num_attributes_0=Module["_emscripten_bind_Mesh_num_attributes_0"]=function(){return Module["asm"]["emscripten_bind_Mesh_num_attributes_0"].apply(null,arguments)};var _emscripten_bind_Mesh_num_points_0=Module["_emscripten_bind_Mesh_num_points_0"]=function(){return Module["asm"]["emscripten_bind_Mesh_num_points_0"].apply(null,arguments)};var _emscripten_bind_Mesh___destroy___0=Module["_emscripten_bind_Mesh___destroy___0"]=function(){return Module["asm"]["emscripten_bind_Mesh___destroy___0"].apply(null,arguments)};var _emscripten_bind_VoidPtr___destroy___0=Module["_emscripten_bind_VoidPtr___destroy___0"]=function(){return Module["asm"]["emscripten_bind_VoidPtr___destroy___0"].apply(null,arguments)};var _emscripten_bind_DracoInt32Array_DracoInt32Array_0=Module["_emscripten_bind_DracoInt32Array_DracoInt32Array_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt32Array_DracoInt32Array_0"].apply(null,arguments)};var _emscripten_bind_DracoInt32Array_GetValue_1=Module["_emscripten_bind_DracoInt32Array_GetValue_1"]=function(){return Module["asm"]["emscripten_bind_DracoInt32Array_GetValue_1"].apply(null,arguments)};var _emscripten_bind_DracoInt32Array_size_0=Module["_emscripten_bind_DracoInt32Array_size_0"]=function(){return Module["asm"]["emscripten_bind_DracoInt32Array_size_0"].apply(null,arguments)};var _emscripten_bind_DracoInt32Array___destroy___0=Module["_emscripten_bind_DracoInt32Array___destroy___0"]=function(){return Module["asm"]["emscripten_bind_DracoInt32Array___destroy___0"].apply(null,arguments)};var _emscripten_bind_Metadata_Metadata_0=Module["_emscripten_bind_Metadata_Metadata_0"]=function(){return Module["asm"]["emscripten_bind_Metadata_Metadata_0"].apply(null,arguments)};var _emscripten_bind_Metadata___destroy___0=Module["_emscripten_bind_Metadata___destroy___0"]=function(){return Module["asm"]["emscripten_bind_Metadata___destroy___0"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_OK=Module["_emscripten_enum_draco_StatusCode_OK"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_OK"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_DRACO_ERROR=Module["_emscripten_enum_draco_StatusCode_DRACO_ERROR"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_DRACO_ERROR"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_IO_ERROR=Module["_emscripten_enum_draco_StatusCode_IO_ERROR"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_IO_ERROR"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_INVALID_PARAMETER=Module["_emscripten_enum_draco_StatusCode_INVALID_PARAMETER"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_INVALID_PARAMETER"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_UNSUPPORTED_VERSION=Module["_emscripten_enum_draco_StatusCode_UNSUPPORTED_VERSION"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_UNSUPPORTED_VERSION"].apply(null,arguments)};var _emscripten_enum_draco_StatusCode_UNKNOWN_VERSION=Module["_emscripten_enum_draco_StatusCode_UNKNOWN_VERSION"]=function(){return Module["asm"]["emscripten_enum_draco_StatusCode_UNKNOWN_VERSION"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_INVALID=Module["_emscripten_enum_draco_DataType_DT_INVALID"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_INVALID"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_INT8=Module["_emscripten_enum_draco_DataType_DT_INT8"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_INT8"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_UINT8=Module["_emscripten_enum_draco_DataType_DT_UINT8"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_UINT8"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_INT16=Module["_emscripten_enum_draco_DataType_DT_INT16"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_INT16"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_UINT16=Module["_emscripten_enum_draco_DataType_DT_UINT16"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_UINT16"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_INT32=Module["_emscripten_enum_draco_DataType_DT_INT32"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_INT32"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_UINT32=Module["_emscripten_enum_draco_DataType_DT_UINT32"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_UINT32"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_INT64=Module["_emscripten_enum_draco_DataType_DT_INT64"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_INT64"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_UINT64=Module["_emscripten_enum_draco_DataType_DT_UINT64"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_UINT64"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_FLOAT32=Module["_emscripten_enum_draco_DataType_DT_FLOAT32"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_FLOAT32"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_FLOAT64=Module["_emscripten_enum_draco_DataType_DT_FLOAT64"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_FLOAT64"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_BOOL=Module["_emscripten_enum_draco_DataType_DT_BOOL"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_BOOL"].apply(null,arguments)};var _emscripten_enum_draco_DataType_DT_TYPES_COUNT=Module["_emscripten_enum_draco_DataType_DT_TYPES_COUNT"]=function(){return Module["asm"]["emscripten_enum_draco_DataType_DT_TYPES_COUNT"].apply(null,arguments)};var _emscripten_enum_draco_EncodedGeometryType_INVALID_GEOMETRY_TYPE=Module["_emscripten_enum_draco_EncodedGeometryType_INVALID_GEOMETRY_TYPE"]=function(){return Module["asm"]["emscripten_enum_draco_EncodedGeometryType_INVALID_GEOMETRY_TYPE"].apply(null,arguments)};var _emscripten_enum_draco_EncodedGeometryType_POINT_CLOUD=Module["_emscripten_enum_draco_EncodedGeometryType_POINT_CLOUD"]=function(){return Module["asm"]["emscripten_enum_draco_EncodedGeometryType_POINT_CLOUD"].apply(null,arguments)};var _emscripten_enum_draco_EncodedGeometryType_TRIANGULAR_MESH=Module["_emscripten_enum_draco_EncodedGeometryType_TRIANGULAR_MESH"]=function(){return Module["asm"]["emscripten_enum_draco_EncodedGeometryType_TRIANGULAR_MESH"].apply(null,arguments)};var _emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_INVALID_TRANSFORM=Module["_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_INVALID_TRANSFORM"]=function(){return Module["asm"]["emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_INVALID_TRANSFORM"].apply(null,arguments)};var _emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_NO_TRANSFORM=Module["_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_NO_TRANSFORM"]=function(){return Module["asm"]["emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_NO_TRANSFORM"].apply(null,arguments)};var _emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_QUANTIZATION_TRANSFORM=Module["_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_QUANTIZATION_TRANSFORM"]=function(){return Module["asm"]["emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_QUANTIZATION_TRANSFORM"].apply(null,arguments)};var _emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_OCTAHEDRON_TRANSFORM=Module["_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_OCTAHEDRON_TRANSFORM"]=function(){return Module["asm"]["emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_OCTAHEDRON_TRANSFORM"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_INVALID=Module["_emscripten_enum_draco_GeometryAttribute_Type_INVALID"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_INVALID"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_POSITION=Module["_emscripten_enum_draco_GeometryAttribute_Type_POSITION"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_POSITION"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_NORMAL=Module["_emscripten_enum_draco_GeometryAttribute_Type_NORMAL"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_NORMAL"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_COLOR=Module["_emscripten_enum_draco_GeometryAttribute_Type_COLOR"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_COLOR"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_TEX_COORD=Module["_emscripten_enum_draco_GeometryAttribute_Type_TEX_COORD"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_TEX_COORD"].apply(null,arguments)};var _emscripten_enum_draco_GeometryAttribute_Type_GENERIC=Module["_emscripten_enum_draco_GeometryAttribute_Type_GENERIC"]=function(){return Module["asm"]["emscripten_enum_draco_GeometryAttribute_Type_GENERIC"].apply(null,arguments)};var _setThrew=Module["_setThrew"]=function(){return Module["asm"]["setThrew"].apply(null,arguments)};var __ZSt18uncaught_exceptionv=Module["__ZSt18uncaught_exceptionv"]=function(){return Module["asm"]["_ZSt18uncaught_exceptionv"].apply(null,arguments)};var _free=Module["_free"]=function(){return Module["asm"]["free"].apply(null,arguments)};var _malloc=Module["_malloc"]=function(){return Module["asm"]["malloc"].apply(null,arguments)};var stackSave=Module["stackSave"]=function(){return Module["asm"]["stackSave"].apply(null,arguments)};var stackAlloc=Module["stackAlloc"]=function(){return Module["asm"]["stackAlloc"].apply(null,arguments)};var stackRestore=Module["stackRestore"]=function(){return Module["asm"]["stackRestore"].apply(null,arguments)};var __growWasmMemory=Module["__growWasmMemory"]=function(){return Module["asm"]["__growWasmMemory"].apply(null,arguments)};var dynCall_ii=Module["dynCall_ii"]=function(){return Module["asm"]["dynCall_ii"].apply(null,arguments)};var dynCall_vi=Module["dynCall_vi"]=function(){return Module["asm"]["dynCall_vi"].apply(null,arguments)};var dynCall_iii=Module["dynCall_iii"]=function(){return Module["asm"]["dynCall_iii"].apply(null,arguments)};var dynCall_vii=Module["dynCall_vii"]=function(){return Module["asm"]["dynCall_vii"].apply(null,arguments)};var dynCall_iiii=Module["dynCall_iiii"]=function(){return Module["asm"]["dynCall_iiii"].apply(null,arguments)};var dynCall_v=Module["dynCall_v"]=function(){return Module["asm"]["dynCall_v"].apply(null,arguments)};var dynCall_viii=Module["dynCall_viii"]=function(){return Module["asm"]["dynCall_viii"].apply(null,arguments)};var dynCall_viiii=Module["dynCall_viiii"]=function(){return Module["asm"]["dynCall_viiii"].apply(null,arguments)};var dynCall_iiiiiii=Module["dynCall_iiiiiii"]=function(){return Module["asm"]["dynCall_iiiiiii"].apply(null,arguments)};var dynCall_iidiiii=Module["dynCall_iidiiii"]=function(){return Module["asm"]["dynCall_iidiiii"].apply(null,arguments)};var dynCall_jiji=Module["dynCall_jiji"]=function(){return Module["asm"]["dynCall_jiji"].apply(null,arguments)};var dynCall_viiiiii=Module["dynCall_viiiiii"]=function(){return Module["asm"]["dynCall_viiiiii"].apply(null,arguments)};var dynCall_viiiii=Module["dynCall_viiiii"]=function(){return Module["asm"]["dynCall_viiiii"].apply(null,arguments)};Module["asm"]=asm;var calledRun;Module["then"]=function(func){if(calledRun){func(Module)}else{var old=Module["onRuntimeInitialized"];Module["onRuntimeInitialized"]=function(){if(old)old();func(Module)}}return Module};function ExitStatus(status){this.name="ExitStatus";this.message="Program terminated with exit("+status+")";this.status=status}dependenciesFulfilled=function runCaller(){if(!calledRun)run();if(!calledRun)dependenciesFulfilled=runCaller};function run(args){args=args||arguments_;if(runDependencies>0){return}preRun();if(runDependencies>0)return;function doRun(){if(calledRun)return;calledRun=true;if(ABORT)return;initRuntime();preMain();if(Module["onRuntimeInitialized"])Module["onRuntimeInitialized"]();postRun()}if(Module["setStatus"]){Module["setStatus"]("Running...");setTimeout(function(){setTimeout(function(){Module["setStatus"]("")},1);doRun()},1)}else{doRun()}}Module["run"]=run;if(Module["preInit"]){if(typeof Module["preInit"]=="function")Module["preInit"]=[Module["preInit"]];while(Module["preInit"].length>0){Module["preInit"].pop()()}}noExitRuntime=true;run();function WrapperObject(){}WrapperObject.prototype=Object.create(WrapperObject.prototype);WrapperObject.prototype.constructor=WrapperObject;WrapperObject.prototype.__class__=WrapperObject;WrapperObject.__cache__={};Module["WrapperObject"]=WrapperObject;function getCache(__class__){return(__class__||WrapperObject).__cache__}Module["getCache"]=getCache;function wrapPointer(ptr,__class__){var cache=getCache(__class__);var ret=cache[ptr];if(ret)return ret;ret=Object.create((__class__||WrapperObject).prototype);ret.ptr=ptr;return cache[ptr]=ret}Module["wrapPointer"]=wrapPointer;function castObject(obj,__class__){return wrapPointer(obj.ptr,__class__)}Module["castObject"]=castObject;Module["NULL"]=wrapPointer(0);function destroy(obj){if(!obj["__destroy__"])throw"Error: Cannot destroy object. (Did you create it yourself?)";obj["__destroy__"]();delete getCache(obj.__class__)[obj.ptr]}Module["destroy"]=destroy;function compare(obj1,obj2){return obj1.ptr===obj2.ptr}Module["compare"]=compare;function getPointer(obj){return obj.ptr}Module["getPointer"]=getPointer;function getClass(obj){return obj.__class__}Module["getClass"]=getClass;var ensureCache={buffer:0,size:0,pos:0,temps:[],needed:0,prepare:function(){if(ensureCache.needed){for(var i=0;i<ensureCache.temps.length;i++){Module["_free"](ensureCache.temps[i])}ensureCache.temps.length=0;Module["_free"](ensureCache.buffer);ensureCache.buffer=0;ensureCache.size+=ensureCache.needed;ensureCache.needed=0}if(!ensureCache.buffer){ensureCache.size+=128;ensureCache.buffer=Module["_malloc"](ensureCache.size);assert(ensureCache.buffer)}ensureCache.pos=0},alloc:function(array,view){assert(ensureCache.buffer);var bytes=view.BYTES_PER_ELEMENT;var len=array.length*bytes;len=len+7&-8;var ret;if(ensureCache.pos+len>=ensureCache.size){assert(len>0);ensureCache.needed+=len;ret=Module["_malloc"](len);ensureCache.temps.push(ret)}else{ret=ensureCache.buffer+ensureCache.pos;ensureCache.pos+=len}return ret},copy:function(array,view,offset){var offsetShifted=offset;var bytes=view.BYTES_PER_ELEMENT;switch(bytes){case 2:offsetShifted>>=1;break;case 4:offsetShifted>>=2;break;case 8:offsetShifted>>=3;break}for(var i=0;i<array.length;i++){view[offsetShifted+i]=array[i]}}};function ensureString(value){if(typeof value==="string"){var intArray=intArrayFromString(value);var offset=ensureCache.alloc(intArray,HEAP8);ensureCache.copy(intArray,HEAP8,offset);return offset}return value}function ensureInt8(value){if(typeof value==="object"){var offset=ensureCache.alloc(value,HEAP8);ensureCache.copy(value,HEAP8,offset);return offset}return value}function Status(){throw"cannot construct a Status, no constructor in IDL"}Status.prototype=Object.create(WrapperObject.prototype);Status.prototype.constructor=Status;Status.prototype.__class__=Status;Status.__cache__={};Module["Status"]=Status;Status.prototype["code"]=Status.prototype.code=function(){var self=this.ptr;return _emscripten_bind_Status_code_0(self)};Status.prototype["ok"]=Status.prototype.ok=function(){var self=this.ptr;return!!_emscripten_bind_Status_ok_0(self)};Status.prototype["error_msg"]=Status.prototype.error_msg=function(){var self=this.ptr;return UTF8ToString(_emscripten_bind_Status_error_msg_0(self))};Status.prototype["__destroy__"]=Status.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_Status___destroy___0(self)};function DracoUInt16Array(){this.ptr=_emscripten_bind_DracoUInt16Array_DracoUInt16Array_0();getCache(DracoUInt16Array)[this.ptr]=this}DracoUInt16Array.prototype=Object.create(WrapperObject.prototype);DracoUInt16Array.prototype.constructor=DracoUInt16Array;DracoUInt16Array.prototype.__class__=DracoUInt16Array;DracoUInt16Array.__cache__={};Module["DracoUInt16Array"]=DracoUInt16Array;DracoUInt16Array.prototype["GetValue"]=DracoUInt16Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoUInt16Array_GetValue_1(self,index)};DracoUInt16Array.prototype["size"]=DracoUInt16Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoUInt16Array_size_0(self)};DracoUInt16Array.prototype["__destroy__"]=DracoUInt16Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoUInt16Array___destroy___0(self)};function PointCloud(){this.ptr=_emscripten_bind_PointCloud_PointCloud_0();getCache(PointCloud)[this.ptr]=this}PointCloud.prototype=Object.create(WrapperObject.prototype);PointCloud.prototype.constructor=PointCloud;PointCloud.prototype.__class__=PointCloud;PointCloud.__cache__={};Module["PointCloud"]=PointCloud;PointCloud.prototype["num_attributes"]=PointCloud.prototype.num_attributes=function(){var self=this.ptr;return _emscripten_bind_PointCloud_num_attributes_0(self)};PointCloud.prototype["num_points"]=PointCloud.prototype.num_points=function(){var self=this.ptr;return _emscripten_bind_PointCloud_num_points_0(self)};PointCloud.prototype["__destroy__"]=PointCloud.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_PointCloud___destroy___0(self)};function DracoUInt8Array(){this.ptr=_emscripten_bind_DracoUInt8Array_DracoUInt8Array_0();getCache(DracoUInt8Array)[this.ptr]=this}DracoUInt8Array.prototype=Object.create(WrapperObject.prototype);DracoUInt8Array.prototype.constructor=DracoUInt8Array;DracoUInt8Array.prototype.__class__=DracoUInt8Array;DracoUInt8Array.__cache__={};Module["DracoUInt8Array"]=DracoUInt8Array;DracoUInt8Array.prototype["GetValue"]=DracoUInt8Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoUInt8Array_GetValue_1(self,index)};DracoUInt8Array.prototype["size"]=DracoUInt8Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoUInt8Array_size_0(self)};DracoUInt8Array.prototype["__destroy__"]=DracoUInt8Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoUInt8Array___destroy___0(self)};function DracoUInt32Array(){this.ptr=_emscripten_bind_DracoUInt32Array_DracoUInt32Array_0();getCache(DracoUInt32Array)[this.ptr]=this}DracoUInt32Array.prototype=Object.create(WrapperObject.prototype);DracoUInt32Array.prototype.constructor=DracoUInt32Array;DracoUInt32Array.prototype.__class__=DracoUInt32Array;DracoUInt32Array.__cache__={};Module["DracoUInt32Array"]=DracoUInt32Array;DracoUInt32Array.prototype["GetValue"]=DracoUInt32Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoUInt32Array_GetValue_1(self,index)};DracoUInt32Array.prototype["size"]=DracoUInt32Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoUInt32Array_size_0(self)};DracoUInt32Array.prototype["__destroy__"]=DracoUInt32Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoUInt32Array___destroy___0(self)};function AttributeOctahedronTransform(){this.ptr=_emscripten_bind_AttributeOctahedronTransform_AttributeOctahedronTransform_0();getCache(AttributeOctahedronTransform)[this.ptr]=this}AttributeOctahedronTransform.prototype=Object.create(WrapperObject.prototype);AttributeOctahedronTransform.prototype.constructor=AttributeOctahedronTransform;AttributeOctahedronTransform.prototype.__class__=AttributeOctahedronTransform;AttributeOctahedronTransform.__cache__={};Module["AttributeOctahedronTransform"]=AttributeOctahedronTransform;AttributeOctahedronTransform.prototype["InitFromAttribute"]=AttributeOctahedronTransform.prototype.InitFromAttribute=function(att){var self=this.ptr;if(att&&typeof att==="object")att=att.ptr;return!!_emscripten_bind_AttributeOctahedronTransform_InitFromAttribute_1(self,att)};AttributeOctahedronTransform.prototype["quantization_bits"]=AttributeOctahedronTransform.prototype.quantization_bits=function(){var self=this.ptr;return _emscripten_bind_AttributeOctahedronTransform_quantization_bits_0(self)};AttributeOctahedronTransform.prototype["__destroy__"]=AttributeOctahedronTransform.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_AttributeOctahedronTransform___destroy___0(self)};function PointAttribute(){this.ptr=_emscripten_bind_PointAttribute_PointAttribute_0();getCache(PointAttribute)[this.ptr]=this}PointAttribute.prototype=Object.create(WrapperObject.prototype);PointAttribute.prototype.constructor=PointAttribute;PointAttribute.prototype.__class__=PointAttribute;PointAttribute.__cache__={};Module["PointAttribute"]=PointAttribute;PointAttribute.prototype["size"]=PointAttribute.prototype.size=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_size_0(self)};PointAttribute.prototype["GetAttributeTransformData"]=PointAttribute.prototype.GetAttributeTransformData=function(){var self=this.ptr;return wrapPointer(_emscripten_bind_PointAttribute_GetAttributeTransformData_0(self),AttributeTransformData)};PointAttribute.prototype["attribute_type"]=PointAttribute.prototype.attribute_type=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_attribute_type_0(self)};PointAttribute.prototype["data_type"]=PointAttribute.prototype.data_type=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_data_type_0(self)};PointAttribute.prototype["num_components"]=PointAttribute.prototype.num_components=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_num_components_0(self)};PointAttribute.prototype["normalized"]=PointAttribute.prototype.normalized=function(){var self=this.ptr;return!!_emscripten_bind_PointAttribute_normalized_0(self)};PointAttribute.prototype["byte_stride"]=PointAttribute.prototype.byte_stride=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_byte_stride_0(self)};PointAttribute.prototype["byte_offset"]=PointAttribute.prototype.byte_offset=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_byte_offset_0(self)};PointAttribute.prototype["unique_id"]=PointAttribute.prototype.unique_id=function(){var self=this.ptr;return _emscripten_bind_PointAttribute_unique_id_0(self)};PointAttribute.prototype["__destroy__"]=PointAttribute.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_PointAttribute___destroy___0(self)};function AttributeTransformData(){this.ptr=_emscripten_bind_AttributeTransformData_AttributeTransformData_0();getCache(AttributeTransformData)[this.ptr]=this}AttributeTransformData.prototype=Object.create(WrapperObject.prototype);AttributeTransformData.prototype.constructor=AttributeTransformData;AttributeTransformData.prototype.__class__=AttributeTransformData;AttributeTransformData.__cache__={};Module["AttributeTransformData"]=AttributeTransformData;AttributeTransformData.prototype["transform_type"]=AttributeTransformData.prototype.transform_type=function(){var self=this.ptr;return _emscripten_bind_AttributeTransformData_transform_type_0(self)};AttributeTransformData.prototype["__destroy__"]=AttributeTransformData.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_AttributeTransformData___destroy___0(self)};function AttributeQuantizationTransform(){this.ptr=_emscripten_bind_AttributeQuantizationTransform_AttributeQuantizationTransform_0();getCache(AttributeQuantizationTransform)[this.ptr]=this}AttributeQuantizationTransform.prototype=Object.create(WrapperObject.prototype);AttributeQuantizationTransform.prototype.constructor=AttributeQuantizationTransform;AttributeQuantizationTransform.prototype.__class__=AttributeQuantizationTransform;AttributeQuantizationTransform.__cache__={};Module["AttributeQuantizationTransform"]=AttributeQuantizationTransform;AttributeQuantizationTransform.prototype["InitFromAttribute"]=AttributeQuantizationTransform.prototype.InitFromAttribute=function(att){var self=this.ptr;if(att&&typeof att==="object")att=att.ptr;return!!_emscripten_bind_AttributeQuantizationTransform_InitFromAttribute_1(self,att)};AttributeQuantizationTransform.prototype["quantization_bits"]=AttributeQuantizationTransform.prototype.quantization_bits=function(){var self=this.ptr;return _emscripten_bind_AttributeQuantizationTransform_quantization_bits_0(self)};AttributeQuantizationTransform.prototype["min_value"]=AttributeQuantizationTransform.prototype.min_value=function(axis){var self=this.ptr;if(axis&&typeof axis==="object")axis=axis.ptr;return _emscripten_bind_AttributeQuantizationTransform_min_value_1(self,axis)};AttributeQuantizationTransform.prototype["range"]=AttributeQuantizationTransform.prototype.range=function(){var self=this.ptr;return _emscripten_bind_AttributeQuantizationTransform_range_0(self)};AttributeQuantizationTransform.prototype["__destroy__"]=AttributeQuantizationTransform.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_AttributeQuantizationTransform___destroy___0(self)};function DracoInt8Array(){this.ptr=_emscripten_bind_DracoInt8Array_DracoInt8Array_0();getCache(DracoInt8Array)[this.ptr]=this}DracoInt8Array.prototype=Object.create(WrapperObject.prototype);DracoInt8Array.prototype.constructor=DracoInt8Array;DracoInt8Array.prototype.__class__=DracoInt8Array;DracoInt8Array.__cache__={};Module["DracoInt8Array"]=DracoInt8Array;DracoInt8Array.prototype["GetValue"]=DracoInt8Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoInt8Array_GetValue_1(self,index)};DracoInt8Array.prototype["size"]=DracoInt8Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoInt8Array_size_0(self)};DracoInt8Array.prototype["__destroy__"]=DracoInt8Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoInt8Array___destroy___0(self)};function MetadataQuerier(){this.ptr=_emscripten_bind_MetadataQuerier_MetadataQuerier_0();getCache(MetadataQuerier)[this.ptr]=this}MetadataQuerier.prototype=Object.create(WrapperObject.prototype);MetadataQuerier.prototype.constructor=MetadataQuerier;MetadataQuerier.prototype.__class__=MetadataQuerier;MetadataQuerier.__cache__={};Module["MetadataQuerier"]=MetadataQuerier;MetadataQuerier.prototype["HasEntry"]=MetadataQuerier.prototype.HasEntry=function(metadata,entry_name){var self=this.ptr;ensureCache.prepare();if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_name&&typeof entry_name==="object")entry_name=entry_name.ptr;else entry_name=ensureString(entry_name);return!!_emscripten_bind_MetadataQuerier_HasEntry_2(self,metadata,entry_name)};MetadataQuerier.prototype["GetIntEntry"]=MetadataQuerier.prototype.GetIntEntry=function(metadata,entry_name){var self=this.ptr;ensureCache.prepare();if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_name&&typeof entry_name==="object")entry_name=entry_name.ptr;else entry_name=ensureString(entry_name);return _emscripten_bind_MetadataQuerier_GetIntEntry_2(self,metadata,entry_name)};MetadataQuerier.prototype["GetIntEntryArray"]=MetadataQuerier.prototype.GetIntEntryArray=function(metadata,entry_name,out_values){var self=this.ptr;ensureCache.prepare();if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_name&&typeof entry_name==="object")entry_name=entry_name.ptr;else entry_name=ensureString(entry_name);if(out_values&&typeof out_values==="object")out_values=out_values.ptr;_emscripten_bind_MetadataQuerier_GetIntEntryArray_3(self,metadata,entry_name,out_values)};MetadataQuerier.prototype["GetDoubleEntry"]=MetadataQuerier.prototype.GetDoubleEntry=function(metadata,entry_name){var self=this.ptr;ensureCache.prepare();if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_name&&typeof entry_name==="object")entry_name=entry_name.ptr;else entry_name=ensureString(entry_name);return _emscripten_bind_MetadataQuerier_GetDoubleEntry_2(self,metadata,entry_name)};MetadataQuerier.prototype["GetStringEntry"]=MetadataQuerier.prototype.GetStringEntry=function(metadata,entry_name){var self=this.ptr;ensureCache.prepare();if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_name&&typeof entry_name==="object")entry_name=entry_name.ptr;else entry_name=ensureString(entry_name);return UTF8ToString(_emscripten_bind_MetadataQuerier_GetStringEntry_2(self,metadata,entry_name))};MetadataQuerier.prototype["NumEntries"]=MetadataQuerier.prototype.NumEntries=function(metadata){var self=this.ptr;if(metadata&&typeof metadata==="object")metadata=metadata.ptr;return _emscripten_bind_MetadataQuerier_NumEntries_1(self,metadata)};MetadataQuerier.prototype["GetEntryName"]=MetadataQuerier.prototype.GetEntryName=function(metadata,entry_id){var self=this.ptr;if(metadata&&typeof metadata==="object")metadata=metadata.ptr;if(entry_id&&typeof entry_id==="object")entry_id=entry_id.ptr;return UTF8ToString(_emscripten_bind_MetadataQuerier_GetEntryName_2(self,metadata,entry_id))};MetadataQuerier.prototype["__destroy__"]=MetadataQuerier.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_MetadataQuerier___destroy___0(self)};function DracoInt16Array(){this.ptr=_emscripten_bind_DracoInt16Array_DracoInt16Array_0();getCache(DracoInt16Array)[this.ptr]=this}DracoInt16Array.prototype=Object.create(WrapperObject.prototype);DracoInt16Array.prototype.constructor=DracoInt16Array;DracoInt16Array.prototype.__class__=DracoInt16Array;DracoInt16Array.__cache__={};Module["DracoInt16Array"]=DracoInt16Array;DracoInt16Array.prototype["GetValue"]=DracoInt16Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoInt16Array_GetValue_1(self,index)};DracoInt16Array.prototype["size"]=DracoInt16Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoInt16Array_size_0(self)};DracoInt16Array.prototype["__destroy__"]=DracoInt16Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoInt16Array___destroy___0(self)};function DracoFloat32Array(){this.ptr=_emscripten_bind_DracoFloat32Array_DracoFloat32Array_0();getCache(DracoFloat32Array)[this.ptr]=this}DracoFloat32Array.prototype=Object.create(WrapperObject.prototype);DracoFloat32Array.prototype.constructor=DracoFloat32Array;DracoFloat32Array.prototype.__class__=DracoFloat32Array;DracoFloat32Array.__cache__={};Module["DracoFloat32Array"]=DracoFloat32Array;DracoFloat32Array.prototype["GetValue"]=DracoFloat32Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoFloat32Array_GetValue_1(self,index)};DracoFloat32Array.prototype["size"]=DracoFloat32Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoFloat32Array_size_0(self)};DracoFloat32Array.prototype["__destroy__"]=DracoFloat32Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoFloat32Array___destroy___0(self)};function GeometryAttribute(){this.ptr=_emscripten_bind_GeometryAttribute_GeometryAttribute_0();getCache(GeometryAttribute)[this.ptr]=this}GeometryAttribute.prototype=Object.create(WrapperObject.prototype);GeometryAttribute.prototype.constructor=GeometryAttribute;GeometryAttribute.prototype.__class__=GeometryAttribute;GeometryAttribute.__cache__={};Module["GeometryAttribute"]=GeometryAttribute;GeometryAttribute.prototype["__destroy__"]=GeometryAttribute.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_GeometryAttribute___destroy___0(self)};function DecoderBuffer(){this.ptr=_emscripten_bind_DecoderBuffer_DecoderBuffer_0();getCache(DecoderBuffer)[this.ptr]=this}DecoderBuffer.prototype=Object.create(WrapperObject.prototype);DecoderBuffer.prototype.constructor=DecoderBuffer;DecoderBuffer.prototype.__class__=DecoderBuffer;DecoderBuffer.__cache__={};Module["DecoderBuffer"]=DecoderBuffer;DecoderBuffer.prototype["Init"]=DecoderBuffer.prototype.Init=function(data,data_size){var self=this.ptr;ensureCache.prepare();if(typeof data=="object"){data=ensureInt8(data)}if(data_size&&typeof data_size==="object")data_size=data_size.ptr;_emscripten_bind_DecoderBuffer_Init_2(self,data,data_size)};DecoderBuffer.prototype["__destroy__"]=DecoderBuffer.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DecoderBuffer___destroy___0(self)};function Decoder(){this.ptr=_emscripten_bind_Decoder_Decoder_0();getCache(Decoder)[this.ptr]=this}Decoder.prototype=Object.create(WrapperObject.prototype);Decoder.prototype.constructor=Decoder;Decoder.prototype.__class__=Decoder;Decoder.__cache__={};Module["Decoder"]=Decoder;Decoder.prototype["GetEncodedGeometryType"]=Decoder.prototype.GetEncodedGeometryType=function(in_buffer){var self=this.ptr;if(in_buffer&&typeof in_buffer==="object")in_buffer=in_buffer.ptr;return _emscripten_bind_Decoder_GetEncodedGeometryType_1(self,in_buffer)};Decoder.prototype["DecodeBufferToPointCloud"]=Decoder.prototype.DecodeBufferToPointCloud=function(in_buffer,out_point_cloud){var self=this.ptr;if(in_buffer&&typeof in_buffer==="object")in_buffer=in_buffer.ptr;if(out_point_cloud&&typeof out_point_cloud==="object")out_point_cloud=out_point_cloud.ptr;return wrapPointer(_emscripten_bind_Decoder_DecodeBufferToPointCloud_2(self,in_buffer,out_point_cloud),Status)};Decoder.prototype["DecodeBufferToMesh"]=Decoder.prototype.DecodeBufferToMesh=function(in_buffer,out_mesh){var self=this.ptr;if(in_buffer&&typeof in_buffer==="object")in_buffer=in_buffer.ptr;if(out_mesh&&typeof out_mesh==="object")out_mesh=out_mesh.ptr;return wrapPointer(_emscripten_bind_Decoder_DecodeBufferToMesh_2(self,in_buffer,out_mesh),Status)};Decoder.prototype["GetAttributeId"]=Decoder.prototype.GetAttributeId=function(pc,type){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(type&&typeof type==="object")type=type.ptr;return _emscripten_bind_Decoder_GetAttributeId_2(self,pc,type)};Decoder.prototype["GetAttributeIdByName"]=Decoder.prototype.GetAttributeIdByName=function(pc,name){var self=this.ptr;ensureCache.prepare();if(pc&&typeof pc==="object")pc=pc.ptr;if(name&&typeof name==="object")name=name.ptr;else name=ensureString(name);return _emscripten_bind_Decoder_GetAttributeIdByName_2(self,pc,name)};Decoder.prototype["GetAttributeIdByMetadataEntry"]=Decoder.prototype.GetAttributeIdByMetadataEntry=function(pc,name,value){var self=this.ptr;ensureCache.prepare();if(pc&&typeof pc==="object")pc=pc.ptr;if(name&&typeof name==="object")name=name.ptr;else name=ensureString(name);if(value&&typeof value==="object")value=value.ptr;else value=ensureString(value);return _emscripten_bind_Decoder_GetAttributeIdByMetadataEntry_3(self,pc,name,value)};Decoder.prototype["GetAttribute"]=Decoder.prototype.GetAttribute=function(pc,att_id){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(att_id&&typeof att_id==="object")att_id=att_id.ptr;return wrapPointer(_emscripten_bind_Decoder_GetAttribute_2(self,pc,att_id),PointAttribute)};Decoder.prototype["GetAttributeByUniqueId"]=Decoder.prototype.GetAttributeByUniqueId=function(pc,unique_id){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(unique_id&&typeof unique_id==="object")unique_id=unique_id.ptr;return wrapPointer(_emscripten_bind_Decoder_GetAttributeByUniqueId_2(self,pc,unique_id),PointAttribute)};Decoder.prototype["GetMetadata"]=Decoder.prototype.GetMetadata=function(pc){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;return wrapPointer(_emscripten_bind_Decoder_GetMetadata_1(self,pc),Metadata)};Decoder.prototype["GetAttributeMetadata"]=Decoder.prototype.GetAttributeMetadata=function(pc,att_id){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(att_id&&typeof att_id==="object")att_id=att_id.ptr;return wrapPointer(_emscripten_bind_Decoder_GetAttributeMetadata_2(self,pc,att_id),Metadata)};Decoder.prototype["GetFaceFromMesh"]=Decoder.prototype.GetFaceFromMesh=function(m,face_id,out_values){var self=this.ptr;if(m&&typeof m==="object")m=m.ptr;if(face_id&&typeof face_id==="object")face_id=face_id.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetFaceFromMesh_3(self,m,face_id,out_values)};Decoder.prototype["GetTriangleStripsFromMesh"]=Decoder.prototype.GetTriangleStripsFromMesh=function(m,strip_values){var self=this.ptr;if(m&&typeof m==="object")m=m.ptr;if(strip_values&&typeof strip_values==="object")strip_values=strip_values.ptr;return _emscripten_bind_Decoder_GetTriangleStripsFromMesh_2(self,m,strip_values)};Decoder.prototype["GetTrianglesUInt16Array"]=Decoder.prototype.GetTrianglesUInt16Array=function(m,out_size,out_values){var self=this.ptr;if(m&&typeof m==="object")m=m.ptr;if(out_size&&typeof out_size==="object")out_size=out_size.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetTrianglesUInt16Array_3(self,m,out_size,out_values)};Decoder.prototype["GetTrianglesUInt32Array"]=Decoder.prototype.GetTrianglesUInt32Array=function(m,out_size,out_values){var self=this.ptr;if(m&&typeof m==="object")m=m.ptr;if(out_size&&typeof out_size==="object")out_size=out_size.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetTrianglesUInt32Array_3(self,m,out_size,out_values)};Decoder.prototype["GetAttributeFloat"]=Decoder.prototype.GetAttributeFloat=function(pa,att_index,out_values){var self=this.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(att_index&&typeof att_index==="object")att_index=att_index.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeFloat_3(self,pa,att_index,out_values)};Decoder.prototype["GetAttributeFloatForAllPoints"]=Decoder.prototype.GetAttributeFloatForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeFloatForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeIntForAllPoints"]=Decoder.prototype.GetAttributeIntForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeIntForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeInt8ForAllPoints"]=Decoder.prototype.GetAttributeInt8ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeInt8ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeUInt8ForAllPoints"]=Decoder.prototype.GetAttributeUInt8ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeUInt8ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeInt16ForAllPoints"]=Decoder.prototype.GetAttributeInt16ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeInt16ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeUInt16ForAllPoints"]=Decoder.prototype.GetAttributeUInt16ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeUInt16ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeInt32ForAllPoints"]=Decoder.prototype.GetAttributeInt32ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeInt32ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeUInt32ForAllPoints"]=Decoder.prototype.GetAttributeUInt32ForAllPoints=function(pc,pa,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeUInt32ForAllPoints_3(self,pc,pa,out_values)};Decoder.prototype["GetAttributeDataArrayForAllPoints"]=Decoder.prototype.GetAttributeDataArrayForAllPoints=function(pc,pa,data_type,out_size,out_values){var self=this.ptr;if(pc&&typeof pc==="object")pc=pc.ptr;if(pa&&typeof pa==="object")pa=pa.ptr;if(data_type&&typeof data_type==="object")data_type=data_type.ptr;if(out_size&&typeof out_size==="object")out_size=out_size.ptr;if(out_values&&typeof out_values==="object")out_values=out_values.ptr;return!!_emscripten_bind_Decoder_GetAttributeDataArrayForAllPoints_5(self,pc,pa,data_type,out_size,out_values)};Decoder.prototype["SkipAttributeTransform"]=Decoder.prototype.SkipAttributeTransform=function(att_type){var self=this.ptr;if(att_type&&typeof att_type==="object")att_type=att_type.ptr;_emscripten_bind_Decoder_SkipAttributeTransform_1(self,att_type)};Decoder.prototype["__destroy__"]=Decoder.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_Decoder___destroy___0(self)};function Mesh(){this.ptr=_emscripten_bind_Mesh_Mesh_0();getCache(Mesh)[this.ptr]=this}Mesh.prototype=Object.create(WrapperObject.prototype);Mesh.prototype.constructor=Mesh;Mesh.prototype.__class__=Mesh;Mesh.__cache__={};Module["Mesh"]=Mesh;Mesh.prototype["num_faces"]=Mesh.prototype.num_faces=function(){var self=this.ptr;return _emscripten_bind_Mesh_num_faces_0(self)};Mesh.prototype["num_attributes"]=Mesh.prototype.num_attributes=function(){var self=this.ptr;return _emscripten_bind_Mesh_num_attributes_0(self)};Mesh.prototype["num_points"]=Mesh.prototype.num_points=function(){var self=this.ptr;return _emscripten_bind_Mesh_num_points_0(self)};Mesh.prototype["__destroy__"]=Mesh.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_Mesh___destroy___0(self)};function VoidPtr(){throw"cannot construct a VoidPtr, no constructor in IDL"}VoidPtr.prototype=Object.create(WrapperObject.prototype);VoidPtr.prototype.constructor=VoidPtr;VoidPtr.prototype.__class__=VoidPtr;VoidPtr.__cache__={};Module["VoidPtr"]=VoidPtr;VoidPtr.prototype["__destroy__"]=VoidPtr.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_VoidPtr___destroy___0(self)};function DracoInt32Array(){this.ptr=_emscripten_bind_DracoInt32Array_DracoInt32Array_0();getCache(DracoInt32Array)[this.ptr]=this}DracoInt32Array.prototype=Object.create(WrapperObject.prototype);DracoInt32Array.prototype.constructor=DracoInt32Array;DracoInt32Array.prototype.__class__=DracoInt32Array;DracoInt32Array.__cache__={};Module["DracoInt32Array"]=DracoInt32Array;DracoInt32Array.prototype["GetValue"]=DracoInt32Array.prototype.GetValue=function(index){var self=this.ptr;if(index&&typeof index==="object")index=index.ptr;return _emscripten_bind_DracoInt32Array_GetValue_1(self,index)};DracoInt32Array.prototype["size"]=DracoInt32Array.prototype.size=function(){var self=this.ptr;return _emscripten_bind_DracoInt32Array_size_0(self)};DracoInt32Array.prototype["__destroy__"]=DracoInt32Array.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_DracoInt32Array___destroy___0(self)};function Metadata(){this.ptr=_emscripten_bind_Metadata_Metadata_0();getCache(Metadata)[this.ptr]=this}Metadata.prototype=Object.create(WrapperObject.prototype);Metadata.prototype.constructor=Metadata;Metadata.prototype.__class__=Metadata;Metadata.__cache__={};Module["Metadata"]=Metadata;Metadata.prototype["__destroy__"]=Metadata.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_Metadata___destroy___0(self)};(function(){function setupEnums(){Module["OK"]=_emscripten_enum_draco_StatusCode_OK();Module["DRACO_ERROR"]=_emscripten_enum_draco_StatusCode_DRACO_ERROR();Module["IO_ERROR"]=_emscripten_enum_draco_StatusCode_IO_ERROR();Module["INVALID_PARAMETER"]=_emscripten_enum_draco_StatusCode_INVALID_PARAMETER();Module["UNSUPPORTED_VERSION"]=_emscripten_enum_draco_StatusCode_UNSUPPORTED_VERSION();Module["UNKNOWN_VERSION"]=_emscripten_enum_draco_StatusCode_UNKNOWN_VERSION();Module["DT_INVALID"]=_emscripten_enum_draco_DataType_DT_INVALID();Module["DT_INT8"]=_emscripten_enum_draco_DataType_DT_INT8();Module["DT_UINT8"]=_emscripten_enum_draco_DataType_DT_UINT8();Module["DT_INT16"]=_emscripten_enum_draco_DataType_DT_INT16();Module["DT_UINT16"]=_emscripten_enum_draco_DataType_DT_UINT16();Module["DT_INT32"]=_emscripten_enum_draco_DataType_DT_INT32();Module["DT_UINT32"]=_emscripten_enum_draco_DataType_DT_UINT32();Module["DT_INT64"]=_emscripten_enum_draco_DataType_DT_INT64();Module["DT_UINT64"]=_emscripten_enum_draco_DataType_DT_UINT64();Module["DT_FLOAT32"]=_emscripten_enum_draco_DataType_DT_FLOAT32();Module["DT_FLOAT64"]=_emscripten_enum_draco_DataType_DT_FLOAT64();Module["DT_BOOL"]=_emscripten_enum_draco_DataType_DT_BOOL();Module["DT_TYPES_COUNT"]=_emscripten_enum_draco_DataType_DT_TYPES_COUNT();Module["INVALID_GEOMETRY_TYPE"]=_emscripten_enum_draco_EncodedGeometryType_INVALID_GEOMETRY_TYPE();Module["POINT_CLOUD"]=_emscripten_enum_draco_EncodedGeometryType_POINT_CLOUD();Module["TRIANGULAR_MESH"]=_emscripten_enum_draco_EncodedGeometryType_TRIANGULAR_MESH();Module["ATTRIBUTE_INVALID_TRANSFORM"]=_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_INVALID_TRANSFORM();Module["ATTRIBUTE_NO_TRANSFORM"]=_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_NO_TRANSFORM();Module["ATTRIBUTE_QUANTIZATION_TRANSFORM"]=_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_QUANTIZATION_TRANSFORM();Module["ATTRIBUTE_OCTAHEDRON_TRANSFORM"]=_emscripten_enum_draco_AttributeTransformType_ATTRIBUTE_OCTAHEDRON_TRANSFORM();Module["INVALID"]=_emscripten_enum_draco_GeometryAttribute_Type_INVALID();Module["POSITION"]=_emscripten_enum_draco_GeometryAttribute_Type_POSITION();Module["NORMAL"]=_emscripten_enum_draco_GeometryAttribute_Type_NORMAL();Module["COLOR"]=_emscripten_enum_draco_GeometryAttribute_Type_COLOR();Module["TEX_COORD"]=_emscripten_enum_draco_GeometryAttribute_Type_TEX_COORD();Module["GENERIC"]=_emscripten_enum_draco_GeometryAttribute_Type_GENERIC()}if(runtimeInitialized)setupEnums();else addOnPreMain(setupEnums)})();if(typeof Module["onModuleParsed"]==="function"){Module["onModuleParsed"]()}
+
+
+  return DracoDecoderModule
+}
+);
+})();
+if (typeof exports === 'object' && typeof module === 'object')
+      module.exports = DracoDecoderModule;
+    else if (typeof define === 'function' && define['amd'])
+      define([], function() { return DracoDecoderModule; });
+    else if (typeof exports === 'object')
+      exports["DracoDecoderModule"] = DracoDecoderModule;
+    
\ No newline at end of file
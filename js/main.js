@@ -9,6 +9,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const dropArea = document.getElementById('drop-area');
     const fileInput = document.getElementById('file-input');
     const selectFileBtn = document.getElementById('select-file-btn');
+    const folderInput = document.getElementById('folder-input');
+    const selectFolderBtn = document.getElementById('select-folder-btn');
     const fileInfo = document.getElementById('file-info');
     const fileName = document.getElementById('file-name');
     const fileSize = document.getElementById('file-size');
@@ -23,30 +25,84 @@ document.addEventListener('DOMContentLoaded', () => {
     const autoDownloadMaterials = document.getElementById('auto-download-materials');
     const texturesSection = document.getElementById('textures-section');
     const materialsSection = document.getElementById('materials-section');
+    const conversionSection = document.getElementById('conversion-section');
+    const splitModeSelect = document.getElementById('split-mode');
+    const materialsHeading = document.getElementById('materials-heading');
+    const convertGlbBtn = document.getElementById('convert-glb-btn');
+    const unpackGltfBtn = document.getElementById('unpack-gltf-btn');
+    const geometrySourceSelect = document.getElementById('geometry-source');
+    const validationSection = document.getElementById('validation-section');
+    const sceneTreeSection = document.getElementById('scene-tree-section');
+    const viewerSection = document.getElementById('viewer-section');
+    const animationsSection = document.getElementById('animations-section');
+    const statsSection = document.getElementById('stats-section');
+    const exportStatsBtn = document.getElementById('export-stats-btn');
+    const batchSection = document.getElementById('batch-section');
+    const batchSummary = document.getElementById('batch-summary');
+    const downloadBatchBtn = document.getElementById('download-batch-btn');
+    const downloadAnimationsBtn = document.getElementById('download-animations-btn');
+    const exportSelectionBtn = document.getElementById('export-selection-btn');
+    const exportValidationBtn = document.getElementById('export-validation-btn');
+    const validationSearch = document.getElementById('validation-search');
+    const progressDetail = document.getElementById('progress-detail');
+    const cancelJobBtn = document.getElementById('cancel-job-btn');
     
     // Access utility functions
     const { 
-        log, showStatus, formatFileSize, readFileAsArrayBuffer, showAutoDownloadMessage 
+        log, showStatus, formatFileSize, showAutoDownloadMessage,
+        getFilePath, getDroppedFiles
     } = window.GlbExtractorUtils;
     
-    // Access parser functions
-    const { parseGLTF } = window.GlbParser;
+    // Access pipeline functions (parsing, validation, decompression, extraction and splitting)
+    const { startExtractionJob } = window.ExtractionPipeline;
+    
+    // Access validator functions
+    const { displayValidationReport, filterValidationReport, downloadValidationReport } = window.GltfValidator;
     
     // Access texture functions
-    const { 
-        extractTexturesFromGLTF, displayTextures, downloadTexture, downloadAllTextures 
-    } = window.TextureExtractor;
+    const { displayTextures, downloadTexture, downloadAllTextures, downloadORMTexture } = window.TextureExtractor;
+    const { getTextureExportOptions } = window.TextureConverter;
     
     // Access material functions
     const {
-        extractMaterialsFromGLTF, generateColorFromIndex, createGLBForMaterial, 
-        displayMaterials, downloadMaterial, downloadAllMaterials
+        generateColorFromIndex, displayMaterials, downloadMaterial, downloadAllMaterials
     } = window.MaterialExtractor;
     
+    // Access scene tree functions
+    const { displaySceneTree, setSceneTreeChecked, exportSceneTreeSelection } = window.SceneTree;
+    
+    // Access animation functions
+    const { extractAnimationsFromGLTF, displayAnimations, downloadAllAnimations } = window.AnimationExtractor;
+    
+    // Access statistics functions
+    const { displayModelStats, downloadStatsCSV } = window.ModelStats;
+    
+    // Access batch functions
+    const { startBatchJob, displayBatchQueue, updateBatchItem, downloadBatchZip } = window.BatchProcessor;
+    
+    // Access converter functions
+    const { downloadAsGLB, downloadUnpackedZip } = window.FormatConverter;
+    
+    // Access geometry export functions
+    const { downloadAsOBJ, downloadAsSTL } = window.GeometryExporter;
+    
+    // Access viewer functions
+    const { setViewerModels, addViewerModels, showViewerModel, applyViewerFocus, resizeViewer } = window.ModelViewer;
+    
+    // File name suffix of each split mode
+    const SPLIT_MODE_PLURALS = { material: 'materials', mesh: 'meshes', node: 'nodes', scene: 'scenes' };
+    
     // Application state
     let extractedTextures = [];
     let extractedMaterials = [];
+    let extractedAnimations = [];
     let originalFileName = '';
+    let partsZipName = 'materials';
+    let currentGltfData = null;
+    let validationReport = null;
+    let modelStats = null;
+    let batchZip = null;
+    let currentJob = null;
     
     // Debug log toggle
     debugToggle.addEventListener('click', () => {
@@ -84,11 +140,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // Handle dropped files
     dropArea.addEventListener('drop', handleDrop, false);
     
-    function handleDrop(e) {
-        const dt = e.dataTransfer;
-        const files = dt.files;
+    async function handleDrop(e) {
+        const files = await getDroppedFiles(e.dataTransfer);
         
-        if (files.length > 0 && (files[0].name.toLowerCase().endsWith('.glb') || files[0].name.toLowerCase().endsWith('.gltf'))) {
+        if (files.some(isModelFile)) {
             handleFiles(files);
         } else {
             showStatus('Please drop a GLB or GLTF file.', 'error');
@@ -100,21 +155,45 @@ document.addEventListener('DOMContentLoaded', () => {
         fileInput.click();
     });
     
-    fileInput.addEventListener('change', (e) => {
-        if (e.target.files.length > 0) {
-            handleFiles(e.target.files);
-        }
+    selectFolderBtn.addEventListener('click', () => {
+        folderInput.click();
+    });
+    
+    [fileInput, folderInput].forEach(input => {
+        input.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                handleFiles(e.target.files);
+            }
+        });
     });
     
+    function isModelFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.glb') || name.endsWith('.gltf');
+    }
+    
     // Process selected files
-    function handleFiles(files) {
-        const file = files[0];
+    function handleFiles(fileList) {
+        const files = Array.from(fileList);
+        const modelFiles = files.filter(isModelFile);
+        const file = modelFiles[0];
         
-        if (!file.name.toLowerCase().endsWith('.glb') && !file.name.toLowerCase().endsWith('.gltf')) {
+        if (!file) {
             showStatus('Please select a GLB or GLTF file.', 'error');
             return;
         }
         
+        resetOutput();
+        
+        // Several models are processed as a batch into one ZIP file
+        if (modelFiles.length > 1) {
+            handleBatch(modelFiles, files.filter(other => !isModelFile(other)));
+            return;
+        }
+        
+        // Everything else (.bin buffers, textures) may be referenced by the model
+        const resourceFiles = files.filter(other => other !== file);
+        
         // Store original file name without extension
         originalFileName = file.name.replace(/\.[^/.]+$/, "");
         
@@ -125,43 +204,135 @@ document.addEventListener('DOMContentLoaded', () => {
         progressBar.style.display = 'block';
         progressBar.value = 5;
         
-        // Reset UI
+        // Show status
+        showStatus('Processing file...', 'info');
+        log(`Processing file: ${getFilePath(file)} (${formatFileSize(file.size)})`);
+        if (resourceFiles.length > 0) {
+            log(`${resourceFiles.length} additional files available as external resources`);
+        }
+        
+        // Process the file
+        processFile(file, resourceFiles);
+    }
+    
+    // Hide the output of the previous file or batch
+    function resetOutput() {
+        // A new file replaces the one still being processed
+        if (currentJob) {
+            currentJob.cancel();
+            currentJob = null;
+        }
+        cancelJobBtn.style.display = 'none';
+        progressDetail.textContent = '';
+        
         texturesSection.style.display = 'none';
         materialsSection.style.display = 'none';
-        document.getElementById('texture-list').innerHTML = '';
-        document.getElementById('material-list').innerHTML = '';
+        conversionSection.style.display = 'none';
+        validationSection.style.display = 'none';
+        sceneTreeSection.style.display = 'none';
+        viewerSection.style.display = 'none';
+        animationsSection.style.display = 'none';
+        statsSection.style.display = 'none';
+        batchSection.style.display = 'none';
+        document.getElementById('validation-list').innerHTML = '';
+        displayTextures([]);
+        displayMaterials([]);
+        document.getElementById('animation-list').innerHTML = '';
         document.getElementById('auto-download-info').style.display = 'none';
         logsContainer.innerHTML = '';
         
         extractedTextures = [];
         extractedMaterials = [];
+        extractedAnimations = [];
+        currentGltfData = null;
+        validationReport = null;
+        modelStats = null;
+        batchZip = null;
+    }
+    
+    // Process several model files in a queue, packing all results into one ZIP file
+    async function handleBatch(modelFiles, resourceFiles) {
+        const doExtractTextures = extractTextures.checked;
+        const doExtractMaterials = extractMaterials.checked;
         
-        // Show status
-        showStatus('Processing file...', 'info');
-        log(`Processing file: ${file.name} (${formatFileSize(file.size)})`);
+        if (!doExtractTextures && !doExtractMaterials) {
+            showStatus('Please select at least one extraction option.', 'error');
+            return;
+        }
         
-        // Process the file
-        processFile(file);
+        originalFileName = `batch_${modelFiles.length}_models`;
+        fileName.textContent = `${modelFiles.length} model files`;
+        fileSize.textContent = formatFileSize(modelFiles.reduce((sum, file) => sum + file.size, 0));
+        fileInfo.style.display = 'block';
+        progressBar.style.display = 'block';
+        progressBar.value = 0;
+        
+        displayBatchQueue(modelFiles);
+        batchSummary.textContent = `Processing ${modelFiles.length} models...`;
+        downloadBatchBtn.disabled = true;
+        batchSection.style.display = 'block';
+        showStatus(`Processing ${modelFiles.length} model files...`, 'info');
+        
+        // Each model file runs in its own extraction job, the batch can be cancelled like a single file
+        const job = startBatchJob(modelFiles, resourceFiles, {
+            textures: doExtractTextures,
+            parts: doExtractMaterials,
+            splitMode: splitModeSelect.value,
+            materialMode: document.querySelector('input[name="material-mode"]:checked').value
+        }, (fileIndex, update) => {
+            if (currentJob !== job) return;
+            updateBatchItem(fileIndex, update);
+            progressBar.value = Math.round((fileIndex * 100 + update.progress) / modelFiles.length);
+            progressDetail.textContent = `${getFilePath(modelFiles[fileIndex])}: ${update.message}`;
+        });
+        
+        currentJob = job;
+        cancelJobBtn.style.display = 'inline-block';
+        
+        const batchResult = await job.promise;
+        
+        // A cancelled or superseded batch leaves the page to whatever replaced it
+        if (currentJob !== job) return;
+        currentJob = null;
+        cancelJobBtn.style.display = 'none';
+        progressDetail.textContent = '';
+        
+        if (!batchResult) return;
+        
+        const { zip, results } = batchResult;
+        batchZip = zip;
+        progressBar.style.display = 'none';
+        
+        const failedCount = results.filter(result => result.status === 'error').length;
+        const doneCount = results.length - failedCount;
+        batchSummary.textContent = `${doneCount} of ${results.length} models processed${failedCount > 0 ? `, ${failedCount} failed` : ''}.`;
+        downloadBatchBtn.disabled = doneCount === 0;
+        
+        if (doneCount === 0) {
+            showStatus('None of the model files could be processed, see the batch list for details.', 'error');
+            return;
+        }
+        
+        // Auto-download the combined ZIP if either option is enabled
+        if (autoDownloadTextures.checked || autoDownloadMaterials.checked) {
+            downloadBatchZip(zip, `${originalFileName}.zip`).then(downloaded => {
+                if (!downloaded) {
+                    showStatus('Downloading the batch results failed, see the debug logs for details.', 'error');
+                }
+            });
+            showAutoDownloadMessage('batch results', `${originalFileName}.zip`);
+        }
+        
+        showStatus(`Processed ${doneCount} of ${results.length} model files.`, failedCount > 0 ? 'info' : 'success');
     }
     
-    async function processFile(file) {
+    async function processFile(file, resourceFiles = []) {
         try {
-            progressBar.value = 10;
-            const arrayBuffer = await readFileAsArrayBuffer(file);
-            log(`File loaded into memory: ${formatFileSize(arrayBuffer.byteLength)}`);
-            
-            // Parse the GLB/GLTF file
-            const gltfData = await parseGLTF(file, arrayBuffer);
-            
-            if (!gltfData) {
-                showStatus('Failed to parse the GLB/GLTF file.', 'error');
-                progressBar.style.display = 'none';
-                return;
-            }
-            
-            // Check if extraction options are enabled
             const doExtractTextures = extractTextures.checked;
             const doExtractMaterials = extractMaterials.checked;
+            const splitMode = splitModeSelect.value;
+            const splitLabel = splitModeSelect.options[splitModeSelect.selectedIndex].textContent;
+            const materialMode = document.querySelector('input[name="material-mode"]:checked').value;
             
             if (!doExtractTextures && !doExtractMaterials) {
                 showStatus('Please select at least one extraction option.', 'error');
@@ -169,12 +340,68 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
-            // Extract textures if option is enabled
+            // Parsing, decompression, image decoding, splitting and the preview GLB run in a worker
+            const job = startExtractionJob(file, resourceFiles, {
+                parts: doExtractMaterials,
+                splitMode,
+                materialMode,
+                viewer: true
+            }, update => {
+                if (currentJob !== job) return;
+                progressBar.value = update.progress;
+                progressDetail.textContent = update.message;
+            });
+            
+            currentJob = job;
+            cancelJobBtn.style.display = 'inline-block';
+            
+            const result = await job.promise;
+            
+            // A cancelled or superseded job leaves the page to whatever replaced it
+            if (currentJob !== job) return;
+            currentJob = null;
+            cancelJobBtn.style.display = 'none';
+            progressDetail.textContent = '';
+            
+            if (!result) return;
+            
+            const { gltfData } = result;
+            
+            validationReport = result.validationReport;
+            displayValidationReport(validationReport);
+            validationSection.style.display = 'block';
+            
+            // Conversion works on the parsed data
+            currentGltfData = gltfData;
+            conversionSection.style.display = 'block';
+            convertGlbBtn.disabled = file.name.toLowerCase().endsWith('.glb');
+            updateGeometrySources();
+            
+            // The scene tree also works on the parsed data alone
+            displaySceneTree(gltfData.json);
+            sceneTreeSection.style.display = 'block';
+            
+            modelStats = result.stats;
+            displayModelStats(modelStats);
+            statsSection.style.display = 'block';
+            
+            // Animation clips are listed whenever the model has any
+            extractedAnimations = extractAnimationsFromGLTF(gltfData.json);
+            if (extractedAnimations.length > 0) {
+                displayAnimations(extractedAnimations, gltfData);
+                animationsSection.style.display = 'block';
+            }
+            
+            // Preview the whole model; split parts are added to the viewer once they exist
+            viewerSection.style.display = 'block';
+            resizeViewer();
+            setViewerModels([{ name: 'Original model', glbData: result.viewerGlbData }]).then(shown => {
+                if (!shown) viewerSection.style.display = 'none';
+            });
+            
+            // Show the textures if option is enabled
             if (doExtractTextures) {
-                log('Starting texture extraction');
-                progressBar.value = 20;
-                
-                const textures = extractTexturesFromGLTF(gltfData.json, gltfData.binaryChunk);
+                const textures = result.textures;
                 
                 if (textures.length > 0) {
                     log(`Extracted ${textures.length} textures successfully`);
@@ -185,7 +412,11 @@ document.addEventListener('DOMContentLoaded', () => {
                     // Auto-download textures if option enabled
                     if (autoDownloadTextures.checked) {
                         const zipFileName = `${originalFileName}_textures.zip`;
-                        downloadAllTextures(zipFileName, textures);
+                        downloadAllTextures(zipFileName, textures, getTextureExportOptions()).then(downloaded => {
+                            if (!downloaded) {
+                                showStatus('Downloading the textures failed, see the debug logs for details.', 'error');
+                            }
+                        });
                         showAutoDownloadMessage('textures', zipFileName);
                     }
                 } else {
@@ -193,40 +424,51 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
             
-            // Extract materials if option is enabled
+            // Show the GLB parts if option is enabled
             if (doExtractMaterials) {
-                log('Starting material extraction');
-                progressBar.value = doExtractTextures ? 60 : 20;
+                partsZipName = SPLIT_MODE_PLURALS[splitMode];
                 
-                const materials = extractMaterialsFromGLTF(gltfData.json);
+                const materials = result.parts;
                 
                 if (materials.length > 0) {
-                    log(`Extracted ${materials.length} materials successfully`);
+                    log(`Extracted ${materials.length} ${partsZipName} successfully (${materialMode} mode)`);
                     
-                    // Generate unique colors for materials
-                    materials.forEach((material, index) => {
-                        // Generate a deterministic color for preview
-                        material.previewColor = generateColorFromIndex(index);
+                    // Generate unique colors for parts
+                    materials.forEach(material => {
+                        // Faithful mode previews the original base color when there is one
+                        if (materialMode === 'faithful' && material.color) {
+                            material.previewColor = material.color;
+                        } else {
+                            // Generate a deterministic color for preview, the same one the colored GLB uses
+                            material.previewColor = generateColorFromIndex(material.index);
+                        }
                     });
                     
                     extractedMaterials = materials;
-                    displayMaterials(materials);
-                    materialsSection.style.display = 'block';
                     
-                    // Process GLB structures for each material
-                    for (let i = 0; i < materials.length; i++) {
-                        log(`Processing GLB for material ${i + 1} of ${materials.length}: ${materials[i].name}`);
-                        materials[i].glbData = createGLBForMaterial(gltfData, materials[i].index);
-                        log(`Finished GLB for material ${i + 1}: ${materials[i].name}`);
-                    }
+                    addViewerModels(materials.map(material => ({
+                        name: `${material.typeLabel || 'Material'}: ${material.name}`,
+                        glbData: material.glbData
+                    })));
+                    
+                    updateGeometrySources();
+                    
+                    materialsHeading.textContent = `GLB Parts by ${splitLabel}`;
+                    downloadMaterialsBtn.textContent = `Download GLB Files by ${splitLabel}`;
+                    displayMaterials(materials, extractedTextures);
+                    materialsSection.style.display = 'block';
                     
-                    // Auto-download materials if option enabled
+                    // Auto-download parts if option enabled
                     if (autoDownloadMaterials.checked) {
-                        downloadAllMaterials(`${originalFileName}_materials.zip`, materials);
-                        showAutoDownloadMessage('materials', `${originalFileName}_materials.zip`);
+                        downloadAllMaterials(`${originalFileName}_${partsZipName}.zip`, materials).then(downloaded => {
+                            if (!downloaded) {
+                                showStatus(`Downloading the ${partsZipName} failed, see the debug logs for details.`, 'error');
+                            }
+                        });
+                        showAutoDownloadMessage(partsZipName, `${originalFileName}_${partsZipName}.zip`);
                     }
                 } else {
-                    log('No materials found in file');
+                    log(`No ${partsZipName} with geometry found in file`);
                 }
             }
             
@@ -237,7 +479,7 @@ document.addEventListener('DOMContentLoaded', () => {
             let message = '';
             if (doExtractTextures) message += `${extractedTextures.length} textures`;
             if (doExtractTextures && doExtractMaterials) message += ' and ';
-            if (doExtractMaterials) message += `${extractedMaterials.length} materials`;
+            if (doExtractMaterials) message += `${extractedMaterials.length} ${partsZipName}`;
             
             if ((doExtractTextures && extractedTextures.length === 0) && 
                 (doExtractMaterials && extractedMaterials.length === 0)) {
@@ -247,6 +489,9 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
         } catch (error) {
+            currentJob = null;
+            cancelJobBtn.style.display = 'none';
+            progressDetail.textContent = '';
             console.error('Error processing file:', error);
             log(`Error processing file: ${error.message}`, 'error');
             showStatus(`Error processing file: ${error.message}`, 'error');
@@ -254,18 +499,164 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    // Fill the geometry export select with the whole model and every split part
+    function updateGeometrySources() {
+        geometrySourceSelect.innerHTML = '';
+        geometrySourceSelect.add(new Option('Whole model', ''));
+        extractedMaterials.forEach((part, partIndex) => {
+            geometrySourceSelect.add(new Option(`${part.typeLabel || 'Material'}: ${part.name}`, String(partIndex)));
+        });
+    }
+    
+    // Get the selection and base file name of the picked geometry source
+    function getGeometrySource() {
+        const part = geometrySourceSelect.value === '' ? null : extractedMaterials[Number(geometrySourceSelect.value)];
+        if (!part) {
+            return { selection: null, baseName: originalFileName };
+        }
+        return {
+            selection: part.selection,
+            baseName: `${originalFileName}_${part.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}`
+        };
+    }
+    
     // Download buttons events
-    downloadTexturesBtn.addEventListener('click', () => {
+    downloadTexturesBtn.addEventListener('click', async () => {
         if (extractedTextures.length === 0) return;
         const zipFileName = `${originalFileName}_textures.zip`;
-        downloadAllTextures(zipFileName, extractedTextures);
+        if (!await downloadAllTextures(zipFileName, extractedTextures, getTextureExportOptions())) {
+            showStatus('Downloading the textures failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    document.getElementById('pack-orm-btn').addEventListener('click', async () => {
+        const maps = {};
+        ['occlusion', 'roughness', 'metallic'].forEach(mapName => {
+            const input = document.getElementById(`orm-${mapName}`);
+            maps[mapName] = input.files.length > 0 ? input.files[0] : null;
+        });
+        
+        if (!maps.occlusion && !maps.roughness && !maps.metallic) {
+            showStatus('Please choose at least one map to pack.', 'error');
+            return;
+        }
+        
+        const pngFileName = `${originalFileName}_orm.png`;
+        if (await downloadORMTexture(maps, pngFileName)) {
+            showStatus(`Packed the maps into ${pngFileName}.`, 'success');
+        } else {
+            showStatus('ORM packing failed, see the debug logs for details.', 'error');
+        }
     });
     
-    downloadMaterialsBtn.addEventListener('click', () => {
+    downloadMaterialsBtn.addEventListener('click', async () => {
         if (extractedMaterials.length === 0) return;
-        downloadAllMaterials(`${originalFileName}_materials.zip`, extractedMaterials);
+        if (!await downloadAllMaterials(`${originalFileName}_${partsZipName}.zip`, extractedMaterials)) {
+            showStatus(`Downloading the ${partsZipName} failed, see the debug logs for details.`, 'error');
+        }
     });
-
+    
+    downloadAnimationsBtn.addEventListener('click', async () => {
+        if (!currentGltfData || extractedAnimations.length === 0) return;
+        if (!await downloadAllAnimations(`${originalFileName}_animations.zip`, currentGltfData, extractedAnimations)) {
+            showStatus('Downloading the animation clips failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    cancelJobBtn.addEventListener('click', () => {
+        if (!currentJob) return;
+        currentJob.cancel();
+        currentJob = null;
+        cancelJobBtn.style.display = 'none';
+        progressDetail.textContent = '';
+        progressBar.style.display = 'none';
+        // A cancelled batch keeps its queue on the page, but has no results to download
+        batchSummary.textContent = 'Batch cancelled.';
+        showStatus('Processing cancelled.', 'info');
+    });
+    
+    downloadBatchBtn.addEventListener('click', async () => {
+        if (!batchZip) return;
+        if (!await downloadBatchZip(batchZip, `${originalFileName}.zip`)) {
+            showStatus('Downloading the batch results failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    exportStatsBtn.addEventListener('click', () => {
+        if (!modelStats) return;
+        downloadStatsCSV(modelStats, `${originalFileName}_stats.csv`);
+    });
+    
+    convertGlbBtn.addEventListener('click', () => {
+        if (!currentGltfData) return;
+        const glbFileName = `${originalFileName}.glb`;
+        if (downloadAsGLB(currentGltfData, glbFileName)) {
+            showStatus(`Converted to ${glbFileName}.`, 'success');
+        } else {
+            showStatus('Conversion to GLB failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    unpackGltfBtn.addEventListener('click', async () => {
+        if (!currentGltfData) return;
+        const zipFileName = `${originalFileName}_unpacked.zip`;
+        if (await downloadUnpackedZip(currentGltfData, zipFileName)) {
+            showStatus(`Unpacked to ${zipFileName}.`, 'success');
+        } else {
+            showStatus('Unpacking failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    document.getElementById('export-obj-btn').addEventListener('click', async () => {
+        if (!currentGltfData) return;
+        const { selection, baseName } = getGeometrySource();
+        if (await downloadAsOBJ(currentGltfData, selection, baseName)) {
+            showStatus(`Exported ${baseName}_obj.zip.`, 'success');
+        } else {
+            showStatus('OBJ export failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    document.getElementById('export-stl-btn').addEventListener('click', () => {
+        if (!currentGltfData) return;
+        const { selection, baseName } = getGeometrySource();
+        if (downloadAsSTL(currentGltfData, selection, baseName)) {
+            showStatus(`Exported ${baseName}.stl.`, 'success');
+        } else {
+            showStatus('STL export failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    document.getElementById('select-all-tree-btn').addEventListener('click', () => setSceneTreeChecked(true));
+    document.getElementById('select-none-tree-btn').addEventListener('click', () => setSceneTreeChecked(false));
+    
+    exportSelectionBtn.addEventListener('click', () => {
+        if (!currentGltfData) return;
+        const glbFileName = `${originalFileName}_selection.glb`;
+        const materialMode = document.querySelector('input[name="material-mode"]:checked').value;
+        if (exportSceneTreeSelection(currentGltfData, glbFileName, { mode: materialMode })) {
+            showStatus(`Exported the selection to ${glbFileName}.`, 'success');
+        } else {
+            showStatus('Export of the selection failed, see the debug logs for details.', 'error');
+        }
+    });
+    
+    // Viewer controls
+    document.getElementById('viewer-model').addEventListener('change', showViewerModel);
+    document.getElementById('viewer-material').addEventListener('change', applyViewerFocus);
+    document.getElementById('viewer-focus-mode').addEventListener('change', applyViewerFocus);
+    
+    // Validation report filters and export
+    ['error', 'warning', 'info'].forEach(severity => {
+        document.getElementById(`validation-show-${severity}`).addEventListener('change', filterValidationReport);
+    });
+    validationSearch.addEventListener('input', filterValidationReport);
+    
+    exportValidationBtn.addEventListener('click', () => {
+        if (!validationReport) return;
+        downloadValidationReport(validationReport, `${originalFileName}_validation.json`);
+    });
+    
     // Log initialization complete
     log('GLB Extractor Tool initialized');
 });
@@ -0,0 +1,382 @@
+/**
+ * GLB Extractor Tool - Mesh Decompressor
+ * Contains functions for expanding compressed glTF data (KHR_draco_mesh_compression,
+ * EXT_meshopt_compression) into plain accessors, so the rest of the tool can work on the raw data
+ */
+
+// Use utility functions from the main modules
+var { log, formatFileSize } = window.GlbExtractorUtils;
+var { getBufferViewData } = window.GlbParser;
+
+// Decoder module, loaded once on first use
+let dracoDecoderPromise = null;
+
+/**
+ * Load the bundled Draco decoder (js/lib/draco/draco_decoder.js)
+ * @returns {Promise<Object>} - A promise that resolves with the Draco decoder module
+ */
+function loadDracoDecoder() {
+    if (!dracoDecoderPromise) {
+        dracoDecoderPromise = new Promise((resolve, reject) => {
+            if (typeof DracoDecoderModule === 'undefined') {
+                reject(new Error('Draco decoder library is not loaded (js/lib/draco/draco_decoder.js)'));
+                return;
+            }
+            
+            DracoDecoderModule({
+                onModuleLoaded: draco => {
+                    // The module is "thenable": resolving a promise with it would never settle
+                    delete draco.then;
+                    log('Draco decoder loaded');
+                    resolve(draco);
+                }
+            });
+        });
+    }
+    
+    return dracoDecoderPromise;
+}
+
+/**
+ * Get the typed array class and Draco data type for a glTF component type
+ * @param {Object} draco - The Draco decoder module
+ * @param {number} componentType - The glTF accessor componentType
+ * @returns {Object} - { ArrayType, dracoType }
+ */
+function getDracoArrayType(draco, componentType) {
+    switch (componentType) {
+        case 5120: return { ArrayType: Int8Array, dracoType: draco.DT_INT8 };
+        case 5121: return { ArrayType: Uint8Array, dracoType: draco.DT_UINT8 };
+        case 5122: return { ArrayType: Int16Array, dracoType: draco.DT_INT16 };
+        case 5123: return { ArrayType: Uint16Array, dracoType: draco.DT_UINT16 };
+        case 5125: return { ArrayType: Uint32Array, dracoType: draco.DT_UINT32 };
+        default: return { ArrayType: Float32Array, dracoType: draco.DT_FLOAT32 };
+    }
+}
+
+/**
+ * Decode one Draco-compressed primitive
+ * @param {Object} draco - The Draco decoder module
+ * @param {ArrayBuffer} compressedData - The bytes of the compressed bufferView
+ * @param {Object} dracoAttributes - Map of glTF attribute name to Draco unique id
+ * @param {Object} gltf - The glTF JSON structure (for accessor component types)
+ * @param {Object} primitive - The primitive being decoded
+ * @returns {Object} - { attributes: { name: TypedArray }, indices: Uint32Array|null, vertexCount }
+ */
+function decodeDracoPrimitive(draco, compressedData, dracoAttributes, gltf, primitive) {
+    const decoder = new draco.Decoder();
+    const decoderBuffer = new draco.DecoderBuffer();
+    const mesh = new draco.Mesh();
+    
+    try {
+        const array = new Int8Array(compressedData);
+        decoderBuffer.Init(array, array.byteLength);
+        const status = decoder.DecodeBufferToMesh(decoderBuffer, mesh);
+        
+        if (!status.ok() || mesh.ptr === 0) {
+            throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+        }
+        
+        const vertexCount = mesh.num_points();
+        const attributes = {};
+        
+        for (const attributeName in dracoAttributes) {
+            const attribute = decoder.GetAttributeByUniqueId(mesh, dracoAttributes[attributeName]);
+            if (!attribute || attribute.ptr === 0) {
+                throw new Error(`Draco attribute ${attributeName} not found in compressed data`);
+            }
+            
+            const accessor = gltf.accessors[primitive.attributes[attributeName]];
+            const { ArrayType, dracoType } = getDracoArrayType(draco, accessor.componentType);
+            const valueCount = vertexCount * attribute.num_components();
+            const byteLength = valueCount * ArrayType.BYTES_PER_ELEMENT;
+            
+            const ptr = draco._malloc(byteLength);
+            decoder.GetAttributeDataArrayForAllPoints(mesh, attribute, dracoType, byteLength, ptr);
+            attributes[attributeName] = new ArrayType(draco.HEAPF32.buffer, ptr, valueCount).slice();
+            draco._free(ptr);
+        }
+        
+        let indices = null;
+        if (primitive.indices !== undefined) {
+            const indexCount = mesh.num_faces() * 3;
+            const byteLength = indexCount * 4;
+            
+            const ptr = draco._malloc(byteLength);
+            decoder.GetTrianglesUInt32Array(mesh, byteLength, ptr);
+            indices = new Uint32Array(draco.HEAPF32.buffer, ptr, indexCount).slice();
+            draco._free(ptr);
+        }
+        
+        return { attributes, indices, vertexCount };
+    } finally {
+        draco.destroy(mesh);
+        draco.destroy(decoderBuffer);
+        draco.destroy(decoder);
+    }
+}
+
+/**
+ * Remove an extension name from extensionsUsed / extensionsRequired
+ * @param {Object} gltf - The glTF JSON structure
+ * @param {string} extensionName - The extension to remove
+ */
+function removeExtensionDeclaration(gltf, extensionName) {
+    ['extensionsUsed', 'extensionsRequired'].forEach(key => {
+        if (!gltf[key]) return;
+        
+        gltf[key] = gltf[key].filter(name => name !== extensionName);
+        if (gltf[key].length === 0) {
+            delete gltf[key];
+        }
+    });
+}
+
+/**
+ * Decode every KHR_draco_mesh_compression primitive in place: the decoded data is
+ * appended as a new buffer and the primitives' accessors point at plain bufferViews
+ * @param {Object} gltfData - The parsed glTF data (json and buffers are updated)
+ * @returns {Promise<number>} - A promise that resolves with the number of decoded primitives
+ */
+async function decodeDracoPrimitives(gltfData) {
+    const gltf = gltfData.json;
+    const compressedPrimitives = [];
+    
+    (gltf.meshes || []).forEach(mesh => {
+        (mesh.primitives || []).forEach(primitive => {
+            if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression) {
+                compressedPrimitives.push(primitive);
+            }
+        });
+    });
+    
+    if (compressedPrimitives.length === 0) {
+        return 0;
+    }
+    
+    log(`Decoding ${compressedPrimitives.length} Draco-compressed primitives`);
+    const draco = await loadDracoDecoder();
+    
+    // Decoded data is collected into one new buffer
+    const chunks = [];
+    let decodedLength = 0;
+    const newBufferIndex = gltfData.buffers.length;
+    gltf.bufferViews = gltf.bufferViews || [];
+    
+    function appendBufferView(typedArray, target) {
+        decodedLength += (4 - (decodedLength % 4)) % 4;
+        chunks.push({ offset: decodedLength, data: typedArray });
+        
+        gltf.bufferViews.push({
+            buffer: newBufferIndex,
+            byteOffset: decodedLength,
+            byteLength: typedArray.byteLength,
+            target
+        });
+        
+        decodedLength += typedArray.byteLength;
+        return gltf.bufferViews.length - 1;
+    }
+    
+    // Accessors shared by several primitives are decoded only once
+    const decodedAccessors = new Set();
+    
+    compressedPrimitives.forEach(primitive => {
+        const extension = primitive.extensions.KHR_draco_mesh_compression;
+        const compressedData = getBufferViewData(gltf, gltfData.buffers, extension.bufferView);
+        const decoded = decodeDracoPrimitive(draco, compressedData, extension.attributes, gltf, primitive);
+        
+        for (const attributeName in decoded.attributes) {
+            const accessorIndex = primitive.attributes[attributeName];
+            if (decodedAccessors.has(accessorIndex)) continue;
+            decodedAccessors.add(accessorIndex);
+            
+            const accessor = gltf.accessors[accessorIndex];
+            accessor.bufferView = appendBufferView(decoded.attributes[attributeName], 34962); // ARRAY_BUFFER
+            accessor.count = decoded.vertexCount;
+            delete accessor.byteOffset;
+        }
+        
+        if (decoded.indices && !decodedAccessors.has(primitive.indices)) {
+            decodedAccessors.add(primitive.indices);
+            
+            // Keep the index component type declared by the accessor
+            const accessor = gltf.accessors[primitive.indices];
+            const IndexArrayType = { 5121: Uint8Array, 5123: Uint16Array }[accessor.componentType] || Uint32Array;
+            accessor.bufferView = appendBufferView(new IndexArrayType(decoded.indices), 34963); // ELEMENT_ARRAY_BUFFER
+            accessor.count = decoded.indices.length;
+            delete accessor.byteOffset;
+        }
+        
+        delete primitive.extensions.KHR_draco_mesh_compression;
+        if (Object.keys(primitive.extensions).length === 0) {
+            delete primitive.extensions;
+        }
+    });
+    
+    // Write the decoded data into the new buffer
+    const decodedBuffer = new ArrayBuffer(decodedLength);
+    const decodedBytes = new Uint8Array(decodedBuffer);
+    chunks.forEach(chunk => {
+        decodedBytes.set(new Uint8Array(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength), chunk.offset);
+    });
+    
+    gltf.buffers = gltf.buffers || [];
+    gltf.buffers.push({ byteLength: decodedLength });
+    gltfData.buffers.push(decodedBuffer);
+    
+    removeExtensionDeclaration(gltf, 'KHR_draco_mesh_compression');
+    
+    log(`Decoded ${compressedPrimitives.length} Draco primitives into ${formatFileSize(decodedLength)} of plain vertex data`);
+    return compressedPrimitives.length;
+}
+
+/**
+ * Load the bundled meshopt decoder (js/lib/meshopt/meshopt_decoder.js)
+ * @returns {Promise<Object>} - A promise that resolves with the MeshoptDecoder once it is ready
+ */
+function loadMeshoptDecoder() {
+    if (typeof MeshoptDecoder === 'undefined') {
+        return Promise.reject(new Error('Meshopt decoder library is not loaded (js/lib/meshopt/meshopt_decoder.js)'));
+    }
+    
+    if (!MeshoptDecoder.supported) {
+        return Promise.reject(new Error('Meshopt decoder is not supported by this browser (WebAssembly is required)'));
+    }
+    
+    return MeshoptDecoder.ready.then(() => MeshoptDecoder);
+}
+
+/**
+ * Decode every EXT_meshopt_compression bufferView in place: the decoded data is
+ * appended as a new buffer and the bufferViews point at it instead of the fallback
+ * @param {Object} gltfData - The parsed glTF data (json and buffers are updated)
+ * @returns {Promise<number>} - A promise that resolves with the number of decoded bufferViews
+ */
+async function decodeMeshoptBufferViews(gltfData) {
+    const gltf = gltfData.json;
+    const extensionNames = ['EXT_meshopt_compression', 'KHR_meshopt_compression'];
+    const compressedBufferViews = [];
+    
+    (gltf.bufferViews || []).forEach((bufferView, bufferViewIndex) => {
+        const extensionName = extensionNames.find(name => bufferView.extensions && bufferView.extensions[name]);
+        if (extensionName) {
+            compressedBufferViews.push({ bufferView, bufferViewIndex, extensionName });
+        }
+    });
+    
+    if (compressedBufferViews.length === 0) {
+        return 0;
+    }
+    
+    log(`Decoding ${compressedBufferViews.length} meshopt-compressed bufferViews`);
+    const decoder = await loadMeshoptDecoder();
+    
+    // Decoded data is collected into one new buffer
+    const chunks = [];
+    let decodedLength = 0;
+    const newBufferIndex = gltfData.buffers.length;
+    
+    compressedBufferViews.forEach(({ bufferView, bufferViewIndex, extensionName }) => {
+        const extension = bufferView.extensions[extensionName];
+        const source = gltfData.buffers[extension.buffer];
+        if (!source) {
+            throw new Error(`Buffer ${extension.buffer} used by compressed bufferView ${bufferViewIndex} is not available`);
+        }
+        
+        const start = extension.byteOffset || 0;
+        const compressedData = new Uint8Array(source, start, extension.byteLength);
+        const target = new Uint8Array(extension.count * extension.byteStride);
+        decoder.decodeGltfBuffer(target, extension.count, extension.byteStride, compressedData, extension.mode, extension.filter);
+        
+        decodedLength += (4 - (decodedLength % 4)) % 4;
+        chunks.push({ offset: decodedLength, data: target });
+        
+        // The bufferView now describes the decoded bytes
+        bufferView.buffer = newBufferIndex;
+        bufferView.byteOffset = decodedLength;
+        bufferView.byteLength = target.byteLength;
+        
+        delete bufferView.extensions[extensionName];
+        if (Object.keys(bufferView.extensions).length === 0) {
+            delete bufferView.extensions;
+        }
+        
+        decodedLength += target.byteLength;
+    });
+    
+    // Write the decoded data into the new buffer
+    const decodedBuffer = new ArrayBuffer(decodedLength);
+    const decodedBytes = new Uint8Array(decodedBuffer);
+    chunks.forEach(chunk => {
+        decodedBytes.set(chunk.data, chunk.offset);
+    });
+    
+    gltf.buffers.push({ byteLength: decodedLength });
+    gltfData.buffers.push(decodedBuffer);
+    
+    // Fallback buffers only describe the decoded size and no longer need the extension
+    gltf.buffers.forEach(buffer => {
+        extensionNames.forEach(extensionName => {
+            if (buffer.extensions && buffer.extensions[extensionName]) {
+                delete buffer.extensions[extensionName];
+                if (Object.keys(buffer.extensions).length === 0) {
+                    delete buffer.extensions;
+                }
+            }
+        });
+    });
+    
+    extensionNames.forEach(extensionName => removeExtensionDeclaration(gltf, extensionName));
+    
+    log(`Decoded ${compressedBufferViews.length} meshopt bufferViews into ${formatFileSize(decodedLength)} of plain data`);
+    return compressedBufferViews.length;
+}
+
+/**
+ * Expand all compressed data of a parsed glTF in place. When anything was decoded,
+ * the JSON and buffers as uploaded are kept as gltfData.source
+ * @param {Object} gltfData - The parsed glTF data
+ * @returns {Promise<Object>} - A promise that resolves with the same gltfData
+ */
+async function decompressGLTF(gltfData) {
+    // Decoding only appends buffers, so the original ones can be shared
+    const source = {
+        json: JSON.parse(JSON.stringify(gltfData.json)),
+        buffers: (gltfData.buffers || []).slice()
+    };
+    
+    // Meshopt works on bufferViews, so it runs first: a Draco bufferView could be one of them
+    const meshoptCount = await decodeMeshoptBufferViews(gltfData);
+    const dracoCount = await decodeDracoPrimitives(gltfData);
+    
+    if (meshoptCount > 0 || dracoCount > 0) {
+        gltfData.source = source;
+    }
+    return gltfData;
+}
+
+/**
+ * Get the glTF data as it was uploaded, before decompressGLTF changed it
+ * @param {Object} gltfData - The parsed glTF data
+ * @returns {Object} - The gltfData with its original json and buffers
+ */
+function getSourceGLTFData(gltfData) {
+    if (!gltfData.source) return gltfData;
+    
+    return {
+        ...gltfData,
+        json: gltfData.source.json,
+        buffers: gltfData.source.buffers
+    };
+}
+
+// Export decompressor functions
+window.MeshDecompressor = {
+    loadDracoDecoder,
+    decodeDracoPrimitives,
+    loadMeshoptDecoder,
+    decodeMeshoptBufferViews,
+    decompressGLTF,
+    getSourceGLTFData
+};
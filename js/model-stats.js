@@ -0,0 +1,389 @@
+/**
+ * GLB Extractor Tool - Model Statistics
+ * Contains functions for counting triangles, vertices and draw calls, estimating GPU memory,
+ * and exporting the numbers as CSV
+ */
+
+// Use utility functions from the main modules
+var { log, formatFileSize, getImageDimensions } = window.GlbExtractorUtils;
+var { extractTexturesFromGLTF } = window.TextureExtractor;
+var { getComponentTypeSize, getAccessorComponentCount, getAccessorBounds } = window.GlbParser;
+var { findTopLevelNodes } = window.SubsetExporter;
+var { getNodeMatrix, multiplyMatrices } = window.GeometryExporter;
+
+/**
+ * Count the vertices and triangles of a primitive, taking its mode and indices into account
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {Object} primitive - The mesh primitive
+ * @returns {Object} - { vertices, triangles }
+ */
+function countPrimitiveGeometry(gltf, primitive) {
+    const accessors = gltf.accessors || [];
+    const position = primitive.attributes && accessors[primitive.attributes.POSITION];
+    const vertices = position ? position.count : 0;
+    
+    // Indexed primitives draw their index count, the others their vertex count
+    const indices = primitive.indices !== undefined ? accessors[primitive.indices] : null;
+    const drawnCount = indices ? indices.count : vertices;
+    const mode = primitive.mode !== undefined ? primitive.mode : 4;
+    
+    let triangles = 0;
+    if (mode === 4) {
+        triangles = Math.floor(drawnCount / 3);
+    } else if (mode === 5 || mode === 6) {
+        triangles = Math.max(0, drawnCount - 2);
+    }
+    
+    return { vertices, triangles };
+}
+
+/**
+ * Get the byte size of an accessor's elements, without stride padding
+ * @param {Object} accessor - The accessor
+ * @returns {number} - The size in bytes
+ */
+function getAccessorByteSize(accessor) {
+    return accessor.count * (getAccessorComponentCount(accessor.type) || 0) * (getComponentTypeSize(accessor.componentType) || 0);
+}
+
+/**
+ * Compute statistics for a model
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {Array} images - The images from extractTexturesFromGLTF (optional, extracted when missing)
+ * @returns {Object} - { totals, meshes, materials, attributes, textures, bounds }
+ */
+function computeModelStats(gltfData, images = null) {
+    const gltf = gltfData.json;
+    const meshes = gltf.meshes || [];
+    const nodes = gltf.nodes || [];
+    const accessors = gltf.accessors || [];
+    
+    // Per mesh geometry, counted once however often the mesh is instanced
+    const meshStats = meshes.map((mesh, meshIndex) => {
+        const counts = (mesh.primitives || []).map(primitive => countPrimitiveGeometry(gltf, primitive));
+        return {
+            index: meshIndex,
+            name: mesh.name || `mesh_${meshIndex}`,
+            primitives: counts.length,
+            vertices: counts.reduce((sum, count) => sum + count.vertices, 0),
+            triangles: counts.reduce((sum, count) => sum + count.triangles, 0),
+            instances: 0
+        };
+    });
+    
+    // Per material geometry; primitives without a material use the default material
+    const materialStats = new Map();
+    meshes.forEach(mesh => {
+        (mesh.primitives || []).forEach(primitive => {
+            const key = primitive.material !== undefined ? primitive.material : null;
+            if (!materialStats.has(key)) {
+                const material = key !== null && gltf.materials ? gltf.materials[key] : null;
+                materialStats.set(key, {
+                    index: key,
+                    name: key === null ? 'default material' : ((material && material.name) || `material_${key}`),
+                    extensions: material ? Object.keys(material.extensions || {}) : [],
+                    primitives: 0,
+                    vertices: 0,
+                    triangles: 0
+                });
+            }
+            
+            const entry = materialStats.get(key);
+            const counts = countPrimitiveGeometry(gltf, primitive);
+            entry.primitives++;
+            entry.vertices += counts.vertices;
+            entry.triangles += counts.triangles;
+        });
+    });
+    
+    // Walk the default scene for instances, draw calls and the world-space bounding box
+    const rootNodes = gltf.scenes && gltf.scenes[gltf.scene || 0]
+        ? gltf.scenes[gltf.scene || 0].nodes || []
+        : findTopLevelNodes(gltf);
+    const boundsMin = [Infinity, Infinity, Infinity];
+    const boundsMax = [-Infinity, -Infinity, -Infinity];
+    let drawCalls = 0;
+    
+    const visitNode = (nodeIndex, parentMatrix, visited) => {
+        const node = nodes[nodeIndex];
+        if (!node || visited.has(nodeIndex)) return;
+        
+        const worldMatrix = multiplyMatrices(parentMatrix, getNodeMatrix(node));
+        const mesh = node.mesh !== undefined ? meshes[node.mesh] : null;
+        
+        if (mesh) {
+            meshStats[node.mesh].instances++;
+            drawCalls += (mesh.primitives || []).length;
+            
+            // Transform the corners of each POSITION min/max box (dequantized for normalized positions)
+            (mesh.primitives || []).forEach(primitive => {
+                const position = primitive.attributes && accessors[primitive.attributes.POSITION];
+                const box = position ? getAccessorBounds(position) : null;
+                if (!box) return;
+                
+                for (let corner = 0; corner < 8; corner++) {
+                    const x = corner & 1 ? box.max[0] : box.min[0];
+                    const y = corner & 2 ? box.max[1] : box.min[1];
+                    const z = corner & 4 ? box.max[2] : box.min[2];
+                    const m = worldMatrix;
+                    const world = [
+                        m[0] * x + m[4] * y + m[8] * z + m[12],
+                        m[1] * x + m[5] * y + m[9] * z + m[13],
+                        m[2] * x + m[6] * y + m[10] * z + m[14]
+                    ];
+                    for (let axis = 0; axis < 3; axis++) {
+                        boundsMin[axis] = Math.min(boundsMin[axis], world[axis]);
+                        boundsMax[axis] = Math.max(boundsMax[axis], world[axis]);
+                    }
+                }
+            });
+        }
+        
+        const path = new Set(visited).add(nodeIndex);
+        (node.children || []).forEach(childIndex => visitNode(childIndex, worldMatrix, path));
+    };
+    
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    rootNodes.forEach(nodeIndex => visitNode(nodeIndex, identity, new Set()));
+    
+    const bounds = boundsMin[0] <= boundsMax[0]
+        ? { min: boundsMin, max: boundsMax, size: boundsMax.map((max, axis) => max - boundsMin[axis]) }
+        : null;
+    
+    // Vertex buffer memory by attribute, each accessor counted once
+    const attributeAccessors = new Map();
+    const addAttributeAccessor = (attributeName, accessorIndex) => {
+        if (!accessors[accessorIndex]) return;
+        if (!attributeAccessors.has(attributeName)) {
+            attributeAccessors.set(attributeName, new Set());
+        }
+        attributeAccessors.get(attributeName).add(accessorIndex);
+    };
+    
+    meshes.forEach(mesh => {
+        (mesh.primitives || []).forEach(primitive => {
+            Object.entries(primitive.attributes || {}).forEach(([attributeName, accessorIndex]) => {
+                addAttributeAccessor(attributeName, accessorIndex);
+            });
+            (primitive.targets || []).forEach(target => {
+                Object.entries(target).forEach(([attributeName, accessorIndex]) => {
+                    addAttributeAccessor(`morph ${attributeName}`, accessorIndex);
+                });
+            });
+            if (primitive.indices !== undefined) {
+                addAttributeAccessor('indices', primitive.indices);
+            }
+        });
+    });
+    
+    const attributeStats = Array.from(attributeAccessors.entries()).map(([name, accessorIndices]) => ({
+        name,
+        accessors: accessorIndices.size,
+        bytes: Array.from(accessorIndices).reduce((sum, accessorIndex) => sum + getAccessorByteSize(accessors[accessorIndex]), 0)
+    })).sort((a, b) => b.bytes - a.bytes);
+    
+    // GPU memory of textures: decoded RGBA8 with a full mipmap chain (a third more)
+    const modelImages = images || extractTexturesFromGLTF(gltf, gltfData.buffers || [gltfData.binaryChunk], gltfData.externalResources);
+    const textureStats = modelImages.map(image => {
+        const dimensions = getImageDimensions(image.data);
+        return {
+            index: image.imageIndex,
+            name: image.name,
+            width: dimensions ? dimensions.width : null,
+            height: dimensions ? dimensions.height : null,
+            bytes: dimensions ? Math.round(dimensions.width * dimensions.height * 4 * 4 / 3) : null
+        };
+    });
+    
+    const unknownSizes = textureStats.filter(texture => texture.bytes === null).length;
+    if (unknownSizes > 0) {
+        log(`Could not read the dimensions of ${unknownSizes} images, they are left out of the texture memory`, 'warning');
+    }
+    
+    const totals = {
+        meshes: meshes.length,
+        primitives: meshStats.reduce((sum, mesh) => sum + mesh.primitives, 0),
+        vertices: meshStats.reduce((sum, mesh) => sum + mesh.vertices, 0),
+        triangles: meshStats.reduce((sum, mesh) => sum + mesh.triangles, 0),
+        renderedTriangles: meshStats.reduce((sum, mesh) => sum + mesh.triangles * mesh.instances, 0),
+        drawCalls,
+        materials: (gltf.materials || []).length,
+        textures: textureStats.length,
+        textureMemory: textureStats.reduce((sum, texture) => sum + (texture.bytes || 0), 0),
+        vertexMemory: attributeStats.reduce((sum, attribute) => sum + attribute.bytes, 0)
+    };
+    
+    log(`Model statistics: ${totals.triangles} triangles, ${totals.vertices} vertices, ${totals.drawCalls} draw calls`);
+    
+    return {
+        totals,
+        meshes: meshStats,
+        materials: Array.from(materialStats.values()),
+        attributes: attributeStats,
+        textures: textureStats,
+        bounds
+    };
+}
+
+/**
+ * Format a number with thousands separators
+ * @param {number} value - The number
+ * @returns {string} - The formatted number
+ */
+function formatStatNumber(value) {
+    return value.toLocaleString('en-US');
+}
+
+/**
+ * Format a bounding box size for display
+ * @param {Object} bounds - The bounds from computeModelStats (null if unknown)
+ * @returns {string} - The formatted size
+ */
+function formatBoundsSize(bounds) {
+    return bounds ? bounds.size.map(value => parseFloat(value.toFixed(3))).join(' × ') : 'unknown';
+}
+
+/**
+ * Fill a stats table body with rows
+ * @param {string} tableBodyId - The ID of the tbody element
+ * @param {Array} rows - Arrays of cell texts
+ */
+function fillStatsTable(tableBodyId, rows) {
+    const tableBody = document.getElementById(tableBodyId);
+    if (!tableBody) return;
+    
+    tableBody.innerHTML = '';
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Display model statistics in the UI
+ * @param {Object} stats - The statistics from computeModelStats
+ */
+function displayModelStats(stats) {
+    const summary = document.getElementById('stats-summary');
+    if (!summary) return;
+    
+    const { totals } = stats;
+    const summaryItems = [
+        ['Triangles', formatStatNumber(totals.triangles)],
+        ['Rendered triangles', formatStatNumber(totals.renderedTriangles)],
+        ['Vertices', formatStatNumber(totals.vertices)],
+        ['Draw calls', formatStatNumber(totals.drawCalls)],
+        ['Meshes', formatStatNumber(totals.meshes)],
+        ['Materials', formatStatNumber(totals.materials)],
+        ['Texture memory', formatFileSize(totals.textureMemory)],
+        ['Vertex memory', formatFileSize(totals.vertexMemory)],
+        ['Bounding box', formatBoundsSize(stats.bounds)]
+    ];
+    
+    summary.innerHTML = '';
+    summaryItems.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stat-item';
+        
+        const valueDiv = document.createElement('div');
+        valueDiv.className = 'stat-value';
+        valueDiv.textContent = value;
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'stat-label';
+        labelDiv.textContent = label;
+        
+        item.appendChild(valueDiv);
+        item.appendChild(labelDiv);
+        summary.appendChild(item);
+    });
+    
+    fillStatsTable('stats-mesh-list', stats.meshes.map(mesh => [
+        mesh.name, mesh.primitives, formatStatNumber(mesh.vertices), formatStatNumber(mesh.triangles), mesh.instances
+    ]));
+    fillStatsTable('stats-material-list', stats.materials.map(material => [
+        material.name, material.primitives, formatStatNumber(material.vertices), formatStatNumber(material.triangles),
+        material.extensions.join(', ')
+    ]));
+    fillStatsTable('stats-attribute-list', stats.attributes.map(attribute => [
+        attribute.name, attribute.accessors, formatFileSize(attribute.bytes)
+    ]));
+    fillStatsTable('stats-texture-list', stats.textures.map(texture => [
+        texture.name,
+        texture.width !== null ? `${texture.width} × ${texture.height}` : 'unknown',
+        texture.bytes !== null ? formatFileSize(texture.bytes) : 'unknown'
+    ]));
+}
+
+/**
+ * Quote a value for CSV when needed
+ * @param {*} value - The value
+ * @returns {string} - The CSV field
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert model statistics to CSV, one row per section, item and metric
+ * @param {Object} stats - The statistics from computeModelStats
+ * @returns {string} - The CSV text
+ */
+function convertStatsToCSV(stats) {
+    const rows = [['section', 'item', 'metric', 'value']];
+    
+    Object.entries(stats.totals).forEach(([metric, value]) => rows.push(['total', 'model', metric, value]));
+    if (stats.bounds) {
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            rows.push(['bounds', 'model', `min_${axis}`, stats.bounds.min[i]]);
+            rows.push(['bounds', 'model', `max_${axis}`, stats.bounds.max[i]]);
+            rows.push(['bounds', 'model', `size_${axis}`, stats.bounds.size[i]]);
+        });
+    }
+    
+    stats.meshes.forEach(mesh => {
+        ['primitives', 'vertices', 'triangles', 'instances'].forEach(metric => rows.push(['mesh', mesh.name, metric, mesh[metric]]));
+    });
+    stats.materials.forEach(material => {
+        ['primitives', 'vertices', 'triangles'].forEach(metric => rows.push(['material', material.name, metric, material[metric]]));
+        rows.push(['material', material.name, 'extensions', material.extensions.join(' ')]);
+    });
+    stats.attributes.forEach(attribute => {
+        rows.push(['attribute', attribute.name, 'accessors', attribute.accessors]);
+        rows.push(['attribute', attribute.name, 'bytes', attribute.bytes]);
+    });
+    stats.textures.forEach(texture => {
+        ['width', 'height', 'bytes'].forEach(metric => rows.push(['texture', texture.name, metric, texture[metric]]));
+    });
+    
+    return rows.map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Download model statistics as a CSV file
+ * @param {Object} stats - The statistics from computeModelStats
+ * @param {string} fileName - The name of the CSV file
+ */
+function downloadStatsCSV(stats, fileName) {
+    const blob = new Blob([convertStatsToCSV(stats)], {
+        type: 'text/csv',
+        lastModified: new Date().getTime()
+    });
+    
+    saveAs(blob, fileName);
+}
+
+// Export statistics functions
+window.ModelStats = {
+    countPrimitiveGeometry,
+    computeModelStats,
+    displayModelStats,
+    convertStatsToCSV,
+    downloadStatsCSV
+};
@@ -0,0 +1,464 @@
+/**
+ * GLB Extractor Tool - Model Viewer
+ * Contains functions for previewing the loaded model and its split parts with three.js,
+ * including a software renderer for machines without WebGL
+ */
+
+// Use utility functions from the main modules
+var { log } = window.GlbExtractorUtils;
+
+// Triangles the software renderer draws at most, to keep the page responsive
+const MAX_SOFTWARE_TRIANGLES = 200000;
+
+// Renderer names of WebGL implementations that run on the CPU
+const SOFTWARE_RENDERER_PATTERN = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+// Viewer state: renderer, scene, camera, controls and the models that can be shown
+let modelViewer = null;
+
+/**
+ * Create a renderer that draws flat-shaded triangles on a 2D canvas.
+ * It offers the part of the THREE.WebGLRenderer interface the viewer uses.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @returns {Object} - The software renderer
+ */
+function createSoftwareRenderer(canvas) {
+    const context = canvas.getContext('2d');
+    if (!context) {
+        throw new Error('Canvas 2D is not available');
+    }
+    
+    let pixelRatio = 1;
+    let clearStyle = '#ffffff';
+    
+    return {
+        domElement: canvas,
+        isSoftwareRenderer: true,
+        setPixelRatio(ratio) {
+            pixelRatio = ratio;
+        },
+        setSize(width, height) {
+            canvas.width = Math.floor(width * pixelRatio);
+            canvas.height = Math.floor(height * pixelRatio);
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        },
+        setClearColor(color) {
+            clearStyle = new THREE.Color(color).getStyle();
+        },
+        render(scene, camera) {
+            rasterizeScene(context, scene, camera, clearStyle);
+        },
+        dispose() {}
+    };
+}
+
+/**
+ * Draw every visible mesh of a scene as flat-shaded triangles, back to front (painter's algorithm)
+ * @param {CanvasRenderingContext2D} context - The 2D context to draw on
+ * @param {THREE.Scene} scene - The scene to draw
+ * @param {THREE.Camera} camera - The camera to draw from
+ * @param {string} clearStyle - The background color as a CSS color
+ */
+function rasterizeScene(context, scene, camera, clearStyle) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    
+    context.fillStyle = clearStyle;
+    context.fillRect(0, 0, width, height);
+    
+    scene.updateMatrixWorld();
+    camera.updateMatrixWorld();
+    
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    const lightDirection = camera.getWorldDirection(new THREE.Vector3()).negate();
+    const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const projected = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const edgeA = new THREE.Vector3();
+    const edgeB = new THREE.Vector3();
+    const triangles = [];
+    
+    scene.traverseVisible(object => {
+        if (!object.isMesh || triangles.length >= MAX_SOFTWARE_TRIANGLES) return;
+        
+        const position = object.geometry.attributes.position;
+        if (!position) return;
+        
+        const material = Array.isArray(object.material) ? object.material[0] : object.material;
+        if (!material || material.visible === false) return;
+        
+        const color = material.color ? material.color.clone().convertLinearToSRGB() : new THREE.Color(1, 1, 1);
+        const opacity = material.transparent ? material.opacity : 1;
+        const index = object.geometry.index;
+        const count = index ? index.count : position.count;
+        
+        for (let i = 0; i + 2 < count && triangles.length < MAX_SOFTWARE_TRIANGLES; i += 3) {
+            let clipped = false;
+            
+            for (let corner = 0; corner < 3; corner++) {
+                const vertex = index ? index.getX(i + corner) : i + corner;
+                corners[corner].fromBufferAttribute(position, vertex).applyMatrix4(object.matrixWorld);
+                projected[corner].copy(corners[corner]).applyMatrix4(viewProjection);
+                
+                // Triangles crossing the near or far plane are dropped instead of clipped
+                if (projected[corner].z < -1 || projected[corner].z > 1) clipped = true;
+            }
+            if (clipped) continue;
+            
+            // Light both faces from the camera, so open and inverted meshes stay visible
+            edgeA.subVectors(corners[1], corners[0]);
+            edgeB.subVectors(corners[2], corners[0]);
+            const normal = edgeA.cross(edgeB).normalize();
+            const shade = 0.35 + 0.65 * Math.abs(normal.dot(lightDirection));
+            
+            triangles.push({
+                points: projected.map(point => [(point.x + 1) * width / 2, (1 - point.y) * height / 2]),
+                depth: (projected[0].z + projected[1].z + projected[2].z) / 3,
+                style: `rgba(${Math.round(color.r * shade * 255)}, ${Math.round(color.g * shade * 255)}, ${Math.round(color.b * shade * 255)}, ${opacity})`
+            });
+        }
+    });
+    
+    triangles.sort((a, b) => b.depth - a.depth);
+    
+    context.lineWidth = 0.5;
+    triangles.forEach(triangle => {
+        context.fillStyle = triangle.style;
+        context.strokeStyle = triangle.style;
+        context.beginPath();
+        context.moveTo(triangle.points[0][0], triangle.points[0][1]);
+        context.lineTo(triangle.points[1][0], triangle.points[1][1]);
+        context.lineTo(triangle.points[2][0], triangle.points[2][1]);
+        context.closePath();
+        context.fill();
+        context.stroke();
+    });
+}
+
+/**
+ * Create a WebGL renderer, or the software renderer when WebGL is not available
+ * @returns {Object} - { renderer, description }
+ */
+function createViewerRenderer() {
+    try {
+        // A GPU-less browser may still offer WebGL through SwiftShader, which is accepted here
+        const renderer = new THREE.WebGLRenderer({ antialias: true, failIfMajorPerformanceCaveat: false });
+        renderer.outputEncoding = THREE.sRGBEncoding;
+        
+        const gl = renderer.getContext();
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const rendererName = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+        const description = SOFTWARE_RENDERER_PATTERN.test(rendererName)
+            ? `WebGL with software rendering (${rendererName})`
+            : `WebGL (${rendererName})`;
+        
+        return { renderer, description };
+    } catch (error) {
+        log(`WebGL is not available, using the software renderer: ${error.message}`, 'warning');
+        const renderer = createSoftwareRenderer(document.createElement('canvas'));
+        return { renderer, description: 'Software rendering without WebGL (flat shaded, no textures)' };
+    }
+}
+
+/**
+ * Set up the viewer in its container. Does nothing if it is already set up.
+ * @returns {boolean} - Whether the viewer is available
+ */
+function initModelViewer() {
+    if (modelViewer) return true;
+    
+    const container = document.getElementById('viewer-canvas');
+    if (!container) return false;
+    
+    if (typeof THREE === 'undefined' || !THREE.GLTFLoader || !THREE.OrbitControls) {
+        log('three.js is not loaded, the model preview is disabled', 'error');
+        return false;
+    }
+    
+    try {
+        const { renderer, description } = createViewerRenderer();
+        renderer.setPixelRatio(window.devicePixelRatio || 1);
+        renderer.setClearColor(0xf0f0f0);
+        container.appendChild(renderer.domElement);
+        
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(45, 1, 0.01, 1000);
+        
+        // A light that follows the camera keeps the visible side lit while orbiting
+        const headlight = new THREE.DirectionalLight(0xffffff, 0.8);
+        headlight.position.set(0.5, 1, 1);
+        camera.add(headlight);
+        scene.add(camera);
+        scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.6));
+        
+        const controls = new THREE.OrbitControls(camera, renderer.domElement);
+        controls.addEventListener('change', renderViewer);
+        
+        modelViewer = {
+            container,
+            renderer,
+            scene,
+            camera,
+            controls,
+            root: null,
+            meshMaterials: new Map(),
+            ghostMaterial: new THREE.MeshBasicMaterial({ color: 0x999999, transparent: true, opacity: 0.15, depthWrite: false }),
+            models: [],
+            loadToken: 0
+        };
+        
+        window.addEventListener('resize', resizeViewer);
+        resizeViewer();
+        
+        const rendererInfo = document.getElementById('viewer-renderer-info');
+        if (rendererInfo) {
+            rendererInfo.textContent = `Renderer: ${description}`;
+        }
+        log(`Model viewer initialized: ${description}`);
+        
+        return true;
+    } catch (error) {
+        log(`Error initializing the model viewer: ${error.message}`, 'error');
+        console.error(error);
+        modelViewer = null;
+        return false;
+    }
+}
+
+/**
+ * Render the viewer scene once
+ */
+function renderViewer() {
+    if (!modelViewer) return;
+    modelViewer.renderer.render(modelViewer.scene, modelViewer.camera);
+}
+
+/**
+ * Match the renderer and camera to the size of the container
+ */
+function resizeViewer() {
+    if (!modelViewer) return;
+    
+    const width = modelViewer.container.clientWidth || 760;
+    const height = Math.round(width * 0.6);
+    
+    modelViewer.renderer.setSize(width, height);
+    modelViewer.camera.aspect = width / height;
+    modelViewer.camera.updateProjectionMatrix();
+    renderViewer();
+}
+
+/**
+ * Free the geometries, materials and textures of an object tree
+ * @param {THREE.Object3D} object - The object to dispose
+ */
+function disposeViewerObject(object) {
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        
+        const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+        materials.forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+}
+
+/**
+ * Point the camera at an object so it fills the view
+ * @param {THREE.Object3D} object - The object to frame
+ */
+function frameViewerObject(object) {
+    const { camera, controls } = modelViewer;
+    const box = new THREE.Box3().setFromObject(object);
+    
+    if (box.isEmpty()) {
+        camera.position.set(0, 0, 5);
+        controls.target.set(0, 0, 0);
+    } else {
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = box.getSize(new THREE.Vector3()).length() / 2 || 1;
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+        
+        camera.near = distance / 100;
+        camera.far = distance * 100;
+        camera.position.copy(center).add(new THREE.Vector3(0.6, 0.5, 1).normalize().multiplyScalar(distance));
+        controls.target.copy(center);
+    }
+    
+    camera.updateProjectionMatrix();
+    controls.update();
+}
+
+/**
+ * Get the glTF material index of every mesh the loader created (one mesh per primitive)
+ * @param {Object} gltf - The result of THREE.GLTFLoader.parse
+ * @returns {Map} - Map of mesh to { material, materialIndex }, with materialIndex null for the default material
+ */
+function collectViewerMeshMaterials(gltf) {
+    const meshMaterials = new Map();
+    const json = gltf.parser.json;
+    
+    gltf.scene.traverse(object => {
+        if (!object.isMesh) return;
+        
+        const mapping = gltf.parser.associations.get(object);
+        const mesh = mapping && mapping.meshes !== undefined ? json.meshes[mapping.meshes] : null;
+        const primitive = mesh ? mesh.primitives[mapping.primitives || 0] : null;
+        
+        meshMaterials.set(object, {
+            material: object.material,
+            materialIndex: primitive && primitive.material !== undefined ? primitive.material : null
+        });
+    });
+    
+    return meshMaterials;
+}
+
+/**
+ * Fill the material select with the materials of the shown model
+ * @param {Object} json - The glTF JSON of the shown model
+ * @param {Map} meshMaterials - The result of collectViewerMeshMaterials
+ */
+function populateViewerMaterials(json, meshMaterials) {
+    const materialSelect = document.getElementById('viewer-material');
+    if (!materialSelect) return;
+    
+    const usedIndices = new Set();
+    meshMaterials.forEach(({ materialIndex }) => usedIndices.add(materialIndex));
+    
+    materialSelect.innerHTML = '';
+    materialSelect.add(new Option('All materials', ''));
+    
+    Array.from(usedIndices)
+        .filter(materialIndex => materialIndex !== null)
+        .sort((a, b) => a - b)
+        .forEach(materialIndex => {
+            const material = (json.materials || [])[materialIndex] || {};
+            materialSelect.add(new Option(material.name || `material_${materialIndex}`, String(materialIndex)));
+        });
+    
+    if (usedIndices.has(null)) {
+        materialSelect.add(new Option('Default material', 'default'));
+    }
+    
+    materialSelect.disabled = materialSelect.options.length <= 2;
+}
+
+/**
+ * Replace the models the viewer can show and show the first one
+ * @param {Array} models - Array of { name, glbData }
+ * @returns {Promise} - Resolves when the first model is shown
+ */
+function setViewerModels(models) {
+    if (!initModelViewer()) return Promise.resolve(false);
+    
+    modelViewer.models = [];
+    const modelSelect = document.getElementById('viewer-model');
+    if (modelSelect) modelSelect.innerHTML = '';
+    
+    addViewerModels(models);
+    return showViewerModel();
+}
+
+/**
+ * Add models to the list the viewer can show, without changing the shown model
+ * @param {Array} models - Array of { name, glbData }
+ */
+function addViewerModels(models) {
+    if (!modelViewer) return;
+    
+    const modelSelect = document.getElementById('viewer-model');
+    models.filter(model => model.glbData).forEach(model => {
+        if (modelSelect) modelSelect.add(new Option(model.name, String(modelViewer.models.length)));
+        modelViewer.models.push(model);
+    });
+}
+
+/**
+ * Load the model picked in the model select into the viewer
+ * @returns {Promise} - Resolves with whether the model could be shown
+ */
+function showViewerModel() {
+    if (!modelViewer) return Promise.resolve(false);
+    
+    const modelSelect = document.getElementById('viewer-model');
+    const model = modelViewer.models[modelSelect ? Number(modelSelect.value) || 0 : 0];
+    if (!model) return Promise.resolve(false);
+    
+    // A newer request makes the result of a slower, older one obsolete
+    const loadToken = ++modelViewer.loadToken;
+    log(`Loading ${model.name} into the viewer`);
+    
+    return new Promise(resolve => {
+        new THREE.GLTFLoader().parse(model.glbData, '', gltf => {
+            if (loadToken !== modelViewer.loadToken) {
+                disposeViewerObject(gltf.scene);
+                resolve(false);
+                return;
+            }
+            
+            if (modelViewer.root) {
+                // Put the original materials back so the shared ghost material is not disposed
+                modelViewer.meshMaterials.forEach(({ material }, mesh) => {
+                    mesh.material = material;
+                });
+                modelViewer.scene.remove(modelViewer.root);
+                disposeViewerObject(modelViewer.root);
+            }
+            
+            modelViewer.root = gltf.scene;
+            modelViewer.meshMaterials = collectViewerMeshMaterials(gltf);
+            modelViewer.scene.add(gltf.scene);
+            
+            populateViewerMaterials(gltf.parser.json, modelViewer.meshMaterials);
+            frameViewerObject(gltf.scene);
+            applyViewerFocus();
+            resolve(true);
+        }, error => {
+            log(`Error showing ${model.name} in the viewer: ${error.message || error}`, 'error');
+            console.error(error);
+            resolve(false);
+        });
+    });
+}
+
+/**
+ * Isolate or highlight the parts that use the material picked in the material select.
+ * Isolate hides everything else, highlight shows everything else as a faint ghost.
+ */
+function applyViewerFocus() {
+    if (!modelViewer) return;
+    
+    const materialSelect = document.getElementById('viewer-material');
+    const focusModeSelect = document.getElementById('viewer-focus-mode');
+    const materialValue = materialSelect ? materialSelect.value : '';
+    const focusMode = focusModeSelect ? focusModeSelect.value : 'isolate';
+    
+    let focusIndex;
+    if (materialValue === 'default') {
+        focusIndex = null;
+    } else if (materialValue !== '') {
+        focusIndex = Number(materialValue);
+    }
+    
+    modelViewer.meshMaterials.forEach(({ material, materialIndex }, mesh) => {
+        const matches = focusIndex === undefined || materialIndex === focusIndex;
+        mesh.visible = matches || focusMode === 'highlight';
+        mesh.material = matches ? material : modelViewer.ghostMaterial;
+    });
+    
+    renderViewer();
+}
+
+// Export viewer functions
+window.ModelViewer = {
+    initModelViewer,
+    setViewerModels,
+    addViewerModels,
+    showViewerModel,
+    applyViewerFocus,
+    resizeViewer
+};
@@ -0,0 +1,270 @@
+/**
+ * GLB Extractor Tool - Scene Tree
+ * Contains functions for showing the scenes → nodes → meshes → primitives hierarchy
+ * with checkboxes, and exporting the ticked subset as one GLB
+ */
+
+// Use utility functions from the main modules
+var { log } = window.GlbExtractorUtils;
+var { generateColorFromIndex } = window.MaterialExtractor;
+var { createSubsetGLB, findTopLevelNodes } = window.SubsetExporter;
+
+/**
+ * Create a tree item: a row with an optional collapse toggle, checkbox and label, and a list of children
+ * @param {string} labelText - The text of the item
+ * @param {Object} checkboxData - Data attributes of the checkbox (null for items without a checkbox)
+ * @returns {Object} - { item, row, childList }
+ */
+function createTreeItem(labelText, checkboxData) {
+    const item = document.createElement('li');
+    const row = document.createElement('div');
+    row.className = 'tree-row';
+    
+    const toggle = document.createElement('span');
+    toggle.className = 'tree-toggle';
+    row.appendChild(toggle);
+    
+    if (checkboxData) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        Object.assign(checkbox.dataset, checkboxData);
+        row.appendChild(checkbox);
+    }
+    
+    const label = document.createElement('span');
+    label.className = 'tree-label';
+    label.textContent = labelText;
+    row.appendChild(label);
+    
+    const childList = document.createElement('ul');
+    
+    item.appendChild(row);
+    item.appendChild(childList);
+    
+    return { item, row, childList };
+}
+
+/**
+ * Create a badge showing a material name and color
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} materialIndex - The index of the material (undefined for the default material)
+ * @returns {HTMLElement} - The badge element
+ */
+function createMaterialBadge(gltf, materialIndex) {
+    const badge = document.createElement('span');
+    badge.className = 'tree-badge';
+    
+    const material = gltf.materials && gltf.materials[materialIndex];
+    const color = (material && material.pbrMetallicRoughness && material.pbrMetallicRoughness.baseColorFactor)
+        || generateColorFromIndex(materialIndex || 0);
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'material-color';
+    swatch.style.backgroundColor = `rgb(${color.slice(0, 3).map(c => Math.round(c * 255)).join(', ')})`;
+    
+    badge.appendChild(swatch);
+    badge.appendChild(document.createTextNode(material ? (material.name || `material_${materialIndex}`) : 'default material'));
+    
+    return badge;
+}
+
+/**
+ * Build the tree item of a node with its mesh, primitives and child nodes
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} nodeIndex - The index of the node
+ * @param {Set} visited - Nodes already on the current path (guards against cycles)
+ * @returns {HTMLElement} - The list item of the node
+ */
+function buildNodeTreeItem(gltf, nodeIndex, visited = new Set()) {
+    const node = gltf.nodes[nodeIndex];
+    const { item, row, childList } = createTreeItem(node.name || `node_${nodeIndex}`, { node: nodeIndex });
+    
+    if (node.mesh !== undefined && gltf.meshes && gltf.meshes[node.mesh]) {
+        const mesh = gltf.meshes[node.mesh];
+        const meshItem = createTreeItem(`Mesh: ${mesh.name || `mesh_${node.mesh}`}`, null);
+        meshItem.item.classList.add('tree-mesh');
+        
+        (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+            const primitiveItem = createTreeItem(`Primitive ${primitiveIndex}`, { mesh: node.mesh, primitive: primitiveIndex });
+            primitiveItem.row.appendChild(createMaterialBadge(gltf, primitive.material));
+            meshItem.childList.appendChild(primitiveItem.item);
+        });
+        
+        childList.appendChild(meshItem.item);
+    }
+    
+    (node.children || []).forEach(childIndex => {
+        if (!gltf.nodes[childIndex] || visited.has(childIndex)) return;
+        childList.appendChild(buildNodeTreeItem(gltf, childIndex, new Set([...visited, nodeIndex])));
+    });
+    
+    if (childList.children.length === 0) {
+        item.classList.add('tree-leaf');
+    }
+    
+    return item;
+}
+
+/**
+ * Update the checked / indeterminate state of every checkbox above a changed one
+ * @param {HTMLElement} checkbox - The checkbox that changed
+ */
+function updateAncestorCheckboxes(checkbox) {
+    let item = checkbox.closest('li').parentElement.closest('li');
+    
+    while (item) {
+        const ancestorCheckbox = item.querySelector(':scope > .tree-row > input[type="checkbox"]');
+        if (ancestorCheckbox) {
+            const descendants = Array.from(item.querySelectorAll(':scope > ul input[type="checkbox"]'));
+            const checkedCount = descendants.filter(descendant => descendant.checked).length;
+            ancestorCheckbox.checked = descendants.length > 0 && checkedCount === descendants.length;
+            ancestorCheckbox.indeterminate = checkedCount > 0 && checkedCount < descendants.length;
+        }
+        item = item.parentElement.closest('li');
+    }
+}
+
+/**
+ * Display the scene graph of a model as a tree with checkboxes
+ * @param {Object} gltf - The GLTF JSON structure
+ */
+function displaySceneTree(gltf) {
+    const sceneTree = document.getElementById('scene-tree');
+    if (!sceneTree) return;
+    
+    sceneTree.innerHTML = '';
+    const rootList = document.createElement('ul');
+    
+    // Scenes with their root nodes
+    const nodesInScenes = new Set();
+    (gltf.scenes || []).forEach((scene, sceneIndex) => {
+        const sceneItem = createTreeItem(`Scene: ${scene.name || `scene_${sceneIndex}`}`, { scene: sceneIndex });
+        (scene.nodes || []).forEach(nodeIndex => {
+            if (!gltf.nodes || !gltf.nodes[nodeIndex]) return;
+            nodesInScenes.add(nodeIndex);
+            sceneItem.childList.appendChild(buildNodeTreeItem(gltf, nodeIndex));
+        });
+        rootList.appendChild(sceneItem.item);
+    });
+    
+    // Top-level nodes that no scene references
+    const unassignedNodes = findTopLevelNodes(gltf).filter(nodeIndex => !nodesInScenes.has(nodeIndex));
+    if (unassignedNodes.length > 0) {
+        const unassignedItem = createTreeItem('Nodes without a scene', {});
+        unassignedNodes.forEach(nodeIndex => {
+            unassignedItem.childList.appendChild(buildNodeTreeItem(gltf, nodeIndex));
+        });
+        rootList.appendChild(unassignedItem.item);
+    }
+    
+    sceneTree.appendChild(rootList);
+    
+    // Collapse / expand
+    sceneTree.querySelectorAll('.tree-toggle').forEach(toggle => {
+        toggle.addEventListener('click', () => {
+            toggle.closest('li').classList.toggle('collapsed');
+        });
+    });
+    
+    // Ticking an item ticks everything below it
+    sceneTree.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            checkbox.closest('li').querySelectorAll(':scope > ul input[type="checkbox"]').forEach(descendant => {
+                descendant.checked = checkbox.checked;
+                descendant.indeterminate = false;
+            });
+            updateAncestorCheckboxes(checkbox);
+            updateSceneTreeSummary();
+        });
+    });
+    
+    updateSceneTreeSummary();
+    log(`Scene tree built: ${(gltf.scenes || []).length} scenes, ${(gltf.nodes || []).length} nodes`);
+}
+
+/**
+ * Get the ticked nodes and primitives of the scene tree
+ * @returns {Object} - { nodes: Array of node indices, primitives: Set of "meshIndex:primitiveIndex" keys }
+ */
+function getSceneTreeSelection() {
+    const nodes = new Set();
+    const primitives = new Set();
+    
+    document.querySelectorAll('#scene-tree input[type="checkbox"]:checked').forEach(checkbox => {
+        if (checkbox.dataset.node !== undefined) {
+            nodes.add(Number(checkbox.dataset.node));
+        } else if (checkbox.dataset.primitive !== undefined) {
+            primitives.add(`${checkbox.dataset.mesh}:${checkbox.dataset.primitive}`);
+        }
+    });
+    
+    return { nodes: Array.from(nodes), primitives };
+}
+
+/**
+ * Show how many nodes and primitives are ticked, and enable the export button
+ */
+function updateSceneTreeSummary() {
+    const summary = document.getElementById('scene-tree-summary');
+    const exportSelectionBtn = document.getElementById('export-selection-btn');
+    const selection = getSceneTreeSelection();
+    
+    if (summary) {
+        summary.textContent = `${selection.nodes.length} nodes and ${selection.primitives.size} primitives selected`;
+    }
+    if (exportSelectionBtn) {
+        exportSelectionBtn.disabled = selection.nodes.length === 0 && selection.primitives.size === 0;
+    }
+}
+
+/**
+ * Tick or untick every checkbox of the scene tree
+ * @param {boolean} checked - Whether to tick or untick
+ */
+function setSceneTreeChecked(checked) {
+    document.querySelectorAll('#scene-tree input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = checked;
+        checkbox.indeterminate = false;
+    });
+    updateSceneTreeSummary();
+}
+
+/**
+ * Export the ticked nodes and primitives as one GLB and download it.
+ * Ticked nodes bring their descendants; a ticked primitive is kept in every node instancing its mesh.
+ * @param {Object} gltfData - The parsed glTF data
+ * @param {string} fileName - The name of the GLB file
+ * @param {Object} options - Export options (see SubsetExporter.createSubsetGLB)
+ * @returns {boolean} - Whether the export succeeded
+ */
+function exportSceneTreeSelection(gltfData, fileName, options = {}) {
+    const selection = getSceneTreeSelection();
+    if (selection.nodes.length === 0 && selection.primitives.size === 0) {
+        log('Nothing selected in the scene tree', 'warning');
+        return false;
+    }
+    
+    log(`Exporting ${selection.nodes.length} nodes and ${selection.primitives.size} primitives to ${fileName}`);
+    const glbData = createSubsetGLB(gltfData, {
+        nodes: selection.nodes,
+        primitives: (primitive, meshIndex, primitiveIndex) => selection.primitives.has(`${meshIndex}:${primitiveIndex}`)
+    }, { ...options, name: fileName.replace(/\.glb$/i, '') });
+    
+    if (!glbData) return false;
+    
+    const blob = new Blob([glbData], {
+        type: 'model/gltf-binary',
+        lastModified: new Date().getTime()
+    });
+    
+    saveAs(blob, fileName);
+    return true;
+}
+
+// Export scene tree functions
+window.SceneTree = {
+    displaySceneTree,
+    getSceneTreeSelection,
+    setSceneTreeChecked,
+    exportSceneTreeSelection
+};
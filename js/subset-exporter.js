@@ -0,0 +1,991 @@
+/**
+ * GLB Extractor Tool - Subset Exporter
+ * Contains the engine that writes any subset of a model (selected primitives,
+ * nodes or a scene) to its own GLB, and the split modes built on top of it
+ */
+
+// Use utility functions from the main modules
+var { log, packGLB, getMimeTypeFromUri } = window.GlbExtractorUtils;
+var { getBufferViewData } = window.GlbParser;
+var { findUnresolvedReferences } = window.GltfValidator;
+var { getTextureImageSources } = window.TextureExtractor;
+var {
+    extractMaterialsFromGLTF, findTexturesUsedByMaterial, generateColorFromIndex, collectMaterialTextureInfos
+} = window.MaterialExtractor;
+
+/**
+ * Log every index of a generated subset that points at nothing, so a broken file is not written silently
+ * @param {Object} gltf - The sanitized GLTF JSON structure of the subset
+ * @param {string} name - The name of the subset
+ * @returns {boolean} - Whether every reference resolves
+ */
+function checkSubsetReferences(gltf, name) {
+    const issues = findUnresolvedReferences(gltf);
+    issues.forEach(issue => {
+        log(`GLB for ${name}: ${issue.message} at ${issue.pointer}`, 'error');
+    });
+    return issues.length === 0;
+}
+
+/**
+ * Point the KHR_materials_variants mappings of the primitives at the new material indices, dropping
+ * mappings to removed materials and the variant list once no primitive maps a variant anymore
+ * @param {Object} gltf - The (copied) GLTF JSON structure to update in place
+ * @param {Object} oldToNewMaterialIndex - The new index of each kept material, by original index
+ */
+function remapMaterialVariants(gltf, oldToNewMaterialIndex) {
+    let hasMappings = false;
+    
+    (gltf.meshes || []).forEach(mesh => {
+        mesh.primitives.forEach(primitive => {
+            const variants = primitive.extensions && primitive.extensions.KHR_materials_variants;
+            if (!variants) return;
+            
+            variants.mappings = (variants.mappings || [])
+                .filter(mapping => oldToNewMaterialIndex[mapping.material] !== undefined)
+                .map(mapping => ({ ...mapping, material: oldToNewMaterialIndex[mapping.material] }));
+            
+            if (variants.mappings.length > 0) {
+                hasMappings = true;
+                return;
+            }
+            
+            delete primitive.extensions.KHR_materials_variants;
+            if (Object.keys(primitive.extensions).length === 0) {
+                delete primitive.extensions;
+            }
+        });
+    });
+    
+    if (hasMappings) return;
+    
+    if (gltf.extensions) {
+        delete gltf.extensions.KHR_materials_variants;
+        if (Object.keys(gltf.extensions).length === 0) {
+            delete gltf.extensions;
+        }
+    }
+    ['extensionsUsed', 'extensionsRequired'].forEach(key => {
+        if (!gltf[key]) return;
+        gltf[key] = gltf[key].filter(ext => ext !== 'KHR_materials_variants');
+        if (gltf[key].length === 0) {
+            delete gltf[key];
+        }
+    });
+}
+
+/**
+ * Keep only the textures, images and samplers referenced by a set of materials
+ * and remap all references to the new indices
+ * @param {Object} gltf - The (copied) GLTF JSON structure to prune in place
+ * @param {Array} materials - The materials whose texture references are remapped in place
+ * @returns {Set} - The bufferViews referenced by the kept images
+ */
+function pruneTexturesForMaterials(gltf, materials) {
+    const imageBufferViews = new Set();
+    const textureInfos = materials.flatMap(material => collectMaterialTextureInfos(material));
+    
+    if (!gltf.textures || textureInfos.length === 0) {
+        delete gltf.textures;
+        delete gltf.images;
+        delete gltf.samplers;
+        return imageBufferViews;
+    }
+    
+    const oldToNewTextureIndex = {};
+    const oldToNewImageIndex = {};
+    const oldToNewSamplerIndex = {};
+    const newTextures = [];
+    const newImages = [];
+    const newSamplers = [];
+    
+    function remapImage(oldIndex) {
+        if (oldToNewImageIndex[oldIndex] === undefined) {
+            const image = {...gltf.images[oldIndex]};
+            if (image.bufferView !== undefined) {
+                imageBufferViews.add(image.bufferView);
+            }
+            oldToNewImageIndex[oldIndex] = newImages.length;
+            newImages.push(image);
+        }
+        return oldToNewImageIndex[oldIndex];
+    }
+    
+    textureInfos.forEach(textureInfo => {
+        const oldIndex = textureInfo.index;
+        
+        if (oldToNewTextureIndex[oldIndex] === undefined) {
+            const texture = JSON.parse(JSON.stringify(gltf.textures[oldIndex] || {}));
+            
+            if (texture.source !== undefined && gltf.images && gltf.images[texture.source]) {
+                texture.source = remapImage(texture.source);
+            }
+            
+            // Image sources provided by texture extensions (e.g. KHR_texture_basisu)
+            if (texture.extensions) {
+                for (const extensionName in texture.extensions) {
+                    const extension = texture.extensions[extensionName];
+                    if (extension && extension.source !== undefined && gltf.images && gltf.images[extension.source]) {
+                        extension.source = remapImage(extension.source);
+                    }
+                }
+            }
+            
+            if (texture.sampler !== undefined && gltf.samplers && gltf.samplers[texture.sampler]) {
+                if (oldToNewSamplerIndex[texture.sampler] === undefined) {
+                    oldToNewSamplerIndex[texture.sampler] = newSamplers.length;
+                    newSamplers.push(gltf.samplers[texture.sampler]);
+                }
+                texture.sampler = oldToNewSamplerIndex[texture.sampler];
+            }
+            
+            oldToNewTextureIndex[oldIndex] = newTextures.length;
+            newTextures.push(texture);
+        }
+        
+        textureInfo.index = oldToNewTextureIndex[oldIndex];
+    });
+    
+    log(`Keeping ${newTextures.length} textures, ${newImages.length} images and ${newSamplers.length} samplers`);
+    
+    gltf.textures = newTextures;
+    gltf.images = newImages;
+    gltf.samplers = newSamplers;
+    
+    return imageBufferViews;
+}
+
+/**
+ * Collect a set of nodes together with all their descendants
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {Array} rootIndices - The indices of the root nodes
+ * @returns {Set} - The indices of the roots and every node below them
+ */
+function collectSubtreeNodes(gltf, rootIndices) {
+    const subtree = new Set();
+    const stack = [...rootIndices];
+    
+    while (stack.length > 0) {
+        const nodeIndex = stack.pop();
+        const node = gltf.nodes && gltf.nodes[nodeIndex];
+        if (!node || subtree.has(nodeIndex)) continue;
+        
+        subtree.add(nodeIndex);
+        (node.children || []).forEach(childIndex => stack.push(childIndex));
+    }
+    
+    return subtree;
+}
+
+/**
+ * Find the nodes that are not the child of any other node
+ * @param {Object} gltf - The GLTF JSON structure
+ * @returns {Array} - The indices of the top-level nodes
+ */
+function findTopLevelNodes(gltf) {
+    const childNodes = new Set();
+    (gltf.nodes || []).forEach(node => {
+        (node.children || []).forEach(childIndex => childNodes.add(childIndex));
+    });
+    
+    return (gltf.nodes || []).map((node, nodeIndex) => nodeIndex).filter(nodeIndex => !childNodes.has(nodeIndex));
+}
+
+/**
+ * Create a GLB file holding a subset of a model.
+ * A selection picks primitives, nodes or both (the subset is their union):
+ * - selection.primitives(primitive, meshIndex, primitiveIndex): keep matching primitives and the nodes using them
+ * - selection.nodes: keep these nodes with their descendants and all primitives of their meshes
+ * - selection.scene: keep only this scene
+ * - selection.animations: keep only these animations (all by default)
+ * Parent nodes of everything kept are kept too, so transforms are preserved.
+ * Skinned meshes bring their skin and joint nodes, morph targets stay with their primitives,
+ * and animation channels targeting kept nodes are kept too.
+ * @param {Object} gltfData - The original GLTF data
+ * @param {Object} selection - What to keep (see above)
+ * @param {Object} options - Export options
+ * @param {string} options.mode - 'colored' (one flat color for the whole part, default) or 'faithful' (original materials and textures)
+ * @param {string} options.name - The name of the part (used for the colored material and generated nodes)
+ * @param {number} options.colorIndex - The index the colored material's color is derived from
+ * @returns {ArrayBuffer} - The GLB file for the subset, or null if it could not be created
+ */
+function createSubsetGLB(gltfData, selection, options = {}) {
+    const { mode = 'colored', name = 'part', colorIndex = 0 } = options;
+    const faithful = mode === 'faithful';
+    
+    try {
+        if (faithful) {
+            log(`Creating GLB file for ${name} with its original materials and textures`);
+        } else {
+            log(`Creating simplified GLB file for ${name} with unique color`);
+        }
+        
+        // Create a deep copy of the GLTF JSON structure
+        const newGltf = JSON.parse(JSON.stringify(gltfData.json));
+        
+        // Add required asset information if missing
+        if (!newGltf.asset) {
+            newGltf.asset = {
+                version: "2.0",
+                generator: "Colored GLB Material Extractor v1.5"
+            };
+        } else {
+            newGltf.asset.generator = "Colored GLB Material Extractor v1.5";
+            newGltf.asset.version = "2.0";  // Ensure version is set correctly
+        }
+        
+        // Keep track of what we're using
+        let usedAccessors = new Set();
+        let usedBufferViews = new Set();
+        let usedMaterials = new Set();
+        
+        // Meshes of the selected node subtrees are kept whole
+        const selectedNodes = new Set(selection.nodes ? collectSubtreeNodes(newGltf, selection.nodes) : []);
+        const selectedMeshes = new Set([...selectedNodes].map(nodeIndex => newGltf.nodes[nodeIndex].mesh).filter(meshIndex => meshIndex !== undefined));
+        
+        // Meshes that keep primitives matched by selection.primitives
+        const primitiveMeshes = new Set();
+        
+        // Filter meshes to only include the selected primitives
+        const oldToNewMeshIndex = {};
+        let keptMeshCount = 0;
+        
+        if (newGltf.meshes) {
+            log(`Original mesh count: ${newGltf.meshes.length}`);
+            
+            newGltf.meshes = newGltf.meshes.filter((mesh, meshIndex) => {
+                if (!mesh.primitives || mesh.primitives.length === 0) {
+                    return false;
+                }
+                
+                // Keep only the selected primitives
+                const originalPrimitiveCount = mesh.primitives.length;
+                if (!selectedMeshes.has(meshIndex)) {
+                    mesh.primitives = mesh.primitives.filter((primitive, primitiveIndex) =>
+                        selection.primitives ? selection.primitives(primitive, meshIndex, primitiveIndex) : false
+                    );
+                    
+                    if (mesh.primitives.length > 0) {
+                        primitiveMeshes.add(meshIndex);
+                    }
+                }
+                
+                log(`Mesh ${meshIndex} (${mesh.name || 'unnamed'}): from ${originalPrimitiveCount} to ${mesh.primitives.length} primitives`);
+                
+                // If mesh has no primitives left, filter it out
+                if (mesh.primitives.length === 0) {
+                    return false;
+                }
+                
+                oldToNewMeshIndex[meshIndex] = keptMeshCount++;
+                
+                // Record the accessors and materials used by the remaining primitives
+                mesh.primitives.forEach(primitive => {
+                    // Collect attributes
+                    for (const attribute in primitive.attributes) {
+                        usedAccessors.add(primitive.attributes[attribute]);
+                    }
+                    
+                    // Collect indices
+                    if (primitive.indices !== undefined) {
+                        usedAccessors.add(primitive.indices);
+                    }
+                    
+                    // Collect morph target attributes
+                    (primitive.targets || []).forEach(target => {
+                        for (const attribute in target) {
+                            usedAccessors.add(target[attribute]);
+                        }
+                    });
+                    
+                    if (primitive.material !== undefined) {
+                        usedMaterials.add(primitive.material);
+                    }
+                });
+                
+                return true;
+            });
+            
+            log(`Filtered down to ${newGltf.meshes.length} meshes`);
+        }
+        
+        // Bufferviews holding images that must be re-packed (faithful mode only)
+        let imageBufferViews = new Set();
+        
+        if (faithful) {
+            // Keep the original materials of the kept primitives and only the textures they reference
+            const materialIndices = Array.from(usedMaterials)
+                .filter(materialIndex => newGltf.materials && newGltf.materials[materialIndex])
+                .sort((a, b) => a - b);
+            const oldToNewMaterialIndex = {};
+            materialIndices.forEach((oldIndex, newIndex) => {
+                oldToNewMaterialIndex[oldIndex] = newIndex;
+            });
+            
+            const keptMaterials = materialIndices.map(materialIndex => newGltf.materials[materialIndex]);
+            imageBufferViews = pruneTexturesForMaterials(newGltf, keptMaterials);
+            
+            if (keptMaterials.length > 0) {
+                newGltf.materials = keptMaterials;
+            } else {
+                delete newGltf.materials;
+            }
+            
+            (newGltf.meshes || []).forEach(mesh => {
+                mesh.primitives.forEach(primitive => {
+                    if (oldToNewMaterialIndex[primitive.material] !== undefined) {
+                        primitive.material = oldToNewMaterialIndex[primitive.material];
+                    } else {
+                        delete primitive.material;
+                    }
+                });
+            });
+            remapMaterialVariants(newGltf, oldToNewMaterialIndex);
+        } else {
+            // Generate a unique deterministic color for this part based on its index
+            const baseColor = generateColorFromIndex(colorIndex);
+            log(`Generated color for ${name}: rgba(${baseColor.map(c => Math.round(c * 255)).join(', ')})`);
+            
+            // Create a simple colored material
+            const simpleMaterial = {
+                name: name,
+                pbrMetallicRoughness: {
+                    baseColorFactor: baseColor,
+                    metallicFactor: 0.0,
+                    roughnessFactor: 0.8
+                }
+            };
+            
+            // Replace all materials with our simple colored material
+            newGltf.materials = [simpleMaterial];
+            (newGltf.meshes || []).forEach(mesh => {
+                mesh.primitives.forEach(primitive => {
+                    primitive.material = 0; // Reset to index 0 since we only have one material now
+                });
+            });
+            
+            // Variants switch between the original materials, which are all gone
+            remapMaterialVariants(newGltf, {});
+            
+            // IMPORTANT: Remove all textures, images, and samplers
+            delete newGltf.textures;
+            delete newGltf.images;
+            delete newGltf.samplers;
+        }
+        
+        // Process nodes if they exist
+        if (newGltf.nodes) {
+            log(`Original node count: ${newGltf.nodes.length}`);
+            
+            // First pass: collect the nodes whose content is part of the subset
+            const contentNodes = new Set();
+            
+            newGltf.nodes.forEach((node, nodeIndex) => {
+                if (selectedNodes.has(nodeIndex)) {
+                    contentNodes.add(nodeIndex);
+                } else if (node.mesh !== undefined && primitiveMeshes.has(node.mesh)) {
+                    contentNodes.add(nodeIndex);
+                    log(`Node ${nodeIndex} references kept mesh ${node.mesh}`);
+                }
+            });
+            
+            // A node keeps its skin only if its kept primitives still carry joints
+            const hasSkinnedMesh = nodeIndex => {
+                const node = newGltf.nodes[nodeIndex];
+                const mesh = contentNodes.has(nodeIndex) && newGltf.meshes ? newGltf.meshes[oldToNewMeshIndex[node.mesh]] : null;
+                return !!mesh && mesh.primitives.some(primitive => primitive.attributes && primitive.attributes.JOINTS_0 !== undefined);
+            };
+            
+            // Skinned meshes bring their skin, with its joints and skeleton root
+            const skinIndices = Array.from(new Set(Array.from(contentNodes)
+                .filter(hasSkinnedMesh)
+                .map(nodeIndex => newGltf.nodes[nodeIndex].skin)
+                .filter(skinIndex => skinIndex !== undefined && newGltf.skins && newGltf.skins[skinIndex])))
+                .sort((a, b) => a - b);
+            
+            let nodesToKeep = new Set(contentNodes);
+            skinIndices.forEach(skinIndex => {
+                const skin = newGltf.skins[skinIndex];
+                (skin.joints || []).forEach(jointIndex => nodesToKeep.add(jointIndex));
+                if (skin.skeleton !== undefined) {
+                    nodesToKeep.add(skin.skeleton);
+                }
+                log(`Skin ${skinIndex} (${skin.name || 'unnamed'}): keeping ${(skin.joints || []).length} joints`);
+            });
+            
+            // Cameras are kept on content nodes, like meshes
+            const cameraIndices = Array.from(new Set(Array.from(contentNodes)
+                .map(nodeIndex => newGltf.nodes[nodeIndex].camera)
+                .filter(cameraIndex => cameraIndex !== undefined && newGltf.cameras && newGltf.cameras[cameraIndex])))
+                .sort((a, b) => a - b);
+            
+            // Second pass: include all parent nodes to maintain hierarchy
+            let previousSize = 0;
+            while (previousSize !== nodesToKeep.size) {
+                previousSize = nodesToKeep.size;
+                
+                newGltf.nodes.forEach((node, nodeIndex) => {
+                    if (node.children) {
+                        node.children.forEach(childIndex => {
+                            if (nodesToKeep.has(childIndex) && !nodesToKeep.has(nodeIndex)) {
+                                log(`Adding parent node ${nodeIndex} to keep hierarchy`);
+                                nodesToKeep.add(nodeIndex);
+                            }
+                        });
+                    }
+                });
+            }
+            
+            // Map every kept node to its new index before rewriting references
+            const nodeIndices = Array.from(nodesToKeep).sort((a, b) => a - b);
+            const oldToNewNodeIndex = {};
+            nodeIndices.forEach((oldIndex, newIndex) => {
+                oldToNewNodeIndex[oldIndex] = newIndex;
+            });
+            
+            const oldToNewSkinIndex = {};
+            skinIndices.forEach((oldIndex, newIndex) => {
+                oldToNewSkinIndex[oldIndex] = newIndex;
+            });
+            
+            const oldToNewCameraIndex = {};
+            cameraIndices.forEach((oldIndex, newIndex) => {
+                oldToNewCameraIndex[oldIndex] = newIndex;
+            });
+            
+            const filteredNodes = nodeIndices.map(oldIndex => {
+                // Clone the node
+                const node = {...newGltf.nodes[oldIndex]};
+                
+                // Update mesh reference if present
+                if (node.mesh !== undefined) {
+                    if (contentNodes.has(oldIndex) && oldToNewMeshIndex[node.mesh] !== undefined) {
+                        node.mesh = oldToNewMeshIndex[node.mesh];
+                    } else {
+                        // If mesh was filtered out, or the node is only kept as a parent, remove the reference
+                        delete node.mesh;
+                    }
+                }
+                
+                // Morph target weights are only valid together with the mesh
+                if (node.mesh === undefined) {
+                    delete node.weights;
+                }
+                
+                if (node.skin !== undefined) {
+                    if (hasSkinnedMesh(oldIndex) && oldToNewSkinIndex[node.skin] !== undefined) {
+                        node.skin = oldToNewSkinIndex[node.skin];
+                    } else {
+                        delete node.skin;
+                    }
+                }
+                
+                if (node.camera !== undefined) {
+                    if (contentNodes.has(oldIndex) && oldToNewCameraIndex[node.camera] !== undefined) {
+                        node.camera = oldToNewCameraIndex[node.camera];
+                    } else {
+                        delete node.camera;
+                    }
+                }
+                
+                // Update children references
+                if (node.children) {
+                    node.children = node.children.filter(child => nodesToKeep.has(child))
+                        .map(child => oldToNewNodeIndex[child]);
+                    
+                    // If no children left, remove the empty array
+                    if (node.children.length === 0) {
+                        delete node.children;
+                    }
+                }
+                
+                return node;
+            });
+            
+            // If no nodes have been selected, create a new node
+            if (filteredNodes.length === 0 && newGltf.meshes && newGltf.meshes.length > 0) {
+                log(`No nodes reference our meshes, creating a new node`);
+                filteredNodes.push({
+                    mesh: 0,
+                    name: `${name}_node`
+                });
+            }
+            
+            log(`Filtered down to ${filteredNodes.length} nodes`);
+            newGltf.nodes = filteredNodes;
+            
+            // Reindex the kept skins; their joints and skeleton root are all kept nodes
+            if (skinIndices.length > 0) {
+                newGltf.skins = skinIndices.map(oldIndex => {
+                    const skin = {...newGltf.skins[oldIndex]};
+                    skin.joints = (skin.joints || []).map(jointIndex => oldToNewNodeIndex[jointIndex]);
+                    if (skin.skeleton !== undefined) {
+                        skin.skeleton = oldToNewNodeIndex[skin.skeleton];
+                    }
+                    if (skin.inverseBindMatrices !== undefined) {
+                        usedAccessors.add(skin.inverseBindMatrices);
+                    }
+                    return skin;
+                });
+            } else {
+                delete newGltf.skins;
+            }
+            
+            if (cameraIndices.length > 0) {
+                newGltf.cameras = cameraIndices.map(oldIndex => newGltf.cameras[oldIndex]);
+            } else {
+                delete newGltf.cameras;
+            }
+            
+            // Keep the animation channels that target kept nodes, with only the samplers they use
+            if (newGltf.animations) {
+                newGltf.animations = newGltf.animations.filter((animation, animationIndex) =>
+                    !selection.animations || selection.animations.includes(animationIndex)
+                ).map(animation => {
+                    const channels = (animation.channels || []).filter(channel => {
+                        if (!channel.target || !nodesToKeep.has(channel.target.node)) return false;
+                        
+                        // Morph target weights need the node's mesh
+                        return channel.target.path !== 'weights' || filteredNodes[oldToNewNodeIndex[channel.target.node]].mesh !== undefined;
+                    });
+                    
+                    const samplerIndices = Array.from(new Set(channels.map(channel => channel.sampler))).sort((a, b) => a - b);
+                    const oldToNewSamplerIndex = {};
+                    samplerIndices.forEach((oldIndex, newIndex) => {
+                        oldToNewSamplerIndex[oldIndex] = newIndex;
+                    });
+                    
+                    const samplers = samplerIndices.map(oldIndex => {
+                        const sampler = {...animation.samplers[oldIndex]};
+                        usedAccessors.add(sampler.input);
+                        usedAccessors.add(sampler.output);
+                        return sampler;
+                    });
+                    
+                    return {
+                        ...animation,
+                        channels: channels.map(channel => ({
+                            ...channel,
+                            sampler: oldToNewSamplerIndex[channel.sampler],
+                            target: { ...channel.target, node: oldToNewNodeIndex[channel.target.node] }
+                        })),
+                        samplers
+                    };
+                }).filter(animation => animation.channels.length > 0);
+                
+                log(`Kept ${newGltf.animations.length} animations targeting kept nodes`);
+                if (newGltf.animations.length === 0) {
+                    delete newGltf.animations;
+                }
+            }
+            
+            // A scene selection keeps only that scene
+            if (selection.scene !== undefined && newGltf.scenes && newGltf.scenes[selection.scene]) {
+                newGltf.scenes = [newGltf.scenes[selection.scene]];
+            }
+            
+            // Nodes without a kept parent become scene roots
+            const keptChildren = new Set(filteredNodes.flatMap(node => node.children || []));
+            const rootNodes = filteredNodes.map((node, index) => index).filter(index => !keptChildren.has(index));
+            
+            // Ensure valid scene structure
+            log(`Ensuring valid scene structure`);
+            if (!newGltf.scenes || newGltf.scenes.length === 0) {
+                newGltf.scenes = [{
+                    nodes: rootNodes
+                }];
+                newGltf.scene = 0;
+                log(`Created new scene with ${rootNodes.length} root nodes`);
+            } else {
+                // Update scenes to only reference our kept nodes
+                log(`Updating ${newGltf.scenes.length} existing scenes`);
+                newGltf.scenes = newGltf.scenes.map((scene, sceneIndex) => {
+                    if (!scene.nodes) {
+                        log(`Scene ${sceneIndex} has no nodes, creating empty array`);
+                        return { nodes: [] };
+                    }
+                    
+                    return {
+                        ...scene,
+                        nodes: scene.nodes.filter(nodeIndex => nodesToKeep.has(nodeIndex))
+                            .map(nodeIndex => oldToNewNodeIndex[nodeIndex])
+                    };
+                }).filter(scene => scene.nodes.length > 0);
+                
+                // If we lost all scenes, create a new one
+                if (newGltf.scenes.length === 0) {
+                    log(`All scenes filtered out, creating a new scene`);
+                    newGltf.scenes = [{
+                        nodes: rootNodes
+                    }];
+                }
+                
+                // Ensure scene index is valid
+                newGltf.scene = 0;
+            }
+        } else if (newGltf.meshes && newGltf.meshes.length > 0) {
+            // No nodes exist, create a simple node and scene structure
+            log(`No nodes exist, creating basic node structure for ${newGltf.meshes.length} meshes`);
+            newGltf.nodes = newGltf.meshes.map((mesh, index) => ({
+                mesh: index,
+                name: `${name}_node_${index}`
+            }));
+            
+            newGltf.scenes = [{
+                nodes: newGltf.nodes.map((_, index) => index)
+            }];
+            
+            newGltf.scene = 0;
+        }
+        
+        // Keep only accessors that are used
+        if (newGltf.accessors && usedAccessors.size > 0) {
+            log(`Original accessor count: ${newGltf.accessors.length}, used: ${usedAccessors.size}`);
+            
+            const accessorIndices = Array.from(usedAccessors);
+            const oldToNewAccessorIndex = {};
+            
+            newGltf.accessors = accessorIndices.map((oldIndex, newIndex) => {
+                oldToNewAccessorIndex[oldIndex] = newIndex;
+                const accessor = {...newGltf.accessors[oldIndex]};
+                
+                // Record bufferView used by this accessor
+                if (accessor.bufferView !== undefined) {
+                    usedBufferViews.add(accessor.bufferView);
+                    log(`Accessor ${oldIndex} uses bufferView ${accessor.bufferView}`);
+                }
+                
+                // Sparse accessors (common for morph targets) keep their indices and values in bufferViews too
+                if (accessor.sparse) {
+                    accessor.sparse = {
+                        ...accessor.sparse,
+                        indices: {...accessor.sparse.indices},
+                        values: {...accessor.sparse.values}
+                    };
+                    usedBufferViews.add(accessor.sparse.indices.bufferView);
+                    usedBufferViews.add(accessor.sparse.values.bufferView);
+                }
+                
+                return accessor;
+            });
+            
+            // Update accessor indices in meshes
+            if (newGltf.meshes) {
+                newGltf.meshes.forEach(mesh => {
+                    mesh.primitives.forEach(primitive => {
+                        // Update attribute accessors
+                        for (const attribute in primitive.attributes) {
+                            const oldIndex = primitive.attributes[attribute];
+                            primitive.attributes[attribute] = oldToNewAccessorIndex[oldIndex];
+                        }
+                        
+                        // Update indices accessor
+                        if (primitive.indices !== undefined) {
+                            primitive.indices = oldToNewAccessorIndex[primitive.indices];
+                        }
+                        
+                        // Update morph target accessors
+                        (primitive.targets || []).forEach(target => {
+                            for (const attribute in target) {
+                                target[attribute] = oldToNewAccessorIndex[target[attribute]];
+                            }
+                        });
+                    });
+                });
+            }
+            
+            // Update accessor indices in skins and animations
+            (newGltf.skins || []).forEach(skin => {
+                if (skin.inverseBindMatrices !== undefined) {
+                    skin.inverseBindMatrices = oldToNewAccessorIndex[skin.inverseBindMatrices];
+                }
+            });
+            (newGltf.animations || []).forEach(animation => {
+                animation.samplers.forEach(sampler => {
+                    sampler.input = oldToNewAccessorIndex[sampler.input];
+                    sampler.output = oldToNewAccessorIndex[sampler.output];
+                });
+            });
+        } else {
+            delete newGltf.accessors;
+        }
+        
+        // Images stored in bufferViews are re-packed alongside the geometry
+        imageBufferViews.forEach(bufferViewIndex => usedBufferViews.add(bufferViewIndex));
+        
+        // Keep only bufferViews that are used and create a new binary chunk
+        const buffers = gltfData.buffers || [gltfData.binaryChunk];
+        if (newGltf.bufferViews && usedBufferViews.size > 0 && buffers.some(buffer => buffer)) {
+            log(`Original bufferView count: ${newGltf.bufferViews.length}, used: ${usedBufferViews.size}`);
+            
+            const bufferViewIndices = Array.from(usedBufferViews);
+            const oldToNewBufferViewIndex = {};
+            
+            // First, collect all bufferView data
+            let bufferViewDataArray = [];
+            
+            bufferViewIndices.forEach(oldIndex => {
+                const bufferView = {...newGltf.bufferViews[oldIndex]};
+                const start = bufferView.byteOffset || 0;
+                const length = bufferView.byteLength;
+                
+                log(`BufferView ${oldIndex}: buffer=${bufferView.buffer}, offset=${start}, length=${length}`);
+                
+                try {
+                    // Extract data from the original buffer this bufferView references
+                    const viewData = new Uint8Array(getBufferViewData(gltfData.json, buffers, oldIndex));
+                    
+                    bufferViewDataArray.push({
+                        oldIndex,
+                        data: viewData,
+                        length,
+                        bufferView
+                    });
+                } catch (error) {
+                    log(`Error extracting bufferView ${oldIndex}: ${error.message}`, 'error');
+                    throw error;
+                }
+            });
+            
+            // Embed external image files (multi-file .gltf uploads) as new bufferViews
+            const externalResources = gltfData.externalResources || {};
+            (newGltf.images || []).forEach(image => {
+                if (!image.uri || image.uri.startsWith('data:')) return;
+                
+                if (!externalResources[image.uri]) {
+                    log(`External image ${image.uri} was not uploaded and stays an external reference`, 'warning');
+                    return;
+                }
+                
+                const imageData = new Uint8Array(externalResources[image.uri]);
+                log(`Embedding external image ${image.uri} (${imageData.byteLength} bytes)`);
+                
+                bufferViewDataArray.push({
+                    oldIndex: null,
+                    data: imageData,
+                    length: imageData.byteLength,
+                    bufferView: { buffer: 0, byteLength: imageData.byteLength },
+                    embeddedImage: image
+                });
+            });
+            
+            // Calculate total new binary chunk size with alignment
+            let totalLength = 0;
+            
+            bufferViewDataArray.forEach(view => {
+                // Ensure 4-byte alignment for each buffer view
+                const alignmentFactor = 4;
+                const padding = (alignmentFactor - (totalLength % alignmentFactor)) % alignmentFactor;
+                totalLength += padding;
+                
+                // Record new offset
+                view.newOffset = totalLength;
+                view.padding = padding;
+                
+                // Update bufferView object
+                view.bufferView.byteOffset = totalLength;
+                view.bufferView.buffer = 0;  // All source buffers are merged into the single GLB buffer
+                
+                totalLength += view.length;
+            });
+            
+            log(`New binary chunk length: ${totalLength} bytes`);
+            
+            // Create new binary chunk
+            const newBinaryChunk = new ArrayBuffer(totalLength);
+            const newBinaryView = new Uint8Array(newBinaryChunk);
+            
+            // Fill with zeros first
+            newBinaryView.fill(0);
+            
+            // Copy each buffer view data to its new position
+            bufferViewDataArray.forEach(view => {
+                newBinaryView.set(view.data, view.newOffset);
+                
+                // Update mapping
+                oldToNewBufferViewIndex[view.oldIndex] = bufferViewDataArray.indexOf(view);
+            });
+            
+            // Update the bufferViews array
+            newGltf.bufferViews = bufferViewDataArray.map(view => view.bufferView);
+            
+            // Update bufferView indices in accessors
+            if (newGltf.accessors) {
+                newGltf.accessors.forEach(accessor => {
+                    if (accessor.bufferView !== undefined) {
+                        accessor.bufferView = oldToNewBufferViewIndex[accessor.bufferView];
+                    }
+                    if (accessor.sparse) {
+                        accessor.sparse.indices.bufferView = oldToNewBufferViewIndex[accessor.sparse.indices.bufferView];
+                        accessor.sparse.values.bufferView = oldToNewBufferViewIndex[accessor.sparse.values.bufferView];
+                    }
+                });
+            }
+            
+            // Update bufferView indices in images
+            if (newGltf.images) {
+                newGltf.images.forEach(image => {
+                    if (image.bufferView !== undefined) {
+                        image.bufferView = oldToNewBufferViewIndex[image.bufferView];
+                    }
+                });
+            }
+            
+            // Point embedded external images at their new bufferViews
+            bufferViewDataArray.forEach((view, newIndex) => {
+                if (!view.embeddedImage) return;
+                
+                view.embeddedImage.mimeType = view.embeddedImage.mimeType || getMimeTypeFromUri(view.embeddedImage.uri);
+                view.embeddedImage.bufferView = newIndex;
+                delete view.embeddedImage.uri;
+            });
+            
+            // Update buffer information
+            newGltf.buffers = [{
+                byteLength: totalLength
+            }];
+            
+            // Generate a new GLB file with our new binary chunk (packGLB sanitizes the glTF in place)
+            const glbData = packGLB(newGltf, newBinaryChunk, { preserveMaterials: faithful });
+            checkSubsetReferences(newGltf, name);
+            return glbData;
+        } else {
+            // If no binary data, just pack the JSON
+            log(`No binary data needed for ${name}`);
+            newGltf.buffers = [];
+            delete newGltf.bufferViews;
+            const glbData = packGLB(newGltf, null, { preserveMaterials: faithful });
+            checkSubsetReferences(newGltf, name);
+            return glbData;
+        }
+    } catch (error) {
+        log(`Error creating GLB for ${name}: ${error.message}`, 'error');
+        console.error(error);
+        return null;
+    }
+}
+
+/**
+ * Create a GLB file for a specific material
+ * @param {Object} gltfData - The original GLTF data
+ * @param {number} materialIndex - The index of the material to extract
+ * @param {Object} options - Extraction options
+ * @param {string} options.mode - 'colored' (flat unique color, default) or 'faithful' (original PBR material and textures)
+ * @returns {ArrayBuffer} - The GLB file for the material
+ */
+function createGLBForMaterial(gltfData, materialIndex, options = {}) {
+    const materials = gltfData.json.materials || [];
+    const name = (materials[materialIndex] && materials[materialIndex].name) || `material_${materialIndex}`;
+    
+    return createSubsetGLB(gltfData, {
+        primitives: primitive => primitive.material === materialIndex
+    }, { ...options, name, colorIndex: materialIndex });
+}
+
+/**
+ * Find the images used by the materials of a set of primitives (used for thumbnails)
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {Array} primitives - The primitives
+ * @returns {Array} - An array of image indices
+ */
+function findImagesUsedByPrimitives(gltf, primitives) {
+    const imageIndices = new Set();
+    
+    primitives.forEach(primitive => {
+        const material = gltf.materials && gltf.materials[primitive.material];
+        if (!material) return;
+        
+        findTexturesUsedByMaterial(gltf, material)
+            .filter(textureIndex => gltf.textures && gltf.textures[textureIndex])
+            .forEach(textureIndex => {
+                getTextureImageSources(gltf.textures[textureIndex]).forEach(imageIndex => imageIndices.add(imageIndex));
+            });
+    });
+    
+    return Array.from(imageIndices);
+}
+
+/**
+ * Build the parts of a model for a split mode. Every part has the same shape as an
+ * extracted material (name, index, primitiveCount, color, imageIndices) plus the
+ * selection passed to createSubsetGLB
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {string} splitMode - 'material', 'mesh', 'node' (top-level nodes) or 'scene'
+ * @returns {Array} - An array of parts
+ */
+function extractSplitParts(gltf, splitMode) {
+    const meshes = gltf.meshes || [];
+    const nodes = gltf.nodes || [];
+    
+    // Primitives of every mesh instanced below a set of nodes
+    function primitivesBelowNodes(rootIndices) {
+        return [...collectSubtreeNodes(gltf, rootIndices)]
+            .map(nodeIndex => nodes[nodeIndex].mesh)
+            .filter(meshIndex => meshes[meshIndex])
+            .flatMap(meshIndex => meshes[meshIndex].primitives || []);
+    }
+    
+    function createPart(name, index, typeLabel, primitives, selection) {
+        return {
+            name,
+            index,
+            typeLabel,
+            primitiveCount: primitives.length,
+            color: null,
+            imageIndices: findImagesUsedByPrimitives(gltf, primitives),
+            selection
+        };
+    }
+    
+    let parts = [];
+    
+    if (splitMode === 'mesh') {
+        parts = meshes.map((mesh, meshIndex) => createPart(
+            mesh.name || `mesh_${meshIndex}`, meshIndex, 'Mesh', mesh.primitives || [],
+            { primitives: (primitive, primitiveMeshIndex) => primitiveMeshIndex === meshIndex }
+        ));
+    } else if (splitMode === 'node') {
+        parts = findTopLevelNodes(gltf).map(nodeIndex => createPart(
+            nodes[nodeIndex].name || `node_${nodeIndex}`, nodeIndex, 'Node', primitivesBelowNodes([nodeIndex]),
+            { nodes: [nodeIndex] }
+        ));
+    } else if (splitMode === 'scene') {
+        parts = (gltf.scenes || []).map((scene, sceneIndex) => createPart(
+            scene.name || `scene_${sceneIndex}`, sceneIndex, 'Scene', primitivesBelowNodes(scene.nodes || []),
+            { nodes: scene.nodes || [], scene: sceneIndex }
+        ));
+    } else {
+        parts = extractMaterialsFromGLTF(gltf).map(material => ({
+            ...material,
+            typeLabel: 'Material',
+            selection: { primitives: primitive => primitive.material === material.index }
+        }));
+    }
+    
+    // Parts without any geometry would produce empty GLB files
+    parts = parts.filter(part => part.primitiveCount > 0);
+    log(`Found ${parts.length} parts to split by ${splitMode}`);
+    
+    return parts;
+}
+
+/**
+ * Create the GLB file of a split part
+ * @param {Object} gltfData - The original GLTF data
+ * @param {Object} part - A part returned by extractSplitParts
+ * @param {Object} options - Export options (see createSubsetGLB)
+ * @returns {ArrayBuffer} - The GLB file for the part
+ */
+function createGLBForPart(gltfData, part, options = {}) {
+    return createSubsetGLB(gltfData, part.selection, { ...options, name: part.name, colorIndex: part.index });
+}
+
+// Export subset exporter functions
+window.SubsetExporter = {
+    createSubsetGLB,
+    createGLBForMaterial,
+    extractSplitParts,
+    createGLBForPart,
+    findTopLevelNodes,
+    collectSubtreeNodes
+};
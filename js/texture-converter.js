@@ -0,0 +1,358 @@
+/**
+ * GLB Extractor Tool - Texture Converter
+ * Contains functions for converting textures to PNG, JPEG or WebP, resizing and flipping them,
+ * and splitting or packing their channels with a canvas before export
+ */
+
+// Use utility functions from the main modules
+var { log, formatFileSize, detectImageFormat, getImageDimensions } = window.GlbExtractorUtils;
+
+// MIME types of the export formats a canvas can encode
+const TEXTURE_EXPORT_MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Images are decoded to their stored values: color management and alpha premultiplication
+// would change the data of normal, roughness and other non-color maps
+const IMAGE_BITMAP_OPTIONS = { colorSpaceConversion: 'none', premultiplyAlpha: 'none' };
+
+// Grayscale maps packed into the channels of glTF textures: occlusion in R, roughness in G, metallic in B
+const TEXTURE_CHANNEL_MAPS = [
+    { name: 'occlusion', suffix: 'ao', role: 'occlusion', channel: 0 },
+    { name: 'roughness', suffix: 'roughness', role: 'metallicRoughness', channel: 1 },
+    { name: 'metallic', suffix: 'metallic', role: 'metallicRoughness', channel: 2 }
+];
+
+/**
+ * Get the texture export options from the page
+ * @returns {Object} - { format, quality, maxSize, powerOfTwo, flipY, splitChannels }
+ */
+function getTextureExportOptions() {
+    const format = document.getElementById('texture-format');
+    const quality = document.getElementById('texture-quality');
+    const maxSize = document.getElementById('texture-max-size');
+    const powerOfTwo = document.getElementById('texture-power-of-two');
+    const flipY = document.getElementById('texture-flip-y');
+    const splitChannels = document.getElementById('texture-split-channels');
+    
+    return {
+        format: format ? format.value : 'original',
+        quality: quality ? Math.min(100, Math.max(1, Number(quality.value) || 90)) / 100 : 0.9,
+        maxSize: maxSize ? Number(maxSize.value) || 0 : 0,
+        powerOfTwo: powerOfTwo ? powerOfTwo.checked : false,
+        flipY: flipY ? flipY.checked : false,
+        splitChannels: splitChannels ? splitChannels.checked : false
+    };
+}
+
+/**
+ * Check whether export options change textures at all
+ * @param {Object} options - The texture export options (null keeps the original bytes)
+ * @returns {boolean} - Whether textures have to be converted
+ */
+function isTextureConversionNeeded(options) {
+    return !!options && (options.format !== 'original' || options.maxSize > 0 || options.powerOfTwo || options.flipY);
+}
+
+/**
+ * Round a dimension to the nearest power of two
+ * @param {number} value - The dimension
+ * @returns {number} - The power of two
+ */
+function roundToPowerOfTwo(value) {
+    return Math.pow(2, Math.max(0, Math.round(Math.log2(value))));
+}
+
+/**
+ * Compute the exported size of a texture
+ * @param {number} width - The original width
+ * @param {number} height - The original height
+ * @param {Object} options - The texture export options
+ * @returns {Object} - { width, height }
+ */
+function getTextureExportSize(width, height, options) {
+    // Scale down so the larger side fits the maximum size, keeping the aspect ratio
+    const scale = options.maxSize > 0 ? Math.min(1, options.maxSize / Math.max(width, height)) : 1;
+    let newWidth = Math.max(1, Math.round(width * scale));
+    let newHeight = Math.max(1, Math.round(height * scale));
+    
+    if (options.powerOfTwo) {
+        newWidth = roundToPowerOfTwo(newWidth);
+        newHeight = roundToPowerOfTwo(newHeight);
+        
+        // Rounding up may overshoot the maximum size
+        while (options.maxSize > 0 && newWidth > options.maxSize) newWidth /= 2;
+        while (options.maxSize > 0 && newHeight > options.maxSize) newHeight /= 2;
+    }
+    
+    return { width: newWidth, height: newHeight };
+}
+
+/**
+ * Create a canvas, preferring OffscreenCanvas
+ * @param {number} width - The canvas width
+ * @param {number} height - The canvas height
+ * @returns {OffscreenCanvas|HTMLCanvasElement} - The canvas
+ */
+function createTextureCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Encode a canvas as an image
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - The canvas
+ * @param {string} mimeType - The image MIME type
+ * @param {number} quality - The JPEG/WebP quality (0 to 1)
+ * @returns {Promise<Blob>} - A promise that resolves with the encoded image
+ */
+function encodeTextureCanvas(canvas, mimeType, quality) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: mimeType, quality });
+    }
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`Could not encode ${mimeType}`));
+            }
+        }, mimeType, quality);
+    });
+}
+
+/**
+ * Decode a texture and draw it on a canvas, resized and flipped as the export options ask
+ * @param {Object} texture - The texture (data and mimeType)
+ * @param {Object} options - The texture export options, or null to keep the size and orientation
+ * @returns {Promise<Object>} - { canvas, context, originalWidth, originalHeight }
+ */
+async function drawTextureToCanvas(texture, options) {
+    const bitmap = await createImageBitmap(new Blob([texture.data], { type: texture.mimeType }), IMAGE_BITMAP_OPTIONS);
+    const size = options ? getTextureExportSize(bitmap.width, bitmap.height, options) : { width: bitmap.width, height: bitmap.height };
+    
+    const canvas = createTextureCanvas(size.width, size.height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    if (options && options.flipY) {
+        context.translate(0, size.height);
+        context.scale(1, -1);
+    }
+    context.drawImage(bitmap, 0, 0, size.width, size.height);
+    
+    const result = { canvas, context, originalWidth: bitmap.width, originalHeight: bitmap.height };
+    if (bitmap.close) bitmap.close();
+    return result;
+}
+
+/**
+ * Convert, resize and flip a texture as the export options ask
+ * @param {Object} texture - The extracted texture
+ * @param {Object} options - The texture export options
+ * @returns {Promise<Object>} - The texture with converted data, and a manifest entry as { original, exported, note }
+ */
+async function convertTexture(texture, options) {
+    const originalFormat = detectImageFormat(texture.data);
+    const dimensions = getImageDimensions(texture.data);
+    const original = {
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null,
+        bytes: texture.data.byteLength,
+        mimeType: originalFormat ? originalFormat.mimeType : texture.mimeType
+    };
+    const unchanged = note => ({ ...texture, manifest: { original, exported: original, note } });
+    
+    if (!isTextureConversionNeeded(options)) {
+        return unchanged(null);
+    }
+    
+    // Browsers cannot decode GPU texture formats into a canvas
+    if (texture.extension === 'ktx2' || texture.extension === 'dds') {
+        log(`Texture ${texture.name} is ${texture.extension.toUpperCase()}, it is exported unchanged`, 'warning');
+        return unchanged(`${texture.extension.toUpperCase()} textures cannot be converted`);
+    }
+    
+    try {
+        const { canvas, originalWidth, originalHeight } = await drawTextureToCanvas(texture, options);
+        const size = { width: canvas.width, height: canvas.height };
+        original.width = originalWidth;
+        original.height = originalHeight;
+        
+        const mimeType = TEXTURE_EXPORT_MIME_TYPES[options.format] || original.mimeType;
+        const blob = await encodeTextureCanvas(canvas, mimeType, options.quality);
+        
+        // Browsers fall back to PNG for formats they cannot encode
+        if (blob.type && blob.type !== mimeType) {
+            log(`This browser cannot encode ${mimeType}, ${texture.name} was written as ${blob.type}`, 'warning');
+        }
+        
+        const data = await blob.arrayBuffer();
+        const exportedFormat = detectImageFormat(data);
+        log(`Converted texture ${texture.name}: ${original.width}x${original.height} ${formatFileSize(original.bytes)} to ${size.width}x${size.height} ${formatFileSize(data.byteLength)}`);
+        
+        return {
+            ...texture,
+            data,
+            mimeType: exportedFormat ? exportedFormat.mimeType : (blob.type || mimeType),
+            extension: exportedFormat ? exportedFormat.extension : null,
+            manifest: {
+                original,
+                exported: {
+                    width: size.width,
+                    height: size.height,
+                    bytes: data.byteLength,
+                    mimeType: exportedFormat ? exportedFormat.mimeType : (blob.type || mimeType)
+                },
+                note: null
+            }
+        };
+    } catch (error) {
+        console.error(`Error converting texture ${texture.name}:`, error);
+        log(`Error converting texture ${texture.name}: ${error.message}, it is exported unchanged`, 'error');
+        return unchanged(`Conversion failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the grayscale maps a texture holds in its channels, from the roles it plays in the materials
+ * @param {Object} texture - The extracted texture (see TextureExtractor.findTextureRoles)
+ * @returns {Array} - The channel maps as { name, suffix, role, channel }, empty for other textures
+ */
+function getTextureChannelMaps(texture) {
+    const roles = texture.roles || [];
+    return TEXTURE_CHANNEL_MAPS.filter(channelMap => roles.includes(channelMap.role));
+}
+
+/**
+ * Split a metallicRoughness or occlusion texture into grayscale PNG maps
+ * (_metallic from B, _roughness from G, _ao from R)
+ * @param {Object} texture - The extracted texture
+ * @param {Object} options - The texture export options for size and orientation, or null to keep them
+ * @returns {Promise<Array>} - The maps as textures with a channel property, empty if the texture has none
+ */
+async function splitTextureChannels(texture, options = null) {
+    const channelMaps = getTextureChannelMaps(texture);
+    if (channelMaps.length === 0) return [];
+    
+    if (texture.extension === 'ktx2' || texture.extension === 'dds') {
+        log(`Texture ${texture.name} is ${texture.extension.toUpperCase()}, its channels cannot be split`, 'warning');
+        return [];
+    }
+    
+    try {
+        const { canvas, context } = await drawTextureToCanvas(texture, options);
+        const { width, height } = canvas;
+        const pixels = context.getImageData(0, 0, width, height).data;
+        const maps = [];
+        
+        for (const channelMap of channelMaps) {
+            const mapCanvas = createTextureCanvas(width, height);
+            const mapContext = mapCanvas.getContext('2d');
+            const mapImage = mapContext.createImageData(width, height);
+            
+            for (let i = 0; i < pixels.length; i += 4) {
+                const value = pixels[i + channelMap.channel];
+                mapImage.data[i] = value;
+                mapImage.data[i + 1] = value;
+                mapImage.data[i + 2] = value;
+                mapImage.data[i + 3] = 255;
+            }
+            mapContext.putImageData(mapImage, 0, 0);
+            
+            const blob = await encodeTextureCanvas(mapCanvas, 'image/png');
+            maps.push({
+                name: `${texture.name}_${channelMap.suffix}`,
+                data: await blob.arrayBuffer(),
+                mimeType: 'image/png',
+                extension: 'png',
+                imageIndex: texture.imageIndex,
+                channel: 'RGB'[channelMap.channel]
+            });
+        }
+        
+        log(`Split texture ${texture.name} into ${maps.map(map => map.name).join(', ')}`);
+        return maps;
+    } catch (error) {
+        console.error(`Error splitting texture ${texture.name}:`, error);
+        log(`Error splitting texture ${texture.name}: ${error.message}`, 'error');
+        return [];
+    }
+}
+
+/**
+ * Pack grayscale occlusion, roughness and metallic maps into one ORM texture (R, G and B).
+ * Each map's red channel is read; a missing map is filled with white, which leaves the
+ * material's occlusion strength, roughness and metallic factors unchanged.
+ * @param {Object} maps - { occlusion, roughness, metallic }, each a Blob or File, or null
+ * @param {string} name - The name of the packed texture
+ * @returns {Promise<Object>} - The packed PNG texture
+ */
+async function packORMTexture(maps, name) {
+    const channelMaps = TEXTURE_CHANNEL_MAPS.filter(channelMap => maps[channelMap.name]);
+    if (channelMaps.length === 0) {
+        throw new Error('Select at least one map to pack');
+    }
+    
+    // Decode every map first, the packed texture takes the largest size
+    const bitmaps = [];
+    for (const channelMap of channelMaps) {
+        const file = maps[channelMap.name];
+        bitmaps.push({ channelMap, file, bitmap: await createImageBitmap(file, IMAGE_BITMAP_OPTIONS) });
+    }
+    const width = Math.max(...bitmaps.map(entry => entry.bitmap.width));
+    const height = Math.max(...bitmaps.map(entry => entry.bitmap.height));
+    
+    const canvas = createTextureCanvas(width, height);
+    const context = canvas.getContext('2d');
+    const packedImage = context.createImageData(width, height);
+    packedImage.data.fill(255);
+    
+    bitmaps.forEach(({ channelMap, file, bitmap }) => {
+        if (bitmap.width !== width || bitmap.height !== height) {
+            log(`${file.name || channelMap.name} is ${bitmap.width}x${bitmap.height}, it is scaled to ${width}x${height}`, 'warning');
+        }
+        
+        // Read the map at the packed size on a canvas of its own
+        const mapCanvas = createTextureCanvas(width, height);
+        const mapContext = mapCanvas.getContext('2d');
+        mapContext.imageSmoothingQuality = 'high';
+        mapContext.drawImage(bitmap, 0, 0, width, height);
+        if (bitmap.close) bitmap.close();
+        
+        const pixels = mapContext.getImageData(0, 0, width, height).data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            packedImage.data[i + channelMap.channel] = pixels[i];
+        }
+    });
+    
+    context.putImageData(packedImage, 0, 0);
+    const blob = await encodeTextureCanvas(canvas, 'image/png');
+    log(`Packed ${channelMaps.map(channelMap => channelMap.name).join(', ')} into ${name} (${width}x${height})`);
+    
+    return {
+        name,
+        data: await blob.arrayBuffer(),
+        mimeType: 'image/png',
+        extension: 'png'
+    };
+}
+
+// Export converter functions
+window.TextureConverter = {
+    getTextureExportOptions,
+    isTextureConversionNeeded,
+    getTextureExportSize,
+    convertTexture,
+    getTextureChannelMaps,
+    splitTextureChannels,
+    packORMTexture
+};
@@ -4,15 +4,66 @@
  */
 
 // Use utility functions from the main modules
-const { log, formatFileSize } = window.GlbExtractorUtils;
+var { log, showStatus, formatFileSize, getMimeTypeFromUri, decodeDataUri, detectImageFormat, getUniqueFileName, downloadZip } = window.GlbExtractorUtils;
+var { getBufferViewData } = window.GlbParser;
+var {
+    getTextureExportOptions, isTextureConversionNeeded, convertTexture,
+    getTextureChannelMaps, splitTextureChannels, packORMTexture
+} = window.TextureConverter;
+
+// Object URLs of the texture previews on the page, revoked when the list is rendered again
+let textureObjectUrls = [];
+
+// Texture slots of the core material and of the Khronos KHR_materials_* extensions, as paths into a
+// material; the role of a slot is its name without "Texture"
+const MATERIAL_TEXTURE_SLOTS = [
+    'pbrMetallicRoughness.baseColorTexture',
+    'pbrMetallicRoughness.metallicRoughnessTexture',
+    'normalTexture',
+    'occlusionTexture',
+    'emissiveTexture',
+    'extensions.KHR_materials_clearcoat.clearcoatTexture',
+    'extensions.KHR_materials_clearcoat.clearcoatRoughnessTexture',
+    'extensions.KHR_materials_clearcoat.clearcoatNormalTexture',
+    'extensions.KHR_materials_transmission.transmissionTexture',
+    'extensions.KHR_materials_diffuse_transmission.diffuseTransmissionTexture',
+    'extensions.KHR_materials_diffuse_transmission.diffuseTransmissionColorTexture',
+    'extensions.KHR_materials_volume.thicknessTexture',
+    'extensions.KHR_materials_sheen.sheenColorTexture',
+    'extensions.KHR_materials_sheen.sheenRoughnessTexture',
+    'extensions.KHR_materials_specular.specularTexture',
+    'extensions.KHR_materials_specular.specularColorTexture',
+    'extensions.KHR_materials_iridescence.iridescenceTexture',
+    'extensions.KHR_materials_iridescence.iridescenceThicknessTexture',
+    'extensions.KHR_materials_anisotropy.anisotropyTexture',
+    'extensions.KHR_materials_pbrSpecularGlossiness.diffuseTexture',
+    'extensions.KHR_materials_pbrSpecularGlossiness.specularGlossinessTexture'
+].map(path => path.split('.'));
+
+// Names of the sampler filter and wrap modes (WebGL constants)
+const SAMPLER_FILTER_NAMES = {
+    9728: 'NEAREST',
+    9729: 'LINEAR',
+    9984: 'NEAREST_MIPMAP_NEAREST',
+    9985: 'LINEAR_MIPMAP_NEAREST',
+    9986: 'NEAREST_MIPMAP_LINEAR',
+    9987: 'LINEAR_MIPMAP_LINEAR'
+};
+const SAMPLER_WRAP_NAMES = {
+    33071: 'CLAMP_TO_EDGE',
+    33648: 'MIRRORED_REPEAT',
+    10497: 'REPEAT'
+};
 
 /**
  * Extract textures from a GLTF structure
  * @param {Object} gltf - The GLTF JSON structure
- * @param {ArrayBuffer} binaryChunk - The binary chunk from the GLB file
+ * @param {Array} buffers - The resolved buffers (see GlbParser.resolveBuffers)
+ * @param {Object} externalResources - Map of external URI to ArrayBuffer (multi-file .gltf uploads)
+ * @param {Function} onProgress - Called with (processedCount, imageCount) after each image (optional)
  * @returns {Array} - An array of extracted textures
  */
-function extractTexturesFromGLTF(gltf, binaryChunk) {
+function extractTexturesFromGLTF(gltf, buffers, externalResources = {}, onProgress = null) {
     const images = [];
     
     if (!gltf.images || gltf.images.length === 0) {
@@ -35,40 +86,31 @@ function extractTexturesFromGLTF(gltf, binaryChunk) {
                 // Image is embedded as data URI
                 if (image.uri.startsWith('data:')) {
                     log('Image is embedded as data URI');
-                    const dataUriRegex = /^data:([^;]+);base64,(.+)$/;
-                    const matches = image.uri.match(dataUriRegex);
+                    const decoded = decodeDataUri(image.uri);
                     
-                    if (matches && matches.length === 3) {
-                        mimeType = matches[1];
-                        const base64Data = matches[2];
-                        
-                        // Convert base64 to binary
-                        const binaryString = atob(base64Data);
-                        const bytes = new Uint8Array(binaryString.length);
-                        for (let i = 0; i < binaryString.length; i++) {
-                            bytes[i] = binaryString.charCodeAt(i);
-                        }
-                        
-                        imageData = bytes.buffer;
+                    if (decoded) {
+                        mimeType = decoded.mimeType;
+                        imageData = decoded.data;
                         log(`Decoded data URI image: ${formatFileSize(imageData.byteLength)}`);
                     }
+                } else if (externalResources[image.uri]) {
+                    // External image file uploaded next to the model
+                    imageData = externalResources[image.uri];
+                    mimeType = image.mimeType || getMimeTypeFromUri(image.uri);
+                    log(`Loaded external image ${image.uri}: ${formatFileSize(imageData.byteLength)}`);
                 } else {
-                    // External URI - not supported in this extractor
-                    log(`Image references external URI: ${image.uri} (not supported)`, 'warning');
+                    log(`Image references external URI: ${image.uri} (file not included in the upload)`, 'warning');
                 }
-            } else if (image.bufferView !== undefined && binaryChunk) {
-                // Image is stored in the binary chunk via bufferView
+            } else if (image.bufferView !== undefined && buffers) {
+                // Image is stored in a buffer via bufferView
                 const bufferView = gltf.bufferViews[image.bufferView];
                 
                 if (bufferView) {
-                    const start = bufferView.byteOffset || 0;
-                    const length = bufferView.byteLength;
+                    log(`Image stored in bufferView ${image.bufferView}: buffer=${bufferView.buffer}, offset=${bufferView.byteOffset || 0}, length=${bufferView.byteLength}`);
                     
-                    log(`Image stored in bufferView ${image.bufferView}: offset=${start}, length=${length}`);
-                    
-                    // Extract image data from binary chunk
-                    imageData = binaryChunk.slice(start, start + length);
-                    log(`Extracted image from binary chunk: ${formatFileSize(imageData.byteLength)}`);
+                    // Extract image data from the buffer the bufferView points at
+                    imageData = getBufferViewData(gltf, buffers, image.bufferView);
+                    log(`Extracted image from buffer ${bufferView.buffer}: ${formatFileSize(imageData.byteLength)}`);
                 } else {
                     log(`Missing bufferView ${image.bufferView}`, 'error');
                 }
@@ -78,10 +120,21 @@ function extractTexturesFromGLTF(gltf, binaryChunk) {
                 // Find more meaningful name using textures and materials
                 let betterName = findMeaningfulTextureName(gltf, imageIndex, imageName);
                 
+                // Trust the actual bytes over the declared MIME type
+                const format = detectImageFormat(imageData);
+                if (format && format.mimeType !== mimeType) {
+                    log(`Image ${imageIndex} is declared as ${mimeType} but contains ${format.mimeType} data`, 'warning');
+                    mimeType = format.mimeType;
+                }
+                
                 images.push({
                     name: betterName,
                     data: imageData,
-                    mimeType: mimeType
+                    mimeType: mimeType,
+                    extension: format ? format.extension : null,
+                    imageIndex: imageIndex,
+                    roles: findTextureRoles(gltf, imageIndex),
+                    usages: findTextureUsages(gltf, imageIndex)
                 });
                 
                 log(`Successfully processed image: ${betterName}`);
@@ -90,63 +143,179 @@ function extractTexturesFromGLTF(gltf, binaryChunk) {
             console.error(`Error processing image ${imageIndex}:`, error);
             log(`Error processing image ${imageIndex}: ${error.message}`, 'error');
         }
+        
+        if (onProgress) {
+            onProgress(imageIndex + 1, gltf.images.length);
+        }
     });
     
     return images;
 }
 
 /**
- * Find a meaningful name for a texture based on its usage in materials
+ * Get every image a texture can use: its core source plus the image sources of
+ * texture extensions (KHR_texture_basisu, EXT_texture_webp, MSFT_texture_dds)
+ * @param {Object} texture - The glTF texture
+ * @returns {Array} - An array of image indices
+ */
+function getTextureImageSources(texture) {
+    const sources = [];
+    
+    if (texture.source !== undefined) {
+        sources.push(texture.source);
+    }
+    
+    const extensions = texture.extensions || {};
+    ['KHR_texture_basisu', 'EXT_texture_webp', 'MSFT_texture_dds'].forEach(extensionName => {
+        if (extensions[extensionName] && extensions[extensionName].source !== undefined) {
+            sources.push(extensions[extensionName].source);
+        }
+    });
+    
+    return sources;
+}
+
+/**
+ * Find the texture slots a material fills, core and extension ones
+ * @param {Object} material - The glTF material
+ * @returns {Array} - An array of { role, extension, textureInfo }; extension is null for core slots
+ */
+function findMaterialTextureSlots(material) {
+    const slots = [];
+    
+    MATERIAL_TEXTURE_SLOTS.forEach(path => {
+        const textureInfo = path.reduce((value, key) => value && value[key], material);
+        if (textureInfo && textureInfo.index !== undefined) {
+            slots.push({
+                role: path[path.length - 1].replace(/Texture$/, ''),
+                extension: path[0] === 'extensions' ? path[1] : null,
+                textureInfo
+            });
+        }
+    });
+    
+    return slots;
+}
+
+/**
+ * Describe the sampler of a texture with named filter and wrap modes
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} samplerIndex - The index of the sampler (undefined for the default sampler)
+ * @returns {Object} - { index, magFilter, minFilter, wrapS, wrapT }; unset filters are null (up to the renderer)
+ */
+function describeTextureSampler(gltf, samplerIndex) {
+    const sampler = samplerIndex !== undefined && gltf.samplers ? gltf.samplers[samplerIndex] || {} : {};
+    
+    return {
+        index: samplerIndex !== undefined ? samplerIndex : null,
+        magFilter: sampler.magFilter !== undefined ? SAMPLER_FILTER_NAMES[sampler.magFilter] || sampler.magFilter : null,
+        minFilter: sampler.minFilter !== undefined ? SAMPLER_FILTER_NAMES[sampler.minFilter] || sampler.minFilter : null,
+        wrapS: SAMPLER_WRAP_NAMES[sampler.wrapS !== undefined ? sampler.wrapS : 10497] || sampler.wrapS,
+        wrapT: SAMPLER_WRAP_NAMES[sampler.wrapT !== undefined ? sampler.wrapT : 10497] || sampler.wrapT
+    };
+}
+
+/**
+ * Find every material slot that uses an image, with the UV set, transform and sampler it is read with
  * @param {Object} gltf - The GLTF JSON structure
  * @param {number} imageIndex - The index of the image
- * @param {string} fallbackName - A fallback name to use if no meaningful name can be found
- * @returns {string} - A meaningful name for the texture
+ * @returns {Array} - An array of { materialIndex, materialName, role, extension, textureIndex, texCoord, transform, sampler }
+ * in material order; normal slots add scale and occlusion slots add strength
  */
-function findMeaningfulTextureName(gltf, imageIndex, fallbackName) {
-    // Try to find meaningful texture name by checking materials and textures
+function findTextureUsages(gltf, imageIndex) {
+    const usages = [];
+    
     if (!gltf.textures || !gltf.materials) {
-        return fallbackName;
+        return usages;
     }
     
     // First find which textures use this image
     const texturesUsingThisImage = [];
     gltf.textures.forEach((texture, textureIndex) => {
-        if (texture.source === imageIndex) {
+        if (getTextureImageSources(texture).includes(imageIndex)) {
             texturesUsingThisImage.push(textureIndex);
         }
     });
     
     if (texturesUsingThisImage.length === 0) {
-        return fallbackName;
+        return usages;
     }
     
     // Now find materials that use these textures and their role
-    const textureRoles = [];
-    
     gltf.materials.forEach((material, materialIndex) => {
         const materialName = material.name || `material_${materialIndex}`;
         
-        // Check PBR materials
-        if (material.pbrMetallicRoughness) {
-            checkTextureRef(material.pbrMetallicRoughness.baseColorTexture, 'baseColor', materialName);
-            checkTextureRef(material.pbrMetallicRoughness.metallicRoughnessTexture, 'metallicRoughness', materialName);
-        }
-        
-        // Check other common texture types
-        checkTextureRef(material.normalTexture, 'normal', materialName);
-        checkTextureRef(material.occlusionTexture, 'occlusion', materialName);
-        checkTextureRef(material.emissiveTexture, 'emissive', materialName);
+        findMaterialTextureSlots(material).forEach(slot => {
+            checkTextureRef(slot.textureInfo, slot.role, slot.extension, materialIndex, materialName);
+        });
     });
     
-    function checkTextureRef(textureInfo, typeName, materialName) {
-        if (textureInfo && textureInfo.index !== undefined && 
-            texturesUsingThisImage.includes(textureInfo.index)) {
-            textureRoles.push(`${materialName}_${typeName}`);
+    function checkTextureRef(textureInfo, role, extension, materialIndex, materialName) {
+        if (!texturesUsingThisImage.includes(textureInfo.index)) {
+            return;
+        }
+        
+        // KHR_texture_transform can also switch the UV set
+        const transform = textureInfo.extensions && textureInfo.extensions.KHR_texture_transform;
+        
+        const usage = {
+            materialIndex,
+            materialName,
+            role,
+            extension,
+            textureIndex: textureInfo.index,
+            texCoord: transform && transform.texCoord !== undefined ? transform.texCoord : textureInfo.texCoord || 0,
+            transform: transform ? {
+                offset: transform.offset || [0, 0],
+                rotation: transform.rotation || 0,
+                scale: transform.scale || [1, 1]
+            } : null,
+            sampler: describeTextureSampler(gltf, gltf.textures[textureInfo.index].sampler)
+        };
+        
+        if (role === 'normal' || role === 'clearcoatNormal') {
+            usage.scale = textureInfo.scale !== undefined ? textureInfo.scale : 1;
+        } else if (role === 'occlusion') {
+            usage.strength = textureInfo.strength !== undefined ? textureInfo.strength : 1;
         }
+        
+        usages.push(usage);
     }
     
-    // Use the first role found, or fallback name
-    return textureRoles.length > 0 ? textureRoles[0] : fallbackName;
+    return usages;
+}
+
+/**
+ * Find every role an image plays in the materials (baseColor, metallicRoughness, normal, ..., clearcoat, sheenColor, ...)
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} imageIndex - The index of the image
+ * @returns {Array} - The distinct roles
+ */
+function findTextureRoles(gltf, imageIndex) {
+    return [...new Set(findTextureUsages(gltf, imageIndex).map(usage => usage.role))];
+}
+
+/**
+ * Find a meaningful name for a texture based on its usage in materials
+ * @param {Object} gltf - The GLTF JSON structure
+ * @param {number} imageIndex - The index of the image
+ * @param {string} fallbackName - A fallback name to use if no meaningful name can be found
+ * @returns {string} - A meaningful name for the texture
+ */
+function findMeaningfulTextureName(gltf, imageIndex, fallbackName) {
+    const usages = findTextureUsages(gltf, imageIndex);
+    
+    // Use the first role found, or fallback name (findTextureUsages lists the others)
+    return usages.length > 0 ? `${usages[0].materialName}_${usages[0].role}` : fallbackName;
+}
+
+/**
+ * Check whether the browser can show a texture in an <img> (GPU formats such as KTX2 and DDS it cannot)
+ * @param {Object} texture - The texture (extension)
+ * @returns {boolean} - Whether the texture can be previewed
+ */
+function canPreviewTexture(texture) {
+    return texture.extension !== 'ktx2' && texture.extension !== 'dds';
 }
 
 /**
@@ -161,38 +330,79 @@ function displayTextures(textures) {
     
     textureList.innerHTML = '';
     
+    // Release the previews of the previous model
+    textureObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    textureObjectUrls = [];
+    
     textures.forEach((texture, index) => {
         const textureItem = document.createElement('div');
         textureItem.className = 'item-card';
         
-        // Create a blob URL from the texture data
-        const blob = new Blob([texture.data], { type: texture.mimeType });
-        const blobUrl = URL.createObjectURL(blob);
-        
-        // Create an image element
-        const img = document.createElement('img');
-        img.className = 'texture-img';
-        img.src = blobUrl;
-        img.alt = texture.name;
+        // Create an image element (GPU formats cannot be previewed by the browser)
+        let img;
+        if (!canPreviewTexture(texture)) {
+            img = document.createElement('div');
+            img.className = 'texture-img texture-placeholder';
+            img.textContent = `${texture.extension.toUpperCase()} (no preview)`;
+        } else {
+            // Create a blob URL from the texture data
+            const blob = new Blob([texture.data], { type: texture.mimeType });
+            const blobUrl = URL.createObjectURL(blob);
+            textureObjectUrls.push(blobUrl);
+            
+            img = document.createElement('img');
+            img.className = 'texture-img';
+            img.src = blobUrl;
+            img.alt = texture.name;
+        }
         
         // Create a label for the texture name
         const nameDiv = document.createElement('div');
         nameDiv.className = 'item-name';
         nameDiv.textContent = texture.name;
         
+        // List every material slot that reads the texture
+        const usagesDiv = document.createElement('div');
+        usagesDiv.className = 'texture-usages';
+        const usages = texture.usages || [];
+        if (usages.length === 0) {
+            usagesDiv.textContent = 'Not used by any material';
+        }
+        usages.forEach(usage => {
+            const usageLine = document.createElement('div');
+            usageLine.textContent = formatTextureUsage(usage);
+            usagesDiv.appendChild(usageLine);
+        });
+        
         // Create a download button
         const downloadBtn = document.createElement('button');
         downloadBtn.className = 'item-download';
         downloadBtn.textContent = 'Download';
-        downloadBtn.addEventListener('click', () => {
-            downloadTexture(texture, index);
+        downloadBtn.addEventListener('click', async () => {
+            if (!await downloadTexture(texture, index, getTextureExportOptions())) {
+                showStatus('Downloading the texture failed, see the debug logs for details.', 'error');
+            }
         });
         
         // Append elements to the texture item
         textureItem.appendChild(img);
         textureItem.appendChild(nameDiv);
+        textureItem.appendChild(usagesDiv);
         textureItem.appendChild(downloadBtn);
         
+        // Offer the grayscale maps of metallicRoughness and occlusion textures
+        if (getTextureChannelMaps(texture).length > 0) {
+            const splitBtn = document.createElement('button');
+            splitBtn.className = 'item-download';
+            splitBtn.textContent = 'Split Channels';
+            splitBtn.addEventListener('click', async () => {
+                if (!await downloadTextureChannels(texture, getTextureExportOptions())) {
+                    showStatus('Splitting the texture channels failed, see the debug logs for details.', 'error');
+                }
+            });
+            textureItem.appendChild(splitBtn);
+        }
+        
         // Add the texture item to the list
         textureList.appendChild(textureItem);
     });
@@ -202,75 +412,229 @@ function displayTextures(textures) {
 }
 
 /**
- * Download a single texture
- * @param {Object} texture - The texture to download
- * @param {number} index - The index of the texture
+ * Describe a texture usage in one line for the texture card
+ * @param {Object} usage - A usage from findTextureUsages
+ * @returns {string} - e.g. "Metal: normal (scale 0.5), UV1, CLAMP_TO_EDGE/REPEAT, transformed"
  */
-function downloadTexture(texture, index) {
-    // Get the file extension from the MIME type
+function formatTextureUsage(usage) {
+    let role = usage.role;
+    if (usage.scale !== undefined && usage.scale !== 1) role += ` (scale ${usage.scale})`;
+    if (usage.strength !== undefined && usage.strength !== 1) role += ` (strength ${usage.strength})`;
+    
+    const details = [role, `UV${usage.texCoord}`];
+    if (usage.sampler.wrapS !== 'REPEAT' || usage.sampler.wrapT !== 'REPEAT') {
+        details.push(`${usage.sampler.wrapS}/${usage.sampler.wrapT}`);
+    }
+    if (usage.sampler.magFilter === 'NEAREST') {
+        details.push('nearest');
+    }
+    if (usage.transform) {
+        details.push('transformed');
+    }
+    
+    return `${usage.materialName}: ${details.join(', ')}`;
+}
+
+/**
+ * Build the textures.json record of which material slots use each texture and how
+ * @param {Array} textures - The extracted textures
+ * @param {Array} fileNames - The file name each texture is written under
+ * @returns {Object} - { textures: [{ name, file, imageIndex, mimeType, usages }] }
+ */
+function getTextureUsageRecord(textures, fileNames) {
+    return {
+        textures: textures.map((texture, index) => ({
+            name: texture.name,
+            file: fileNames[index],
+            imageIndex: texture.imageIndex,
+            mimeType: texture.mimeType,
+            usages: texture.usages || []
+        }))
+    };
+}
+
+/**
+ * Build a file name for a texture with an extension matching its MIME type
+ * @param {Object} texture - The texture (name and mimeType)
+ * @returns {string} - The file name
+ */
+function getTextureFileName(texture) {
+    // Prefer the format detected from the image bytes
+    const format = texture.data ? detectImageFormat(texture.data) : null;
+    
+    // Otherwise get the file extension from the MIME type
     let extension = 'bin';  // Default extension if we can't determine it
-    if (texture.mimeType) {
+    if (texture.extension || format) {
+        extension = texture.extension || format.extension;
+    } else if (texture.mimeType) {
         const mimeTypeParts = texture.mimeType.split('/');
         if (mimeTypeParts.length > 1) {
             extension = mimeTypeParts[1].replace('jpeg', 'jpg');
         }
     }
     
-    // Create a filename with the correct extension based on the MIME type
-    const filename = `${texture.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${extension}`;
-    
-    // Create a blob with the original MIME type
-    const blob = new Blob([texture.data], { 
-        type: texture.mimeType,
-        lastModified: new Date().getTime()
-    });
-    
-    saveAs(blob, filename);
+    return `${texture.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${extension}`;
+}
+
+/**
+ * Download a single texture
+ * @param {Object} texture - The texture to download
+ * @param {number} index - The index of the texture
+ * @param {Object} options - Texture export options (see TextureConverter.getTextureExportOptions, null keeps the original)
+ * @returns {Promise<boolean>} - Whether the download was started
+ */
+async function downloadTexture(texture, index, options = null) {
+    try {
+        const exported = isTextureConversionNeeded(options) ? await convertTexture(texture, options) : texture;
+        
+        // Create a filename with the correct extension based on the MIME type
+        const filename = getTextureFileName(exported);
+        
+        // Create a blob with the texture's MIME type
+        const blob = new Blob([exported.data], { 
+            type: exported.mimeType,
+            lastModified: new Date().getTime()
+        });
+        
+        saveAs(blob, filename);
+        return true;
+    } catch (error) {
+        log(`Error downloading texture ${texture.name}: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
+}
+
+/**
+ * Download the grayscale maps of a metallicRoughness or occlusion texture as a ZIP file
+ * @param {Object} texture - The texture to split
+ * @param {Object} options - Texture export options for size and orientation (null keeps them)
+ * @returns {Promise<boolean>} - Whether the download was started
+ */
+async function downloadTextureChannels(texture, options = null) {
+    try {
+        const maps = await splitTextureChannels(texture, options);
+        if (maps.length === 0) return false;
+        
+        const zip = new JSZip();
+        maps.forEach(map => {
+            zip.file(getTextureFileName(map), map.data);
+        });
+        
+        const zipFileName = `${texture.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_channels.zip`;
+        return await downloadZip(zip, zipFileName);
+    } catch (error) {
+        log(`Error splitting the channels of ${texture.name}: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
 }
 
 /**
- * Download all textures as a ZIP file
+ * Pack grayscale occlusion, roughness and metallic maps into an ORM texture and download it as PNG
+ * @param {Object} maps - { occlusion, roughness, metallic }, each an image File or null
+ * @param {string} fileName - The name of the PNG file
+ * @returns {Promise<boolean>} - Whether the texture was packed
+ */
+async function downloadORMTexture(maps, fileName) {
+    try {
+        const texture = await packORMTexture(maps, fileName.replace(/\.png$/i, ''));
+        saveAs(new Blob([texture.data], { type: texture.mimeType }), fileName);
+        return true;
+    } catch (error) {
+        log(`Error packing ORM texture: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
+}
+
+/**
+ * Download all textures as a ZIP file, with a textures.json recording the material slots of each.
+ * Converted textures come with a manifest.json listing the original and exported size of each
+ * texture, and split channels add the grayscale maps of metallicRoughness and occlusion textures next to them.
  * @param {string} zipFileName - The name of the ZIP file
  * @param {Array} textures - The textures to download
+ * @param {Object} options - Texture export options (see TextureConverter.getTextureExportOptions, null keeps the originals)
+ * @returns {Promise<boolean>} - Whether the download was started
  */
-function downloadAllTextures(zipFileName, textures) {
-    if (textures.length === 0) return;
-    
-    const zip = new JSZip();
+async function downloadAllTextures(zipFileName, textures, options = null) {
+    if (textures.length === 0) return false;
     
-    // Add each texture to the ZIP file with proper extension
-    textures.forEach((texture, index) => {
-        // Get the file extension from the MIME type
-        let extension = 'bin';  // Default extension
-        if (texture.mimeType) {
-            const mimeTypeParts = texture.mimeType.split('/');
-            if (mimeTypeParts.length > 1) {
-                extension = mimeTypeParts[1].replace('jpeg', 'jpg');
+    try {
+        const zip = new JSZip();
+        const convert = isTextureConversionNeeded(options);
+        const splitChannels = !!options && options.splitChannels;
+        // Different textures can share a name, so their file names are made unique
+        const usedFileNames = new Set(['textures.json', 'manifest.json']);
+        const fileNames = [];
+        
+        if (convert || splitChannels) {
+            const manifest = convert ? { options, textures: [] } : null;
+            
+            // Convert one texture at a time, decoded images can be large
+            for (const texture of textures) {
+                const exported = convert ? await convertTexture(texture, options) : texture;
+                const filename = getUniqueFileName(getTextureFileName(exported), usedFileNames);
+                zip.file(filename, exported.data);
+                fileNames.push(filename);
+                
+                // Split from the original bytes, so lossy conversion does not leak between channels
+                const maps = splitChannels ? await splitTextureChannels(texture, options) : [];
+                const mapFileNames = maps.map(map => getUniqueFileName(getTextureFileName(map), usedFileNames));
+                maps.forEach((map, index) => {
+                    zip.file(mapFileNames[index], map.data);
+                });
+                
+                if (manifest) {
+                    manifest.textures.push({
+                        name: texture.name,
+                        imageIndex: texture.imageIndex,
+                        original: { file: getTextureFileName(texture), ...exported.manifest.original },
+                        exported: { file: filename, ...exported.manifest.exported },
+                        channels: maps.map((map, index) => ({ file: mapFileNames[index], channel: map.channel })),
+                        note: exported.manifest.note
+                    });
+                }
+            }
+            
+            if (manifest) {
+                zip.file('manifest.json', JSON.stringify(manifest, null, 2));
             }
+            log(`Packing ${textures.length} ${convert ? 'converted ' : ''}textures${manifest ? ' and manifest.json' : ''} into ${zipFileName}`);
+        } else {
+            // Add each texture to the ZIP file with proper extension
+            textures.forEach((texture, index) => {
+                const filename = getUniqueFileName(getTextureFileName(texture), usedFileNames);
+                zip.file(filename, texture.data);
+                fileNames.push(filename);
+            });
         }
         
-        const filename = `${texture.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${extension}`;
-        zip.file(filename, texture.data);
-    });
-    
-    // Generate and download the ZIP file with current timestamp metadata
-    zip.generateAsync({
-        type: 'blob',
-        mimeType: 'application/zip',
-        compression: 'DEFLATE',
-        compressionOptions: { level: 6 },
-        // Set the date to current time for all files
-        date: new Date()
-    }).then((blob) => {
-        saveAs(blob, zipFileName);
-    });
+        // Record where each texture is used, whatever its file turned out to be
+        zip.file('textures.json', JSON.stringify(getTextureUsageRecord(textures, fileNames), null, 2));
+        
+        return await downloadZip(zip, zipFileName);
+    } catch (error) {
+        log(`Error packing textures into ${zipFileName}: ${error.message}`, 'error');
+        console.error(error);
+        return false;
+    }
 }
 
 // Export texture functions
 window.TextureExtractor = {
     extractTexturesFromGLTF,
+    getTextureImageSources,
+    findMaterialTextureSlots,
+    findTextureUsages,
+    findTextureRoles,
     findMeaningfulTextureName,
+    getTextureUsageRecord,
+    getTextureFileName,
+    canPreviewTexture,
     displayTextures,
     downloadTexture,
+    downloadTextureChannels,
+    downloadORMTexture,
     downloadAllTextures
 };
@@ -6,13 +6,21 @@
 // Global log container reference
 let logsContainer;
 
+// Receives every log message when set (the extraction worker forwards them to the page)
+let logHandler = null;
+
 /**
  * Log a message to the console and UI
  * @param {string} message - The message to log
  * @param {string} type - The type of message (info, error, warning)
  */
 function log(message, type = 'info') {
-    console.log(`[${type.toUpperCase()}] ${message}`);
+    // A log handler takes over the console output (the extraction worker's page logs the messages itself)
+    if (logHandler) {
+        logHandler(message, type);
+    } else {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+    }
     
     // If logs container is initialized, add log to UI
     if (logsContainer) {
@@ -24,6 +32,14 @@ function log(message, type = 'info') {
     }
 }
 
+/**
+ * Set a function that receives every log message
+ * @param {Function} handler - Called with (message, type), or null to remove the handler
+ */
+function setLogHandler(handler) {
+    logHandler = handler;
+}
+
 /**
  * Show a status message to the user
  * @param {string} message - The message to display
@@ -69,11 +85,241 @@ function readFileAsArrayBuffer(file) {
     });
 }
 
+/**
+ * Decode a data URI (e.g. data:application/octet-stream;base64,...)
+ * @param {string} uri - The data URI
+ * @returns {Object|null} - { mimeType, data } with data as ArrayBuffer, or null if not a valid data URI
+ */
+function decodeDataUri(uri) {
+    const matches = uri.match(/^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s);
+    if (!matches) {
+        return null;
+    }
+    
+    const mimeType = matches[1] || 'application/octet-stream';
+    
+    if (!matches[3]) {
+        // Percent-encoded (non base64) payload: each %XX is one byte, other characters are copied as their char codes
+        const payload = matches[4];
+        const bytes = new Uint8Array(payload.length);
+        let length = 0;
+        for (let i = 0; i < payload.length; i++) {
+            if (payload[i] === '%') {
+                const hex = payload.substr(i + 1, 2);
+                if (!/^[0-9a-f]{2}$/i.test(hex)) return null;
+                bytes[length++] = parseInt(hex, 16);
+                i += 2;
+            } else {
+                const code = payload.charCodeAt(i);
+                if (code > 0xff) return null;
+                bytes[length++] = code;
+            }
+        }
+        
+        return { mimeType, data: bytes.slice(0, length).buffer };
+    }
+    
+    // Convert base64 to binary
+    let binaryString;
+    try {
+        binaryString = atob(matches[4]);
+    } catch (error) {
+        return null;
+    }
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    
+    return { mimeType, data: bytes.buffer };
+}
+
+/**
+ * Get the path of a file relative to the selected folder or drop root
+ * @param {File} file - The file
+ * @returns {string} - The relative path (falls back to the file name)
+ */
+function getFilePath(file) {
+    return file.webkitRelativePath || file.relativePath || file.name;
+}
+
+/**
+ * Collect all files from a drop event, descending into dropped folders
+ * @param {DataTransfer} dataTransfer - The drop event's data transfer
+ * @returns {Promise<Array>} - A promise that resolves with the dropped files
+ */
+function getDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously, before the drop event returns
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(entry => entry);
+    
+    if (entries.length === 0) {
+        return Promise.resolve(Array.from(dataTransfer.files));
+    }
+    
+    const files = [];
+    
+    function readEntry(entry) {
+        if (entry.isFile) {
+            return new Promise((resolve, reject) => {
+                entry.file(file => {
+                    // Remember where the file lives inside the dropped folder
+                    file.relativePath = entry.fullPath.replace(/^\//, '');
+                    files.push(file);
+                    resolve();
+                }, reject);
+            });
+        }
+        
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            
+            // readEntries returns results in batches until it returns an empty list
+            const readBatch = () => new Promise((resolve, reject) => {
+                reader.readEntries(batch => {
+                    if (batch.length === 0) {
+                        resolve();
+                        return;
+                    }
+                    Promise.all(batch.map(readEntry)).then(readBatch).then(resolve, reject);
+                }, reject);
+            });
+            
+            return readBatch();
+        }
+        
+        return Promise.resolve();
+    }
+    
+    return Promise.all(entries.map(readEntry)).then(() => files);
+}
+
+/**
+ * Guess a MIME type from a file name or URI extension
+ * @param {string} uri - The file name or URI
+ * @returns {string} - The MIME type (application/octet-stream if unknown)
+ */
+function getMimeTypeFromUri(uri) {
+    const extension = uri.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const mimeTypes = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        webp: 'image/webp',
+        ktx2: 'image/ktx2',
+        dds: 'image/vnd-ms.dds',
+        bin: 'application/octet-stream'
+    };
+    return mimeTypes[extension] || 'application/octet-stream';
+}
+
+/**
+ * Detect an image format from the magic bytes at the start of its data
+ * @param {ArrayBuffer} data - The image data
+ * @returns {Object|null} - { mimeType, extension }, or null if the format is not recognized
+ */
+function detectImageFormat(data) {
+    const bytes = new Uint8Array(data, 0, Math.min(12, data.byteLength));
+    const startsWith = (signature, offset = 0) => 
+        signature.every((byte, i) => bytes[offset + i] === byte);
+    
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return { mimeType: 'image/png', extension: 'png' };
+    }
+    if (startsWith([0xFF, 0xD8, 0xFF])) {
+        return { mimeType: 'image/jpeg', extension: 'jpg' };
+    }
+    // RIFF....WEBP
+    if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) {
+        return { mimeType: 'image/webp', extension: 'webp' };
+    }
+    // «KTX 20»\r\n\x1A\n
+    if (startsWith([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return { mimeType: 'image/ktx2', extension: 'ktx2' };
+    }
+    // 'DDS '
+    if (startsWith([0x44, 0x44, 0x53, 0x20])) {
+        return { mimeType: 'image/vnd-ms.dds', extension: 'dds' };
+    }
+    if (startsWith([0x47, 0x49, 0x46, 0x38])) {
+        return { mimeType: 'image/gif', extension: 'gif' };
+    }
+    
+    return null;
+}
+
+/**
+ * Read the pixel dimensions of an image from its header, without decoding it
+ * @param {ArrayBuffer} data - The image data
+ * @returns {Object|null} - { width, height }, or null if the format or header is not recognized
+ */
+function getImageDimensions(data) {
+    const format = detectImageFormat(data);
+    if (!format) return null;
+    
+    const view = new DataView(data);
+    const bytes = new Uint8Array(data);
+    
+    try {
+        switch (format.extension) {
+            case 'png':
+                // IHDR is always the first chunk
+                return { width: view.getUint32(16), height: view.getUint32(20) };
+            case 'gif':
+                return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+            case 'ktx2':
+                return { width: view.getUint32(20, true), height: Math.max(1, view.getUint32(24, true)) };
+            case 'dds':
+                return { width: view.getUint32(16, true), height: view.getUint32(12, true) };
+            case 'webp': {
+                const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+                if (chunk === 'VP8 ') {
+                    return { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+                }
+                if (chunk === 'VP8L') {
+                    const bits = view.getUint32(21, true);
+                    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+                }
+                if (chunk === 'VP8X') {
+                    return {
+                        width: (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)) + 1,
+                        height: (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)) + 1
+                    };
+                }
+                return null;
+            }
+            case 'jpg': {
+                // Walk the segments up to the first start-of-frame marker
+                let offset = 2;
+                while (offset + 9 < bytes.length) {
+                    if (bytes[offset] !== 0xFF) return null;
+                    const marker = bytes[offset + 1];
+                    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+                    }
+                    offset += 2 + view.getUint16(offset + 2);
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    } catch (error) {
+        // Truncated header
+        return null;
+    }
+}
+
 /**
  * Sanitize a glTF object to ensure it is valid
  * @param {Object} gltf - The glTF object to sanitize
+ * @param {Object} options - Sanitize options
+ * @param {boolean} options.preserveMaterials - Keep material extensions and texture-related extensions
  */
-function sanitizeGLTF(gltf) {
+function sanitizeGLTF(gltf, options = {}) {
+    const { preserveMaterials = false } = options;
+    
     // Clean up nodes - handle empty arrays
     if (gltf.nodes) {
         gltf.nodes.forEach(node => {
@@ -138,19 +384,14 @@ function sanitizeGLTF(gltf) {
         gltf.scene = 0;
     }
     
+    // Every KHR_materials_* extension lives on materials, except KHR_materials_variants (on the root and primitives)
+    const isMaterialExtension = ext => ext.startsWith('KHR_materials_') && ext !== 'KHR_materials_variants';
+    
     // Remove possibly problematic extensions
-    if (gltf.extensionsUsed) {
+    if (gltf.extensionsUsed && !preserveMaterials) {
         // If we removed texture references, also remove extensions that depend on them
-        const textureRelatedExtensions = [
-            'KHR_materials_pbrSpecularGlossiness',
-            'KHR_materials_clearcoat',
-            'KHR_materials_transmission',
-            'KHR_materials_sheen',
-            'KHR_materials_unlit'
-        ];
-        
         gltf.extensionsUsed = gltf.extensionsUsed.filter(ext => 
-            !textureRelatedExtensions.includes(ext)
+            !isMaterialExtension(ext)
         );
         
         if (gltf.extensionsUsed.length === 0) {
@@ -158,18 +399,10 @@ function sanitizeGLTF(gltf) {
         }
     }
     
-    if (gltf.extensionsRequired) {
+    if (gltf.extensionsRequired && !preserveMaterials) {
         // Remove extensions that would require textures
-        const textureRelatedExtensions = [
-            'KHR_materials_pbrSpecularGlossiness',
-            'KHR_materials_clearcoat',
-            'KHR_materials_transmission',
-            'KHR_materials_sheen',
-            'KHR_materials_unlit'
-        ];
-        
         gltf.extensionsRequired = gltf.extensionsRequired.filter(ext => 
-            !textureRelatedExtensions.includes(ext)
+            !isMaterialExtension(ext)
         );
         
         if (gltf.extensionsRequired.length === 0) {
@@ -178,7 +411,7 @@ function sanitizeGLTF(gltf) {
     }
     
     // Clean up material extensions
-    if (gltf.materials) {
+    if (gltf.materials && !preserveMaterials) {
         gltf.materials.forEach(material => {
             if (material.extensions) {
                 // Remove all extensions from materials since we're removing textures
@@ -192,21 +425,28 @@ function sanitizeGLTF(gltf) {
 }
 
 /**
- * Recursively clean up an object by removing undefined/null values and empty objects
+ * Recursively clean up an object by removing undefined/null properties and empty arrays.
+ * Array entries are never removed, since the rest of the glTF refers to them by index, and
+ * empty objects are kept: a default sampler, an empty material or KHR_materials_unlit are all valid.
  * @param {Object} obj - The object to clean up
  */
 function cleanupObject(obj) {
     if (!obj || typeof obj !== 'object') return;
     
+    if (Array.isArray(obj)) {
+        obj.forEach(item => cleanupObject(item));
+        return;
+    }
+    
     for (const key in obj) {
-        if (obj[key] === undefined || obj[key] === null) {
+        const value = obj[key];
+        if (value === undefined || value === null) {
             delete obj[key];
-        } else if (typeof obj[key] === 'object') {
-            cleanupObject(obj[key]);
+        } else if (typeof value === 'object') {
+            cleanupObject(value);
             
-            // Remove empty objects and arrays
-            if (obj[key] && typeof obj[key] === 'object' && 
-                Object.keys(obj[key]).length === 0) {
+            // glTF arrays must not be empty
+            if (Array.isArray(value) && value.length === 0) {
                 delete obj[key];
             }
         }
@@ -217,14 +457,18 @@ function cleanupObject(obj) {
  * Pack a glTF structure into a GLB binary file
  * @param {Object} gltf - The glTF object to pack
  * @param {ArrayBuffer} binaryChunk - The binary chunk to include (optional)
+ * @param {Object} options - Options passed on to sanitizeGLTF
+ * @param {boolean} options.sanitize - Set to false to pack the glTF unchanged (e.g. format conversion)
  * @returns {ArrayBuffer} - The packed GLB file
  */
-function packGLB(gltf, binaryChunk) {
+function packGLB(gltf, binaryChunk, options = {}) {
     try {
         log(`Packing GLB - JSON size: ${JSON.stringify(gltf).length} bytes, Binary chunk: ${binaryChunk ? binaryChunk.byteLength : 0} bytes`);
         
         // Sanitize the glTF object to ensure it's properly formatted
-        sanitizeGLTF(gltf);
+        if (options.sanitize !== false) {
+            sanitizeGLTF(gltf, options);
+        }
         
         // Make sure we have the required glTF 2.0 fields
         if (!gltf.asset) {
@@ -290,7 +534,8 @@ function packGLB(gltf, binaryChunk) {
         // Write JSON data with proper encoding
         bufferBytes.set(jsonBuffer, 20);
         
-        // Add padding (zeros) after JSON if needed - already filled with zeros
+        // Pad JSON with spaces (0x20) as required by the GLB spec
+        bufferBytes.fill(0x20, 20 + jsonBuffer.byteLength, 20 + jsonPaddedLength);
         let offset = 20 + jsonBuffer.byteLength + jsonPadding;
         
         // Write BIN chunk if present
@@ -334,19 +579,73 @@ function showAutoDownloadMessage(type, fileName) {
     autoDownloadInfo.style.display = 'block';
 }
 
+/**
+ * Get a file name that is not used yet, appending a number before the extension when needed
+ * @param {string} fileName - The preferred file name
+ * @param {Set} usedFileNames - The file names already taken (the result is added to it)
+ * @returns {string} - The unique file name
+ */
+function getUniqueFileName(fileName, usedFileNames) {
+    let uniqueName = fileName;
+    let counter = 2;
+    
+    while (usedFileNames.has(uniqueName)) {
+        uniqueName = fileName.replace(/(\.[^.]*)?$/, extension => `_${counter}${extension}`);
+        counter++;
+    }
+    
+    usedFileNames.add(uniqueName);
+    return uniqueName;
+}
+
+/**
+ * Generate a ZIP file with current timestamp metadata and download it
+ * @param {JSZip} zip - The ZIP archive to download
+ * @param {string} zipFileName - The name of the ZIP file
+ * @returns {Promise<boolean>} - A promise that resolves with whether the ZIP file could be generated
+ */
+function downloadZip(zip, zipFileName) {
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/zip',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 },
+        // Set the date to current time for all files
+        date: new Date()
+    }).then((blob) => {
+        saveAs(blob, zipFileName);
+        return true;
+    }).catch((error) => {
+        console.error(`Error generating ${zipFileName}:`, error);
+        log(`Error generating ${zipFileName}: ${error.message}`, 'error');
+        return false;
+    });
+}
+
 // Export utility functions
 window.GlbExtractorUtils = {
     log,
+    setLogHandler,
     showStatus,
     formatFileSize,
     readFileAsArrayBuffer,
+    decodeDataUri,
+    getFilePath,
+    getDroppedFiles,
+    getMimeTypeFromUri,
+    detectImageFormat,
+    getImageDimensions,
     sanitizeGLTF,
     cleanupObject,
     packGLB,
+    getUniqueFileName,
+    downloadZip,
     showAutoDownloadMessage
 };
 
-// Initialize logs container reference when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    logsContainer = document.getElementById('logs-container');
-});
+// Initialize logs container reference when DOM is loaded (there is no DOM in the extraction worker)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        logsContainer = document.getElementById('logs-container');
+    });
+}
@@ -0,0 +1,208 @@
+/**
+ * GLB Extractor Tool - Node.js Library
+ * Loads the browser modules into a sandbox without a DOM, so models can be parsed, their textures
+ * extracted and their parts split from Node.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+// The browser modules, in the order the extraction worker loads them
+const MODULE_FILES = [
+    'lib/draco/draco_decoder.js',
+    'lib/meshopt/meshopt_decoder.js',
+    'utility-functions.js',
+    'glb-parser.js',
+    'gltf-validator.js',
+    'mesh-decompressor.js',
+    'texture-converter.js',
+    'texture-extractor.js',
+    'material-extractor.js',
+    'subset-exporter.js',
+    'geometry-exporter.js',
+    'model-stats.js',
+    'format-converter.js',
+    'extraction-pipeline.js'
+];
+
+const JS_DIRECTORY = path.join(__dirname, '..', 'js');
+
+/**
+ * FileReader for the sandbox, reading Blobs and Files as ArrayBuffers
+ */
+class NodeFileReader {
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then(
+            result => this.onload({ target: { result } }),
+            error => this.onerror(error)
+        );
+    }
+}
+
+let sandbox = null;
+
+/**
+ * Load the browser modules into a sandbox, once
+ * @returns {Object} - The sandbox global, with the modules on it (GlbExtractorUtils, GlbParser, ...)
+ */
+function getSandbox() {
+    if (sandbox) return sandbox;
+    
+    // Log messages are only printed through a log handler
+    const context = {
+        console: { ...console, log() {} },
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder,
+        atob,
+        btoa,
+        URL,
+        Blob,
+        File,
+        FileReader: NodeFileReader,
+        location: { href: pathToFileURL(`${JS_DIRECTORY}${path.sep}`).href }
+    };
+    
+    // Set up like the extraction worker, which the Draco decoder also recognizes by importScripts
+    context.self = context;
+    context.window = context;
+    context.importScripts = (...fileNames) => {
+        fileNames.forEach(fileName => {
+            const source = fs.readFileSync(path.join(JS_DIRECTORY, fileName), 'utf8');
+            vm.runInContext(source, context, { filename: fileName });
+        });
+    };
+    vm.createContext(context);
+    
+    context.importScripts(...MODULE_FILES);
+    
+    sandbox = context;
+    return sandbox;
+}
+
+/**
+ * Set a function that receives every log message of the modules
+ * @param {Function} handler - Called with (message, type), or null to silence the logs
+ */
+function setLogHandler(handler) {
+    getSandbox().GlbExtractorUtils.setLogHandler(handler);
+}
+
+/**
+ * Create a File for a path on disk, with the relative path the parser resolves external URIs by
+ * @param {string} filePath - The path of the file
+ * @param {string} relativePath - The path relative to the model's folder
+ * @returns {File} - The file
+ */
+function createFile(filePath, relativePath) {
+    const file = new File([fs.readFileSync(filePath)], path.basename(filePath));
+    file.relativePath = relativePath;
+    return file;
+}
+
+/**
+ * Collect the external buffers and images a .gltf file references, as Files
+ * @param {string} modelPath - The path of the .gltf file
+ * @returns {Array} - The resource files that exist on disk
+ */
+function findResourceFiles(modelPath) {
+    if (!modelPath.toLowerCase().endsWith('.gltf')) return [];
+    
+    const gltf = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    const modelDirectory = path.dirname(modelPath);
+    const uris = [...(gltf.buffers || []), ...(gltf.images || [])]
+        .map(item => item.uri)
+        .filter(uri => uri && !uri.startsWith('data:'));
+    
+    const files = [];
+    new Set(uris).forEach(uri => {
+        let decodedUri = uri.split(/[?#]/)[0];
+        try {
+            decodedUri = decodeURIComponent(decodedUri);
+        } catch (error) {
+            // Use the URI as-is, the parser warns about it
+        }
+        
+        const resourcePath = path.resolve(modelDirectory, decodedUri);
+        if (fs.existsSync(resourcePath)) {
+            files.push(createFile(resourcePath, path.relative(modelDirectory, resourcePath).split(path.sep).join('/')));
+        }
+    });
+    
+    return files;
+}
+
+/**
+ * Parse a model file and run the extraction pipeline on it
+ * @param {string} modelPath - The path of the .glb/.gltf file
+ * @param {Object} options - { parts, splitMode, materialMode } (see ExtractionPipeline.runExtractionPipeline)
+ * @returns {Promise<Object>} - { gltfData, validationReport, stats, textures, parts }
+ */
+function processModel(modelPath, options = {}) {
+    const { runExtractionPipeline } = getSandbox().ExtractionPipeline;
+    const file = createFile(modelPath, path.basename(modelPath));
+    
+    return runExtractionPipeline(file, findResourceFiles(modelPath), {
+        parts: false,
+        splitMode: 'material',
+        materialMode: 'colored',
+        ...options
+    });
+}
+
+/**
+ * Write extracted textures to a folder, named as in the ZIP file downloadAllTextures creates,
+ * with the textures.json usage record next to them
+ * @param {Array} textures - The textures of a processModel result
+ * @param {string} outputDirectory - The folder to write to (created when missing)
+ * @returns {Array} - The paths of the written textures
+ */
+function writeTextures(textures, outputDirectory) {
+    const { getTextureFileName, getTextureUsageRecord } = getSandbox().TextureExtractor;
+    const { getUniqueFileName } = getSandbox().GlbExtractorUtils;
+    const usedFileNames = new Set(['textures.json']);
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    
+    const fileNames = textures.map(texture => getUniqueFileName(getTextureFileName(texture), usedFileNames));
+    const written = textures.map((texture, index) => {
+        const filePath = path.join(outputDirectory, fileNames[index]);
+        fs.writeFileSync(filePath, new Uint8Array(texture.data));
+        return filePath;
+    });
+    
+    if (textures.length > 0) {
+        fs.writeFileSync(path.join(outputDirectory, 'textures.json'), JSON.stringify(getTextureUsageRecord(textures, fileNames), null, 2));
+    }
+    
+    return written;
+}
+
+/**
+ * Write split part GLBs to a folder, named as in the ZIP file downloadAllMaterials creates
+ * @param {Array} parts - The parts of a processModel result
+ * @param {string} outputDirectory - The folder to write to (created when missing)
+ * @returns {Array} - The paths of the written files
+ */
+function writeParts(parts, outputDirectory) {
+    const { getMaterialFileName } = getSandbox().MaterialExtractor;
+    const { getUniqueFileName } = getSandbox().GlbExtractorUtils;
+    const usedFileNames = new Set();
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    
+    return parts.filter(part => part.glbData).map(part => {
+        const filePath = path.join(outputDirectory, getUniqueFileName(getMaterialFileName(part), usedFileNames));
+        fs.writeFileSync(filePath, new Uint8Array(part.glbData));
+        return filePath;
+    });
+}
+
+module.exports = {
+    getSandbox,
+    setLogHandler,
+    processModel,
+    writeTextures,
+    writeParts
+};